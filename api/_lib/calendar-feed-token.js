@@ -0,0 +1,121 @@
+/**
+ * Signed SineDay calendar feed tokens.
+ *
+ * Payload contains only a versioned profile UUID, the feed's token
+ * generation and whether planner tasks are included — never a birthdate or
+ * email. The tasks flag is signed so a SineDay-only URL cannot be edited
+ * into one that lists task titles. Tokens are HMAC-SHA256 with
+ * CALENDAR_FEED_SECRET and encoded as base64url, like unsubscribe tokens.
+ * Rotating or revoking a feed bumps calendar_feeds.token_generation, which
+ * invalidates every previously issued URL.
+ */
+
+import { createHmac } from "node:crypto";
+import { getPublicSiteUrl, isSubscriberUuid, secureEqual } from "./unsubscribe-token.js";
+
+export const CALENDAR_FEED_TOKEN_VERSION = 2;
+
+function getCalendarFeedSecret(secret = process.env.CALENDAR_FEED_SECRET) {
+  if (typeof secret !== "string" || secret.length < 16) return null;
+  return secret;
+}
+
+function isGeneration(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+function encodePayload(profileId, generation, tasks) {
+  return Buffer.from(
+    `${CALENDAR_FEED_TOKEN_VERSION}.${profileId}.${generation}.${tasks ? 1 : 0}`,
+    "utf8"
+  ).toString("base64url");
+}
+
+function signPayload(encodedPayload, secret) {
+  return createHmac("sha256", secret).update(encodedPayload).digest("base64url");
+}
+
+export function createCalendarFeedToken(
+  profileId,
+  generation,
+  secret = process.env.CALENDAR_FEED_SECRET,
+  { tasks = false } = {}
+) {
+  const resolvedSecret = getCalendarFeedSecret(secret);
+  if (!resolvedSecret || !isSubscriberUuid(profileId) || !isGeneration(generation)) {
+    return null;
+  }
+  const payload = encodePayload(profileId.toLowerCase(), generation, tasks);
+  return `${payload}.${signPayload(payload, resolvedSecret)}`;
+}
+
+export function verifyCalendarFeedToken(
+  token,
+  secret = process.env.CALENDAR_FEED_SECRET
+) {
+  const resolvedSecret = getCalendarFeedSecret(secret);
+  if (!resolvedSecret || typeof token !== "string") {
+    return { ok: false, reason: "invalid" };
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  const [encodedPayload, providedSignature] = parts;
+  const expectedSignature = signPayload(encodedPayload, resolvedSecret);
+  if (!secureEqual(providedSignature, expectedSignature)) {
+    return { ok: false, reason: "altered" };
+  }
+
+  let decoded;
+  try {
+    decoded = Buffer.from(encodedPayload, "base64url").toString("utf8");
+  } catch {
+    return { ok: false, reason: "malformed" };
+  }
+
+  // Version 1 tokens predate planner tasks in the feed and stay SineDay-only.
+  const match = /^(\d+)\.([0-9a-f-]{36})\.(\d+)(?:\.([01]))?$/i.exec(decoded);
+  if (!match) return { ok: false, reason: "malformed" };
+
+  const version = Number(match[1]);
+  if (version !== 1 && version !== CALENDAR_FEED_TOKEN_VERSION) {
+    return { ok: false, reason: "unsupported_version" };
+  }
+  if ((version === 1) !== (match[4] === undefined)) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  const profileId = match[2].toLowerCase();
+  const generation = Number(match[3]);
+  if (!isSubscriberUuid(profileId) || !isGeneration(generation)) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  return { ok: true, profileId, generation, version, tasks: match[4] === "1" };
+}
+
+/**
+ * https:// and webcal:// URLs for a feed. The look-ahead window and day
+ * filter ride along as plain query parameters; whether planner tasks are
+ * included is part of the signed token.
+ */
+export function buildCalendarFeedUrls(
+  profileId,
+  generation,
+  { days = null, only = [], tasks = false } = {},
+  env = process.env
+) {
+  const site = getPublicSiteUrl(env);
+  const token = createCalendarFeedToken(profileId, generation, env.CALENDAR_FEED_SECRET, { tasks });
+  if (!site || !token) return null;
+
+  const params = new URLSearchParams({ token });
+  if (days) params.set("days", String(days));
+  if (only.length) params.set("only", only.join(","));
+
+  const url = `${site}/api/calendar-feed?${params.toString()}`;
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+}
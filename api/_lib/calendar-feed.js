@@ -0,0 +1,171 @@
+/**
+ * SineDay ICS feed content.
+ *
+ * One all-day event per civil date with the SineDay number, phase and the
+ * DAY_DETAILS paragraph. Feeds keep a short look-back so yesterday does not
+ * vanish from subscribed calendars the moment they refresh.
+ *
+ * When the signed token asks for them, the profile's planner tasks ride
+ * along: repeating ones as a single event with RRULE/EXDATE
+ * (js/task-rrule.js), moved or renamed occurrences as RECURRENCE-ID events.
+ */
+
+import { buildIcsCalendar, buildIcsEvent, formatIcsDate } from "./ics.js";
+import {
+  FORECAST_MAX_DAYS,
+  addDaysYmd,
+  buildSineDayForecast,
+  forecastStartForTimeZone
+} from "./sineday-forecast.js";
+import {
+  compareYmd,
+  countEndDate,
+  isRepeatingTask,
+  normalizeExceptionDates,
+  normalizeOccurrenceOverrides,
+  ruleMatchesDate,
+  taskStartDate
+} from "../../js/task-recurrence.js";
+import { firstOccurrenceDate, taskRecurrenceLines } from "../../js/task-rrule.js";
+
+export const FEED_DEFAULT_DAYS = 90;
+export const FEED_MIN_DAYS = 7;
+export const FEED_MAX_DAYS = 366;
+export const FEED_LOOKBACK_DAYS = 7;
+export const FEED_REFRESH_HOURS = 12;
+
+export const FEED_TASK_COLUMNS =
+  "id, title, start_date, repeat_mode, repeat_interval, repeat_until, repeat_sinedays, repeat_weekdays, repeat_monthdays, repeat_nth, repeat_count, exception_dates, occurrence_overrides";
+
+/**
+ * Normalizes ?days= and ?only= query values. Unknown or
+ * out-of-range values fall back to defaults instead of failing, so a
+ * hand-edited URL still works.
+ */
+export function parseFeedOptions(query = {}) {
+  let days = Number(query.days);
+  if (!Number.isInteger(days)) days = FEED_DEFAULT_DAYS;
+  days = Math.max(FEED_MIN_DAYS, Math.min(FEED_MAX_DAYS, days));
+
+  const only = [
+    ...new Set(
+      String(query.only || "")
+        .split(",")
+        .map((value) => Number(value.trim()))
+        .filter((day) => Number.isInteger(day) && day >= 1 && day <= 18)
+    )
+  ].sort((a, b) => a - b);
+
+  return { days, only };
+}
+
+/**
+ * VEVENTs for planner tasks that have occurrences between start and end.
+ * SineDay rules list their dates in the window as RDATEs next to the
+ * X-SINEDAY-RULE, so they need the owner's birthdate.
+ */
+export function buildTaskEvents(tasks, { birthdate, start, end, host, now }) {
+  const events = [];
+  for (const task of tasks || []) {
+    const uid = `task-${task.id}@${host}`;
+    const allDay = (date) => ({ date, endDate: addDaysYmd(date, 1), categories: ["Planner"], dtstamp: now });
+
+    if (!isRepeatingTask(task)) {
+      const date = taskStartDate(task);
+      if (date && compareYmd(date, start) >= 0 && compareYmd(date, end) <= 0) {
+        events.push(buildIcsEvent({ uid, summary: task.title, ...allDay(date) }));
+      }
+      continue;
+    }
+
+    const lastDate = [task.repeat_until, countEndDate(task)].filter(Boolean).sort()[0];
+    if (lastDate && compareYmd(lastDate, start) < 0) continue;
+
+    // Clients expand an RRULE from the series start; RDATEs only cover the window.
+    const sineday = task.repeat_mode === "sineday";
+    const first = firstOccurrenceDate(task, birthdate, sineday ? start : null);
+    if (!first || compareYmd(first, end) > 0) continue;
+    const extraLines = taskRecurrenceLines(task, { birthdate, from: first, to: end });
+    if (!extraLines.length) continue;
+    events.push(buildIcsEvent({ uid, summary: task.title, extraLines, ...allDay(first) }));
+
+    const exceptions = new Set(normalizeExceptionDates(task.exception_dates));
+    const overrides = normalizeOccurrenceOverrides(task.occurrence_overrides);
+    for (const [occurrenceDate, override] of Object.entries(overrides)) {
+      if (exceptions.has(occurrenceDate) || !ruleMatchesDate(task, occurrenceDate, birthdate)) continue;
+      if (sineday && (compareYmd(occurrenceDate, first) < 0 || compareYmd(occurrenceDate, end) > 0)) continue;
+      events.push(
+        buildIcsEvent({
+          uid,
+          summary: override.title || task.title,
+          extraLines: [`RECURRENCE-ID;VALUE=DATE:${formatIcsDate(occurrenceDate)}`],
+          ...allDay(override.date || occurrenceDate)
+        })
+      );
+    }
+  }
+  return events;
+}
+
+/**
+ * Forecast rows for the whole feed window. The look-back can take a long
+ * feed past FORECAST_MAX_DAYS, so the rows are built in pieces.
+ */
+function buildFeedRows(birthdate, start, total) {
+  const rows = [];
+  for (let offset = 0; offset < total; offset += FORECAST_MAX_DAYS) {
+    const piece = buildSineDayForecast(
+      birthdate,
+      addDaysYmd(start, offset),
+      Math.min(FORECAST_MAX_DAYS, total - offset)
+    );
+    if (!piece) return [];
+    rows.push(...piece);
+  }
+  return rows;
+}
+
+export function buildSineDayFeed({
+  profile,
+  days = FEED_DEFAULT_DAYS,
+  only = [],
+  tasks = [],
+  now = new Date(),
+  host = "sineday.app"
+}) {
+  const today = forecastStartForTimeZone(profile.timezone, now);
+  const start = addDaysYmd(today, -FEED_LOOKBACK_DAYS);
+  const rows = buildFeedRows(profile.birthdate, start, FEED_LOOKBACK_DAYS + days);
+  const filter = only.length ? new Set(only) : null;
+
+  const events = rows
+    .filter((row) => !filter || filter.has(row.day))
+    .map((row) =>
+      buildIcsEvent({
+        uid: `${row.date}-${profile.id}@${host}`,
+        date: row.date,
+        endDate: addDaysYmd(row.date, 1),
+        summary: `SineDay ${row.day} · ${row.phase}`,
+        description: [row.description, row.details?.paragraph].filter(Boolean).join("\n\n"),
+        categories: ["SineDay", row.boundary ? row.boundary.replace(/_/g, " ") : null].filter(Boolean),
+        dtstamp: now
+      })
+    );
+  events.push(
+    ...buildTaskEvents(tasks, {
+      birthdate: profile.birthdate,
+      start,
+      end: addDaysYmd(today, days - 1),
+      host,
+      now
+    })
+  );
+
+  const name = profile.display_name ? `SineDay · ${profile.display_name}` : "SineDay";
+  return buildIcsCalendar({
+    name,
+    description: "Your personal 18-day SineDay wave",
+    refreshHours: FEED_REFRESH_HOURS,
+    events
+  });
+}
@@ -2,6 +2,7 @@ import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
 import { calculateSineDayForYmd } from "../../js/sineday-engine.js";
 import { duckUrlFromSinedayNumber } from "../../js/sineducks.js";
 import { isRtlLocale } from "../../shared/i18n.js";
+import { resolveContentLanguage, translate } from "../../shared/content.js";
 
 const MS_PER_DAY = 86400000;
 
@@ -50,8 +51,32 @@ function monthMatrixUTC(year, monthIndex, weekStart) {
   return weeks;
 }
 
-function weekdayLabels(locale, weekStart) {
-  const dtf = new Intl.DateTimeFormat(locale, { weekday: "short", timeZone: "UTC" });
+/**
+ * Standard PDF fonts only encode WinAnsi (Latin) text. Strings in scripts
+ * they cannot draw (Japanese, Chinese, Arabic) fall back to English.
+ */
+function canEncode(font, text) {
+  try {
+    font.encodeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function pdfString(font, key, language, vars) {
+  const text = translate(key, language, vars);
+  return canEncode(font, text) ? text : translate(key, "en", vars);
+}
+
+function pdfDateFormat(font, locale, options) {
+  const dtf = new Intl.DateTimeFormat(locale, options);
+  const probe = dtf.format(new Date(Date.UTC(2023, 0, 1, 12)));
+  return canEncode(font, probe) ? dtf : new Intl.DateTimeFormat("en-US", options);
+}
+
+function weekdayLabels(font, locale, weekStart) {
+  const dtf = pdfDateFormat(font, locale, { weekday: "short", timeZone: "UTC" });
   const baseSun = new Date(Date.UTC(2023, 0, 1, 12)); // Sunday
   const labels = [];
   for (let i = 0; i < 7; i++) labels.push(dtf.format(addDaysUTC(baseSun, i)));
@@ -73,7 +98,7 @@ async function loadDuckPngBytes(relativePath, origin) {
   return new Uint8Array(ab);
 }
 
-async function buildDuckCache(pdf, origin) {
+export async function buildDuckCache(pdf, origin) {
   const cache = new Map();
   for (let day = 1; day <= 18; day++) {
     const rel = duckUrlFromSinedayNumber(day);
@@ -128,14 +153,14 @@ export async function renderMonthPdf({
   const duckCache = await buildDuckCache(pdf, origin);
   const rtl = isRtlLocale(locale);
 
-  const dtfTitle = new Intl.DateTimeFormat(locale, { month: "long", year: "numeric", timeZone: "UTC" });
+  const dtfTitle = pdfDateFormat(bold, locale, { month: "long", year: "numeric", timeZone: "UTC" });
   const title = dtfTitle.format(new Date(Date.UTC(year, monthIndex, 1, 12))) + (titleSuffix ? `  ·  ${titleSuffix}` : "");
 
   page.drawText(title, { x: margin, y: H - margin - 20, size: 18, font: bold });
 
   drawFooter(page, font, W, year);
 
-  const labels = weekdayLabels(locale, weekStart);
+  const labels = weekdayLabels(bold, locale, weekStart);
   const headerTop = H - margin - 52;
   const gridTop = headerTop - 18;
   const gridBottom = margin + 40;
@@ -251,7 +276,7 @@ export async function renderWeekPdf({
   const start = new Date(Date.UTC(yy, (mm || 1) - 1, dd || 1, 12));
 
   const end = addDaysUTC(start, 6);
-  const dtfRange = new Intl.DateTimeFormat(locale, {
+  const dtfRange = pdfDateFormat(bold, locale, {
     month: "short",
     day: "numeric",
     year: "numeric",
@@ -261,7 +286,7 @@ export async function renderWeekPdf({
     `${dtfRange.format(start)} – ${dtfRange.format(end)}` +
     (titleSuffix ? `  ·  ${titleSuffix}` : "");
 
-  const dtfDay = new Intl.DateTimeFormat(locale, {
+  const dtfDay = pdfDateFormat(bold, locale, {
     weekday: "long",
     month: "short",
     day: "numeric",
@@ -423,7 +448,8 @@ export async function renderDayPdf({
   const result = profile?.birthdate ? calculateSineDayForYmd(profile.birthdate, dateYmd) : null;
   const dayNumber = result?.day || null;
 
-  const dateText = new Intl.DateTimeFormat(locale, {
+  const language = resolveContentLanguage(locale);
+  const dateText = pdfDateFormat(bold, locale, {
     weekday: "long",
     month: "long",
     day: "numeric",
@@ -470,7 +496,7 @@ export async function renderDayPdf({
     }
   }
 
-  const headerText = "How did the day's wave feel? Circle a duck.";
+  const headerText = pdfString(bold, "pdf.day.moodPrompt", language);
   const headerY = H - margin - 18;
 
   page.drawText(headerText, {
@@ -487,7 +513,7 @@ export async function renderDayPdf({
   const bottomDuckBottomY = margin + 52;
   drawMoodDuckRow(bottomDuckBottomY, 10, { invertedArc: true });
 
-  page.drawText("Choose the duck that matches the moment.", {
+  page.drawText(pdfString(font, "pdf.day.moodHint", language), {
     x: margin,
     y: bottomDuckBottomY + moodDuckH + 14,
     size: 10,
@@ -509,7 +535,9 @@ export async function renderDayPdf({
     color: black
   });
 
-  const profileText = titleSuffix ? `Journal page for ${titleSuffix}` : "Daily SineDay journal page";
+  const profileText = titleSuffix
+    ? pdfString(font, "pdf.day.journalFor", language, { name: titleSuffix })
+    : pdfString(font, "pdf.day.journalDefault", language);
   const profileW = font.widthOfTextAtSize(profileText, 9);
   page.drawText(profileText, {
     x: centerX - profileW / 2,
@@ -539,7 +567,7 @@ export async function renderDayPdf({
     color: rgb(1, 1, 1)
   });
 
-  page.drawText("Today's thoughts", {
+  page.drawText(pdfString(bold, "pdf.day.thoughts", language), {
     x: writeX + 14,
     y: writeTop - 22,
     size: 12,
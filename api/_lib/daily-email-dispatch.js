@@ -34,7 +34,7 @@ async function loadEligibility(supabase, subscriberId) {
 
   const { data: preferences, error: preferencesError } = await supabase
     .from("subscriber_preferences")
-    .select("email_enabled, email_opt_in, email_opt_in_at")
+    .select("email_enabled, email_opt_in, email_opt_in_at, language")
     .eq("subscriber_id", subscriberId)
     .maybeSingle();
   if (preferencesError) throw preferencesError;
@@ -47,7 +47,7 @@ async function loadEligibility(supabase, subscriberId) {
     preferences?.email_opt_in === true &&
     preferences?.email_opt_in_at != null;
 
-  return { eligible };
+  return { eligible, language: preferences?.language || "en" };
 }
 
 async function updateDelivery(supabase, deliveryId, patch) {
@@ -82,7 +82,7 @@ export async function dispatchClaimedDailyEmails({
     }
 
     try {
-      const { eligible } = await loadEligibility(supabase, subscriberId);
+      const { eligible, language } = await loadEligibility(supabase, subscriberId);
       if (!eligible) {
         await updateDelivery(supabase, deliveryId, {
           status: "skipped",
@@ -95,7 +95,7 @@ export async function dispatchClaimedDailyEmails({
 
       const day = calculateDailySineDay(claim.origin_day, claim.local_date);
       const templateAlias = getDailyTemplateAlias(day);
-      const subject = getDailyEmailSubject(day);
+      const subject = getDailyEmailSubject(day, language);
       const optOutUrl = buildUnsubscribePageUrl(subscriberId, env);
       const apiUnsubscribeUrl = buildUnsubscribeApiUrl(subscriberId, env);
       const listHeaders = buildListUnsubscribeHeaders(apiUnsubscribeUrl);
@@ -7,6 +7,7 @@
  */
 
 import { ORIGIN_ANCHOR_DATE } from "../../shared/origin-wave.js";
+import { getDayContent, resolveContentLanguage, translate } from "../../shared/content.js";
 import { parseStrictYmd } from "./email-rhythm.js";
 
 export const WELCOME_TEMPLATE_ALIAS = "welcomeemail";
@@ -32,26 +33,12 @@ export const DAILY_TEMPLATE_ALIASES = Object.freeze({
   18: "day18emergingculmination"
 });
 
-export const DAILY_SINEDAY_TITLES = Object.freeze({
-  1: "Initiation",
-  2: "Momentum",
-  3: "Creativity",
-  4: "Connection",
-  5: "Productivity",
-  6: "Balance",
-  7: "Insight",
-  8: "Challenge",
-  9: "Transition",
-  10: "Reflection",
-  11: "Integration",
-  12: "Recalibration",
-  13: "Release",
-  14: "Inner Work",
-  15: "Healing",
-  16: "Preparation",
-  17: "Foundation",
-  18: "Culmination"
-});
+/** English day titles; subjects in other languages come from the content packs. */
+export const DAILY_SINEDAY_TITLES = Object.freeze(
+  Object.fromEntries(
+    Array.from({ length: 18 }, (_, i) => [i + 1, getDayContent(i + 1).title])
+  )
+);
 
 export const DAILY_EMAIL_SEND_INTERVAL_MS = 250;
 export const DAILY_EMAIL_CLAIM_LIMIT = 50;
@@ -119,10 +106,10 @@ export function getDailyTemplateAlias(day) {
   return alias;
 }
 
-export function getDailyEmailSubject(day) {
-  const title = DAILY_SINEDAY_TITLES[day];
-  if (!title) return null;
-  return `Your SineDay — Day ${day}: ${title}`;
+export function getDailyEmailSubject(day, language = "en") {
+  if (!DAILY_SINEDAY_TITLES[day]) return null;
+  const lang = resolveContentLanguage(language);
+  return translate("email.subject", lang, { day, title: getDayContent(day, lang).title });
 }
 
 export function isValidIanaTimeZone(timeZone) {
@@ -0,0 +1,100 @@
+/**
+ * Minimal RFC 5545 writer for SineDay calendar output.
+ *
+ * Handles the parts calendar clients are strict about: CRLF line endings,
+ * TEXT escaping and folding lines at 75 octets (not characters).
+ */
+
+const CRLF = "\r\n";
+const MAX_LINE_OCTETS = 75;
+
+export function escapeIcsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r\n|\r|\n/g, "\\n")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,");
+}
+
+export function foldIcsLine(line) {
+  const chunks = [];
+  let current = "";
+  let currentOctets = 0;
+  for (const char of String(line)) {
+    const octets = Buffer.byteLength(char, "utf8");
+    // Continuation lines start with a space, which counts toward the limit.
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = "";
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+  return chunks.join(`${CRLF} `);
+}
+
+/** YYYY-MM-DD → YYYYMMDD (DATE value) */
+export function formatIcsDate(ymd) {
+  return String(ymd).replace(/-/g, "");
+}
+
+/** Date → YYYYMMDDTHHMMSSZ (UTC DATE-TIME value) */
+export function formatIcsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * One VEVENT. All-day events use `date` (YYYY-MM-DD) and an exclusive
+ * `endDate`; extraLines are pre-formatted "NAME:VALUE" properties.
+ */
+export function buildIcsEvent({
+  uid,
+  date,
+  endDate,
+  summary,
+  description = "",
+  categories = [],
+  extraLines = [],
+  dtstamp = new Date()
+}) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatIcsDateTime(dtstamp)}`,
+    `DTSTART;VALUE=DATE:${formatIcsDate(date)}`
+  ];
+  if (endDate) lines.push(`DTEND;VALUE=DATE:${formatIcsDate(endDate)}`);
+  lines.push(`SUMMARY:${escapeIcsText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  if (categories.length) {
+    lines.push(`CATEGORIES:${categories.map(escapeIcsText).join(",")}`);
+  }
+  lines.push("TRANSP:TRANSPARENT", ...extraLines, "END:VEVENT");
+  return lines;
+}
+
+/**
+ * Full VCALENDAR document as a CRLF string.
+ * events are arrays of unfolded lines (see buildIcsEvent).
+ */
+export function buildIcsCalendar({
+  prodId = "-//SineDay//SineDay Calendar//EN",
+  name = "",
+  description = "",
+  refreshHours = null,
+  events = []
+}) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${prodId}`, "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+  if (name) lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+  if (description) lines.push(`X-WR-CALDESC:${escapeIcsText(description)}`);
+  if (refreshHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshHours}H`);
+  }
+  for (const event of events) lines.push(...event);
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,514 @@
+/**
+ * Journal book PDF — a 6×9" bound book of one profile's journal: cover, a
+ * divider per month with that month's SineDay wave, one section per entry
+ * (actual and felt ducks, the text, photos with captions) and an index of
+ * entries by actual SineDay.
+ *
+ * Pages carry a wider inner margin for the binding, and month dividers, the
+ * index and the first page after the cover start on a right-hand page.
+ *
+ * Latin text WinAnsi can encode uses the standard Helvetica. Anything else
+ * (Greek, Cyrillic, Arabic, Hebrew, Devanagari, Thai, CJK) is drawn with
+ * embedded Noto fonts fetched from JOURNAL_BOOK_FONT_BASE_URL (see the
+ * README). The fonts are not part of the site, so a book that needs one fails
+ * when that is not set or a font cannot be fetched, rather than printing "?".
+ */
+
+import fontkit from "@pdf-lib/fontkit";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import sharp from "sharp";
+import { calculateSineDayForYmd, getDayData } from "../../js/sineday-engine.js";
+import { getOriginTypeForDob } from "../../shared/origin-wave.js";
+import { resolveContentLanguage } from "../../shared/content.js";
+import { getSineDayCopyrightText } from "../../shared/footer-text.js";
+import { buildDuckCache } from "./calendar-pdf.js";
+import {
+  JOURNAL_BOOK_FONTS,
+  groupEntriesBySineDay,
+  hanFontKey,
+  isRtlText,
+  monthsInRange,
+  scriptsInTexts,
+  splitScriptRuns,
+  wrapText
+} from "./journal-book.js";
+
+// 6" x 9" trim.
+const W = 432;
+const H = 648;
+const MARGIN_TOP = 54;
+const MARGIN_BOTTOM = 58;
+const MARGIN_INNER = 56;
+const MARGIN_OUTER = 40;
+const CONTENT_W = W - MARGIN_INNER - MARGIN_OUTER;
+
+const BODY_SIZE = 10.5;
+const BODY_LEADING = 15;
+const CAPTION_SIZE = 8.5;
+const CAPTION_LEADING = 11.5;
+const PHOTO_MAX_H = 300;
+const PHOTO_MAX_PX = 1600;
+
+const INK = rgb(0.12, 0.12, 0.14);
+const MUTED = rgb(0.45, 0.45, 0.48);
+const RULE = rgb(0.82, 0.82, 0.84);
+const WAVE = rgb(0.2, 0.42, 0.78);
+
+const fontBytesCache = new Map();
+
+function fontBaseUrl() {
+  const base = String(process.env.JOURNAL_BOOK_FONT_BASE_URL || "").trim();
+  if (!base) throw new Error("JOURNAL_BOOK_FONT_BASE_URL is not set; it is needed for non-Latin journal text");
+  return base.endsWith("/") ? base : `${base}/`;
+}
+
+// Kept across warm invocations; CJK fonts are several megabytes.
+function loadFontBytes(url) {
+  if (!fontBytesCache.has(url)) {
+    const request = fetch(url).then(async (r) => {
+      if (!r.ok) throw new Error(`Failed to fetch font: ${r.status} ${url}`);
+      return new Uint8Array(await r.arrayBuffer());
+    });
+    request.catch(() => fontBytesCache.delete(url));
+    fontBytesCache.set(url, request);
+  }
+  return fontBytesCache.get(url);
+}
+
+function canEncode(font, text) {
+  try {
+    font.encodeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function standardSafeText(font, text) {
+  if (canEncode(font, text)) return text;
+  let out = "";
+  for (const char of text) out += canEncode(font, char) ? char : "?";
+  return out;
+}
+
+/**
+ * Picks a font per script run and draws or measures mixed-script lines.
+ * Embeds only the scripts (and weights) the book actually uses.
+ */
+async function loadBookFonts(pdf, { regularTexts, boldTexts, locale }) {
+  const standard = {
+    regular: await pdf.embedFont(StandardFonts.Helvetica),
+    bold: await pdf.embedFont(StandardFonts.HelveticaBold)
+  };
+  const embedded = new Map();
+
+  const fontKeyFor = (script) => (script === "han" ? hanFontKey(locale) : script);
+
+  async function embed(script, weight) {
+    const key = fontKeyFor(script);
+    const file = JOURNAL_BOOK_FONTS[key]?.[weight];
+    if (!file) return null;
+    const bytes = await loadFontBytes(fontBaseUrl() + file);
+    // pdf-lib's CFF (.otf) subsetting drops glyphs; embed those whole.
+    return pdf.embedFont(bytes, { subset: !file.endsWith(".otf") });
+  }
+
+  async function prepare(texts, weight) {
+    const scripts = scriptsInTexts(texts);
+    const latinRuns = texts.flatMap((text) =>
+      splitScriptRuns(text).filter((run) => run.script === "latin").map((run) => run.text)
+    );
+    if (latinRuns.every((text) => canEncode(standard[weight], text))) scripts.delete("latin");
+    for (const script of scripts) {
+      const font = await embed(script, weight);
+      if (font) embedded.set(`${script}:${weight}`, font);
+    }
+  }
+
+  await prepare(regularTexts, "regular");
+  await prepare(boldTexts, "bold");
+
+  function runsFor(text, bold) {
+    const weight = bold ? "bold" : "regular";
+    const runs = [];
+    for (const run of splitScriptRuns(text)) {
+      const font =
+        embedded.get(`${run.script}:${weight}`) ||
+        embedded.get(`${run.script}:regular`) ||
+        standard[weight];
+      const drawn = font === standard[weight] ? standardSafeText(font, run.text) : run.text;
+      const last = runs[runs.length - 1];
+      if (last?.font === font) last.text += drawn;
+      else runs.push({ font, text: drawn });
+    }
+    return runs;
+  }
+
+  return {
+    measure(text, size, bold = false) {
+      return runsFor(text, bold).reduce((sum, run) => sum + run.font.widthOfTextAtSize(run.text, size), 0);
+    },
+    /** Draws one line. RTL lines are right-aligned with their runs reversed. */
+    draw(page, text, { x, y, size, bold = false, color = INK, width = null, align = "left" }) {
+      if (!text) return;
+      const runs = runsFor(text, bold);
+      const widths = runs.map((run) => run.font.widthOfTextAtSize(run.text, size));
+      const total = widths.reduce((sum, w) => sum + w, 0);
+      const rtl = isRtlText(text);
+      const boxWidth = width ?? total;
+      let cx = x;
+      if (align === "center") cx = x + (boxWidth - total) / 2;
+      else if (align === "right" || (rtl && width != null)) cx = x + boxWidth - total;
+      const order = rtl ? runs.map((_, i) => runs.length - 1 - i) : runs.map((_, i) => i);
+      for (const i of order) {
+        page.drawText(runs[i].text, { x: cx, y, size, font: runs[i].font, color });
+        cx += widths[i];
+      }
+    }
+  };
+}
+
+function normalizeIntlText(text) {
+  // No-break throughout (dates stay on one line); WinAnsi lacks U+202F.
+  return String(text).replace(/[\u202f\u2009 ]/g, "\u00a0");
+}
+
+function formatYmd(dtf, ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return normalizeIntlText(dtf.format(new Date(Date.UTC(y, m - 1, d, 12))));
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0, 12)).getUTCDate();
+}
+
+/** Downscaled JPEG for the book; null when the photo cannot be read. */
+export async function prepareBookPhoto(bytes) {
+  try {
+    const { data, info } = await sharp(bytes)
+      .rotate()
+      .resize({ width: PHOTO_MAX_PX, height: PHOTO_MAX_PX, fit: "inside", withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: 80, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+    return { bytes: new Uint8Array(data), width: info.width, height: info.height };
+  } catch (err) {
+    console.error("[journal-book] photo skipped:", err?.message || err);
+    return null;
+  }
+}
+
+class BookWriter {
+  constructor(pdf, fonts) {
+    this.pdf = pdf;
+    this.fonts = fonts;
+    this.page = null;
+    this.y = 0;
+    this.blankPages = new Set();
+    this.onContinue = null;
+  }
+
+  get pageNumber() {
+    return this.pdf.getPageCount();
+  }
+
+  /** Left edge of the text block; odd (right-hand) pages bind on the left. */
+  get left() {
+    return this.pageNumber % 2 === 1 ? MARGIN_INNER : MARGIN_OUTER;
+  }
+
+  addPage() {
+    this.page = this.pdf.addPage([W, H]);
+    this.page.drawRectangle({ x: 0, y: 0, width: W, height: H, color: rgb(1, 1, 1) });
+    this.y = H - MARGIN_TOP;
+    return this.page;
+  }
+
+  /** Starts a new right-hand page, leaving a blank left-hand page if needed. */
+  addRectoPage() {
+    if (this.pageNumber % 2 === 1) {
+      this.addPage();
+      this.blankPages.add(this.pageNumber);
+    }
+    return this.addPage();
+  }
+
+  /** Moves to a new page when `height` does not fit above the bottom margin. */
+  ensureSpace(height) {
+    if (this.y - height >= MARGIN_BOTTOM) return false;
+    this.addPage();
+    this.onContinue?.();
+    return true;
+  }
+
+  text(value, { size = BODY_SIZE, bold = false, color = INK, align = "left", leading = size * 1.4 } = {}) {
+    this.ensureSpace(leading);
+    this.y -= leading;
+    this.fonts.draw(this.page, value, { x: this.left, y: this.y + (leading - size), size, bold, color, width: CONTENT_W, align });
+  }
+
+  paragraph(value, { size = BODY_SIZE, leading = BODY_LEADING, color = INK, bold = false } = {}) {
+    const lines = wrapText(value, CONTENT_W, (line) => this.fonts.measure(line, size, bold));
+    for (const line of lines) this.text(line, { size, leading, color, bold });
+  }
+
+  rule() {
+    this.page.drawLine({
+      start: { x: this.left, y: this.y },
+      end: { x: this.left + CONTENT_W, y: this.y },
+      thickness: 0.6,
+      color: RULE
+    });
+  }
+
+  image(img, width, height) {
+    this.ensureSpace(height);
+    this.y -= height;
+    this.page.drawImage(img, { x: this.left + (CONTENT_W - width) / 2, y: this.y, width, height });
+  }
+
+  duck(img, x, y, size) {
+    const scale = size / img.height;
+    this.page.drawImage(img, { x, y, width: img.width * scale, height: size });
+  }
+}
+
+function drawCover(book, { profile, from, to, ducks, dtfRange }) {
+  const page = book.addPage();
+  const { fonts } = book;
+  const year = from.slice(0, 4);
+  const wholeYear = from === `${year}-01-01` && to === `${year}-12-31`;
+  const rangeLabel = wholeYear ? year : `${formatYmd(dtfRange, from)} – ${formatYmd(dtfRange, to)}`;
+
+  const originDay = profile.birthdate ? getOriginTypeForDob(profile.birthdate) : null;
+  const duck = originDay ? ducks.get(originDay) : null;
+  if (duck) book.duck(duck, (W - 150 * (duck.width / duck.height)) / 2, H / 2 - 10, 150);
+
+  fonts.draw(page, profile.display_name || "Journal", {
+    x: MARGIN_OUTER, y: H - 150, size: 26, bold: true, width: W - MARGIN_OUTER * 2, align: "center"
+  });
+  fonts.draw(page, "SineDay Journal", {
+    x: MARGIN_OUTER, y: H - 178, size: 13, color: MUTED, width: W - MARGIN_OUTER * 2, align: "center"
+  });
+  fonts.draw(page, rangeLabel, {
+    x: MARGIN_OUTER, y: H / 2 - 50, size: 16, bold: true, width: W - MARGIN_OUTER * 2, align: "center"
+  });
+  fonts.draw(page, getSineDayCopyrightText(Number(year)), {
+    x: MARGIN_OUTER, y: 36, size: 8, color: MUTED, width: W - MARGIN_OUTER * 2, align: "center"
+  });
+}
+
+function drawMonthDivider(book, { month, profile, entryDays, entryCount, ducks, dtfMonth }) {
+  const page = book.addRectoPage();
+  const { fonts } = book;
+  const left = book.left;
+  const title = normalizeIntlText(dtfMonth.format(new Date(Date.UTC(month.year, month.monthIndex, 1, 12))));
+
+  fonts.draw(page, title, { x: left, y: H - 170, size: 24, bold: true, width: CONTENT_W, align: "center" });
+  fonts.draw(page, entryCount ? `${entryCount} ${entryCount === 1 ? "entry" : "entries"}` : "No entries this month", {
+    x: left, y: H - 192, size: 11, color: MUTED, width: CONTENT_W, align: "center"
+  });
+
+  // The month's actual SineDay wave: one crest per 18-day cycle.
+  const count = daysInMonth(month.year, month.monthIndex);
+  const firstYmd = `${month.key}-01`;
+  const first = profile.birthdate ? calculateSineDayForYmd(profile.birthdate, firstYmd) : null;
+  if (!first) return;
+
+  const mid = H / 2 - 30;
+  const amp = 48;
+  const step = CONTENT_W / Math.max(1, count - 1);
+  const waveY = (t) => mid + amp * Math.sin((2 * Math.PI * (first.daysLived + t)) / 18);
+
+  let prev = null;
+  for (let t = 0; t <= count - 1; t += 0.25) {
+    const point = { x: left + t * step, y: waveY(t) };
+    if (prev) page.drawLine({ start: prev, end: point, thickness: 1.6, color: WAVE });
+    prev = point;
+  }
+  page.drawLine({
+    start: { x: left, y: mid - amp - 26 },
+    end: { x: left + CONTENT_W, y: mid - amp - 26 },
+    thickness: 0.6,
+    color: RULE
+  });
+
+  for (let d = 1; d <= count; d++) {
+    const x = left + (d - 1) * step;
+    const y = waveY(d - 1);
+    const written = entryDays.has(d);
+    if (written) {
+      const dayNumber = ((first.day - 1 + d - 1) % 18) + 1;
+      const duck = ducks.get(dayNumber);
+      if (duck) book.duck(duck, x - 6, y + 5, 12);
+    }
+    page.drawCircle({ x, y, size: written ? 2.6 : 1.6, color: written ? WAVE : MUTED });
+    if (d === 1 || d % 5 === 0) {
+      fonts.draw(page, String(d), { x: x - 6, y: mid - amp - 40, size: 7.5, color: MUTED, width: 12, align: "center" });
+    }
+  }
+}
+
+/**
+ * @param {object} opts
+ * @param {{ id: string, display_name: string, birthdate: string }} opts.profile
+ * @param {Array<object>} opts.entries - oldest first, actual_sineday already resolved
+ * @param {string} opts.from
+ * @param {string} opts.to
+ * @param {string} [opts.locale]
+ * @param {string} opts.origin - site origin for duck images
+ * @param {(path: string) => Promise<Uint8Array|null>} [opts.loadPhoto]
+ * @returns {Promise<{ bytes: Uint8Array, pageCount: number }>}
+ */
+export async function renderJournalBookPdf({ profile, entries, from, to, locale = "en-US", origin, loadPhoto = null }) {
+  const language = resolveContentLanguage(locale);
+  const dtfLong = new Intl.DateTimeFormat(locale, {
+    weekday: "long", day: "numeric", month: "long", year: "numeric", timeZone: "UTC"
+  });
+  const dtfRange = new Intl.DateTimeFormat(locale, { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" });
+  const dtfMonth = new Intl.DateTimeFormat(locale, { month: "long", year: "numeric", timeZone: "UTC" });
+  const multiYear = from.slice(0, 4) !== to.slice(0, 4);
+  const dtfIndex = new Intl.DateTimeFormat(locale, {
+    day: "numeric", month: "short", ...(multiYear ? { year: "numeric" } : {}), timeZone: "UTC"
+  });
+
+  const months = monthsInRange(from, to);
+  const phaseOf = (day) => getDayData(day, language)?.phase || "";
+  const regularTexts = [];
+  const boldTexts = [profile.display_name || "", formatYmd(dtfRange, from), formatYmd(dtfRange, to)];
+  for (const month of months) {
+    boldTexts.push(normalizeIntlText(dtfMonth.format(new Date(Date.UTC(month.year, month.monthIndex, 1, 12)))));
+  }
+  for (const entry of entries) {
+    boldTexts.push(formatYmd(dtfLong, entry.entry_date));
+    regularTexts.push(formatYmd(dtfIndex, entry.entry_date));
+    if (!entry.is_encrypted) {
+      regularTexts.push(entry.content || "");
+      for (const image of entry.images || []) regularTexts.push(image.caption || "");
+    }
+  }
+  for (let day = 1; day <= 18; day++) regularTexts.push(phaseOf(day));
+
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  pdf.setTitle(`${profile.display_name || "Journal"} · SineDay Journal`);
+  pdf.setCreator("SineDay");
+
+  const fonts = await loadBookFonts(pdf, { regularTexts, boldTexts, locale });
+  const ducks = await buildDuckCache(pdf, origin);
+  const book = new BookWriter(pdf, fonts);
+
+  drawCover(book, { profile, from, to, ducks, dtfRange });
+
+  const entryPages = new Map();
+  const byMonth = new Map(months.map((month) => [month.key, []]));
+  for (const entry of entries) byMonth.get(entry.entry_date.slice(0, 7))?.push(entry);
+
+  for (const month of months) {
+    const monthEntries = byMonth.get(month.key);
+    const entryDays = new Set(monthEntries.map((entry) => Number(entry.entry_date.slice(8, 10))));
+    drawMonthDivider(book, { month, profile, entryDays, entryCount: monthEntries.length, ducks, dtfMonth });
+    if (!monthEntries.length) continue;
+    book.addPage();
+
+    for (const entry of monthEntries) {
+      const dateLabel = formatYmd(dtfLong, entry.entry_date);
+      // Date heading, duck row and two lines of text stay together.
+      if (book.y < H - MARGIN_TOP) {
+        book.ensureSpace(110);
+        if (book.y < H - MARGIN_TOP) {
+          book.y -= 10;
+          book.rule();
+          book.y -= 8;
+        }
+      }
+      entryPages.set(entry.entry_date, book.pageNumber);
+      book.onContinue = () => {
+        book.text(`${dateLabel} (continued)`, { size: 8.5, color: MUTED, leading: 16 });
+      };
+
+      book.text(dateLabel, { size: 13, bold: true, leading: 20 });
+
+      const duckRowY = book.y - 36;
+      const actual = Number(entry.actual_sineday) || null;
+      const felt = Number(entry.felt_sineday) || null;
+      const rowItems = [
+        actual && { day: actual, label: `Actual · Day ${actual}`, sub: phaseOf(actual) },
+        felt && { day: felt, label: `Felt · Day ${felt}`, sub: phaseOf(felt) }
+      ].filter(Boolean);
+      rowItems.forEach((item, i) => {
+        const x = book.left + i * (CONTENT_W / 2);
+        const duck = ducks.get(item.day);
+        if (duck) book.duck(duck, x, duckRowY, 30);
+        fonts.draw(book.page, item.label, { x: x + 36, y: duckRowY + 17, size: 9, bold: true });
+        fonts.draw(book.page, item.sub, { x: x + 36, y: duckRowY + 5, size: 8.5, color: MUTED });
+      });
+      if (rowItems.length) book.y = duckRowY - 10;
+
+      if (entry.is_encrypted) {
+        book.paragraph("This entry is encrypted, so its words stay on your devices.", { color: MUTED });
+        book.onContinue = null;
+        continue;
+      }
+
+      if ((entry.content || "").trim()) book.paragraph(entry.content.trim());
+
+      for (const image of entry.images || []) {
+        if (!loadPhoto) break;
+        const raw = await loadPhoto(image.path);
+        const photo = raw ? await prepareBookPhoto(raw) : null;
+        if (!photo) continue;
+        const embedded = await pdf.embedJpg(photo.bytes);
+        const scale = Math.min(CONTENT_W / photo.width, PHOTO_MAX_H / photo.height);
+        const width = photo.width * scale;
+        const height = photo.height * scale;
+        const captionLines = image.caption
+          ? wrapText(image.caption, CONTENT_W, (line) => fonts.measure(line, CAPTION_SIZE))
+          : [];
+        book.ensureSpace(height + 12 + captionLines.length * CAPTION_LEADING);
+        book.y -= 10;
+        book.image(embedded, width, height);
+        for (const line of captionLines) {
+          book.text(line, { size: CAPTION_SIZE, leading: CAPTION_LEADING, color: MUTED, align: "center" });
+        }
+      }
+      book.onContinue = null;
+    }
+  }
+
+  // Index of entries by actual SineDay.
+  const groups = groupEntriesBySineDay(entries);
+  if (groups.length) {
+    book.addRectoPage();
+    book.text("Index by SineDay", { size: 18, bold: true, leading: 28 });
+    book.y -= 6;
+    for (const group of groups) {
+      book.ensureSpace(48);
+      book.y -= 26;
+      const duck = ducks.get(group.day);
+      if (duck) book.duck(duck, book.left, book.y, 22);
+      fonts.draw(book.page, `Day ${group.day} · ${phaseOf(group.day)}`, {
+        x: book.left + 28, y: book.y + 7, size: 11, bold: true
+      });
+      const items = group.dates.map(
+        (ymd) => `${formatYmd(dtfIndex, ymd)}\u00a0·\u00a0p.\u00a0${entryPages.get(ymd) ?? "–"}`
+      );
+      book.y -= 2;
+      book.paragraph(items.join(";  "), { size: 9, leading: 13, color: INK });
+    }
+  }
+
+  // Page numbers on the outer corner; none on the cover or blank pages.
+  const pages = pdf.getPages();
+  pages.forEach((page, index) => {
+    const number = index + 1;
+    if (number === 1 || book.blankPages.has(number)) return;
+    const label = String(number);
+    const width = fonts.measure(label, 8.5);
+    const x = number % 2 === 1 ? W - MARGIN_OUTER - width : MARGIN_OUTER;
+    fonts.draw(page, label, { x, y: 30, size: 8.5, color: MUTED });
+  });
+
+  const bytes = await pdf.save();
+  return { bytes, pageCount: pages.length };
+}
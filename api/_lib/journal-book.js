@@ -0,0 +1,222 @@
+/**
+ * Journal book — everything /api/print-journal-book needs that does not draw:
+ * request parsing, which embedded fonts a book needs, splitting text into
+ * single-font runs, line wrapping and the by-SineDay index. Drawing lives in
+ * journal-book-pdf.js.
+ */
+
+import { parseStrictYmd } from "./email-rhythm.js";
+import { parseJournalProfileId } from "./journal-profile.js";
+
+const MS_PER_DAY = 86400000;
+
+/** Longest custom range, so a book stays printable in one function run. */
+export const JOURNAL_BOOK_MAX_DAYS = 731;
+
+/**
+ * Noto fonts per script, by file name under the font base URL (see
+ * journal-book-pdf.js). Latin text that WinAnsi can encode is drawn with the
+ * standard Helvetica instead and needs no download.
+ */
+export const JOURNAL_BOOK_FONTS = Object.freeze({
+  latin: { regular: "NotoSans-Regular.ttf", bold: "NotoSans-Bold.ttf" },
+  arabic: { regular: "NotoSansArabic-Regular.ttf", bold: "NotoSansArabic-Bold.ttf" },
+  hebrew: { regular: "NotoSansHebrew-Regular.ttf", bold: "NotoSansHebrew-Bold.ttf" },
+  devanagari: { regular: "NotoSansDevanagari-Regular.ttf", bold: "NotoSansDevanagari-Bold.ttf" },
+  thai: { regular: "NotoSansThai-Regular.ttf", bold: "NotoSansThai-Bold.ttf" },
+  hangul: { regular: "NotoSansKR-Regular.otf", bold: "NotoSansKR-Bold.otf" },
+  "han-jp": { regular: "NotoSansJP-Regular.otf", bold: "NotoSansJP-Bold.otf" },
+  "han-sc": { regular: "NotoSansSC-Regular.otf", bold: "NotoSansSC-Bold.otf" },
+  "han-tc": { regular: "NotoSansTC-Regular.otf", bold: "NotoSansTC-Bold.otf" },
+});
+
+export const RTL_SCRIPTS = new Set(["arabic", "hebrew"]);
+
+const SCRIPT_TESTS = [
+  ["arabic", /\p{Script=Arabic}/u],
+  ["hebrew", /\p{Script=Hebrew}/u],
+  ["devanagari", /\p{Script=Devanagari}/u],
+  ["thai", /\p{Script=Thai}/u],
+  ["hangul", /\p{Script=Hangul}/u],
+  ["han", /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Bopomofo}]/u],
+  ["latin", /[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}]/u],
+];
+
+/**
+ * The script a character needs a font for, or null for characters every
+ * font has (spaces, digits, punctuation) that join the run around them.
+ */
+export function scriptOfChar(char) {
+  for (const [script, pattern] of SCRIPT_TESTS) {
+    if (pattern.test(char)) return script;
+  }
+  // CJK punctuation and full-width forms only exist in the CJK fonts.
+  if (/[\u3000-\u303f\uff01-\uff60]/.test(char)) return "han";
+  return null;
+}
+
+/** Han characters look different per language; the book's locale picks the font. */
+export function hanFontKey(locale) {
+  const tag = String(locale || "").toLowerCase();
+  if (/^zh-(tw|hk|mo)|^zh-hant/.test(tag)) return "han-tc";
+  if (tag.startsWith("zh")) return "han-sc";
+  if (tag.startsWith("ko")) return "hangul";
+  return "han-jp";
+}
+
+/** Splits text into [{ script, text }] runs that each draw with one font. */
+export function splitScriptRuns(text) {
+  const runs = [];
+  let pending = "";
+  for (const char of String(text ?? "")) {
+    const script = scriptOfChar(char);
+    const last = runs[runs.length - 1];
+    if (!script) {
+      if (last) last.text += char;
+      else pending += char;
+      continue;
+    }
+    if (last?.script === script) {
+      last.text += char;
+    } else {
+      runs.push({ script, text: pending + char });
+      pending = "";
+    }
+  }
+  if (pending) runs.push({ script: "latin", text: pending });
+  return runs;
+}
+
+/** Every script that occurs in the given strings. */
+export function scriptsInTexts(texts) {
+  const scripts = new Set();
+  for (const text of texts) {
+    for (const run of splitScriptRuns(text)) scripts.add(run.script);
+  }
+  return scripts;
+}
+
+/** True when the first letter of the text is Arabic or Hebrew. */
+export function isRtlText(text) {
+  const first = splitScriptRuns(text).find((run) => /\p{L}/u.test(run.text));
+  return !!first && RTL_SCRIPTS.has(first.script);
+}
+
+// Words, single CJK/Thai characters (they break anywhere) and whitespace.
+// No-break spaces stay inside words.
+const TOKEN_RE =
+  /[^\S\u00a0]+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\u3000-\u303f\uff01-\uff60]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\u3000-\u303f\uff01-\uff60\u00a0]+(?:\u00a0+[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\u3000-\u303f\uff01-\uff60\u00a0]+)*\u00a0*/gu;
+
+/**
+ * Wraps text into lines no wider than maxWidth. Paragraph breaks are kept
+ * (an empty string marks a blank line); runs of whitespace collapse; words
+ * wider than a line are broken between characters.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {(text: string) => number} measure
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, measure) {
+  const lines = [];
+  const paragraphs = String(text ?? "").replace(/\r\n?/g, "\n").split("\n");
+  for (const paragraph of paragraphs) {
+    let line = "";
+    for (const token of paragraph.match(TOKEN_RE) || []) {
+      if (/^[^\S\u00a0]+$/.test(token)) {
+        if (line) line += " ";
+        continue;
+      }
+      if (measure(line + token) <= maxWidth) {
+        line += token;
+        continue;
+      }
+      if (line.trim()) lines.push(line.trimEnd());
+      line = "";
+      for (const char of token) {
+        if (line && measure(line + char) > maxWidth) {
+          lines.push(line);
+          line = "";
+        }
+        line += char;
+      }
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+/** Every month the range touches, in order. */
+export function monthsInRange(from, to) {
+  const months = [];
+  let year = Number(from.slice(0, 4));
+  let monthIndex = Number(from.slice(5, 7)) - 1;
+  const endKey = to.slice(0, 7);
+  for (;;) {
+    const key = `${year}-${String(monthIndex + 1).padStart(2, "0")}`;
+    if (key > endKey) break;
+    months.push({ key, year, monthIndex });
+    monthIndex += 1;
+    if (monthIndex > 11) {
+      monthIndex = 0;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+/** Entry dates grouped by actual SineDay 1–18, oldest first; empty days are left out. */
+export function groupEntriesBySineDay(entries) {
+  const days = new Map();
+  for (const entry of entries) {
+    const day = Number(entry.actual_sineday);
+    if (!Number.isInteger(day) || day < 1 || day > 18) continue;
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(entry.entry_date);
+  }
+  return [...days.keys()]
+    .sort((a, b) => a - b)
+    .map((day) => ({ day, dates: days.get(day).sort() }));
+}
+
+/**
+ * Validates a POST body: { profileId?, year } or { profileId?, from, to },
+ * plus optional locale and includePhotos.
+ */
+export function parseJournalBookRequest(body) {
+  const hasYear = body?.year != null && body.year !== "";
+  let from;
+  let to;
+  if (hasYear) {
+    if (body.from || body.to) return { error: "Send either year or from and to" };
+    if (!/^\d{4}$/.test(String(body.year))) return { error: "year must be a four-digit year" };
+    from = `${body.year}-01-01`;
+    to = `${body.year}-12-31`;
+  } else {
+    from = String(body?.from || "").trim();
+    to = String(body?.to || "").trim();
+    if (!parseStrictYmd(from) || !parseStrictYmd(to)) {
+      return { error: "Send a year, or from and to as YYYY-MM-DD" };
+    }
+    if (from > to) return { error: "from must be on or before to" };
+    const days = (Date.parse(`${to}T12:00:00Z`) - Date.parse(`${from}T12:00:00Z`)) / MS_PER_DAY + 1;
+    if (days > JOURNAL_BOOK_MAX_DAYS) {
+      return { error: `A book covers at most ${JOURNAL_BOOK_MAX_DAYS} days` };
+    }
+  }
+
+  const profile = parseJournalProfileId(body?.profileId);
+  if (profile.error) return { error: profile.error };
+
+  const locale =
+    typeof body?.locale === "string" && /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(body.locale)
+      ? body.locale
+      : "en-US";
+
+  return {
+    profileId: profile.profileId,
+    from,
+    to,
+    locale,
+    includePhotos: body?.includePhotos !== false,
+  };
+}
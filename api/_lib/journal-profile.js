@@ -0,0 +1,31 @@
+/**
+ * Which profile a journal API call reads. Journals can belong to any profile
+ * the caller owns; without ?profileId the owner profile is used, as before.
+ */
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** @returns {{ profileId: string|null } | { error: string }} */
+export function parseJournalProfileId(value) {
+  const profileId = String(value ?? "").trim();
+  if (!profileId) return { profileId: null };
+  if (!UUID_RE.test(profileId)) return { error: "profileId must be a profile id" };
+  return { profileId };
+}
+
+/**
+ * The caller's profile with that id, or their owner profile when profileId
+ * is null. Resolves to null when there is no such profile for this user.
+ */
+export async function loadJournalProfile(admin, userId, profileId, columns = "id") {
+  let request = admin.from("profiles").select(columns).eq("user_id", userId);
+  request = profileId ? request.eq("id", profileId) : request.eq("is_owner", true);
+  const { data, error } = await request.maybeSingle();
+  if (error) throw new Error(`Failed to load profile: ${error.message}`);
+  return data || null;
+}
+
+export function journalProfileNotFound(profileId) {
+  return profileId ? "Profile not found" : "Owner profile not found";
+}
@@ -0,0 +1,43 @@
+/**
+ * Server side of "On this SineDay": reads the caller's lookback setting and
+ * the journal rows for the recall dates. Used by /api/journal-recall and
+ * suitable for the daily email, which already has an admin client.
+ */
+
+import {
+  buildJournalRecall,
+  buildJournalRecallDates,
+  normalizeRecallCycles,
+  recallLookupDates
+} from "../../js/journal-recall.js";
+
+/** user_settings.journal_recall_cycles, or the default when unset. */
+export async function loadJournalRecallCycles(admin, userId) {
+  const { data, error } = await admin
+    .from("user_settings")
+    .select("journal_recall_cycles")
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load journal recall setting: ${error.message}`);
+  return normalizeRecallCycles(data?.journal_recall_cycles);
+}
+
+/**
+ * @param {import('@supabase/supabase-js').SupabaseClient} admin
+ * @param {{ userId: string, profileId: string, date: string, cycles: number, years: number }} options
+ */
+export async function loadJournalRecall(admin, { userId, profileId, date, cycles, years }) {
+  const dates = buildJournalRecallDates(date, { cycles, years });
+  const lookup = recallLookupDates(dates);
+  if (!lookup.length) return buildJournalRecall([], dates);
+
+  const { data, error } = await admin
+    .from("journal_entries")
+    .select("entry_date, actual_sineday, felt_sineday, content, image_path, prompt_ids")
+    .eq("user_id", userId)
+    .eq("profile_id", profileId)
+    .in("entry_date", lookup);
+  if (error) throw new Error(`Failed to load journal recall: ${error.message}`);
+
+  return buildJournalRecall(data || [], dates);
+}
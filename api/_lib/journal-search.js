@@ -0,0 +1,198 @@
+/**
+ * Journal search helpers.
+ *
+ * The database does matching and filtering (content_search tsvector, see
+ * 20261019140408_journal_search.sql); snippets are cut here so the client gets
+ * plain text plus highlight offsets and never has to trust HTML.
+ */
+
+import { parseStrictYmd } from "./email-rhythm.js";
+import {
+  JOURNAL_TAG_MAX_LENGTH,
+  normalizeEnergy,
+  normalizeMood,
+  normalizeTag,
+  normalizeTags
+} from "../../js/journal-signals.js";
+
+export const JOURNAL_SEARCH_DEFAULT_LIMIT = 20;
+export const JOURNAL_SEARCH_MAX_LIMIT = 50;
+export const JOURNAL_SEARCH_MAX_QUERY = 200;
+export const JOURNAL_SNIPPET_RADIUS = 80;
+
+function parseSineday(value, name) {
+  if (value == null || value === "") return { value: null };
+  if (!/^\d+$/.test(String(value))) return { error: `${name} must be a SineDay from 1 to 18` };
+  const day = Number(value);
+  if (day < 1 || day > 18) return { error: `${name} must be a SineDay from 1 to 18` };
+  return { value: day };
+}
+
+function parseBoundedInt(value, { fallback, min, max }) {
+  if (value == null || value === "") return fallback;
+  if (!/^\d+$/.test(String(value))) return null;
+  const n = Number(value);
+  return n < min || n > max ? null : n;
+}
+
+/**
+ * Validates query-string filters. Returns { filters } or { error }.
+ * At least one of q or a filter is required so an empty request never
+ * dumps the whole journal.
+ */
+export function parseJournalSearchQuery(query = {}) {
+  const q = String(query.q || "").trim();
+  if (q.length > JOURNAL_SEARCH_MAX_QUERY) {
+    return { error: `q must be ${JOURNAL_SEARCH_MAX_QUERY} characters or fewer` };
+  }
+
+  const actual = parseSineday(query.actual, "actual");
+  if (actual.error) return { error: actual.error };
+  const felt = parseSineday(query.felt, "felt");
+  if (felt.error) return { error: felt.error };
+
+  const from = String(query.from || "").trim() || null;
+  const to = String(query.to || "").trim() || null;
+  if (from && !parseStrictYmd(from)) return { error: "from must be YYYY-MM-DD" };
+  if (to && !parseStrictYmd(to)) return { error: "to must be YYYY-MM-DD" };
+  if (from && to && from > to) return { error: "from must be on or before to" };
+
+  const energy = normalizeEnergy(query.energy);
+  if (energy == null && query.energy != null && query.energy !== "") {
+    return { error: "energy must be from 1 to 5" };
+  }
+  const mood = normalizeMood(query.mood);
+  if (!mood && query.mood != null && query.mood !== "") return { error: "mood is not a known mood" };
+  if (String(query.tag || "").length > JOURNAL_TAG_MAX_LENGTH * 2) {
+    return { error: `tag must be ${JOURNAL_TAG_MAX_LENGTH} characters or fewer` };
+  }
+  const tag = normalizeTag(query.tag) || null;
+
+  let hasImage = null;
+  if (query.hasImage === "true" || query.hasImage === "1") hasImage = true;
+  else if (query.hasImage === "false" || query.hasImage === "0") hasImage = false;
+  else if (query.hasImage != null && query.hasImage !== "") {
+    return { error: "hasImage must be true or false" };
+  }
+
+  const limit = parseBoundedInt(query.limit, {
+    fallback: JOURNAL_SEARCH_DEFAULT_LIMIT,
+    min: 1,
+    max: JOURNAL_SEARCH_MAX_LIMIT
+  });
+  if (limit == null) return { error: `limit must be between 1 and ${JOURNAL_SEARCH_MAX_LIMIT}` };
+  const offset = parseBoundedInt(query.offset, { fallback: 0, min: 0, max: 10_000 });
+  if (offset == null) return { error: "offset must be a whole number" };
+
+  const filters = {
+    q,
+    actual: actual.value,
+    felt: felt.value,
+    from,
+    to,
+    energy,
+    mood,
+    tag,
+    hasImage,
+    limit,
+    offset
+  };
+  const hasFilter =
+    q || filters.actual || filters.felt || from || to || energy || mood || tag || hasImage !== null;
+  if (!hasFilter) return { error: "Provide q or at least one filter" };
+
+  return { filters };
+}
+
+/**
+ * Positive search terms from websearch syntax: quoted phrases stay whole,
+ * "-term" exclusions and the OR keyword are dropped.
+ */
+export function extractSearchTerms(q) {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(q || "")))) {
+    const negated = match[1] || match[3];
+    const term = (match[2] ?? match[4] ?? "").trim();
+    if (negated || !term || term.toLowerCase() === "or") continue;
+    terms.push(term.toLowerCase());
+  }
+  return [...new Set(terms)];
+}
+
+function findHighlights(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + term.length });
+      index = lower.indexOf(term, index + term.length);
+    }
+  }
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+    else merged.push({ ...range });
+  }
+  return merged;
+}
+
+/**
+ * Snippet around the first match with highlight offsets into `text`.
+ * Without a match (filter-only search) it is the opening of the entry.
+ */
+export function buildJournalSnippet(content, terms = [], radius = JOURNAL_SNIPPET_RADIUS) {
+  const source = String(content || "").replace(/\s+/g, " ").trim();
+  if (!source) return { text: "", highlights: [] };
+
+  const all = findHighlights(source, terms);
+  const anchor = all[0]?.start ?? 0;
+  let start = Math.max(0, anchor - radius);
+  let end = Math.min(source.length, (all[0]?.end ?? 0) + radius * 2);
+
+  // Widen to word boundaries so the snippet never starts mid-word.
+  if (start > 0) {
+    const space = source.lastIndexOf(" ", start);
+    start = space === -1 ? 0 : space + 1;
+  }
+  if (end < source.length) {
+    const space = source.indexOf(" ", end);
+    end = space === -1 ? source.length : space;
+  }
+
+  const prefix = start > 0 ? "… " : "";
+  const suffix = end < source.length ? " …" : "";
+  const text = `${prefix}${source.slice(start, end)}${suffix}`;
+  const highlights = all
+    .filter((range) => range.start >= start && range.end <= end)
+    .map((range) => ({
+      start: range.start - start + prefix.length,
+      end: range.end - start + prefix.length
+    }));
+
+  return { text, highlights };
+}
+
+/**
+ * Encrypted entries only ever match filters (their content_search is empty)
+ * and come back without a snippet; the client decrypts them if it can.
+ */
+export function toJournalSearchResult(row, terms) {
+  const encrypted = !!row.is_encrypted;
+  return {
+    entryDate: row.entry_date,
+    actualSineday: row.actual_sineday ?? null,
+    feltSineday: row.felt_sineday ?? null,
+    energy: normalizeEnergy(row.energy),
+    mood: normalizeMood(row.mood),
+    tags: normalizeTags(row.tags),
+    hasImage: !!row.image_path,
+    encrypted,
+    snippet: encrypted ? null : buildJournalSnippet(row.content, terms)
+  };
+}
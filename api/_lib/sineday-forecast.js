@@ -0,0 +1,130 @@
+/**
+ * SineDay forecast helpers.
+ *
+ * Builds one row per civil date (YYYY-MM-DD) for a birthdate, using the same
+ * civil-date math as calculateSineDayForYmd so results never depend on the
+ * server runtime timezone. Integrations get phase copy, detail bullets and
+ * cycle boundary markers without bundling js/sineday-engine.js.
+ */
+
+import { calculateSineDayForYmd, getDayDetails } from "../../js/sineday-engine.js";
+import { duckUrlFromSinedayNumber } from "../../js/sineducks.js";
+import { formatUtcYmd, parseStrictYmd, todayYmdInTimeZone } from "./email-rhythm.js";
+
+export const FORECAST_DEFAULT_DAYS = 30;
+export const FORECAST_MAX_DAYS = 366;
+
+export const CYCLE_START_DAY = 1;
+export const CREST_DAY = 9;
+export const TROUGH_DAYS = Object.freeze([14, 15, 16]);
+
+const MS_PER_DAY = 86_400_000;
+
+export function addDaysYmd(ymd, days) {
+  const parsed = parseStrictYmd(ymd);
+  if (!parsed) return null;
+  const ms = Date.UTC(parsed.year, parsed.month - 1, parsed.day, 12) + days * MS_PER_DAY;
+  return formatUtcYmd(new Date(ms));
+}
+
+/**
+ * Cycle boundary flags for a SineDay number.
+ * boundary is the single most specific label, or null on ordinary days.
+ */
+export function getCycleMarkers(day) {
+  const cycleStart = day === CYCLE_START_DAY;
+  const crest = day === CREST_DAY;
+  const trough = TROUGH_DAYS.includes(day);
+
+  let boundary = null;
+  if (cycleStart) boundary = "cycle_start";
+  else if (crest) boundary = "crest";
+  else if (day === TROUGH_DAYS[0]) boundary = "trough_start";
+  else if (day === TROUGH_DAYS[TROUGH_DAYS.length - 1]) boundary = "trough_end";
+  else if (trough) boundary = "trough";
+
+  return { cycleStart, crest, trough, boundary };
+}
+
+function absoluteAssetUrl(relativePath, assetOrigin) {
+  const clean = String(relativePath || "").replace(/^\/+/, "");
+  if (!assetOrigin) return `/${clean}`;
+  try {
+    return new URL(`/${clean}`, assetOrigin).toString();
+  } catch {
+    return `/${clean}`;
+  }
+}
+
+/**
+ * Forecast rows for `days` consecutive civil dates starting at startYmd.
+ * Returns null when the birthdate, start date or length is invalid.
+ *
+ * @param {string} birthYmd - Profile birthdate (YYYY-MM-DD)
+ * @param {string} startYmd - First forecast date (YYYY-MM-DD)
+ * @param {number} days - Number of dates (1..FORECAST_MAX_DAYS)
+ * @param {{ assetOrigin?: string }} [opts]
+ */
+export function buildSineDayForecast(birthYmd, startYmd, days, opts = {}) {
+  if (!parseStrictYmd(birthYmd) || !parseStrictYmd(startYmd)) return null;
+  if (!Number.isInteger(days) || days < 1 || days > FORECAST_MAX_DAYS) return null;
+
+  const rows = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDaysYmd(startYmd, i);
+    const result = calculateSineDayForYmd(birthYmd, date);
+    if (!result) return null;
+
+    const details = getDayDetails(result.day);
+    rows.push({
+      date,
+      day: result.day,
+      phase: result.phase,
+      description: result.description,
+      details: details
+        ? { paragraph: details.paragraph, bullets: [...details.bullets] }
+        : null,
+      duckImageUrl: absoluteAssetUrl(duckUrlFromSinedayNumber(result.day), opts.assetOrigin),
+      daysLived: result.daysLived,
+      cycle: Math.floor(result.daysLived / 18) + 1,
+      ...getCycleMarkers(result.day)
+    });
+  }
+  return rows;
+}
+
+/**
+ * Groups boundary dates so callers can schedule around them directly.
+ * Trough windows that start before (or end after) the range are clipped.
+ */
+export function summarizeForecastBoundaries(rows = []) {
+  const cycleStarts = [];
+  const crests = [];
+  const troughs = [];
+  let openTrough = null;
+
+  for (const row of rows) {
+    if (row.cycleStart) cycleStarts.push(row.date);
+    if (row.crest) crests.push(row.date);
+    if (row.trough) {
+      if (!openTrough) {
+        openTrough = { start: row.date, end: row.date };
+        troughs.push(openTrough);
+      } else {
+        openTrough.end = row.date;
+      }
+    } else {
+      openTrough = null;
+    }
+  }
+
+  return { cycleStarts, crests, troughs };
+}
+
+/**
+ * Profile-local "today", matching calculateSineDayForTimezone: the wave flips
+ * at local midnight in the profile's IANA timezone, not at UTC midnight.
+ */
+export function forecastStartForTimeZone(timeZone, now = new Date()) {
+  return todayYmdInTimeZone(timeZone, now);
+}
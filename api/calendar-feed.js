@@ -0,0 +1,79 @@
+/**
+ * GET /api/calendar-feed?token=<signed>&days=N&only=1,14,15,16
+ *
+ * Public iCalendar subscription for one profile. The token is the only
+ * credential; it is checked against calendar_feeds.token_generation so a
+ * rotated or revoked URL stops working on the next calendar refresh, and it
+ * alone decides whether planner tasks are included.
+ */
+
+import { getAdminClient } from "./_lib/auth.js";
+import { FEED_TASK_COLUMNS, buildSineDayFeed, parseFeedOptions } from "./_lib/calendar-feed.js";
+import { verifyCalendarFeedToken } from "./_lib/calendar-feed-token.js";
+
+function notFound(res) {
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(404).json({ ok: false, error: "Feed not found" });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  const verified = verifyCalendarFeedToken(String(req.query?.token || ""));
+  if (!verified.ok) return notFound(res);
+
+  try {
+    const admin = getAdminClient();
+    const { data: feed, error: feedError } = await admin
+      .from("calendar_feeds")
+      .select("profile_id, token_generation, revoked_at")
+      .eq("profile_id", verified.profileId)
+      .maybeSingle();
+
+    if (feedError) throw new Error(`Failed to load feed: ${feedError.message}`);
+    if (!feed || feed.revoked_at || feed.token_generation !== verified.generation) {
+      return notFound(res);
+    }
+
+    const { data: profile, error: profileError } = await admin
+      .from("profiles")
+      .select("id, display_name, birthdate, timezone")
+      .eq("id", verified.profileId)
+      .maybeSingle();
+
+    if (profileError) throw new Error(`Failed to load profile: ${profileError.message}`);
+    if (!profile?.birthdate) return notFound(res);
+
+    const { days, only } = parseFeedOptions(req.query);
+    let taskRows = [];
+    if (verified.tasks) {
+      const { data, error: tasksError } = await admin
+        .from("planner_tasks")
+        .select(FEED_TASK_COLUMNS)
+        .eq("profile_id", profile.id)
+        .eq("is_archived", false);
+      if (tasksError) throw new Error(`Failed to load tasks: ${tasksError.message}`);
+      taskRows = data || [];
+    }
+
+    const body = buildSineDayFeed({
+      profile,
+      days,
+      only,
+      tasks: taskRows,
+      host: req.headers?.host || "sineday.app"
+    });
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="sineday.ics"');
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    return res.status(200).send(req.method === "HEAD" ? "" : body);
+  } catch (err) {
+    console.error("[calendar-feed] error:", err?.message || err);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(500).json({ ok: false, error: "Unable to build feed" });
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Calendar feed management for the account sheet.
+ *
+ * GET  /api/calendar-feeds
+ *   → { feeds: [{ profileId, enabled, url, webcalUrl, tasksUrl, tasksWebcalUrl }] }
+ * POST /api/calendar-feeds  { profileId, action: "enable" | "rotate" | "revoke", days?, only? }
+ *   → { feed }
+ *
+ * Rotation and revocation bump token_generation so every old URL dies.
+ * tasksUrl is signed to include planner tasks; url lists SineDays only.
+ */
+
+import { authenticateUser, getAdminClient } from "./_lib/auth.js";
+import { FEED_DEFAULT_DAYS, parseFeedOptions } from "./_lib/calendar-feed.js";
+import { buildCalendarFeedUrls } from "./_lib/calendar-feed-token.js";
+
+const ACTIONS = new Set(["enable", "rotate", "revoke"]);
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Cache-Control", "private, no-store");
+}
+
+function toFeedResponse(row, options) {
+  const enabled = !!row && !row.revoked_at;
+  const urls = enabled
+    ? buildCalendarFeedUrls(row.profile_id, row.token_generation, options)
+    : null;
+  const tasksUrls = enabled
+    ? buildCalendarFeedUrls(row.profile_id, row.token_generation, { ...options, tasks: true })
+    : null;
+  return {
+    profileId: row?.profile_id || null,
+    enabled,
+    url: urls?.url || null,
+    webcalUrl: urls?.webcalUrl || null,
+    tasksUrl: tasksUrls?.url || null,
+    tasksWebcalUrl: tasksUrls?.webcalUrl || null
+  };
+}
+
+async function loadOwnedProfile(admin, userId, profileId) {
+  const { data, error } = await admin
+    .from("profiles")
+    .select("id")
+    .eq("user_id", userId)
+    .eq("id", profileId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load profile: ${error.message}`);
+  return data;
+}
+
+async function loadFeed(admin, profileId) {
+  const { data, error } = await admin
+    .from("calendar_feeds")
+    .select("profile_id, user_id, token_generation, revoked_at")
+    .eq("profile_id", profileId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load feed: ${error.message}`);
+  return data;
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  try {
+    const { user } = await authenticateUser(req);
+    const admin = getAdminClient();
+
+    if (req.method === "GET") {
+      const { data, error } = await admin
+        .from("calendar_feeds")
+        .select("profile_id, token_generation, revoked_at")
+        .eq("user_id", user.id);
+      if (error) throw new Error(`Failed to load feeds: ${error.message}`);
+      const options = parseFeedOptions(req.query);
+      return res.status(200).json({
+        ok: true,
+        feeds: (data || []).map((row) => toFeedResponse(row, options))
+      });
+    }
+
+    const body = typeof req.body === "string" ? JSON.parse(req.body || "{}") : req.body || {};
+    const profileId = String(body.profileId || "").trim();
+    const action = String(body.action || "").trim();
+
+    if (!profileId) {
+      return res.status(400).json({ ok: false, error: "profileId is required" });
+    }
+    if (!ACTIONS.has(action)) {
+      return res.status(400).json({ ok: false, error: "Unknown action" });
+    }
+
+    const profile = await loadOwnedProfile(admin, user.id, profileId);
+    if (!profile) {
+      return res.status(404).json({ ok: false, error: "Profile not found" });
+    }
+
+    const existing = await loadFeed(admin, profileId);
+    const now = new Date().toISOString();
+    let next;
+
+    if (!existing) {
+      next = {
+        profile_id: profileId,
+        user_id: user.id,
+        token_generation: 1,
+        revoked_at: action === "revoke" ? now : null
+      };
+    } else if (action === "enable" && !existing.revoked_at) {
+      next = null;
+    } else {
+      // Re-enabling after a revoke also issues a fresh URL.
+      next = {
+        profile_id: profileId,
+        user_id: user.id,
+        token_generation: existing.token_generation + 1,
+        revoked_at: action === "revoke" ? now : null
+      };
+    }
+
+    let row = existing;
+    if (next) {
+      const { data, error } = await admin
+        .from("calendar_feeds")
+        .upsert({ ...next, updated_at: now }, { onConflict: "profile_id" })
+        .select("profile_id, token_generation, revoked_at")
+        .single();
+      if (error) throw new Error(`Failed to save feed: ${error.message}`);
+      row = data;
+    }
+
+    const options = parseFeedOptions({
+      days: body.days ?? FEED_DEFAULT_DAYS,
+      only: Array.isArray(body.only) ? body.only.join(",") : body.only
+    });
+    const feed = toFeedResponse(row, options);
+    if (feed.enabled && !feed.url) {
+      return res.status(500).json({ ok: false, error: "Calendar feeds are not configured" });
+    }
+
+    return res.status(200).json({ ok: true, feed });
+  } catch (err) {
+    if (
+      err?.message === "Missing or invalid Authorization header" ||
+      err?.message === "Invalid or expired token"
+    ) {
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+
+    console.error("[calendar-feeds] error:", err?.message || err);
+    return res.status(500).json({ ok: false, error: "Unable to update calendar feed" });
+  }
+}
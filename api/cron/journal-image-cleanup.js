@@ -0,0 +1,82 @@
+/**
+ * GET /api/cron/journal-image-cleanup
+ *
+ * Daily cron. Removes journal photos from the journal-images bucket once no
+ * entry points at them any more. journal_entries triggers queue every path
+ * that leaves an entry's gallery (photo removed, entry or profile deleted);
+ * paths wait a day so offline edits replayed late can still put a photo
+ * back, and paths that are in use again are never removed.
+ */
+
+import { getAdminClient } from "../_lib/auth.js";
+import { secureEqual } from "../_lib/unsubscribe-token.js";
+
+const IMAGE_BUCKET = "journal-images";
+const CLAIM_LIMIT = 500;
+const REMOVE_BATCH = 100;
+const GRACE_MS = 24 * 60 * 60 * 1000;
+
+function json(res, status, body) {
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(status).json(body);
+}
+
+function isAuthorizedCron(req) {
+  const expected = `Bearer ${process.env.CRON_SECRET}`;
+  const provided = req.headers?.authorization;
+  return secureEqual(typeof provided === "string" ? provided : "", expected);
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method !== "GET") {
+    return json(res, 405, { ok: false, error: "Method not allowed" });
+  }
+
+  if (!process.env.CRON_SECRET) {
+    console.error("[journal-image-cleanup] missing configuration");
+    return json(res, 500, { ok: false, error: "Server configuration error" });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return json(res, 401, { ok: false, error: "Unauthorized" });
+  }
+
+  try {
+    const supabase = getAdminClient();
+    const { data: claims, error: claimError } = await supabase.rpc("claim_journal_image_cleanup", {
+      p_before: new Date(Date.now() - GRACE_MS).toISOString(),
+      p_limit: CLAIM_LIMIT
+    });
+
+    if (claimError) {
+      console.error("[journal-image-cleanup] claim failed:", claimError.message);
+      return json(res, 500, { ok: false, error: "Claim failed" });
+    }
+
+    const claimed = (Array.isArray(claims) ? claims : []).filter((row) => row?.path);
+    let removed = 0;
+    let failed = 0;
+    for (let i = 0; i < claimed.length; i += REMOVE_BATCH) {
+      const batch = claimed.slice(i, i + REMOVE_BATCH);
+      const { error } = await supabase.storage.from(IMAGE_BUCKET).remove(batch.map((row) => row.path));
+      if (!error) {
+        removed += batch.length;
+        continue;
+      }
+      console.error("[journal-image-cleanup] remove failed:", error.message);
+      failed += batch.length;
+      // Back in the queue for the next run.
+      const { error: requeueError } = await supabase
+        .from("journal_image_cleanup")
+        .upsert(batch.map(({ path, user_id }) => ({ path, user_id })), { onConflict: "path" });
+      if (requeueError) console.error("[journal-image-cleanup] requeue failed:", requeueError.message);
+    }
+
+    return json(res, 200, { ok: true, claimed: claimed.length, removed, failed });
+  } catch (error) {
+    console.error("[journal-image-cleanup] unexpected error:", error);
+    return json(res, 500, { ok: false, error: "Journal image cleanup failed" });
+  }
+}
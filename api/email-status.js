@@ -1,6 +1,7 @@
 /**
  * GET  /api/email-status  — returns subscriber active status for the authed user
- * PATCH /api/email-status  — atomically unsubscribes the authed user from Daily Duck email
+ * PATCH /api/email-status  { action: "unsubscribe" } — atomically unsubscribes the authed user from Daily Duck email
+ * PATCH /api/email-status  { action: "set_language", language } — only updates the Daily Duck subject language
  * Headers: Authorization: Bearer <access_token>
  *
  * GET never returns raw birthdate, auth metadata, or subscriber UUIDs.
@@ -9,6 +10,27 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { buildEmailStatusPayload } from './_lib/email-rhythm.js';
+import { CONTENT_LANGUAGES } from '../shared/content.js';
+import { langFromLocale } from '../shared/i18n.js';
+
+function parseJsonBody(req) {
+  if (req.body == null) return {};
+  if (typeof req.body === 'string') {
+    try {
+      return JSON.parse(req.body || '{}');
+    } catch {
+      return {};
+    }
+  }
+  return typeof req.body === 'object' ? req.body : {};
+}
+
+/** "es-MX" → "es"; null for a language without a content pack. */
+function readLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const language = langFromLocale(value.trim().replace('_', '-'));
+  return CONTENT_LANGUAGES.includes(language) ? language : null;
+}
 
 async function getAuthedEmail(req, serviceClient) {
   const authHeader = req.headers.authorization;
@@ -71,6 +93,16 @@ export default async function handler(req, res) {
     }
 
     if (req.method === 'PATCH') {
+      // The action is spelled out so a language change can never unsubscribe.
+      const body = parseJsonBody(req);
+      const language = readLanguage(body.language);
+      if (body.action === 'set_language' && !language) {
+        return res.status(400).json({ ok: false, error: 'Unsupported language' });
+      }
+      if (body.action !== 'set_language' && body.action !== 'unsubscribe') {
+        return res.status(400).json({ ok: false, error: 'Unknown action' });
+      }
+
       const { data: subscriber, error: lookupError } = await serviceClient
         .from('subscribers')
         .select('id')
@@ -79,6 +111,20 @@ export default async function handler(req, res) {
 
       if (lookupError) throw lookupError;
 
+      if (body.action === 'set_language') {
+        if (subscriber?.id) {
+          const { error } = await serviceClient
+            .from('subscriber_preferences')
+            .update({
+              language,
+              updated_at: new Date().toISOString()
+            })
+            .eq('subscriber_id', subscriber.id);
+          if (error) throw error;
+        }
+        return res.status(200).json({ ok: true });
+      }
+
       if (subscriber?.id) {
         const { error } = await serviceClient.rpc('unsubscribe_email_subscriber', {
           p_subscriber_id: subscriber.id
@@ -0,0 +1,114 @@
+/**
+ * GET /api/forecast?profileId=<uuid>&start=YYYY-MM-DD&days=N
+ * Headers: Authorization: Bearer <access_token>
+ *
+ * Returns one SineDay row per date for a profile the caller owns.
+ * start defaults to "today" in the profile's timezone; days defaults to 30
+ * and is capped at one year.
+ */
+
+import { authenticateUser, getAdminClient } from "./_lib/auth.js";
+import { parseStrictYmd } from "./_lib/email-rhythm.js";
+import {
+  FORECAST_DEFAULT_DAYS,
+  FORECAST_MAX_DAYS,
+  buildSineDayForecast,
+  forecastStartForTimeZone,
+  summarizeForecastBoundaries
+} from "./_lib/sineday-forecast.js";
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Cache-Control", "private, no-store");
+}
+
+function getRequestOrigin(req) {
+  const proto = req.headers["x-forwarded-proto"] || "https";
+  const host = req.headers["x-forwarded-host"] || req.headers.host;
+  return host ? `${proto}://${host}` : null;
+}
+
+function parseDays(value) {
+  if (value == null || value === "") return FORECAST_DEFAULT_DAYS;
+  if (!/^\d+$/.test(String(value))) return null;
+  const days = Number(value);
+  if (days < 1 || days > FORECAST_MAX_DAYS) return null;
+  return days;
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  try {
+    const { user } = await authenticateUser(req);
+
+    const profileId = String(req.query?.profileId || "").trim();
+    const startParam = String(req.query?.start || "").trim();
+    const days = parseDays(req.query?.days);
+
+    if (!profileId) {
+      return res.status(400).json({ ok: false, error: "profileId is required" });
+    }
+    if (startParam && !parseStrictYmd(startParam)) {
+      return res.status(400).json({ ok: false, error: "start must be YYYY-MM-DD" });
+    }
+    if (days == null) {
+      return res.status(400).json({
+        ok: false,
+        error: `days must be between 1 and ${FORECAST_MAX_DAYS}`
+      });
+    }
+
+    const admin = getAdminClient();
+    const { data: profile, error: profileError } = await admin
+      .from("profiles")
+      .select("id, display_name, birthdate, timezone")
+      .eq("user_id", user.id)
+      .eq("id", profileId)
+      .maybeSingle();
+
+    if (profileError) throw new Error(`Failed to load profile: ${profileError.message}`);
+    if (!profile) {
+      return res.status(404).json({ ok: false, error: "Profile not found" });
+    }
+
+    const start = startParam || forecastStartForTimeZone(profile.timezone);
+    const forecast = buildSineDayForecast(profile.birthdate, start, days, {
+      assetOrigin: getRequestOrigin(req)
+    });
+    if (!forecast) {
+      return res.status(422).json({ ok: false, error: "Profile birthdate is invalid" });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      profile: {
+        id: profile.id,
+        displayName: profile.display_name || "",
+        timezone: profile.timezone || null
+      },
+      start,
+      end: forecast[forecast.length - 1].date,
+      days,
+      boundaries: summarizeForecastBoundaries(forecast),
+      forecast
+    });
+  } catch (err) {
+    if (
+      err?.message === "Missing or invalid Authorization header" ||
+      err?.message === "Invalid or expired token"
+    ) {
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+
+    console.error("[forecast] error:", err);
+    return res.status(500).json({ ok: false, error: "Unable to build forecast" });
+  }
+}
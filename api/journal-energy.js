@@ -0,0 +1,102 @@
+/**
+ * GET /api/journal-energy?from=YYYY-MM-DD&to=YYYY-MM-DD&profileId=<uuid>
+ * Headers: Authorization: Bearer <access_token>
+ *
+ * Journal energy ratings averaged by actual SineDay and phase for one of the
+ * caller's profile journals (the owner profile unless profileId names
+ * another), with how closely energy follows the wave's height. Same numbers
+ * as the Journal History insights view (js/journal-signals.js). Both dates
+ * are optional; without them every rated day counts.
+ */
+
+import { authenticateUser, getAdminClient, requirePremium } from "./_lib/auth.js";
+import { parseStrictYmd } from "./_lib/email-rhythm.js";
+import { journalProfileNotFound, loadJournalProfile, parseJournalProfileId } from "./_lib/journal-profile.js";
+import { buildEnergyBySineday } from "../js/journal-signals.js";
+
+const PAGE_SIZE = 1000;
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Cache-Control", "private, no-store");
+}
+
+function parseRange(query) {
+  const from = String(query.from || "").trim() || null;
+  const to = String(query.to || "").trim() || null;
+  if (from && !parseStrictYmd(from)) return { error: "from must be YYYY-MM-DD" };
+  if (to && !parseStrictYmd(to)) return { error: "to must be YYYY-MM-DD" };
+  if (from && to && from > to) return { error: "from must be on or before to" };
+  return { from, to };
+}
+
+async function loadRatedEntries(admin, userId, profileId, { from, to }) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let request = admin
+      .from("journal_entries")
+      .select("entry_date, actual_sineday, energy")
+      .eq("user_id", userId)
+      .eq("profile_id", profileId)
+      .not("energy", "is", null);
+    if (from) request = request.gte("entry_date", from);
+    if (to) request = request.lte("entry_date", to);
+
+    const { data, error } = await request
+      .order("entry_date", { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to load journal energy: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  try {
+    const { user } = await authenticateUser(req);
+
+    const range = parseRange(req.query || {});
+    if (range.error) return res.status(400).json({ ok: false, error: range.error });
+    const { profileId, error: profileError } = parseJournalProfileId(req.query?.profileId);
+    if (profileError) return res.status(400).json({ ok: false, error: profileError });
+
+    const admin = getAdminClient();
+    await requirePremium(admin, user.id);
+
+    const profile = await loadJournalProfile(admin, user.id, profileId, "id, birthdate");
+    if (!profile) {
+      return res.status(404).json({ ok: false, error: journalProfileNotFound(profileId) });
+    }
+
+    const rows = await loadRatedEntries(admin, user.id, profile.id, range);
+    return res.status(200).json({
+      ok: true,
+      profileId: profile.id,
+      from: range.from,
+      to: range.to,
+      energy: buildEnergyBySineday(rows, { birthdate: profile.birthdate })
+    });
+  } catch (err) {
+    if (
+      err?.message === "Missing or invalid Authorization header" ||
+      err?.message === "Invalid or expired token"
+    ) {
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+    if (err?.code === "PREMIUM_REQUIRED") {
+      return res.status(402).json({ ok: false, error: "Premium required" });
+    }
+
+    console.error("[journal-energy] error:", err);
+    return res.status(500).json({ ok: false, error: "Unable to build journal energy" });
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * GET /api/journal-insights?from=YYYY-MM-DD&to=YYYY-MM-DD&profileId=<uuid>
+ * Headers: Authorization: Bearer <access_token>
+ *
+ * Felt-versus-actual SineDay statistics for one of the caller's profile
+ * journals (the owner profile unless profileId names another): match rate,
+ * signed offset ("running early/late"), per-phase accuracy, per-cycle trend
+ * and answers grouped by journal prompt. Same numbers as the Journal History
+ * insights view (js/journal-insights.js). Both dates are optional.
+ */
+
+import { authenticateUser, getAdminClient, requirePremium } from "./_lib/auth.js";
+import { parseStrictYmd } from "./_lib/email-rhythm.js";
+import { journalProfileNotFound, loadJournalProfile, parseJournalProfileId } from "./_lib/journal-profile.js";
+import { buildJournalInsights } from "../js/journal-insights.js";
+
+const PAGE_SIZE = 1000;
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Cache-Control", "private, no-store");
+}
+
+function parseRange(query) {
+  const from = String(query.from || "").trim() || null;
+  const to = String(query.to || "").trim() || null;
+  if (from && !parseStrictYmd(from)) return { error: "from must be YYYY-MM-DD" };
+  if (to && !parseStrictYmd(to)) return { error: "to must be YYYY-MM-DD" };
+  if (from && to && from > to) return { error: "from must be on or before to" };
+  return { from, to };
+}
+
+// Entries with a felt day or an answered prompt; nothing else counts.
+async function loadInsightEntries(admin, userId, profileId, { from, to }) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let request = admin
+      .from("journal_entries")
+      .select("entry_date, actual_sineday, felt_sineday, prompt_ids")
+      .eq("user_id", userId)
+      .eq("profile_id", profileId)
+      .or("felt_sineday.not.is.null,prompt_ids.neq.{}");
+    if (from) request = request.gte("entry_date", from);
+    if (to) request = request.lte("entry_date", to);
+
+    const { data, error } = await request
+      .order("entry_date", { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to load journal entries: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  try {
+    const { user } = await authenticateUser(req);
+
+    const range = parseRange(req.query || {});
+    if (range.error) return res.status(400).json({ ok: false, error: range.error });
+    const { profileId, error: profileError } = parseJournalProfileId(req.query?.profileId);
+    if (profileError) return res.status(400).json({ ok: false, error: profileError });
+
+    const admin = getAdminClient();
+    await requirePremium(admin, user.id);
+
+    const profile = await loadJournalProfile(admin, user.id, profileId, "id, birthdate");
+    if (!profile) {
+      return res.status(404).json({ ok: false, error: journalProfileNotFound(profileId) });
+    }
+
+    const rows = await loadInsightEntries(admin, user.id, profile.id, range);
+    const { data: promptLibrary, error: libraryError } = await admin
+      .from("journal_prompt_library")
+      .select("custom")
+      .eq("user_id", user.id)
+      .maybeSingle();
+    if (libraryError) throw new Error(`Failed to load journal prompts: ${libraryError.message}`);
+
+    return res.status(200).json({
+      ok: true,
+      profileId: profile.id,
+      from: range.from,
+      to: range.to,
+      insights: buildJournalInsights(rows, { birthdate: profile.birthdate, promptLibrary })
+    });
+  } catch (err) {
+    if (
+      err?.message === "Missing or invalid Authorization header" ||
+      err?.message === "Invalid or expired token"
+    ) {
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+    if (err?.code === "PREMIUM_REQUIRED") {
+      return res.status(402).json({ ok: false, error: "Premium required" });
+    }
+
+    console.error("[journal-insights] error:", err);
+    return res.status(500).json({ ok: false, error: "Unable to build journal insights" });
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * GET /api/journal-recall?date=YYYY-MM-DD&cycles=N&years=N&profileId=<uuid>
+ * Headers: Authorization: Bearer <access_token>
+ *
+ * "On this SineDay": journal entries of one profile (the owner profile
+ * unless profileId names another) from the same actual SineDay in earlier
+ * cycles (every 18 days back) and from the same calendar date in earlier
+ * years. date defaults to today in that profile's timezone;
+ * cycles defaults to the user's journal recall setting. Days without an
+ * entry are omitted.
+ */
+
+import { authenticateUser, getAdminClient, requirePremium } from "./_lib/auth.js";
+import { parseStrictYmd, todayYmdInTimeZone } from "./_lib/email-rhythm.js";
+import { loadJournalRecall, loadJournalRecallCycles } from "./_lib/journal-recall.js";
+import { journalProfileNotFound, loadJournalProfile, parseJournalProfileId } from "./_lib/journal-profile.js";
+import { JOURNAL_RECALL_MAX_CYCLES, JOURNAL_RECALL_MAX_YEARS, normalizeRecallYears } from "../js/journal-recall.js";
+import { calculateSineDayForYmd } from "../js/sineday-engine.js";
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Cache-Control", "private, no-store");
+}
+
+function parseCount(value, name, max) {
+  if (value == null || value === "") return { value: null };
+  if (!/^\d+$/.test(String(value)) || Number(value) > max) {
+    return { error: `${name} must be a whole number from 0 to ${max}` };
+  }
+  return { value: Number(value) };
+}
+
+function parseRecallQuery(query) {
+  const date = String(query.date || "").trim() || null;
+  if (date && !parseStrictYmd(date)) return { error: "date must be YYYY-MM-DD" };
+  const cycles = parseCount(query.cycles, "cycles", JOURNAL_RECALL_MAX_CYCLES);
+  if (cycles.error) return { error: cycles.error };
+  const years = parseCount(query.years, "years", JOURNAL_RECALL_MAX_YEARS);
+  if (years.error) return { error: years.error };
+  const profile = parseJournalProfileId(query.profileId);
+  if (profile.error) return { error: profile.error };
+  return { date, cycles: cycles.value, years: years.value, profileId: profile.profileId };
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  try {
+    const { user } = await authenticateUser(req);
+
+    const params = parseRecallQuery(req.query || {});
+    if (params.error) return res.status(400).json({ ok: false, error: params.error });
+
+    const admin = getAdminClient();
+    await requirePremium(admin, user.id);
+
+    const profile = await loadJournalProfile(admin, user.id, params.profileId, "id, birthdate, timezone");
+    if (!profile) {
+      return res.status(404).json({ ok: false, error: journalProfileNotFound(params.profileId) });
+    }
+
+    const date = params.date || todayYmdInTimeZone(profile.timezone);
+    const cycles = params.cycles ?? (await loadJournalRecallCycles(admin, user.id));
+    const years = normalizeRecallYears(params.years);
+    const recall = await loadJournalRecall(admin, {
+      userId: user.id,
+      profileId: profile.id,
+      date,
+      cycles,
+      years
+    });
+
+    return res.status(200).json({
+      ok: true,
+      profileId: profile.id,
+      date,
+      sineday: calculateSineDayForYmd(profile.birthdate, date)?.day ?? null,
+      cycles,
+      years,
+      ...recall
+    });
+  } catch (err) {
+    if (
+      err?.message === "Missing or invalid Authorization header" ||
+      err?.message === "Invalid or expired token"
+    ) {
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+    if (err?.code === "PREMIUM_REQUIRED") {
+      return res.status(402).json({ ok: false, error: "Premium required" });
+    }
+
+    console.error("[journal-recall] error:", err);
+    return res.status(500).json({ ok: false, error: "Unable to load journal recall" });
+  }
+}
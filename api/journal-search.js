@@ -0,0 +1,109 @@
+/**
+ * GET /api/journal-search?q=...&actual=N&felt=N&from=YYYY-MM-DD&to=YYYY-MM-DD&hasImage=true
+ *   &energy=1-5&mood=calm&tag=work&limit=20&offset=0&profileId=<uuid>
+ * Headers: Authorization: Bearer <access_token>
+ *
+ * Searches one of the caller's profile journals (the owner profile unless
+ * profileId names another), newest first. q uses websearch syntax: words, "quoted phrases",
+ * -excluded. energy, mood and tag match the entry's journal signals exactly.
+ * Results carry plain-text snippets with highlight offsets.
+ * Encrypted entries are invisible to q and come back snippet-less from
+ * filter-only searches.
+ */
+
+import { authenticateUser, getAdminClient, requirePremium } from "./_lib/auth.js";
+import {
+  extractSearchTerms,
+  parseJournalSearchQuery,
+  toJournalSearchResult
+} from "./_lib/journal-search.js";
+import { journalProfileNotFound, loadJournalProfile, parseJournalProfileId } from "./_lib/journal-profile.js";
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Cache-Control", "private, no-store");
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  try {
+    const { user } = await authenticateUser(req);
+
+    const { filters, error: queryError } = parseJournalSearchQuery(req.query || {});
+    if (queryError) return res.status(400).json({ ok: false, error: queryError });
+    const { profileId, error: profileError } = parseJournalProfileId(req.query?.profileId);
+    if (profileError) return res.status(400).json({ ok: false, error: profileError });
+
+    const admin = getAdminClient();
+    await requirePremium(admin, user.id);
+
+    const profile = await loadJournalProfile(admin, user.id, profileId);
+    if (!profile) {
+      return res.status(404).json({ ok: false, error: journalProfileNotFound(profileId) });
+    }
+
+    let request = admin
+      .from("journal_entries")
+      .select("entry_date, actual_sineday, felt_sineday, content, image_path, is_encrypted, energy, mood, tags")
+      .eq("user_id", user.id)
+      .eq("profile_id", profile.id);
+
+    if (filters.q) {
+      request = request.textSearch("content_search", filters.q, {
+        type: "websearch",
+        config: "simple"
+      });
+    }
+    if (filters.actual) request = request.eq("actual_sineday", filters.actual);
+    if (filters.felt) request = request.eq("felt_sineday", filters.felt);
+    if (filters.from) request = request.gte("entry_date", filters.from);
+    if (filters.to) request = request.lte("entry_date", filters.to);
+    if (filters.energy) request = request.eq("energy", filters.energy);
+    if (filters.mood) request = request.eq("mood", filters.mood);
+    if (filters.tag) request = request.contains("tags", [filters.tag]);
+    if (filters.hasImage === true) request = request.not("image_path", "is", null);
+    if (filters.hasImage === false) request = request.is("image_path", null);
+
+    // One extra row tells us whether another page exists.
+    const { data: rows, error: searchError } = await request
+      .order("entry_date", { ascending: false })
+      .range(filters.offset, filters.offset + filters.limit);
+
+    if (searchError) throw new Error(`Journal search failed: ${searchError.message}`);
+
+    const terms = extractSearchTerms(filters.q);
+    const page = (rows || []).slice(0, filters.limit);
+    const hasMore = (rows || []).length > filters.limit;
+
+    return res.status(200).json({
+      ok: true,
+      profileId: profile.id,
+      query: filters.q,
+      terms,
+      results: page.map((row) => toJournalSearchResult(row, terms)),
+      hasMore,
+      nextOffset: hasMore ? filters.offset + filters.limit : null
+    });
+  } catch (err) {
+    if (
+      err?.message === "Missing or invalid Authorization header" ||
+      err?.message === "Invalid or expired token"
+    ) {
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+    if (err?.code === "PREMIUM_REQUIRED") {
+      return res.status(402).json({ ok: false, error: "Premium required" });
+    }
+
+    console.error("[journal-search] error:", err);
+    return res.status(500).json({ ok: false, error: "Unable to search journal" });
+  }
+}
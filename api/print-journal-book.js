@@ -0,0 +1,167 @@
+/**
+ * POST /api/print-journal-book
+ * Headers: Authorization: Bearer <access_token>
+ * Body: { year } or { from: "YYYY-MM-DD", to: "YYYY-MM-DD" }, plus optional
+ *   profileId (defaults to the owner profile), locale and includePhotos.
+ *
+ * Premium. Renders one profile's journal for the range as a printable 6×9"
+ * book (see _lib/journal-book-pdf.js), stores it in the prints bucket and
+ * returns a short-lived signed URL. Encrypted entries keep their date and
+ * ducks but not their words or photos, which the server cannot read.
+ */
+
+import { authenticateUser, getAdminClient, requirePremium } from "./_lib/auth.js";
+import { journalProfileNotFound, loadJournalProfile } from "./_lib/journal-profile.js";
+import { parseJournalBookRequest } from "./_lib/journal-book.js";
+import { renderJournalBookPdf } from "./_lib/journal-book-pdf.js";
+import { normalizeJournalImages } from "../js/journal-images.js";
+import { calculateSineDayForYmd } from "../js/sineday-engine.js";
+
+const PAGE_SIZE = 1000;
+const IMAGE_BUCKET = "journal-images";
+const MAX_BOOK_PHOTOS = 240;
+
+function getRequestOrigin(req) {
+  const proto = req.headers["x-forwarded-proto"] || "https";
+  const host = req.headers["x-forwarded-host"] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Cache-Control", "private, no-store");
+}
+
+async function loadBookEntries(admin, userId, profile, { from, to }) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await admin
+      .from("journal_entries")
+      .select("entry_date, actual_sineday, felt_sineday, content, images, image_path, image_mime_type, image_size, is_encrypted")
+      .eq("user_id", userId)
+      .eq("profile_id", profile.id)
+      .gte("entry_date", from)
+      .lte("entry_date", to)
+      .order("entry_date", { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to load journal entries: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return rows
+    .map((row) => ({
+      ...row,
+      // The birthdate wins over a stored day written before a profile edit.
+      actual_sineday: calculateSineDayForYmd(profile.birthdate, row.entry_date)?.day ?? row.actual_sineday,
+      images: row.is_encrypted ? [] : normalizeJournalImages(row).filter((image) => !image.path.endsWith(".enc"))
+    }))
+    .filter((row) => row.is_encrypted || (row.content || "").trim() || row.felt_sineday || row.images.length);
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  try {
+    const { user } = await authenticateUser(req);
+
+    let body = req.body;
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        return res.status(400).json({ ok: false, error: "Invalid JSON body" });
+      }
+    }
+    const params = parseJournalBookRequest(body || {});
+    if (params.error) return res.status(400).json({ ok: false, error: params.error });
+
+    const admin = getAdminClient();
+    await requirePremium(admin, user.id);
+
+    const profile = await loadJournalProfile(admin, user.id, params.profileId, "id, display_name, birthdate");
+    if (!profile) {
+      return res.status(404).json({ ok: false, error: journalProfileNotFound(params.profileId) });
+    }
+
+    const entries = await loadBookEntries(admin, user.id, profile, params);
+    if (!entries.length) {
+      return res.status(404).json({ ok: false, error: "No journal entries in this range" });
+    }
+
+    let photosLeft = params.includePhotos ? MAX_BOOK_PHOTOS : 0;
+    let photosLeftOut = 0;
+    for (const entry of entries) {
+      if (entry.images.length > photosLeft) {
+        photosLeftOut += entry.images.length - photosLeft;
+        entry.images = entry.images.slice(0, photosLeft);
+      }
+      photosLeft -= entry.images.length;
+    }
+
+    const { bytes, pageCount } = await renderJournalBookPdf({
+      profile,
+      entries,
+      from: params.from,
+      to: params.to,
+      locale: params.locale,
+      origin: getRequestOrigin(req),
+      async loadPhoto(path) {
+        const { data, error } = await admin.storage.from(IMAGE_BUCKET).download(path);
+        if (error || !data) {
+          console.warn("[print-journal-book] photo missing:", path, error?.message);
+          return null;
+        }
+        return new Uint8Array(await data.arrayBuffer());
+      }
+    });
+
+    const bucket = "prints";
+    const safeLocale = String(params.locale).replace(/[^a-zA-Z0-9-]/g, "_").slice(0, 20);
+    const filePath = `journal-book/${user.id}/${profile.id}/${params.from}_${params.to}-loc${safeLocale}.pdf`;
+
+    const { error: upErr } = await admin.storage
+      .from(bucket)
+      .upload(filePath, bytes, { contentType: "application/pdf", upsert: true });
+    if (upErr) throw new Error(`Upload failed: ${upErr.message}`);
+
+    const expiresIn = 60 * 10;
+    const { data: signed, error: sErr } = await admin.storage
+      .from(bucket)
+      .createSignedUrl(filePath, expiresIn);
+    if (sErr || !signed?.signedUrl) throw new Error("Failed to create signed URL");
+
+    return res.status(200).json({
+      ok: true,
+      url: signed.signedUrl,
+      expiresIn,
+      profileId: profile.id,
+      from: params.from,
+      to: params.to,
+      entries: entries.length,
+      pages: pageCount,
+      encryptedEntries: entries.filter((entry) => entry.is_encrypted).length,
+      photosLeftOut
+    });
+  } catch (err) {
+    if (
+      err?.message === "Missing or invalid Authorization header" ||
+      err?.message === "Invalid or expired token"
+    ) {
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+    if (err?.code === "PREMIUM_REQUIRED") {
+      return res.status(402).json({ ok: false, error: "Premium required" });
+    }
+
+    console.error("[print-journal-book] error:", err);
+    return res.status(500).json({ ok: false, error: "Unable to print journal book" });
+  }
+}
@@ -4,6 +4,7 @@ import { hasTemplatesForYear } from "./_lib/premium-templates.js";
 import { extractMonthlyFromTemplate } from "./_lib/template-pdf.js";
 import { getOriginTypeForDob } from "../shared/origin-wave.js";
 import { isRtlLocale } from "../shared/i18n.js";
+import { resolveContentLanguage } from "../shared/content.js";
 
 function getRequestOrigin(req) {
   const proto = req.headers["x-forwarded-proto"] || "https";
@@ -58,8 +59,10 @@ export default async function handler(req, res) {
     let source = "render";
     const originDay = getOriginTypeForDob(profile.birthdate);
     const rtl = isRtlLocale(locale);
+    // Pre-rendered templates carry English text; other languages render live.
+    const english = resolveContentLanguage(locale) === "en";
 
-    if (!rtl && originDay && hasTemplatesForYear(year)) {
+    if (!rtl && english && originDay && hasTemplatesForYear(year)) {
       pdfBytes = await extractMonthlyFromTemplate({
         admin,
         year,
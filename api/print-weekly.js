@@ -3,6 +3,7 @@ import { renderWeekPdf } from "./_lib/calendar-pdf.js";
 import { extractWeeklyFromTemplate } from "./_lib/template-pdf.js";
 import { getOriginTypeForDob } from "../shared/origin-wave.js";
 import { isRtlLocale } from "../shared/i18n.js";
+import { resolveContentLanguage } from "../shared/content.js";
 
 function getRequestOrigin(req) {
   const proto = req.headers["x-forwarded-proto"] || "https";
@@ -74,8 +75,10 @@ export default async function handler(req, res) {
     let source = "render";
     const originDay = getOriginTypeForDob(profile.birthdate);
     const rtl = isRtlLocale(locale);
+    // Pre-rendered templates carry English text; other languages render live.
+    const english = resolveContentLanguage(locale) === "en";
 
-    if (!rtl && originDay) {
+    if (!rtl && english && originDay) {
       pdfBytes = await extractWeeklyFromTemplate({
         admin,
         startYmd,
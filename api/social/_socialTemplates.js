@@ -0,0 +1,67 @@
+// Day templates shared into a shared calendar (social_planner_templates).
+// Members apply them to their own card; the template stays its author's.
+import { normalizeTemplateSinedays, normalizeTemplateTasks } from "../../js/day-templates.js";
+
+const SHARED_TEMPLATE_SELECT = `
+  template_id,
+  shared_by_user_id,
+  created_at,
+  planner_day_templates:template_id (
+    id,
+    user_id,
+    title,
+    sinedays,
+    auto_apply,
+    version,
+    tasks,
+    note,
+    is_archived
+  )
+`;
+
+/** A template row as the shared calendar sees it. */
+export function sharedTemplateView(template, sharedByUserId) {
+  const tasks = normalizeTemplateTasks(template.tasks);
+  return {
+    id: template.id,
+    title: template.title,
+    sinedays: normalizeTemplateSinedays(template.sinedays),
+    version: template.version ?? 1,
+    tasks,
+    note: String(template.note ?? ""),
+    sharedByUserId
+  };
+}
+
+/**
+ * Templates shared into the planner that their author has not deleted.
+ * @returns {Promise<Array<{ template: object, sharedByUserId: string }>>}
+ */
+export async function listSharedTemplates(admin, plannerId) {
+  const { data, error } = await admin
+    .from("social_planner_templates")
+    .select(SHARED_TEMPLATE_SELECT)
+    .eq("planner_id", plannerId)
+    .order("created_at", { ascending: true });
+
+  if (error) throw new Error(`Failed to load shared templates: ${error.message}`);
+
+  return (data || [])
+    .filter((row) => row.planner_day_templates && !row.planner_day_templates.is_archived)
+    .map((row) => ({ template: row.planner_day_templates, sharedByUserId: row.shared_by_user_id }));
+}
+
+/** One template shared into the planner, or null. */
+export async function loadSharedTemplate(admin, plannerId, templateId) {
+  const { data, error } = await admin
+    .from("social_planner_templates")
+    .select(SHARED_TEMPLATE_SELECT)
+    .eq("planner_id", plannerId)
+    .eq("template_id", templateId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load template: ${error.message}`);
+  const template = data?.planner_day_templates;
+  if (!template || template.is_archived) return null;
+  return { template, sharedByUserId: data.shared_by_user_id };
+}
@@ -1,4 +1,16 @@
 import { authenticateUser, getAdminClient } from "../_lib/auth.js";
+import {
+  MAX_REPEAT_COUNT,
+  REPEAT_MODES as TASK_REPEAT_MODES,
+  overrideOccurrence,
+  ruleMatchesDate,
+  skipOccurrence,
+  splitSeries
+} from "../../js/task-recurrence.js";
+import { normalizeChecklist, validateChecklist } from "../../js/task-checklist.js";
+import { materializeTemplate, mergeTemplateNote } from "../../js/day-templates.js";
+import { loadSharedTemplate } from "./_socialTemplates.js";
+import { taskOccursOnSocialDate } from "./_socialTaskRecurrence.js";
 
 function setCors(res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -22,15 +34,75 @@ function isValidYmd(value) {
   return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ""));
 }
 
-const REPEAT_MODES = new Set([
-  "none",
-  "daily",
-  "weekly",
-  "monthly",
-  "yearly",
-  "weekdays",
-  "sineday"
-]);
+const REPEAT_MODES = new Set(TASK_REPEAT_MODES);
+
+const TASK_COLUMNS =
+  "id, start_date, task_date, title, sort_order, repeat_mode, repeat_interval, repeat_until, repeat_sinedays, repeat_weekdays, repeat_monthdays, repeat_nth, repeat_count, exception_dates, occurrence_overrides, checklist";
+
+/**
+ * The repeat fields present in a request body, validated.
+ * @returns {{ patch: Object } | { error: string }}
+ */
+function readRepeatFields(body) {
+  const patch = {};
+
+  if (body.repeat_mode !== undefined) {
+    const mode = String(body.repeat_mode || "none");
+    if (!REPEAT_MODES.has(mode)) {
+      return { error: "Invalid repeat_mode" };
+    }
+    patch.repeat_mode = mode;
+  }
+  if (body.repeat_interval !== undefined) {
+    patch.repeat_interval = Math.max(1, Math.min(365, Number(body.repeat_interval) || 1));
+  }
+  if (body.repeat_until !== undefined) {
+    const u = body.repeat_until;
+    if (u === null || u === "") {
+      patch.repeat_until = null;
+    } else {
+      const s = String(u).trim();
+      if (!isValidYmd(s)) {
+        return { error: "repeat_until must be YYYY-MM-DD or empty" };
+      }
+      patch.repeat_until = s;
+    }
+  }
+  if (body.repeat_sinedays !== undefined) {
+    const raw = Array.isArray(body.repeat_sinedays) ? body.repeat_sinedays : [];
+    patch.repeat_sinedays = raw
+      .map((x) => Number(x))
+      .filter((d) => Number.isInteger(d) && d >= 1 && d <= 18);
+  }
+  if (body.repeat_weekdays !== undefined) {
+    const raw = Array.isArray(body.repeat_weekdays) ? body.repeat_weekdays : [];
+    patch.repeat_weekdays = raw
+      .map((x) => Number(x))
+      .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+  }
+  if (body.repeat_monthdays !== undefined) {
+    const raw = Array.isArray(body.repeat_monthdays) ? body.repeat_monthdays : [];
+    patch.repeat_monthdays = raw
+      .map((x) => Number(x))
+      .filter((d) => Number.isInteger(d) && d !== 0 && d >= -31 && d <= 31);
+  }
+  if (body.repeat_nth !== undefined) {
+    const nth = body.repeat_nth === null || body.repeat_nth === "" ? null : Number(body.repeat_nth);
+    if (nth !== null && !(Number.isInteger(nth) && nth !== 0 && nth >= -5 && nth <= 5)) {
+      return { error: "repeat_nth must be 1 to 5 or -1 to -5" };
+    }
+    patch.repeat_nth = nth;
+  }
+  if (body.repeat_count !== undefined) {
+    const count = body.repeat_count === null || body.repeat_count === "" ? null : Number(body.repeat_count);
+    if (count !== null && !(Number.isInteger(count) && count >= 1 && count <= MAX_REPEAT_COUNT)) {
+      return { error: `repeat_count must be 1 to ${MAX_REPEAT_COUNT} or empty` };
+    }
+    patch.repeat_count = count;
+  }
+
+  return { patch };
+}
 
 async function loadMembership(admin, plannerId, userId) {
   const { data, error } = await admin
@@ -48,7 +120,7 @@ async function loadMembership(admin, plannerId, userId) {
 async function getOwnerProfile(admin, userId) {
   const { data, error } = await admin
     .from("profiles")
-    .select("id, display_name")
+    .select("id, display_name, birthdate")
     .eq("user_id", userId)
     .eq("is_owner", true)
     .maybeSingle();
@@ -58,6 +130,74 @@ async function getOwnerProfile(admin, userId) {
   return data;
 }
 
+async function loadOwnTask(admin, plannerId, userId, taskId) {
+  const { data, error } = await admin
+    .from("social_day_tasks")
+    .select(TASK_COLUMNS)
+    .eq("id", taskId)
+    .eq("planner_id", plannerId)
+    .eq("author_user_id", userId)
+    .eq("is_archived", false)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load task: ${error.message}`);
+  return data;
+}
+
+async function updateOwnTask(admin, plannerId, userId, taskId, patch) {
+  const { error } = await admin
+    .from("social_day_tasks")
+    .update({
+      ...patch,
+      updated_at: new Date().toISOString()
+    })
+    .eq("id", taskId)
+    .eq("planner_id", plannerId)
+    .eq("author_user_id", userId);
+
+  if (error) throw new Error(`Failed to update task: ${error.message}`);
+}
+
+/**
+ * "This and following": ends the task the day before fromDate and carries
+ * the rest of the series on as a new task with `changes` applied.
+ */
+async function splitOwnTask(admin, { plannerId, userId, ownerProfileId, task, fromDate, changes }) {
+  const { head, tail } = splitSeries(task, fromDate, changes);
+  if (!head) {
+    await updateOwnTask(admin, plannerId, userId, task.id, changes);
+    return;
+  }
+
+  const { data: inserted, error } = await admin
+    .from("social_day_tasks")
+    .insert({
+      ...tail,
+      planner_id: plannerId,
+      task_date: tail.start_date,
+      author_user_id: userId,
+      author_profile_id: ownerProfileId,
+      is_completed: false
+    })
+    .select("id")
+    .single();
+
+  if (error) throw new Error(`Failed to split task: ${error.message}`);
+
+  try {
+    await updateOwnTask(admin, plannerId, userId, task.id, head);
+  } catch (err) {
+    // A series that never ended next to its new half would show every later occurrence twice.
+    const { error: deleteErr } = await admin
+      .from("social_day_tasks")
+      .delete()
+      .eq("id", inserted.id)
+      .eq("planner_id", plannerId);
+    if (deleteErr) console.error("[social/day-entry] split task not removed:", deleteErr);
+    throw err;
+  }
+}
+
 export default async function handler(req, res) {
   setCors(res);
 
@@ -128,6 +268,12 @@ export default async function handler(req, res) {
         return res.status(400).json({ ok: false, error: "title is required" });
       }
 
+      // Quick-add sends the repeat rule with the new task.
+      const repeat = readRepeatFields(body);
+      if (repeat.error) {
+        return res.status(400).json({ ok: false, error: repeat.error });
+      }
+
       const { error } = await admin
         .from("social_day_tasks")
         .insert({
@@ -141,7 +287,8 @@ export default async function handler(req, res) {
           sort_order: 0,
           repeat_mode: "none",
           repeat_interval: 1,
-          repeat_sinedays: []
+          repeat_sinedays: [],
+          ...repeat.patch
         });
 
       if (error) throw new Error(`Failed to add task: ${error.message}`);
@@ -206,50 +353,146 @@ export default async function handler(req, res) {
         patch.title = title;
       }
 
-      if (body.repeat_mode !== undefined) {
-        const mode = String(body.repeat_mode || "none");
-        if (!REPEAT_MODES.has(mode)) {
-          return res.status(400).json({ ok: false, error: "Invalid repeat_mode" });
+      const repeat = readRepeatFields(body);
+      if (repeat.error) {
+        return res.status(400).json({ ok: false, error: repeat.error });
+      }
+      Object.assign(patch, repeat.patch);
+
+      if (body.checklist !== undefined) {
+        const result = validateChecklist(body.checklist);
+        if (result.error) {
+          return res.status(400).json({ ok: false, error: result.error });
         }
-        patch.repeat_mode = mode;
+        patch.checklist = result.checklist;
       }
-      if (body.repeat_interval !== undefined) {
-        patch.repeat_interval = Math.max(1, Math.min(365, Number(body.repeat_interval) || 1));
+
+      if (Object.keys(patch).length === 0) {
+        return res.status(400).json({ ok: false, error: "No fields to update" });
       }
-      if (body.repeat_until !== undefined) {
-        const u = body.repeat_until;
-        if (u === null || u === "") {
-          patch.repeat_until = null;
-        } else {
-          const s = String(u).trim();
-          if (!isValidYmd(s)) {
-            return res.status(400).json({ ok: false, error: "repeat_until must be YYYY-MM-DD or empty" });
-          }
-          patch.repeat_until = s;
+
+      // fromDate: change this occurrence and the ones after it only.
+      if (body.fromDate != null && body.fromDate !== "") {
+        const fromDate = String(body.fromDate).trim();
+        if (!isValidYmd(fromDate)) {
+          return res.status(400).json({ ok: false, error: "fromDate must be YYYY-MM-DD" });
         }
+        const task = await loadOwnTask(admin, plannerId, user.id, taskId);
+        if (!task) return res.status(404).json({ ok: false, error: "Task not found" });
+
+        await splitOwnTask(admin, {
+          plannerId,
+          userId: user.id,
+          ownerProfileId: ownerProfile.id,
+          task,
+          fromDate,
+          changes: patch
+        });
+        return res.status(200).json({ ok: true });
+      }
+
+      await updateOwnTask(admin, plannerId, user.id, taskId, patch);
+
+      return res.status(200).json({ ok: true });
+    }
+
+    if (action === "skip_occurrence" || action === "update_occurrence") {
+      const taskId = String(body.taskId || "").trim();
+      if (!taskId) {
+        return res.status(400).json({ ok: false, error: "taskId is required" });
+      }
+      if (!isValidYmd(dateYmd)) {
+        return res.status(400).json({ ok: false, error: "date must be YYYY-MM-DD" });
       }
-      if (body.repeat_sinedays !== undefined) {
-        const raw = Array.isArray(body.repeat_sinedays) ? body.repeat_sinedays : [];
-        patch.repeat_sinedays = raw
-          .map((x) => Number(x))
-          .filter((d) => Number.isInteger(d) && d >= 1 && d <= 18);
+
+      const task = await loadOwnTask(admin, plannerId, user.id, taskId);
+      if (!task) return res.status(404).json({ ok: false, error: "Task not found" });
+      if (!ruleMatchesDate(task, dateYmd, ownerProfile.birthdate)) {
+        return res.status(400).json({ ok: false, error: "The task does not repeat on that date" });
       }
 
-      if (Object.keys(patch).length === 0) {
+      if (action === "skip_occurrence") {
+        await updateOwnTask(admin, plannerId, user.id, taskId, skipOccurrence(task, dateYmd));
+        return res.status(200).json({ ok: true });
+      }
+
+      const changes = {};
+      if (body.title !== undefined) changes.title = body.title;
+      if (body.moveTo !== undefined) changes.date = String(body.moveTo || "").trim();
+      if (Object.keys(changes).length === 0) {
         return res.status(400).json({ ok: false, error: "No fields to update" });
       }
 
-      const { error } = await admin
+      const result = overrideOccurrence(task, dateYmd, changes, ownerProfile.birthdate);
+      if (result.error) return res.status(400).json({ ok: false, error: result.error });
+
+      await updateOwnTask(admin, plannerId, user.id, taskId, result.patch);
+      return res.status(200).json({ ok: true });
+    }
+
+    // Any member can tick a shared task's checklist; the items stay the author's.
+    if (action === "toggle_checklist_item") {
+      const taskId = String(body.taskId || "").trim();
+      const itemId = String(body.itemId || "").trim();
+      const checked = body.checked === true;
+
+      if (!taskId) {
+        return res.status(400).json({ ok: false, error: "taskId is required" });
+      }
+      if (!itemId) {
+        return res.status(400).json({ ok: false, error: "itemId is required" });
+      }
+      if (!isValidYmd(dateYmd)) {
+        return res.status(400).json({ ok: false, error: "date must be YYYY-MM-DD" });
+      }
+
+      const { data: task, error: taskError } = await admin
         .from("social_day_tasks")
-        .update({
-          ...patch,
-          updated_at: new Date().toISOString()
-        })
+        .select(`${TASK_COLUMNS}, author_user_id`)
         .eq("id", taskId)
         .eq("planner_id", plannerId)
-        .eq("author_user_id", user.id);
+        .eq("is_archived", false)
+        .maybeSingle();
+
+      if (taskError) throw new Error(`Failed to load task: ${taskError.message}`);
+      if (!task) return res.status(404).json({ ok: false, error: "Task not found" });
+      if (!normalizeChecklist(task.checklist).some((item) => item.id === itemId)) {
+        return res.status(404).json({ ok: false, error: "Checklist item not found" });
+      }
+
+      // Ticks belong to one day of the task, as the day view shows it.
+      const authorBirthdate =
+        task.repeat_mode === "sineday" ? (await getOwnerProfile(admin, task.author_user_id)).birthdate : null;
+      if (!taskOccursOnSocialDate(task, dateYmd, authorBirthdate)) {
+        return res.status(400).json({ ok: false, error: "The task is not on that date" });
+      }
+
+      if (checked) {
+        const { error } = await admin
+          .from("social_day_task_checklist_checks")
+          .upsert(
+            {
+              task_id: taskId,
+              planner_id: plannerId,
+              checked_by_user_id: user.id,
+              occurrence_date: dateYmd,
+              item_id: itemId
+            },
+            { onConflict: "task_id,occurrence_date,item_id" }
+          );
+
+        if (error) throw new Error(`Failed to tick checklist item: ${error.message}`);
+      } else {
+        const { error } = await admin
+          .from("social_day_task_checklist_checks")
+          .delete()
+          .eq("task_id", taskId)
+          .eq("planner_id", plannerId)
+          .eq("occurrence_date", dateYmd)
+          .eq("item_id", itemId);
 
-      if (error) throw new Error(`Failed to update task: ${error.message}`);
+        if (error) throw new Error(`Failed to untick checklist item: ${error.message}`);
+      }
 
       return res.status(200).json({ ok: true });
     }
@@ -261,6 +504,22 @@ export default async function handler(req, res) {
         return res.status(400).json({ ok: false, error: "taskId is required" });
       }
 
+      // fromDate: end the series before this occurrence instead of removing it all.
+      if (body.fromDate != null && body.fromDate !== "") {
+        const fromDate = String(body.fromDate).trim();
+        if (!isValidYmd(fromDate)) {
+          return res.status(400).json({ ok: false, error: "fromDate must be YYYY-MM-DD" });
+        }
+        const task = await loadOwnTask(admin, plannerId, user.id, taskId);
+        if (!task) return res.status(404).json({ ok: false, error: "Task not found" });
+
+        const { head } = splitSeries(task, fromDate);
+        if (head) {
+          await updateOwnTask(admin, plannerId, user.id, taskId, head);
+          return res.status(200).json({ ok: true });
+        }
+      }
+
       const { error } = await admin
         .from("social_day_tasks")
         .update({ is_archived: true })
@@ -273,6 +532,102 @@ export default async function handler(req, res) {
       return res.status(200).json({ ok: true });
     }
 
+    if (action === "apply_template") {
+      const templateId = String(body.templateId || "").trim();
+
+      if (!templateId) {
+        return res.status(400).json({ ok: false, error: "templateId is required" });
+      }
+      if (!isValidYmd(dateYmd)) {
+        return res.status(400).json({ ok: false, error: "date must be YYYY-MM-DD" });
+      }
+
+      const shared = await loadSharedTemplate(admin, plannerId, templateId);
+      if (!shared) return res.status(404).json({ ok: false, error: "Template not found" });
+      const { template } = shared;
+
+      // Recorded first so a day never gets the same template twice, and
+      // taken back if the day cannot be filled so it can be tried again.
+      const { error: appErr } = await admin.from("social_day_template_applications").insert({
+        planner_id: plannerId,
+        template_id: template.id,
+        user_id: user.id,
+        version: template.version ?? 1,
+        day: dateYmd
+      });
+
+      if (appErr?.code === "23505") {
+        return res.status(409).json({ ok: false, error: "This template is already on that day" });
+      }
+      if (appErr) throw new Error(`Failed to record template: ${appErr.message}`);
+
+      try {
+        // Shared-calendar tasks have no times, so only the titles carry over.
+        const { tasks, note } = materializeTemplate(template, dateYmd);
+        if (tasks.length) {
+          const { error } = await admin.from("social_day_tasks").insert(
+            tasks.map((task) => ({
+              planner_id: plannerId,
+              task_date: dateYmd,
+              start_date: dateYmd,
+              author_user_id: user.id,
+              author_profile_id: ownerProfile.id,
+              title: task.title,
+              is_completed: false,
+              sort_order: task.sort_order,
+              repeat_mode: "none",
+              repeat_interval: 1,
+              repeat_sinedays: []
+            }))
+          );
+
+          if (error) throw new Error(`Failed to add template tasks: ${error.message}`);
+        }
+
+        if (note) {
+          const { data: entry, error: eErr } = await admin
+            .from("social_day_entries")
+            .select("content")
+            .eq("planner_id", plannerId)
+            .eq("entry_date", dateYmd)
+            .eq("author_user_id", user.id)
+            .maybeSingle();
+
+          if (eErr) throw new Error(`Failed to load note: ${eErr.message}`);
+
+          const content = mergeTemplateNote(entry?.content, note);
+          if (content !== (entry?.content ?? "")) {
+            const { error } = await admin.from("social_day_entries").upsert(
+              {
+                planner_id: plannerId,
+                entry_date: dateYmd,
+                author_user_id: user.id,
+                author_profile_id: ownerProfile.id,
+                content
+              },
+              {
+                onConflict: "planner_id,entry_date,author_user_id"
+              }
+            );
+
+            if (error) throw new Error(`Failed to save note: ${error.message}`);
+          }
+        }
+      } catch (err) {
+        const { error } = await admin
+          .from("social_day_template_applications")
+          .delete()
+          .eq("planner_id", plannerId)
+          .eq("template_id", template.id)
+          .eq("user_id", user.id)
+          .eq("day", dateYmd);
+        if (error) console.error("[social/day-entry] template record not removed:", error);
+        throw err;
+      }
+
+      return res.status(200).json({ ok: true, version: template.version ?? 1 });
+    }
+
     return res.status(400).json({ ok: false, error: "Unsupported action" });
   } catch (err) {
     if (
@@ -1,6 +1,9 @@
 import { authenticateUser, getAdminClient } from "../_lib/auth.js";
 import { calculateSineDayForYmd } from "../../js/sineday-engine.js";
-import { formatRepeatMeta, taskOccursOnSocialDate } from "./_socialTaskRecurrence.js";
+import { formatRepeatMeta, socialOccurrenceOnDate } from "./_socialTaskRecurrence.js";
+import { normalizeChecklist } from "../../js/task-checklist.js";
+import { templatesForSineDay } from "../../js/day-templates.js";
+import { listSharedTemplates, sharedTemplateView } from "./_socialTemplates.js";
 
 function setCors(res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -65,7 +68,10 @@ export default async function handler(req, res) {
       { data: members, error: membersError },
       { data: notes, error: notesError },
       { data: allTasks, error: tasksError },
-      { data: completions, error: completionsError }
+      { data: completions, error: completionsError },
+      { data: checks, error: checksError },
+      sharedTemplates,
+      { data: applied, error: appliedError }
     ] = await Promise.all([
       admin
         .from("social_planner_members")
@@ -90,7 +96,7 @@ export default async function handler(req, res) {
       admin
         .from("social_day_tasks")
         .select(
-          "id, task_date, start_date, author_user_id, title, is_archived, sort_order, created_at, repeat_mode, repeat_interval, repeat_until, repeat_sinedays"
+          "id, task_date, start_date, author_user_id, title, is_archived, sort_order, created_at, repeat_mode, repeat_interval, repeat_until, repeat_sinedays, repeat_weekdays, repeat_monthdays, repeat_nth, repeat_count, exception_dates, occurrence_overrides, checklist"
         )
         .eq("planner_id", plannerId)
         .eq("is_archived", false)
@@ -100,7 +106,19 @@ export default async function handler(req, res) {
         .from("social_day_task_completions")
         .select("task_id, author_user_id")
         .eq("planner_id", plannerId)
-        .eq("occurrence_date", date)
+        .eq("occurrence_date", date),
+      admin
+        .from("social_day_task_checklist_checks")
+        .select("task_id, item_id, checked_by_user_id")
+        .eq("planner_id", plannerId)
+        .eq("occurrence_date", date),
+      listSharedTemplates(admin, plannerId),
+      admin
+        .from("social_day_template_applications")
+        .select("template_id")
+        .eq("planner_id", plannerId)
+        .eq("user_id", user.id)
+        .eq("day", date)
     ]);
 
     if (membersError) throw new Error(`Failed to load members: ${membersError.message}`);
@@ -109,6 +127,8 @@ export default async function handler(req, res) {
     if (completionsError) {
       throw new Error(`Failed to load task completions: ${completionsError.message}`);
     }
+    if (checksError) throw new Error(`Failed to load checklist ticks: ${checksError.message}`);
+    if (appliedError) throw new Error(`Failed to load applied templates: ${appliedError.message}`);
 
     const notesByUser = new Map((notes || []).map((row) => [row.author_user_id, row]));
     const completionKey = (userId, taskId) => `${userId}:${taskId}`;
@@ -121,17 +141,38 @@ export default async function handler(req, res) {
       profileByUserId.set(m.user_id, m.profiles);
     }
 
+    // "taskId:itemId" → who ticked it
+    const checkedBy = new Map(
+      (checks || []).map((c) => [`${c.task_id}:${c.item_id}`, c.checked_by_user_id])
+    );
+
     const tasksByUser = new Map();
 
     for (const task of allTasks || []) {
       const profile = profileByUserId.get(task.author_user_id);
       const birthdate = profile?.birthdate || null;
-      if (!taskOccursOnSocialDate(task, date, birthdate)) continue;
+      const occurrence = socialOccurrenceOnDate(task, date, birthdate);
+      if (!occurrence) continue;
+
+      const checklist = normalizeChecklist(task.checklist).map((item) => {
+        const byUserId = checkedBy.get(`${task.id}:${item.id}`) || null;
+        return {
+          ...item,
+          checked: byUserId !== null,
+          checked_by: byUserId ? profileByUserId.get(byUserId)?.display_name || "Member" : null
+        };
+      });
 
       const list = tasksByUser.get(task.author_user_id) || [];
       list.push({
         ...task,
+        // Title of this occurrence; series_title is the one the rule carries.
+        title: occurrence.title,
+        series_title: task.title,
+        occurrence_date: occurrence.occurrenceDate,
+        is_moved: occurrence.moved,
         is_completed: completionSet.has(completionKey(task.author_user_id, task.id)),
+        checklist,
         repeat_meta: formatRepeatMeta(task)
       });
       tasksByUser.set(task.author_user_id, list);
@@ -167,6 +208,21 @@ export default async function handler(req, res) {
       return a.displayName.localeCompare(b.displayName);
     });
 
+    // Shared templates for the caller's SineDay that their card has not had yet.
+    const ownCard = memberCards.find((card) => card.isCurrentUser);
+    const ownBirthdate = profileByUserId.get(user.id)?.birthdate;
+    const appliedIds = new Set((applied || []).map((row) => row.template_id));
+    const sharedBy = new Map(sharedTemplates.map((row) => [row.template.id, row.sharedByUserId]));
+    const templateOffers =
+      ownCard && ownBirthdate
+        ? templatesForSineDay(
+            sharedTemplates.map((row) => row.template),
+            ownCard.dayNumber
+          )
+            .filter((template) => !appliedIds.has(template.id))
+            .map((template) => sharedTemplateView(template, sharedBy.get(template.id)))
+        : [];
+
     const label = new Intl.DateTimeFormat("en-US", {
       weekday: "long",
       month: "long",
@@ -182,7 +238,8 @@ export default async function handler(req, res) {
         title: planner.title || "Social Planner"
       },
       label,
-      members: memberCards
+      members: memberCards,
+      templateOffers
     });
   } catch (err) {
     if (
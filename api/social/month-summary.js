@@ -115,7 +115,7 @@ export default async function handler(req, res) {
       admin
         .from("social_day_tasks")
         .select(
-          "author_user_id, task_date, start_date, repeat_mode, repeat_interval, repeat_until, repeat_sinedays, is_archived"
+          "author_user_id, task_date, start_date, repeat_mode, repeat_interval, repeat_until, repeat_sinedays, repeat_weekdays, repeat_monthdays, repeat_nth, repeat_count, exception_dates, occurrence_overrides, is_archived"
         )
         .eq("planner_id", plannerId)
         .eq("is_archived", false)
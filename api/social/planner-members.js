@@ -314,6 +314,14 @@ export default async function handler(req, res) {
 
       if (delTasks) throw new Error(`Failed to clear member tasks: ${delTasks.message}`);
 
+      const { error: delTemplates } = await admin
+        .from("social_planner_templates")
+        .delete()
+        .eq("planner_id", plannerId)
+        .eq("shared_by_user_id", memberUserId);
+
+      if (delTemplates) throw new Error(`Failed to clear member templates: ${delTemplates.message}`);
+
       return res.status(200).json({ ok: true });
     }
 
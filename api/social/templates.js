@@ -0,0 +1,179 @@
+import { authenticateUser, getAdminClient } from "../_lib/auth.js";
+import { listSharedTemplates, sharedTemplateView } from "./_socialTemplates.js";
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+function parseJsonBody(req) {
+  if (req.body == null) return {};
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body || "{}");
+    } catch {
+      return {};
+    }
+  }
+  return typeof req.body === "object" ? req.body : {};
+}
+
+async function loadMembership(admin, plannerId, userId) {
+  const { data, error } = await admin
+    .from("social_planner_members")
+    .select("planner_id, role, status")
+    .eq("planner_id", plannerId)
+    .eq("user_id", userId)
+    .eq("status", "active")
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to verify membership: ${error.message}`);
+  return data;
+}
+
+async function displayNamesForUserIds(admin, userIds) {
+  const unique = [...new Set(userIds.filter(Boolean))];
+  if (!unique.length) return new Map();
+
+  const { data, error } = await admin
+    .from("profiles")
+    .select("user_id, display_name")
+    .in("user_id", unique)
+    .eq("is_owner", true);
+
+  if (error) throw new Error(`Failed to load profiles: ${error.message}`);
+  return new Map((data || []).map((row) => [row.user_id, row.display_name || "Member"]));
+}
+
+/**
+ * Day templates in a shared calendar.
+ * GET ?planner_id — the templates shared into it, and the caller's own
+ * templates that could still be shared.
+ * POST { action: "share" | "unshare", plannerId, templateId } — members
+ * share their own templates; the sharer or the calendar owner unshares.
+ */
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  try {
+    const { user } = await authenticateUser(req);
+    const admin = getAdminClient();
+
+    if (req.method === "GET") {
+      const plannerId = String(req.query?.planner_id || "").trim();
+      if (!plannerId) {
+        return res.status(400).json({ ok: false, error: "planner_id is required" });
+      }
+
+      const membership = await loadMembership(admin, plannerId, user.id);
+      if (!membership) {
+        return res.status(404).json({ ok: false, error: "Planner not found" });
+      }
+
+      const shared = await listSharedTemplates(admin, plannerId);
+      const names = await displayNamesForUserIds(
+        admin,
+        shared.map((row) => row.sharedByUserId)
+      );
+      const sharedIds = new Set(shared.map((row) => row.template.id));
+
+      const { data: own, error: ownErr } = await admin
+        .from("planner_day_templates")
+        .select("id, title, sinedays, version")
+        .eq("user_id", user.id)
+        .eq("is_archived", false)
+        .order("title", { ascending: true });
+
+      if (ownErr) throw new Error(`Failed to load templates: ${ownErr.message}`);
+
+      return res.status(200).json({
+        ok: true,
+        templates: shared.map(({ template, sharedByUserId }) => ({
+          ...sharedTemplateView(template, sharedByUserId),
+          sharedBy: sharedByUserId === user.id ? "You" : names.get(sharedByUserId) || "Member",
+          canUnshare: sharedByUserId === user.id || membership.role === "owner"
+        })),
+        shareable: (own || [])
+          .filter((template) => !sharedIds.has(template.id))
+          .map((template) => ({ id: template.id, title: template.title, sinedays: template.sinedays, version: template.version }))
+      });
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    const body = parseJsonBody(req);
+    const action = String(body.action || "").trim();
+    const plannerId = String(body.plannerId || "").trim();
+    const templateId = String(body.templateId || "").trim();
+
+    if (!plannerId || !templateId) {
+      return res.status(400).json({ ok: false, error: "plannerId and templateId are required" });
+    }
+
+    const membership = await loadMembership(admin, plannerId, user.id);
+    if (!membership) {
+      return res.status(403).json({ ok: false, error: "You are not an active member of this planner" });
+    }
+
+    if (action === "share") {
+      const { data: template, error: tErr } = await admin
+        .from("planner_day_templates")
+        .select("id")
+        .eq("id", templateId)
+        .eq("user_id", user.id)
+        .eq("is_archived", false)
+        .maybeSingle();
+
+      if (tErr) throw new Error(`Failed to load template: ${tErr.message}`);
+      if (!template) return res.status(404).json({ ok: false, error: "Template not found" });
+
+      const { error } = await admin.from("social_planner_templates").insert({
+        planner_id: plannerId,
+        template_id: templateId,
+        shared_by_user_id: user.id
+      });
+
+      // Already shared: nothing to do.
+      if (error && error.code !== "23505") throw new Error(`Failed to share template: ${error.message}`);
+
+      return res.status(200).json({ ok: true });
+    }
+
+    if (action === "unshare") {
+      const { data: row, error: rErr } = await admin
+        .from("social_planner_templates")
+        .select("id, shared_by_user_id")
+        .eq("planner_id", plannerId)
+        .eq("template_id", templateId)
+        .maybeSingle();
+
+      if (rErr) throw new Error(`Failed to load shared template: ${rErr.message}`);
+      if (!row) return res.status(404).json({ ok: false, error: "Template not found" });
+      if (row.shared_by_user_id !== user.id && membership.role !== "owner") {
+        return res.status(403).json({ ok: false, error: "Only whoever shared it or the calendar owner can remove it" });
+      }
+
+      const { error } = await admin.from("social_planner_templates").delete().eq("id", row.id);
+      if (error) throw new Error(`Failed to unshare template: ${error.message}`);
+
+      return res.status(200).json({ ok: true });
+    }
+
+    return res.status(400).json({ ok: false, error: "Unknown action" });
+  } catch (err) {
+    if (
+      err?.message === "Missing or invalid Authorization header" ||
+      err?.message === "Invalid or expired token"
+    ) {
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+
+    console.error("[social/templates] error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
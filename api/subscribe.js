@@ -2,10 +2,13 @@
  * Vercel serverless function for email subscription signup
  *
  * POST /api/subscribe
- * Body: { email, consent, timezone, birthdate, birth_day_of_year, origin_day, source }
+ * Body: { email, consent, timezone, birthdate, birth_day_of_year, origin_day, source, language }
  *
  * Authenticated Daily Duck setup may send:
- *   { birthdate: "YYYY-MM-DD", consent: true, timezone, source: "dashboard-daily-duck" }
+ *   { birthdate: "YYYY-MM-DD", consent: true, timezone, language, source: "dashboard-daily-duck" }
+ *
+ * language (content pack code) sets the Daily Duck subject line language;
+ * omitted means the stored preference is left unchanged.
  *
  * The full birthdate is used only to derive email-safe values, then discarded.
  * It is never stored, logged, returned, or sent to Resend.
@@ -23,6 +26,7 @@ import {
 } from './_lib/email-rhythm.js';
 import { WELCOME_TEMPLATE_ALIAS, unwrapResendSend } from './_lib/daily-email.js';
 import { buildUnsubscribePageUrl } from './_lib/unsubscribe-token.js';
+import { resolveContentLanguage } from '../shared/content.js';
 
 /**
  * Email validation regex
@@ -195,20 +199,25 @@ export default async function handler(req, res) {
 
     // 2. Upsert preferences
     const now = new Date().toISOString();
+    const preferences = {
+      subscriber_id: subscriber.id,
+      email_enabled: true,
+      sms_enabled: false,
+      email_opt_in: true,
+      sms_opt_in: false,
+      email_opt_in_at: now,
+      send_hour_local: 6,
+      send_minute_local: 0,
+      updated_at: now
+    };
+    if (typeof body.language === 'string' && body.language.trim()) {
+      preferences.language = resolveContentLanguage(body.language);
+    }
+
     const { error: preferencesError } = await supabase
       .from('subscriber_preferences')
       .upsert(
-        {
-          subscriber_id: subscriber.id,
-          email_enabled: true,
-          sms_enabled: false,
-          email_opt_in: true,
-          sms_opt_in: false,
-          email_opt_in_at: now,
-          send_hour_local: 6,
-          send_minute_local: 0,
-          updated_at: now
-        },
+        preferences,
         {
           onConflict: 'subscriber_id',
           ignoreDuplicates: false
@@ -0,0 +1,184 @@
+/**
+ * GET /api/wave-sync?profileIds=<uuid>,<uuid>[,...]&start=YYYY-MM-DD&days=N
+ * GET /api/wave-sync?plannerId=<uuid>&start=YYYY-MM-DD&days=N
+ * Headers: Authorization: Bearer <access_token>
+ *
+ * Compares two or more SineDay profiles over a window: same-phase and
+ * opposite ranges, pairwise offsets, and the next shared upswing dates.
+ * profileIds must all belong to the caller; plannerId compares the owner
+ * profiles of a social planner's active members (caller must be one).
+ * Birthdates are never returned.
+ */
+
+import { authenticateUser, getAdminClient } from "./_lib/auth.js";
+import { parseStrictYmd } from "./_lib/email-rhythm.js";
+import { forecastStartForTimeZone } from "./_lib/sineday-forecast.js";
+import {
+  WAVE_SYNC_DEFAULT_DAYS,
+  WAVE_SYNC_MAX_DAYS,
+  WAVE_SYNC_MAX_PROFILES,
+  buildWaveSync
+} from "../js/wave-sync.js";
+
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Cache-Control", "private, no-store");
+}
+
+function parseDays(value) {
+  if (value == null || value === "") return WAVE_SYNC_DEFAULT_DAYS;
+  if (!/^\d+$/.test(String(value))) return null;
+  const days = Number(value);
+  if (days < 1 || days > WAVE_SYNC_MAX_DAYS) return null;
+  return days;
+}
+
+function parseProfileIds(value) {
+  const raw = Array.isArray(value) ? value.join(",") : String(value || "");
+  return [...new Set(raw.split(",").map((id) => id.trim()).filter(Boolean))];
+}
+
+async function loadOwnedProfiles(admin, userId, profileIds) {
+  const { data, error } = await admin
+    .from("profiles")
+    .select("id, display_name, birthdate, timezone")
+    .eq("user_id", userId)
+    .in("id", profileIds);
+
+  if (error) throw new Error(`Failed to load profiles: ${error.message}`);
+
+  const byId = new Map((data || []).map((profile) => [profile.id, profile]));
+  if (byId.size !== profileIds.length) return null;
+  return profileIds.map((id) => byId.get(id));
+}
+
+async function loadPlannerProfiles(admin, plannerId, userId) {
+  const { data: membership, error: membershipError } = await admin
+    .from("social_planner_members")
+    .select("planner_id")
+    .eq("planner_id", plannerId)
+    .eq("user_id", userId)
+    .eq("status", "active")
+    .maybeSingle();
+
+  if (membershipError) throw new Error(`Failed to verify membership: ${membershipError.message}`);
+  if (!membership) return null;
+
+  const { data: members, error: membersError } = await admin
+    .from("social_planner_members")
+    .select(`
+      user_id,
+      owner_profile_id,
+      profiles:owner_profile_id (
+        id,
+        display_name,
+        birthdate,
+        timezone
+      )
+    `)
+    .eq("planner_id", plannerId)
+    .eq("status", "active")
+    .order("created_at", { ascending: true });
+
+  if (membersError) throw new Error(`Failed to load members: ${membersError.message}`);
+
+  // The caller's own profile leads so "today" follows their timezone.
+  const profiles = (members || [])
+    .filter((member) => member.profiles?.birthdate)
+    .sort((a, b) => Number(b.user_id === userId) - Number(a.user_id === userId))
+    .map((member) => member.profiles);
+
+  return profiles.slice(0, WAVE_SYNC_MAX_PROFILES);
+}
+
+export default async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  try {
+    const { user } = await authenticateUser(req);
+
+    const plannerId = String(req.query?.plannerId || "").trim();
+    const profileIds = parseProfileIds(req.query?.profileIds);
+    const startParam = String(req.query?.start || "").trim();
+    const days = parseDays(req.query?.days);
+
+    if (!plannerId && profileIds.length < 2) {
+      return res.status(400).json({
+        ok: false,
+        error: "profileIds must list at least two profiles, or pass plannerId"
+      });
+    }
+    if (profileIds.length > WAVE_SYNC_MAX_PROFILES) {
+      return res.status(400).json({
+        ok: false,
+        error: `profileIds accepts at most ${WAVE_SYNC_MAX_PROFILES} profiles`
+      });
+    }
+    if (startParam && !parseStrictYmd(startParam)) {
+      return res.status(400).json({ ok: false, error: "start must be YYYY-MM-DD" });
+    }
+    if (days == null) {
+      return res.status(400).json({
+        ok: false,
+        error: `days must be between 1 and ${WAVE_SYNC_MAX_DAYS}`
+      });
+    }
+
+    const admin = getAdminClient();
+    let profiles;
+    if (plannerId) {
+      profiles = await loadPlannerProfiles(admin, plannerId, user.id);
+      if (!profiles) {
+        return res.status(404).json({ ok: false, error: "Planner not found" });
+      }
+      if (profiles.length < 2) {
+        return res.status(422).json({
+          ok: false,
+          error: "At least two planner members need an owner profile"
+        });
+      }
+    } else {
+      profiles = await loadOwnedProfiles(admin, user.id, profileIds);
+      if (!profiles) {
+        return res.status(404).json({ ok: false, error: "Profile not found" });
+      }
+    }
+
+    const start = startParam || forecastStartForTimeZone(profiles[0].timezone);
+    const sync = buildWaveSync(
+      profiles.map((profile) => ({
+        id: profile.id,
+        displayName: profile.display_name || "",
+        birthdate: profile.birthdate
+      })),
+      start,
+      days
+    );
+    if (!sync) {
+      return res.status(422).json({ ok: false, error: "Profile birthdate is invalid" });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      plannerId: plannerId || null,
+      ...sync
+    });
+  } catch (err) {
+    if (
+      err?.message === "Missing or invalid Authorization header" ||
+      err?.message === "Invalid or expired token"
+    ) {
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+
+    console.error("[wave-sync] error:", err);
+    return res.status(500).json({ ok: false, error: "Unable to compare profiles" });
+  }
+}
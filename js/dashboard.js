@@ -26,7 +26,11 @@ import { duckUrlFromSinedayNumber } from "./sineducks.js";
 import { CalendarsPdfUI } from "./calendars-pdf-ui.js";
 import { JournalUI } from "./journal-ui.js";
 import { JournalHistoryUI } from "./journal-history-ui.js";
+import { JOURNAL_RECALL_DEFAULT_CYCLES } from "./journal-recall.js";
+import { getJournalVault } from "./journal-vault.js";
+import { getOutbox } from "./outbox.js";
 import { calculateSineDayForTimezone, getDayDetails } from "./sineday-engine.js";
+import { buildWaveSync } from "./wave-sync.js";
 import {
   loadUserSettings,
   saveUserSettings,
@@ -35,6 +39,8 @@ import {
   SUPPORTED_REGIONS
 } from "./user-settings.js";
 import { dirFromLocale } from "../shared/i18n.js";
+import { translate } from "../shared/content.js";
+import { CALENDAR_FEED_DAY_PRESETS } from "../shared/calendar-feed-presets.js";
 
 // State
 let currentUser = null;
@@ -56,6 +62,15 @@ let journalUI = null;
 let journalHistoryUI = null;
 let affiliateUI = null;
 let userSettings = null;
+let calendarFeeds = [];
+let calendarFeedBusy = false;
+let calendarFeedBound = false;
+let journalVault = null;
+let journalEncryptionMode = null;
+let journalEncryptionBusy = false;
+let journalEncryptionProgress = "";
+let waveSyncSelection = null;
+let waveSyncBound = false;
 let linkedIdentities = [];
 let publicConfig = null;
 let profileFormMode = "add";
@@ -99,6 +114,7 @@ async function init() {
       await loadLinkedIdentities();
       await loadUserData();
       await loadDailyEmailState();
+      await loadCalendarFeeds();
 
       const affiliateParam = new URLSearchParams(window.location.search).get("affiliate");
       const affiliateRequested =
@@ -206,6 +222,7 @@ async function loadProfiles() {
     profiles = data || [];
     renderProfiles();
     renderDailyEmailBox();
+    renderCalendarFeedUI();
   } catch (error) {
     console.error('Error loading profiles:', error);
     showError('Failed to load profiles');
@@ -531,6 +548,7 @@ async function enableDailyEmail({ birthdate } = {}) {
       email: currentUser.email.toLowerCase().trim(),
       consent: true,
       timezone: getClientTimezone(),
+      language: getDashboardLanguage(),
       source: DAILY_EMAIL_SOURCE
     };
     if (birthdate) {
@@ -611,7 +629,11 @@ async function disableDailyEmail() {
     const accessToken = await getAccessToken();
     const response = await fetch("/api/email-status", {
       method: "PATCH",
-      headers: { Authorization: `Bearer ${accessToken}` }
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${accessToken}`
+      },
+      body: JSON.stringify({ action: "unsubscribe" })
     });
     const data = await response.json();
     if (!response.ok || !data.ok) throw new Error(data.error || "Failed to disable");
@@ -627,6 +649,30 @@ async function disableDailyEmail() {
   }
 }
 
+/**
+ * Keep the Daily Duck subject line in the saved dashboard language.
+ * Best-effort: a failure leaves the previous language in place.
+ */
+async function syncDailyEmailLanguage() {
+  if (!currentUser?.email || !dailyEmailState.subscribed) return;
+
+  try {
+    const accessToken = await getAccessToken();
+    const response = await fetch("/api/email-status", {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${accessToken}`
+      },
+      body: JSON.stringify({ action: "set_language", language: getDashboardLanguage() })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.ok) throw new Error(data.error || "Failed to update email language");
+  } catch (err) {
+    console.error("Daily email language sync failed:", err);
+  }
+}
+
 function setupDailyEmailSetupSheet() {
   const sheet = document.getElementById("daily-email-setup-sheet");
   const backdrop = document.getElementById("daily-email-setup-backdrop");
@@ -1134,9 +1180,10 @@ function renderProfiles() {
   if (duckCarousel) duckCarousel.setProfiles(profiles);
   calendarsUI?.setProfiles?.(profiles);
   calendarsUI?.setOwnerProfile?.(getOwnerProfile());
-  journalUI?.setOwnerProfile?.(getOwnerProfile());
-  journalHistoryUI?.setOwnerProfile?.(getOwnerProfile());
+  journalUI?.setProfiles?.(profiles, getOwnerProfile());
+  journalHistoryUI?.setProfiles?.(profiles, getOwnerProfile());
   renderTodayWaveSection();
+  renderWaveSyncSection();
 
   // Safety remount if journal surfaces were not mounted (e.g. first owner profile created later)
   if (isPaid()) {
@@ -1161,6 +1208,26 @@ function getDashboardLocale() {
   return `${(userSettings?.language || "en")}-${(userSettings?.region || "US")}`;
 }
 
+function getDashboardLanguage() {
+  return userSettings?.language || "en";
+}
+
+function t(key, vars) {
+  return translate(key, getDashboardLanguage(), vars);
+}
+
+/**
+ * Static markup opts in with data-i18n (text) or data-i18n-aria-label.
+ */
+function applyDashboardTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((node) => {
+    node.textContent = t(node.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-aria-label]").forEach((node) => {
+    node.setAttribute("aria-label", t(node.dataset.i18nAriaLabel));
+  });
+}
+
 function syncJournalRangeLabel() {
   const label = document.querySelector("[data-journal-range]");
   if (!label || !journalUI) return;
@@ -1202,7 +1269,7 @@ function renderTodayDayDetailsSection(result) {
     return;
   }
 
-  const details = getDayDetails(result.day);
+  const details = getDayDetails(result.day, getDashboardLanguage());
   const imageUrl = resolveDayImageUrl(result.imageUrl);
   if (!imageUrl && !details) {
     clearTodayDayDetailsSection();
@@ -1225,7 +1292,7 @@ function renderTodayDayDetailsSection(result) {
           <img
             class="today-wave-details__image"
             src="${escapeHtml(imageUrl)}"
-            alt="SineDay ${escapeHtml(String(result.day))} wave artwork"
+            alt="${escapeHtml(t("details.imageAlt", { day: result.day }))}"
             loading="lazy"
           >
         </div>
@@ -1236,8 +1303,8 @@ function renderTodayDayDetailsSection(result) {
         details
           ? `
         <div class="today-wave-details__copy">
-          <p class="feature-hero__eyebrow">A little deeper</p>
-          <h3 class="feature-section-heading">Explore today’s wave</h3>
+          <p class="feature-hero__eyebrow">${escapeHtml(t("details.eyebrow"))}</p>
+          <h3 class="feature-section-heading">${escapeHtml(t("details.heading"))}</h3>
           ${details.paragraph ? `<p class="today-wave-details__paragraph">${escapeHtml(details.paragraph)}</p>` : ""}
           ${bulletsHtml ? `<ul class="today-wave-details__bullets">${bulletsHtml}</ul>` : ""}
         </div>
@@ -1256,8 +1323,8 @@ function renderTodayWaveSection() {
   if (!ownerProfile) {
     section.innerHTML = `
       <div class="feature-empty-state">
-        <p class="feature-empty-state__title">Today’s Wave is waiting</p>
-        <p>Add your first profile to begin.</p>
+        <p class="feature-empty-state__title">${escapeHtml(t("today.emptyTitle"))}</p>
+        <p>${escapeHtml(t("today.emptyBody"))}</p>
       </div>
     `;
     clearTodayDayDetailsSection();
@@ -1265,19 +1332,23 @@ function renderTodayWaveSection() {
   }
 
   const todayYmd = getTodayYmdForProfile(ownerProfile);
-  const result = calculateSineDayForTimezone(ownerProfile.birthdate, ownerProfile.timezone);
+  const result = calculateSineDayForTimezone(
+    ownerProfile.birthdate,
+    ownerProfile.timezone,
+    getDashboardLanguage()
+  );
   if (!result || result.error) {
     section.innerHTML = `
       <div class="feature-empty-state">
-        <p class="feature-empty-state__title">Today’s Wave is still forming</p>
-        <p>It could not be calculated yet. Try again in a moment.</p>
+        <p class="feature-empty-state__title">${escapeHtml(t("today.errorTitle"))}</p>
+        <p>${escapeHtml(t("today.errorBody"))}</p>
       </div>
     `;
     clearTodayDayDetailsSection();
     return;
   }
 
-  const locale = `${(userSettings?.language || "en")}-${(userSettings?.region || "US")}`;
+  const locale = getDashboardLocale();
   const date = new Date(`${todayYmd}T12:00:00Z`);
   const dateLabel = new Intl.DateTimeFormat(locale, {
     weekday: "long",
@@ -1291,10 +1362,10 @@ function renderTodayWaveSection() {
       <div class="today-wave-hero__ambient" aria-hidden="true"></div>
       <div class="today-wave-hero__top">
         <div>
-          <p class="today-wave-hero__eyebrow feature-hero__eyebrow">Today’s Wave</p>
+          <p class="today-wave-hero__eyebrow feature-hero__eyebrow">${escapeHtml(t("today.eyebrow"))}</p>
           <p class="today-wave-hero__date">${escapeHtml(dateLabel)}</p>
         </div>
-        <span class="today-wave-hero__day-pill">Day ${escapeHtml(String(result.day))}</span>
+        <span class="today-wave-hero__day-pill">${escapeHtml(t("today.dayPill", { day: result.day }))}</span>
       </div>
       <div class="today-wave-hero__main">
         <div class="today-wave-hero__copy">
@@ -1304,14 +1375,14 @@ function renderTodayWaveSection() {
         <div class="today-wave-hero__duck">
           <img
             src="/${duckUrlFromSinedayNumber(result.day)}"
-            alt="Today’s SineDuck, Day ${escapeHtml(String(result.day))}"
+            alt="${escapeHtml(t("today.duckAlt", { day: result.day }))}"
             fetchpriority="high"
           >
         </div>
       </div>
       <div class="today-wave-hero__actions">
           <button id="write-today-journal" class="feature-floating-action" type="button">
-            Write today
+            ${escapeHtml(t("today.write"))}
           </button>
           <button
             id="explore-today-wave"
@@ -1320,7 +1391,7 @@ function renderTodayWaveSection() {
             aria-expanded="false"
             aria-controls="today-day-details-section"
           >
-            Explore this wave
+            ${escapeHtml(t("today.explore"))}
           </button>
       </div>
     </article>
@@ -1349,7 +1420,7 @@ function renderTodayWaveSection() {
     const expanded = event.currentTarget.getAttribute("aria-expanded") === "true";
     detailsSection.hidden = expanded;
     event.currentTarget.setAttribute("aria-expanded", String(!expanded));
-    event.currentTarget.textContent = expanded ? "Explore this wave" : "Close reflection";
+    event.currentTarget.textContent = expanded ? t("today.explore") : t("today.closeExplore");
     if (!expanded) {
       requestAnimationFrame(() => {
         detailsSection.scrollIntoView({
@@ -1361,6 +1432,139 @@ function renderTodayWaveSection() {
   });
 }
 
+/**
+ * Wave sync card: compares the selected profiles with js/wave-sync.js.
+ * Same math as /api/wave-sync, computed locally from already-loaded profiles.
+ */
+const WAVE_SYNC_PAIR_LABELS = {
+  in_sync: "in sync",
+  offset: "offset",
+  opposite: "opposite waves"
+};
+
+function formatWaveSyncDate(ymd, options = { month: "short", day: "numeric" }) {
+  return new Intl.DateTimeFormat(getDashboardLocale(), { ...options, timeZone: "UTC" })
+    .format(new Date(`${ymd}T12:00:00Z`));
+}
+
+function formatWaveSyncRange({ start, end }) {
+  if (start === end) return formatWaveSyncDate(start);
+  return `${formatWaveSyncDate(start)} – ${formatWaveSyncDate(end)}`;
+}
+
+function renderWaveSyncRanges(label, ranges) {
+  if (!ranges.length) return "";
+  const shown = ranges.slice(0, 3).map(formatWaveSyncRange).join(", ");
+  const more = ranges.length > 3 ? ` +${ranges.length - 3} more` : "";
+  return `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(shown + more)}</p>`;
+}
+
+function renderWaveSyncSection() {
+  const section = document.getElementById("wave-sync-section");
+  const people = document.getElementById("wave-sync-people");
+  const resultEl = document.getElementById("wave-sync-result");
+  if (!section || !people || !resultEl) return;
+
+  const candidates = profiles.filter((profile) => profile.birthdate);
+  if (candidates.length < 2) {
+    section.hidden = true;
+    waveSyncSelection = null;
+    return;
+  }
+  section.hidden = false;
+  setupWaveSyncUI();
+
+  const candidateIds = new Set(candidates.map((profile) => profile.id));
+  if (waveSyncSelection) {
+    waveSyncSelection = new Set([...waveSyncSelection].filter((id) => candidateIds.has(id)));
+  }
+  if (!waveSyncSelection || waveSyncSelection.size < 2) {
+    waveSyncSelection = new Set(candidates.slice(0, 2).map((profile) => profile.id));
+  }
+
+  people.innerHTML = candidates.map((profile) => `
+    <button
+      class="wave-sync__person"
+      type="button"
+      data-id="${escapeHtml(profile.id)}"
+      aria-pressed="${waveSyncSelection.has(profile.id)}"
+    >${escapeHtml(profile.display_name || "Profile")}</button>
+  `).join("");
+
+  const selected = candidates.filter((profile) => waveSyncSelection.has(profile.id));
+  const days = Number(document.getElementById("wave-sync-window")?.value) || 30;
+  const startYmd = getTodayYmdForProfile(getOwnerProfile() || selected[0]);
+  const sync = buildWaveSync(
+    selected.map((profile) => ({
+      id: profile.id,
+      displayName: profile.display_name || "",
+      birthdate: profile.birthdate
+    })),
+    startYmd,
+    days
+  );
+
+  if (!sync) {
+    resultEl.innerHTML = `<p>These profiles could not be compared yet.</p>`;
+    return;
+  }
+
+  const names = new Map(sync.profiles.map((profile) => [profile.id, profile.displayName || "Profile"]));
+  const pairsHtml = sync.pairs.map((pair) => {
+    const [a, b] = pair.profileIds.map((id) => escapeHtml(names.get(id)));
+    const apart = pair.distance === 0 ? "same SineDay" : `${pair.distance} day${pair.distance === 1 ? "" : "s"} apart`;
+    return `<li>${a} &amp; ${b}: ${escapeHtml(apart)} · ${escapeHtml(WAVE_SYNC_PAIR_LABELS[pair.relation])}</li>`;
+  }).join("");
+
+  const nextHtml = sync.nextUpswing.length
+    ? sync.nextUpswing
+        .map((ymd) => formatWaveSyncDate(ymd, { weekday: "short", month: "short", day: "numeric" }))
+        .join(", ")
+    : "Not this cycle — these waves never rise together.";
+
+  const stripHtml = sync.rows.map((row) => {
+    const classes = [`wave-sync__cell`, `wave-sync__cell--${row.alignment}`];
+    if (row.upswing) classes.push("wave-sync__cell--upswing");
+    const members = row.members.map((member) => `${names.get(member.profileId)} Day ${member.day}`).join(", ");
+    return `<span class="${classes.join(" ")}" title="${escapeHtml(`${formatWaveSyncDate(row.date)}: ${members}`)}"></span>`;
+  }).join("");
+
+  resultEl.innerHTML = `
+    <p><span class="wave-sync__score">${sync.score}%</span> in tune</p>
+    <ul class="wave-sync__pairs">${pairsHtml}</ul>
+    <p><strong>Rising together next:</strong> ${escapeHtml(nextHtml)}</p>
+    <div class="wave-sync__strip" role="img" aria-label="${escapeHtml(`${sync.days}-day alignment from ${formatWaveSyncDate(sync.start)}`)}">${stripHtml}</div>
+    <div class="wave-sync__legend" aria-hidden="true">
+      <span><span class="wave-sync__cell wave-sync__cell--same_phase"></span>Same phase</span>
+      <span><span class="wave-sync__cell wave-sync__cell--opposite"></span>Opposite</span>
+      <span><span class="wave-sync__cell wave-sync__cell--upswing"></span>Rising together</span>
+    </div>
+    ${renderWaveSyncRanges("Same phase", sync.samePhase)}
+    ${renderWaveSyncRanges("Opposite", sync.opposite)}
+  `;
+}
+
+function setupWaveSyncUI() {
+  if (waveSyncBound) return;
+  waveSyncBound = true;
+
+  document.getElementById("wave-sync-window")?.addEventListener("change", renderWaveSyncSection);
+  document.getElementById("wave-sync-people")?.addEventListener("click", (event) => {
+    const button = event.target.closest(".wave-sync__person");
+    if (!button || !waveSyncSelection) return;
+
+    const id = button.dataset.id;
+    if (waveSyncSelection.has(id)) {
+      // Keep at least two selected so the card always has something to compare.
+      if (waveSyncSelection.size <= 2) return;
+      waveSyncSelection.delete(id);
+    } else {
+      waveSyncSelection.add(id);
+    }
+    renderWaveSyncSection();
+  });
+}
+
 function renderOwnerRequiredEmptyState(section, { title, body }) {
   if (!section) return;
   section.innerHTML = `
@@ -1375,7 +1579,7 @@ function renderOwnerRequiredEmptyState(section, { title, body }) {
 }
 
 /**
- * Mount standalone Journal section (owner-profile anchored)
+ * Mount standalone Journal section (owner profile by default, switchable)
  */
 async function mountJournalSection(expectedSubscriptionGen = null) {
   if (
@@ -1425,9 +1629,11 @@ async function mountJournalSection(expectedSubscriptionGen = null) {
   const instance = new JournalUI(mount, {
     locale,
     weekStart,
+    profiles,
     ownerProfile,
     supabaseClient: client,
     userId: currentUser.id,
+    recallCycles: userSettings?.journal_recall_cycles,
     onEntrySaved: () => {
       journalHistoryUI?.refreshVisibleMonth?.();
     },
@@ -1446,7 +1652,7 @@ async function mountJournalSection(expectedSubscriptionGen = null) {
 }
 
 /**
- * Mount Journal History section (owner-profile anchored).
+ * Mount Journal History section (owner profile by default, switchable).
  * Function name is kept for compatibility with the existing dashboard page mount flow.
  */
 async function mountWaveCalendarSection(expectedSubscriptionGen = null) {
@@ -1496,19 +1702,19 @@ async function mountWaveCalendarSection(expectedSubscriptionGen = null) {
   const instance = new JournalHistoryUI(mount, {
     locale,
     weekStart,
+    profiles,
     ownerProfile,
     supabaseClient: client,
     userId: currentUser.id,
-    onSelectDate: async (dateYmd) => {
+    // Opens the day on the same profile the history is showing.
+    onSelectDate: async (dateYmd, profileId) => {
       setDashboardPage(1);
-      if (journalUI) {
-        await journalUI.setDate(dateYmd);
-        syncJournalRangeLabel();
-      } else {
-        await mountJournalSection();
-        await journalUI?.setDate?.(dateYmd);
-        syncJournalRangeLabel();
-      }
+      if (!journalUI) await mountJournalSection();
+      await journalUI?.setProfile?.(profileId, dateYmd);
+      syncJournalRangeLabel();
+    },
+    onImported: () => {
+      journalUI?.reloadEntries?.();
     },
   });
   journalHistoryUI = instance;
@@ -1605,6 +1811,8 @@ async function renderSubscriptionStatus() {
     await mountWaveCalendarSection(renderGen);
     if (renderGen !== subscriptionRenderGen) return;
 
+    await renderJournalEncryptionUI();
+
     setPremiumPreviewVisibility("journal", false);
     setPremiumPreviewVisibility("history", false);
     setPremiumPreviewVisibility("printables", false);
@@ -1626,6 +1834,9 @@ async function renderSubscriptionStatus() {
     journalHistoryUI?.destroy?.();
     journalHistoryUI = null;
 
+    const encryptionSection = document.getElementById("journal-encryption-settings");
+    if (encryptionSection) encryptionSection.hidden = true;
+
     renderPremiumLock("journal-section", "journal");
     renderPremiumLock("wave-calendar-section", "history");
     renderPremiumLock("calendars-section", "printables");
@@ -1814,6 +2025,7 @@ function setupLanguageRegionUI() {
   const langSel = document.getElementById("language-select");
   const regionSel = document.getElementById("region-select");
   const weekSel = document.getElementById("weekstart-select");
+  const recallSel = document.getElementById("journal-recall-select");
   if (!langSel || !regionSel || !weekSel) return;
 
   // Populate selects once
@@ -1839,34 +2051,428 @@ function setupLanguageRegionUI() {
   langSel.value = userSettings?.language || "en";
   regionSel.value = userSettings?.region || "US";
   weekSel.value = String(userSettings?.week_start ?? -1);
+  if (recallSel) recallSel.value = String(userSettings?.journal_recall_cycles ?? JOURNAL_RECALL_DEFAULT_CYCLES);
 
   // Apply lang and dir to document
   document.documentElement.lang = langSel.value;
   document.documentElement.dir = dirFromLocale(`${langSel.value}-${regionSel.value}`);
+  applyDashboardTranslations();
 
   const applyAndSave = async () => {
     const patch = {
       language: langSel.value,
       region: regionSel.value,
-      week_start: Number(weekSel.value)
+      week_start: Number(weekSel.value),
+      journal_recall_cycles: Number(recallSel?.value ?? JOURNAL_RECALL_DEFAULT_CYCLES)
     };
 
+    const previousLanguage = getDashboardLanguage();
     userSettings = await saveUserSettings(currentUser.id, patch);
     document.documentElement.lang = userSettings.language;
     document.documentElement.dir = dirFromLocale(`${userSettings.language}-${userSettings.region}`);
+    applyDashboardTranslations();
 
     const locale = `${userSettings.language}-${userSettings.region}`;
     const weekStart = resolveWeekStart(userSettings);
 
     calendarsUI?.setSettings({ locale, weekStart });
-    journalUI?.setSettings({ locale, weekStart });
+    journalUI?.setSettings({ locale, weekStart, recallCycles: userSettings.journal_recall_cycles });
     journalHistoryUI?.setSettings({ locale, weekStart });
     syncJournalRangeLabel();
+    renderTodayWaveSection();
+    renderWaveSyncSection();
+
+    if (userSettings.language !== previousLanguage) {
+      void syncDailyEmailLanguage();
+    }
   };
 
   langSel.addEventListener("change", applyAndSave);
   regionSel.addEventListener("change", applyAndSave);
   weekSel.addEventListener("change", applyAndSave);
+  recallSel?.addEventListener("change", applyAndSave);
+}
+
+/**
+ * Calendar feed controls in account sheet.
+ * The server signs the URL, with or without planner tasks; look-ahead and
+ * day filter are plain query params.
+ */
+function getCalendarFeedOptions() {
+  const days = Number(document.getElementById("calendar-feed-window")?.value) || 90;
+  const preset = document.getElementById("calendar-feed-days")?.value || "all";
+  const tasks = document.getElementById("calendar-feed-tasks")?.value === "1";
+  return { days, only: [...(CALENDAR_FEED_DAY_PRESETS[preset] || [])], tasks };
+}
+
+function withCalendarFeedOptions(feedUrl) {
+  if (!feedUrl) return "";
+  const { days, only } = getCalendarFeedOptions();
+  const url = new URL(feedUrl);
+  url.searchParams.set("days", String(days));
+  if (only.length) url.searchParams.set("only", only.join(","));
+  else url.searchParams.delete("only");
+  return url.toString();
+}
+
+async function loadCalendarFeeds() {
+  try {
+    const accessToken = await getAccessToken();
+    const response = await fetch("/api/calendar-feeds", {
+      headers: {
+        "Authorization": `Bearer ${accessToken}`
+      }
+    });
+    const data = await response.json();
+    if (!response.ok || !data.ok) {
+      throw new Error(data.error || "Failed to load calendar feeds");
+    }
+    calendarFeeds = data.feeds || [];
+  } catch (error) {
+    console.error("Error loading calendar feeds:", error);
+    calendarFeeds = [];
+  }
+  renderCalendarFeedUI();
+}
+
+function renderCalendarFeedUI() {
+  const section = document.getElementById("calendar-feed-settings");
+  const profileSel = document.getElementById("calendar-feed-profile");
+  const urlInput = document.getElementById("calendar-feed-url");
+  const enableBtn = document.getElementById("calendar-feed-enable-btn");
+  const rotateBtn = document.getElementById("calendar-feed-rotate-btn");
+  const revokeBtn = document.getElementById("calendar-feed-revoke-btn");
+  if (!section || !profileSel || !urlInput || !enableBtn || !rotateBtn || !revokeBtn) return;
+
+  setupCalendarFeedUI();
+
+  section.hidden = profiles.length === 0;
+  if (!profiles.length) return;
+
+  const selected = profileSel.value;
+  profileSel.innerHTML = "";
+  for (const profile of profiles) {
+    const opt = document.createElement("option");
+    opt.value = profile.id;
+    opt.textContent = profile.display_name || "Profile";
+    profileSel.append(opt);
+  }
+  profileSel.value = profiles.some((p) => p.id === selected) ? selected : profiles[0].id;
+
+  const feed = calendarFeeds.find((f) => f.profileId === profileSel.value);
+  const enabled = feed?.enabled === true && !!feed.url;
+
+  urlInput.hidden = !enabled;
+  const feedUrl = getCalendarFeedOptions().tasks
+    ? feed?.tasksWebcalUrl || feed?.tasksUrl
+    : feed?.webcalUrl || feed?.url;
+  urlInput.value = enabled ? withCalendarFeedOptions(feedUrl) : "";
+  enableBtn.textContent = enabled ? "Copy Calendar Link" : "Get Calendar Link";
+  rotateBtn.hidden = !enabled;
+  revokeBtn.hidden = !enabled;
+
+  for (const btn of [enableBtn, rotateBtn, revokeBtn]) {
+    btn.disabled = calendarFeedBusy;
+  }
+}
+
+async function updateCalendarFeed(action) {
+  const profileId = document.getElementById("calendar-feed-profile")?.value;
+  if (!profileId || calendarFeedBusy) return;
+
+  calendarFeedBusy = true;
+  renderCalendarFeedUI();
+
+  try {
+    const accessToken = await getAccessToken();
+    const response = await fetch("/api/calendar-feeds", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${accessToken}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ profileId, action, ...getCalendarFeedOptions() })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.ok) {
+      throw new Error(data.error || "Failed to update calendar feed");
+    }
+
+    calendarFeeds = [
+      ...calendarFeeds.filter((f) => f.profileId !== profileId),
+      data.feed
+    ];
+    return data.feed;
+  } finally {
+    calendarFeedBusy = false;
+    renderCalendarFeedUI();
+  }
+}
+
+async function copyCalendarFeedUrl() {
+  const value = document.getElementById("calendar-feed-url")?.value;
+  if (!value) return;
+  try {
+    await navigator.clipboard.writeText(value);
+    showSuccess("Calendar link copied");
+  } catch {
+    document.getElementById("calendar-feed-url")?.select();
+  }
+}
+
+function setupCalendarFeedUI() {
+  if (calendarFeedBound) return;
+  calendarFeedBound = true;
+
+  document.getElementById("calendar-feed-profile")?.addEventListener("change", renderCalendarFeedUI);
+  document.getElementById("calendar-feed-window")?.addEventListener("change", renderCalendarFeedUI);
+  document.getElementById("calendar-feed-days")?.addEventListener("change", renderCalendarFeedUI);
+  document.getElementById("calendar-feed-tasks")?.addEventListener("change", renderCalendarFeedUI);
+
+  document.getElementById("calendar-feed-enable-btn")?.addEventListener("click", async () => {
+    const urlInput = document.getElementById("calendar-feed-url");
+    if (urlInput && !urlInput.hidden && urlInput.value) {
+      await copyCalendarFeedUrl();
+      return;
+    }
+    try {
+      await updateCalendarFeed("enable");
+      await copyCalendarFeedUrl();
+    } catch (error) {
+      console.error("Calendar feed error:", error);
+      showError(error.message);
+    }
+  });
+
+  document.getElementById("calendar-feed-rotate-btn")?.addEventListener("click", async () => {
+    if (!confirm("Rotate this calendar link? Calendars subscribed to the old link will stop updating.")) return;
+    try {
+      await updateCalendarFeed("rotate");
+      showSuccess("New calendar link created");
+    } catch (error) {
+      console.error("Calendar feed error:", error);
+      showError(error.message);
+    }
+  });
+
+  document.getElementById("calendar-feed-revoke-btn")?.addEventListener("click", async () => {
+    if (!confirm("Turn off this calendar feed? Subscribed calendars will stop updating.")) return;
+    try {
+      await updateCalendarFeed("revoke");
+      showSuccess("Calendar feed turned off");
+    } catch (error) {
+      console.error("Calendar feed error:", error);
+      showError(error.message);
+    }
+  });
+}
+
+/**
+ * Journal encryption settings. The vault is shared with the Journal views,
+ * so unlocking there or locking here updates both.
+ */
+async function renderJournalEncryptionUI() {
+  const section = document.getElementById("journal-encryption-settings");
+  if (!section || !currentUser) return;
+
+  section.hidden = !isPaid() || !hasOwnerProfile();
+  if (section.hidden) return;
+
+  if (!journalVault) {
+    journalVault = getJournalVault(await getSupabaseClient(), currentUser.id);
+    journalVault.subscribe(() => renderJournalEncryptionUI());
+    setupJournalEncryptionUI();
+  }
+  if (!journalVault.loaded) {
+    try {
+      await journalVault.load();
+    } catch (error) {
+      console.error("Journal keyring error:", error);
+    }
+  }
+
+  const status = journalVault.status;
+  const statusEl = document.getElementById("journal-encryption-status");
+  const form = document.getElementById("journal-encryption-form");
+  const actions = document.getElementById("journal-encryption-actions");
+  const recovery = document.getElementById("journal-encryption-recovery");
+  const showing = (id, visible) => {
+    const node = document.getElementById(id);
+    if (node) node.hidden = !visible;
+  };
+
+  if (statusEl) {
+    statusEl.textContent =
+      journalEncryptionProgress ||
+      {
+        disabled: "Off. Your journal is private to your account, but SineDay’s servers can read it.",
+        locked: "On. Locked on this device — unlock it from the Journal tab.",
+        unlocked: "On. Unlocked on this device until you lock it or close the tab.",
+      }[status];
+  }
+
+  const recoveryVisible = recovery ? !recovery.hidden : false;
+  if (form) form.hidden = !journalEncryptionMode || recoveryVisible;
+  if (actions) actions.hidden = !!journalEncryptionMode || recoveryVisible;
+
+  showing("journal-encryption-enable-btn", status === "disabled");
+  showing("journal-encryption-change-btn", status !== "disabled");
+  showing("journal-encryption-lock-btn", status === "unlocked");
+  showing("journal-encryption-disable-btn", status !== "disabled");
+
+  const mode = journalEncryptionMode;
+  showing("journal-encryption-current", mode === "change" || mode === "disable");
+  showing("journal-encryption-passphrase", mode === "enable" || mode === "change");
+  showing("journal-encryption-confirm", mode === "enable" || mode === "change");
+  document.getElementById("journal-encryption-ack")?.closest("label")?.toggleAttribute("hidden", mode !== "enable");
+
+  const submit = document.getElementById("journal-encryption-submit");
+  if (submit) {
+    submit.textContent = { enable: "Turn On", change: "Change Passphrase", disable: "Turn Off" }[mode] || "Save";
+  }
+  for (const node of section.querySelectorAll("button, input")) {
+    if (node.id !== "journal-encryption-recovery-key") node.disabled = journalEncryptionBusy;
+  }
+}
+
+function openJournalEncryptionForm(mode) {
+  journalEncryptionMode = mode;
+  const form = document.getElementById("journal-encryption-form");
+  form?.reset();
+  renderJournalEncryptionUI();
+  form?.querySelector("input:not([hidden])")?.focus();
+}
+
+function closeJournalEncryptionForm() {
+  journalEncryptionMode = null;
+  document.getElementById("journal-encryption-form")?.reset();
+  renderJournalEncryptionUI();
+}
+
+function showJournalRecoveryKey(recoveryKey) {
+  const recovery = document.getElementById("journal-encryption-recovery");
+  const input = document.getElementById("journal-encryption-recovery-key");
+  if (!recovery || !input) return;
+  input.value = recoveryKey;
+  recovery.hidden = false;
+  renderJournalEncryptionUI();
+  input.focus();
+  input.select();
+}
+
+/** Pending offline journal edits must land first, or they would skip the rewrite. */
+async function ensureJournalOutboxSynced(client) {
+  const outbox = getOutbox(client, currentUser.id);
+  await outbox.ready;
+  await outbox.flush();
+  if (outbox.pendingForTable("journal_entries").length) {
+    throw new Error("Some journal edits have not synced yet. Reconnect, open the Journal tab to resolve them, then try again.");
+  }
+}
+
+async function submitJournalEncryptionForm() {
+  const mode = journalEncryptionMode;
+  if (!mode || journalEncryptionBusy || !journalVault) return;
+
+  const current = document.getElementById("journal-encryption-current")?.value || "";
+  const next = document.getElementById("journal-encryption-passphrase")?.value || "";
+  const confirmValue = document.getElementById("journal-encryption-confirm")?.value || "";
+
+  if ((mode === "enable" || mode === "change") && next !== confirmValue) {
+    showError("The new passphrases do not match.");
+    return;
+  }
+  if (mode === "enable" && !document.getElementById("journal-encryption-ack")?.checked) {
+    showError("Please confirm you understand the passphrase cannot be recovered by SineDay.");
+    return;
+  }
+  if (mode === "disable" && !confirm("Turn off journal encryption? Your entries and photos will be stored readable again.")) {
+    return;
+  }
+
+  const verb = mode === "disable" ? "Decrypting" : "Encrypting";
+  const onProgress = ({ done, total }) => {
+    journalEncryptionProgress = `${verb} entries (${done} of ${total})… keep this tab open.`;
+    renderJournalEncryptionUI();
+  };
+
+  journalEncryptionBusy = true;
+  journalEncryptionProgress = mode === "disable" ? "Checking your passphrase…" : "Preparing keys…";
+  renderJournalEncryptionUI();
+
+  try {
+    await ensureJournalOutboxSynced(await getSupabaseClient());
+    let recoveryKey = null;
+    if (mode === "enable") recoveryKey = await journalVault.enable(next, { onProgress });
+    else if (mode === "change") recoveryKey = await journalVault.changePassphrase(current, next, { onProgress });
+    else await journalVault.disable(current, { onProgress });
+
+    journalEncryptionMode = null;
+    document.getElementById("journal-encryption-form")?.reset();
+    if (recoveryKey) showJournalRecoveryKey(recoveryKey);
+    showSuccess(
+      { enable: "Journal encryption is on", change: "Passphrase changed", disable: "Journal encryption is off" }[mode]
+    );
+  } catch (error) {
+    console.error("Journal encryption error:", error);
+    showError(error?.message || "Journal encryption could not be updated.");
+  } finally {
+    journalEncryptionBusy = false;
+    journalEncryptionProgress = "";
+    renderJournalEncryptionUI();
+  }
+}
+
+function setupJournalEncryptionUI() {
+  document.getElementById("journal-encryption-enable-btn")?.addEventListener("click", () => openJournalEncryptionForm("enable"));
+  document.getElementById("journal-encryption-change-btn")?.addEventListener("click", () => openJournalEncryptionForm("change"));
+  document.getElementById("journal-encryption-disable-btn")?.addEventListener("click", () => openJournalEncryptionForm("disable"));
+  document.getElementById("journal-encryption-cancel")?.addEventListener("click", closeJournalEncryptionForm);
+  document.getElementById("journal-encryption-lock-btn")?.addEventListener("click", () => {
+    journalVault?.lock();
+    showSuccess("Journal locked on this device");
+  });
+
+  document.getElementById("journal-encryption-form")?.addEventListener("submit", (event) => {
+    event.preventDefault();
+    submitJournalEncryptionForm();
+  });
+
+  document.getElementById("journal-encryption-copy-btn")?.addEventListener("click", async () => {
+    const input = document.getElementById("journal-encryption-recovery-key");
+    if (!input?.value) return;
+    try {
+      await navigator.clipboard.writeText(input.value);
+      showSuccess("Recovery key copied");
+    } catch {
+      input.select();
+    }
+  });
+
+  document.getElementById("journal-encryption-download-btn")?.addEventListener("click", () => {
+    const value = document.getElementById("journal-encryption-recovery-key")?.value;
+    if (!value) return;
+    const blob = new Blob(
+      [`SineDay journal recovery key\n\n${value}\n\nKeep this somewhere safe. It unlocks your journal if you forget your passphrase.\n`],
+      { type: "text/plain" }
+    );
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "sineday-journal-recovery-key.txt";
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  document.getElementById("journal-encryption-done-btn")?.addEventListener("click", () => {
+    const recovery = document.getElementById("journal-encryption-recovery");
+    const input = document.getElementById("journal-encryption-recovery-key");
+    if (input) input.value = "";
+    if (recovery) recovery.hidden = true;
+    renderJournalEncryptionUI();
+  });
 }
 
 /**
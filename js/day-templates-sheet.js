@@ -0,0 +1,268 @@
+/**
+ * Day templates sheet — lists the account's SineDay day templates and edits
+ * one at a time: its name, SineDays, whether it applies by itself, its tasks
+ * (one per line, "9:00-9:30 Standup" for a set time) and its note skeleton.
+ * Each save is a new version; days already planned keep the one they got.
+ * Uses the repeat sheet's look; templates are checked by day-templates.js.
+ */
+
+import {
+  TEMPLATE_NOTE_MAX_LENGTH,
+  TEMPLATE_TITLE_MAX_LENGTH,
+  describeSinedays,
+  formatTemplateTaskLines,
+  normalizeTemplateSinedays,
+  normalizeTemplateTasks,
+  parseTemplateTaskLines,
+  validateTemplate,
+} from "./day-templates.js";
+
+let openSheet = null;
+
+function el(tag, className) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  return node;
+}
+
+function button(text, className) {
+  const btn = el("button", className);
+  btn.type = "button";
+  btn.textContent = text;
+  return btn;
+}
+
+/** Closes an open templates sheet, dropping unsaved edits. */
+export function closeDayTemplatesSheet() {
+  openSheet?.close();
+}
+
+/** "Days 5 and 6 · 3 tasks · v2 · applies automatically" */
+function describeTemplate(template) {
+  const count = normalizeTemplateTasks(template.tasks).length;
+  const parts = [describeSinedays(template.sinedays)];
+  if (count) parts.push(`${count} ${count === 1 ? "task" : "tasks"}`);
+  if (String(template.note ?? "").trim()) parts.push("note");
+  parts.push(`v${template.version ?? 1}`);
+  if (template.auto_apply) parts.push("applies automatically");
+  return parts.join(" · ");
+}
+
+/**
+ * @param {Object} opts
+ * @param {() => Object[]} opts.getTemplates - Current, unarchived templates
+ * @param {(existing: Object|null, template: Object) => Promise<Object|null>} opts.onSave
+ *   Stores a checked template as a new version; resolves the saved row or null
+ * @param {(template: Object) => Promise<boolean>} opts.onArchive
+ */
+export function openDayTemplatesSheet({ getTemplates, onSave, onArchive }) {
+  closeDayTemplatesSheet();
+  const returnFocus = document.activeElement;
+
+  const backdrop = el("div", "sheet-backdrop day-templates-sheet__backdrop");
+  const sheet = el("div", "sheet planner-repeat-sheet day-templates-sheet");
+  sheet.setAttribute("role", "dialog");
+  sheet.setAttribute("aria-modal", "true");
+  sheet.setAttribute("aria-labelledby", "day-templates-sheet-title");
+
+  const content = el("div", "sheet__content planner-repeat-sheet__content");
+  sheet.append(el("div", "sheet__handle"), content);
+  document.body.append(backdrop, sheet);
+
+  const heading = () => {
+    const title = el("div", "planner-repeat-sheet__title");
+    title.id = "day-templates-sheet-title";
+    return title;
+  };
+
+  function showList(focusId = null) {
+    const title = heading();
+    title.textContent = "Day templates";
+    const lead = el("p", "repeat-scope-sheet__lead");
+    lead.textContent = "Tasks and a note for the SineDays they suit, offered or added when you open one of those days.";
+
+    const templates = getTemplates();
+    const list = el("ul", "day-templates-sheet__list");
+    for (const template of templates) {
+      const item = el("li", "day-templates-sheet__item");
+      const open = button("", "day-templates-sheet__open");
+      open.dataset.templateId = template.id;
+      const name = el("span", "day-templates-sheet__name");
+      name.textContent = template.title;
+      const meta = el("span", "planner__task-repeatmeta");
+      meta.textContent = describeTemplate(template);
+      open.append(name, meta);
+      open.addEventListener("click", () => showEditor(template));
+      item.append(open);
+      list.append(item);
+    }
+    if (!templates.length) {
+      const empty = el("li", "planner__task-empty");
+      empty.textContent = "No templates yet.";
+      list.append(empty);
+    }
+
+    const actions = el("div", "planner-repeat-sheet__actions");
+    const closeBtn = button("Close", "btn btn-ghost planner-repeat-sheet__cancel");
+    closeBtn.addEventListener("click", () => close());
+    const newBtn = button("New template", "btn btn-primary planner-repeat-sheet__save");
+    newBtn.addEventListener("click", () => showEditor(null));
+    actions.append(closeBtn, newBtn);
+
+    content.replaceChildren(title, lead, list, actions);
+    (list.querySelector(`[data-template-id="${focusId}"]`) || newBtn).focus();
+  }
+
+  function showEditor(existing) {
+    const title = heading();
+    title.textContent = existing ? "Edit template" : "New template";
+
+    const nameGroup = el("div", "planner-repeat-sheet__group");
+    const nameLabel = el("label", "planner-repeat-sheet__label");
+    nameLabel.textContent = "Name";
+    nameLabel.htmlFor = "day-template-name";
+    const nameInput = el("input", "day-templates-sheet__input");
+    nameInput.id = "day-template-name";
+    nameInput.type = "text";
+    nameInput.maxLength = TEMPLATE_TITLE_MAX_LENGTH;
+    nameInput.placeholder = "Peak day sprint";
+    nameInput.value = existing?.title || "";
+    nameGroup.append(nameLabel, nameInput);
+
+    const dayGroup = el("div", "planner-repeat-sheet__group");
+    const dayLabel = el("div", "planner-repeat-sheet__label");
+    dayLabel.id = "day-template-days";
+    dayLabel.textContent = "SineDays (1–18)";
+    const chipGrid = el("div", "planner-repeat-sheet__chipgrid");
+    chipGrid.setAttribute("role", "group");
+    chipGrid.setAttribute("aria-labelledby", dayLabel.id);
+    const selected = new Set(normalizeTemplateSinedays(existing?.sinedays));
+    for (let day = 1; day <= 18; day++) {
+      const chip = button(`Day ${day}`, "planner-repeat-sheet__chip");
+      const paint = () => {
+        chip.classList.toggle("is-selected", selected.has(day));
+        chip.setAttribute("aria-pressed", String(selected.has(day)));
+      };
+      chip.addEventListener("click", () => {
+        if (selected.has(day)) selected.delete(day);
+        else selected.add(day);
+        paint();
+      });
+      paint();
+      chipGrid.append(chip);
+    }
+    dayGroup.append(dayLabel, chipGrid);
+
+    const autoLabel = el("label", "planner-repeat-sheet__radio");
+    const autoInput = el("input");
+    autoInput.type = "checkbox";
+    autoInput.checked = existing?.auto_apply === true;
+    const autoText = el("span");
+    autoText.textContent = "Add it by itself when I open one of these days";
+    autoLabel.append(autoInput, autoText);
+
+    const tasksGroup = el("div", "planner-repeat-sheet__group");
+    const tasksLabel = el("label", "planner-repeat-sheet__label");
+    tasksLabel.textContent = "Tasks, one per line — “9:00-9:30 Standup” sets a time";
+    tasksLabel.htmlFor = "day-template-tasks";
+    const tasksInput = el("textarea", "day-templates-sheet__textarea");
+    tasksInput.id = "day-template-tasks";
+    tasksInput.rows = 5;
+    tasksInput.value = formatTemplateTaskLines(existing?.tasks);
+    tasksGroup.append(tasksLabel, tasksInput);
+
+    const noteGroup = el("div", "planner-repeat-sheet__group");
+    const noteLabel = el("label", "planner-repeat-sheet__label");
+    noteLabel.textContent = "Note skeleton";
+    noteLabel.htmlFor = "day-template-note";
+    const noteInput = el("textarea", "day-templates-sheet__textarea");
+    noteInput.id = "day-template-note";
+    noteInput.rows = 4;
+    noteInput.maxLength = TEMPLATE_NOTE_MAX_LENGTH;
+    noteInput.placeholder = "Energy check:\nOne thing to finish:";
+    noteInput.value = existing?.note || "";
+    noteGroup.append(noteLabel, noteInput);
+
+    const version = el("p", "planner__task-repeatmeta");
+    version.textContent = existing
+      ? `Version ${existing.version ?? 1}. Saving makes version ${(existing.version ?? 1) + 1}; days already planned keep theirs.`
+      : "Days you apply it to keep the version they were given.";
+
+    const error = el("p", "day-templates-sheet__error");
+    error.setAttribute("role", "alert");
+
+    const actions = el("div", "planner-repeat-sheet__actions");
+    const backBtn = button("Back", "btn btn-ghost planner-repeat-sheet__cancel");
+    backBtn.addEventListener("click", () => showList(existing?.id));
+    actions.append(backBtn);
+    if (existing) {
+      const archiveBtn = button("Delete", "btn btn-ghost day-templates-sheet__archive");
+      archiveBtn.addEventListener("click", async () => {
+        archiveBtn.disabled = true;
+        if (await onArchive(existing)) showList();
+        else {
+          archiveBtn.disabled = false;
+          error.textContent = "Could not delete the template.";
+        }
+      });
+      actions.append(archiveBtn);
+    }
+    const saveBtn = button("Save", "btn btn-primary planner-repeat-sheet__save");
+    saveBtn.addEventListener("click", async () => {
+      const checked = validateTemplate({
+        title: nameInput.value,
+        sinedays: [...selected],
+        auto_apply: autoInput.checked,
+        tasks: parseTemplateTaskLines(tasksInput.value),
+        note: noteInput.value,
+      });
+      if (checked.error) {
+        error.textContent = checked.error;
+        return;
+      }
+      saveBtn.disabled = true;
+      const saved = await onSave(existing, checked.template);
+      saveBtn.disabled = false;
+      if (saved) showList(saved.id);
+      else error.textContent = "Could not save the template.";
+    });
+    actions.append(saveBtn);
+
+    content.replaceChildren(title, nameGroup, dayGroup, autoLabel, tasksGroup, noteGroup, version, error, actions);
+    nameInput.focus();
+  }
+
+  const onKeydown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    } else if (e.key === "Tab") {
+      // Keep focus inside the sheet while it is open.
+      const focusable = [...sheet.querySelectorAll("button, input, textarea")].filter((node) => !node.disabled);
+      const index = focusable.indexOf(document.activeElement);
+      const next = e.shiftKey ? index - 1 : index + 1;
+      if (index !== -1 && next >= 0 && next < focusable.length) return;
+      e.preventDefault();
+      focusable[(next + focusable.length) % focusable.length]?.focus();
+    }
+  };
+  const close = () => {
+    if (openSheet?.sheet !== sheet) return;
+    openSheet = null;
+    document.removeEventListener("keydown", onKeydown, true);
+    backdrop.remove();
+    sheet.remove();
+    if (returnFocus?.isConnected) returnFocus.focus();
+  };
+
+  backdrop.addEventListener("click", () => close());
+  document.addEventListener("keydown", onKeydown, true);
+  openSheet = { sheet, close };
+
+  requestAnimationFrame(() => {
+    backdrop.classList.add("is-open");
+    sheet.classList.add("is-open");
+  });
+  showList();
+}
@@ -0,0 +1,147 @@
+/**
+ * SineDay day templates — a routine of tasks and a note skeleton for the
+ * days of the cycle it is tied to ("every Day 5", "the trough days").
+ *
+ * A template (planner_day_templates) holds its current title, SineDays,
+ * tasks and note, plus a version number that goes up with every saved edit;
+ * each version is kept in planner_day_template_versions. Applying a template
+ * copies its tasks and note into that day and records the version applied
+ * (planner_day_template_applications), so later edits never rewrite days
+ * already planned. Templates can be shared into social planners
+ * (social_planner_templates) and applied to a member's own card there.
+ * Shared by PlannerUI, SocialPlannerUI and the social APIs.
+ */
+
+import { compareYmd } from "./task-recurrence.js";
+import { blockTimes, formatTime, parseTime, taskTimeBlock } from "./task-timeblocks.js";
+
+export const TEMPLATE_TITLE_MAX_LENGTH = 80;
+export const TEMPLATE_MAX_TASKS = 30;
+export const TEMPLATE_TASK_MAX_LENGTH = 200;
+export const TEMPLATE_NOTE_MAX_LENGTH = 4000;
+
+// "9:00-9:30 Standup", "09:00–10:00 Deep work"
+const TIMED_LINE_RE = /^(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})\s+(.+)$/;
+
+/** SineDays 1–18, sorted, without repeats. */
+export function normalizeTemplateSinedays(value) {
+  const days = (Array.isArray(value) ? value : [])
+    .map(Number)
+    .filter((day) => Number.isInteger(day) && day >= 1 && day <= 18);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/** Template tasks as { title, start_time, end_time }; untitled tasks are dropped. */
+export function normalizeTemplateTasks(value) {
+  const tasks = [];
+  for (const task of Array.isArray(value) ? value : []) {
+    const title = String(task?.title ?? "").replace(/\s+/g, " ").trim().slice(0, TEMPLATE_TASK_MAX_LENGTH);
+    if (!title) continue;
+    const block = taskTimeBlock(task);
+    tasks.push({ title, ...(block ? blockTimes(block) : { start_time: null, end_time: null }) });
+    if (tasks.length === TEMPLATE_MAX_TASKS) break;
+  }
+  return tasks;
+}
+
+/**
+ * A template from the editor or a request, checked.
+ * @returns {{ template: { title: string, sinedays: number[], auto_apply: boolean, tasks: object[], note: string } } | { error: string }}
+ */
+export function validateTemplate(input = {}) {
+  const title = String(input.title ?? "").trim();
+  if (!title) return { error: "Give the template a name" };
+  if (title.length > TEMPLATE_TITLE_MAX_LENGTH) {
+    return { error: `Template names are at most ${TEMPLATE_TITLE_MAX_LENGTH} characters` };
+  }
+  const sinedays = normalizeTemplateSinedays(input.sinedays);
+  if (!sinedays.length) return { error: "Pick at least one SineDay" };
+  if (Array.isArray(input.tasks) && input.tasks.length > TEMPLATE_MAX_TASKS) {
+    return { error: `A template holds at most ${TEMPLATE_MAX_TASKS} tasks` };
+  }
+  const tasks = normalizeTemplateTasks(input.tasks);
+  const note = String(input.note ?? "");
+  if (note.length > TEMPLATE_NOTE_MAX_LENGTH) {
+    return { error: `The note is at most ${TEMPLATE_NOTE_MAX_LENGTH} characters` };
+  }
+  if (!tasks.length && !note.trim()) return { error: "Add a task or a note" };
+  return { template: { title, sinedays, auto_apply: input.auto_apply === true, tasks, note } };
+}
+
+/**
+ * One task per line, optionally starting with a time range: "9:00-9:30 Standup".
+ * Blank lines are skipped; the count is left for validateTemplate to check.
+ */
+export function parseTemplateTaskLines(text) {
+  return String(text ?? "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const m = TIMED_LINE_RE.exec(line);
+      if (!m || parseTime(m[1]) === null || parseTime(m[2]) === null) return { title: line };
+      return { title: m[3], start_time: m[1], end_time: m[2] };
+    });
+}
+
+export function formatTemplateTaskLines(tasks) {
+  return normalizeTemplateTasks(tasks)
+    .map((task) => {
+      const block = taskTimeBlock(task);
+      return block ? `${formatTime(block.start)}-${formatTime(block.end)} ${task.title}` : task.title;
+    })
+    .join("\n");
+}
+
+/** Active templates tied to a SineDay, by title. */
+export function templatesForSineDay(templates, sineday) {
+  return (templates || [])
+    .filter((template) => !template.is_archived && normalizeTemplateSinedays(template.sinedays).includes(sineday))
+    .sort((a, b) => String(a.title).localeCompare(String(b.title)));
+}
+
+/**
+ * What to do with the templates for a day being opened: the auto-apply ones
+ * to apply, and the rest to offer. Days before today are left alone, as are
+ * templates already applied or turned down there.
+ * @param {Object} opts
+ * @param {Iterable<string>} opts.handled - Template ids applied or dismissed on ymd
+ * @returns {{ apply: object[], offer: object[] }}
+ */
+export function dayTemplateOffer({ templates, sineday, ymd, today, handled = [] }) {
+  if (!sineday || compareYmd(ymd, today) < 0) return { apply: [], offer: [] };
+  const done = new Set(handled);
+  const open = templatesForSineDay(templates, sineday).filter((template) => !done.has(template.id));
+  return {
+    apply: open.filter((template) => template.auto_apply),
+    offer: open.filter((template) => !template.auto_apply),
+  };
+}
+
+/** The one-off tasks and note a template puts on a day. */
+export function materializeTemplate(template, ymd) {
+  return {
+    tasks: normalizeTemplateTasks(template.tasks).map((task, index) => ({
+      ...task,
+      start_date: ymd,
+      repeat_mode: "none",
+      sort_order: index,
+    })),
+    note: String(template.note ?? "").trim(),
+  };
+}
+
+/** The day's note with the skeleton added below, unless it is already there. */
+export function mergeTemplateNote(existing, skeleton) {
+  const current = String(existing ?? "");
+  const addition = String(skeleton ?? "").trim();
+  if (!addition || current.includes(addition)) return current;
+  return current.trim() ? `${current.replace(/\s+$/, "")}\n\n${addition}` : addition;
+}
+
+/** "Day 5", "Days 14, 15 and 16" */
+export function describeSinedays(days) {
+  const list = normalizeTemplateSinedays(days);
+  if (list.length <= 1) return list.length ? `Day ${list[0]}` : "";
+  return `Days ${list.slice(0, -1).join(", ")} and ${list.at(-1)}`;
+}
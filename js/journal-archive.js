@@ -0,0 +1,503 @@
+/**
+ * Journal archive format + import planning.
+ *
+ * Export layout (ZIP):
+ *   manifest.json            machine-readable copy of every entry
+ *   entries/YYYY-MM-DD.md    one Markdown file per day, front-matter with SineDays,
+ *                            energy, mood and tags, photos as ![caption](../images/…)
+ *                            lines in gallery order
+ *   images/YYYY-MM-DD.ext    the day's photos from the journal-images bucket;
+ *   images/YYYY-MM-DD-2.ext  the second and later ones are numbered
+ *
+ * Version 1 archives (one `image` per day) still import. Import also accepts
+ * a loose folder of Markdown files (Day One Markdown export, Obsidian-style
+ * daily notes, …). Nothing here talks to Supabase; JournalHistoryUI does the
+ * reads and writes.
+ */
+
+import { JOURNAL_CAPTION_MAX_LENGTH, JOURNAL_MAX_IMAGES, normalizeJournalImages } from "./journal-images.js";
+import { normalizeEnergy, normalizeMood, normalizeTags } from "./journal-signals.js";
+
+export const JOURNAL_ARCHIVE_FORMAT = "sineday-journal";
+export const JOURNAL_ARCHIVE_VERSION = 2;
+export const JOURNAL_IMPORT_MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+
+const IMAGE_TYPES_BY_EXT = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+const EXT_BY_IMAGE_TYPE = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+const MARKDOWN_EXTENSIONS = new Set(["md", "markdown", "txt"]);
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function isValidYmd(ymd) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(ymd || ""));
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function normalizeFelt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= 18 ? n : null;
+}
+
+function extensionOf(path) {
+  const base = path.split("/").pop() || "";
+  return base.includes(".") ? base.split(".").pop().toLowerCase() : "";
+}
+
+function normalizePath(path) {
+  const parts = [];
+  for (const part of String(path || "").replace(/\\/g, "/").split("/")) {
+    if (!part || part === ".") continue;
+    if (part === "..") parts.pop();
+    else parts.push(part);
+  }
+  return parts.join("/");
+}
+
+function dirname(path) {
+  const index = path.lastIndexOf("/");
+  return index === -1 ? "" : path.slice(0, index);
+}
+
+function isHiddenPath(path) {
+  return path.split("/").some((part) => part.startsWith(".") || part === "__MACOSX");
+}
+
+// ── Export ─────────────────────────────────────────────────
+
+function markdownAlt(caption) {
+  return String(caption || "").replace(/\s+/g, " ").trim().replace(/[\\[\]]/g, "\\$&");
+}
+
+/**
+ * One day as Markdown. Front-matter carries the SineDays and journal signals;
+ * photos follow the text as image lines whose alt text is the caption.
+ * @param {{ images?: Array<{ file: string, caption?: string }> }} [options]
+ */
+export function entryToMarkdown(entry, { images = [] } = {}) {
+  const lines = ["---", `date: ${entry.entry_date}`];
+  if (entry.actual_sineday != null) lines.push(`actual_sineday: ${entry.actual_sineday}`);
+  if (entry.felt_sineday != null) lines.push(`felt_sineday: ${entry.felt_sineday}`);
+  if (normalizeEnergy(entry.energy) != null) lines.push(`energy: ${entry.energy}`);
+  if (normalizeMood(entry.mood)) lines.push(`mood: ${normalizeMood(entry.mood)}`);
+  const tags = normalizeTags(entry.tags);
+  if (tags.length) lines.push(`tags: [${tags.join(", ")}]`);
+  lines.push("---", "");
+  const content = String(entry.content || "").replace(/\r\n/g, "\n").trimEnd();
+  const photos = images.map(({ file, caption }) => `![${markdownAlt(caption)}](../${file})`);
+  const body = [content, photos.join("\n")].filter(Boolean).join("\n\n");
+  return `${lines.join("\n")}\n${body}${body ? "\n" : ""}`;
+}
+
+/**
+ * @param {object[]} entries journal_entries rows
+ * @param {Map<string, { data: Uint8Array, mimeType: string }>} images photo bytes keyed by storage path
+ * @param {{ profile?: object, exportedAt?: Date }} [meta]
+ * @returns {Array<{ name: string, data: Uint8Array|string, date?: Date }>} files for createZip
+ */
+export function buildJournalArchiveFiles(entries, images = new Map(), { profile = null, exportedAt = new Date() } = {}) {
+  const files = [];
+  const manifestEntries = [];
+  const sorted = [...entries].sort((a, b) => a.entry_date.localeCompare(b.entry_date));
+
+  for (const entry of sorted) {
+    const gallery = normalizeJournalImages(entry);
+    const exported = [];
+    for (const item of gallery) {
+      const image = images.get(item.path);
+      if (!image) continue;
+      const mimeType = image.mimeType || item.mime_type || "";
+      const suffix = exported.length ? `-${exported.length + 1}` : "";
+      exported.push({
+        file: `images/${entry.entry_date}${suffix}.${EXT_BY_IMAGE_TYPE[mimeType] || extensionOf(item.path) || "jpg"}`,
+        mimeType,
+        size: image.data.length,
+        width: item.width,
+        height: item.height,
+        caption: item.caption,
+        data: image.data,
+      });
+    }
+    const file = `entries/${entry.entry_date}.md`;
+    const modified = entry.updated_at ? new Date(entry.updated_at) : exportedAt;
+
+    files.push({ name: file, data: entryToMarkdown(entry, { images: exported }), date: modified });
+    for (const image of exported) files.push({ name: image.file, data: image.data, date: modified });
+
+    manifestEntries.push({
+      date: entry.entry_date,
+      actualSineday: entry.actual_sineday ?? null,
+      feltSineday: entry.felt_sineday ?? null,
+      energy: normalizeEnergy(entry.energy),
+      mood: normalizeMood(entry.mood),
+      tags: normalizeTags(entry.tags),
+      content: entry.content || "",
+      file,
+      images: exported.map(({ data, ...image }) => image),
+      missingImages: gallery.length - exported.length,
+      createdAt: entry.created_at || null,
+      updatedAt: entry.updated_at || null,
+    });
+  }
+
+  const manifest = {
+    format: JOURNAL_ARCHIVE_FORMAT,
+    version: JOURNAL_ARCHIVE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    profile: profile ? { id: profile.id, displayName: profile.display_name || null } : null,
+    entries: manifestEntries,
+  };
+  files.unshift({ name: "manifest.json", data: `${JSON.stringify(manifest, null, 2)}\n`, date: exportedAt });
+  return files;
+}
+
+// ── Import ─────────────────────────────────────────────────
+
+function parseFrontMatter(text) {
+  const match = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!match) return { data: {}, body: text };
+  const data = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = /^([A-Za-z_][\w-]*)\s*:\s*(.*)$/.exec(line);
+    if (!pair) continue;
+    let value = pair[2].trim();
+    if (/^"(.*)"$/.test(value)) {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        value = value.slice(1, -1);
+      }
+    } else if (/^'(.*)'$/.test(value)) {
+      value = value.slice(1, -1);
+    }
+    data[pair[1].toLowerCase()] = value;
+  }
+  return { data, body: text.slice(match[0].length) };
+}
+
+/** YYYY-MM-DD from a loose date string, read as written (no timezone shift). */
+function ymdFromLooseDate(value) {
+  const text = String(value || "").trim();
+  const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (iso) return isValidYmd(iso[0]) ? iso[0] : null;
+  // Day One writes "March 2, 2026 at 9:14:03 AM CST" or "2 March 2026 at 09:14".
+  const parsed = new Date(text.replace(/\s+at\s+.*$/i, ""));
+  if (Number.isNaN(parsed.getTime())) return null;
+  return `${parsed.getFullYear()}-${pad2(parsed.getMonth() + 1)}-${pad2(parsed.getDate())}`;
+}
+
+// Day One Markdown exports open with tab-indented metadata lines.
+const DAY_ONE_HEADER_PATTERN = /^\s*(Date|Location|Weather|Tags|Starred|Music|Activity):\s*(.*)$/;
+
+function parseDayOneHeader(body) {
+  const lines = body.split("\n");
+  let date = null;
+  let tags = [];
+  let index = 0;
+  while (index < lines.length && DAY_ONE_HEADER_PATTERN.test(lines[index])) {
+    const [, key, value] = DAY_ONE_HEADER_PATTERN.exec(lines[index]);
+    if (key === "Date") date = ymdFromLooseDate(value);
+    if (key === "Tags") tags = parseTagList(value);
+    index++;
+  }
+  if (!date) return { date: null, tags: [], body };
+  return { date, tags, body: lines.slice(index).join("\n") };
+}
+
+// "[walk, work]", "walk, work" or "#walk #work".
+function parseTagList(value) {
+  const text = String(value || "").trim().replace(/^\[(.*)\]$/, "$1");
+  const items = text.includes(",") ? text.split(",") : text.split(/\s+(?=#)/);
+  return normalizeTags(items.map((item) => item.trim().replace(/^(["'])(.*)\1$/, "$2")));
+}
+
+const IMAGE_REF_PATTERN = /!\[((?:\\.|[^\]\\])*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+/**
+ * Parses one Markdown file into a journal entry.
+ * Date precedence: front-matter `date`, a Day One `Date:` header, then a
+ * YYYY-MM-DD anywhere in the path. Image alt text becomes the caption.
+ * Tags come from the front-matter or a Day One `Tags:` header.
+ * @returns {{ date: string|null, feltSineday: number|null, energy: number|null, mood: string|null, tags: string[], content: string, imageRefs: Array<{ ref: string, caption: string }> }}
+ */
+export function parseJournalMarkdown(text, path = "") {
+  const source = String(text || "").replace(/^\uFEFF/, "").replace(/\r\n/g, "\n");
+  const { data, body: afterFrontMatter } = parseFrontMatter(source);
+  const dayOne = parseDayOneHeader(afterFrontMatter);
+
+  const pathDate = /(\d{4}-\d{2}-\d{2})/.exec(path.split("/").pop() || "")?.[1] || null;
+  const date =
+    ymdFromLooseDate(data.date) || dayOne.date || (isValidYmd(pathDate) ? pathDate : null);
+
+  const imageRefs = [];
+  // Version 1 archives name their one photo in the front-matter.
+  if (data.image) imageRefs.push({ ref: data.image, caption: "" });
+  const body = dayOne.body.replace(IMAGE_REF_PATTERN, (whole, alt, ref) => {
+    const caption = alt.replace(/\\(.)/g, "$1").trim();
+    try {
+      imageRefs.push({ ref: decodeURI(ref), caption });
+    } catch {
+      imageRefs.push({ ref, caption });
+    }
+    return "";
+  });
+
+  return {
+    date,
+    feltSineday: normalizeFelt(data.felt_sineday ?? data.felt),
+    energy: normalizeEnergy(data.energy),
+    mood: normalizeMood(data.mood),
+    tags: data.tags ? parseTagList(data.tags) : dayOne.tags,
+    content: body.replace(/\n{3,}/g, "\n\n").trim(),
+    imageRefs,
+  };
+}
+
+function imageFromFile(file, { caption = "", width = null, height = null } = {}) {
+  if (!file) return { image: null };
+  const mimeType = IMAGE_TYPES_BY_EXT[extensionOf(file.path)];
+  if (!mimeType) return { image: null, reason: "Unsupported photo type" };
+  if (file.data.length > JOURNAL_IMPORT_MAX_IMAGE_BYTES) {
+    return { image: null, reason: "Photo is larger than 8 MB" };
+  }
+  return {
+    image: {
+      name: file.path.split("/").pop(),
+      data: file.data,
+      mimeType,
+      size: file.data.length,
+      width: Number(width) || null,
+      height: Number(height) || null,
+      caption: String(caption || "").slice(0, JOURNAL_CAPTION_MAX_LENGTH),
+    },
+  };
+}
+
+function readManifest(manifestFile, byPath, skipped) {
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(manifestFile.data));
+  } catch {
+    return null;
+  }
+  if (manifest?.format !== JOURNAL_ARCHIVE_FORMAT || !Array.isArray(manifest.entries)) return null;
+  if (Number(manifest.version) > JOURNAL_ARCHIVE_VERSION) {
+    throw new Error("This archive was made by a newer version of SineDay");
+  }
+
+  const root = dirname(manifestFile.path);
+  const entries = [];
+  for (const item of manifest.entries) {
+    if (!isValidYmd(item?.date)) {
+      skipped.push({ name: item?.file || "manifest entry", reason: "Missing or invalid date" });
+      continue;
+    }
+    const images = [];
+    const listed = Array.isArray(item.images) ? item.images : item.image ? [item.image] : [];
+    for (const photo of listed) {
+      if (!photo?.file) continue;
+      const result = imageFromFile(byPath.get(normalizePath(`${root}/${photo.file}`)), photo);
+      if (result.image) images.push(result.image);
+      else skipped.push({ name: photo.file, reason: result.reason || "Photo missing from archive" });
+    }
+    entries.push({
+      entry_date: item.date,
+      felt_sineday: normalizeFelt(item.feltSineday),
+      energy: normalizeEnergy(item.energy),
+      mood: normalizeMood(item.mood),
+      tags: normalizeTags(item.tags),
+      content: String(item.content || ""),
+      images: images.slice(0, JOURNAL_MAX_IMAGES),
+    });
+  }
+  return entries;
+}
+
+function readMarkdownFiles(files, byPath, skipped) {
+  const byDate = new Map();
+  const markdown = files
+    .filter((file) => MARKDOWN_EXTENSIONS.has(extensionOf(file.path)))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  for (const file of markdown) {
+    const parsed = parseJournalMarkdown(new TextDecoder().decode(file.data), file.path);
+    if (!parsed.date) {
+      skipped.push({ name: file.path, reason: "No date found" });
+      continue;
+    }
+
+    const images = [];
+    for (const { ref, caption } of parsed.imageRefs) {
+      if (/^[a-z][\w+.-]*:/i.test(ref)) continue; // http:, dayone-moment:, …
+      const path = normalizePath(`${dirname(file.path)}/${ref}`);
+      if (images.some((image) => image.path === path)) continue;
+      const result = imageFromFile(byPath.get(path), { caption });
+      if (result.image) images.push({ ...result.image, path });
+      else skipped.push({ name: ref, reason: result.reason || "Photo missing from folder" });
+    }
+
+    // Several notes on one day (Day One allows that) merge into one entry.
+    const existing = byDate.get(parsed.date);
+    if (existing) {
+      existing.content = [existing.content, parsed.content].filter(Boolean).join("\n\n");
+      existing.felt_sineday ??= parsed.feltSineday;
+      existing.energy ??= parsed.energy;
+      existing.mood ??= parsed.mood;
+      existing.tags = normalizeTags([...existing.tags, ...parsed.tags]);
+      existing.images.push(...images.filter((image) => !existing.images.some(({ path }) => path === image.path)));
+    } else {
+      byDate.set(parsed.date, {
+        entry_date: parsed.date,
+        felt_sineday: parsed.feltSineday,
+        energy: parsed.energy,
+        mood: parsed.mood,
+        tags: parsed.tags,
+        content: parsed.content,
+        images,
+      });
+    }
+  }
+  return Array.from(byDate.values()).map((entry) => ({
+    ...entry,
+    images: entry.images.slice(0, JOURNAL_MAX_IMAGES).map(({ path, ...image }) => image),
+  }));
+}
+
+/**
+ * Turns archive or folder files into importable entries.
+ * @param {Array<{ name: string, data: Uint8Array }>} files
+ * @returns {{ entries: object[], skipped: Array<{ name: string, reason: string }>, source: "archive"|"markdown" }}
+ */
+export function readJournalImportFiles(files) {
+  const skipped = [];
+  const visible = files
+    .map((file) => ({ path: normalizePath(file.name), data: file.data }))
+    .filter((file) => file.path && !isHiddenPath(file.path));
+  const byPath = new Map(visible.map((file) => [file.path, file]));
+
+  const manifestFile = visible.find((file) => file.path.split("/").pop() === "manifest.json");
+  const fromManifest = manifestFile ? readManifest(manifestFile, byPath, skipped) : null;
+  const entries = fromManifest || readMarkdownFiles(visible, byPath, skipped);
+
+  return {
+    entries: entries.sort((a, b) => a.entry_date.localeCompare(b.entry_date)),
+    skipped,
+    source: fromManifest ? "archive" : "markdown",
+  };
+}
+
+// ── Merge planning ─────────────────────────────────────────
+
+export const JOURNAL_IMPORT_RESOLUTIONS = Object.freeze(["keep", "replace", "combine"]);
+
+function hasJournalSignal(entry) {
+  return !!(
+    entry &&
+    ((entry.content || "").trim() ||
+      entry.felt_sineday != null ||
+      normalizeEnergy(entry.energy) != null ||
+      normalizeMood(entry.mood) ||
+      normalizeTags(entry.tags).length ||
+      normalizeJournalImages(entry).length)
+  );
+}
+
+function addsNothing(existing, incoming) {
+  const sameContent = (existing.content || "").trim() === (incoming.content || "").trim();
+  const sameFelt = incoming.felt_sineday == null || incoming.felt_sineday === existing.felt_sineday;
+  const sameSignals =
+    (incoming.energy == null || incoming.energy === existing.energy) &&
+    (!incoming.mood || incoming.mood === existing.mood) &&
+    normalizeTags(incoming.tags).every((tag) => normalizeTags(existing.tags).includes(tag));
+  // Photos cannot be compared without downloading them; as many saved as
+  // imported is taken as the same gallery.
+  const sameImages = (incoming.images || []).length <= normalizeJournalImages(existing).length;
+  return sameContent && sameFelt && sameSignals && sameImages;
+}
+
+/**
+ * Compares incoming entries with saved rows for the same profile.
+ * Nothing is written for "unchanged" days, "new" days are written as-is and
+ * "conflict" days wait for a resolution (default: keep what is saved).
+ * @param {object[]} incoming from readJournalImportFiles
+ * @param {object[]} existingRows journal_entries rows for the same profile
+ */
+export function planJournalImport(incoming, existingRows = []) {
+  const existingByDate = new Map(existingRows.map((row) => [row.entry_date, row]));
+  const items = incoming.map((entry) => {
+    const existing = existingByDate.get(entry.entry_date) || null;
+    let status = "conflict";
+    if (!hasJournalSignal(existing)) status = "new";
+    else if (addsNothing(existing, entry)) status = "unchanged";
+    return { date: entry.entry_date, status, incoming: entry, existing };
+  });
+
+  const counts = { new: 0, unchanged: 0, conflict: 0 };
+  for (const item of items) counts[item.status]++;
+  return { items, counts };
+}
+
+function combineContent(existing, incoming) {
+  const a = (existing || "").trim();
+  const b = (incoming || "").trim();
+  if (!a || a.includes(b)) return a || b;
+  if (!b || b.includes(a)) return b;
+  return `${a}\n\n${b}`;
+}
+
+/**
+ * What to write for one planned day, or null when nothing should change.
+ * `images` become the day's gallery; when empty, saved photos stay. So
+ * "replace" keeps saved photos when the import has none (a text-only export
+ * never deletes pictures), and "combine" only brings photos in for a day that
+ * has none yet. Felt day, energy, mood and tags follow the same rule: the
+ * import's wins on "replace" unless it has none, the saved one on "combine",
+ * where tags are merged.
+ * @returns {{ entry_date: string, content: string, felt_sineday: number|null, energy: number|null, mood: string|null, tags: string[], images: object[] } | null}
+ */
+export function resolveJournalImportItem(item, resolution = "keep") {
+  const { incoming, existing } = item;
+  if (item.status === "unchanged") return null;
+  if (item.status === "new" || resolution === "replace") {
+    return {
+      entry_date: item.date,
+      content: incoming.content || "",
+      felt_sineday: incoming.felt_sineday ?? existing?.felt_sineday ?? null,
+      energy: normalizeEnergy(incoming.energy) ?? normalizeEnergy(existing?.energy),
+      mood: normalizeMood(incoming.mood) ?? normalizeMood(existing?.mood),
+      tags: normalizeTags(incoming.tags).length ? normalizeTags(incoming.tags) : normalizeTags(existing?.tags),
+      images: incoming.images || [],
+    };
+  }
+  if (resolution === "combine") {
+    return {
+      entry_date: item.date,
+      content: combineContent(existing.content, incoming.content),
+      felt_sineday: existing.felt_sineday ?? incoming.felt_sineday ?? null,
+      energy: normalizeEnergy(existing.energy) ?? normalizeEnergy(incoming.energy),
+      mood: normalizeMood(existing.mood) ?? normalizeMood(incoming.mood),
+      tags: normalizeTags([...normalizeTags(existing.tags), ...normalizeTags(incoming.tags)]),
+      images: normalizeJournalImages(existing).length ? [] : incoming.images || [],
+    };
+  }
+  return null;
+}
+
+export function imageExtensionForType(mimeType) {
+  return EXT_BY_IMAGE_TYPE[mimeType] || "jpg";
+}
@@ -0,0 +1,341 @@
+/**
+ * Journal encryption primitives — WebCrypto only, no server round-trips.
+ *
+ * Envelope encryption: journal text and photos are sealed with random
+ * AES-256-GCM data keys. The keyring row (journal_keyrings) stores every data
+ * key wrapped twice: under a key derived from the passphrase (PBKDF2-SHA-256)
+ * and under one derived from the recovery key (HKDF-SHA-256 — it is already
+ * random). Neither the passphrase, the recovery key nor an unwrapped data key
+ * ever leaves the browser.
+ *
+ * Text envelope: "sdenc:v1:<keyId>:<iv>:<ciphertext>" (base64). Photo
+ * envelope: "SDE1" | keyId length | keyId | iv | ciphertext.
+ */
+
+export const JOURNAL_CIPHER_PREFIX = "sdenc:v1:";
+export const JOURNAL_KEYRING_VERSION = 1;
+export const JOURNAL_KDF_ITERATIONS = 600000;
+export const JOURNAL_PASSPHRASE_MIN_LENGTH = 10;
+export const JOURNAL_ENCRYPTED_IMAGE_TYPE = "application/octet-stream";
+
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+const RECOVERY_BYTES = 30;
+const RECOVERY_GROUP = 6;
+const RECOVERY_INFO = "sineday-journal-recovery";
+const IMAGE_MAGIC = [0x53, 0x44, 0x45, 0x31]; // "SDE1"
+// Crockford base32: no I, L, O or U, so a written-down key reads back cleanly.
+const RECOVERY_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function subtle() {
+  const api = globalThis.crypto?.subtle;
+  if (!api) throw journalKeyError("UNSUPPORTED", "This browser cannot encrypt the journal.");
+  return api;
+}
+
+export function journalKeyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function randomBytes(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(value) {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function newKeyId() {
+  return Array.from(randomBytes(4), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// ── Recovery key ─────────────────────────────────────
+
+function encodeBase32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += RECOVERY_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += RECOVERY_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function decodeBase32(text) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const char of text) {
+    const index = RECOVERY_ALPHABET.indexOf(char);
+    if (index < 0) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(out);
+}
+
+/** A fresh recovery key, e.g. "7KQ2MX-…" — eight groups of six characters. */
+export function generateRecoveryKey() {
+  const text = encodeBase32(randomBytes(RECOVERY_BYTES));
+  return text.match(new RegExp(`.{1,${RECOVERY_GROUP}}`, "g")).join("-");
+}
+
+/** Recovery key bytes from what the user typed, or null when it cannot be one. */
+export function parseRecoveryKey(input) {
+  const text = String(input || "")
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+  if (text.length !== Math.ceil((RECOVERY_BYTES * 8) / 5)) return null;
+  const bytes = decodeBase32(text);
+  return bytes && bytes.length === RECOVERY_BYTES ? bytes : null;
+}
+
+// ── Key derivation and wrapping ──────────────────────
+
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const material = await subtle().importKey("raw", encoder.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return subtle().deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["wrapKey", "unwrapKey"]
+  );
+}
+
+async function deriveRecoveryKey(recoveryBytes, salt) {
+  const material = await subtle().importKey("raw", recoveryBytes, "HKDF", false, ["deriveKey"]);
+  return subtle().deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt, info: encoder.encode(RECOVERY_INFO) },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["wrapKey", "unwrapKey"]
+  );
+}
+
+async function wrapDataKey(dataKey, wrappingKey) {
+  const iv = randomBytes(IV_BYTES);
+  const wrapped = new Uint8Array(await subtle().wrapKey("raw", dataKey, wrappingKey, { name: "AES-GCM", iv }));
+  return toBase64(concatBytes(iv, wrapped));
+}
+
+async function unwrapDataKey(value, wrappingKey) {
+  const bytes = fromBase64(value);
+  // Extractable so a passphrase change can wrap it again; it never leaves memory.
+  return subtle().unwrapKey(
+    "raw",
+    bytes.subarray(IV_BYTES),
+    wrappingKey,
+    { name: "AES-GCM", iv: bytes.subarray(0, IV_BYTES) },
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+function generateDataKey() {
+  return subtle().generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+}
+
+async function wrapKeyring(keys, { passphrase, recoveryKey, activeKeyId, iterations = JOURNAL_KDF_ITERATIONS }) {
+  const recoveryBytes = parseRecoveryKey(recoveryKey);
+  if (!recoveryBytes) throw journalKeyError("INVALID_RECOVERY_KEY", "That recovery key is not valid.");
+  const kdfSalt = randomBytes(SALT_BYTES);
+  const recoverySalt = randomBytes(SALT_BYTES);
+  const passphraseKey = await derivePassphraseKey(passphrase, kdfSalt, iterations);
+  const recoveryWrapKey = await deriveRecoveryKey(recoveryBytes, recoverySalt);
+
+  const wrapped = [];
+  for (const [id, key] of keys) {
+    wrapped.push({
+      id,
+      passphrase: await wrapDataKey(key, passphraseKey),
+      recovery: await wrapDataKey(key, recoveryWrapKey),
+    });
+  }
+  return {
+    version: JOURNAL_KEYRING_VERSION,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt: toBase64(kdfSalt) },
+    recovery: { name: "HKDF", hash: "SHA-256", salt: toBase64(recoverySalt) },
+    activeKeyId,
+    keys: wrapped,
+  };
+}
+
+/**
+ * A brand-new keyring with one data key.
+ * @returns {Promise<{ keyring: Object, keys: Map<string, CryptoKey>, recoveryKey: string }>}
+ */
+export async function createJournalKeyring(passphrase, { iterations } = {}) {
+  const id = newKeyId();
+  const keys = new Map([[id, await generateDataKey()]]);
+  const recoveryKey = generateRecoveryKey();
+  const keyring = await wrapKeyring(keys, { passphrase, recoveryKey, activeKeyId: id, iterations });
+  return { keyring, keys, recoveryKey };
+}
+
+/**
+ * Unwraps every data key with the passphrase or the recovery key.
+ * @param {Object} keyring
+ * @param {{ passphrase?: string, recoveryKey?: string }} secret
+ * @returns {Promise<Map<string, CryptoKey>>}
+ */
+export async function unlockJournalKeyring(keyring, { passphrase, recoveryKey } = {}) {
+  if (keyring?.version !== JOURNAL_KEYRING_VERSION || !Array.isArray(keyring.keys)) {
+    throw journalKeyError("UNSUPPORTED", "This journal was encrypted by a newer version of SineDay.");
+  }
+  let wrappingKey;
+  let field;
+  if (recoveryKey != null) {
+    const recoveryBytes = parseRecoveryKey(recoveryKey);
+    if (!recoveryBytes) throw journalKeyError("INVALID_RECOVERY_KEY", "That recovery key is not valid.");
+    wrappingKey = await deriveRecoveryKey(recoveryBytes, fromBase64(keyring.recovery.salt));
+    field = "recovery";
+  } else {
+    wrappingKey = await derivePassphraseKey(
+      String(passphrase || ""),
+      fromBase64(keyring.kdf.salt),
+      keyring.kdf.iterations
+    );
+    field = "passphrase";
+  }
+
+  const keys = new Map();
+  try {
+    for (const entry of keyring.keys) {
+      keys.set(entry.id, await unwrapDataKey(entry[field], wrappingKey));
+    }
+  } catch {
+    throw field === "recovery"
+      ? journalKeyError("WRONG_RECOVERY_KEY", "That recovery key does not match this journal.")
+      : journalKeyError("WRONG_PASSPHRASE", "That passphrase is not right.");
+  }
+  return keys;
+}
+
+/**
+ * Re-wraps unlocked keys under a new passphrase. Without a recovery key a new
+ * one is issued, because the old one cannot wrap keys it never saw.
+ * @param {Map<string, CryptoKey>} keys
+ * @param {{ passphrase: string, recoveryKey?: string, activeKeyId: string }} options
+ */
+export async function rewrapJournalKeyring(keys, { passphrase, recoveryKey = null, activeKeyId, iterations }) {
+  const nextRecoveryKey = recoveryKey || generateRecoveryKey();
+  const keyring = await wrapKeyring(keys, { passphrase, recoveryKey: nextRecoveryKey, activeKeyId, iterations });
+  return { keyring, recoveryKey: nextRecoveryKey };
+}
+
+/** Adds a fresh data key (for re-encryption) and returns its id. */
+export async function addJournalDataKey(keys) {
+  const id = newKeyId();
+  keys.set(id, await generateDataKey());
+  return id;
+}
+
+// ── Text and photo envelopes ─────────────────────────
+
+export function isEncryptedJournalText(value) {
+  return typeof value === "string" && value.startsWith(JOURNAL_CIPHER_PREFIX);
+}
+
+export function journalCipherKeyId(value) {
+  if (isEncryptedJournalText(value)) return value.slice(JOURNAL_CIPHER_PREFIX.length).split(":")[0] || null;
+  if (value instanceof Uint8Array && IMAGE_MAGIC.every((byte, i) => value[i] === byte)) {
+    return decoder.decode(value.subarray(5, 5 + value[4]));
+  }
+  return null;
+}
+
+function keyFor(keys, keyId) {
+  const key = keys.get(keyId);
+  if (!key) throw journalKeyError("MISSING_KEY", "This entry was encrypted with a key this journal no longer has.");
+  return key;
+}
+
+export async function encryptJournalText(key, keyId, text) {
+  const iv = randomBytes(IV_BYTES);
+  const sealed = new Uint8Array(
+    await subtle().encrypt({ name: "AES-GCM", iv }, key, encoder.encode(String(text ?? "")))
+  );
+  return `${JOURNAL_CIPHER_PREFIX}${keyId}:${toBase64(iv)}:${toBase64(sealed)}`;
+}
+
+/** Plain text passes through untouched, so mixed journals read fine. */
+export async function decryptJournalText(keys, value) {
+  if (!isEncryptedJournalText(value)) return value;
+  const [keyId, iv, sealed] = value.slice(JOURNAL_CIPHER_PREFIX.length).split(":");
+  try {
+    const plain = await subtle().decrypt(
+      { name: "AES-GCM", iv: fromBase64(iv) },
+      keyFor(keys, keyId),
+      fromBase64(sealed)
+    );
+    return decoder.decode(plain);
+  } catch (err) {
+    if (err?.code) throw err;
+    throw journalKeyError("DECRYPT_FAILED", "This entry could not be decrypted.");
+  }
+}
+
+export async function encryptJournalBytes(key, keyId, bytes) {
+  const iv = randomBytes(IV_BYTES);
+  const id = encoder.encode(keyId);
+  const sealed = new Uint8Array(await subtle().encrypt({ name: "AES-GCM", iv }, key, bytes));
+  return concatBytes(new Uint8Array(IMAGE_MAGIC), new Uint8Array([id.length]), id, iv, sealed);
+}
+
+export async function decryptJournalBytes(keys, bytes) {
+  const keyId = journalCipherKeyId(bytes);
+  if (keyId == null) return bytes;
+  const start = 5 + bytes[4];
+  try {
+    const plain = await subtle().decrypt(
+      { name: "AES-GCM", iv: bytes.subarray(start, start + IV_BYTES) },
+      keyFor(keys, keyId),
+      bytes.subarray(start + IV_BYTES)
+    );
+    return new Uint8Array(plain);
+  } catch (err) {
+    if (err?.code) throw err;
+    throw journalKeyError("DECRYPT_FAILED", "This photo could not be decrypted.");
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Journal heatmap view — renders buildYearHeatmapDays() as a year at a
+ * glance, in week columns or 18-day cycle rows (see journal-heatmap.js).
+ * Every day is a button that opens that day; the cycle overlay marks each
+ * cell with the wave's height that day so a cycle reads as one wave.
+ */
+
+import { layoutHeatmapCycles, layoutHeatmapWeeks, waveHeight } from "./journal-heatmap.js";
+
+const CYCLE_LENGTH = 18;
+const MATCH_LABELS = {
+  match: "Felt like the wave",
+  close: "Within a day",
+  off: "Further off",
+};
+
+function el(tag, className) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  return node;
+}
+
+function describeDay(day, mode) {
+  if (mode === "match") {
+    if (!day.match) return "No felt day saved.";
+    if (day.match === "match") return `Felt SineDay ${day.felt}, matching the wave.`;
+    return `Felt SineDay ${day.felt}, ${day.match === "close" ? "within a day of" : "further from"} the wave.`;
+  }
+  if (mode === "tags") {
+    return day.tag ? `Tagged ${day.tag.label || "with a color"}.` : "No wave tag.";
+  }
+  return day.level ? "Journal saved." : "No journal saved.";
+}
+
+function buildCell(day, { mode, showWave, formatDay, onSelectDate }) {
+  if (!day) {
+    const blank = el("span", "journal-heatmap__cell journal-heatmap__cell--blank");
+    blank.setAttribute("aria-hidden", "true");
+    return blank;
+  }
+
+  const cell = el("button", "journal-heatmap__cell");
+  cell.type = "button";
+  cell.dataset.date = day.date;
+  if (mode === "entries" && day.level) cell.classList.add(`is-level-${day.level}`);
+  if (mode === "match" && day.match) cell.classList.add(`is-${day.match}`);
+  if (mode === "tags" && day.tag) {
+    cell.classList.add("is-tagged");
+    cell.style.setProperty("--heat-tag-color", day.tag.color);
+  }
+  if (day.isFuture) cell.classList.add("is-future");
+  if (day.isToday) cell.classList.add("is-today");
+  if (day.actual === 1) cell.classList.add("is-cycle-start");
+  cell.setAttribute(
+    "aria-label",
+    [
+      `Open journal for ${formatDay(day.date)}.`,
+      day.actual ? `SineDay ${day.actual}.` : "",
+      describeDay(day, mode),
+      day.isToday ? "Today." : "",
+    ].filter(Boolean).join(" ")
+  );
+
+  if (showWave && day.wave != null) {
+    const mark = el("span", "journal-heatmap__wave");
+    mark.setAttribute("aria-hidden", "true");
+    mark.style.setProperty("--wave", day.wave.toFixed(3));
+    cell.append(mark);
+  }
+
+  cell.addEventListener("click", () => onSelectDate?.(day.date));
+  return cell;
+}
+
+function buildWeeks(days, options) {
+  const { locale, weekStart, onSelectMonth } = options;
+  const { columns, monthStarts } = layoutHeatmapWeeks(days, weekStart);
+  const wrap = el("div", "journal-heatmap__weeks");
+  wrap.style.setProperty("--heat-columns", String(columns.length));
+
+  const months = el("div", "journal-heatmap__months");
+  const monthFormat = new Intl.DateTimeFormat(locale, { month: "short", timeZone: "UTC" });
+  for (const { month, column } of monthStarts) {
+    const label = el("button", "journal-heatmap__month");
+    label.type = "button";
+    label.style.gridColumn = `${column + 1} / span 4`;
+    const date = new Date(Date.UTC(2024, month, 1, 12));
+    label.textContent = monthFormat.format(date);
+    label.setAttribute(
+      "aria-label",
+      `Show ${new Intl.DateTimeFormat(locale, { month: "long", timeZone: "UTC" }).format(date)} as a calendar`
+    );
+    label.addEventListener("click", () => onSelectMonth?.(month));
+    months.append(label);
+  }
+
+  const weekdays = el("div", "journal-heatmap__weekdays");
+  weekdays.setAttribute("aria-hidden", "true");
+  const weekdayFormat = new Intl.DateTimeFormat(locale, { weekday: "narrow", timeZone: "UTC" });
+  for (let i = 0; i < 7; i++) {
+    const label = el("span", "");
+    // Label every other row, as wall calendars with narrow rows do.
+    if (i % 2 === 1) label.textContent = weekdayFormat.format(new Date(Date.UTC(2024, 0, 7 + ((weekStart + i) % 7), 12)));
+    weekdays.append(label);
+  }
+
+  const grid = el("div", "journal-heatmap__grid");
+  for (const column of columns) {
+    for (const day of column) grid.append(buildCell(day, options));
+  }
+
+  wrap.append(months, weekdays, grid);
+  return wrap;
+}
+
+function buildCycleWave() {
+  const svgNs = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNs, "svg");
+  svg.setAttribute("class", "journal-heatmap__cycle-wave");
+  svg.setAttribute("viewBox", `0 -12 ${CYCLE_LENGTH * 10} 24`);
+  svg.setAttribute("preserveAspectRatio", "none");
+  svg.setAttribute("aria-hidden", "true");
+  svg.setAttribute("focusable", "false");
+  const points = [];
+  for (let x = 0; x <= CYCLE_LENGTH * 10; x += 2) {
+    points.push(`${x},${(-10 * waveHeight(1 + (x - 5) / 10)).toFixed(2)}`);
+  }
+  const line = document.createElementNS(svgNs, "polyline");
+  line.setAttribute("points", points.join(" "));
+  svg.append(line);
+  return svg;
+}
+
+function buildCycles(days, options) {
+  const rows = layoutHeatmapCycles(days);
+  const wrap = el("div", "journal-heatmap__cycles");
+  if (!rows.length) {
+    const note = el("p", "journal-heatmap__note");
+    note.textContent = "Add a birthdate to this profile to line the year up by cycle.";
+    wrap.append(note);
+    return wrap;
+  }
+
+  const head = el("div", "journal-heatmap__cycle-row journal-heatmap__cycle-row--head");
+  head.setAttribute("aria-hidden", "true");
+  head.append(el("span", "journal-heatmap__cycle-label"));
+  for (let day = 1; day <= CYCLE_LENGTH; day++) {
+    const number = el("span", "journal-heatmap__cycle-day");
+    number.textContent = String(day);
+    head.append(number);
+  }
+  wrap.append(head);
+  if (options.showWave) {
+    const waveRow = el("div", "journal-heatmap__cycle-row journal-heatmap__cycle-row--wave");
+    waveRow.append(el("span", "journal-heatmap__cycle-label"), buildCycleWave());
+    wrap.append(waveRow);
+  }
+
+  const rowFormat = new Intl.DateTimeFormat(options.locale, { month: "short", day: "numeric", timeZone: "UTC" });
+  for (const row of rows) {
+    const first = row.find(Boolean);
+    const rowEl = el("div", "journal-heatmap__cycle-row");
+    const label = el("span", "journal-heatmap__cycle-label");
+    label.textContent = rowFormat.format(new Date(`${first.date}T12:00:00Z`));
+    rowEl.append(label);
+    for (const day of row) rowEl.append(buildCell(day, options));
+    wrap.append(rowEl);
+  }
+  return wrap;
+}
+
+function buildLegend(days, mode, showWave) {
+  const legend = el("div", "journal-heatmap__legend");
+  legend.setAttribute("aria-hidden", "true");
+  const swatch = (className, text, color) => {
+    const item = el("span", "journal-heatmap__legend-item");
+    const box = el("i", `journal-heatmap__swatch ${className}`);
+    if (color) box.style.setProperty("--heat-tag-color", color);
+    item.append(box, document.createTextNode(text));
+    legend.append(item);
+  };
+
+  if (mode === "entries") {
+    swatch("", "Nothing saved");
+    swatch("is-level-1", "Words, a felt duck or photos");
+    swatch("is-level-3", "All three");
+  } else if (mode === "match") {
+    for (const bucket of ["match", "close", "off"]) swatch(`is-${bucket}`, MATCH_LABELS[bucket]);
+    swatch("", "No felt day");
+  } else {
+    const labels = new Map();
+    for (const day of days) {
+      if (day.tag && !labels.has(day.tag.color)) labels.set(day.tag.color, day.tag.label);
+    }
+    if (!labels.size) swatch("", "No wave tags this year");
+    for (const [color, label] of labels) swatch("is-tagged", label || color, color);
+  }
+  if (showWave) {
+    const item = el("span", "journal-heatmap__legend-item");
+    item.append(el("i", "journal-heatmap__legend-wave"), document.createTextNode("wave height"));
+    legend.append(item);
+  }
+  return legend;
+}
+
+/**
+ * @param {ReturnType<import("./journal-heatmap.js").buildYearHeatmapDays>} days
+ * @param {{ year: number, mode: string, layout: string, showWave?: boolean, locale?: string, weekStart?: number, onSelectDate?: (dateYmd: string) => void, onSelectMonth?: (monthIndex: number) => void }} options
+ */
+export function buildJournalHeatmapView(days, options) {
+  const { year, mode, layout, showWave = true, locale = "en-US", weekStart = 0 } = options;
+  const dayFormat = new Intl.DateTimeFormat(locale, {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+  const cellOptions = {
+    ...options,
+    showWave,
+    locale,
+    weekStart,
+    formatDay: (ymd) => dayFormat.format(new Date(`${ymd}T12:00:00Z`)),
+  };
+
+  const root = el("div", `journal-heatmap journal-heatmap--${mode} journal-heatmap--${layout}`);
+  const scroll = el("div", "journal-heatmap__scroll");
+  scroll.tabIndex = 0;
+  scroll.setAttribute("role", "group");
+  scroll.setAttribute("aria-label", `${year} journal heatmap`);
+  scroll.append(layout === "cycles" ? buildCycles(days, cellOptions) : buildWeeks(days, cellOptions));
+  root.append(scroll, buildLegend(days, mode, showWave));
+  return root;
+}
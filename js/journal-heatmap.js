@@ -0,0 +1,152 @@
+/**
+ * Journal heatmap — one cell per day of a year for the Journal History year
+ * view. A cell is colored by whether a journal was saved that day, how the
+ * felt SineDay compared with the actual one, or the day's wave calendar tag.
+ *
+ * Two layouts place the same days: week columns like a wall calendar, or one
+ * row per 18-day cycle so every SineDay lines up in its own column and phase
+ * patterns read straight down the page.
+ */
+
+import { calculateSineDayForYmd } from "./sineday-engine.js";
+import { signedCycleOffset } from "./journal-insights.js";
+import { normalizeJournalImages } from "./journal-images.js";
+
+const CYCLE_LENGTH = 18;
+const MS_PER_DAY = 86400000;
+
+export const HEATMAP_MODES = Object.freeze([
+  { value: "entries", label: "Entries" },
+  { value: "match", label: "Felt vs. actual" },
+  { value: "tags", label: "Wave tags" },
+]);
+
+export const HEATMAP_LAYOUTS = Object.freeze([
+  { value: "weeks", label: "Weeks" },
+  { value: "cycles", label: "18-day cycles" },
+]);
+
+function ymdFromMs(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/** Height of the wave on a SineDay, −1..1; day 1 starts on the midline going up. */
+export function waveHeight(sineday) {
+  return Math.sin((2 * Math.PI * (sineday - 1)) / CYCLE_LENGTH);
+}
+
+/**
+ * How much of a journal a day holds: one point each for written words
+ * (encrypted words count), a felt duck and photos, 0–3.
+ */
+export function journalEntryLevel(entry) {
+  if (!entry) return 0;
+  let level = 0;
+  if ((entry.content || "").trim()) level++;
+  if (entry.felt_sineday != null) level++;
+  if (normalizeJournalImages(entry).length) level++;
+  return level;
+}
+
+/**
+ * Felt-vs-actual bucket for a day: "match" when the felt SineDay is the
+ * actual one, "close" within a day either way, "off" otherwise, and null
+ * when no felt day was saved.
+ */
+export function feltMatchBucket(actual, felt) {
+  if (!actual || felt == null) return null;
+  const offset = Math.abs(signedCycleOffset(actual, Number(felt)));
+  if (offset === 0) return "match";
+  return offset <= 1 ? "close" : "off";
+}
+
+/**
+ * Every day of `year` with what the heatmap needs to draw it.
+ * @param {{ year: number, birthdate: string|null, entries?: Map<string, object>, tags?: Map<string, { color: string, label?: string }>, today?: string }} input
+ * @returns {Array<{ date: string, month: number, weekday: number, actual: number|null, daysLived: number|null, wave: number|null, level: number, felt: number|null, match: string|null, tag: { color: string, label: string }|null, isFuture: boolean, isToday: boolean }>}
+ */
+export function buildYearHeatmapDays({ year, birthdate, entries = new Map(), tags = new Map(), today = "" }) {
+  const days = [];
+  const start = Date.UTC(year, 0, 1, 12);
+  const end = Date.UTC(year, 11, 31, 12);
+  for (let ms = start; ms <= end; ms += MS_PER_DAY) {
+    const date = ymdFromMs(ms);
+    const sineday = birthdate ? calculateSineDayForYmd(birthdate, date) : null;
+    const entry = entries.get(date) || null;
+    const felt = entry?.felt_sineday != null ? Number(entry.felt_sineday) : null;
+    const tag = tags.get(date);
+    days.push({
+      date,
+      month: new Date(ms).getUTCMonth(),
+      weekday: new Date(ms).getUTCDay(),
+      actual: sineday?.day ?? null,
+      daysLived: sineday?.daysLived ?? null,
+      wave: sineday ? waveHeight(sineday.day) : null,
+      level: journalEntryLevel(entry),
+      felt,
+      match: feltMatchBucket(sineday?.day, felt),
+      tag: tag?.color ? { color: tag.color, label: tag.label || "" } : null,
+      isFuture: !!today && date > today,
+      isToday: date === today,
+    });
+  }
+  return days;
+}
+
+/**
+ * Week columns: `columns[i]` holds seven slots from `weekStart` (0 = Sunday),
+ * with null before 1 January and after 31 December. `monthStarts` gives the
+ * column each month's first day falls in, for the labels above the grid.
+ */
+export function layoutHeatmapWeeks(days, weekStart = 0) {
+  const columns = [];
+  const monthStarts = [];
+  if (!days.length) return { columns, monthStarts };
+  const lead = (days[0].weekday - weekStart + 7) % 7;
+  const slots = [...Array(lead).fill(null), ...days];
+  while (slots.length % 7) slots.push(null);
+  for (let i = 0; i < slots.length; i += 7) columns.push(slots.slice(i, i + 7));
+  days.forEach((day, index) => {
+    if (day.date.endsWith("-01")) {
+      monthStarts.push({ month: day.month, column: Math.floor((lead + index) / 7) });
+    }
+  });
+  return { columns, monthStarts };
+}
+
+/**
+ * Cycle rows: each row runs SineDay 1–18, so `rows[r][d - 1]` is SineDay d.
+ * The first and last rows are padded with null where the year starts or ends
+ * mid-cycle. Without a birthdate there is no cycle and no rows.
+ */
+export function layoutHeatmapCycles(days) {
+  const rows = [];
+  if (!days.length || !days[0].actual) return rows;
+  let row = Array(days[0].actual - 1).fill(null);
+  for (const day of days) {
+    row.push(day);
+    if (row.length === CYCLE_LENGTH) {
+      rows.push(row);
+      row = [];
+    }
+  }
+  if (row.length) {
+    while (row.length < CYCLE_LENGTH) row.push(null);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/** Headline numbers for the year view. */
+export function summarizeHeatmapYear(days) {
+  const written = days.filter((day) => day.level > 0).length;
+  const felt = days.filter((day) => day.match);
+  const matches = felt.filter((day) => day.match === "match").length;
+  return {
+    written,
+    felt: felt.length,
+    matches,
+    matchRate: felt.length ? Math.round((matches / felt.length) * 100) : null,
+    tagged: days.filter((day) => day.tag).length,
+  };
+}
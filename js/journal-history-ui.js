@@ -1,9 +1,111 @@
 /**
- * Journal History UI — monthly calendar of actual SineDays and saved felt ducks.
+ * Journal History UI — monthly calendar of actual SineDays and saved felt ducks,
+ * plus full-text search across every entry (/api/journal-search) with filters
+ * for SineDays, energy, mood and tags, felt-vs-actual insights
+ * (/api/journal-insights) next to energy by SineDay (/api/journal-energy),
+ * a year-at-a-glance heatmap (see
+ * journal-heatmap.js), a printable book of the viewed year
+ * (/api/print-journal-book) and ZIP export / import of the whole journal
+ * (see journal-archive.js). With journal encryption on, export and import
+ * run through the unlocked vault (journal-vault.js) and word search cannot see
+ * inside encrypted entries. Shows one profile's journal at a time, the owner
+ * profile unless another is picked.
  */
 
 import { duckUrlFromSinedayNumber } from "./sineducks.js";
 import { calculateSineDayForYmd } from "./sineday-engine.js";
+import { getAccessToken as defaultGetAccessToken } from "./supabase-client.js";
+import { createZip, readZip } from "./zip.js";
+import {
+  buildJournalArchiveFiles,
+  imageExtensionForType,
+  planJournalImport,
+  readJournalImportFiles,
+  resolveJournalImportItem,
+} from "./journal-archive.js";
+import { buildJournalEnergyView, buildJournalInsightsView } from "./journal-insights-ui.js";
+import { buildJournalHeatmapView } from "./journal-heatmap-ui.js";
+import {
+  HEATMAP_LAYOUTS,
+  HEATMAP_MODES,
+  buildYearHeatmapDays,
+  summarizeHeatmapYear,
+} from "./journal-heatmap.js";
+import { JOURNAL_ENCRYPTED_IMAGE_TYPE } from "./journal-crypto.js";
+import { encryptedImageKeyId, getJournalVault } from "./journal-vault.js";
+import { normalizeJournalImages } from "./journal-images.js";
+import {
+  JOURNAL_ENERGY_LEVELS,
+  JOURNAL_MOODS,
+  JOURNAL_TAG_MAX_LENGTH,
+  countJournalTags,
+  energyLabel,
+  moodLabel,
+  normalizeEnergy,
+  normalizeMood,
+  normalizeTags,
+} from "./journal-signals.js";
+import { pickActiveProfile, ProfileSwitcher } from "./profile-switcher.js";
+
+const SEARCH_PAGE_SIZE = 20;
+const IMAGE_BUCKET = "journal-images";
+const ARCHIVE_PAGE_SIZE = 500;
+const PHOTO_STRIP_LIMIT = 30;
+const IMPORT_MAX_ARCHIVE_BYTES = 512 * 1024 * 1024;
+const MS_PER_DAY = 86400000;
+const HEATMAP_PREFS_KEY = "journal_heatmap_prefs";
+const HEATMAP_ENTRY_COLUMNS = "entry_date, felt_sineday, content, images, image_path, image_mime_type";
+const INSIGHT_RANGES = [
+  { value: "all", label: "All time", days: null },
+  { value: "365", label: "Last 12 months", days: 365 },
+  { value: "90", label: "Last 90 days", days: 90 },
+];
+const ARCHIVE_ENTRY_COLUMNS =
+  "entry_date, actual_sineday, felt_sineday, energy, mood, tags, content, images, image_path, image_mime_type, image_size, is_encrypted, created_at, updated_at";
+// Enough recent tagged days to cover the tags anyone still uses.
+const KNOWN_TAGS_ROWS = 1000;
+
+function emptySearchState() {
+  return {
+    active: false,
+    filters: { q: "", actual: "", felt: "", from: "", to: "", energy: "", mood: "", tag: "", hasImage: false },
+    results: [],
+    hasMore: false,
+    nextOffset: null,
+    loading: false,
+    error: "",
+  };
+}
+
+function emptyInsightsState() {
+  return { active: false, range: "all", data: null, energy: null, loading: false, error: "" };
+}
+
+function emptyHeatmapState(active = false) {
+  return { active, years: new Map(), loading: false, error: "" };
+}
+
+/** Color mode, layout and cycle overlay chosen for the year view, kept per browser. */
+function loadHeatmapPrefs() {
+  const prefs = { mode: "entries", layout: "weeks", showWave: true };
+  try {
+    const saved = JSON.parse(localStorage.getItem(HEATMAP_PREFS_KEY) || "{}");
+    if (HEATMAP_MODES.some((option) => option.value === saved.mode)) prefs.mode = saved.mode;
+    if (HEATMAP_LAYOUTS.some((option) => option.value === saved.layout)) prefs.layout = saved.layout;
+    if (typeof saved.showWave === "boolean") prefs.showWave = saved.showWave;
+  } catch { /* ignore */ }
+  return prefs;
+}
+
+function saveHeatmapPrefs(prefs) {
+  try {
+    localStorage.setItem(HEATMAP_PREFS_KEY, JSON.stringify(prefs));
+  } catch { /* ignore */ }
+}
+
+function emptyArchiveState() {
+  return { busy: false, status: "", isError: false, plan: null, resolutions: new Map(), skipped: [] };
+}
 
 function pad2(n) {
   return String(n).padStart(2, "0");
@@ -37,7 +139,9 @@ function entryHasJournalSignal(entry) {
   if (!entry) return false;
   if ((entry.content || "").trim()) return true;
   if (entry.felt_sineday != null) return true;
-  if (entry.image_path) return true;
+  if (normalizeEnergy(entry.energy) != null || normalizeMood(entry.mood)) return true;
+  if (normalizeTags(entry.tags).length) return true;
+  if (normalizeJournalImages(entry).length) return true;
   return false;
 }
 
@@ -47,18 +151,66 @@ function el(tag, className) {
   return node;
 }
 
+function previewText(content, max = 140) {
+  const text = String(content || "").replace(/\s+/g, " ").trim();
+  if (!text) return "No written reflection.";
+  return text.length > max ? `${text.slice(0, max).trimEnd()}…` : text;
+}
+
+function profileFileSlug(name) {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = el("a", "");
+  link.href = url;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 export class JournalHistoryUI {
   constructor(mountEl, opts = {}) {
     this.mountEl = mountEl;
     this.locale = opts.locale || "en-US";
     this.weekStart = opts.weekStart ?? 0;
+    this.profiles = Array.isArray(opts.profiles) ? opts.profiles : [];
     this.ownerProfile = opts.ownerProfile || null;
+    this.profile = pickActiveProfile(this.profiles, this.ownerProfile);
     this.supabaseClient = opts.supabaseClient || null;
     this.userId = opts.userId || null;
     this.onSelectDate = typeof opts.onSelectDate === "function" ? opts.onSelectDate : null;
+    this.onImported = typeof opts.onImported === "function" ? opts.onImported : null;
+    this.getAccessToken = opts.getAccessToken || defaultGetAccessToken;
+    this.search = emptySearchState();
+    this._searchGen = 0;
+    // Tag counts per profile for the tag filter's suggestions.
+    this.knownTags = new Map();
+    this.archive = emptyArchiveState();
+    this.insights = emptyInsightsState();
+    this._insightsGen = 0;
+    this.heatmap = emptyHeatmapState();
+    this.heatmapPrefs = loadHeatmapPrefs();
+    this._heatmapGen = 0;
+    this.vault =
+      opts.vault || (this.supabaseClient ? getJournalVault(this.supabaseClient, this.userId) : null);
+    this._unsubscribeVault =
+      this.vault?.subscribe(({ type }) => {
+        if (type !== "status" && type !== "rewritten") return;
+        this.entriesCache.clear();
+        this.render();
+      }) || null;
 
-    const anchor = this.ownerProfile
-      ? monthAnchorFromYmd(todayYmdForTimeZone(this.ownerProfile.timezone))
+    const anchor = this.profile
+      ? monthAnchorFromYmd(todayYmdForTimeZone(this.profile.timezone))
       : null;
     const now = new Date();
     this.year = anchor?.year ?? now.getFullYear();
@@ -66,20 +218,54 @@ export class JournalHistoryUI {
     this.entriesCache = new Map();
     this._renderGen = 0;
     this._loading = false;
+    this._stripUrls = [];
+    this.profileSwitcher = new ProfileSwitcher({
+      id: "journal-history-profile",
+      onChange: (profileId) => this.setProfile(profileId),
+    });
   }
 
   destroy() {
     this._renderGen++;
+    this._searchGen++;
+    this._insightsGen++;
+    this._heatmapGen++;
+    this._unsubscribeVault?.();
+    this._unsubscribeVault = null;
+    this._revokeStripUrls();
     this.mountEl.innerHTML = "";
     this.entriesCache.clear();
   }
 
+  /** The account's profiles; history stays on the same profile if it still exists. */
+  setProfiles(profiles, ownerProfile = this.ownerProfile) {
+    this.profiles = Array.isArray(profiles) ? profiles : [];
+    this.ownerProfile = ownerProfile || null;
+    this._showProfile(pickActiveProfile(this.profiles, this.ownerProfile, this.profile?.id));
+  }
+
   setOwnerProfile(profile) {
-    const previousId = this.ownerProfile?.id || null;
+    this.setProfiles(this.profiles, profile);
+  }
+
+  setProfile(profileId) {
+    if (this.archive.busy) return;
+    this._showProfile(pickActiveProfile(this.profiles, this.ownerProfile, profileId));
+  }
+
+  _showProfile(profile) {
+    const previousId = this.profile?.id || null;
     const nextId = profile?.id || null;
-    this.ownerProfile = profile || null;
+    this.profile = profile || null;
     if (nextId !== previousId) {
       this.entriesCache.clear();
+      this._searchGen++;
+      this.search = emptySearchState();
+      this.archive = emptyArchiveState();
+      this._insightsGen++;
+      this.insights = emptyInsightsState();
+      this._heatmapGen++;
+      this.heatmap = emptyHeatmapState(this.heatmap.active);
       const anchor = profile
         ? monthAnchorFromYmd(todayYmdForTimeZone(profile.timezone))
         : null;
@@ -87,6 +273,7 @@ export class JournalHistoryUI {
         this.year = anchor.year;
         this.month = anchor.month;
       }
+      if (this.heatmap.active && profile) return this._fetchHeatmapYear();
     }
     this.render();
   }
@@ -111,8 +298,8 @@ export class JournalHistoryUI {
   }
 
   jumpToCurrentMonth() {
-    if (!this.ownerProfile) return;
-    const anchor = monthAnchorFromYmd(todayYmdForTimeZone(this.ownerProfile.timezone));
+    if (!this.profile) return;
+    const anchor = monthAnchorFromYmd(todayYmdForTimeZone(this.profile.timezone));
     if (!anchor) return;
     this.year = anchor.year;
     this.month = anchor.month;
@@ -121,6 +308,11 @@ export class JournalHistoryUI {
 
   refreshVisibleMonth() {
     this.entriesCache.clear();
+    this.knownTags.clear();
+    this.heatmap.years.clear();
+    if (this.heatmap.active) return this._fetchHeatmapYear();
+    if (this.insights.active) return this._fetchInsights();
+    this.insights.data = null;
     return this.render();
   }
 
@@ -133,23 +325,48 @@ export class JournalHistoryUI {
   }
 
   isViewingCurrentMonth() {
-    if (!this.ownerProfile) return true;
-    const anchor = monthAnchorFromYmd(todayYmdForTimeZone(this.ownerProfile.timezone));
+    if (!this.profile) return true;
+    const anchor = monthAnchorFromYmd(todayYmdForTimeZone(this.profile.timezone));
     if (!anchor) return true;
     return this.year === anchor.year && this.month === anchor.month;
   }
 
   async render() {
     const gen = ++this._renderGen;
+    this._revokeStripUrls();
     this.mountEl.innerHTML = "";
 
-    if (!this.ownerProfile) {
+    if (!this.profile) {
       const empty = el("div", "journal-history__empty");
       empty.textContent = "Create your owner profile to see journal history.";
       this.mountEl.append(empty);
       return;
     }
 
+    if (this.archive.plan) {
+      const root = el("div", "journal-history journal-history--importing");
+      root.append(this._buildImportPreview());
+      this.mountEl.append(root);
+      return;
+    }
+
+    if (this.insights.active) {
+      this.mountEl.append(this._buildInsightsScreen());
+      return;
+    }
+
+    if (this.heatmap.active) {
+      this.mountEl.append(this._buildHeatmapScreen());
+      return;
+    }
+
+    if (this.search.active) {
+      const root = el("div", "journal-history journal-history--searching");
+      root.append(this._buildSearchForm(), this._buildSearchResults());
+      this.mountEl.append(root);
+      return;
+    }
+
     const loading = el("div", "journal-history__loading");
     loading.setAttribute("role", "status");
     loading.setAttribute("aria-live", "polite");
@@ -168,7 +385,7 @@ export class JournalHistoryUI {
     const startYmd = ymdFromUTCDate(firstDay);
     const endYmd = ymdFromUTCDate(new Date(Date.UTC(this.year, this.month, daysInMonth, 12)));
 
-    const loadedEntries = await this._loadEntries(this.ownerProfile.id, startYmd, endYmd);
+    const loadedEntries = await this._loadEntries(this.profile.id, startYmd, endYmd);
     if (gen !== this._renderGen) return;
 
     this.mountEl.innerHTML = "";
@@ -212,7 +429,8 @@ export class JournalHistoryUI {
     nextMonth.addEventListener("click", () => this.navigateMonth(1));
     headerActions.append(previousMonth, nextMonth);
     header.append(headerCopy, headerActions);
-    root.append(header);
+    this.profileSwitcher.setProfiles(this.profiles, this.profile.id);
+    root.append(this.profileSwitcher.root, header, this._buildSearchForm(), this._buildArchiveActions());
 
     if (!this.isViewingCurrentMonth()) {
       const currentMonth = el("button", "history-current-month");
@@ -226,7 +444,7 @@ export class JournalHistoryUI {
     const entries = Array.from(this.entriesCache.values());
     const rememberedCount = entries.filter(entryHasJournalSignal).length;
     const feltCount = entries.filter((entry) => entry?.felt_sineday != null).length;
-    const photoCount = entries.filter((entry) => !!entry?.image_path).length;
+    const photoCount = entries.reduce((sum, entry) => sum + normalizeJournalImages(entry).length, 0);
     const summary = el("section", "history-memory-summary");
     summary.setAttribute("aria-label", "Your month at a glance");
     const summaryIntro = el("div", "history-memory-summary__intro");
@@ -242,6 +460,8 @@ export class JournalHistoryUI {
     `;
     summary.append(summaryIntro, summaryDetails);
     root.append(summary);
+    const photoStrip = this._buildPhotoStrip(entries, gen);
+    if (photoStrip) root.append(photoStrip);
 
     const legend = el("div", "history-legend");
     legend.setAttribute("aria-label", "Calendar legend");
@@ -288,12 +508,12 @@ export class JournalHistoryUI {
       appendCell(emptyCell);
     }
 
-    const profileToday = todayYmdForTimeZone(this.ownerProfile.timezone);
+    const profileToday = todayYmdForTimeZone(this.profile.timezone);
 
     for (let day = 1; day <= daysInMonth; day++) {
       const dateYmd = ymdFromUTCDate(new Date(Date.UTC(this.year, this.month, day, 12)));
       const entry = this.entriesCache.get(dateYmd);
-      const actual = calculateSineDayForYmd(this.ownerProfile.birthdate, dateYmd);
+      const actual = calculateSineDayForYmd(this.profile.birthdate, dateYmd);
       const hasSignal = entryHasJournalSignal(entry);
       const isToday = dateYmd === profileToday;
 
@@ -359,7 +579,7 @@ export class JournalHistoryUI {
         cell.append(felt);
       }
 
-      cell.addEventListener("click", () => this.onSelectDate?.(dateYmd));
+      cell.addEventListener("click", () => this.onSelectDate?.(dateYmd, this.profile.id));
       appendCell(cell);
     }
 
@@ -388,13 +608,1238 @@ export class JournalHistoryUI {
     });
   }
 
+  _revokeStripUrls() {
+    for (const url of this._stripUrls) URL.revokeObjectURL(url);
+    this._stripUrls = [];
+  }
+
+  /** "Photos this month": every gallery photo in date order; each opens its day. */
+  _buildPhotoStrip(entries, gen) {
+    const photos = entries
+      .filter(Boolean)
+      .sort((a, b) => a.entry_date.localeCompare(b.entry_date))
+      .flatMap((entry) => normalizeJournalImages(entry).map((image) => ({ date: entry.entry_date, image })));
+    if (!photos.length) return null;
+
+    const section = el("section", "history-photo-strip");
+    section.setAttribute("aria-labelledby", "history-photo-strip-title");
+    const heading = el("h3", "history-photo-strip__title");
+    heading.id = "history-photo-strip-title";
+    heading.textContent = "Photos this month";
+    const list = el("ol", "history-photo-strip__list");
+    const shown = photos.slice(0, PHOTO_STRIP_LIMIT);
+    const thumbs = [];
+    for (const { date, image } of shown) {
+      const item = el("li", "history-photo-strip__item");
+      const button = el("button", "history-photo-strip__thumb");
+      button.type = "button";
+      const dateLabel = new Intl.DateTimeFormat(this.locale, {
+        month: "long",
+        day: "numeric",
+        timeZone: "UTC",
+      }).format(new Date(`${date}T12:00:00Z`));
+      button.setAttribute("aria-label", `Open journal for ${dateLabel}`);
+      button.addEventListener("click", () => this.onSelectDate?.(date, this.profile.id));
+      item.append(button);
+      list.append(item);
+      thumbs.push({ button, image });
+    }
+    section.append(heading, list);
+    if (photos.length > shown.length) {
+      const more = el("p", "history-photo-strip__more");
+      more.textContent = `+${photos.length - shown.length} more`;
+      section.append(more);
+    }
+    this._fillPhotoStrip(thumbs, gen);
+    return section;
+  }
+
+  async _fillPhotoStrip(thumbs, gen) {
+    const urls = new Map();
+    const plain = thumbs.filter(({ image }) => !encryptedImageKeyId(image.path)).map(({ image }) => image.path);
+    try {
+      if (plain.length) {
+        const { data, error } = await this.supabaseClient.storage
+          .from(IMAGE_BUCKET)
+          .createSignedUrls(plain, 60 * 15);
+        if (error) throw error;
+        for (const item of data || []) {
+          if (item?.signedUrl) urls.set(item.path, item.signedUrl);
+        }
+      }
+      for (const { image } of thumbs) {
+        if (!encryptedImageKeyId(image.path) || !this.vault?.unlocked) continue;
+        if (gen !== this._renderGen) return;
+        // Sealed photos are decrypted here; a signed URL would serve ciphertext.
+        const bytes = await this.vault.downloadImage(image.path).catch(() => null);
+        if (!bytes) continue;
+        const url = URL.createObjectURL(new Blob([bytes], { type: image.mime_type || "image/jpeg" }));
+        this._stripUrls.push(url);
+        urls.set(image.path, url);
+      }
+    } catch (err) {
+      console.error("[JournalHistory] Load photo strip failed:", err);
+    }
+    if (gen !== this._renderGen) return;
+    for (const { button, image } of thumbs) {
+      const url = urls.get(image.path);
+      if (!url) {
+        button.classList.add("is-unavailable");
+        continue;
+      }
+      const img = document.createElement("img");
+      img.src = url;
+      img.alt = "";
+      img.loading = "lazy";
+      img.decoding = "async";
+      button.append(img);
+    }
+  }
+
+  _buildSearchForm() {
+    const { filters } = this.search;
+    const form = el("form", "journal-search");
+    form.setAttribute("role", "search");
+    form.setAttribute("aria-label", "Search journal entries");
+
+    const bar = el("div", "journal-search__bar");
+    const input = el("input", "journal-search__input");
+    input.type = "search";
+    input.name = "q";
+    input.value = filters.q;
+    input.maxLength = 200;
+    input.placeholder = "Search your journal";
+    input.setAttribute("aria-label", "Search words");
+    const submit = el("button", "feature-floating-action journal-search__submit");
+    submit.type = "submit";
+    submit.textContent = "Search";
+    bar.append(input, submit);
+
+    const details = el("details", "journal-search__filters");
+    details.open = !!(
+      filters.actual ||
+      filters.felt ||
+      filters.from ||
+      filters.to ||
+      filters.energy ||
+      filters.mood ||
+      filters.tag ||
+      filters.hasImage
+    );
+    const summary = el("summary", "");
+    summary.textContent = "Filters";
+    const fields = el("div", "journal-search__fields");
+
+    const sinedaySelect = (name, labelText) => {
+      const label = el("label", "journal-search__field");
+      const text = el("span", "");
+      text.textContent = labelText;
+      const select = el("select", "");
+      select.name = name;
+      const any = el("option", "");
+      any.value = "";
+      any.textContent = "Any";
+      select.append(any);
+      for (let day = 1; day <= 18; day++) {
+        const option = el("option", "");
+        option.value = String(day);
+        option.textContent = `Day ${day}`;
+        select.append(option);
+      }
+      select.value = filters[name];
+      label.append(text, select);
+      return label;
+    };
+
+    const dateInput = (name, labelText) => {
+      const label = el("label", "journal-search__field");
+      const text = el("span", "");
+      text.textContent = labelText;
+      const inputEl = el("input", "");
+      inputEl.type = "date";
+      inputEl.name = name;
+      inputEl.value = filters[name];
+      label.append(text, inputEl);
+      return label;
+    };
+
+    const optionSelect = (name, labelText, options) => {
+      const label = el("label", "journal-search__field");
+      const text = el("span", "");
+      text.textContent = labelText;
+      const select = el("select", "");
+      select.name = name;
+      for (const { value, label: optionLabel } of [{ value: "", label: "Any" }, ...options]) {
+        const option = el("option", "");
+        option.value = String(value);
+        option.textContent = optionLabel;
+        select.append(option);
+      }
+      select.value = filters[name];
+      label.append(text, select);
+      return label;
+    };
+
+    const tagLabel = el("label", "journal-search__field");
+    const tagText = el("span", "");
+    tagText.textContent = "Tag";
+    const tagInput = el("input", "");
+    tagInput.type = "text";
+    tagInput.name = "tag";
+    tagInput.value = filters.tag;
+    tagInput.maxLength = JOURNAL_TAG_MAX_LENGTH;
+    tagInput.autocomplete = "off";
+    tagInput.setAttribute("list", "journal-search-tags");
+    const tagList = el("datalist", "");
+    tagList.id = "journal-search-tags";
+    tagLabel.append(tagText, tagInput, tagList);
+    if (this.profile) {
+      this._loadKnownTags(this.profile.id).then((known) => {
+        for (const { tag } of known) {
+          const option = el("option", "");
+          option.value = tag;
+          tagList.append(option);
+        }
+      });
+    }
+
+    const imageLabel = el("label", "journal-search__field journal-search__field--check");
+    const imageCheck = el("input", "");
+    imageCheck.type = "checkbox";
+    imageCheck.name = "hasImage";
+    imageCheck.checked = !!filters.hasImage;
+    const imageText = el("span", "");
+    imageText.textContent = "Has a photo";
+    imageLabel.append(imageCheck, imageText);
+
+    fields.append(
+      sinedaySelect("actual", "Actual SineDay"),
+      sinedaySelect("felt", "Felt SineDay"),
+      dateInput("from", "From"),
+      dateInput("to", "To"),
+      optionSelect(
+        "energy",
+        "Energy",
+        JOURNAL_ENERGY_LEVELS.map(({ value, label }) => ({ value, label: `${value} · ${label}` }))
+      ),
+      optionSelect("mood", "Mood", JOURNAL_MOODS),
+      tagLabel,
+      imageLabel
+    );
+    details.append(summary, fields);
+    form.append(bar);
+    if (this.vault?.enabled) {
+      const notice = el("p", "journal-search__notice");
+      notice.textContent =
+        "Your journal is encrypted, so word search can’t look inside entries. Filters still find encrypted days.";
+      form.append(notice);
+    }
+    form.append(details);
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const data = new FormData(form);
+      this.runSearch({
+        q: String(data.get("q") || "").trim(),
+        actual: String(data.get("actual") || ""),
+        felt: String(data.get("felt") || ""),
+        from: String(data.get("from") || ""),
+        to: String(data.get("to") || ""),
+        energy: String(data.get("energy") || ""),
+        mood: String(data.get("mood") || ""),
+        tag: normalizeTags([String(data.get("tag") || "")])[0] || "",
+        hasImage: data.get("hasImage") === "on",
+      });
+    });
+    return form;
+  }
+
+  _buildSearchResults() {
+    const { results, hasMore, loading, error } = this.search;
+    const section = el("section", "journal-search-results");
+    section.setAttribute("aria-label", "Journal search results");
+
+    const header = el("div", "journal-search-results__header");
+    const status = el("p", "journal-search-results__status");
+    status.setAttribute("role", "status");
+    status.setAttribute("aria-live", "polite");
+    if (loading && !results.length) status.textContent = "Searching your journal…";
+    else if (error) status.textContent = error;
+    else if (!results.length) status.textContent = "No entries match yet.";
+    else status.textContent = `${results.length}${hasMore ? "+" : ""} ${results.length === 1 ? "entry" : "entries"} found`;
+    const clear = el("button", "history-current-month journal-search-results__clear");
+    clear.type = "button";
+    clear.textContent = "Back to calendar";
+    clear.addEventListener("click", () => this.clearSearch());
+    header.append(status, clear);
+    section.append(header);
+
+    if (results.length) {
+      const list = el("ol", "journal-search-results__list");
+      for (const result of results) {
+        const item = el("li", "");
+        const button = el("button", "journal-search-result");
+        button.type = "button";
+        button.dataset.date = result.entryDate;
+
+        const date = el("span", "journal-search-result__date");
+        date.textContent = new Intl.DateTimeFormat(this.locale, {
+          weekday: "short",
+          month: "long",
+          day: "numeric",
+          year: "numeric",
+          timeZone: "UTC",
+        }).format(new Date(`${result.entryDate}T12:00:00Z`));
+
+        const meta = el("span", "journal-search-result__meta");
+        meta.textContent = [
+          result.actualSineday ? `Actual Day ${result.actualSineday}` : "",
+          result.feltSineday ? `Felt Day ${result.feltSineday}` : "",
+          result.energy ? `Energy ${result.energy} · ${energyLabel(result.energy)}` : "",
+          moodLabel(result.mood) || "",
+          (result.tags || []).map((tag) => `#${tag}`).join(" "),
+          result.hasImage ? "Photo" : "",
+        ].filter(Boolean).join(" · ");
+
+        const snippet = el("span", "journal-search-result__snippet");
+        this._appendHighlightedText(snippet, result.snippet);
+        if (result.encrypted) snippet.textContent = "Encrypted entry";
+        else if (!result.snippet?.text) snippet.textContent = "No written reflection.";
+
+        button.append(date, meta, snippet);
+        button.addEventListener("click", () => this.onSelectDate?.(result.entryDate, this.profile.id));
+        item.append(button);
+        list.append(item);
+      }
+      section.append(list);
+    }
+
+    if (hasMore) {
+      const more = el("button", "feature-floating-action feature-floating-action--secondary journal-search-results__more");
+      more.type = "button";
+      more.textContent = loading ? "Loading…" : "Show more";
+      more.disabled = loading;
+      more.addEventListener("click", () => this.loadMoreResults());
+      section.append(more);
+    }
+    return section;
+  }
+
+  _appendHighlightedText(target, snippet) {
+    const text = snippet?.text || "";
+    let cursor = 0;
+    for (const { start, end } of snippet?.highlights || []) {
+      if (start < cursor || end > text.length) continue;
+      if (start > cursor) target.append(document.createTextNode(text.slice(cursor, start)));
+      const mark = el("mark", "");
+      mark.textContent = text.slice(start, end);
+      target.append(mark);
+      cursor = end;
+    }
+    if (cursor < text.length) target.append(document.createTextNode(text.slice(cursor)));
+  }
+
+  async runSearch(filters) {
+    const hasQuery =
+      filters.q ||
+      filters.actual ||
+      filters.felt ||
+      filters.from ||
+      filters.to ||
+      filters.energy ||
+      filters.mood ||
+      filters.tag ||
+      filters.hasImage;
+    if (!hasQuery) {
+      this.clearSearch();
+      return;
+    }
+    this.search = { ...emptySearchState(), active: true, filters, loading: true };
+    this.render();
+    await this._fetchSearchPage(0);
+  }
+
+  async loadMoreResults() {
+    if (this.search.loading || !this.search.hasMore) return;
+    this.search.loading = true;
+    this.render();
+    await this._fetchSearchPage(this.search.nextOffset);
+  }
+
+  clearSearch() {
+    this._searchGen++;
+    this.search = emptySearchState();
+    return this.render();
+  }
+
+  async _fetchSearchPage(offset) {
+    const gen = ++this._searchGen;
+    const { filters } = this.search;
+    const params = new URLSearchParams({ limit: String(SEARCH_PAGE_SIZE), offset: String(offset || 0) });
+    if (filters.q) params.set("q", filters.q);
+    if (filters.actual) params.set("actual", filters.actual);
+    if (filters.felt) params.set("felt", filters.felt);
+    if (filters.from) params.set("from", filters.from);
+    if (filters.to) params.set("to", filters.to);
+    if (filters.energy) params.set("energy", filters.energy);
+    if (filters.mood) params.set("mood", filters.mood);
+    if (filters.tag) params.set("tag", filters.tag);
+    if (filters.hasImage) params.set("hasImage", "true");
+    if (this.profile) params.set("profileId", this.profile.id);
+
+    try {
+      const accessToken = await this.getAccessToken();
+      const response = await fetch(`/api/journal-search?${params}`, {
+        cache: "no-store",
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      const data = await response.json();
+      if (!response.ok || !data.ok) throw new Error(data?.error || "Search failed");
+      if (gen !== this._searchGen) return;
+
+      this.search.results = offset ? [...this.search.results, ...data.results] : data.results;
+      this.search.hasMore = !!data.hasMore;
+      this.search.nextOffset = data.nextOffset;
+      this.search.error = "";
+    } catch (err) {
+      if (gen !== this._searchGen) return;
+      console.error("[JournalHistory] Search failed:", err);
+      this.search.error = "Search is unavailable right now. Try again in a moment.";
+    }
+    this.search.loading = false;
+    this.render();
+  }
+
+  _buildInsightsScreen() {
+    const { data, energy, loading, error, range } = this.insights;
+    const root = el("div", "journal-history journal-history--insights");
+
+    const header = el("header", "history-month-header");
+    const headerCopy = el("div", "history-month-header__copy");
+    const eyebrow = el("p", "feature-hero__eyebrow");
+    eyebrow.textContent = "Journal Insights";
+    const title = el("h2", "history-month-header__title");
+    title.textContent = "Felt vs. actual";
+    headerCopy.append(eyebrow, title);
+    const back = el("button", "history-current-month");
+    back.type = "button";
+    back.textContent = "Back to calendar";
+    back.addEventListener("click", () => this.hideInsights());
+    header.append(headerCopy, back);
+
+    const rangeLabel = el("label", "journal-search__field journal-insights__range");
+    const rangeText = el("span", "");
+    rangeText.textContent = "Period";
+    const select = el("select", "");
+    for (const option of INSIGHT_RANGES) {
+      const optionEl = el("option", "");
+      optionEl.value = option.value;
+      optionEl.textContent = option.label;
+      select.append(optionEl);
+    }
+    select.value = range;
+    select.addEventListener("change", () => {
+      this.insights.range = select.value;
+      this._fetchInsights();
+    });
+    rangeLabel.append(rangeText, select);
+    root.append(header, rangeLabel);
+
+    const status = el("p", "journal-insights__status");
+    status.setAttribute("role", "status");
+    status.setAttribute("aria-live", "polite");
+    if (loading) status.textContent = "Comparing how your days felt…";
+    else if (error) status.textContent = error;
+    root.append(status);
+
+    if (data && !loading) root.append(buildJournalInsightsView(data, { locale: this.locale }));
+    if (energy && !loading) root.append(buildJournalEnergyView(energy));
+    return root;
+  }
+
+  showInsights() {
+    this.insights.active = true;
+    if (this.insights.data) return this.render();
+    return this._fetchInsights();
+  }
+
+  hideInsights() {
+    this._insightsGen++;
+    this.insights.active = false;
+    this.insights.loading = false;
+    return this.render();
+  }
+
+  async _fetchInsights() {
+    const gen = ++this._insightsGen;
+    this.insights.loading = true;
+    this.insights.error = "";
+    this.render();
+
+    const params = new URLSearchParams();
+    const days = INSIGHT_RANGES.find((option) => option.value === this.insights.range)?.days;
+    if (days) {
+      const today = todayYmdForTimeZone(this.profile?.timezone);
+      const [year, month, day] = today.split("-").map(Number);
+      const from = new Date(Date.UTC(year, month - 1, day, 12) - (days - 1) * MS_PER_DAY);
+      params.set("from", ymdFromUTCDate(from));
+      params.set("to", today);
+    }
+    if (this.profile) params.set("profileId", this.profile.id);
+
+    try {
+      const accessToken = await this.getAccessToken();
+      const query = params.toString();
+      const get = (path) =>
+        fetch(`${path}${query ? `?${query}` : ""}`, {
+          cache: "no-store",
+          headers: { Authorization: `Bearer ${accessToken}` },
+        }).then(async (response) => {
+          const data = await response.json();
+          if (!response.ok || !data.ok) throw new Error(data?.error || "Insights failed");
+          return data;
+        });
+      // Energy is a side panel: insights still show when it fails.
+      const [data, energy] = await Promise.all([
+        get("/api/journal-insights"),
+        get("/api/journal-energy").catch((err) => {
+          console.error("[JournalHistory] Energy failed:", err);
+          return null;
+        }),
+      ]);
+      if (gen !== this._insightsGen) return;
+      this.insights.data = data.insights;
+      this.insights.energy = energy?.energy || null;
+    } catch (err) {
+      if (gen !== this._insightsGen) return;
+      console.error("[JournalHistory] Insights failed:", err);
+      this.insights.error = "Insights are unavailable right now. Try again in a moment.";
+    }
+    this.insights.loading = false;
+    if (this.insights.active) this.render();
+  }
+
+  _buildHeatmapScreen() {
+    const { loading, error } = this.heatmap;
+    const data = this.heatmap.years.get(this.year);
+    const { mode, layout, showWave } = this.heatmapPrefs;
+    const root = el("div", "journal-history journal-history--year");
+
+    const header = el("header", "history-month-header");
+    const headerCopy = el("div", "history-month-header__copy");
+    const eyebrow = el("p", "feature-hero__eyebrow");
+    eyebrow.textContent = "Journal Year";
+    const title = el("h2", "history-month-header__title");
+    title.textContent = String(this.year);
+    headerCopy.append(eyebrow, title);
+    const headerActions = el("div", "history-month-header__actions");
+    const previousYear = el("button", "feature-icon-button history-month-header__nav");
+    previousYear.type = "button";
+    previousYear.innerHTML = '<span aria-hidden="true">‹</span>';
+    previousYear.setAttribute("aria-label", "Previous year");
+    previousYear.addEventListener("click", () => this.navigateYear(-1));
+    const nextYear = el("button", "feature-icon-button history-month-header__nav");
+    nextYear.type = "button";
+    nextYear.innerHTML = '<span aria-hidden="true">›</span>';
+    nextYear.setAttribute("aria-label", "Next year");
+    nextYear.addEventListener("click", () => this.navigateYear(1));
+    headerActions.append(previousYear, nextYear);
+    header.append(headerCopy, headerActions);
+
+    const back = el("button", "history-current-month");
+    back.type = "button";
+    back.textContent = "Back to month";
+    back.addEventListener("click", () => this.hideHeatmap());
+
+    const controls = el("div", "journal-heatmap__controls");
+    const choice = (labelText, options, value, key) => {
+      const label = el("label", "journal-search__field");
+      const text = el("span", "");
+      text.textContent = labelText;
+      const select = el("select", "");
+      for (const option of options) {
+        const optionEl = el("option", "");
+        optionEl.value = option.value;
+        optionEl.textContent = option.label;
+        select.append(optionEl);
+      }
+      select.value = value;
+      select.addEventListener("change", () => this._setHeatmapPrefs({ [key]: select.value }));
+      label.append(text, select);
+      return label;
+    };
+    const waveLabel = el("label", "journal-search__field journal-search__field--check");
+    const waveCheck = el("input", "");
+    waveCheck.type = "checkbox";
+    waveCheck.checked = showWave;
+    waveCheck.addEventListener("change", () => this._setHeatmapPrefs({ showWave: waveCheck.checked }));
+    const waveText = el("span", "");
+    waveText.textContent = "Show the 18-day wave";
+    waveLabel.append(waveCheck, waveText);
+    controls.append(
+      choice("Color by", HEATMAP_MODES, mode, "mode"),
+      choice("Arrange by", HEATMAP_LAYOUTS, layout, "layout"),
+      waveLabel
+    );
+
+    this.profileSwitcher.setProfiles(this.profiles, this.profile.id);
+    root.append(this.profileSwitcher.root, header, back, controls);
+
+    const status = el("p", "journal-insights__status");
+    status.setAttribute("role", "status");
+    status.setAttribute("aria-live", "polite");
+    if (loading) status.textContent = `Gathering ${this.year}…`;
+    else if (error) status.textContent = error;
+    root.append(status);
+    if (!data || loading) return root;
+
+    const days = buildYearHeatmapDays({
+      year: this.year,
+      birthdate: this.profile.birthdate,
+      entries: data.entries,
+      tags: data.tags || new Map(),
+      today: todayYmdForTimeZone(this.profile.timezone),
+    });
+    const totals = summarizeHeatmapYear(days);
+    const summary = el("section", "history-memory-summary");
+    summary.setAttribute("aria-label", "Your year at a glance");
+    const summaryIntro = el("div", "history-memory-summary__intro");
+    const summaryEyebrow = el("span", "");
+    summaryEyebrow.textContent = "Your year at a glance";
+    const summaryLead = el("strong", "");
+    summaryLead.textContent = `${totals.written} ${totals.written === 1 ? "day" : "days"} remembered`;
+    summaryIntro.append(summaryEyebrow, summaryLead);
+    const summaryDetails = el("div", "history-memory-summary__details");
+    summaryDetails.innerHTML = `
+      <span><strong>${totals.matchRate ?? "—"}${totals.matchRate == null ? "" : "%"}</strong> felt like the wave</span>
+      <span><strong>${totals.tagged}</strong> tagged ${totals.tagged === 1 ? "day" : "days"}</span>
+    `;
+    if (data.tags == null) summaryDetails.lastElementChild.remove();
+    summary.append(summaryIntro, summaryDetails);
+
+    root.append(
+      summary,
+      buildJournalHeatmapView(days, {
+        year: this.year,
+        mode,
+        layout,
+        showWave,
+        locale: this.locale,
+        weekStart: this.weekStart,
+        onSelectDate: (dateYmd) => this.onSelectDate?.(dateYmd, this.profile.id),
+        onSelectMonth: (monthIndex) => {
+          this.month = monthIndex;
+          this.hideHeatmap();
+        },
+      })
+    );
+    return root;
+  }
+
+  showHeatmap() {
+    this.heatmap.active = true;
+    return this._fetchHeatmapYear();
+  }
+
+  hideHeatmap() {
+    this._heatmapGen++;
+    this.heatmap.active = false;
+    this.heatmap.loading = false;
+    return this.render();
+  }
+
+  navigateYear(delta) {
+    this.year += delta;
+    return this._fetchHeatmapYear();
+  }
+
+  _setHeatmapPrefs(changes) {
+    this.heatmapPrefs = { ...this.heatmapPrefs, ...changes };
+    saveHeatmapPrefs(this.heatmapPrefs);
+    return this._fetchHeatmapYear();
+  }
+
+  /** Loads the viewed year once per profile (tags only when coloring by them), then renders. */
+  async _fetchHeatmapYear() {
+    const gen = ++this._heatmapGen;
+    const { year } = this;
+    const profileId = this.profile?.id;
+    const cached = this.heatmap.years.get(year);
+    const needsTags = this.heatmapPrefs.mode === "tags" && !cached?.tags;
+    if (!profileId || (cached && !needsTags)) {
+      this.heatmap.loading = false;
+      return this.render();
+    }
+
+    this.heatmap.loading = true;
+    this.heatmap.error = "";
+    this.render();
+
+    const startYmd = `${year}-01-01`;
+    const endYmd = `${year}-12-31`;
+    try {
+      const [entries, tags] = await Promise.all([
+        cached?.entries || this._loadHeatmapEntries(profileId, startYmd, endYmd),
+        needsTags ? this._loadHeatmapTags(profileId, startYmd, endYmd) : null,
+      ]);
+      if (gen !== this._heatmapGen) return;
+      this.heatmap.years.set(year, { entries, tags });
+    } catch (err) {
+      if (gen !== this._heatmapGen) return;
+      console.error("[JournalHistory] Year heatmap failed:", err);
+      this.heatmap.error = "This year could not be gathered. Try again in a moment.";
+    }
+    this.heatmap.loading = false;
+    if (this.heatmap.active) this.render();
+  }
+
+  _buildArchiveActions() {
+    const wrap = el("div", "journal-archive-actions");
+    const buttons = el("div", "journal-archive-actions__buttons");
+
+    const yearButton = el("button", "history-current-month");
+    yearButton.type = "button";
+    yearButton.textContent = "Year view";
+    yearButton.setAttribute("aria-label", `Show ${this.year} at a glance`);
+    yearButton.addEventListener("click", () => this.showHeatmap());
+
+    const insightsButton = el("button", "history-current-month");
+    insightsButton.type = "button";
+    insightsButton.textContent = "Insights";
+    insightsButton.setAttribute("aria-label", "Show felt versus actual insights");
+    insightsButton.addEventListener("click", () => this.showInsights());
+
+    const exportButton = el("button", "history-current-month");
+    exportButton.type = "button";
+    exportButton.textContent = "Export journal";
+    exportButton.disabled = this.archive.busy;
+    exportButton.addEventListener("click", () => this.exportJournal());
+
+    const fileInput = el("input", "");
+    fileInput.type = "file";
+    fileInput.accept = ".zip,.md,.markdown,.txt,application/zip";
+    fileInput.multiple = true;
+    fileInput.hidden = true;
+    const folderInput = el("input", "");
+    folderInput.type = "file";
+    folderInput.webkitdirectory = true;
+    folderInput.hidden = true;
+    for (const input of [fileInput, folderInput]) {
+      input.addEventListener("change", () => {
+        const files = Array.from(input.files || []);
+        input.value = "";
+        if (files.length) this.importJournalFiles(files);
+      });
+    }
+
+    const importButton = el("button", "history-current-month");
+    importButton.type = "button";
+    importButton.textContent = "Import archive";
+    importButton.disabled = this.archive.busy;
+    importButton.addEventListener("click", () => fileInput.click());
+    const folderButton = el("button", "history-current-month");
+    folderButton.type = "button";
+    folderButton.textContent = "Import folder";
+    folderButton.disabled = this.archive.busy;
+    folderButton.addEventListener("click", () => folderInput.click());
+
+    const bookButton = el("button", "history-current-month");
+    bookButton.type = "button";
+    bookButton.textContent = "Print book";
+    bookButton.setAttribute("aria-label", `Print ${this.year} as a journal book PDF`);
+    bookButton.disabled = this.archive.busy;
+    bookButton.addEventListener("click", () => this.printJournalBook());
+
+    buttons.append(yearButton, insightsButton, bookButton, exportButton, importButton, folderButton, fileInput, folderInput);
+    const status = el("p", "journal-archive-actions__status");
+    status.setAttribute("role", "status");
+    status.setAttribute("aria-live", "polite");
+    status.textContent = this.archive.status;
+    status.classList.toggle("is-error", this.archive.isError);
+    wrap.append(buttons, status);
+    return wrap;
+  }
+
+  _setArchiveStatus(text, { isError = false, busy = this.archive.busy } = {}) {
+    this.archive.status = text;
+    this.archive.isError = isError;
+    this.archive.busy = busy;
+    const status = this.mountEl.querySelector(".journal-archive-actions__status, .journal-import__status");
+    if (status) {
+      status.textContent = text;
+      status.classList.toggle("is-error", isError);
+    }
+    for (const button of this.mountEl.querySelectorAll(".journal-archive-actions button, .journal-import__actions button")) {
+      button.disabled = busy;
+    }
+  }
+
+  async exportJournal() {
+    if (!this.supabaseClient || !this.profile || this.archive.busy) return;
+    const profile = this.profile;
+    if (this.vault?.status === "locked") {
+      this._setArchiveStatus("Unlock your journal to export it.", { isError: true, busy: false });
+      return;
+    }
+    this._setArchiveStatus("Gathering your journal…", { busy: true });
+
+    try {
+      // Archives are always plain text: they are the user's own copy.
+      const rows = await this._loadAllEntries(profile.id);
+      const entries = (await Promise.all(rows.map((row) => this._readableEntry(row)))).filter(entryHasJournalSignal);
+      if (!entries.length) {
+        this._setArchiveStatus("There are no journal entries to export yet.", { busy: false });
+        return;
+      }
+
+      const images = new Map();
+      const photos = entries.flatMap((entry) => normalizeJournalImages(entry));
+      for (const [index, photo] of photos.entries()) {
+        this._setArchiveStatus(`Downloading photos (${index + 1} of ${photos.length})…`);
+        if (encryptedImageKeyId(photo.path)) {
+          try {
+            images.set(photo.path, {
+              data: await this.vault.downloadImage(photo.path),
+              mimeType: photo.mime_type || "image/jpeg",
+            });
+          } catch (err) {
+            console.warn("[JournalHistory] Export skipped a photo:", photo.path, err);
+          }
+          continue;
+        }
+        const { data, error } = await this.supabaseClient.storage
+          .from(IMAGE_BUCKET)
+          .download(photo.path);
+        if (error || !data) {
+          console.warn("[JournalHistory] Export skipped a photo:", photo.path, error);
+          continue;
+        }
+        images.set(photo.path, {
+          data: new Uint8Array(await data.arrayBuffer()),
+          mimeType: data.type || photo.mime_type || "image/jpeg",
+        });
+      }
+
+      const exportedAt = new Date();
+      const zip = createZip(buildJournalArchiveFiles(entries, images, { profile, exportedAt }));
+      const stamp = todayYmdForTimeZone(profile.timezone);
+      const who = profile.is_owner ? "" : profileFileSlug(profile.display_name);
+      downloadBlob(
+        new Blob([zip], { type: "application/zip" }),
+        `sineday-journal-${who ? `${who}-` : ""}${stamp}.zip`
+      );
+
+      const missing = photos.length - images.size;
+      this._setArchiveStatus(
+        `Exported ${entries.length} ${entries.length === 1 ? "day" : "days"}` +
+          (missing ? ` (${missing} ${missing === 1 ? "photo" : "photos"} could not be downloaded).` : "."),
+        { busy: false }
+      );
+    } catch (err) {
+      console.error("[JournalHistory] Export failed:", err);
+      this._setArchiveStatus("Export failed. Your journal is unchanged — try again.", { isError: true, busy: false });
+    }
+  }
+
+  /** Renders the viewed year as a printable book PDF (/api/print-journal-book) and downloads it. */
+  async printJournalBook() {
+    if (!this.profile || this.archive.busy) return;
+    const profile = this.profile;
+    const year = this.year;
+    this._setArchiveStatus(`Binding your ${year} journal book…`, { busy: true });
+
+    try {
+      const accessToken = await this.getAccessToken();
+      const response = await fetch("/api/print-journal-book", {
+        method: "POST",
+        cache: "no-store",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${accessToken}` },
+        body: JSON.stringify({ profileId: profile.id, year, locale: this.locale }),
+      });
+      const data = await response.json();
+      if (response.status === 404 && data?.error === "No journal entries in this range") {
+        this._setArchiveStatus(`There are no journal entries in ${year} yet.`, { busy: false });
+        return;
+      }
+      if (!response.ok || !data.ok) throw new Error(data?.error || "Book failed");
+
+      const pdf = await fetch(data.url, { cache: "no-store" });
+      if (!pdf.ok) throw new Error(`Book download failed: ${pdf.status}`);
+      const who = profile.is_owner ? "" : profileFileSlug(profile.display_name);
+      downloadBlob(await pdf.blob(), `sineday-journal-book-${who ? `${who}-` : ""}${year}.pdf`);
+
+      const notes = [];
+      if (data.encryptedEntries) {
+        notes.push(`${data.encryptedEntries} encrypted ${data.encryptedEntries === 1 ? "entry shows" : "entries show"} dates only`);
+      }
+      if (data.photosLeftOut) notes.push(`${data.photosLeftOut} ${data.photosLeftOut === 1 ? "photo" : "photos"} left out`);
+      this._setArchiveStatus(
+        `Your ${year} book is ready: ${data.pages} pages.` + (notes.length ? ` (${notes.join("; ")}.)` : ""),
+        { busy: false }
+      );
+    } catch (err) {
+      console.error("[JournalHistory] Book failed:", err);
+      this._setArchiveStatus("The book could not be made. Try again in a moment.", { isError: true, busy: false });
+    }
+  }
+
+  async importJournalFiles(fileList) {
+    if (!this.supabaseClient || !this.profile || this.archive.busy) return;
+    const profile = this.profile;
+    if (this.vault?.status === "locked") {
+      this._setArchiveStatus("Unlock your journal to import into it.", { isError: true, busy: false });
+      return;
+    }
+    this._setArchiveStatus("Reading your files…", { busy: true });
+
+    try {
+      const files = [];
+      for (const file of fileList) {
+        const name = file.webkitRelativePath || file.name;
+        const data = new Uint8Array(await file.arrayBuffer());
+        if (/\.zip$/i.test(name)) files.push(...(await readZip(data, { maxTotalBytes: IMPORT_MAX_ARCHIVE_BYTES })));
+        else files.push({ name, data });
+      }
+
+      const { entries, skipped } = readJournalImportFiles(files);
+      if (!entries.length) {
+        this._setArchiveStatus("No dated journal entries were found in those files.", { isError: true, busy: false });
+        return;
+      }
+
+      const existing = await this._loadAllEntries(profile.id, {
+        startYmd: entries[0].entry_date,
+        endYmd: entries[entries.length - 1].entry_date,
+      });
+      if (profile !== this.profile) return;
+      const readable = await Promise.all(existing.map((row) => this._readableEntry(row)));
+
+      this.archive = { ...emptyArchiveState(), plan: planJournalImport(entries, readable), skipped };
+      this.render();
+    } catch (err) {
+      console.error("[JournalHistory] Import read failed:", err);
+      this._setArchiveStatus(
+        err?.message && /ZIP|archive/i.test(err.message)
+          ? err.message
+          : "Those files could not be read. Nothing was imported.",
+        { isError: true, busy: false }
+      );
+    }
+  }
+
+  _buildImportPreview() {
+    const { plan, skipped, resolutions } = this.archive;
+    const section = el("section", "journal-import");
+    section.setAttribute("aria-label", "Import preview");
+
+    const eyebrow = el("p", "feature-hero__eyebrow");
+    eyebrow.textContent = "Import preview";
+    const title = el("h2", "journal-import__title");
+    title.textContent = `${plan.items.length} ${plan.items.length === 1 ? "day" : "days"} found`;
+    const counts = el("p", "journal-import__counts");
+    counts.textContent = [
+      `${plan.counts.new} new`,
+      `${plan.counts.unchanged} already saved`,
+      `${plan.counts.conflict} ${plan.counts.conflict === 1 ? "needs" : "need"} a decision`,
+    ].join(" · ");
+    section.append(eyebrow, title, counts);
+
+    if (skipped.length) {
+      const details = el("details", "journal-import__skipped");
+      const summary = el("summary", "");
+      summary.textContent = `${skipped.length} ${skipped.length === 1 ? "file was" : "files were"} skipped`;
+      const list = el("ul", "");
+      for (const item of skipped) {
+        const li = el("li", "");
+        li.textContent = `${item.name} — ${item.reason}`;
+        list.append(li);
+      }
+      details.append(summary, list);
+      section.append(details);
+    }
+
+    const conflicts = plan.items.filter((item) => item.status === "conflict");
+    if (conflicts.length) {
+      const list = el("ol", "journal-import__conflicts");
+      for (const item of conflicts) {
+        const li = el("li", "journal-import__conflict");
+        const date = el("strong", "journal-import__date");
+        date.textContent = new Intl.DateTimeFormat(this.locale, {
+          weekday: "short",
+          month: "long",
+          day: "numeric",
+          year: "numeric",
+          timeZone: "UTC",
+        }).format(new Date(`${item.date}T12:00:00Z`));
+
+        const versions = el("div", "journal-import__versions");
+        const describe = (label, content, felt, photoCount) => {
+          const box = el("div", "journal-import__version");
+          const heading = el("span", "journal-import__version-label");
+          heading.textContent = label;
+          const meta = el("span", "journal-import__version-meta");
+          meta.textContent = [
+            felt ? `Felt Day ${felt}` : "",
+            photoCount ? `${photoCount} ${photoCount === 1 ? "photo" : "photos"}` : "",
+          ]
+            .filter(Boolean)
+            .join(" · ");
+          const text = el("p", "");
+          text.textContent = previewText(content);
+          box.append(heading, meta, text);
+          return box;
+        };
+        versions.append(
+          describe(
+            "In your journal",
+            item.existing.content,
+            item.existing.felt_sineday,
+            normalizeJournalImages(item.existing).length
+          ),
+          describe("In the import", item.incoming.content, item.incoming.felt_sineday, item.incoming.images.length)
+        );
+
+        const choice = el("label", "journal-search__field journal-import__choice");
+        const choiceText = el("span", "");
+        choiceText.textContent = "Choose";
+        const select = el("select", "");
+        for (const [value, label] of [
+          ["keep", "Keep mine"],
+          ["replace", "Use imported"],
+          ["combine", "Combine both"],
+        ]) {
+          const option = el("option", "");
+          option.value = value;
+          option.textContent = label;
+          select.append(option);
+        }
+        select.value = resolutions.get(item.date) || "keep";
+        select.addEventListener("change", () => resolutions.set(item.date, select.value));
+        choice.append(choiceText, select);
+
+        li.append(date, versions, choice);
+        list.append(li);
+      }
+      section.append(list);
+    }
+
+    const actions = el("div", "journal-import__actions");
+    const confirm = el("button", "feature-floating-action");
+    confirm.type = "button";
+    confirm.textContent = "Import";
+    confirm.disabled = this.archive.busy;
+    confirm.addEventListener("click", () => this.applyImport());
+    const cancel = el("button", "feature-floating-action feature-floating-action--secondary");
+    cancel.type = "button";
+    cancel.textContent = "Cancel";
+    cancel.disabled = this.archive.busy;
+    cancel.addEventListener("click", () => this.cancelImport());
+    actions.append(confirm, cancel);
+
+    const status = el("p", "journal-import__status");
+    status.setAttribute("role", "status");
+    status.setAttribute("aria-live", "polite");
+    status.textContent = this.archive.status;
+    section.append(actions, status);
+    return section;
+  }
+
+  cancelImport() {
+    if (this.archive.busy) return;
+    this.archive = emptyArchiveState();
+    return this.render();
+  }
+
+  async applyImport() {
+    const { plan, resolutions } = this.archive;
+    if (!plan || this.archive.busy || !this.supabaseClient || !this.profile) return;
+    const profile = this.profile;
+    const writes = plan.items
+      .map((item) => ({ item, next: resolveJournalImportItem(item, resolutions.get(item.date) || "keep") }))
+      .filter(({ next }) => next);
+
+    let imported = 0;
+    let failed = 0;
+    for (const [index, { item, next }] of writes.entries()) {
+      this._setArchiveStatus(`Importing ${index + 1} of ${writes.length}…`, { busy: true });
+      try {
+        await this._writeImportedEntry(profile, item.existing, next);
+        imported++;
+      } catch (err) {
+        console.error("[JournalHistory] Import failed for", next.entry_date, err);
+        failed++;
+      }
+    }
+
+    const message = failed
+      ? `Imported ${imported} ${imported === 1 ? "day" : "days"}; ${failed} could not be saved.`
+      : `Imported ${imported} ${imported === 1 ? "day" : "days"}.`;
+    this.archive = { ...emptyArchiveState(), status: message, isError: failed > 0 };
+    this.entriesCache.clear();
+    this.knownTags.clear();
+    await this.render();
+    if (imported) this.onImported?.();
+  }
+
+  async _writeImportedEntry(profile, existing, next) {
+    const saved = normalizeJournalImages(existing);
+    let images = saved;
+    const encrypt = !!this.vault?.enabled;
+    if (next.images.length) {
+      const directory = `${this.userId}/${profile.id}/${next.entry_date}/`;
+      images = [];
+      try {
+        for (const photo of next.images) {
+          const path = encrypt
+            ? this.vault.encryptedImagePath(directory, crypto.randomUUID())
+            : `${directory}${crypto.randomUUID()}.${imageExtensionForType(photo.mimeType)}`;
+          const body = encrypt
+            ? await this.vault.encryptBytes(photo.data)
+            : new Blob([photo.data], { type: photo.mimeType });
+          const { error } = await this.supabaseClient.storage
+            .from(IMAGE_BUCKET)
+            .upload(path, body, {
+              contentType: encrypt ? JOURNAL_ENCRYPTED_IMAGE_TYPE : photo.mimeType,
+              upsert: false,
+            });
+          if (error) throw error;
+          images.push({
+            path,
+            mime_type: photo.mimeType,
+            size: photo.size,
+            width: photo.width || null,
+            height: photo.height || null,
+            caption: photo.caption || "",
+          });
+        }
+      } catch (err) {
+        await this._removeUploaded(images);
+        throw err;
+      }
+    }
+
+    const actual = calculateSineDayForYmd(profile.birthdate, next.entry_date);
+    const fields = this.vault
+      ? await this.vault.sealEntryFields(next.content, images)
+      : { content: next.content, images };
+    const { error } = await this.supabaseClient
+      .from("journal_entries")
+      .upsert(
+        {
+          user_id: this.userId,
+          profile_id: profile.id,
+          entry_date: next.entry_date,
+          actual_sineday: actual?.day || 1,
+          felt_sineday: next.felt_sineday,
+          energy: next.energy,
+          mood: next.mood,
+          tags: next.tags,
+          ...fields,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "profile_id,entry_date" }
+      );
+    if (error) {
+      if (next.images.length) await this._removeUploaded(images);
+      throw error;
+    }
+
+    if (next.images.length && saved.length) {
+      await this.supabaseClient.storage.from(IMAGE_BUCKET).remove(saved.map((image) => image.path));
+    }
+  }
+
+  async _removeUploaded(images) {
+    if (!images.length) return;
+    const { error } = await this.supabaseClient.storage.from(IMAGE_BUCKET).remove(images.map((image) => image.path));
+    if (error) console.warn("[JournalHistory] Import photo cleanup failed:", error);
+  }
+
+  /** Decrypted copy of a row; entries this tab cannot open fail the whole action. */
+  async _readableEntry(row) {
+    return this.vault ? this.vault.decryptRow(row) : row;
+  }
+
+  /** Tag counts for a profile, loaded once; empty when they cannot be read. */
+  _loadKnownTags(profileId) {
+    if (!this.knownTags.has(profileId)) {
+      const load = (async () => {
+        if (!this.supabaseClient) return [];
+        const { data, error } = await this.supabaseClient
+          .from("journal_entries")
+          .select("tags")
+          .eq("profile_id", profileId)
+          .neq("tags", "{}")
+          .order("entry_date", { ascending: false })
+          .limit(KNOWN_TAGS_ROWS);
+        if (error) throw error;
+        return countJournalTags(data);
+      })().catch((err) => {
+        console.error("[JournalHistory] Load tags failed:", err);
+        this.knownTags.delete(profileId);
+        return [];
+      });
+      this.knownTags.set(profileId, load);
+    }
+    return this.knownTags.get(profileId);
+  }
+
+  /** Every entry of the profile, optionally between two dates, a page at a time. */
+  async _loadAllEntries(profileId, { startYmd = null, endYmd = null } = {}) {
+    const rows = [];
+    for (let from = 0; ; from += ARCHIVE_PAGE_SIZE) {
+      let query = this.supabaseClient
+        .from("journal_entries")
+        .select(ARCHIVE_ENTRY_COLUMNS)
+        .eq("user_id", this.userId)
+        .eq("profile_id", profileId);
+      if (startYmd) query = query.gte("entry_date", startYmd);
+      if (endYmd) query = query.lte("entry_date", endYmd);
+      const { data, error } = await query
+        .order("entry_date", { ascending: true })
+        .range(from, from + ARCHIVE_PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < ARCHIVE_PAGE_SIZE) return rows;
+    }
+  }
+
+  /** One ranged query for the whole year; a year never exceeds a single page. */
+  async _loadHeatmapEntries(profileId, startYmd, endYmd) {
+    const entries = new Map();
+    if (!this.supabaseClient) return entries;
+    const { data, error } = await this.supabaseClient
+      .from("journal_entries")
+      .select(HEATMAP_ENTRY_COLUMNS)
+      .eq("profile_id", profileId)
+      .gte("entry_date", startYmd)
+      .lte("entry_date", endYmd);
+    if (error) throw error;
+    for (const row of data || []) entries.set(row.entry_date, row);
+    return entries;
+  }
+
+  async _loadHeatmapTags(profileId, startYmd, endYmd) {
+    const tags = new Map();
+    if (!this.supabaseClient) return tags;
+    const { data, error } = await this.supabaseClient
+      .from("wave_calendar_tags")
+      .select("tag_date, color, label")
+      .eq("profile_id", profileId)
+      .gte("tag_date", startYmd)
+      .lte("tag_date", endYmd);
+    if (error) throw error;
+    for (const row of data || []) tags.set(row.tag_date, { color: row.color, label: row.label });
+    return tags;
+  }
+
   async _loadEntries(profileId, startYmd, endYmd) {
     const entries = new Map();
     if (!this.supabaseClient) return entries;
     try {
       const { data, error } = await this.supabaseClient
         .from("journal_entries")
-        .select("entry_date, actual_sineday, felt_sineday, content, image_path")
+        .select("entry_date, actual_sineday, felt_sineday, content, images, image_path, image_mime_type")
         .eq("profile_id", profileId)
         .gte("entry_date", startYmd)
         .lte("entry_date", endYmd);
@@ -0,0 +1,128 @@
+/**
+ * Journal photo gallery — the ordered `images` list on a journal entry, and
+ * the in-browser step every photo goes through before upload.
+ *
+ * Each item is { path, mime_type, size, width, height, caption }. The first
+ * item is the cover; a database trigger mirrors it into the legacy
+ * image_path / image_mime_type / image_size columns that search, recall and
+ * older clients read (see 20261019143534_journal_entry_images.sql).
+ *
+ * Photos are redrawn onto a canvas, so what gets uploaded is a fresh WebP (or
+ * JPEG where the browser cannot encode WebP) without EXIF, GPS or any other
+ * metadata from the camera.
+ */
+
+export const JOURNAL_MAX_IMAGES = 12;
+export const JOURNAL_IMAGE_MAX_DIMENSION = 2048;
+export const JOURNAL_IMAGE_QUALITY = 0.85;
+export const JOURNAL_IMAGE_MAX_SOURCE_BYTES = 25 * 1024 * 1024;
+export const JOURNAL_CAPTION_MAX_LENGTH = 280;
+export const JOURNAL_IMAGE_INPUT_TYPES = Object.freeze([
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "image/heic",
+  "image/heif",
+  "image/avif",
+]);
+
+function toImage(value) {
+  if (!value?.path) return null;
+  const number = (n) => (Number.isFinite(Number(n)) && Number(n) > 0 ? Math.round(Number(n)) : null);
+  return {
+    path: String(value.path),
+    mime_type: value.mime_type || value.mimeType || null,
+    size: number(value.size),
+    width: number(value.width),
+    height: number(value.height),
+    caption: String(value.caption || "").slice(0, JOURNAL_CAPTION_MAX_LENGTH),
+  };
+}
+
+/**
+ * The entry's gallery, falling back to the single legacy photo for rows
+ * written before galleries existed.
+ * @returns {Array<{ path: string, mime_type: string|null, size: number|null, width: number|null, height: number|null, caption: string }>}
+ */
+export function normalizeJournalImages(entry) {
+  if (Array.isArray(entry?.images) && entry.images.length) {
+    const seen = new Set();
+    return entry.images
+      .map(toImage)
+      .filter((image) => image && !seen.has(image.path) && seen.add(image.path))
+      .slice(0, JOURNAL_MAX_IMAGES);
+  }
+  if (entry?.image_path) {
+    return [
+      toImage({
+        path: entry.image_path,
+        mime_type: entry.image_mime_type,
+        size: entry.image_size,
+      }),
+    ];
+  }
+  return [];
+}
+
+/** A copy with the image at `from` moved to `to` (both clamped). */
+export function moveJournalImage(images, from, to) {
+  const list = [...images];
+  if (from < 0 || from >= list.length) return list;
+  const target = Math.min(Math.max(to, 0), list.length - 1);
+  const [item] = list.splice(from, 1);
+  list.splice(target, 0, item);
+  return list;
+}
+
+/** Storage paths in `before` that `after` no longer points at. */
+export function removedJournalImagePaths(before, after) {
+  const kept = new Set((after || []).map((image) => image.path));
+  return (before || []).map((image) => image.path).filter((path) => path && !kept.has(path));
+}
+
+/** Dimensions scaled down (never up) to fit a square of `max` pixels. */
+export function fitImageWithin(width, height, max = JOURNAL_IMAGE_MAX_DIMENSION) {
+  const w = Math.max(1, Math.round(width));
+  const h = Math.max(1, Math.round(height));
+  const scale = Math.min(1, max / Math.max(w, h));
+  return { width: Math.max(1, Math.round(w * scale)), height: Math.max(1, Math.round(h * scale)) };
+}
+
+function canvasToBlob(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === "function") return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not encode photo"))), type, quality);
+  });
+}
+
+/**
+ * Downscales, re-encodes and strips metadata from a picked photo.
+ * Browser only (createImageBitmap + canvas). Orientation from EXIF is applied
+ * before the metadata is dropped, so portraits stay upright.
+ * @param {Blob} file
+ * @returns {Promise<{ blob: Blob, mimeType: string, width: number, height: number }>}
+ */
+export async function prepareJournalImage(
+  file,
+  { maxDimension = JOURNAL_IMAGE_MAX_DIMENSION, quality = JOURNAL_IMAGE_QUALITY } = {}
+) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  try {
+    const { width, height } = fitImageWithin(bitmap.width, bitmap.height, maxDimension);
+    const canvas =
+      typeof OffscreenCanvas === "function"
+        ? new OffscreenCanvas(width, height)
+        : Object.assign(document.createElement("canvas"), { width, height });
+    const context = canvas.getContext("2d");
+    context.imageSmoothingQuality = "high";
+    context.drawImage(bitmap, 0, 0, width, height);
+
+    let blob = await canvasToBlob(canvas, "image/webp", quality);
+    // Browsers that cannot encode WebP hand back PNG; JPEG is far smaller.
+    if (blob.type !== "image/webp") blob = await canvasToBlob(canvas, "image/jpeg", quality);
+    return { blob, mimeType: blob.type || "image/jpeg", width, height };
+  } finally {
+    bitmap.close?.();
+  }
+}
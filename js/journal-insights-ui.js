@@ -0,0 +1,325 @@
+/**
+ * Journal Insights view — renders the output of buildJournalInsights(),
+ * including answers grouped by journal prompt, and energy by SineDay from
+ * buildEnergyBySineday() (journal-signals.js).
+ * Every chart is decorative (aria-hidden) and paired with a visually hidden
+ * table or visible text carrying the same numbers for screen readers.
+ */
+
+function el(tag, className) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  return node;
+}
+
+function formatOffset(offset) {
+  if (offset == null) return "—";
+  if (offset === 0) return "0";
+  return offset > 0 ? `+${offset}` : `−${Math.abs(offset)}`;
+}
+
+function formatRate(rate) {
+  return rate == null ? "—" : `${rate}%`;
+}
+
+function dayCount(n) {
+  return `${n} ${n === 1 ? "day" : "days"}`;
+}
+
+export function describeJournalTendency(insights) {
+  const offset = Math.abs(insights.averageOffset ?? 0);
+  if (insights.tendency === "early") {
+    return `Your days tend to feel about ${offset} ${offset === 1 ? "day" : "days"} ahead of your wave — you’re running early.`;
+  }
+  if (insights.tendency === "late") {
+    return `Your days tend to feel about ${offset} ${offset === 1 ? "day" : "days"} behind your wave — you’re running late.`;
+  }
+  return "On average, how you feel lands right on your wave.";
+}
+
+export function describeJournalTrend(trend) {
+  if (!trend?.direction) return "Keep logging how days feel — trends appear after a few cycles.";
+  if (trend.direction === "improving") {
+    return `Your felt day is matching the wave more often lately (+${trend.change} points).`;
+  }
+  if (trend.direction === "declining") {
+    return `Your felt day is matching the wave less often lately (−${Math.abs(trend.change)} points).`;
+  }
+  return "Your match rate has held steady across recent cycles.";
+}
+
+export function describeJournalEnergy(energy) {
+  if (!energy?.count) return "Rate your energy in the journal to see whether it follows your wave.";
+  if (energy.followsWave === "follows") return "Your energy rises and falls with your wave.";
+  if (energy.followsWave === "opposes") return "Your energy tends to run against your wave — higher in its troughs.";
+  if (energy.followsWave === "independent") return "Your energy doesn’t follow the wave’s height much.";
+  return "Keep rating your energy — a pattern appears after a couple of weeks.";
+}
+
+function buildTable(caption, headers, rows) {
+  const table = el("table", "sr-only");
+  const captionEl = el("caption", "");
+  captionEl.textContent = caption;
+  const head = el("thead", "");
+  const headRow = el("tr", "");
+  for (const header of headers) {
+    const th = el("th", "");
+    th.scope = "col";
+    th.textContent = header;
+    headRow.append(th);
+  }
+  head.append(headRow);
+  const body = el("tbody", "");
+  for (const cells of rows) {
+    const tr = el("tr", "");
+    for (const cell of cells) {
+      const td = el("td", "");
+      td.textContent = cell;
+      tr.append(td);
+    }
+    body.append(tr);
+  }
+  table.append(captionEl, head, body);
+  return table;
+}
+
+function buildStats(insights) {
+  const stats = el("div", "journal-insights__stats");
+  for (const [value, label] of [
+    [formatRate(insights.matchRate), "felt exactly like the wave"],
+    [formatRate(insights.withinOneRate), "within one day"],
+    [formatRate(insights.samePhaseRate), "in the same phase"],
+  ]) {
+    const stat = el("div", "journal-insights__stat");
+    const strong = el("strong", "");
+    strong.textContent = value;
+    const span = el("span", "");
+    span.textContent = label;
+    stat.append(strong, span);
+    stats.append(stat);
+  }
+  return stats;
+}
+
+function buildOffsetChart(insights) {
+  const figure = el("figure", "journal-insights__chart");
+  const caption = el("figcaption", "journal-insights__chart-title");
+  caption.textContent = "How far the felt day landed from the actual day";
+
+  const max = Math.max(1, ...insights.offsetDistribution.map((bucket) => bucket.count));
+  const bars = el("div", "journal-insights__bars");
+  bars.setAttribute("aria-hidden", "true");
+  for (const bucket of insights.offsetDistribution) {
+    const column = el("div", "journal-insights__bar-column");
+    column.classList.toggle("is-match", bucket.offset === 0);
+    const bar = el("span", "journal-insights__bar");
+    bar.style.height = `${Math.round((bucket.count / max) * 100)}%`;
+    const label = el("span", "journal-insights__bar-label");
+    label.textContent = formatOffset(bucket.offset);
+    column.append(bar, label);
+    bars.append(column);
+  }
+  const axis = el("div", "journal-insights__axis");
+  axis.setAttribute("aria-hidden", "true");
+  axis.innerHTML = "<span>running late</span><span>on the wave</span><span>running early</span>";
+
+  figure.append(
+    caption,
+    bars,
+    axis,
+    buildTable(
+      "Felt days by offset from the actual SineDay",
+      ["Offset (days)", "Felt days"],
+      insights.offsetDistribution.map((bucket) => [formatOffset(bucket.offset), String(bucket.count)])
+    )
+  );
+  return figure;
+}
+
+function buildPhaseList(insights) {
+  const section = el("section", "journal-insights__phases");
+  const title = el("h3", "journal-insights__chart-title");
+  title.textContent = "Accuracy by phase";
+  const list = el("ul", "journal-insights__phase-list");
+  for (const phase of insights.phases) {
+    const item = el("li", "journal-insights__phase");
+    const name = el("span", "journal-insights__phase-name");
+    const [first, last] = phase.days;
+    name.textContent = `${phase.label} · ${first === last ? `Day ${first}` : `Days ${first}–${last}`}`;
+    const track = el("span", "journal-insights__phase-track");
+    track.setAttribute("aria-hidden", "true");
+    const fill = el("span", "journal-insights__phase-fill");
+    fill.style.width = `${phase.matchRate ?? 0}%`;
+    track.append(fill);
+    const detail = el("span", "journal-insights__phase-detail");
+    detail.textContent = phase.count
+      ? `${formatRate(phase.matchRate)} exact · ${formatRate(phase.samePhaseRate)} same phase · ${dayCount(phase.count)}`
+      : "No felt days yet";
+    item.append(name, track, detail);
+    list.append(item);
+  }
+  section.append(title, list);
+  return section;
+}
+
+function buildCycleTrend(insights, locale) {
+  const figure = el("figure", "journal-insights__chart");
+  const caption = el("figcaption", "journal-insights__chart-title");
+  caption.textContent = "Match rate by cycle";
+  const summary = el("p", "journal-insights__note");
+  summary.textContent = describeJournalTrend(insights.trend);
+  figure.append(caption, summary);
+
+  const cycles = insights.cycles;
+  const dateFormat = new Intl.DateTimeFormat(locale, { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+  const formatDate = (ymd) => dateFormat.format(new Date(`${ymd}T12:00:00Z`));
+
+  if (cycles.length > 1) {
+    const width = 300;
+    const height = 80;
+    const step = width / (cycles.length - 1);
+    const points = cycles
+      .map((cycle, i) => `${Math.round(i * step)},${Math.round(height - (cycle.matchRate / 100) * height)}`)
+      .join(" ");
+    const svgNs = "http://www.w3.org/2000/svg";
+    const svg = document.createElementNS(svgNs, "svg");
+    svg.setAttribute("class", "journal-insights__sparkline");
+    svg.setAttribute("viewBox", `-4 -4 ${width + 8} ${height + 8}`);
+    svg.setAttribute("preserveAspectRatio", "none");
+    svg.setAttribute("aria-hidden", "true");
+    svg.setAttribute("focusable", "false");
+    const line = document.createElementNS(svgNs, "polyline");
+    line.setAttribute("points", points);
+    svg.append(line);
+    figure.append(svg);
+  }
+
+  figure.append(
+    buildTable(
+      "Felt-versus-actual match rate for each 18-day cycle",
+      ["Cycle", "Felt days", "Exact match", "Average offset"],
+      cycles.map((cycle) => [
+        `${formatDate(cycle.start)} – ${formatDate(cycle.end)}`,
+        String(cycle.count),
+        formatRate(cycle.matchRate),
+        formatOffset(cycle.averageOffset),
+      ])
+    )
+  );
+  return figure;
+}
+
+function buildPromptList(insights, locale) {
+  const section = el("section", "journal-insights__prompts");
+  const title = el("h3", "journal-insights__chart-title");
+  title.textContent = "Prompts you answered";
+  const list = el("ul", "journal-insights__prompt-list");
+  const dateFormat = new Intl.DateTimeFormat(locale, { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+  for (const prompt of insights.prompts) {
+    const item = el("li", "journal-insights__prompt");
+    const text = el("span", "journal-insights__prompt-text");
+    text.textContent = prompt.text || "A prompt you removed";
+    const detail = el("span", "journal-insights__phase-detail");
+    detail.textContent = [
+      `Answered ${prompt.answers === 1 ? "once" : `${prompt.answers} times`}`,
+      `last on ${dateFormat.format(new Date(`${prompt.lastDate}T12:00:00Z`))}`,
+      prompt.count ? `${formatRate(prompt.matchRate)} felt like the wave` : "",
+    ].filter(Boolean).join(" · ");
+    item.append(text, detail);
+    list.append(item);
+  }
+  section.append(title, list);
+  return section;
+}
+
+/**
+ * Average energy for each actual SineDay as bars, with the wave drawn over them.
+ * @param {ReturnType<import("./journal-signals.js").buildEnergyBySineday>} energy
+ */
+export function buildJournalEnergyView(energy) {
+  const section = el("section", "journal-insights journal-insights__energy");
+  const title = el("h3", "journal-insights__chart-title");
+  title.textContent = "Energy by SineDay";
+  const lead = el("p", "journal-insights__note");
+  lead.textContent = describeJournalEnergy(energy);
+  section.append(title, lead);
+  if (!energy?.count) return section;
+
+  const basis = el("p", "journal-insights__note");
+  basis.textContent = [
+    `Average ${energy.average} of 5 over ${dayCount(energy.count)}`,
+    energy.highestDay ? `highest on Day ${energy.highestDay}` : "",
+    energy.lowestDay && energy.lowestDay !== energy.highestDay ? `lowest on Day ${energy.lowestDay}` : "",
+  ].filter(Boolean).join(" · ");
+
+  const figure = el("figure", "journal-insights__chart journal-insights__energy-chart");
+  const plot = el("div", "journal-insights__energy-plot");
+  plot.setAttribute("aria-hidden", "true");
+  const bars = el("div", "journal-insights__bars");
+  for (const day of energy.days) {
+    const column = el("div", "journal-insights__bar-column");
+    const bar = el("span", "journal-insights__bar");
+    bar.style.height = `${Math.round(((day.average ?? 0) / 5) * 100)}%`;
+    const label = el("span", "journal-insights__bar-label");
+    label.textContent = String(day.day);
+    column.append(bar, label);
+    bars.append(column);
+  }
+  const svgNs = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNs, "svg");
+  svg.setAttribute("class", "journal-insights__sparkline journal-insights__energy-wave");
+  svg.setAttribute("viewBox", "0 -1 18 2");
+  svg.setAttribute("preserveAspectRatio", "none");
+  svg.setAttribute("focusable", "false");
+  const line = document.createElementNS(svgNs, "polyline");
+  line.setAttribute("points", energy.days.map((day, i) => `${i + 0.5},${-day.wave}`).join(" "));
+  svg.append(line);
+  plot.append(bars, svg);
+
+  figure.append(
+    plot,
+    buildTable(
+      "Average energy for each actual SineDay",
+      ["SineDay", "Rated days", "Average energy (1–5)"],
+      energy.days.map((day) => [`Day ${day.day}`, String(day.count), day.average == null ? "—" : String(day.average)])
+    )
+  );
+  section.append(basis, figure);
+  return section;
+}
+
+/**
+ * @param {ReturnType<import("./journal-insights.js").buildJournalInsights>} insights
+ * @param {{ locale?: string }} [options]
+ */
+export function buildJournalInsightsView(insights, { locale = "en-US" } = {}) {
+  const root = el("div", "journal-insights");
+
+  if (!insights?.count) {
+    const empty = el("div", "feature-empty-state journal-insights__empty");
+    const title = el("p", "feature-empty-state__title");
+    title.textContent = "No felt days yet";
+    const copy = el("p", "");
+    copy.textContent = "Choose how each day felt in your journal — insights appear as soon as you have a few.";
+    empty.append(title, copy);
+    root.append(empty);
+    if (insights?.prompts?.length) root.append(buildPromptList(insights, locale));
+    return root;
+  }
+
+  const lead = el("p", "journal-insights__lead");
+  lead.textContent = describeJournalTendency(insights);
+  const basis = el("p", "journal-insights__note");
+  basis.textContent = `Based on ${dayCount(insights.count)} where you chose how the day felt. Typical offset ${formatOffset(insights.medianOffset)}.`;
+
+  root.append(
+    lead,
+    basis,
+    buildStats(insights),
+    buildOffsetChart(insights),
+    buildPhaseList(insights),
+    buildCycleTrend(insights, locale)
+  );
+  if (insights.prompts?.length) root.append(buildPromptList(insights, locale));
+  return root;
+}
@@ -0,0 +1,175 @@
+/**
+ * Journal Insights — how the felt SineDay compares with the actual one.
+ *
+ * Offsets are signed around the 18-day cycle: +2 means the day felt like a
+ * SineDay two days further along than the wave says ("running early"), −2
+ * means two days behind ("running late"). Shared by the Journal History
+ * insights view and /api/journal-insights so both report the same numbers.
+ * Entries that answered journal prompts (journal-prompts.js) are also
+ * grouped by prompt, with how well the felt day matched on those days.
+ */
+
+import { calculateSineDayForYmd } from "./sineday-engine.js";
+import { getPhaseGroup } from "./wave-sync.js";
+import { groupAnswersByPrompt, resolvePromptText } from "./journal-prompts.js";
+
+const CYCLE_LENGTH = 18;
+const MS_PER_DAY = 86400000;
+
+export const JOURNAL_INSIGHT_PHASES = Object.freeze([
+  { phase: "rising", label: "Rising", days: [1, 5] },
+  { phase: "peak", label: "Peak", days: [6, 8] },
+  { phase: "crest", label: "Crest", days: [9, 9] },
+  { phase: "descending", label: "Descending", days: [10, 13] },
+  { phase: "trough", label: "Trough", days: [14, 16] },
+  { phase: "emerging", label: "Emerging", days: [17, 18] },
+]);
+
+/** Offsets from −8 to +9; +9 and −9 are the same point, reported as +9. */
+export const JOURNAL_OFFSET_RANGE = Object.freeze([-8, 9]);
+
+// A mean offset inside ±½ day reads as "on time".
+const TENDENCY_THRESHOLD = 0.5;
+// Cycle trends need a few cycles each side before they mean anything.
+const TREND_MIN_CYCLES = 4;
+const TREND_MIN_CHANGE = 10;
+
+function addDaysYmd(ymd, days) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d, 12) + days * MS_PER_DAY);
+  return date.toISOString().slice(0, 10);
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 100) : null;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function mean(values) {
+  return values.length ? round1(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : round1((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/** Signed distance from actual to felt around the cycle, −8..+9. */
+export function signedCycleOffset(actual, felt) {
+  const forward = (((felt - actual) % CYCLE_LENGTH) + CYCLE_LENGTH) % CYCLE_LENGTH;
+  return forward > CYCLE_LENGTH / 2 ? forward - CYCLE_LENGTH : forward;
+}
+
+export function describeTendency(averageOffset) {
+  if (averageOffset == null) return null;
+  if (averageOffset >= TENDENCY_THRESHOLD) return "early";
+  if (averageOffset <= -TENDENCY_THRESHOLD) return "late";
+  return "on_time";
+}
+
+function summarize(points) {
+  const offsets = points.map((point) => point.offset);
+  const matches = points.filter((point) => point.offset === 0).length;
+  const close = points.filter((point) => Math.abs(point.offset) <= 1).length;
+  const samePhase = points.filter((point) => point.samePhase).length;
+  return {
+    count: points.length,
+    matches,
+    matchRate: percent(matches, points.length),
+    withinOneRate: percent(close, points.length),
+    samePhaseRate: percent(samePhase, points.length),
+    averageOffset: mean(offsets),
+  };
+}
+
+function cycleTrend(cycles) {
+  if (cycles.length < TREND_MIN_CYCLES) return { direction: null, change: null };
+  const half = Math.floor(cycles.length / 2);
+  const rate = (list) => {
+    const count = list.reduce((sum, cycle) => sum + cycle.count, 0);
+    return percent(list.reduce((sum, cycle) => sum + cycle.matches, 0), count);
+  };
+  const change = rate(cycles.slice(-half)) - rate(cycles.slice(0, half));
+  let direction = "steady";
+  if (change >= TREND_MIN_CHANGE) direction = "improving";
+  else if (change <= -TREND_MIN_CHANGE) direction = "declining";
+  return { direction, change };
+}
+
+/**
+ * @param {Array<{ entry_date: string, actual_sineday?: number, felt_sineday?: number|null, prompt_ids?: string[] }>} rows
+ * @param {{ birthdate?: string, promptLibrary?: object }} [options] birthdate
+ *   recomputes the actual day (as Journal History does) instead of trusting
+ *   the stored value; promptLibrary supplies the text of the user's own prompts
+ */
+export function buildJournalInsights(rows, { birthdate = null, promptLibrary = null } = {}) {
+  const points = [];
+  for (const row of rows || []) {
+    const felt = Number(row?.felt_sineday);
+    if (!Number.isInteger(felt) || felt < 1 || felt > CYCLE_LENGTH) continue;
+    const actual = (birthdate && calculateSineDayForYmd(birthdate, row.entry_date)?.day) || Number(row.actual_sineday);
+    if (!Number.isInteger(actual) || actual < 1 || actual > CYCLE_LENGTH) continue;
+    points.push({
+      date: row.entry_date,
+      actual,
+      felt,
+      offset: signedCycleOffset(actual, felt),
+      samePhase: getPhaseGroup(actual) === getPhaseGroup(felt),
+      cycleStart: addDaysYmd(row.entry_date, -(actual - 1)),
+    });
+  }
+  points.sort((a, b) => a.date.localeCompare(b.date));
+
+  const overall = summarize(points);
+  const offsets = points.map((point) => point.offset);
+  const [minOffset, maxOffset] = JOURNAL_OFFSET_RANGE;
+  const offsetDistribution = [];
+  for (let offset = minOffset; offset <= maxOffset; offset++) {
+    offsetDistribution.push({ offset, count: offsets.filter((value) => value === offset).length });
+  }
+
+  const phases = JOURNAL_INSIGHT_PHASES.map(({ phase, label, days }) => ({
+    phase,
+    label,
+    days,
+    ...summarize(points.filter((point) => getPhaseGroup(point.actual) === phase)),
+  }));
+
+  const byCycle = new Map();
+  for (const point of points) {
+    if (!byCycle.has(point.cycleStart)) byCycle.set(point.cycleStart, []);
+    byCycle.get(point.cycleStart).push(point);
+  }
+  const cycles = Array.from(byCycle, ([start, cyclePoints]) => ({
+    start,
+    end: addDaysYmd(start, CYCLE_LENGTH - 1),
+    ...summarize(cyclePoints),
+  }));
+
+  const pointsByDate = new Map(points.map((point) => [point.date, point]));
+  const prompts = groupAnswersByPrompt(rows).map(({ promptId, count, dates, lastDate }) => ({
+    promptId,
+    text: resolvePromptText(promptId, promptLibrary),
+    answers: count,
+    lastDate,
+    ...summarize(dates.map((date) => pointsByDate.get(date)).filter(Boolean)),
+  }));
+
+  return {
+    ...overall,
+    medianOffset: median(offsets),
+    tendency: describeTendency(overall.averageOffset),
+    first: points[0]?.date || null,
+    last: points[points.length - 1]?.date || null,
+    offsetDistribution,
+    phases,
+    cycles,
+    trend: cycleTrend(cycles),
+    prompts,
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Journal prompt library — the signed-in user's own prompts and pinned
+ * favorites (see journal-prompts.js), stored in journal_prompt_library and
+ * cached in localStorage so prompts show before the network answers.
+ * One instance per tab so the journal and history views stay in step.
+ */
+
+import {
+  JOURNAL_PROMPT_LIBRARY_MAX,
+  JOURNAL_PROMPT_MAX_LENGTH,
+  JOURNAL_PROMPT_PINS_MAX,
+  newCustomPromptId,
+  normalizePromptLibrary,
+} from "./journal-prompts.js";
+
+const LS_PREFIX = "sd:journal_prompts:";
+
+let sharedLibrary = null;
+
+function promptError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_PROMPT";
+  return err;
+}
+
+function checkPromptText(text) {
+  const clean = String(text || "").trim();
+  if (!clean) throw promptError("Write the prompt first.");
+  if (clean.length > JOURNAL_PROMPT_MAX_LENGTH) {
+    throw promptError(`Keep prompts under ${JOURNAL_PROMPT_MAX_LENGTH} characters.`);
+  }
+  return clean;
+}
+
+export class JournalPromptLibrary {
+  constructor({ client, userId }) {
+    this.client = client;
+    this.userId = userId;
+    this.library = normalizePromptLibrary(null);
+    this.loaded = false;
+    this.listeners = new Set();
+    this._saveChain = Promise.resolve();
+    try {
+      const cached = JSON.parse(localStorage.getItem(this._storageKey()) || "null");
+      if (cached) this.library = normalizePromptLibrary(cached);
+    } catch { /* ignore */ }
+  }
+
+  _storageKey() {
+    return `${LS_PREFIX}${this.userId}`;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit(event) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error("[JournalPrompts] Listener failed:", err);
+      }
+    }
+  }
+
+  _setLocal(library) {
+    this.library = normalizePromptLibrary(library);
+    try {
+      localStorage.setItem(this._storageKey(), JSON.stringify(this.library));
+    } catch { /* ignore */ }
+    this._emit({ type: "changed", library: this.library });
+  }
+
+  async load() {
+    if (!this.client || !this.userId) return this.library;
+    const { data, error } = await this.client
+      .from("journal_prompt_library")
+      .select("custom, pinned")
+      .eq("user_id", this.userId)
+      .maybeSingle();
+    if (error) throw error;
+    this.loaded = true;
+    if (data) this._setLocal(data);
+    return this.library;
+  }
+
+  /** Applies a change locally right away, then saves the whole library. */
+  _update(change) {
+    const next = change(normalizePromptLibrary(this.library));
+    this._setLocal(next);
+    if (!this.client || !this.userId) return Promise.resolve(this.library);
+    const { custom, pinned } = this.library;
+    const run = this._saveChain.then(async () => {
+      const { error } = await this.client
+        .from("journal_prompt_library")
+        .upsert({ user_id: this.userId, custom, pinned }, { onConflict: "user_id" });
+      if (error) throw error;
+      return this.library;
+    });
+    this._saveChain = run.catch((err) => {
+      console.error("[JournalPrompts] Save failed:", err);
+      this._emit({ type: "error", error: err });
+    });
+    return run;
+  }
+
+  isPinned(promptId) {
+    return this.library.pinned.includes(promptId);
+  }
+
+  togglePin(promptId) {
+    return this._update((library) => {
+      const pinned = library.pinned.filter((id) => id !== promptId);
+      if (pinned.length === library.pinned.length) pinned.unshift(promptId);
+      return { ...library, pinned: pinned.slice(0, JOURNAL_PROMPT_PINS_MAX) };
+    });
+  }
+
+  /**
+   * Throws right away when the prompt cannot be added; otherwise resolves
+   * once the library is saved.
+   * @param {{ text: string, days?: number[] }} prompt an empty `days` list means every day
+   */
+  addPrompt({ text, days = [] }) {
+    const clean = checkPromptText(text);
+    if (this.library.custom.filter((prompt) => !prompt.archived).length >= JOURNAL_PROMPT_LIBRARY_MAX) {
+      throw promptError(`Your library holds up to ${JOURNAL_PROMPT_LIBRARY_MAX} prompts.`);
+    }
+    return this._update((library) => ({
+      ...library,
+      custom: [...library.custom, { id: newCustomPromptId(), text: clean, days, archived: false }],
+    }));
+  }
+
+  updatePrompt(promptId, { text, days }) {
+    const clean = text == null ? null : checkPromptText(text);
+    return this._update((library) => ({
+      ...library,
+      custom: library.custom.map((prompt) =>
+        prompt.id === promptId
+          ? { ...prompt, text: clean ?? prompt.text, days: days ?? prompt.days }
+          : prompt
+      ),
+    }));
+  }
+
+  /** Archives rather than deletes, so entries that answered it keep its text. */
+  removePrompt(promptId) {
+    return this._update((library) => ({
+      custom: library.custom.map((prompt) => (prompt.id === promptId ? { ...prompt, archived: true } : prompt)),
+      pinned: library.pinned.filter((id) => id !== promptId),
+    }));
+  }
+}
+
+/** The signed-in user's prompt library; one per tab. */
+export function getJournalPromptLibrary(client, userId = null) {
+  if (sharedLibrary && sharedLibrary.client === client && (!userId || sharedLibrary.userId === userId)) {
+    return sharedLibrary;
+  }
+  sharedLibrary = new JournalPromptLibrary({ client, userId });
+  sharedLibrary.load().catch((err) => console.error("[JournalPrompts] Could not load library:", err));
+  return sharedLibrary;
+}
@@ -0,0 +1,210 @@
+/**
+ * Journal prompts — questions offered above the journal for the day's
+ * actual SineDay.
+ *
+ * Every day has five built-in prompts derived from its Day Details copy
+ * (DAY_DETAILS: the paragraph's closing line and each bullet),
+ * plus whatever the user adds to their prompt library for every day or for
+ * chosen SineDays. Pinned prompts come first; the rest rotate by date.
+ * A prompt is answered by inserting it into the entry as a Markdown heading;
+ * journal_entries.prompt_ids keeps the ids of those headings so insights and
+ * recall can group answers by prompt. Shared by the Journal UI and the
+ * journal APIs.
+ */
+
+import { DAY_DETAILS } from "./sineday-engine.js";
+
+const CYCLE_LENGTH = 18;
+const MS_PER_DAY = 86400000;
+
+export const JOURNAL_PROMPTS_PER_DAY = 3;
+export const JOURNAL_PROMPT_MAX_LENGTH = 200;
+export const JOURNAL_PROMPT_LIBRARY_MAX = 100;
+export const JOURNAL_PROMPT_PINS_MAX = 20;
+
+const DERIVED_ID_RE = /^day-(\d{1,2})-(p|b\d)$/;
+const CUSTOM_ID_RE = /^custom-[a-z0-9-]{4,40}$/;
+const HEADING_PREFIX = "## ";
+
+function cleanText(value) {
+  return String(value ?? "").replace(/\s+/g, " ").trim().slice(0, JOURNAL_PROMPT_MAX_LENGTH);
+}
+
+/**
+ * Turns an instruction from the day's copy into a question to write to:
+ * a quoted question ("Ask: 'What am I avoiding?'") is used as it is, and an
+ * instruction becomes "<instruction> — how did that go?".
+ */
+export function promptFromGuidance(text) {
+  const source = cleanText(text);
+  if (!source) return "";
+  const quoted = source.match(/['"“‘]([^'"”’]+\?)['"”’]/);
+  if (quoted) return quoted[1].trim();
+  if (source.endsWith("?")) return source;
+  return `${source.replace(/[.!:;,\s]+$/, "")} — how did that go?`;
+}
+
+function lastSentence(paragraph) {
+  const sentences = String(paragraph || "").match(/[^.!?]+[.!?]+/g) || [];
+  return (sentences[sentences.length - 1] || paragraph || "").trim();
+}
+
+/** The built-in prompts for a SineDay, in Day Details order. */
+export function derivedPromptsForDay(day) {
+  const details = DAY_DETAILS[day];
+  if (!details) return [];
+  // The paragraph's closing line is sometimes advice and sometimes a statement; quoting it reads as either.
+  const closing = cleanText(lastSentence(details.paragraph)).replace(/[.!]+$/, "");
+  const prompts = [{ id: `day-${day}-p`, text: closing ? `“${closing}.” Where did that show up for you?` : "" }];
+  details.bullets.forEach((bullet, index) => {
+    prompts.push({ id: `day-${day}-b${index}`, text: promptFromGuidance(bullet) });
+  });
+  return prompts
+    .filter((prompt) => prompt.text)
+    .map((prompt) => ({ ...prompt, source: "day", days: [day] }));
+}
+
+export function isJournalPromptId(value) {
+  return typeof value === "string" && (DERIVED_ID_RE.test(value) || CUSTOM_ID_RE.test(value));
+}
+
+export function newCustomPromptId() {
+  const random = globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  return `custom-${random.toLowerCase()}`;
+}
+
+function normalizeDays(value) {
+  if (!Array.isArray(value)) return [];
+  const days = value.map(Number).filter((day) => Number.isInteger(day) && day >= 1 && day <= CYCLE_LENGTH);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * A prompt library as stored in journal_prompt_library:
+ * { custom: [{ id, text, days, archived }], pinned: [promptId] }.
+ * An empty `days` list means every day. Removed prompts stay archived so
+ * earlier answers keep their text; each kind is capped at
+ * JOURNAL_PROMPT_LIBRARY_MAX.
+ */
+export function normalizePromptLibrary(raw) {
+  const custom = [];
+  const seen = new Set();
+  const counts = { active: 0, archived: 0 };
+  for (const item of Array.isArray(raw?.custom) ? raw.custom : []) {
+    const text = cleanText(item?.text);
+    if (!text || !CUSTOM_ID_RE.test(item?.id) || seen.has(item.id)) continue;
+    const archived = item.archived === true;
+    // Up to the limit of each kind; the oldest archived prompts go first.
+    if (counts[archived ? "archived" : "active"] >= JOURNAL_PROMPT_LIBRARY_MAX) continue;
+    counts[archived ? "archived" : "active"]++;
+    seen.add(item.id);
+    custom.push({ id: item.id, text, days: normalizeDays(item.days), archived });
+  }
+  const pinned = [...new Set((Array.isArray(raw?.pinned) ? raw.pinned : []).filter(isJournalPromptId))].slice(
+    0,
+    JOURNAL_PROMPT_PINS_MAX
+  );
+  return { custom, pinned };
+}
+
+/** Every prompt that can be offered on a SineDay: built-in first, then the library's. */
+export function promptsForDay(day, library) {
+  const custom = normalizePromptLibrary(library).custom
+    .filter((prompt) => !prompt.archived && (!prompt.days.length || prompt.days.includes(day)))
+    .map((prompt) => ({ id: prompt.id, text: prompt.text, source: "custom", days: prompt.days }));
+  return [...derivedPromptsForDay(day), ...custom];
+}
+
+/** The text of a prompt id, including archived library prompts; null when unknown. */
+export function resolvePromptText(id, library) {
+  const derived = String(id || "").match(DERIVED_ID_RE);
+  if (derived) {
+    return derivedPromptsForDay(Number(derived[1])).find((prompt) => prompt.id === id)?.text ?? null;
+  }
+  return normalizePromptLibrary(library).custom.find((prompt) => prompt.id === id)?.text ?? null;
+}
+
+function dayNumber(ymd) {
+  const [y, m, d] = String(ymd || "").split("-").map(Number);
+  return Math.floor(Date.UTC(y, (m || 1) - 1, d || 1) / MS_PER_DAY);
+}
+
+/**
+ * The prompts to offer for a date: pinned prompts that apply to the day,
+ * then the others starting from a point that moves each time the SineDay
+ * comes round, skipping any the user skipped.
+ * @returns {Array<{ id: string, text: string, source: "day"|"custom", days: number[], pinned: boolean }>}
+ */
+export function pickDailyPrompts({ day, date, library, skipped = [], count = JOURNAL_PROMPTS_PER_DAY }) {
+  const { pinned } = normalizePromptLibrary(library);
+  const skip = new Set(skipped);
+  const available = promptsForDay(day, library).filter((prompt) => !skip.has(prompt.id));
+  const pins = pinned.map((id) => available.find((prompt) => prompt.id === id)).filter(Boolean);
+  const rest = available.filter((prompt) => !pinned.includes(prompt.id));
+  const turn = Number.isFinite(dayNumber(date)) ? Math.floor(dayNumber(date) / CYCLE_LENGTH) : 0;
+  const start = rest.length ? ((turn % rest.length) + rest.length) % rest.length : 0;
+  const rotated = [...rest.slice(start), ...rest.slice(0, start)];
+  return [...pins, ...rotated]
+    .slice(0, Math.max(count, pins.length))
+    .map((prompt) => ({ ...prompt, pinned: pinned.includes(prompt.id) }));
+}
+
+export function promptHeading(text) {
+  return `${HEADING_PREFIX}${cleanText(text)}`;
+}
+
+/**
+ * Inserts a prompt heading at `position` on a line of its own, with a blank
+ * line before it when the entry already has text.
+ * @returns {{ content: string, cursor: number }} cursor sits on the line after the heading
+ */
+export function insertPromptHeading(content, text, position = String(content ?? "").length) {
+  const value = String(content ?? "");
+  const at = Math.min(Math.max(Number(position) || 0, 0), value.length);
+  const before = value.slice(0, at).replace(/[ \t]+$/, "");
+  const after = value.slice(at).replace(/^[ \t]*\n?/, "");
+  let lead = "";
+  if (before) lead = before.endsWith("\n\n") ? "" : before.endsWith("\n") ? "\n" : "\n\n";
+  const block = `${lead}${promptHeading(text)}\n`;
+  return { content: `${before}${block}${after}`, cursor: before.length + block.length };
+}
+
+/**
+ * The prompt ids whose heading is still in the entry. Ids whose text is
+ * unknown here (a prompt from another device's library) are kept.
+ */
+export function answeredPromptIds(content, promptIds, library) {
+  const headings = new Set(
+    String(content ?? "")
+      .split("\n")
+      .filter((line) => line.startsWith(HEADING_PREFIX))
+      .map((line) => cleanText(line.slice(HEADING_PREFIX.length)))
+  );
+  return [...new Set(Array.isArray(promptIds) ? promptIds : [])].filter((id) => {
+    if (!isJournalPromptId(id)) return false;
+    const text = resolvePromptText(id, library);
+    return text == null || headings.has(cleanText(text));
+  });
+}
+
+/**
+ * Entries grouped by the prompts they answered, most answered first.
+ * @param {Array<{ entry_date: string, prompt_ids?: string[] }>} rows
+ * @returns {Array<{ promptId: string, count: number, dates: string[], lastDate: string }>}
+ */
+export function groupAnswersByPrompt(rows) {
+  const groups = new Map();
+  for (const row of rows || []) {
+    for (const id of new Set(Array.isArray(row?.prompt_ids) ? row.prompt_ids : [])) {
+      if (!isJournalPromptId(id)) continue;
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(row.entry_date);
+    }
+  }
+  return [...groups.entries()]
+    .map(([promptId, dates]) => {
+      const sorted = [...dates].sort();
+      return { promptId, count: sorted.length, dates: sorted, lastDate: sorted[sorted.length - 1] };
+    })
+    .sort((a, b) => b.count - a.count || b.lastDate.localeCompare(a.lastDate) || a.promptId.localeCompare(b.promptId));
+}
@@ -0,0 +1,145 @@
+/**
+ * "On this SineDay" — past journal entries that line up with a given day.
+ *
+ * The actual SineDay repeats every 18 days, so the same day in earlier cycles
+ * is exactly 18, 36, … days back. The same calendar date in earlier years is
+ * offered alongside it, and so are earlier answers to the prompts the entry
+ * answered (journal_entries.prompt_ids). Shared by the Journal panel and
+ * /api/journal-recall (which the daily email can call for the same lookup).
+ */
+
+import { isEncryptedJournalText } from "./journal-crypto.js";
+
+const CYCLE_LENGTH = 18;
+const MS_PER_DAY = 86400000;
+
+/** Choices offered in settings; 0 turns the cycle lookback off. */
+export const JOURNAL_RECALL_CYCLE_OPTIONS = Object.freeze([0, 1, 2, 3, 6, 12]);
+export const JOURNAL_RECALL_DEFAULT_CYCLES = 3;
+export const JOURNAL_RECALL_MAX_CYCLES = 12;
+export const JOURNAL_RECALL_DEFAULT_YEARS = 3;
+export const JOURNAL_RECALL_MAX_YEARS = 10;
+export const JOURNAL_RECALL_EXCERPT_LENGTH = 160;
+export const JOURNAL_RECALL_PROMPT_ANSWERS = 3;
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function addDaysYmd(ymd, days) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d, 12) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+// Feb 29 falls back to Feb 28 in years without one.
+function sameDateYearsBack(ymd, years) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const year = y - years;
+  const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+  return `${String(year).padStart(4, "0")}-${pad2(m)}-${pad2(Math.min(d, lastDay))}`;
+}
+
+function clampCount(value, fallback, max) {
+  if (value == null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n)) return fallback;
+  return Math.min(Math.max(n, 0), max);
+}
+
+export function normalizeRecallCycles(value) {
+  return clampCount(value, JOURNAL_RECALL_DEFAULT_CYCLES, JOURNAL_RECALL_MAX_CYCLES);
+}
+
+export function normalizeRecallYears(value) {
+  return clampCount(value, JOURNAL_RECALL_DEFAULT_YEARS, JOURNAL_RECALL_MAX_YEARS);
+}
+
+/**
+ * Dates to look up for `ymd`, nearest first.
+ * @returns {{ sameSineDay: Array<{ date: string, cyclesAgo: number }>, sameDate: Array<{ date: string, yearsAgo: number }> }}
+ */
+export function buildJournalRecallDates(ymd, { cycles = JOURNAL_RECALL_DEFAULT_CYCLES, years = JOURNAL_RECALL_DEFAULT_YEARS } = {}) {
+  const cycleCount = normalizeRecallCycles(cycles);
+  const yearCount = normalizeRecallYears(years);
+  const sameSineDay = [];
+  for (let n = 1; n <= cycleCount; n++) {
+    sameSineDay.push({ date: addDaysYmd(ymd, -n * CYCLE_LENGTH), cyclesAgo: n });
+  }
+  const sameDate = [];
+  for (let n = 1; n <= yearCount; n++) {
+    sameDate.push({ date: sameDateYearsBack(ymd, n), yearsAgo: n });
+  }
+  return { sameSineDay, sameDate };
+}
+
+/** Plain-text preview: whitespace collapsed, cut on a word boundary. */
+export function recallExcerpt(content, maxLength = JOURNAL_RECALL_EXCERPT_LENGTH) {
+  const text = String(content || "").replace(/\s+/g, " ").trim();
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+// Encrypted text has no server-side excerpt; the Journal panel decrypts
+// rows before they get here.
+function toRecallEntry(row) {
+  const encrypted = isEncryptedJournalText(row.content);
+  return {
+    entry_date: row.entry_date,
+    actual_sineday: row.actual_sineday ?? null,
+    felt_sineday: row.felt_sineday ?? null,
+    excerpt: encrypted ? null : recallExcerpt(row.content),
+    hasImage: !!row.image_path,
+    encrypted,
+    promptIds: Array.isArray(row.prompt_ids) ? row.prompt_ids : [],
+  };
+}
+
+function hasSomething(row) {
+  return !!(String(row?.content || "").trim() || row?.felt_sineday != null || row?.image_path);
+}
+
+/**
+ * Pairs looked-up rows with the recall dates; days without an entry are left out.
+ * @param {Array<{ entry_date: string, actual_sineday?: number, felt_sineday?: number|null, content?: string, image_path?: string|null }>} rows
+ * @param {ReturnType<typeof buildJournalRecallDates>} dates
+ */
+export function buildJournalRecall(rows, dates) {
+  const byDate = new Map();
+  for (const row of rows || []) {
+    if (hasSomething(row)) byDate.set(row.entry_date, row);
+  }
+  const pick = (list) =>
+    list.filter(({ date }) => byDate.has(date)).map((item) => ({ ...item, entry: toRecallEntry(byDate.get(item.date)) }));
+  return {
+    sameSineDay: pick(dates.sameSineDay),
+    sameDate: pick(dates.sameDate),
+  };
+}
+
+/** Every date a recall needs, for a single `in` query. */
+export function recallLookupDates(dates) {
+  return [...new Set([...dates.sameSineDay, ...dates.sameDate].map(({ date }) => date))];
+}
+
+/**
+ * Earlier answers to each of `promptIds`, newest first, in the order the ids
+ * are given; prompts nobody answered before `before` are left out.
+ * @param {Array<{ entry_date: string, prompt_ids?: string[], content?: string }>} rows
+ * @returns {Array<{ promptId: string, answers: Array<{ date: string, entry: ReturnType<typeof toRecallEntry> }> }>}
+ */
+export function buildPromptRecall(rows, promptIds, { before, perPrompt = JOURNAL_RECALL_PROMPT_ANSWERS } = {}) {
+  const earlier = (rows || [])
+    .filter((row) => hasSomething(row) && (!before || row.entry_date < before))
+    .sort((a, b) => b.entry_date.localeCompare(a.entry_date));
+  return [...new Set(promptIds || [])]
+    .map((promptId) => ({
+      promptId,
+      answers: earlier
+        .filter((row) => Array.isArray(row.prompt_ids) && row.prompt_ids.includes(promptId))
+        .slice(0, perPrompt)
+        .map((row) => ({ date: row.entry_date, entry: toRecallEntry(row) })),
+    }))
+    .filter((group) => group.answers.length);
+}
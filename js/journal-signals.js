@@ -0,0 +1,198 @@
+/**
+ * Journal signals — the structured side of an entry: a 1–5 energy rating,
+ * one mood from a fixed list and free-form tags.
+ *
+ * They live on journal_entries next to the text and stay plaintext when the
+ * journal is encrypted, so search filters and the energy-by-SineDay numbers
+ * (/api/journal-energy) work on the server. Shared by the Journal UI,
+ * Journal History, the archive format and the journal APIs.
+ */
+
+import { calculateSineDayForYmd } from "./sineday-engine.js";
+import { JOURNAL_INSIGHT_PHASES } from "./journal-insights.js";
+import { waveHeight } from "./journal-heatmap.js";
+import { getPhaseGroup } from "./wave-sync.js";
+
+const CYCLE_LENGTH = 18;
+
+export const JOURNAL_ENERGY_LEVELS = Object.freeze([
+  { value: 1, label: "Drained" },
+  { value: 2, label: "Low" },
+  { value: 3, label: "Steady" },
+  { value: 4, label: "Good" },
+  { value: 5, label: "Charged" },
+]);
+
+export const JOURNAL_MOODS = Object.freeze([
+  { value: "joyful", label: "Joyful" },
+  { value: "calm", label: "Calm" },
+  { value: "grateful", label: "Grateful" },
+  { value: "focused", label: "Focused" },
+  { value: "restless", label: "Restless" },
+  { value: "anxious", label: "Anxious" },
+  { value: "low", label: "Low" },
+  { value: "irritable", label: "Irritable" },
+]);
+
+export const JOURNAL_TAG_MAX_LENGTH = 32;
+export const JOURNAL_TAGS_PER_ENTRY_MAX = 12;
+export const JOURNAL_TAG_SUGGESTIONS = 8;
+
+// Fewer rated days than this and a correlation says more about noise than the wave.
+const ENERGY_MIN_DAYS = 10;
+const ENERGY_FOLLOW_THRESHOLD = 0.3;
+
+const MOOD_VALUES = new Set(JOURNAL_MOODS.map(({ value }) => value));
+
+export function normalizeEnergy(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= 5 ? n : null;
+}
+
+export function normalizeMood(value) {
+  const mood = String(value ?? "").trim().toLowerCase();
+  return MOOD_VALUES.has(mood) ? mood : null;
+}
+
+export function energyLabel(value) {
+  return JOURNAL_ENERGY_LEVELS.find((level) => level.value === normalizeEnergy(value))?.label ?? null;
+}
+
+export function moodLabel(value) {
+  return JOURNAL_MOODS.find((mood) => mood.value === normalizeMood(value))?.label ?? null;
+}
+
+/** Lowercase, single-spaced, without a leading "#"; "" when nothing is left. */
+export function normalizeTag(value) {
+  return String(value ?? "")
+    .replace(/^[\s#]+/, "")
+    .replace(/[\s,]+/g, " ")
+    .trim()
+    .toLowerCase()
+    .slice(0, JOURNAL_TAG_MAX_LENGTH)
+    .trim();
+}
+
+/** Distinct normalized tags in the order given, capped per entry. */
+export function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const tags = [];
+  for (const item of list) {
+    const tag = normalizeTag(item);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  }
+  return tags.slice(0, JOURNAL_TAGS_PER_ENTRY_MAX);
+}
+
+/**
+ * How often each tag is used, most used first; feeds autocomplete.
+ * @param {Array<{ tags?: string[] }>} rows
+ * @returns {Array<{ tag: string, count: number }>}
+ */
+export function countJournalTags(rows) {
+  const counts = new Map();
+  for (const row of rows || []) {
+    for (const tag of normalizeTags(row?.tags)) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Known tags for what has been typed so far: tags starting with it first,
+ * then ones containing it, leaving out tags the entry already has.
+ * @param {Array<{ tag: string }>} known from countJournalTags
+ */
+export function suggestJournalTags(known, typed, { exclude = [], limit = JOURNAL_TAG_SUGGESTIONS } = {}) {
+  const needle = normalizeTag(typed);
+  const skip = new Set(normalizeTags(exclude));
+  const candidates = (known || []).map((item) => item.tag).filter((tag) => tag && !skip.has(tag));
+  if (!needle) return candidates.slice(0, limit);
+  const starts = candidates.filter((tag) => tag.startsWith(needle));
+  const contains = candidates.filter((tag) => !tag.startsWith(needle) && tag.includes(needle));
+  return [...starts, ...contains].slice(0, limit);
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function average(values) {
+  return values.length ? round1(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function correlation(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - meanX) * (ys[i] - meanY);
+    varX += (xs[i] - meanX) ** 2;
+    varY += (ys[i] - meanY) ** 2;
+  }
+  if (!varX || !varY) return null;
+  return Math.round((cov / Math.sqrt(varX * varY)) * 100) / 100;
+}
+
+/** "follows" | "opposes" | "independent", or null with too few rated days. */
+export function describeEnergyFollow(count, waveCorrelation) {
+  if (count < ENERGY_MIN_DAYS || waveCorrelation == null) return null;
+  if (waveCorrelation >= ENERGY_FOLLOW_THRESHOLD) return "follows";
+  if (waveCorrelation <= -ENERGY_FOLLOW_THRESHOLD) return "opposes";
+  return "independent";
+}
+
+/**
+ * Energy ratings grouped by actual SineDay and phase, and how closely they
+ * track the wave's height (Pearson correlation, −1..1).
+ * @param {Array<{ entry_date: string, actual_sineday?: number, energy?: number|null }>} rows
+ * @param {{ birthdate?: string }} [options] birthdate recomputes the actual day, as insights do
+ */
+export function buildEnergyBySineday(rows, { birthdate = null } = {}) {
+  const points = [];
+  for (const row of rows || []) {
+    const energy = normalizeEnergy(row?.energy);
+    if (energy == null) continue;
+    const actual = (birthdate && calculateSineDayForYmd(birthdate, row.entry_date)?.day) || Number(row.actual_sineday);
+    if (!Number.isInteger(actual) || actual < 1 || actual > CYCLE_LENGTH) continue;
+    points.push({ date: row.entry_date, actual, energy });
+  }
+  points.sort((a, b) => a.date.localeCompare(b.date));
+
+  const days = [];
+  for (let day = 1; day <= CYCLE_LENGTH; day++) {
+    const values = points.filter((point) => point.actual === day).map((point) => point.energy);
+    days.push({ day, count: values.length, average: average(values), wave: Math.round(waveHeight(day) * 100) / 100 });
+  }
+  const phases = JOURNAL_INSIGHT_PHASES.map(({ phase, label, days: range }) => {
+    const values = points.filter((point) => getPhaseGroup(point.actual) === phase).map((point) => point.energy);
+    return { phase, label, days: range, count: values.length, average: average(values) };
+  });
+
+  const rated = days.filter((day) => day.count);
+  const high = rated.length ? rated.reduce((best, day) => (day.average > best.average ? day : best)) : null;
+  const low = rated.length ? rated.reduce((worst, day) => (day.average < worst.average ? day : worst)) : null;
+  const waveCorrelation = correlation(
+    points.map((point) => waveHeight(point.actual)),
+    points.map((point) => point.energy)
+  );
+
+  return {
+    count: points.length,
+    average: average(points.map((point) => point.energy)),
+    first: points[0]?.date || null,
+    last: points[points.length - 1]?.date || null,
+    days,
+    phases,
+    highestDay: high?.day ?? null,
+    lowestDay: low?.day ?? null,
+    waveCorrelation,
+    followsWave: describeEnergyFollow(points.length, waveCorrelation),
+  };
+}
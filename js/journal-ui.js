@@ -1,20 +1,67 @@
 /**
  * Journal UI — one cloud-synced reflection entry per profile/date.
  * Replaces the old productivity surface without touching legacy tables.
+ * Writes go through the durable outbox (outbox.js), so entries typed offline
+ * survive a closed tab and sync when the connection returns.
+ * With journal encryption on (journal-vault.js), text and photos are sealed
+ * before they are queued or uploaded, and the page asks for the passphrase
+ * until the vault is unlocked. Prompts for the day's SineDay sit above the
+ * text (journal-prompts.js); using one inserts it as a heading and records
+ * its id on the entry. Energy, mood and tags (journal-signals.js) sit below it.
  */
 
 import { duckUrlFromSinedayNumber } from "./sineducks.js";
 import { calculateSineDayForYmd } from "./sineday-engine.js";
+import { getOutbox } from "./outbox.js";
+import { encryptedImageKeyId, getJournalVault } from "./journal-vault.js";
+import { JOURNAL_ENCRYPTED_IMAGE_TYPE } from "./journal-crypto.js";
+import { imageExtensionForType } from "./journal-archive.js";
+import { pickActiveProfile, ProfileSwitcher } from "./profile-switcher.js";
+import { getJournalPromptLibrary } from "./journal-prompt-library.js";
+import {
+  JOURNAL_PROMPT_MAX_LENGTH,
+  answeredPromptIds,
+  insertPromptHeading,
+  pickDailyPrompts,
+  resolvePromptText,
+} from "./journal-prompts.js";
+import {
+  JOURNAL_ENERGY_LEVELS,
+  JOURNAL_MOODS,
+  JOURNAL_TAG_MAX_LENGTH,
+  JOURNAL_TAGS_PER_ENTRY_MAX,
+  countJournalTags,
+  normalizeTag,
+  normalizeTags,
+  suggestJournalTags,
+} from "./journal-signals.js";
+import {
+  JOURNAL_CAPTION_MAX_LENGTH,
+  JOURNAL_IMAGE_INPUT_TYPES,
+  JOURNAL_IMAGE_MAX_SOURCE_BYTES,
+  JOURNAL_MAX_IMAGES,
+  moveJournalImage,
+  normalizeJournalImages,
+  prepareJournalImage,
+  removedJournalImagePaths,
+} from "./journal-images.js";
+import {
+  buildJournalRecall,
+  buildJournalRecallDates,
+  buildPromptRecall,
+  JOURNAL_RECALL_DEFAULT_YEARS,
+  JOURNAL_RECALL_PROMPT_ANSWERS,
+  normalizeRecallCycles,
+  recallLookupDates,
+} from "./journal-recall.js";
 
 const MS_PER_DAY = 86400000;
 const IMAGE_BUCKET = "journal-images";
 const SAVE_DEBOUNCE_MS = 900;
-const ALLOWED_IMAGE_TYPES = new Set([
-  "image/jpeg",
-  "image/png",
-  "image/webp",
-  "image/gif",
-]);
+const ENTRY_COLUMNS =
+  "id, user_id, profile_id, entry_date, actual_sineday, felt_sineday, energy, mood, tags, content, images, image_path, image_mime_type, image_size, is_encrypted, prompt_ids, created_at, updated_at";
+// Enough recent tagged days to cover the tags anyone still uses.
+const KNOWN_TAGS_ROWS = 1000;
 
 function pad2(n) {
   return String(n).padStart(2, "0");
@@ -54,23 +101,38 @@ function todayYmdForTimeZone(timeZone) {
   return `${year}-${month}-${day}`;
 }
 
-function safeExt(file) {
-  const fallback = file.type === "image/png" ? "png" : "jpg";
-  const fromName = String(file.name || "").split(".").pop()?.toLowerCase();
-  if (["jpg", "jpeg", "png", "webp", "gif"].includes(fromName)) return fromName;
-  return fallback;
+function photoToolCopy(count) {
+  if (count >= JOURNAL_MAX_IMAGES) {
+    return { title: "Gallery full", helper: `${count} photos attached`, label: "Photo gallery is full" };
+  }
+  if (count) {
+    return {
+      title: "Add photos",
+      helper: `${count} ${count === 1 ? "photo" : "photos"} attached`,
+      label: "Add more memory photos",
+    };
+  }
+  return { title: "Add memory photos", helper: "Keep images from the day", label: "Add memory photos" };
 }
 
 function entryKey(profileId, ymd) {
   return `${profileId}:${ymd}`;
 }
 
+function outboxKey(profileId, ymd) {
+  return `journal_entries:${entryKey(profileId, ymd)}`;
+}
+
 function entryHasPersistableContent(entry) {
   if (!entry) return false;
+  // Never write back over a day this tab could not decrypt.
+  if (entry.unreadable) return false;
   if (entry.id) return true;
   if ((entry.content || "").trim()) return true;
   if (entry.felt_sineday != null) return true;
-  if (entry.image_path) return true;
+  if (entry.energy != null || entry.mood) return true;
+  if ((entry.tags || []).length) return true;
+  if (normalizeJournalImages(entry).length) return true;
   return false;
 }
 
@@ -101,24 +163,52 @@ export class JournalUI {
     this.mountEl = mountEl;
     this.locale = opts.locale || "en-US";
     this.weekStart = opts.weekStart ?? 0;
+    this.profiles = Array.isArray(opts.profiles) ? opts.profiles : [];
     this.ownerProfile = opts.ownerProfile || null;
+    this.profile = pickActiveProfile(this.profiles, this.ownerProfile);
     this.supabaseClient = opts.supabaseClient || null;
     this.userId = opts.userId || null;
     this.onEntrySaved =
       typeof opts.onEntrySaved === "function" ? opts.onEntrySaved : null;
+    this.recallCycles = normalizeRecallCycles(opts.recallCycles);
+    this.recallYears = opts.recallYears ?? JOURNAL_RECALL_DEFAULT_YEARS;
 
-    this.currentYmd = this.ownerProfile
-      ? todayYmdForTimeZone(this.ownerProfile.timezone)
+    this.currentYmd = this.profile
+      ? todayYmdForTimeZone(this.profile.timezone)
       : todayYmdForTimeZone();
 
     this.entryCache = new Map();
     this.saveTimers = new Map();
-    this._saveInFlight = new Map();
-    this._saveQueued = new Set();
+    this.outbox =
+      opts.outbox || (this.supabaseClient ? getOutbox(this.supabaseClient, this.userId) : null);
+    this._unsubscribeOutbox =
+      this.outbox?.subscribe((event) => this._handleOutboxEvent(event)) || null;
+    this.vault =
+      opts.vault || (this.supabaseClient ? getJournalVault(this.supabaseClient, this.userId) : null);
+    this._unsubscribeVault = this.vault?.subscribe((event) => this._handleVaultEvent(event)) || null;
+    this.promptLibrary =
+      opts.promptLibrary || (this.supabaseClient ? getJournalPromptLibrary(this.supabaseClient, this.userId) : null);
+    this._unsubscribePrompts =
+      this.promptLibrary?.subscribe(({ type }) => {
+        if (type === "changed") this._refreshPrompts?.();
+      }) || null;
+    this._refreshPrompts = null;
+    // Prompts skipped per profile/date; skipping only lasts for this visit.
+    this.skippedPrompts = new Map();
+    // Tag counts per profile, for tag suggestions.
+    this.knownTags = new Map();
+    this._imageUrls = [];
+    this._galleryGen = 0;
+    this._enqueueChain = Promise.resolve();
     this._renderGen = 0;
     this._activeIndicator = null;
+    this._activeConflict = null;
     this._activeSheetKeydown = null;
     this._feelingSheet = null;
+    this.profileSwitcher = new ProfileSwitcher({
+      id: "journal-profile",
+      onChange: (profileId) => this.setProfile(profileId),
+    });
   }
 
   _removeFeelingSheet() {
@@ -133,36 +223,66 @@ export class JournalUI {
 
   destroy() {
     this._removeFeelingSheet();
-    const pending = Array.from(this.saveTimers.keys());
-    for (const key of pending) {
-      clearTimeout(this.saveTimers.get(key));
-      this.saveTimers.delete(key);
-      const entry = this.entryCache.get(key);
-      if (entry && entryHasPersistableContent(entry)) {
-        this._saveEntry(entry).catch(() => {});
-      }
-    }
+    // Edits are already queued durably; only the debounced sync is pending.
+    for (const timerId of this.saveTimers.values()) clearTimeout(timerId);
+    this.saveTimers.clear();
+    this.outbox?.flush().catch(() => {});
+    this._unsubscribeOutbox?.();
+    this._unsubscribeOutbox = null;
+    this._unsubscribeVault?.();
+    this._unsubscribeVault = null;
+    this._unsubscribePrompts?.();
+    this._unsubscribePrompts = null;
+    this._refreshPrompts = null;
+    this._revokeImageUrls();
     this.mountEl.innerHTML = "";
   }
 
+  /** The account's profiles; the journal stays on the same profile if it still exists. */
+  setProfiles(profiles, ownerProfile = this.ownerProfile) {
+    this.profiles = Array.isArray(profiles) ? profiles : [];
+    this.ownerProfile = ownerProfile || null;
+    this._showProfile(pickActiveProfile(this.profiles, this.ownerProfile, this.profile?.id));
+  }
+
   setOwnerProfile(profile) {
-    const previousId = this.ownerProfile?.id || null;
-    const previousTz = this.ownerProfile?.timezone || null;
+    this.setProfiles(this.profiles, profile);
+  }
+
+  /** Switches the journal to another of the account's profiles, keeping the date. */
+  async setProfile(profileId, dateYmd = null) {
+    const next = pickActiveProfile(this.profiles, this.ownerProfile, profileId);
+    if (dateYmd && /^\d{4}-\d{2}-\d{2}$/.test(String(dateYmd))) {
+      await this._flushCurrentEntry();
+      this.currentYmd = dateYmd;
+    }
+    await this._showProfile(next, { keepDate: true });
+  }
+
+  _showProfile(profile, { keepDate = false } = {}) {
+    const previousId = this.profile?.id || null;
+    const previousTz = this.profile?.timezone || null;
     this._flushCurrentEntrySync();
-    this.ownerProfile = profile || null;
-    if (this.ownerProfile && (this.ownerProfile.id !== previousId || this.ownerProfile.timezone !== previousTz)) {
-      this.currentYmd = todayYmdForTimeZone(this.ownerProfile.timezone);
-      if (this.ownerProfile.id !== previousId) {
+    this.profile = profile || null;
+    if (this.profile && (this.profile.id !== previousId || this.profile.timezone !== previousTz)) {
+      if (!keepDate) this.currentYmd = todayYmdForTimeZone(this.profile.timezone);
+      if (this.profile.id !== previousId) {
         this.entryCache.clear();
       }
     }
-    this.render();
+    return this.render();
+  }
+
+  _profileById(profileId) {
+    if (this.profile?.id === profileId) return this.profile;
+    return this.profiles.find((profile) => profile.id === profileId) || null;
   }
 
-  setSettings({ locale, weekStart }) {
+  setSettings({ locale, weekStart, recallCycles }) {
     this._flushCurrentEntrySync();
     if (locale) this.locale = locale;
     if (weekStart === 0 || weekStart === 1) this.weekStart = weekStart;
+    if (recallCycles !== undefined) this.recallCycles = normalizeRecallCycles(recallCycles);
     this.render();
   }
 
@@ -173,6 +293,13 @@ export class JournalUI {
     await this.render();
   }
 
+  /** Drops cached days so entries written elsewhere (e.g. an import) are re-read. */
+  async reloadEntries() {
+    await this._flushCurrentEntry();
+    this.entryCache.clear();
+    await this.render();
+  }
+
   async navigateDay(delta) {
     const current = utcDateFromYmd(this.currentYmd);
     if (!current) return;
@@ -196,19 +323,29 @@ export class JournalUI {
   async render() {
     const gen = ++this._renderGen;
     this._removeFeelingSheet();
+    this._refreshPrompts = null;
     this.mountEl.innerHTML = "";
 
-    if (!this.ownerProfile) {
+    if (!this.profile) {
       const empty = el("div", "journal__empty");
       empty.textContent = "Create your owner profile to begin your journal.";
       this.mountEl.append(empty);
       return;
     }
 
+    if (this.vault && !this.vault.loaded) {
+      await this.vault.load().catch((err) => console.error("[Journal] Load keyring failed:", err));
+      if (gen !== this._renderGen) return;
+    }
+    if (this.vault?.status === "locked") {
+      this.mountEl.append(this._buildLockedPanel());
+      return;
+    }
+
     const ymd = this.currentYmd;
-    const profileId = this.ownerProfile.id;
-    const actual = calculateSineDayForYmd(this.ownerProfile.birthdate, ymd);
-    const profileToday = todayYmdForTimeZone(this.ownerProfile.timezone);
+    const profileId = this.profile.id;
+    const actual = calculateSineDayForYmd(this.profile.birthdate, ymd);
+    const profileToday = todayYmdForTimeZone(this.profile.timezone);
     const isToday = ymd === profileToday;
 
     await this._loadEntry(profileId, ymd);
@@ -283,6 +420,10 @@ export class JournalUI {
       : "What do you want to remember from this day?";
     textarea.value = entry.content || "";
     textarea.dataset.date = ymd;
+    if (entry.unreadable) {
+      textarea.readOnly = true;
+      textarea.placeholder = "This entry could not be decrypted with your current keys.";
+    }
     textarea.setAttribute("aria-label", `Journal entry for ${this.getDateLabel(this.locale)}`);
 
     const indicator = el("div", "journal__save-indicator");
@@ -293,6 +434,11 @@ export class JournalUI {
 
     textarea.addEventListener("input", () => {
       entry.content = textarea.value;
+      const answered = answeredPromptIds(entry.content, entry.prompt_ids, this.promptLibrary?.library);
+      if (answered.length !== (entry.prompt_ids || []).length) {
+        entry.prompt_ids = answered;
+        this._refreshPrompts?.();
+      }
       this._cacheEntry(entry);
       this._queueSave(entry, indicator);
     });
@@ -303,8 +449,18 @@ export class JournalUI {
       this._flushSave(entry, indicator);
     });
 
+    const conflict = el("div", "journal__sync-conflict");
+    conflict.hidden = true;
+    this._activeConflict = conflict;
+
+    const prompts = entry.unreadable ? null : this._buildPromptPanel(entry, actual?.day, textarea, indicator);
+
     const writing = el("section", "journal-writing");
-    writing.append(textarea, indicator);
+    writing.append(textarea, indicator, conflict);
+    const signals = entry.unreadable ? null : this._buildSignalsPanel(entry, indicator);
+    if (this.outbox?.statusFor(outboxKey(profileId, ymd))) {
+      this._showSyncState(indicator, entry);
+    }
 
     const tools = el("div", "journal-tools");
     tools.setAttribute("aria-label", "Reflection tools");
@@ -350,14 +506,15 @@ export class JournalUI {
     photoTool.innerHTML = `
       <span class="journal-tool-button__visual" aria-hidden="true">+</span>
       <span class="journal-tool-button__copy">
-        <strong>${entry.image_path ? "Replace photo" : "Add memory photo"}</strong>
-        <small>${entry.image_path ? "One photo attached" : "Keep one image from the day"}</small>
+        <strong></strong>
+        <small></small>
       </span>
     `;
-    photoTool.setAttribute(
-      "aria-label",
-      entry.image_path ? "Replace memory photo" : "Add memory photo"
-    );
+    const photoCopy = photoToolCopy(normalizeJournalImages(entry).length);
+    photoTool.querySelector("strong").textContent = photoCopy.title;
+    photoTool.querySelector("small").textContent = photoCopy.helper;
+    photoTool.setAttribute("aria-label", photoCopy.label);
+    photoTool.disabled = normalizeJournalImages(entry).length >= JOURNAL_MAX_IMAGES;
     photoTool.addEventListener("click", () => imageParts.input.click());
     tools.append(feltTool, photoTool);
 
@@ -478,196 +635,985 @@ export class JournalUI {
     };
     document.addEventListener("keydown", this._activeSheetKeydown, true);
 
+    this.profileSwitcher.setProfiles(this.profiles, profileId);
     frame.append(
+      this.profileSwitcher.root,
       dateBar,
       actualWrap,
+      ...(prompts ? [prompts] : []),
       writing,
+      ...(signals ? [signals] : []),
       tools,
       imageParts.input,
       imageParts.section
     );
+    const recall = this._buildRecallPanel(profileId, ymd, actual?.day || entry.actual_sineday, entry.prompt_ids, gen);
+    if (recall) frame.append(recall);
     this.mountEl.append(frame);
   }
 
+  /** Shown instead of the entry while encryption is on and this tab has no keys. */
+  _buildLockedPanel() {
+    const panel = el("section", "journal-locked");
+    panel.setAttribute("aria-labelledby", "journal-locked-title");
+    const heading = el("h2", "journal-locked__title");
+    heading.id = "journal-locked-title";
+    heading.textContent = "Your journal is encrypted";
+    const copy = el("p", "journal-locked__copy");
+    copy.textContent = "Enter your journal passphrase to read and write entries on this device.";
+
+    const form = el("form", "journal-locked__form");
+    const passphrase = document.createElement("input");
+    passphrase.type = "password";
+    passphrase.className = "journal-locked__input";
+    passphrase.autocomplete = "current-password";
+    passphrase.placeholder = "Journal passphrase";
+    passphrase.setAttribute("aria-label", "Journal passphrase");
+
+    const recoveryWrap = el("div", "journal-locked__recovery");
+    recoveryWrap.hidden = true;
+    const recoveryKey = document.createElement("input");
+    recoveryKey.type = "text";
+    recoveryKey.className = "journal-locked__input";
+    recoveryKey.autocomplete = "off";
+    recoveryKey.spellcheck = false;
+    recoveryKey.placeholder = "Recovery key";
+    recoveryKey.setAttribute("aria-label", "Recovery key");
+    const newPassphrase = document.createElement("input");
+    newPassphrase.type = "password";
+    newPassphrase.className = "journal-locked__input";
+    newPassphrase.autocomplete = "new-password";
+    newPassphrase.placeholder = "New passphrase";
+    newPassphrase.setAttribute("aria-label", "New journal passphrase");
+    recoveryWrap.append(recoveryKey, newPassphrase);
+
+    const submit = el("button", "journal-locked__submit");
+    submit.type = "submit";
+    submit.textContent = "Unlock journal";
+    const toggle = el("button", "journal-locked__toggle");
+    toggle.type = "button";
+    toggle.textContent = "Forgot passphrase? Use your recovery key";
+    const status = el("p", "journal-locked__status");
+    status.setAttribute("role", "status");
+    status.setAttribute("aria-live", "polite");
+
+    let useRecovery = false;
+    toggle.addEventListener("click", () => {
+      useRecovery = !useRecovery;
+      passphrase.hidden = useRecovery;
+      recoveryWrap.hidden = !useRecovery;
+      toggle.textContent = useRecovery ? "Use my passphrase instead" : "Forgot passphrase? Use your recovery key";
+      status.textContent = "";
+      (useRecovery ? recoveryKey : passphrase).focus();
+    });
+
+    form.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      submit.disabled = true;
+      status.classList.remove("is-error");
+      status.textContent = "Unlocking…";
+      const onProgress = ({ done, total }) => {
+        status.textContent = `Finishing encryption (${done} of ${total})…`;
+      };
+      try {
+        if (useRecovery) {
+          await this.vault.recover(recoveryKey.value, newPassphrase.value, { onProgress });
+        } else {
+          await this.vault.unlock(passphrase.value, { onProgress });
+        }
+      } catch (err) {
+        if (!err?.code) console.error("[Journal] Unlock failed:", err);
+        status.classList.add("is-error");
+        status.textContent = err?.code ? err.message : "Could not unlock the journal.";
+        submit.disabled = false;
+      }
+    });
+
+    form.append(passphrase, recoveryWrap, submit, toggle, status);
+    panel.append(heading, copy, form);
+    requestAnimationFrame(() => passphrase.focus({ preventScroll: true }));
+    return panel;
+  }
+
+  _handleVaultEvent({ type }) {
+    // Keys appeared, went away or entries were rewritten: cached days are stale.
+    if (type !== "status" && type !== "rewritten") return;
+    this.entryCache.clear();
+    this.render();
+  }
+
+  /** Row as the user sees it; a day that cannot be decrypted is kept read-only. */
+  async _openEntry(row) {
+    if (!this.vault) return row;
+    try {
+      return await this.vault.decryptRow(row);
+    } catch (err) {
+      console.error("[Journal] Decrypt entry failed:", err);
+      return { ...row, content: "", unreadable: true };
+    }
+  }
+
+  /**
+   * Prompts for the day's SineDay: write to one (inserted as a heading at the
+   * cursor), skip it for now, or pin it so it is offered first. The library
+   * editor below adds the user's own prompts for every day or one SineDay.
+   */
+  _buildPromptPanel(entry, sineday, textarea, indicator) {
+    if (!sineday) return null;
+    const key = entryKey(entry.profile_id, entry.entry_date);
+    const library = this.promptLibrary;
+
+    const section = el("section", "journal-prompts");
+    section.setAttribute("aria-labelledby", "journal-prompts-title");
+    const header = el("div", "journal-prompts__header");
+    const title = el("h3", "journal-prompts__title");
+    title.id = "journal-prompts-title";
+    title.textContent = `Prompts for Day ${sineday}`;
+    header.append(title);
+    const list = el("ul", "journal-prompts__list");
+    section.append(header, list);
+
+    let editor = null;
+    if (library) {
+      const toggle = el("button", "journal-prompts__library-toggle");
+      toggle.type = "button";
+      toggle.textContent = "Your prompts";
+      toggle.setAttribute("aria-expanded", "false");
+      editor = this._buildPromptLibraryEditor(sineday);
+      editor.root.hidden = true;
+      toggle.setAttribute("aria-controls", editor.root.id);
+      toggle.addEventListener("click", () => {
+        editor.root.hidden = !editor.root.hidden;
+        toggle.setAttribute("aria-expanded", String(!editor.root.hidden));
+        if (!editor.root.hidden) editor.focus();
+      });
+      header.append(toggle);
+      section.append(editor.root);
+    }
+
+    const usePrompt = (prompt) => {
+      const position = document.activeElement === textarea ? textarea.selectionStart : textarea.value.length;
+      const { content, cursor } = insertPromptHeading(textarea.value, prompt.text, position);
+      textarea.value = content;
+      entry.content = content;
+      entry.prompt_ids = [...new Set([...(entry.prompt_ids || []), prompt.id])];
+      this._cacheEntry(entry);
+      this._queueSave(entry, indicator);
+      textarea.focus({ preventScroll: true });
+      textarea.setSelectionRange(cursor, cursor);
+      refresh();
+    };
+
+    const refresh = () => {
+      const skipped = this.skippedPrompts.get(key) || new Set();
+      const answered = new Set(entry.prompt_ids || []);
+      const prompts = pickDailyPrompts({
+        day: sineday,
+        date: entry.entry_date,
+        library: library?.library,
+        skipped: [...skipped],
+      });
+      list.replaceChildren();
+      if (!prompts.length) {
+        const done = el("li", "journal-prompts__empty");
+        done.textContent = "No more prompts for today — the page is yours.";
+        list.append(done);
+      }
+      for (const prompt of prompts) {
+        const item = el("li", "journal-prompts__item");
+        item.classList.toggle("is-pinned", prompt.pinned);
+        item.classList.toggle("is-answered", answered.has(prompt.id));
+        const text = el("p", "journal-prompts__text");
+        text.textContent = prompt.text;
+        const actions = el("div", "journal-prompts__actions");
+
+        const use = el("button", "journal-prompts__use");
+        use.type = "button";
+        use.textContent = answered.has(prompt.id) ? "Answered" : "Write to this";
+        use.disabled = answered.has(prompt.id);
+        use.setAttribute("aria-label", `Add “${prompt.text}” as a heading in your entry`);
+        use.addEventListener("click", () => usePrompt(prompt));
+
+        const skip = el("button", "journal-prompts__skip");
+        skip.type = "button";
+        skip.textContent = "Skip";
+        skip.setAttribute("aria-label", `Skip “${prompt.text}”`);
+        skip.addEventListener("click", () => {
+          this.skippedPrompts.set(key, new Set([...skipped, prompt.id]));
+          refresh();
+          list.querySelector(".journal-prompts__use:not(:disabled)")?.focus({ preventScroll: true });
+        });
+        actions.append(use, skip);
+
+        if (library) {
+          const pin = el("button", "journal-prompts__pin");
+          pin.type = "button";
+          pin.textContent = prompt.pinned ? "★" : "☆";
+          pin.setAttribute("aria-pressed", String(prompt.pinned));
+          pin.setAttribute("aria-label", prompt.pinned ? `Unpin “${prompt.text}”` : `Pin “${prompt.text}” as a favorite`);
+          pin.addEventListener("click", () => {
+            library.togglePin(prompt.id).catch(() => {
+              this._setIndicator(indicator, "Could not save your pinned prompts.", true);
+            });
+          });
+          actions.append(pin);
+        }
+
+        item.append(text, actions);
+        list.append(item);
+      }
+      editor?.refresh();
+    };
+
+    refresh();
+    this._refreshPrompts = refresh;
+    return section;
+  }
+
+  _buildPromptLibraryEditor(sineday) {
+    const library = this.promptLibrary;
+    const root = el("div", "journal-prompts__library");
+    root.id = "journal-prompts-library";
+    const list = el("ul", "journal-prompts__library-list");
+
+    const form = el("form", "journal-prompts__form");
+    const textLabel = el("label", "journal-prompts__field");
+    const textCopy = el("span", "");
+    textCopy.textContent = "Prompt";
+    const input = el("input", "");
+    input.type = "text";
+    input.name = "text";
+    input.maxLength = JOURNAL_PROMPT_MAX_LENGTH;
+    input.required = true;
+    input.placeholder = "What gave me energy today?";
+    textLabel.append(textCopy, input);
+
+    const dayLabel = el("label", "journal-prompts__field");
+    const dayCopy = el("span", "");
+    dayCopy.textContent = "Offer on";
+    const daySelect = el("select", "");
+    daySelect.name = "day";
+    const every = el("option", "");
+    every.value = "";
+    every.textContent = "Every day";
+    daySelect.append(every);
+    for (let day = 1; day <= 18; day++) {
+      const option = el("option", "");
+      option.value = String(day);
+      option.textContent = `Day ${day}`;
+      daySelect.append(option);
+    }
+    dayLabel.append(dayCopy, daySelect);
+
+    const submit = el("button", "journal-prompts__save");
+    submit.type = "submit";
+    const cancel = el("button", "journal-prompts__cancel");
+    cancel.type = "button";
+    cancel.textContent = "Cancel";
+    const status = el("p", "journal-prompts__status");
+    status.setAttribute("role", "status");
+    status.setAttribute("aria-live", "polite");
+    form.append(textLabel, dayLabel, submit, cancel);
+
+    let editingId = null;
+    const resetForm = () => {
+      editingId = null;
+      input.value = "";
+      daySelect.value = String(sineday);
+      submit.textContent = "Add prompt";
+      cancel.hidden = true;
+    };
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const text = input.value.trim();
+      const days = daySelect.value ? [Number(daySelect.value)] : [];
+      let saving;
+      try {
+        saving = editingId ? library.updatePrompt(editingId, { text, days }) : library.addPrompt({ text, days });
+      } catch (err) {
+        status.textContent = err.message;
+        return;
+      }
+      status.textContent = "";
+      resetForm();
+      saving.catch(() => {
+        status.textContent = "Your prompts could not be saved.";
+      });
+    });
+    cancel.addEventListener("click", resetForm);
+
+    const refresh = () => {
+      list.replaceChildren();
+      const prompts = library.library.custom.filter((prompt) => !prompt.archived);
+      if (!prompts.length) {
+        const empty = el("li", "journal-prompts__empty");
+        empty.textContent = "Add questions you want to come back to. They join the day’s prompts.";
+        list.append(empty);
+      }
+      for (const prompt of prompts) {
+        const item = el("li", "journal-prompts__library-item");
+        const copy = el("span", "journal-prompts__library-copy");
+        const text = el("strong", "");
+        text.textContent = prompt.text;
+        const days = el("small", "");
+        days.textContent = prompt.days.length ? prompt.days.map((day) => `Day ${day}`).join(", ") : "Every day";
+        copy.append(text, days);
+        const edit = el("button", "journal-prompts__skip");
+        edit.type = "button";
+        edit.textContent = "Edit";
+        edit.setAttribute("aria-label", `Edit “${prompt.text}”`);
+        edit.addEventListener("click", () => {
+          editingId = prompt.id;
+          input.value = prompt.text;
+          daySelect.value = prompt.days.length === 1 ? String(prompt.days[0]) : "";
+          submit.textContent = "Save prompt";
+          cancel.hidden = false;
+          input.focus();
+        });
+        const remove = el("button", "journal-prompts__skip");
+        remove.type = "button";
+        remove.textContent = "Remove";
+        remove.setAttribute("aria-label", `Remove “${prompt.text}”`);
+        remove.addEventListener("click", () => {
+          if (editingId === prompt.id) resetForm();
+          library.removePrompt(prompt.id).catch(() => {
+            status.textContent = "Your prompts could not be saved.";
+          });
+        });
+        item.append(copy, edit, remove);
+        list.append(item);
+      }
+    };
+
+    resetForm();
+    root.append(list, form, status);
+    return { root, refresh, focus: () => input.focus() };
+  }
+
+  /**
+   * Energy (1–5), mood and tags for the day. Each change saves right away,
+   * like the felt duck; tags suggest ones this profile has used before.
+   */
+  _buildSignalsPanel(entry, indicator) {
+    const section = el("section", "journal-signals");
+    section.setAttribute("aria-label", "Energy, mood and tags");
+    const save = () => {
+      this._cacheEntry(entry);
+      this._flushSave(entry, indicator);
+    };
+
+    const choiceGroup = (labelText, options, selected, onPick) => {
+      const group = el("div", "journal-signals__group");
+      const label = el("span", "journal-signals__label");
+      label.id = `journal-signals-${labelText.toLowerCase()}`;
+      label.textContent = labelText;
+      const choices = el("div", "journal-signals__choices");
+      choices.setAttribute("role", "group");
+      choices.setAttribute("aria-labelledby", label.id);
+      const buttons = options.map((option) => {
+        const button = el("button", "journal-signals__choice");
+        button.type = "button";
+        button.dataset.value = String(option.value);
+        button.textContent = option.text;
+        button.setAttribute("aria-label", option.label);
+        const isSelected = selected() === option.value;
+        button.classList.toggle("is-selected", isSelected);
+        button.setAttribute("aria-pressed", String(isSelected));
+        button.addEventListener("click", () => {
+          const next = selected() === option.value ? null : option.value;
+          onPick(next);
+          for (const other of buttons) {
+            const pressed = other.dataset.value === String(next);
+            other.classList.toggle("is-selected", pressed);
+            other.setAttribute("aria-pressed", String(pressed));
+          }
+          save();
+        });
+        return button;
+      });
+      choices.append(...buttons);
+      group.append(label, choices);
+      return group;
+    };
+
+    const energy = choiceGroup(
+      "Energy",
+      JOURNAL_ENERGY_LEVELS.map(({ value, label }) => ({ value, text: String(value), label: `Energy ${value}, ${label}` })),
+      () => entry.energy ?? null,
+      (value) => {
+        entry.energy = value;
+      }
+    );
+    energy.classList.add("journal-signals__group--energy");
+    const mood = choiceGroup(
+      "Mood",
+      JOURNAL_MOODS.map(({ value, label }) => ({ value, text: label, label })),
+      () => entry.mood || null,
+      (value) => {
+        entry.mood = value;
+      }
+    );
+
+    const tagsGroup = el("div", "journal-signals__group");
+    const tagsLabel = el("label", "journal-signals__label");
+    tagsLabel.textContent = "Tags";
+    const tagList = el("ul", "journal-signals__tags");
+    tagList.setAttribute("aria-label", "Tags on this day");
+    const tagInput = el("input", "journal-signals__tag-input");
+    tagInput.type = "text";
+    tagInput.id = "journal-tag-input";
+    tagInput.maxLength = JOURNAL_TAG_MAX_LENGTH;
+    tagInput.autocomplete = "off";
+    tagInput.setAttribute("list", "journal-tag-suggestions");
+    tagsLabel.htmlFor = tagInput.id;
+    const suggestions = el("datalist", "");
+    suggestions.id = "journal-tag-suggestions";
+    let known = [];
+
+    const syncSuggestions = () => {
+      suggestions.replaceChildren(
+        ...suggestJournalTags(known, tagInput.value, { exclude: entry.tags }).map((tag) => {
+          const option = el("option", "");
+          option.value = tag;
+          return option;
+        })
+      );
+    };
+
+    const setTags = (tags) => {
+      entry.tags = tags;
+      renderTags();
+      syncSuggestions();
+      save();
+    };
+
+    const renderTags = () => {
+      tagList.replaceChildren();
+      for (const tag of entry.tags || []) {
+        const item = el("li", "journal-signals__tag");
+        const text = el("span", "");
+        text.textContent = `#${tag}`;
+        const remove = el("button", "journal-signals__tag-remove");
+        remove.type = "button";
+        remove.textContent = "×";
+        remove.setAttribute("aria-label", `Remove tag ${tag}`);
+        remove.addEventListener("click", () => {
+          setTags((entry.tags || []).filter((other) => other !== tag));
+          tagInput.focus();
+        });
+        item.append(text, remove);
+        tagList.append(item);
+      }
+      const full = (entry.tags || []).length >= JOURNAL_TAGS_PER_ENTRY_MAX;
+      tagInput.disabled = full;
+      tagInput.placeholder = full ? "Tag limit reached" : "Add a tag";
+    };
+
+    const addTags = (value) => {
+      const before = entry.tags || [];
+      const next = normalizeTags([...before, ...String(value).split(",")]);
+      tagInput.value = "";
+      if (next.length === before.length) return;
+      for (const tag of next) {
+        if (!known.some((item) => item.tag === tag)) known.push({ tag, count: 1 });
+      }
+      setTags(next);
+    };
+
+    tagInput.addEventListener("keydown", (event) => {
+      if ((event.key === "Enter" || event.key === ",") && normalizeTag(tagInput.value)) {
+        event.preventDefault();
+        addTags(tagInput.value);
+      } else if (event.key === "Backspace" && !tagInput.value && (entry.tags || []).length) {
+        setTags(entry.tags.slice(0, -1));
+      }
+    });
+    // Typing a comma ends a tag; picking a suggestion fires change.
+    tagInput.addEventListener("input", () => {
+      if (tagInput.value.includes(",")) addTags(tagInput.value);
+      else syncSuggestions();
+    });
+    tagInput.addEventListener("change", () => {
+      if (normalizeTag(tagInput.value)) addTags(tagInput.value);
+    });
+
+    this._loadKnownTags(entry.profile_id).then((list) => {
+      known = list;
+      syncSuggestions();
+    });
+    renderTags();
+    tagsGroup.append(tagsLabel, tagList, tagInput, suggestions);
+
+    section.append(energy, mood, tagsGroup);
+    return section;
+  }
+
+  /** Tag counts for a profile, loaded once; empty when they cannot be read. */
+  _loadKnownTags(profileId) {
+    if (!this.knownTags.has(profileId)) {
+      const load = (async () => {
+        if (!this.supabaseClient) return [];
+        const { data, error } = await this.supabaseClient
+          .from("journal_entries")
+          .select("tags")
+          .eq("profile_id", profileId)
+          .neq("tags", "{}")
+          .order("entry_date", { ascending: false })
+          .limit(KNOWN_TAGS_ROWS);
+        if (error) throw error;
+        return countJournalTags(data);
+      })().catch((err) => {
+        console.error("[Journal] Load tags failed:", err);
+        this.knownTags.delete(profileId);
+        return [];
+      });
+      this.knownTags.set(profileId, load);
+    }
+    return this.knownTags.get(profileId);
+  }
+
+  /**
+   * "On this SineDay" — entries from the same day in earlier cycles and
+   * years, and earlier answers to the prompts this entry answered.
+   */
+  _buildRecallPanel(profileId, ymd, sineday, promptIds, gen) {
+    const answered = Array.isArray(promptIds) ? promptIds : [];
+    if (!this.supabaseClient || (!this.recallCycles && !this.recallYears && !answered.length)) return null;
+
+    const panel = el("section", "journal-recall");
+    panel.setAttribute("aria-labelledby", "journal-recall-title");
+    const heading = el("h3", "journal-recall__title");
+    heading.id = "journal-recall-title";
+    heading.textContent = "On this SineDay";
+    const body = el("div", "journal-recall__body");
+    body.setAttribute("aria-busy", "true");
+    const loading = el("p", "journal-recall__note");
+    loading.textContent = "Looking back…";
+    body.append(loading);
+    panel.append(heading, body);
+
+    this._loadRecall(profileId, ymd, answered).then((recall) => {
+      if (gen !== this._renderGen) return;
+      body.removeAttribute("aria-busy");
+      body.replaceChildren();
+      if (!recall) {
+        const note = el("p", "journal-recall__note");
+        note.textContent = "Past entries could not be loaded.";
+        body.append(note);
+        return;
+      }
+      if (!recall.sameSineDay.length && !recall.sameDate.length && !recall.samePrompt.length) {
+        const note = el("p", "journal-recall__note");
+        note.textContent = this.recallCycles
+          ? `Nothing from Day ${sineday} in the last ${this.recallCycles === 1 ? "cycle" : `${this.recallCycles} cycles`} yet.`
+          : "Nothing from this date in earlier years yet.";
+        body.append(note);
+        return;
+      }
+      if (recall.sameSineDay.length) {
+        body.append(
+          this._buildRecallGroup(
+            `Day ${sineday} in earlier cycles`,
+            recall.sameSineDay.map((item) => ({
+              ...item,
+              ago: item.cyclesAgo === 1 ? "Last cycle" : `${item.cyclesAgo} cycles ago`,
+            }))
+          )
+        );
+      }
+      if (recall.sameDate.length) {
+        body.append(
+          this._buildRecallGroup(
+            "On this date",
+            recall.sameDate.map((item) => ({
+              ...item,
+              ago: item.yearsAgo === 1 ? "Last year" : `${item.yearsAgo} years ago`,
+            }))
+          )
+        );
+      }
+      for (const { promptId, answers } of recall.samePrompt) {
+        const text = resolvePromptText(promptId, this.promptLibrary?.library) || "A prompt you removed";
+        body.append(
+          this._buildRecallGroup(
+            `Earlier answers to “${text}”`,
+            answers.map((item) => ({
+              ...item,
+              ago: item.entry.actual_sineday ? `On Day ${item.entry.actual_sineday}` : "Earlier",
+            }))
+          )
+        );
+      }
+    });
+
+    return panel;
+  }
+
+  _buildRecallGroup(title, items) {
+    const group = el("div", "journal-recall__group");
+    const heading = el("h4", "journal-recall__group-title");
+    heading.textContent = title;
+    const list = el("ul", "journal-recall__list");
+    const dateFormat = new Intl.DateTimeFormat(this.locale, {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+
+    for (const { date, ago, entry } of items) {
+      const item = el("li", "journal-recall__item");
+      const button = el("button", "journal-recall__link");
+      button.type = "button";
+      const meta = el("span", "journal-recall__meta");
+      const when = el("strong", "");
+      when.textContent = dateFormat.format(utcDateFromYmd(date));
+      const agoEl = el("span", "");
+      agoEl.textContent = ago;
+      meta.append(when, agoEl);
+      if (entry.felt_sineday) {
+        const felt = el("span", "journal-recall__felt");
+        felt.textContent = `Felt like Day ${entry.felt_sineday}`;
+        meta.append(felt);
+      }
+      const excerpt = el("span", "journal-recall__excerpt");
+      excerpt.textContent =
+        entry.excerpt || (entry.encrypted ? "Encrypted entry" : entry.hasImage ? "Photo only" : "No words that day");
+      button.append(meta, excerpt);
+      button.setAttribute("aria-label", `${ago}, ${when.textContent}: ${excerpt.textContent}`);
+      button.addEventListener("click", () => this.setDate(date));
+      item.append(button);
+      list.append(item);
+    }
+
+    group.append(heading, list);
+    return group;
+  }
+
+  async _loadRecall(profileId, ymd, promptIds = []) {
+    const dates = buildJournalRecallDates(ymd, { cycles: this.recallCycles, years: this.recallYears });
+    const lookup = recallLookupDates(dates);
+    const columns = "entry_date, actual_sineday, felt_sineday, content, image_path, prompt_ids";
+    const openRows = async (query) => {
+      const { data, error } = await query;
+      if (error) throw error;
+      return Promise.all((data || []).map((row) => this._openEntry(row)));
+    };
+    try {
+      const [rows, promptRows] = await Promise.all([
+        lookup.length
+          ? openRows(
+              this.supabaseClient.from("journal_entries").select(columns).eq("profile_id", profileId).in("entry_date", lookup)
+            )
+          : [],
+        promptIds.length
+          ? openRows(
+              this.supabaseClient
+                .from("journal_entries")
+                .select(columns)
+                .eq("profile_id", profileId)
+                .overlaps("prompt_ids", promptIds)
+                .lt("entry_date", ymd)
+                .order("entry_date", { ascending: false })
+                .limit(promptIds.length * JOURNAL_RECALL_PROMPT_ANSWERS)
+            )
+          : [],
+      ]);
+      return {
+        ...buildJournalRecall(rows, dates),
+        samePrompt: buildPromptRecall(promptRows, promptIds, { before: ymd }),
+      };
+    } catch (err) {
+      console.error("[Journal] Load recall failed:", err);
+      return null;
+    }
+  }
+
   _buildImageSection(entry, indicator) {
     const section = el("section", "journal__image");
-    section.hidden = !entry.image_path;
+    section.hidden = !normalizeJournalImages(entry).length;
     const heading = el("div", "journal__image-heading");
-    heading.textContent = "Memory photo";
+    heading.textContent = "Photos";
 
     const input = document.createElement("input");
     input.type = "file";
-    input.accept = "image/jpeg,image/png,image/webp,image/gif";
+    input.multiple = true;
+    input.accept = JOURNAL_IMAGE_INPUT_TYPES.join(",");
     input.className = "journal__image-input sr-only";
     input.tabIndex = -1;
-    input.setAttribute("aria-label", "Upload journal image");
-
-    const preview = el("div", "journal__image-preview");
-    this._renderImagePreview(preview, entry);
+    input.setAttribute("aria-label", "Upload journal photos");
 
-    const actions = el("div", "journal__image-actions");
+    const gallery = el("ol", "journal__gallery");
+    gallery.setAttribute("aria-label", "Photos for this day");
 
     input.addEventListener("change", async () => {
-      const file = input.files?.[0];
-      if (!file) return;
-      await this._uploadImage(entry, file, indicator, preview, actions, section);
+      const files = Array.from(input.files || []);
       input.value = "";
+      if (!files.length) return;
+      await this._addImages(entry, files, indicator, gallery, section);
     });
 
-    section.append(heading, preview, actions);
-    this._syncImageActions(actions, entry, indicator, preview);
+    section.append(heading, gallery);
+    this._renderGallery(gallery, entry, indicator, section);
     return { section, input };
   }
 
-  _syncImageActions(actionsEl, entry, indicator, previewEl) {
-    actionsEl.innerHTML = "";
-    if (!entry.image_path) return;
+  _revokeImageUrls() {
+    for (const url of this._imageUrls) URL.revokeObjectURL(url);
+    this._imageUrls = [];
+  }
 
-    const removeBtn = el("button", "journal__image-remove");
-    removeBtn.type = "button";
-    removeBtn.textContent = "Remove photo";
-    removeBtn.setAttribute("aria-label", "Remove memory photo");
-    removeBtn.addEventListener("click", () => {
-      this._removeImage(
-        entry,
-        indicator,
-        previewEl,
-        actionsEl,
-        actionsEl.closest(".journal__image")
+  /** Viewable URLs by path: signed URLs, or decrypted object URLs for sealed photos. */
+  async _loadImageUrls(images) {
+    const urls = new Map();
+    const plain = images.filter((image) => !encryptedImageKeyId(image.path)).map((image) => image.path);
+    if (plain.length) {
+      const { data, error } = await this.supabaseClient.storage
+        .from(IMAGE_BUCKET)
+        .createSignedUrls(plain, 60 * 15);
+      if (error) throw error;
+      for (const item of data || []) {
+        if (item?.signedUrl) urls.set(item.path, item.signedUrl);
+      }
+    }
+    for (const image of images) {
+      if (!encryptedImageKeyId(image.path)) continue;
+      try {
+        // A signed URL would serve ciphertext; decrypt into a local object URL.
+        const bytes = await this.vault.downloadImage(image.path);
+        const url = URL.createObjectURL(new Blob([bytes], { type: image.mime_type || "image/jpeg" }));
+        this._imageUrls.push(url);
+        urls.set(image.path, url);
+      } catch (err) {
+        console.error("[Journal] Decrypt photo failed:", err);
+      }
+    }
+    return urls;
+  }
+
+  async _renderGallery(galleryEl, entry, indicator, sectionEl, { focus = null } = {}) {
+    const gen = ++this._galleryGen;
+    const images = normalizeJournalImages(entry);
+    entry.images = images;
+    this._revokeImageUrls();
+    galleryEl.replaceChildren();
+    this._syncImagePresentation(entry, sectionEl);
+    if (!images.length) return;
+
+    const thumbs = new Map();
+    images.forEach((image, index) => {
+      const item = el("li", "journal__gallery-item");
+      const frame = el("div", "journal__gallery-frame");
+      const img = document.createElement("img");
+      img.className = "journal__image-thumb";
+      img.alt = image.caption || `Photo ${index + 1}`;
+      img.loading = "lazy";
+      if (image.width && image.height) {
+        img.width = image.width;
+        img.height = image.height;
+      }
+      frame.append(img);
+      thumbs.set(image.path, img);
+
+      const caption = document.createElement("input");
+      caption.type = "text";
+      caption.className = "journal__gallery-caption";
+      caption.maxLength = JOURNAL_CAPTION_MAX_LENGTH;
+      caption.placeholder = "Add a caption";
+      caption.value = image.caption;
+      caption.setAttribute("aria-label", `Caption for photo ${index + 1}`);
+      caption.addEventListener("input", () => {
+        const target = entry.images.find((candidate) => candidate.path === image.path);
+        if (!target) return;
+        target.caption = caption.value;
+        img.alt = caption.value || `Photo ${index + 1}`;
+        this._cacheEntry(entry);
+        this._queueSave(entry, indicator);
+      });
+
+      const actions = el("div", "journal__image-actions");
+      const earlier = el("button", "journal__gallery-move");
+      earlier.type = "button";
+      earlier.textContent = "←";
+      earlier.disabled = index === 0;
+      earlier.dataset.journalMove = `${image.path}:earlier`;
+      earlier.setAttribute("aria-label", `Move photo ${index + 1} earlier`);
+      earlier.addEventListener("click", () =>
+        this._moveImage(entry, index, index - 1, indicator, galleryEl, sectionEl, earlier.dataset.journalMove)
       );
+      const later = el("button", "journal__gallery-move");
+      later.type = "button";
+      later.textContent = "→";
+      later.disabled = index === images.length - 1;
+      later.dataset.journalMove = `${image.path}:later`;
+      later.setAttribute("aria-label", `Move photo ${index + 1} later`);
+      later.addEventListener("click", () =>
+        this._moveImage(entry, index, index + 1, indicator, galleryEl, sectionEl, later.dataset.journalMove)
+      );
+      const removeBtn = el("button", "journal__image-remove");
+      removeBtn.type = "button";
+      removeBtn.textContent = "Remove";
+      removeBtn.setAttribute("aria-label", `Remove photo ${index + 1}`);
+      removeBtn.addEventListener("click", () =>
+        this._removeImage(entry, image.path, indicator, galleryEl, sectionEl)
+      );
+      actions.append(earlier, later, removeBtn);
+
+      item.append(frame, caption, actions);
+      galleryEl.append(item);
     });
-    actionsEl.append(removeBtn);
-  }
 
-  async _renderImagePreview(previewEl, entry) {
-    previewEl.innerHTML = "";
-    if (!entry.image_path) {
-      const empty = el("div", "journal__image-empty");
-      empty.textContent = "No image attached.";
-      previewEl.append(empty);
-      return;
+    if (focus) {
+      const target = Array.from(galleryEl.querySelectorAll("[data-journal-move]")).find(
+        (button) => button.dataset.journalMove === focus && !button.disabled
+      );
+      (target || galleryEl.querySelector(".journal__image-remove"))?.focus({ preventScroll: true });
     }
 
-    const img = document.createElement("img");
-    img.alt = "Journal attachment";
-    img.loading = "lazy";
-    img.className = "journal__image-thumb";
-
     try {
-      const { data, error } = await this.supabaseClient.storage
-        .from(IMAGE_BUCKET)
-        .createSignedUrl(entry.image_path, 60 * 15);
-      if (error || !data?.signedUrl) throw error || new Error("Missing signed URL");
-      img.src = data.signedUrl;
-      previewEl.append(img);
+      const urls = await this._loadImageUrls(images);
+      if (gen !== this._galleryGen) return;
+      for (const [path, img] of thumbs) {
+        const url = urls.get(path);
+        if (url) img.src = url;
+        else img.replaceWith(Object.assign(el("div", "journal__image-empty"), { textContent: "Photo could not be loaded." }));
+      }
     } catch (err) {
-      const errorEl = el("div", "journal__image-empty");
-      errorEl.textContent = "Image preview could not be loaded.";
-      previewEl.append(errorEl);
+      if (gen !== this._galleryGen) return;
+      console.error("[Journal] Load photos failed:", err);
+      for (const img of thumbs.values()) {
+        img.replaceWith(Object.assign(el("div", "journal__image-empty"), { textContent: "Photo could not be loaded." }));
+      }
     }
   }
 
-  async _uploadImage(entry, file, indicator, previewEl, actionsEl, sectionEl) {
-    if (!this.supabaseClient || !this.userId || !this.ownerProfile) return;
+  /** Processes picked photos in the browser (resize, WebP, no metadata), uploads them and adds them to the gallery. */
+  async _addImages(entry, files, indicator, galleryEl, sectionEl) {
+    if (!this.supabaseClient || !this.userId || !this.profile) return;
 
-    if (!ALLOWED_IMAGE_TYPES.has(file.type)) {
-      this._setIndicator(indicator, "Use JPEG, PNG, WebP, or GIF.", true);
-      return;
-    }
-    if (file.size > 8 * 1024 * 1024) {
-      this._setIndicator(indicator, "Image must be 8 MB or less.", true);
+    const room = JOURNAL_MAX_IMAGES - normalizeJournalImages(entry).length;
+    if (room <= 0) {
+      this._setIndicator(indicator, `A day holds up to ${JOURNAL_MAX_IMAGES} photos.`, true);
       return;
     }
-
-    const previousPath = entry.image_path;
-    this._setIndicator(indicator, "Uploading image…");
-    const ext = safeExt(file);
-    const path = `${this.userId}/${this.ownerProfile.id}/${entry.entry_date}/${crypto.randomUUID()}.${ext}`;
-
-    try {
-      const { error } = await this.supabaseClient.storage
-        .from(IMAGE_BUCKET)
-        .upload(path, file, {
-          contentType: file.type,
-          upsert: false,
+    const accepted = files.slice(0, room);
+    const directory = `${this.userId}/${entry.profile_id}/${entry.entry_date}/`;
+    const skipped = files.length - accepted.length;
+    const added = [];
+    let failed = 0;
+
+    for (const [index, file] of accepted.entries()) {
+      if (!JOURNAL_IMAGE_INPUT_TYPES.includes(file.type) || file.size > JOURNAL_IMAGE_MAX_SOURCE_BYTES) {
+        failed++;
+        continue;
+      }
+      this._setIndicator(
+        indicator,
+        accepted.length > 1 ? `Uploading photo ${index + 1} of ${accepted.length}…` : "Uploading photo…"
+      );
+      try {
+        const prepared = await prepareJournalImage(file);
+        const encrypt = !!this.vault?.enabled;
+        const path = encrypt
+          ? this.vault.encryptedImagePath(directory, crypto.randomUUID())
+          : `${directory}${crypto.randomUUID()}.${imageExtensionForType(prepared.mimeType)}`;
+        const body = encrypt
+          ? await this.vault.encryptBytes(new Uint8Array(await prepared.blob.arrayBuffer()))
+          : prepared.blob;
+        const { error } = await this.supabaseClient.storage
+          .from(IMAGE_BUCKET)
+          .upload(path, body, {
+            contentType: encrypt ? JOURNAL_ENCRYPTED_IMAGE_TYPE : prepared.mimeType,
+            upsert: false,
+          });
+        if (error) throw error;
+        added.push({
+          path,
+          mime_type: prepared.mimeType,
+          size: prepared.blob.size,
+          width: prepared.width,
+          height: prepared.height,
+          caption: "",
         });
-      if (error) throw error;
+      } catch (err) {
+        console.error("[Journal] Photo upload failed:", err);
+        failed++;
+      }
+    }
 
-      entry.image_path = path;
-      entry.image_mime_type = file.type;
-      entry.image_size = file.size;
+    if (added.length) {
+      entry.images = [...normalizeJournalImages(entry), ...added];
       this._cacheEntry(entry);
-      await this._saveEntry(entry);
-
-      if (previousPath && previousPath !== path) {
-        await this.supabaseClient.storage.from(IMAGE_BUCKET).remove([previousPath]);
+    }
+    try {
+      const status = added.length ? await this._saveEntry(entry) : null;
+      await this._renderGallery(galleryEl, entry, indicator, sectionEl);
+      if (failed) {
+        this._setIndicator(indicator, `${failed} ${failed === 1 ? "photo" : "photos"} could not be added.`, true);
+      } else if (skipped) {
+        this._setIndicator(indicator, `A day holds up to ${JOURNAL_MAX_IMAGES} photos; ${skipped} skipped.`, true);
+      } else if (status) {
+        this._showSyncState(indicator, entry);
+      } else {
+        this._setIndicator(indicator, added.length > 1 ? "Photos saved" : "Photo saved");
       }
-
-      await this._renderImagePreview(previewEl, entry);
-      this._syncImageActions(actionsEl, entry, indicator, previewEl);
-      this._syncImagePresentation(entry, sectionEl);
-      this._setIndicator(indicator, "Photo saved");
     } catch (err) {
-      console.error("[Journal] Image upload failed:", err);
-      this._setIndicator(
-        indicator,
-        "Image upload failed. Confirm the journal-images bucket is configured.",
-        true
-      );
+      console.error("[Journal] Save photos failed:", err);
+      this._setIndicator(indicator, "Could not save.", true);
     }
   }
 
-  async _removeImage(entry, indicator, previewEl, actionsEl, sectionEl) {
-    if (!entry.image_path || !this.supabaseClient) return;
+  async _moveImage(entry, from, to, indicator, galleryEl, sectionEl, focus) {
+    entry.images = moveJournalImage(normalizeJournalImages(entry), from, to);
+    this._cacheEntry(entry);
+    await this._renderGallery(galleryEl, entry, indicator, sectionEl, { focus });
+    await this._flushSave(entry, indicator);
+  }
 
-    const previous = {
-      image_path: entry.image_path,
-      image_mime_type: entry.image_mime_type,
-      image_size: entry.image_size,
-    };
-    const path = previous.image_path;
-    this._setIndicator(indicator, "Removing image…");
+  async _removeImage(entry, path, indicator, galleryEl, sectionEl) {
+    if (!this.supabaseClient) return;
+    const previous = normalizeJournalImages(entry);
+    if (!previous.some((image) => image.path === path)) return;
+    this._setIndicator(indicator, "Removing photo…");
 
     try {
-      entry.image_path = null;
-      entry.image_mime_type = null;
-      entry.image_size = null;
+      entry.images = previous.filter((image) => image.path !== path);
       this._cacheEntry(entry);
-      await this._saveEntry(entry);
-      const { error: removeError } = await this.supabaseClient.storage
-        .from(IMAGE_BUCKET)
-        .remove([path]);
-      if (removeError) {
-        console.warn("[Journal] Removed photo from entry but storage cleanup failed:", removeError);
-      }
-      await this._renderImagePreview(previewEl, entry);
-      this._syncImageActions(actionsEl, entry, indicator, previewEl);
-      this._syncImagePresentation(entry, sectionEl);
-      this._setIndicator(indicator, "Photo removed");
+      const status = await this._saveEntry(entry);
+      // Synced: the file can go now. Otherwise the server queues it for
+      // cleanup once the removal lands (see api/cron/journal-image-cleanup.js).
+      if (!status) {
+        const { error: removeError } = await this.supabaseClient.storage
+          .from(IMAGE_BUCKET)
+          .remove(removedJournalImagePaths(previous, entry.images));
+        if (removeError) {
+          console.warn("[Journal] Removed photo from entry but storage cleanup failed:", removeError);
+        }
+      }
+      await this._renderGallery(galleryEl, entry, indicator, sectionEl, { focus: "remove" });
+      if (status) this._showSyncState(indicator, entry);
+      else this._setIndicator(indicator, "Photo removed");
     } catch (err) {
-      Object.assign(entry, previous);
+      entry.images = previous;
       this._cacheEntry(entry);
-      console.error("[Journal] Image remove failed:", err);
-      this._setIndicator(indicator, "Could not remove image.", true);
+      console.error("[Journal] Photo remove failed:", err);
+      this._setIndicator(indicator, "Could not remove photo.", true);
     }
   }
 
   _syncImagePresentation(entry, sectionEl) {
-    if (sectionEl) sectionEl.hidden = !entry.image_path;
+    const count = normalizeJournalImages(entry).length;
+    if (sectionEl) sectionEl.hidden = !count;
     const photoTool = this.mountEl.querySelector("[data-journal-photo-action]");
     if (!photoTool) return;
-    const title = photoTool.querySelector("strong");
-    const helper = photoTool.querySelector("small");
-    if (title) title.textContent = entry.image_path ? "Replace photo" : "Add memory photo";
-    if (helper) {
-      helper.textContent = entry.image_path
-        ? "One photo attached"
-        : "Keep one image from the day";
-    }
-    photoTool.setAttribute(
-      "aria-label",
-      entry.image_path ? "Replace memory photo" : "Add memory photo"
-    );
+    const { title, helper, label } = photoToolCopy(count);
+    const titleEl = photoTool.querySelector("strong");
+    const helperEl = photoTool.querySelector("small");
+    if (titleEl) titleEl.textContent = title;
+    if (helperEl) helperEl.textContent = helper;
+    photoTool.setAttribute("aria-label", label);
+    photoTool.disabled = count >= JOURNAL_MAX_IMAGES;
   }
 
   _getEntry(profileId, ymd, actualSineday) {
@@ -680,10 +1626,12 @@ export class JournalUI {
       entry_date: ymd,
       actual_sineday: actualSineday,
       felt_sineday: null,
+      energy: null,
+      mood: null,
+      tags: [],
       content: "",
-      image_path: null,
-      image_mime_type: null,
-      image_size: null,
+      images: [],
+      prompt_ids: [],
     };
     this.entryCache.set(key, entry);
     return entry;
@@ -696,34 +1644,53 @@ export class JournalUI {
   async _loadEntry(profileId, ymd) {
     if (!this.supabaseClient) return;
     const key = entryKey(profileId, ymd);
-    if (
-      this.saveTimers.has(key) ||
-      this._saveInFlight.has(key) ||
-      this._saveQueued.has(key)
-    ) {
-      return;
-    }
+    if (this.saveTimers.has(key)) return;
     try {
       const { data, error } = await this.supabaseClient
         .from("journal_entries")
-        .select(
-          "id, user_id, profile_id, entry_date, actual_sineday, felt_sineday, content, image_path, image_mime_type, image_size, created_at, updated_at"
-        )
+        .select(ENTRY_COLUMNS)
         .eq("profile_id", profileId)
         .eq("entry_date", ymd)
         .maybeSingle();
 
       if (error) throw error;
-      if (data) this._cacheEntry(data);
+      if (data) this._cacheEntry(await this._openEntry(data));
     } catch (err) {
       console.error("[Journal] Load entry failed:", err);
     }
+    await this._overlayPendingEntry(profileId, ymd);
+  }
+
+  /** Unsynced outbox edits win over the server copy until they land. */
+  async _overlayPendingEntry(profileId, ymd) {
+    if (!this.outbox) return;
+    try {
+      await this.outbox.ready;
+    } catch {
+      return;
+    }
+    const pending = this.outbox.pendingFor(outboxKey(profileId, ymd));
+    if (!pending?.values) return;
+    const key = entryKey(profileId, ymd);
+    const cached = this.entryCache.get(key);
+    const entry = cached || { user_id: this.userId, profile_id: profileId, entry_date: ymd };
+    const { user_id, profile_id, entry_date, ...edits } = pending.values;
+    Object.assign(entry, await this._openEntry(edits));
+    this._cacheEntry(entry);
   }
 
   _queueSave(entry, indicator) {
     const key = entryKey(entry.profile_id, entry.entry_date);
-    this._setIndicator(indicator, "Saving…");
     if (this.saveTimers.has(key)) clearTimeout(this.saveTimers.get(key));
+    if (!entryHasPersistableContent(entry)) return;
+
+    // Queue every edit durably right away; only the network sync is debounced.
+    this._enqueueEntry(entry)
+      .then(() => this._showSyncState(indicator, entry))
+      .catch((err) => {
+        console.error("[Journal] Queue save failed:", err);
+        this._setIndicator(indicator, "Could not save.", true);
+      });
     const timerId = setTimeout(() => {
       this.saveTimers.delete(key);
       this._flushSave(entry, indicator);
@@ -742,10 +1709,10 @@ export class JournalUI {
       indicator.classList.remove("is-visible");
       return;
     }
-    this._setIndicator(indicator, "Saving…");
+    if (navigator.onLine !== false) this._setIndicator(indicator, "Syncing…");
     try {
       await this._saveEntry(entry);
-      this._setIndicator(indicator, "Saved");
+      this._showSyncState(indicator, entry);
     } catch (err) {
       console.error("[Journal] Save failed:", err);
       this._setIndicator(indicator, "Could not save.", true);
@@ -753,8 +1720,8 @@ export class JournalUI {
   }
 
   _flushCurrentEntrySync() {
-    if (!this.ownerProfile?.id || !this.currentYmd) return;
-    const key = entryKey(this.ownerProfile.id, this.currentYmd);
+    if (!this.profile?.id || !this.currentYmd) return;
+    const key = entryKey(this.profile.id, this.currentYmd);
     if (this.saveTimers.has(key)) {
       clearTimeout(this.saveTimers.get(key));
       this.saveTimers.delete(key);
@@ -766,8 +1733,8 @@ export class JournalUI {
   }
 
   async _flushCurrentEntry() {
-    if (!this.ownerProfile?.id || !this.currentYmd) return;
-    const key = entryKey(this.ownerProfile.id, this.currentYmd);
+    if (!this.profile?.id || !this.currentYmd) return;
+    const key = entryKey(this.profile.id, this.currentYmd);
     if (this.saveTimers.has(key)) {
       clearTimeout(this.saveTimers.get(key));
       this.saveTimers.delete(key);
@@ -777,73 +1744,133 @@ export class JournalUI {
     await this._saveEntry(entry);
   }
 
-  async _saveEntry(entry) {
-    if (!this.supabaseClient || !this.userId || !this.ownerProfile) return;
+  _enqueueEntry(entry) {
+    // One at a time: sealing is async, and a slow earlier keystroke must not
+    // land after a later one.
+    const run = this._enqueueChain.then(() => this._enqueueEntryNow(entry));
+    this._enqueueChain = run.catch(() => {});
+    return run;
+  }
 
-    const actual = calculateSineDayForYmd(this.ownerProfile.birthdate, entry.entry_date);
+  async _enqueueEntryNow(entry) {
+    // Not this.profile: a keystroke may be queued after switching profiles.
+    const profile = this._profileById(entry.profile_id);
+    const actual = profile ? calculateSineDayForYmd(profile.birthdate, entry.entry_date) : null;
     entry.actual_sineday = actual?.day || entry.actual_sineday || 1;
+    // Sealed before queueing, so the outbox never holds plain text either.
+    const images = normalizeJournalImages(entry);
+    const sealed = this.vault
+      ? await this.vault.sealEntryFields(entry.content, images)
+      : { content: entry.content || "", images };
+
+    return this.outbox.enqueue({
+      key: outboxKey(entry.profile_id, entry.entry_date),
+      table: "journal_entries",
+      op: "upsert",
+      values: {
+        user_id: this.userId,
+        profile_id: entry.profile_id,
+        entry_date: entry.entry_date,
+        actual_sineday: entry.actual_sineday,
+        felt_sineday: entry.felt_sineday,
+        energy: entry.energy ?? null,
+        mood: entry.mood || null,
+        tags: entry.tags || [],
+        prompt_ids: entry.prompt_ids || [],
+        ...sealed,
+      },
+      onConflict: "profile_id,entry_date",
+      match: { profile_id: entry.profile_id, entry_date: entry.entry_date },
+      select: ENTRY_COLUMNS,
+      checkUpdatedAt: true,
+      expectedUpdatedAt: entry.updated_at || null,
+    });
+  }
 
-    if (!entryHasPersistableContent(entry)) return;
+  /**
+   * Queues the entry and tries to sync it. Resolves to the outbox status
+   * ("pending", "conflict", "failed") or null once the server has it.
+   */
+  async _saveEntry(entry) {
+    if (!this.outbox || !this.userId || !this.profile) return null;
+    if (!entryHasPersistableContent(entry)) return null;
 
-    const key = entryKey(entry.profile_id, entry.entry_date);
-    if (this._saveInFlight.has(key)) {
-      this._saveQueued.add(key);
-      try {
-        await this._saveInFlight.get(key);
-      } catch (error) {
-        this._saveQueued.delete(key);
-        throw error;
-      }
-      if (this._saveQueued.delete(key)) {
-        return this._saveEntry(entry);
+    await this._enqueueEntry(entry);
+    await this.outbox.flush();
+    return this.outbox.statusFor(outboxKey(entry.profile_id, entry.entry_date));
+  }
+
+  _handleOutboxEvent({ type, record, row }) {
+    if (record?.table !== "journal_entries" || !record.match) return;
+    const { profile_id: profileId, entry_date: ymd } = record.match;
+    const entry = this.entryCache.get(entryKey(profileId, ymd));
+
+    if (type === "applied" && row) {
+      // Keep the text the user may have typed since; take the server identity.
+      if (entry) {
+        entry.id = row.id;
+        entry.created_at = row.created_at;
+        entry.updated_at = row.updated_at;
       }
-      return;
+      this.onEntrySaved?.(row);
     }
 
-    const payload = {
-      user_id: this.userId,
-      profile_id: entry.profile_id,
-      entry_date: entry.entry_date,
-      actual_sineday: entry.actual_sineday,
-      felt_sineday: entry.felt_sineday,
-      content: entry.content || "",
-      image_path: entry.image_path || null,
-      image_mime_type: entry.image_mime_type || null,
-      image_size: entry.image_size || null,
-      updated_at: new Date().toISOString(),
-    };
+    const isActive = profileId === this.profile?.id && ymd === this.currentYmd;
+    if (isActive && entry && type !== "queued") {
+      this._showSyncState(this._activeIndicator, entry);
+    }
+  }
 
-    const savePromise = (async () => {
-      const { data, error } = await this.supabaseClient
-        .from("journal_entries")
-        .upsert(payload, { onConflict: "profile_id,entry_date" })
-        .select(
-          "id, user_id, profile_id, entry_date, actual_sineday, felt_sineday, content, image_path, image_mime_type, image_size, created_at, updated_at"
-        )
-        .single();
-      if (error) throw error;
-      if (data) {
-        const hasNewerPending =
-          this._saveQueued.has(key) || this.saveTimers.has(key);
-        if (hasNewerPending) {
-          entry.id = data.id;
-          entry.created_at = data.created_at;
-          this._cacheEntry(entry);
-        } else {
-          this._cacheEntry(data);
-        }
-        this.onEntrySaved?.(data);
-      }
-    })();
+  _showSyncState(indicator, entry) {
+    if (!indicator || !this.outbox) return;
+    const pending = this.outbox.pendingFor(outboxKey(entry.profile_id, entry.entry_date));
+    this._renderConflict(pending?.status === "conflict" ? pending : null, entry);
 
-    this._saveInFlight.set(key, savePromise);
-    try {
-      await savePromise;
-    } finally {
-      this._saveInFlight.delete(key);
+    if (!pending) {
+      this._setIndicator(indicator, "Saved");
+    } else if (pending.status === "conflict") {
+      this._setIndicator(indicator, "Changed on another device", true);
+    } else if (pending.status === "failed") {
+      this._setIndicator(indicator, "Could not sync.", true);
+    } else {
+      this._setIndicator(indicator, navigator.onLine === false ? "Offline · pending sync" : "Pending sync");
     }
   }
 
+  _renderConflict(pending, entry) {
+    const box = this._activeConflict;
+    if (!box) return;
+    box.replaceChildren();
+    box.hidden = !pending;
+    if (!pending) return;
+
+    const copy = el("p", "journal__sync-conflict-copy");
+    copy.textContent = pending.remote
+      ? "This day was also edited on another device. Which version should stay?"
+      : "This entry was deleted on another device. Keep your version?";
+    const actions = el("div", "journal__sync-conflict-actions");
+    const keepMine = el("button", "journal__sync-conflict-button journal__sync-conflict-button--primary");
+    keepMine.type = "button";
+    keepMine.textContent = "Keep mine";
+    keepMine.addEventListener("click", async () => {
+      await this.outbox.resolveConflict(pending.id, "local");
+      if (pending.remote) entry.updated_at = pending.remote.updated_at;
+      await this._flushSave(entry, this._activeIndicator);
+    });
+    const useSaved = el("button", "journal__sync-conflict-button");
+    useSaved.type = "button";
+    useSaved.textContent = pending.remote ? "Use the other version" : "Discard mine";
+    useSaved.addEventListener("click", async () => {
+      await this.outbox.resolveConflict(pending.id, "remote");
+      const key = entryKey(entry.profile_id, entry.entry_date);
+      if (pending.remote) this.entryCache.set(key, await this._openEntry({ ...pending.remote }));
+      else this.entryCache.delete(key);
+      await this.render();
+    });
+    actions.append(keepMine, useSaved);
+    box.append(copy, actions);
+  }
+
   _setIndicator(indicatorEl, text, isError = false) {
     if (!indicatorEl) return;
     indicatorEl.textContent = text;
@@ -853,9 +1880,18 @@ export class JournalUI {
     }
     indicatorEl.classList.add("is-visible");
     indicatorEl.classList.toggle("is-error", !!isError);
-    const isSaving = /saving|uploading|removing/i.test(text);
+    const isSaving = /saving|syncing|uploading|removing/i.test(text);
+    const isPending = !isError && /pending sync/i.test(text);
     const isSaved = !isError && /saved|removed/i.test(text);
-    indicatorEl.dataset.state = isError ? "error" : isSaving ? "saving" : isSaved ? "saved" : "info";
+    indicatorEl.dataset.state = isError
+      ? "error"
+      : isSaving
+        ? "saving"
+        : isPending
+          ? "pending"
+          : isSaved
+            ? "saved"
+            : "info";
     if (isSaved) {
       setTimeout(() => indicatorEl.classList.remove("is-visible"), 1800);
     }
@@ -0,0 +1,446 @@
+/**
+ * Journal vault — the signed-in user's journal keyring, unlocked in this tab.
+ *
+ * Encryption is opt-in. Once on, JournalUI and JournalHistoryUI encrypt entry
+ * text and photos before they reach the outbox or storage and decrypt them on
+ * read; the server only ever sees ciphertext. Keys stay in memory, so every
+ * new tab asks for the passphrase again.
+ *
+ * Turning encryption on or off and changing the passphrase rewrite existing
+ * entries from the browser. The keyring records the pass in progress
+ * (`reencrypting`), and the next unlock finishes an interrupted one.
+ */
+
+import {
+  addJournalDataKey,
+  createJournalKeyring,
+  decryptJournalBytes,
+  decryptJournalText,
+  encryptJournalBytes,
+  encryptJournalText,
+  isEncryptedJournalText,
+  JOURNAL_ENCRYPTED_IMAGE_TYPE,
+  JOURNAL_PASSPHRASE_MIN_LENGTH,
+  journalCipherKeyId,
+  journalKeyError,
+  rewrapJournalKeyring,
+  unlockJournalKeyring,
+} from "./journal-crypto.js";
+import { imageExtensionForType } from "./journal-archive.js";
+import { normalizeJournalImages, removedJournalImagePaths } from "./journal-images.js";
+
+const IMAGE_BUCKET = "journal-images";
+const PAGE_SIZE = 200;
+const MAX_PASSES = 3;
+const REWRITE_COLUMNS = "id, entry_date, content, images, image_path, image_mime_type, is_encrypted, updated_at";
+// Encrypted photos are stored as "<name>.<keyId>.enc" so a pass can tell
+// which key sealed them without downloading the file.
+const ENCRYPTED_IMAGE_PATH = /\.([0-9a-f]{8})\.enc$/;
+
+let sharedVault = null;
+
+export function encryptedImageKeyId(path) {
+  return ENCRYPTED_IMAGE_PATH.exec(String(path || ""))?.[1] || null;
+}
+
+function checkPassphrase(passphrase) {
+  if (String(passphrase || "").length < JOURNAL_PASSPHRASE_MIN_LENGTH) {
+    throw journalKeyError(
+      "WEAK_PASSPHRASE",
+      `Use a passphrase of at least ${JOURNAL_PASSPHRASE_MIN_LENGTH} characters.`
+    );
+  }
+}
+
+function imageDirectory(path) {
+  const slash = String(path).lastIndexOf("/");
+  return slash >= 0 ? path.slice(0, slash + 1) : "";
+}
+
+export class JournalVault {
+  constructor({ client, userId }) {
+    this.client = client;
+    this.userId = userId;
+    this.keyring = null;
+    this.keys = null;
+    this.loaded = false;
+    this.busy = null;
+    this.listeners = new Set();
+  }
+
+  /** "disabled" | "locked" | "unlocked" */
+  get status() {
+    if (!this.keyring) return "disabled";
+    return this.keys ? "unlocked" : "locked";
+  }
+
+  get enabled() {
+    return !!this.keyring;
+  }
+
+  get unlocked() {
+    return !!(this.keyring && this.keys);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit(event) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error("[JournalVault] Listener failed:", err);
+      }
+    }
+  }
+
+  async load() {
+    const { data, error } = await this.client
+      .from("journal_keyrings")
+      .select("keyring")
+      .eq("user_id", this.userId)
+      .maybeSingle();
+    if (error) throw error;
+    const previous = this.status;
+    this.keyring = data?.keyring || null;
+    if (!this.keyring) this.keys = null;
+    this.loaded = true;
+    if (this.status !== previous) this._emit({ type: "status", status: this.status });
+    return this.status;
+  }
+
+  async unlock(passphrase, { onProgress } = {}) {
+    if (!this.keyring) await this.load();
+    if (!this.keyring) throw journalKeyError("NOT_ENABLED", "Journal encryption is not turned on.");
+    this.keys = await unlockJournalKeyring(this.keyring, { passphrase });
+    this._emit({ type: "status", status: this.status });
+    await this._resume({ onProgress });
+  }
+
+  /** Unlocks with the recovery key and sets a new passphrase; the recovery key stays valid. */
+  async recover(recoveryKey, passphrase, { onProgress } = {}) {
+    checkPassphrase(passphrase);
+    if (!this.keyring) await this.load();
+    if (!this.keyring) throw journalKeyError("NOT_ENABLED", "Journal encryption is not turned on.");
+    const keys = await unlockJournalKeyring(this.keyring, { recoveryKey });
+    const { keyring } = await rewrapJournalKeyring(keys, {
+      passphrase,
+      recoveryKey,
+      activeKeyId: this.keyring.activeKeyId,
+    });
+    if (this.keyring.reencrypting) keyring.reencrypting = this.keyring.reencrypting;
+    await this._saveKeyring(keyring);
+    this.keys = keys;
+    this._emit({ type: "status", status: this.status });
+    await this._resume({ onProgress });
+  }
+
+  lock() {
+    if (!this.keys) return;
+    this.keys = null;
+    this._emit({ type: "status", status: this.status });
+  }
+
+  /**
+   * Turns encryption on and encrypts every existing entry.
+   * @returns {Promise<string>} the recovery key — shown once, never stored
+   */
+  async enable(passphrase, { onProgress } = {}) {
+    checkPassphrase(passphrase);
+    await this.load();
+    if (this.keyring) throw journalKeyError("ALREADY_ENABLED", "Journal encryption is already on.");
+    const { keyring, keys, recoveryKey } = await createJournalKeyring(passphrase);
+    keyring.reencrypting = "encrypt";
+    await this._saveKeyring(keyring, { insert: true });
+    this.keys = keys;
+    this._emit({ type: "status", status: this.status });
+    await this._rewriteAll("encrypt", { onProgress });
+    return recoveryKey;
+  }
+
+  /**
+   * New passphrase, new recovery key and a new data key; entries are
+   * re-encrypted onto it. Retired keys stay in the keyring (wrapped under the
+   * new secrets) so anything written offline with them can still be read.
+   * @returns {Promise<string>} the new recovery key
+   */
+  async changePassphrase(currentPassphrase, nextPassphrase, { onProgress } = {}) {
+    checkPassphrase(nextPassphrase);
+    await this.load();
+    if (!this.keyring) throw journalKeyError("NOT_ENABLED", "Journal encryption is not turned on.");
+    const keys = await unlockJournalKeyring(this.keyring, { passphrase: currentPassphrase });
+    const activeKeyId = await addJournalDataKey(keys);
+    const { keyring, recoveryKey } = await rewrapJournalKeyring(keys, {
+      passphrase: nextPassphrase,
+      activeKeyId,
+    });
+    keyring.reencrypting = "encrypt";
+    await this._saveKeyring(keyring);
+    this.keys = keys;
+    this._emit({ type: "status", status: this.status });
+    await this._rewriteAll("encrypt", { onProgress });
+    return recoveryKey;
+  }
+
+  /** Decrypts every entry back to plain text, then deletes the keyring. */
+  async disable(passphrase, { onProgress } = {}) {
+    await this.load();
+    if (!this.keyring) return;
+    const keys = await unlockJournalKeyring(this.keyring, { passphrase });
+    await this._saveKeyring({ ...this.keyring, reencrypting: "decrypt" });
+    this.keys = keys;
+    await this._rewriteAll("decrypt", { onProgress });
+  }
+
+  // ── Reading and writing journal data ───────────────
+
+  _requireKeys() {
+    if (!this.keys) throw journalKeyError("LOCKED", "Unlock your journal first.");
+    return this.keys;
+  }
+
+  async encryptText(text) {
+    const keyId = this.keyring.activeKeyId;
+    return encryptJournalText(this._requireKeys().get(keyId), keyId, text);
+  }
+
+  async decryptText(value) {
+    if (!isEncryptedJournalText(value)) return value;
+    return decryptJournalText(this._requireKeys(), value);
+  }
+
+  async encryptBytes(bytes) {
+    const keyId = this.keyring.activeKeyId;
+    return encryptJournalBytes(this._requireKeys().get(keyId), keyId, bytes);
+  }
+
+  async decryptBytes(bytes) {
+    return decryptJournalBytes(this._requireKeys(), bytes);
+  }
+
+  /** Storage path for a photo encrypted with the active key. */
+  encryptedImagePath(directory, name) {
+    return `${directory}${name}.${this.keyring.activeKeyId}.enc`;
+  }
+
+  /** A copy of the row with readable content and captions; plain rows pass through. */
+  async decryptRow(row) {
+    if (!row) return row;
+    const sealedCaptions = Array.isArray(row.images) && row.images.some((image) => isEncryptedJournalText(image?.caption));
+    if (!isEncryptedJournalText(row.content) && !sealedCaptions) return row;
+    const next = { ...row, content: await this.decryptText(row.content) };
+    if (sealedCaptions) {
+      next.images = await Promise.all(
+        row.images.map(async (image) => ({ ...image, caption: await this.decryptText(image.caption) }))
+      );
+    }
+    return next;
+  }
+
+  /**
+   * Fields to write for an entry: ciphertext while encryption is on. Photo
+   * captions are sealed alongside the text; empty captions stay empty.
+   */
+  async sealEntryFields(content, images = null) {
+    const fields = this.enabled
+      ? { content: await this.encryptText(content || ""), is_encrypted: true }
+      : { content: content || "", is_encrypted: false };
+    if (images) {
+      fields.images = await Promise.all(
+        images.map(async (image) => ({
+          ...image,
+          caption: this.enabled && image.caption ? await this.encryptText(image.caption) : image.caption || "",
+        }))
+      );
+    }
+    return fields;
+  }
+
+  /** Photo bytes from storage, decrypted when they were sealed. */
+  async downloadImage(path) {
+    const { data, error } = await this.client.storage.from(IMAGE_BUCKET).download(path);
+    if (error || !data) throw error || new Error("Missing photo");
+    const bytes = new Uint8Array(await data.arrayBuffer());
+    return encryptedImageKeyId(path) ? this.decryptBytes(bytes) : bytes;
+  }
+
+  // ── Bulk re-encryption ─────────────────────────────
+
+  async _saveKeyring(keyring, { insert = false } = {}) {
+    const query = this.client.from("journal_keyrings");
+    const { error } = insert
+      ? await query.insert({ user_id: this.userId, keyring })
+      : await query.update({ keyring }).eq("user_id", this.userId);
+    if (error) throw error;
+    this.keyring = keyring;
+  }
+
+  async _resume({ onProgress } = {}) {
+    const mode = this.keyring?.reencrypting;
+    if (mode === "encrypt" || mode === "decrypt") {
+      await this._rewriteAll(mode, { onProgress });
+    }
+  }
+
+  _imageNeedsRewrite(image, mode) {
+    const keyId = encryptedImageKeyId(image.path);
+    return mode === "encrypt" ? keyId !== this.keyring.activeKeyId : !!keyId;
+  }
+
+  _captionNeedsRewrite(caption, mode) {
+    if (mode === "decrypt") return isEncryptedJournalText(caption);
+    return !!caption && journalCipherKeyId(caption) !== this.keyring.activeKeyId;
+  }
+
+  _rowNeedsRewrite(row, mode) {
+    const images = normalizeJournalImages(row);
+    const imagesNeedRewrite = images.some(
+      (image) => this._imageNeedsRewrite(image, mode) || this._captionNeedsRewrite(image.caption, mode)
+    );
+    if (mode === "decrypt") {
+      return row.is_encrypted || isEncryptedJournalText(row.content) || imagesNeedRewrite;
+    }
+    if (!row.is_encrypted || journalCipherKeyId(row.content) !== this.keyring.activeKeyId) return true;
+    return imagesNeedRewrite;
+  }
+
+  async _loadRewriteRows(mode) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await this.client
+        .from("journal_entries")
+        .select(REWRITE_COLUMNS)
+        .eq("user_id", this.userId)
+        .order("entry_date", { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []).filter((row) => this._rowNeedsRewrite(row, mode)));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  async _rewriteImage(image, mode) {
+    const bucket = this.client.storage.from(IMAGE_BUCKET);
+    const bytes = await this.downloadImage(image.path);
+    const name = crypto.randomUUID();
+    const directory = imageDirectory(image.path);
+    const path =
+      mode === "encrypt"
+        ? this.encryptedImagePath(directory, name)
+        : `${directory}${name}.${imageExtensionForType(image.mime_type)}`;
+    const body = mode === "encrypt" ? await this.encryptBytes(bytes) : bytes;
+    const { error } = await bucket.upload(path, body, {
+      contentType: mode === "encrypt" ? JOURNAL_ENCRYPTED_IMAGE_TYPE : image.mime_type || "image/jpeg",
+      upsert: false,
+    });
+    if (error) throw error;
+    return path;
+  }
+
+  async _rewriteRow(row, mode) {
+    const text = await this.decryptText(row.content || "");
+    const patch =
+      mode === "encrypt"
+        ? { content: await this.encryptText(text), is_encrypted: true }
+        : { content: text, is_encrypted: false };
+
+    const previousImages = normalizeJournalImages(row);
+    const nextImages = [];
+    try {
+      for (const image of previousImages) {
+        const caption = await this.decryptText(image.caption);
+        nextImages.push({
+          ...image,
+          path: this._imageNeedsRewrite(image, mode) ? await this._rewriteImage(image, mode) : image.path,
+          caption: mode === "encrypt" && caption ? await this.encryptText(caption) : caption,
+        });
+      }
+    } catch (err) {
+      await this._removeImages(removedJournalImagePaths(nextImages, previousImages));
+      throw err;
+    }
+    if (previousImages.length) patch.images = nextImages;
+
+    // Guarded on updated_at: an edit from another device wins and is picked
+    // up by the next pass.
+    const { data, error } = await this.client
+      .from("journal_entries")
+      .update(patch)
+      .eq("id", row.id)
+      .eq("updated_at", row.updated_at)
+      .select("id");
+    if (error) throw error;
+    const applied = !!data?.length;
+
+    await this._removeImages(
+      applied
+        ? removedJournalImagePaths(previousImages, nextImages)
+        : removedJournalImagePaths(nextImages, previousImages)
+    );
+    return applied;
+  }
+
+  async _removeImages(paths) {
+    if (!paths.length) return;
+    const { error } = await this.client.storage.from(IMAGE_BUCKET).remove(paths);
+    if (error) console.warn("[JournalVault] Photo cleanup failed:", error);
+  }
+
+  async _rewriteAll(mode, { onProgress } = {}) {
+    if (this.busy) return this.busy;
+    this.busy = (async () => {
+      let failed = 0;
+      for (let pass = 0; pass < MAX_PASSES; pass++) {
+        const rows = await this._loadRewriteRows(mode);
+        if (!rows.length) break;
+        failed = 0;
+        for (const [index, row] of rows.entries()) {
+          onProgress?.({ mode, done: index, total: rows.length });
+          try {
+            if (!(await this._rewriteRow(row, mode))) failed++;
+          } catch (err) {
+            console.error("[JournalVault] Could not rewrite entry:", row.entry_date, err);
+            failed++;
+          }
+        }
+        onProgress?.({ mode, done: rows.length, total: rows.length });
+        if (!failed) break;
+      }
+      if (failed) {
+        throw journalKeyError(
+          "REWRITE_INCOMPLETE",
+          `${failed} ${failed === 1 ? "entry" : "entries"} could not be ${mode}ed yet. Unlock again to retry.`
+        );
+      }
+
+      if (mode === "decrypt") {
+        const { error } = await this.client.from("journal_keyrings").delete().eq("user_id", this.userId);
+        if (error) throw error;
+        this.keyring = null;
+        this.keys = null;
+      } else {
+        const { reencrypting, ...keyring } = this.keyring;
+        await this._saveKeyring(keyring);
+      }
+      this._emit({ type: "rewritten", mode, status: this.status });
+    })();
+    try {
+      return await this.busy;
+    } finally {
+      this.busy = null;
+    }
+  }
+}
+
+/** The signed-in user's vault; one per tab so every view shares the unlock. */
+export function getJournalVault(client, userId = null) {
+  if (sharedVault && sharedVault.client === client && (!userId || sharedVault.userId === userId)) {
+    return sharedVault;
+  }
+  sharedVault = new JournalVault({ client, userId });
+  sharedVault.load().catch((err) => console.error("[JournalVault] Could not load keyring:", err));
+  return sharedVault;
+}
@@ -0,0 +1,495 @@
+/**
+ * Write outbox — durable, ordered queue for journal and planner mutations.
+ *
+ * Every write lands in IndexedDB first and is replayed against Supabase in the
+ * order it was made, so edits survive a dropped connection or a closed tab.
+ * Writes to the same row (same `key`) coalesce, which keeps a burst of
+ * keystrokes to one request. The queue replays on `online`, on page load, and
+ * when the service worker relays a Background Sync event (OUTBOX_SYNC_TAG).
+ *
+ * Conflicts: a mutation with `checkUpdatedAt` carries the `updated_at` the UI
+ * last read (`expectedUpdatedAt`, null when the row was not there). If the
+ * server row has moved on since, the mutation parks as "conflict" with the
+ * server copy until the UI resolves it with resolveConflict().
+ */
+
+export const OUTBOX_SYNC_TAG = "sineday-outbox";
+export const OUTBOX_SYNC_MESSAGE = "OUTBOX_SYNC";
+
+const DB_NAME = "sineday-outbox";
+const DB_VERSION = 1;
+const STORE_NAME = "mutations";
+const LOCK_NAME = "sineday-outbox";
+const OPS = new Set(["insert", "upsert", "update", "delete"]);
+
+// ── Stores ───────────────────────────────────────────
+
+/** In-memory store with the same shape as the IndexedDB one (tests, private mode). */
+export function createMemoryOutboxStore() {
+  const records = new Map();
+  let nextId = 1;
+  return {
+    async getAll() {
+      return [...records.values()].sort((a, b) => a.id - b.id).map((record) => ({ ...record }));
+    },
+    async put(record) {
+      const id = record.id ?? nextId++;
+      records.set(id, { ...record, id });
+      return id;
+    },
+    async delete(id) {
+      records.delete(id);
+    },
+  };
+}
+
+export function createIndexedDbOutboxStore(indexedDB = globalThis.indexedDB) {
+  let dbPromise = null;
+  const open = () => {
+    dbPromise ||= new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return dbPromise;
+  };
+  const run = async (mode, action) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = action(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+  return {
+    getAll: () => run("readonly", (store) => store.getAll()),
+    put: (record) => {
+      const row = { ...record };
+      if (row.id == null) delete row.id;
+      return run("readwrite", (store) => store.put(row));
+    },
+    delete: (id) => run("readwrite", (store) => store.delete(id)),
+  };
+}
+
+// ── Helpers ──────────────────────────────────────────
+
+function newer(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return Date.parse(b) > Date.parse(a) ? b : a;
+}
+
+/**
+ * Network trouble is worth retrying; a PostgREST/Postgres error code means
+ * the server saw the request and said no, which will not change on replay.
+ */
+export function isRetryableOutboxError(error, status = 0) {
+  if (!error) return false;
+  if (error instanceof TypeError) return true;
+  if (status === 401 || status === 408 || status === 429 || status >= 500) return true;
+  if (error.code === "PGRST301") return true; // expired JWT — the client refreshes it
+  if (!error.code && !status) return true;
+  return /failed to fetch|network|load failed/i.test(String(error.message || ""));
+}
+
+/**
+ * Folds a new mutation into a queued one for the same row. Returns the merged
+ * record, `null` when the two cancel out, or `undefined` when they cannot be
+ * merged and the new mutation must queue behind the old one.
+ */
+export function mergeOutboxMutation(queued, next) {
+  if (next.op === "delete") {
+    if (queued.op === "insert") return null;
+    return { ...queued, op: "delete", values: null, onConflict: null, match: next.match || queued.match };
+  }
+  if (queued.op === "delete") return undefined;
+  if (next.op === "update") {
+    return { ...queued, values: { ...queued.values, ...next.values } };
+  }
+  if (next.op === "upsert" && queued.op !== "update") {
+    return { ...queued, op: queued.op === "insert" ? "insert" : "upsert", values: { ...next.values } };
+  }
+  return undefined;
+}
+
+// ── Outbox ───────────────────────────────────────────
+
+/**
+ * @typedef {Object} OutboxMutation
+ * @property {string} key - row identity used for coalescing, e.g. "journal_entries:<profile>:<date>"
+ * @property {string} table
+ * @property {"insert"|"upsert"|"update"|"delete"} op
+ * @property {Object} [values]
+ * @property {Object} [match] - column → value filters (update/delete, and the conflict check)
+ * @property {string} [onConflict] - upsert conflict target
+ * @property {string} [select] - columns to return for the applied row
+ * @property {boolean} [checkUpdatedAt]
+ * @property {string|null} [expectedUpdatedAt]
+ * @property {boolean} [ignoreDuplicate] - treat a unique violation (23505) as applied
+ * @property {string} [requires] - key of an earlier `ignoreDuplicate` insert; this write
+ *   is dropped when that insert turns out to be there already
+ */
+
+export class Outbox {
+  /**
+   * @param {Object} opts
+   * @param {{ getAll(): Promise<Object[]>, put(record: Object): Promise<number>, delete(id: number): Promise<void> }} opts.store
+   * @param {import('@supabase/supabase-js').SupabaseClient} opts.client
+   * @param {string} [opts.userId] - only this user's mutations are replayed
+   * @param {() => boolean} [opts.isOnline]
+   * @param {() => void} [opts.requestBackgroundSync]
+   */
+  constructor({ store, client, userId = null, isOnline, requestBackgroundSync } = {}) {
+    this.store = store;
+    this.client = client;
+    this.userId = userId;
+    this.isOnline = isOnline || (() => globalThis.navigator?.onLine !== false);
+    this.requestBackgroundSync = requestBackgroundSync || (() => {});
+
+    this.records = new Map();
+    this.listeners = new Set();
+    // key → updated_at of the last row this tab wrote, so a queued edit made
+    // before an earlier write landed is not mistaken for a conflict.
+    this._ownVersions = new Map();
+    this._inFlightId = null;
+    this._flushing = null;
+    this._flushAgain = false;
+    this._writes = Promise.resolve();
+    this.ready = this._reload();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit(event) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error("[Outbox] Listener failed:", err);
+      }
+    }
+  }
+
+  async _reload() {
+    const rows = await this.store.getAll();
+    this.records = new Map(rows.map((record) => [record.id, record]));
+  }
+
+  _sorted() {
+    return [...this.records.values()].sort((a, b) => a.id - b.id);
+  }
+
+  _latestFor(key) {
+    const matches = this._sorted().filter((record) => record.key === key);
+    return matches[matches.length - 1] || null;
+  }
+
+  /** "pending" | "conflict" | "failed" for the newest queued write of a row, or null when synced. */
+  statusFor(key) {
+    return this._latestFor(key)?.status || null;
+  }
+
+  /** The newest queued write for a row, so reloaded views can show unsynced edits. */
+  pendingFor(key) {
+    const record = this._latestFor(key);
+    return record ? { id: record.id, op: record.op, values: record.values, status: record.status, remote: record.remote ?? null } : null;
+  }
+
+  /** Every queued write for a table, oldest first, for overlaying list views. */
+  pendingForTable(table) {
+    return this._sorted()
+      .filter((record) => record.table === table)
+      .map((record) => ({ id: record.id, key: record.key, op: record.op, values: record.values, match: record.match, status: record.status }));
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Stores the mutation durably and resolves once it is in IndexedDB — not
+   * once it reaches the server. Call flush() to sync.
+   * @param {OutboxMutation} mutation
+   */
+  enqueue(mutation) {
+    if (!mutation?.key || !mutation.table || !OPS.has(mutation.op)) {
+      return Promise.reject(new Error("Outbox mutation needs a key, a table and a known op"));
+    }
+    const task = this._writes.then(() => this._enqueue(mutation));
+    this._writes = task.catch(() => {});
+    return task;
+  }
+
+  async _enqueue(mutation) {
+    await this.ready;
+    const incoming = {
+      key: mutation.key,
+      table: mutation.table,
+      op: mutation.op,
+      values: mutation.values ? { ...mutation.values } : null,
+      match: mutation.match ? { ...mutation.match } : null,
+      onConflict: mutation.onConflict || null,
+      select: mutation.select || null,
+      checkUpdatedAt: !!mutation.checkUpdatedAt,
+      expectedUpdatedAt: mutation.expectedUpdatedAt ?? null,
+      ignoreDuplicate: !!mutation.ignoreDuplicate,
+      requires: mutation.requires || null,
+      userId: this.userId,
+      status: "pending",
+      remote: null,
+      error: null,
+      attempts: 0,
+      queuedAt: new Date().toISOString(),
+    };
+
+    const queued = this._latestFor(incoming.key);
+    if (queued && queued.id !== this._inFlightId && queued.status !== "failed") {
+      const merged = mergeOutboxMutation(queued, incoming);
+      if (merged === null) {
+        await this.store.delete(queued.id);
+        this.records.delete(queued.id);
+        this._emit({ type: "discarded", record: queued });
+        return null;
+      }
+      if (merged) {
+        // A write folded into one that stands on its own must not be dropped with it.
+        if (merged.requires !== incoming.requires) merged.requires = null;
+        await this.store.put(merged);
+        this.records.set(merged.id, merged);
+        this._emit({ type: "queued", record: merged });
+        return merged;
+      }
+    }
+
+    const id = await this.store.put(incoming);
+    const record = { ...incoming, id };
+    this.records.set(id, record);
+    this._emit({ type: "queued", record });
+    if (!this.isOnline()) this.requestBackgroundSync();
+    return record;
+  }
+
+  /** Replays queued mutations in order. Concurrent calls share one pass. */
+  flush() {
+    if (this._flushing) {
+      this._flushAgain = true;
+      return this._flushing;
+    }
+    this._flushing = (async () => {
+      try {
+        do {
+          this._flushAgain = false;
+          await this._writes;
+          await this._withLock(() => this._drain());
+        } while (this._flushAgain && this.isOnline());
+      } finally {
+        this._flushing = null;
+      }
+    })();
+    return this._flushing;
+  }
+
+  async _withLock(fn) {
+    const locks = globalThis.navigator?.locks;
+    // Two tabs replaying the same queue would apply every write twice.
+    if (locks?.request) return locks.request(LOCK_NAME, fn);
+    return fn();
+  }
+
+  async _drain() {
+    if (!this.client) return;
+    await this._reload();
+    for (const { id } of this._sorted()) {
+      // Re-read each time: edits made mid-flush coalesce into queued records.
+      const record = this.records.get(id);
+      if (!record || record.status !== "pending") continue;
+      if (this.userId && record.userId && record.userId !== this.userId) continue;
+      if (!this.isOnline()) {
+        this.requestBackgroundSync();
+        return;
+      }
+
+      this._inFlightId = record.id;
+      let outcome;
+      try {
+        outcome = await this._apply(record);
+      } catch (err) {
+        outcome = { status: "retry", error: err };
+      } finally {
+        this._inFlightId = null;
+      }
+
+      if (outcome.status === "applied") {
+        await this.store.delete(record.id);
+        this.records.delete(record.id);
+        if (outcome.row?.updated_at) this._ownVersions.set(record.key, outcome.row.updated_at);
+        this._emit({ type: "applied", record, row: outcome.row || null });
+        if (outcome.duplicate) await this._dropDependents(record.key);
+        continue;
+      }
+      if (outcome.status === "retry") {
+        // Keep order: nothing behind this write may land before it does.
+        const current = this.records.get(record.id) || record;
+        const next = { ...current, attempts: (current.attempts || 0) + 1, error: String(outcome.error?.message || outcome.error || "") };
+        await this.store.put(next);
+        this.records.set(next.id, next);
+        this.requestBackgroundSync();
+        this._emit({ type: "retrying", record: next });
+        return;
+      }
+
+      const current = this.records.get(record.id) || record;
+      const parked = {
+        ...current,
+        status: outcome.status,
+        remote: outcome.remote ?? null,
+        error: outcome.error ? String(outcome.error.message || outcome.error) : null,
+      };
+      await this.store.put(parked);
+      this.records.set(parked.id, parked);
+      this._emit({ type: outcome.status, record: parked });
+    }
+  }
+
+  _filtered(query, match) {
+    let next = query;
+    for (const [column, value] of Object.entries(match || {})) next = next.eq(column, value);
+    return next;
+  }
+
+  async _apply(record) {
+    const client = this.client;
+
+    if (record.checkUpdatedAt && record.match) {
+      const { data: remote, error, status } = await this._filtered(
+        client.from(record.table).select(record.select || "*"),
+        record.match
+      ).maybeSingle();
+      if (error) return isRetryableOutboxError(error, status) ? { status: "retry", error } : { status: "failed", error };
+
+      const base = newer(record.expectedUpdatedAt, this._ownVersions.get(record.key));
+      const moved = remote
+        ? !base || Date.parse(remote.updated_at) > Date.parse(base)
+        : !!base && record.op !== "delete";
+      if (moved) return { status: "conflict", remote: remote || null };
+    }
+
+    const table = client.from(record.table);
+    let query;
+    if (record.op === "insert") query = table.insert(record.values);
+    else if (record.op === "upsert") query = table.upsert(record.values, record.onConflict ? { onConflict: record.onConflict } : undefined);
+    else if (record.op === "update") query = this._filtered(table.update(record.values), record.match);
+    else query = this._filtered(table.delete(), record.match);
+    if (record.op !== "delete" && record.select) query = query.select(record.select);
+
+    const { data, error, status } = await query;
+    if (error) {
+      if (record.ignoreDuplicate && error.code === "23505") return { status: "applied", row: null, duplicate: true };
+      return isRetryableOutboxError(error, status) ? { status: "retry", error } : { status: "failed", error };
+    }
+    return { status: "applied", row: Array.isArray(data) ? data[0] || null : data || null };
+  }
+
+  /** Drops queued writes that were only wanted if `key`'s insert was new. */
+  async _dropDependents(key) {
+    for (const record of this._sorted()) {
+      if (record.requires !== key || record.status !== "pending") continue;
+      await this.store.delete(record.id);
+      this.records.delete(record.id);
+      this._emit({ type: "discarded", record });
+    }
+  }
+
+  /**
+   * Settles a parked write. "local" re-queues it against the server copy it
+   * conflicted with; "remote" (or "discard") drops it.
+   */
+  async resolveConflict(id, choice) {
+    await this._writes;
+    const record = this.records.get(id);
+    if (!record) return null;
+    if (choice === "local") {
+      const next = {
+        ...record,
+        status: "pending",
+        expectedUpdatedAt: record.remote?.updated_at ?? null,
+        remote: null,
+        error: null,
+      };
+      await this.store.put(next);
+      this.records.set(id, next);
+      this._emit({ type: "queued", record: next });
+      return next;
+    }
+    await this.store.delete(id);
+    this.records.delete(id);
+    this._emit({ type: "discarded", record });
+    return null;
+  }
+}
+
+// ── Browser wiring ───────────────────────────────────
+
+async function registerBackgroundSync() {
+  try {
+    const registration = await globalThis.navigator?.serviceWorker?.getRegistration?.();
+    await registration?.sync?.register(OUTBOX_SYNC_TAG);
+  } catch {
+    // Background Sync is Chromium-only; `online` and page load still replay.
+  }
+}
+
+/**
+ * IndexedDB when it opens, memory when it will not (Firefox private browsing
+ * refuses it), so writes still go out while the page is open.
+ */
+function createBrowserOutboxStore() {
+  if (!globalThis.indexedDB) return createMemoryOutboxStore();
+  const durable = createIndexedDbOutboxStore();
+  const active = durable.getAll().then(
+    () => durable,
+    (err) => {
+      console.warn("[Outbox] IndexedDB unavailable, queueing in memory:", err);
+      return createMemoryOutboxStore();
+    }
+  );
+  return {
+    getAll: async () => (await active).getAll(),
+    put: async (record) => (await active).put(record),
+    delete: async (id) => (await active).delete(id),
+  };
+}
+
+let sharedOutbox = null;
+
+/** One outbox per page, shared by the journal, planner and calendar views. */
+export function getOutbox(client, userId = null) {
+  if (sharedOutbox) {
+    if (userId) sharedOutbox.userId = userId;
+    return sharedOutbox;
+  }
+
+  sharedOutbox = new Outbox({
+    store: createBrowserOutboxStore(),
+    client,
+    userId,
+    requestBackgroundSync: registerBackgroundSync,
+  });
+
+  const flush = () => sharedOutbox.flush().catch((err) => console.error("[Outbox] Sync failed:", err));
+  globalThis.addEventListener?.("online", flush);
+  globalThis.navigator?.serviceWorker?.addEventListener?.("message", (event) => {
+    if (event.data?.type === OUTBOX_SYNC_MESSAGE) flush();
+  });
+  flush();
+  return sharedOutbox;
+}
@@ -1,22 +1,88 @@
 /**
  * Planner UI — cloud-synced daily notes with SineDuck display + recurring tasks.
  * Notes use planner_tasks (separate tables). Notes stay on planner_notes.
+ * Every write is queued in the offline outbox (outbox.js) before it syncs.
+ * Tasks move between days by dragging their handle (mouse, touch or pen) or
+ * from the keyboard. Occurrences come from task-recurrence.js; moving,
+ * renaming, removing or re-ruling a repeating task asks whether the change
+ * is for this occurrence, this and following, or the whole series. The
+ * repeat sheet also takes RRULEs pasted from other calendars (task-rrule.js).
+ * Tasks without a date wait in the Unscheduled list; "Auto-place" proposes
+ * dates for them from their energy types and the coming SineDays
+ * (task-scheduler.js), and each proposal is accepted on its own. New task
+ * rows read quick-add phrases like "every Sunday" (task-quick-add.js).
+ * Each task can hold a checklist (task-checklist.js); its items are ticked
+ * per occurrence and the row shows how many are done.
+ * The timeline view lays one day out hour by hour: tasks with a start and
+ * end time are blocks to drag, resize or carry from the keyboard
+ * (task-timeblocks.js), over the profile's SineDay for that day; tasks
+ * without a time stay in the day's list beside it.
+ * Day templates (day-templates.js) hold tasks and a note skeleton for chosen
+ * SineDays. Opening such a day from today on adds the ones set to apply by
+ * themselves and offers the rest; either way the day keeps the template
+ * version it was given. Templates are managed in day-templates-sheet.js.
  */
 
 import { duckUrlFromSinedayNumber } from "./sineducks.js";
 import { calculateSineDayForYmd } from "./sineday-engine.js";
+import { getOutbox } from "./outbox.js";
+import { pickActiveProfile, ProfileSwitcher } from "./profile-switcher.js";
+import {
+  INTERVAL_MODES,
+  REPEAT_MODES,
+  addDaysYmd,
+  canShiftSeries,
+  dateFromYmd,
+  diffDaysUTC,
+  formatRepeatMeta,
+  isRepeatingTask,
+  occurrenceOnDate,
+  overrideOccurrence,
+  shiftSeries,
+  skipOccurrence,
+  splitSeries,
+  taskStartDate,
+} from "./task-recurrence.js";
+import { chooseRepeatScope, closeRepeatScopeSheet } from "./repeat-scope-sheet.js";
+import { RULE_MODE_LABELS, buildRepeatRuleFields } from "./repeat-rule-fields.js";
+import { describeQuickAdd, parseQuickAdd } from "./task-quick-add.js";
+import {
+  ENERGY_TYPES,
+  SCHEDULE_HORIZON_DAYS,
+  energyFit,
+  energyType,
+  isUnscheduledTask,
+  proposeSchedule,
+} from "./task-scheduler.js";
+import { checklistProgress } from "./task-checklist.js";
+import { createChecklist, paintChecklistButton } from "./task-checklist-ui.js";
+import {
+  DEFAULT_BLOCK_MINUTES,
+  MINUTES_PER_DAY,
+  TIME_STEP_MINUTES,
+  blockTimes,
+  findFreeSlot,
+  formatTimeRange,
+  isTimedTask,
+  layoutBlocks,
+  moveBlock,
+  resizeBlock,
+  snapMinutes,
+  taskTimeBlock,
+} from "./task-timeblocks.js";
+import { dayTemplateOffer, describeSinedays, materializeTemplate, mergeTemplateNote } from "./day-templates.js";
+import { closeDayTemplatesSheet, openDayTemplatesSheet } from "./day-templates-sheet.js";
+import { resolveContentLanguage } from "../shared/content.js";
 
 const MS_PER_DAY = 86400000;
-
-const REPEAT_MODES = [
-  "none",
-  "daily",
-  "weekly",
-  "monthly",
-  "yearly",
-  "weekdays",
-  "sineday",
-];
+// Pointer travel before a press on the handle turns into a drag.
+const DRAG_THRESHOLD_PX = 6;
+const DRAG_SCROLL_EDGE_PX = 48;
+const DRAG_SCROLL_STEP_PX = 14;
+// Timeline: height of one hour, and where an empty day opens and new blocks go.
+const TIMELINE_HOUR_PX = 48;
+const TIMELINE_PX_PER_MINUTE = TIMELINE_HOUR_PX / 60;
+const TIMELINE_DAY_START_MINUTES = 8 * 60;
 
 function pad2(n) {
   return String(n).padStart(2, "0");
@@ -38,19 +104,14 @@ function el(tag, className) {
   return node;
 }
 
-function compareYmd(a, b) {
-  if (a < b) return -1;
-  if (a > b) return 1;
-  return 0;
-}
-
 export class PlannerUI {
   /**
    * @param {HTMLElement} mountEl - Container element
    * @param {Object} opts - Options
    * @param {string} opts.locale
    * @param {number} opts.weekStart - 0 = Sunday, 1 = Monday
-   * @param {Object} opts.ownerProfile - Single owner profile (notes are owner-only)
+   * @param {Object[]} opts.profiles - The account's profiles; notes belong to one at a time
+   * @param {Object} opts.ownerProfile - Default profile
    * @param {import('@supabase/supabase-js').SupabaseClient} opts.supabaseClient
    * @param {string} opts.userId - auth.users.id
    */
@@ -58,9 +119,15 @@ export class PlannerUI {
     this.mountEl = mountEl;
     this.locale = opts.locale || "en-US";
     this.weekStart = opts.weekStart ?? 0;
+    this.profiles = Array.isArray(opts.profiles) ? opts.profiles : [];
     this.ownerProfile = opts.ownerProfile || null;
+    this.profile = pickActiveProfile(this.profiles, this.ownerProfile);
     this.supabaseClient = opts.supabaseClient || null;
     this.userId = opts.userId || null;
+    this.outbox =
+      opts.outbox || (this.supabaseClient ? getOutbox(this.supabaseClient, this.userId) : null);
+    this._unsubscribeOutbox =
+      this.outbox?.subscribe((event) => this._handleOutboxEvent(event)) || null;
 
     const now = new Date();
     const todayUTC = new Date(
@@ -68,10 +135,14 @@ export class PlannerUI {
     );
     this.weekStartDateUTC = startOfWeekUTC(todayUTC, this.weekStart);
     this.dayDateUTC = todayUTC; // Day view anchor
-    this.view = "week"; // 'week' | 'day'
+    this.view = "week"; // 'week' | 'day' | 'timeline'
 
     // Cache: "profileId:YYYY-MM-DD" → content string
     this.notesCache = new Map();
+    // "profileId:YYYY-MM-DD" → updated_at last read, for outbox conflict checks
+    this.noteVersions = new Map();
+    // "profileId:YYYY-MM-DD" → save indicator of the rendered day card
+    this._noteIndicators = new Map();
     // Debounce timers: "profileId:YYYY-MM-DD" → timeout ID
     this.saveTimers = new Map();
     // Render generation — incremented on each render() call to cancel stale async continuations
@@ -80,37 +151,84 @@ export class PlannerUI {
     this.taskSeries = [];
     this.taskSeriesLoadedForProfileId = null;
     this.taskCompletionCache = new Map();
+    // "taskId:YYYY-MM-DD" → Set of checklist item ids ticked on that occurrence
+    this.checklistCheckCache = new Map();
+    // "taskId:YYYY-MM-DD" rows whose checklist is expanded
+    this._openChecklists = new Set();
     this.repeatSheetState = { open: false, taskId: null, occurrenceYmd: null };
     this.repeatSheetEls = null;
     this._draftSeq = 0;
     this._draftMeta = new Map();
     this._repeatSheetEscape = null;
     this._repeatSheetOverflowPrev = { html: "", body: "" };
+    // Day card highlighted while a task is dragged or carried by keyboard.
+    this._dropTargetEl = null;
+    this._liveRegion = null;
+    // Unscheduled list and the auto-place proposals still awaiting an answer.
+    this._unscheduledEl = null;
+    this._proposals = null;
+    // Timeline view: its section and the timer that moves the current-time line.
+    this._timelineEl = null;
+    this._nowTimer = null;
+    // The account's day templates, and "profileId:YYYY-MM-DD" → Set of
+    // template ids applied or turned down on that day.
+    this.dayTemplates = [];
+    this.dayTemplatesLoaded = false;
+    this.templateApplications = new Map();
+    this.profileSwitcher = new ProfileSwitcher({
+      id: "planner-profile",
+      label: "Planner for",
+      onChange: (profileId) => this.setProfile(profileId),
+    });
   }
 
   destroy() {
     this._closeRepeatSheet(true);
-    for (const [key, timerId] of this.saveTimers) {
-      clearTimeout(timerId);
-      const [profileId, dateYmd] = key.split(":");
-      const content = this.notesCache.get(key);
-      if (content !== undefined) {
-        this._saveNote(profileId, dateYmd, content);
-      }
-    }
+    closeRepeatScopeSheet();
+    closeDayTemplatesSheet();
+    // Notes are queued on every keystroke; only the debounced sync is pending.
+    for (const timerId of this.saveTimers.values()) clearTimeout(timerId);
     this.saveTimers.clear();
+    this.outbox?.flush().catch(() => {});
+    this._unsubscribeOutbox?.();
+    this._unsubscribeOutbox = null;
+    this._noteIndicators.clear();
     this.mountEl.innerHTML = "";
     this.taskSeries = [];
     this.taskSeriesLoadedForProfileId = null;
     this.taskCompletionCache.clear();
+    this.checklistCheckCache.clear();
+    this._openChecklists.clear();
     this._draftMeta.clear();
+    this._unscheduledEl = null;
+    this._proposals = null;
+    clearInterval(this._nowTimer);
+    this._timelineEl = null;
+    this.dayTemplates = [];
+    this.dayTemplatesLoaded = false;
+    this.templateApplications.clear();
+  }
+
+  setProfiles(profiles, ownerProfile = this.ownerProfile) {
+    this.profiles = Array.isArray(profiles) ? profiles : [];
+    this.ownerProfile = ownerProfile || null;
+    this._showProfile(pickActiveProfile(this.profiles, this.ownerProfile, this.profile?.id));
   }
 
   setOwnerProfile(profile) {
-    this.ownerProfile = profile || null;
+    this.setProfiles(this.profiles, profile);
+  }
+
+  setProfile(profileId) {
+    this._showProfile(pickActiveProfile(this.profiles, this.ownerProfile, profileId));
+  }
+
+  _showProfile(profile) {
+    this.profile = profile || null;
     if (this.taskSeriesLoadedForProfileId !== (profile && profile.id)) {
       this.taskSeriesLoadedForProfileId = null;
       this.taskSeries = [];
+      this._proposals = null;
     }
     this.render();
   }
@@ -123,7 +241,7 @@ export class PlannerUI {
   }
 
   setView(view) {
-    if (view === "week" || view === "day") {
+    if (view === "week" || view === "day" || view === "timeline") {
       this.view = view;
       this.render();
     }
@@ -145,21 +263,49 @@ export class PlannerUI {
     const gen = ++this._renderGen;
 
     this.mountEl.innerHTML = "";
+    clearInterval(this._nowTimer);
+    this._timelineEl = null;
 
-    if (!this.ownerProfile) {
+    if (!this.profile) {
       const empty = el("div", "sdcal__empty");
-      empty.textContent = "Planner notes are available for your owner profile.";
+      empty.textContent = "Add a profile to start planner notes.";
       this.mountEl.append(empty);
       return;
     }
 
-    const profileId = this.ownerProfile.id;
-
-    if (this.view === "day") {
+    const profileId = this.profile.id;
+    this.profileSwitcher.setProfiles(this.profiles, profileId);
+    this.mountEl.append(this.profileSwitcher.root);
+
+    const toolbar = el("div", "planner__toolbar");
+    const templatesBtn = el("button", "planner__task-addbtn");
+    templatesBtn.type = "button";
+    templatesBtn.textContent = "Day templates";
+    templatesBtn.title = "Tasks and a note for the SineDays they suit";
+    templatesBtn.addEventListener("click", () => this._openTemplatesSheet());
+    toolbar.append(templatesBtn);
+    this.mountEl.append(toolbar);
+
+    this._dropTargetEl = null;
+    this._liveRegion = el("div", "planner__live");
+    this._liveRegion.setAttribute("role", "status");
+    this._liveRegion.setAttribute("aria-live", "polite");
+    this.mountEl.append(this._liveRegion);
+
+    this._unscheduledEl = el("section", "planner__unscheduled");
+    this._unscheduledEl.setAttribute("aria-label", "Unscheduled tasks");
+    this.mountEl.append(this._unscheduledEl);
+
+    if (this.view === "day" || this.view === "timeline") {
       const d = this.dayDateUTC;
       const ymd = this._ymd(d);
 
       const wrap = el("div", "planner__day-view");
+      if (this.view === "timeline") {
+        wrap.classList.add("planner__day-view--timeline");
+        this._timelineEl = this._buildTimeline(ymd);
+        wrap.append(this._timelineEl);
+      }
       const card = this._buildDayCard(d, ymd);
       wrap.append(card);
       this.mountEl.append(wrap);
@@ -167,6 +313,9 @@ export class PlannerUI {
       await this._loadNotes(profileId, ymd, ymd);
       await this._loadTaskSeries(profileId);
       await this._loadTaskCompletions(profileId, ymd, ymd);
+      await this._loadChecklistChecks(profileId, ymd, ymd);
+      await this._loadTemplates();
+      await this._loadTemplateApplications(profileId, ymd, ymd);
       if (gen !== this._renderGen) return;
 
       const textarea = card.querySelector(".planner__textarea");
@@ -178,6 +327,9 @@ export class PlannerUI {
       }
       const listEl = card.querySelector(".planner__task-list");
       if (listEl) this._renderTaskList(listEl, ymd);
+      this._renderUnscheduled();
+      this._scrollTimeline();
+      await this._applyDayTemplates(card, ymd);
       return;
     }
 
@@ -202,6 +354,7 @@ export class PlannerUI {
     await this._loadNotes(profileId, startYmd, endYmd);
     await this._loadTaskSeries(profileId);
     await this._loadTaskCompletions(profileId, startYmd, endYmd);
+    await this._loadChecklistChecks(profileId, startYmd, endYmd);
     if (gen !== this._renderGen) return;
 
     for (const [ymd, card] of cards) {
@@ -215,6 +368,7 @@ export class PlannerUI {
       const listEl = card.querySelector(".planner__task-list");
       if (listEl) this._renderTaskList(listEl, ymd);
     }
+    this._renderUnscheduled();
   }
 
   _buildDayCard(d, ymd) {
@@ -225,9 +379,12 @@ export class PlannerUI {
       timeZone: "UTC",
     });
 
-    const cacheKey = `${this.ownerProfile.id}:${ymd}`;
+    // Captured here: a debounced save must land on the profile it was typed for.
+    const profileId = this.profile.id;
+    const cacheKey = `${profileId}:${ymd}`;
 
     const dayEl = el("div", "planner__day");
+    dayEl.dataset.ymd = ymd;
 
     const header = el("div", "planner__day-header");
 
@@ -235,7 +392,7 @@ export class PlannerUI {
     label.textContent = dtf.format(d);
 
     const duckWrap = el("div", "planner__duck-wrap");
-    const result = calculateSineDayForYmd(this.ownerProfile.birthdate, ymd);
+    const result = calculateSineDayForYmd(this.profile.birthdate, ymd);
 
     if (result) {
       const img = document.createElement("img");
@@ -262,23 +419,29 @@ export class PlannerUI {
     textarea.dataset.date = ymd;
     textarea.value = this.notesCache.get(cacheKey) || "";
 
-    if (this.view === "day") {
+    if (this.view !== "week") {
       textarea.classList.add("planner__textarea--day");
     }
 
     const indicator = el("div", "planner__save-indicator");
+    indicator.setAttribute("role", "status");
     indicator.textContent = "Saved ✓";
+    this._noteIndicators.set(cacheKey, { indicator, textarea });
 
     textarea.addEventListener("input", () => {
-      const key = `${this.ownerProfile.id}:${ymd}`;
+      const key = cacheKey;
       this.notesCache.set(key, textarea.value);
 
       if (this.saveTimers.has(key)) clearTimeout(this.saveTimers.get(key));
 
+      this._enqueueNote(profileId, ymd, textarea.value)
+        ?.then(() => this._showNoteSyncState(key))
+        .catch((err) => console.error("[Planner] Queue note error:", err));
+
       const timerId = setTimeout(() => {
         this.saveTimers.delete(key);
-        this._saveNote(this.ownerProfile.id, ymd, textarea.value).then(() => {
-          this._flashIndicator(indicator);
+        this._saveNote(profileId, ymd, textarea.value).then(() => {
+          this._showNoteSyncState(key);
         });
       }, 1500);
 
@@ -286,13 +449,13 @@ export class PlannerUI {
     });
 
     textarea.addEventListener("blur", () => {
-      const key = `${this.ownerProfile.id}:${ymd}`;
+      const key = cacheKey;
       if (this.saveTimers.has(key)) {
         clearTimeout(this.saveTimers.get(key));
         this.saveTimers.delete(key);
       }
-      this._saveNote(this.ownerProfile.id, ymd, textarea.value).then(() => {
-        this._flashIndicator(indicator);
+      this._saveNote(profileId, ymd, textarea.value).then(() => {
+        this._showNoteSyncState(key);
       });
     });
 
@@ -301,7 +464,7 @@ export class PlannerUI {
     const tasksPane = el("div", "planner__tasks-pane");
     const tasksHeader = el("div", "planner__tasks-header");
     const tasksTitle = el("div", "planner__tasks-title");
-    tasksTitle.textContent = "Tasks";
+    tasksTitle.textContent = this.view === "timeline" ? "No set time" : "Tasks";
     const addBtn = el("button", "planner__task-addbtn");
     addBtn.type = "button";
     addBtn.textContent = "Add task";
@@ -343,11 +506,17 @@ export class PlannerUI {
     const mid = el("div", "planner__task-row-middle");
     const titleInput = el("input", "planner__task-title");
     titleInput.type = "text";
-    titleInput.placeholder = "Task title…";
+    titleInput.placeholder = "Task, or “call mom every Sunday”…";
     titleInput.setAttribute("aria-label", "Task title");
 
+    const preview = el("div", "planner__task-repeatmeta");
+    preview.setAttribute("aria-live", "polite");
+    titleInput.addEventListener("input", () => {
+      preview.textContent = describeQuickAdd(this._parseQuickAdd(titleInput.value, ymd), { locale: this.locale });
+    });
+
     const titleWrap = el("div", "planner__task-title-wrap");
-    titleWrap.append(titleInput);
+    titleWrap.append(titleInput, preview);
 
     const repeatBtn = el("button", "planner__task-repeatbtn");
     repeatBtn.type = "button";
@@ -371,7 +540,7 @@ export class PlannerUI {
         this._draftMeta.delete(draftId);
         return;
       }
-      await this._persistDraftTask(listEl, ymd, draftId, v, row);
+      await this._persistDraftTask(listEl, ymd, draftId, this._parseQuickAdd(v, ymd), row);
     };
 
     titleInput.addEventListener("keydown", (e) => {
@@ -395,56 +564,87 @@ export class PlannerUI {
     return row;
   }
 
-  async _persistDraftTask(listEl, ymd, draftId, title, rowEl) {
-    if (!this.supabaseClient || !this.userId) return;
+  /**
+   * Reads a typed line for a new task on `ymd`. A line that is only a date
+   * or rule ("tomorrow") is kept as the title instead.
+   */
+  _parseQuickAdd(text, ymd) {
+    const parsed = parseQuickAdd(text, { today: this._todayYmd(), defaultDate: ymd, locale: this.locale });
+    if (parsed.title) return parsed;
+    return { title: String(text).trim(), date: ymd, fields: {}, matched: [] };
+  }
+
+  /** @param {{ title: string, date: string, fields: Object }} entry - from _parseQuickAdd */
+  async _persistDraftTask(listEl, ymd, draftId, entry, rowEl) {
+    if (!this.outbox || !this.userId) return;
 
-    const profileId = this.ownerProfile.id;
+    const profileId = this.profile.id;
     const maxOrder = this.taskSeries.reduce(
       (m, t) => Math.max(m, t.sort_order ?? 0),
       0
     );
+    // Client-side id so later edits can target the row before it syncs.
+    const task = {
+      id: crypto.randomUUID(),
+      user_id: this.userId,
+      profile_id: profileId,
+      title: entry.title,
+      start_date: entry.date,
+      repeat_mode: "none",
+      repeat_interval: 1,
+      repeat_sinedays: [],
+      ...entry.fields,
+      sort_order: maxOrder + 1,
+    };
 
     try {
-      const { error } = await this.supabaseClient.from("planner_tasks").insert({
-        user_id: this.userId,
-        profile_id: profileId,
-        title,
-        start_date: ymd,
-        repeat_mode: "none",
-        repeat_interval: 1,
-        repeat_sinedays: [],
-        sort_order: maxOrder + 1,
-      });
-
-      if (error) {
-        console.error("[Planner] Draft task insert failed:", error);
-        return;
-      }
+      await this._enqueueTaskInsert(task);
 
       rowEl.remove();
       this._draftMeta.delete(draftId);
-      await this._loadTaskSeries(profileId);
-      this._renderTaskList(listEl, ymd);
+      this.taskSeries.push({ ...task, is_archived: false });
+      if (entry.date === ymd && !isRepeatingTask(task)) {
+        this._renderTaskList(listEl, ymd);
+      } else {
+        this._refreshAllTaskLists();
+        const when = this._formatMoveDate(entry.date);
+        this._announce(isRepeatingTask(task) ? `Added “${task.title}”, starting ${when}.` : `Added “${task.title}” on ${when}.`);
+      }
+      this._syncTasks();
     } catch (err) {
       console.error("[Planner] Draft task error:", err);
     }
   }
 
+  _enqueueTaskInsert(task, { requires = null } = {}) {
+    return this.outbox.enqueue({
+      key: `planner_tasks:${task.id}`,
+      table: "planner_tasks",
+      op: "insert",
+      values: task,
+      match: { id: task.id },
+      requires,
+    });
+  }
+
   _renderTaskList(listEl, ymd) {
     const drafts = [...listEl.querySelectorAll(".planner__task-row[data-draft-id]")];
     listEl.replaceChildren();
-    const visible = this._getVisibleTasksForDate(ymd);
-    for (const t of visible) {
-      listEl.append(this._buildTaskRow(t, ymd, listEl));
+    // The timeline shows timed tasks; its list keeps the rest.
+    const timeline = this.view === "timeline";
+    const visible = this._getVisibleTasksForDate(ymd).filter(({ task }) => !timeline || !isTimedTask(task));
+    for (const { task, occurrence } of visible) {
+      listEl.append(this._buildTaskRow(task, occurrence, listEl));
     }
     if (visible.length === 0 && drafts.length === 0) {
       const empty = el("div", "planner__task-empty");
-      empty.textContent = "No tasks for this day.";
+      empty.textContent = timeline ? "Every task has a time." : "No tasks for this day.";
       listEl.append(empty);
     }
     for (const d of drafts) {
       listEl.append(d);
     }
+    if (timeline) this._renderTimeline();
   }
 
   _refreshAllTaskLists() {
@@ -454,19 +654,533 @@ export class PlannerUI {
         const ymd = listEl.dataset.ymd;
         if (ymd) this._renderTaskList(listEl, ymd);
       });
+    this._renderUnscheduled();
   }
 
-  _buildTaskRow(task, ymd, listEl) {
-    const row = el("div", "planner__task-row");
+  /** Tasks without a date, the add box and any open auto-place proposals. */
+  _renderUnscheduled() {
+    const section = this._unscheduledEl;
+    if (!section?.isConnected) return;
+
+    const tasks = this.taskSeries
+      .filter(isUnscheduledTask)
+      .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0));
+    if (this._proposals) {
+      this._proposals = this._proposals.filter((p) => tasks.some((t) => t.id === p.task.id));
+      if (!this._proposals.length) this._proposals = null;
+    }
+
+    const header = el("div", "planner__tasks-header");
+    const heading = el("div", "planner__tasks-title");
+    heading.textContent = tasks.length ? `Unscheduled (${tasks.length})` : "Unscheduled";
+    const placeBtn = el("button", "planner__task-addbtn");
+    placeBtn.type = "button";
+    placeBtn.textContent = "Auto-place";
+    placeBtn.title = "Propose days that suit each task's energy";
+    placeBtn.disabled = !tasks.length;
+    placeBtn.addEventListener("click", () => this._openProposals());
+    header.append(heading, placeBtn);
+
+    const listEl = el("div", "planner__task-list planner__unscheduled-list");
+    for (const task of tasks) listEl.append(this._buildUnscheduledRow(task));
+
+    const addInput = el("input", "planner__task-title planner__unscheduled-add");
+    addInput.type = "text";
+    addInput.placeholder = "Add a task without a day…";
+    addInput.setAttribute("aria-label", "Add an unscheduled task");
+    addInput.addEventListener("keydown", async (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      const title = addInput.value.trim();
+      if (!title) return;
+      addInput.value = "";
+      if (await this._persistUnscheduledTask(title)) {
+        this._renderUnscheduled();
+        this._unscheduledEl?.querySelector(".planner__unscheduled-add")?.focus();
+      }
+    });
+
+    section.replaceChildren(header, listEl, addInput);
+    if (this._proposals) section.append(this._buildProposals());
+  }
+
+  _buildUnscheduledRow(task) {
+    const row = el("div", "planner__task-row planner__unscheduled-row");
+    row.dataset.taskId = task.id;
+
+    const titleInput = el("input", "planner__task-title");
+    titleInput.type = "text";
+    titleInput.value = task.title;
+    titleInput.setAttribute("aria-label", "Task title");
+    titleInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        titleInput.blur();
+      }
+    });
+    titleInput.addEventListener("blur", async () => {
+      const v = titleInput.value.trim();
+      if (v === task.title) return;
+      if (!v || !(await this._updateTask(task.id, { title: v }))) titleInput.value = task.title;
+    });
+
+    const due = el("input", "planner__task-due");
+    due.type = "date";
+    due.value = task.due_date || "";
+    due.title = "Due date";
+    due.setAttribute("aria-label", `Due date: ${task.title}`);
+    due.addEventListener("change", async () => {
+      const saved = await this._updateTask(task.id, { due_date: due.value || null });
+      if (!saved) due.value = task.due_date || "";
+    });
+
+    const delBtn = el("button", "planner__task-deletebtn");
+    delBtn.type = "button";
+    delBtn.textContent = "×";
+    delBtn.title = "Archive task";
+    delBtn.addEventListener("click", async () => {
+      await this._archiveTask(task.id);
+      this._renderUnscheduled();
+    });
+
+    const btnRow = el("div", "planner__task-actions");
+    btnRow.append(this._buildEnergySelect(task), due, delBtn);
+
+    const mid = el("div", "planner__task-row-middle");
+    mid.append(titleInput, btnRow);
+    row.append(mid);
+    return row;
+  }
+
+  async _persistUnscheduledTask(title) {
+    if (!this.outbox || !this.userId || !this.profile) return false;
+
+    const maxOrder = this.taskSeries.reduce((m, t) => Math.max(m, t.sort_order ?? 0), 0);
+    const task = {
+      id: crypto.randomUUID(),
+      user_id: this.userId,
+      profile_id: this.profile.id,
+      title,
+      start_date: null,
+      repeat_mode: "none",
+      repeat_interval: 1,
+      repeat_sinedays: [],
+      sort_order: maxOrder + 1,
+    };
+
+    try {
+      await this._enqueueTaskInsert(task);
+      this.taskSeries.push({ ...task, is_archived: false });
+      this._syncTasks();
+      return true;
+    } catch (err) {
+      console.error("[Planner] Unscheduled task error:", err);
+      return false;
+    }
+  }
+
+  _todayYmd() {
+    const now = new Date();
+    return `${now.getFullYear()}-${pad2(now.getMonth() + 1)}-${pad2(now.getDate())}`;
+  }
+
+  /** Proposes a day for every unscheduled task, counting what each day already holds. */
+  _openProposals() {
+    this._proposals = proposeSchedule({
+      tasks: this.taskSeries,
+      loadForDate: (ymd) => this._getVisibleTasksForDate(ymd).length,
+      birthdate: this.profile?.birthdate,
+      from: this._todayYmd(),
+    });
+    this._renderUnscheduled();
+    const placeable = this._proposals?.filter((p) => p.date).length ?? 0;
+    this._announce(
+      placeable ? `${placeable} proposed ${placeable === 1 ? "day" : "days"} to review.` : "No days with room to propose."
+    );
+  }
+
+  _proposalReason({ task, sineDay, fit, reason }) {
+    const type = energyType(task.energy_type);
+    if (reason === "full") {
+      return task.due_date
+        ? "Every day before it is due is full"
+        : `Every day in the next ${SCHEDULE_HORIZON_DAYS} is full`;
+    }
+    if (reason === "overdue") return `Overdue since ${this._formatShortDate(task.due_date)}`;
+    if (reason === "energy") {
+      return `${type.label} ${fit === "best" ? "suits" : "works on"} Day ${sineDay}`;
+    }
+    if (reason === "before_due") return "Lightest day before it is due";
+    return type ? `Lightest day; no ${type.label.toLowerCase()} day has room` : "Lightest day";
+  }
+
+  _buildProposals() {
+    const panel = el("div", "planner__proposals");
+    const title = el("div", "planner__tasks-title");
+    title.textContent = "Proposed days";
+    const lead = el("p", "planner__proposals-lead");
+    lead.textContent = `From your SineDays over the next ${SCHEDULE_HORIZON_DAYS} days and the tasks already on them.`;
+    panel.append(title, lead);
+
+    const list = el("ul", "planner__proposals-list");
+    for (const proposal of this._proposals) {
+      const item = el("li", "planner__proposal");
+      const name = el("div", "planner__proposal-title");
+      name.textContent = proposal.task.title;
+      const change = el("div", "planner__proposal-change");
+      change.textContent = proposal.date
+        ? `Unscheduled → ${this._formatMoveDate(proposal.date)}${proposal.sineDay ? ` · Day ${proposal.sineDay}` : ""}`
+        : "Stays unscheduled";
+      const why = el("div", "planner__task-repeatmeta");
+      why.textContent = this._proposalReason(proposal);
+
+      const actions = el("div", "planner__task-actions");
+      if (proposal.date) {
+        const accept = el("button", "planner__task-addbtn");
+        accept.type = "button";
+        accept.textContent = "Accept";
+        accept.setAttribute("aria-label", `Accept ${this._formatMoveDate(proposal.date)} for ${proposal.task.title}`);
+        accept.addEventListener("click", () => this._acceptProposal(proposal));
+        actions.append(accept);
+      }
+      const skip = el("button", "planner__task-addbtn");
+      skip.type = "button";
+      skip.textContent = "Skip";
+      skip.setAttribute("aria-label", `Skip ${proposal.task.title}`);
+      skip.addEventListener("click", () => this._dismissProposal(proposal));
+      actions.append(skip);
+
+      item.append(name, change, why, actions);
+      list.append(item);
+    }
+
+    const footer = el("div", "planner__task-actions");
+    const acceptAll = el("button", "planner__task-addbtn");
+    acceptAll.type = "button";
+    acceptAll.textContent = "Accept all";
+    acceptAll.disabled = !this._proposals.some((p) => p.date);
+    acceptAll.addEventListener("click", async () => {
+      for (const proposal of this._proposals?.filter((p) => p.date) || []) {
+        await this._acceptProposal(proposal);
+      }
+    });
+    const close = el("button", "planner__task-addbtn");
+    close.type = "button";
+    close.textContent = "Close";
+    close.addEventListener("click", () => {
+      this._proposals = null;
+      this._renderUnscheduled();
+    });
+    footer.append(acceptAll, close);
+
+    panel.append(list, footer);
+    return panel;
+  }
+
+  _dismissProposal(proposal) {
+    this._proposals = this._proposals?.filter((p) => p !== proposal) || null;
+    if (!this._proposals?.length) this._proposals = null;
+    this._renderUnscheduled();
+  }
+
+  async _acceptProposal(proposal) {
+    const { task, date } = proposal;
+    const placed = await this._updateTask(task.id, { start_date: date });
+    if (!placed) {
+      this._announce(`Could not place “${task.title}”.`);
+      return;
+    }
+    this._proposals = this._proposals?.filter((p) => p !== proposal) || null;
+    this._refreshAllTaskLists();
+    this._announce(`“${task.title}” placed on ${this._formatMoveDate(date)}.`);
+  }
+
+  /**
+   * Adds the day's auto-apply templates, then shows the others as an offer
+   * above the day card. Only for the day and timeline views.
+   */
+  async _applyDayTemplates(card, ymd) {
+    const { apply } = this._templateOfferFor(ymd);
+    for (const template of apply) {
+      if (await this._applyTemplate(template, ymd)) {
+        this._announce(`Added your “${template.title}” template for ${describeSinedays([this._sinedayFor(ymd)])}.`);
+      }
+    }
+    this._renderTemplateOffer(card, ymd);
+  }
+
+  _sinedayFor(ymd) {
+    return calculateSineDayForYmd(this.profile?.birthdate, ymd)?.day ?? null;
+  }
+
+  _templateOfferFor(ymd) {
+    return dayTemplateOffer({
+      templates: this.dayTemplates,
+      sineday: this._sinedayFor(ymd),
+      ymd,
+      today: this._todayYmd(),
+      handled: this.templateApplications.get(`${this.profile?.id}:${ymd}`),
+    });
+  }
+
+  _renderTemplateOffer(card, ymd) {
+    card.querySelector(".planner__template-offer")?.remove();
+    const { offer } = this._templateOfferFor(ymd);
+    if (!offer.length || !card.isConnected) return;
+
+    const banner = el("div", "planner__template-offer");
+    banner.setAttribute("aria-label", `Templates for ${describeSinedays([this._sinedayFor(ymd)])}`);
+    banner.setAttribute("role", "group");
+    for (const template of offer) {
+      const item = el("div", "planner__template-offer-item");
+      const text = el("div", "planner__template-offer-text");
+      const name = el("div", "planner__tasks-title");
+      name.textContent = template.title;
+      const { tasks, note } = materializeTemplate(template, ymd);
+      const meta = el("div", "planner__task-repeatmeta");
+      meta.textContent = [
+        `${describeSinedays(template.sinedays)} template`,
+        tasks.length ? `${tasks.length} ${tasks.length === 1 ? "task" : "tasks"}` : "",
+        note ? "note" : "",
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      text.append(name, meta);
+
+      const actions = el("div", "planner__task-actions");
+      const applyBtn = el("button", "planner__task-addbtn");
+      applyBtn.type = "button";
+      applyBtn.textContent = "Apply";
+      applyBtn.setAttribute("aria-label", `Apply “${template.title}” to ${this._formatMoveDate(ymd)}`);
+      applyBtn.addEventListener("click", async () => {
+        applyBtn.disabled = true;
+        if (await this._applyTemplate(template, ymd)) {
+          this._announce(`Added “${template.title}” to ${this._formatMoveDate(ymd)}.`);
+        }
+        this._renderTemplateOffer(card, ymd);
+      });
+      const skipBtn = el("button", "planner__task-addbtn");
+      skipBtn.type = "button";
+      skipBtn.textContent = "Not this day";
+      skipBtn.setAttribute("aria-label", `Don't apply “${template.title}” to ${this._formatMoveDate(ymd)}`);
+      skipBtn.addEventListener("click", async () => {
+        skipBtn.disabled = true;
+        await this._dismissTemplate(template, ymd);
+        this._renderTemplateOffer(card, ymd);
+      });
+      actions.append(applyBtn, skipBtn);
+
+      item.append(text, actions);
+      banner.append(item);
+    }
+    card.querySelector(".planner__day-header")?.after(banner);
+  }
+
+  /** Re-offers templates on the open day after they were edited. */
+  _refreshTemplateOffers() {
+    if (this.view === "week") return;
+    this.mountEl.querySelectorAll(".planner__day[data-ymd]").forEach((card) => {
+      this._renderTemplateOffer(card, card.dataset.ymd);
+    });
+  }
+
+  _handledTemplates(profileId, ymd) {
+    const key = `${profileId}:${ymd}`;
+    if (!this.templateApplications.has(key)) this.templateApplications.set(key, new Set());
+    return this.templateApplications.get(key);
+  }
+
+  _enqueueTemplateApplication(template, ymd, status) {
+    const profileId = this.profile.id;
+    return this.outbox.enqueue({
+      key: `planner_day_template_applications:${profileId}:${ymd}:${template.id}`,
+      table: "planner_day_template_applications",
+      op: "insert",
+      values: {
+        user_id: this.userId,
+        profile_id: profileId,
+        template_id: template.id,
+        version: template.version ?? 1,
+        day: ymd,
+        status,
+      },
+      match: { profile_id: profileId, day: ymd, template_id: template.id },
+      ignoreDuplicate: true,
+    });
+  }
+
+  /**
+   * Copies the template's current version onto `ymd`: its tasks as one-off
+   * tasks and its note skeleton below the day's note. The copy is the day's
+   * own, so later template edits leave it as it is. The tasks and note
+   * replay after the application record and are dropped if another tab or
+   * device recorded the same template on that day first.
+   */
+  async _applyTemplate(template, ymd) {
+    if (!this.outbox || !this.userId || !this.profile) return false;
+
+    const profileId = this.profile.id;
+    const { tasks, note } = materializeTemplate(template, ymd);
+    const maxOrder = this.taskSeries.reduce((m, t) => Math.max(m, t.sort_order ?? 0), 0);
+
+    try {
+      const { key: requires } = await this._enqueueTemplateApplication(template, ymd, "applied");
+      this._handledTemplates(profileId, ymd).add(template.id);
+      for (const fields of tasks) {
+        const task = {
+          id: crypto.randomUUID(),
+          user_id: this.userId,
+          profile_id: profileId,
+          ...fields,
+          repeat_interval: 1,
+          repeat_sinedays: [],
+          sort_order: maxOrder + 1 + fields.sort_order,
+        };
+        await this._enqueueTaskInsert(task, { requires });
+        this.taskSeries.push({ ...task, is_archived: false });
+      }
+
+      const key = `${profileId}:${ymd}`;
+      const current = this.notesCache.get(key) ?? "";
+      const merged = mergeTemplateNote(current, note);
+      if (merged !== current) {
+        this.notesCache.set(key, merged);
+        await this._enqueueNote(profileId, ymd, merged, { requires });
+        const target = this._noteIndicators.get(key);
+        if (target?.textarea.isConnected) target.textarea.value = merged;
+        this._showNoteSyncState(key);
+      }
+    } catch (err) {
+      console.error("[Planner] Apply template error:", err);
+      return false;
+    }
+
+    this._refreshAllTaskLists();
+    this._syncTasks().then(() => this._refreshAllTaskLists());
+    return true;
+  }
+
+  async _dismissTemplate(template, ymd) {
+    if (!this.outbox || !this.userId || !this.profile) return;
+    try {
+      await this._enqueueTemplateApplication(template, ymd, "dismissed");
+      this._handledTemplates(this.profile.id, ymd).add(template.id);
+      await this.outbox.flush();
+    } catch (err) {
+      console.error("[Planner] Dismiss template error:", err);
+    }
+  }
+
+  async _openTemplatesSheet() {
+    await this._loadTemplates({ force: true });
+    openDayTemplatesSheet({
+      getTemplates: () => this.dayTemplates,
+      onSave: (existing, template) => this._saveTemplate(existing, template),
+      onArchive: (template) => this._archiveTemplate(template),
+    });
+  }
+
+  /**
+   * Stores an edit as the template's next version: the template row takes
+   * the new content and number, and a copy goes into its version history.
+   * @returns {Promise<Object|null>} the saved template
+   */
+  async _saveTemplate(existing, template) {
+    if (!this.outbox || !this.userId) return null;
+
+    const version = existing ? (existing.version ?? 1) + 1 : 1;
+    const saved = existing
+      ? { ...existing, ...template, version }
+      : { id: crypto.randomUUID(), user_id: this.userId, ...template, version, is_archived: false };
+
+    try {
+      await this.outbox.enqueue({
+        key: `planner_day_templates:${saved.id}`,
+        table: "planner_day_templates",
+        op: existing ? "update" : "insert",
+        values: existing ? { ...template, version } : saved,
+        match: { id: saved.id },
+      });
+      await this.outbox.enqueue({
+        key: `planner_day_template_versions:${saved.id}:${version}`,
+        table: "planner_day_template_versions",
+        op: "insert",
+        values: {
+          template_id: saved.id,
+          user_id: this.userId,
+          version,
+          title: template.title,
+          sinedays: template.sinedays,
+          tasks: template.tasks,
+          note: template.note,
+        },
+        match: { template_id: saved.id, version },
+        ignoreDuplicate: true,
+      });
+    } catch (err) {
+      console.error("[Planner] Save template error:", err);
+      return null;
+    }
+
+    this.dayTemplates = [...this.dayTemplates.filter((t) => t.id !== saved.id), saved].sort((a, b) =>
+      String(a.title).localeCompare(String(b.title))
+    );
+    this.outbox.flush().catch((err) => console.error("[Planner] Sync error:", err));
+    this._refreshTemplateOffers();
+    return saved;
+  }
+
+  async _archiveTemplate(template) {
+    if (!this.outbox) return false;
+    try {
+      await this.outbox.enqueue({
+        key: `planner_day_templates:${template.id}`,
+        table: "planner_day_templates",
+        op: "update",
+        values: { is_archived: true },
+        match: { id: template.id },
+      });
+    } catch (err) {
+      console.error("[Planner] Archive template error:", err);
+      return false;
+    }
+    this.dayTemplates = this.dayTemplates.filter((t) => t.id !== template.id);
+    this.outbox.flush().catch((err) => console.error("[Planner] Sync error:", err));
+    this._refreshTemplateOffers();
+    return true;
+  }
+
+  /**
+   * @param {Object} task - planner_tasks row
+   * @param {{ date: string, occurrenceDate: string, title: string, moved: boolean }} occurrence
+   *   from occurrenceOnDate; `date` is the day card it shows on
+   */
+  _buildTaskRow(task, occurrence, listEl) {
+    const ymd = occurrence.date;
+    const title = occurrence.title;
+    const row = el("div", "planner__task-row planner__task-row--movable");
     row.dataset.taskId = task.id;
 
+    const handle = el("button", "planner__task-handle");
+    handle.type = "button";
+    handle.textContent = "⠿";
+    handle.title = "Drag to another day";
+    handle.setAttribute("aria-label", `Move task: ${title}`);
+    handle.setAttribute("aria-roledescription", "draggable task");
+    handle.setAttribute("aria-pressed", "false");
+    handle.setAttribute(
+      "aria-description",
+      "Press Space to pick up, arrow keys to choose a day, Space again to drop, Escape to cancel."
+    );
+    this._bindTaskDrag(handle, row, task, occurrence);
+
     const cacheKey = `${task.id}:${ymd}`;
     const completed = !!this.taskCompletionCache.get(cacheKey);
 
     const check = el("input", "planner__task-check");
     check.type = "checkbox";
     check.checked = completed;
-    check.setAttribute("aria-label", `Complete: ${task.title}`);
+    check.setAttribute("aria-label", `Complete: ${title}`);
     if (completed) row.classList.add("is-completed");
 
     check.addEventListener("change", () => {
@@ -476,11 +1190,20 @@ export class PlannerUI {
     const mid = el("div", "planner__task-row-middle");
     const titleInput = el("input", "planner__task-title");
     titleInput.type = "text";
-    titleInput.value = task.title;
+    titleInput.value = title;
     titleInput.setAttribute("aria-label", "Task title");
 
+    const block = taskTimeBlock(task);
     const meta = el("div", "planner__task-repeatmeta");
-    meta.textContent = this._formatRepeatMeta(task);
+    meta.textContent = [
+      block ? formatTimeRange(block, this.locale) : "",
+      formatRepeatMeta(task),
+      occurrence.moved ? `Moved from ${this._formatShortDate(occurrence.occurrenceDate)}` : "",
+      title !== task.title ? "Renamed here" : "",
+      task.due_date ? `Due ${this._formatShortDate(task.due_date)}` : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
 
     const titleWrap = el("div", "planner__task-title-wrap");
     titleWrap.append(titleInput, meta);
@@ -489,29 +1212,54 @@ export class PlannerUI {
     repeatBtn.type = "button";
     repeatBtn.innerHTML = "&#128339;";
     repeatBtn.title = "Repeat settings";
-    const mode = task.repeat_mode || "none";
-    if (mode !== "none") repeatBtn.classList.add("is-active");
+    if (isRepeatingTask(task)) repeatBtn.classList.add("is-active");
 
     repeatBtn.addEventListener("click", () => {
-      this._openRepeatSheet(task, ymd);
+      this._openRepeatSheet(task, occurrence.occurrenceDate);
     });
 
     const delBtn = el("button", "planner__task-deletebtn");
     delBtn.type = "button";
     delBtn.textContent = "×";
-    delBtn.title = "Archive task";
+    delBtn.title = isRepeatingTask(task) ? "Remove or skip" : "Archive task";
+
+    const removeTask = async () => {
+      const scope = await this._askRepeatScope(task, occurrence, {
+        title: "Remove repeating task",
+        lead: `Remove “${title}” on ${this._formatMoveDate(ymd)}:`,
+      });
+      if (!scope) {
+        titleInput.value = title;
+        return;
+      }
+      if (scope === "occurrence") {
+        await this._updateTask(task.id, skipOccurrence(task, occurrence.occurrenceDate));
+      } else if (scope === "following") {
+        await this._updateTask(task.id, splitSeries(task, occurrence.occurrenceDate).head);
+      } else {
+        await this._archiveTask(task.id);
+      }
+      this._refreshAllTaskLists();
+    };
 
     const saveTitle = async () => {
       const v = titleInput.value.trim();
       if (!v) {
-        await this._archiveTask(task.id);
-        this._renderTaskList(listEl, ymd);
+        await removeTask();
         return;
       }
-      if (v !== task.title) {
-        await this._updateTask(task.id, { title: v });
-        task.title = v;
+      if (v === title) return;
+      const scope = await this._askRepeatScope(task, occurrence, {
+        title: "Rename repeating task",
+        lead: `Rename “${title}” to “${v}”:`,
+      });
+      if (!scope) {
+        titleInput.value = title;
+        return;
       }
+      await this._changeTask(task, occurrence, scope, { title: v });
+      // Other days show a repeating task's title too.
+      if (isRepeatingTask(task)) this._refreshAllTaskLists();
     };
 
     titleInput.addEventListener("keydown", (e) => {
@@ -525,106 +1273,882 @@ export class PlannerUI {
       saveTitle();
     });
 
-    delBtn.addEventListener("click", async () => {
-      await this._archiveTask(task.id);
-      this._renderTaskList(listEl, ymd);
+    delBtn.addEventListener("click", () => {
+      removeTask();
     });
 
     const btnRow = el("div", "planner__task-actions");
-    btnRow.append(repeatBtn, delBtn);
+    btnRow.append(this._buildEnergySelect(task), this._buildChecklistToggle(task, ymd, row), repeatBtn, delBtn);
+    if (this.view === "timeline") {
+      const placeBtn = el("button", "planner__task-placebtn");
+      placeBtn.type = "button";
+      placeBtn.textContent = "⏱";
+      placeBtn.title = "Put on the timeline";
+      placeBtn.setAttribute("aria-label", `Put “${title}” on the timeline`);
+      placeBtn.addEventListener("click", () => this._placeOnTimeline(task, occurrence));
+      btnRow.prepend(placeBtn);
+    }
 
     mid.append(titleWrap, btnRow);
-    row.append(check, mid);
+    row.append(handle, check, mid);
+    if (this._openChecklists.has(cacheKey)) row.append(this._buildChecklistPanel(task, ymd, row));
     return row;
   }
 
-  async _toggleTaskCompletion(task, ymd, checked, rowEl, checkEl) {
-    if (!this.supabaseClient || !this.userId) return;
-
+  /** Checklist button with the occurrence's progress; opens the panel below the row. */
+  _buildChecklistToggle(task, ymd, row) {
     const cacheKey = `${task.id}:${ymd}`;
-    const profileId = this.ownerProfile.id;
-
-    if (checked) {
-      this.taskCompletionCache.set(cacheKey, true);
-      rowEl.classList.add("is-completed");
-      try {
-        const { error } = await this.supabaseClient
-          .from("planner_task_completions")
-          .insert({
-            task_id: task.id,
-            user_id: this.userId,
-            profile_id: profileId,
-            occurrence_date: ymd,
-          });
-
-        if (
-          error &&
-          error.code !== "23505" &&
-          !`${error.message}`.toLowerCase().includes("duplicate")
-        ) {
-          console.error("[Planner] Completion insert failed:", error);
-          this.taskCompletionCache.delete(cacheKey);
-          checkEl.checked = false;
-          rowEl.classList.remove("is-completed");
-        }
-      } catch (err) {
-        console.error("[Planner] Completion error:", err);
-        this.taskCompletionCache.delete(cacheKey);
-        checkEl.checked = false;
-        rowEl.classList.remove("is-completed");
-      }
-    } else {
-      this.taskCompletionCache.delete(cacheKey);
-      rowEl.classList.remove("is-completed");
-      try {
-        const { error } = await this.supabaseClient
-          .from("planner_task_completions")
-          .delete()
-          .eq("task_id", task.id)
-          .eq("occurrence_date", ymd);
-
-        if (error) {
-          console.error("[Planner] Completion delete failed:", error);
-        }
-      } catch (err) {
-        console.error("[Planner] Completion delete error:", err);
+    const btn = el("button", "planner__task-checklistbtn");
+    btn.type = "button";
+    btn.setAttribute("aria-expanded", String(this._openChecklists.has(cacheKey)));
+    paintChecklistButton(btn, checklistProgress(task.checklist, this.checklistCheckCache.get(cacheKey) || []));
+
+    btn.addEventListener("click", () => {
+      const panel = row.querySelector(".task-checklist");
+      if (panel) {
+        panel.remove();
+        this._openChecklists.delete(cacheKey);
+        btn.setAttribute("aria-expanded", "false");
+        return;
       }
-    }
+      this._openChecklists.add(cacheKey);
+      btn.setAttribute("aria-expanded", "true");
+      const next = this._buildChecklistPanel(task, ymd, row);
+      row.append(next);
+      next.querySelector(next.querySelector(".task-checklist__item") ? ".task-checklist__check" : ".task-checklist__add")?.focus();
+    });
+    return btn;
   }
 
-  async _updateTask(taskId, patch) {
-    if (!this.supabaseClient) return;
-
-    try {
-      const { error } = await this.supabaseClient
-        .from("planner_tasks")
-        .update({ ...patch, updated_at: new Date().toISOString() })
-        .eq("id", taskId);
+  /**
+   * Items apply to the whole series, so edits are one task update; ticks
+   * belong to this occurrence.
+   */
+  _buildChecklistPanel(task, ymd, row) {
+    const cacheKey = `${task.id}:${ymd}`;
+    // Syncing reloads the series, so read the items from the latest copy.
+    const latest = () => this.taskSeries.find((t) => t.id === task.id) || task;
+    const { root } = createChecklist({
+      items: latest().checklist,
+      checkedIds: this.checklistCheckCache.get(cacheKey) || [],
+      editable: true,
+      canTick: true,
+      onToggle: (itemId, checked) => this._toggleChecklistItem(task, ymd, itemId, checked),
+      onEdit: async (checklist) => {
+        const saved = await this._updateTask(task.id, { checklist });
+        // Other days of a repeating task show the same items.
+        if (saved && isRepeatingTask(task)) this._refreshChecklistRows(latest(), row);
+        return saved;
+      },
+      onProgress: (progress) => {
+        const btn = row.querySelector(".planner__task-checklistbtn");
+        if (btn) paintChecklistButton(btn, progress);
+      },
+    });
+    root.setAttribute("aria-label", `Checklist: ${task.title}`);
+    return root;
+  }
 
-      if (error) console.error("[Planner] Task update failed:", error);
-      else await this._loadTaskSeries(this.ownerProfile.id);
-    } catch (err) {
-      console.error("[Planner] Task update error:", err);
+  /** Brings the task's other rendered rows up to date with its items. */
+  _refreshChecklistRows(task, exceptRow) {
+    for (const row of this.mountEl.querySelectorAll(".planner__task-row")) {
+      if (row === exceptRow || row.dataset.taskId !== task.id) continue;
+      const btn = row.querySelector(".planner__task-checklistbtn");
+      const ymd = row.closest("[data-ymd]")?.dataset.ymd;
+      if (!btn || !ymd) continue;
+      paintChecklistButton(btn, checklistProgress(task.checklist, this.checklistCheckCache.get(`${task.id}:${ymd}`) || []));
+      row.querySelector(".task-checklist")?.replaceWith(this._buildChecklistPanel(task, ymd, row));
     }
   }
 
-  async _archiveTask(taskId) {
-    if (!this.supabaseClient) return;
-
-    try {
-      const { error } = await this.supabaseClient
-        .from("planner_tasks")
-        .update({ is_archived: true, updated_at: new Date().toISOString() })
-        .eq("id", taskId);
-
-      if (error) console.error("[Planner] Archive task failed:", error);
-      else await this._loadTaskSeries(this.ownerProfile.id);
-    } catch (err) {
-      console.error("[Planner] Archive task error:", err);
+  /** Energy type picker; applies to the whole series. */
+  _buildEnergySelect(task) {
+    const select = el("select", "planner__task-energy");
+    select.setAttribute("aria-label", `Energy type: ${task.title}`);
+    select.title = "Energy type";
+    for (const [value, label] of [["", "Any energy"], ...ENERGY_TYPES.map((t) => [t.id, t.label])]) {
+      const option = el("option");
+      option.value = value;
+      option.textContent = label;
+      select.append(option);
     }
+    select.value = energyType(task.energy_type)?.id || "";
+    select.addEventListener("change", async () => {
+      const saved = await this._updateTask(task.id, { energy_type: select.value || null });
+      if (!saved) select.value = energyType(task.energy_type)?.id || "";
+    });
+    return select;
   }
 
-  _ensureRepeatSheet() {
+  /**
+   * Which occurrences a change to a repeating task applies to. Resolves
+   * "series" straight away for one-off tasks, null when cancelled.
+   * `following` is left out on the first occurrence, where it means the
+   * whole series; `occurrence: false` leaves out "Only this one".
+   */
+  _askRepeatScope(task, occurrence, { title, lead, occurrence: allowOccurrence = true, following = true, series = true }) {
+    if (!isRepeatingTask(task)) return Promise.resolve("series");
+    const scopes = [];
+    if (allowOccurrence) scopes.push("occurrence");
+    if (following && occurrence.occurrenceDate > taskStartDate(task)) scopes.push("following");
+    if (series) scopes.push("series");
+    if (scopes.length === 1) return Promise.resolve(scopes[0]);
+    return chooseRepeatScope({ title, lead, scopes });
+  }
+
+  /**
+   * Applies field changes to one occurrence ({ title, date } only), to this
+   * and following occurrences, or to the whole series. Resolves false when
+   * the change was rolled back.
+   */
+  async _changeTask(task, occurrence, scope, changes) {
+    if (scope === "occurrence") {
+      const result = overrideOccurrence(task, occurrence.occurrenceDate, changes, this.profile?.birthdate);
+      if (result.error) {
+        this._announce(result.error);
+        return false;
+      }
+      return this._updateTask(task.id, result.patch);
+    }
+    if (scope === "following") {
+      const { head, tail } = splitSeries(task, occurrence.occurrenceDate, changes);
+      if (head) return (await this._splitTask(task, head, tail)) !== null;
+    }
+    return this._updateTask(task.id, changes);
+  }
+
+  /**
+   * Pointer drag on the handle (mouse, touch and pen alike) plus a keyboard
+   * pick-up/drop mode; both end in _moveTask.
+   */
+  _bindTaskDrag(handle, row, task, occurrence) {
+    const ymd = occurrence.date;
+    const title = occurrence.title;
+    let drag = null;
+    let carry = null;
+
+    const finishDrag = (drop) => {
+      if (!drag) return;
+      const { ghost, target, minute } = drag;
+      drag = null;
+      ghost?.remove();
+      row.classList.remove("is-dragging");
+      this._setDropTarget(null);
+      if (!drop || !ghost) return;
+      if (minute !== null) this._placeOnTimeline(task, occurrence, snapMinutes(minute));
+      else if (target && target !== ymd) this._moveTask(task, occurrence, target);
+    };
+
+    handle.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0 || drag) return;
+      const rect = row.getBoundingClientRect();
+      drag = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        offsetX: e.clientX - rect.left,
+        offsetY: e.clientY - rect.top,
+        width: rect.width,
+        ghost: null,
+        target: null,
+        minute: null,
+      };
+      handle.setPointerCapture?.(e.pointerId);
+    });
+
+    handle.addEventListener("pointermove", (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      if (!drag.ghost) {
+        if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < DRAG_THRESHOLD_PX) return;
+        drag.ghost = row.cloneNode(true);
+        drag.ghost.classList.add("planner__task-ghost");
+        drag.ghost.setAttribute("aria-hidden", "true");
+        drag.ghost.style.width = `${drag.width}px`;
+        document.body.append(drag.ghost);
+        row.classList.add("is-dragging");
+      }
+      e.preventDefault();
+      drag.ghost.style.transform = `translate(${e.clientX - drag.offsetX}px, ${e.clientY - drag.offsetY}px)`;
+      this._scrollWhileDragging(e.clientY);
+      // Over the timeline a list task drops at the time under the pointer.
+      drag.minute = this._timelineMinuteAt(e.clientX, e.clientY);
+      if (drag.minute !== null) {
+        drag.target = null;
+        this._setDropTarget(this._timelineEl);
+        return;
+      }
+      const dayEl = this._dayCardAt(e.clientX, e.clientY);
+      drag.target = dayEl?.dataset.ymd || null;
+      this._setDropTarget(dayEl);
+    });
+
+    handle.addEventListener("pointerup", (e) => {
+      if (drag && e.pointerId === drag.pointerId) finishDrag(true);
+    });
+    handle.addEventListener("pointercancel", (e) => {
+      if (drag && e.pointerId === drag.pointerId) finishDrag(false);
+    });
+    handle.addEventListener("lostpointercapture", () => finishDrag(false));
+
+    const endCarry = (drop) => {
+      if (!carry) return;
+      const target = carry.target;
+      carry = null;
+      handle.setAttribute("aria-pressed", "false");
+      row.classList.remove("is-dragging");
+      this._setDropTarget(null);
+      if (!drop) {
+        this._announce(`Move cancelled. “${title}” stays on ${this._formatMoveDate(ymd)}.`);
+        return;
+      }
+      if (target !== ymd) this._moveTask(task, occurrence, target, { focus: true });
+    };
+
+    handle.addEventListener("keydown", (e) => {
+      if (!carry) {
+        if (e.key === " " || e.key === "Enter") {
+          e.preventDefault();
+          carry = { target: ymd };
+          handle.setAttribute("aria-pressed", "true");
+          row.classList.add("is-dragging");
+          this._announce(
+            `Picked up “${title}”. Use the arrow keys to choose a day, Space to drop, Escape to cancel.`
+          );
+        }
+        return;
+      }
+      let days = 0;
+      if (e.key === "ArrowLeft" || e.key === "ArrowUp") days = -1;
+      else if (e.key === "ArrowRight" || e.key === "ArrowDown") days = 1;
+      if (days) {
+        e.preventDefault();
+        carry.target = addDaysYmd(carry.target, days);
+        const dayEl = this.mountEl.querySelector(`.planner__day[data-ymd="${carry.target}"]`);
+        this._setDropTarget(carry.target === ymd ? null : dayEl);
+        this._announce(this._formatMoveDate(carry.target));
+      } else if (e.key === " " || e.key === "Enter") {
+        e.preventDefault();
+        endCarry(true);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        endCarry(false);
+      }
+    });
+    handle.addEventListener("blur", () => endCarry(false));
+  }
+
+  /** Hour grid for one day, under a band naming the profile's SineDay for it. */
+  _buildTimeline(ymd) {
+    const section = el("section", "planner__timeline");
+    section.dataset.ymd = ymd;
+    section.setAttribute("aria-label", `Timeline for ${this._formatMoveDate(ymd)}`);
+
+    const band = el("div", "planner__timeline-phase");
+    const grid = el("div", "planner__timeline-grid");
+    grid.style.height = `${24 * TIMELINE_HOUR_PX}px`;
+
+    const sineday = calculateSineDayForYmd(this.profile.birthdate, ymd, resolveContentLanguage(this.locale));
+    if (sineday) {
+      const suits = ENERGY_TYPES.filter((type) => energyFit(type.id, sineday.day) === "best");
+      band.textContent = [
+        `Day ${sineday.day}`,
+        sineday.phase,
+        suits.length ? `Suits ${suits.map((type) => type.label.toLowerCase()).join(", ")}` : "",
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      band.title = sineday.description;
+      // Where the day sits on the wave, 0 in the trough to 1 at the crest, tints the grid.
+      grid.style.setProperty("--planner-phase-level", ((1 + Math.sin(2 * Math.PI * sineday.position)) / 2).toFixed(2));
+    } else {
+      band.hidden = true;
+    }
+
+    const hourFormat = new Intl.DateTimeFormat(this.locale, { hour: "numeric", timeZone: "UTC" });
+    for (let hour = 0; hour < 24; hour++) {
+      const line = el("div", "planner__timeline-hour");
+      line.setAttribute("aria-hidden", "true");
+      line.style.top = `${hour * TIMELINE_HOUR_PX}px`;
+      line.textContent = hourFormat.format(new Date(Date.UTC(2000, 0, 1, hour)));
+      grid.append(line);
+    }
+    grid.append(el("div", "planner__timeline-lane"));
+
+    if (ymd === this._todayYmd()) {
+      const nowLine = el("div", "planner__timeline-now");
+      nowLine.setAttribute("aria-hidden", "true");
+      const place = () => {
+        const now = new Date();
+        nowLine.style.top = `${(now.getHours() * 60 + now.getMinutes()) * TIMELINE_PX_PER_MINUTE}px`;
+      };
+      place();
+      grid.append(nowLine);
+      this._nowTimer = setInterval(place, 60000);
+    }
+
+    const scroller = el("div", "planner__timeline-scroll");
+    scroller.append(grid);
+    section.append(band, scroller);
+    return section;
+  }
+
+  /** Opens the timeline an hour before now today, otherwise at the morning or the first block. */
+  _scrollTimeline() {
+    const scroller = this._timelineEl?.querySelector(".planner__timeline-scroll");
+    if (!scroller) return;
+    const ymd = this._timelineEl.dataset.ymd;
+    const now = new Date();
+    const minute =
+      ymd === this._todayYmd()
+        ? now.getHours() * 60 + now.getMinutes() - 60
+        : Math.min(TIMELINE_DAY_START_MINUTES, ...this._timedTasksForDate(ymd).map(({ block }) => block.start));
+    scroller.scrollTop = Math.max(0, minute) * TIMELINE_PX_PER_MINUTE;
+  }
+
+  _timedTasksForDate(ymd) {
+    return this._getVisibleTasksForDate(ymd)
+      .map(({ task, occurrence }) => ({ task, occurrence, block: taskTimeBlock(task) }))
+      .filter(({ block }) => block)
+      .sort((a, b) => a.block.start - b.block.start || a.block.end - b.block.end);
+  }
+
+  _renderTimeline() {
+    const section = this._timelineEl;
+    if (!section?.isConnected) return;
+    const ymd = section.dataset.ymd;
+    const lane = section.querySelector(".planner__timeline-lane");
+    const items = this._timedTasksForDate(ymd);
+    const layout = layoutBlocks(items.map(({ block }) => block));
+    const sineday = calculateSineDayForYmd(this.profile.birthdate, ymd)?.day ?? null;
+    lane.replaceChildren(...items.map((item, i) => this._buildTimeBlock(item, layout[i], sineday)));
+  }
+
+  /**
+   * One timed task on the timeline. Its body drags to move it and its lower
+   * edge to resize; from the keyboard, Space picks it up, the arrow keys move
+   * it (with Shift, change its length) and Space drops it.
+   */
+  _buildTimeBlock({ task, occurrence, block }, { column, columns }, sineday) {
+    const ymd = occurrence.date;
+    const title = occurrence.title;
+    const node = el("div", "planner__block");
+    node.dataset.taskId = task.id;
+    node.setAttribute("role", "group");
+    node.setAttribute("aria-label", title);
+    node.style.left = `${(column / columns) * 100}%`;
+    node.style.width = `${100 / columns}%`;
+    if (sineday && task.energy_type && energyFit(task.energy_type, sineday) === "best") {
+      node.classList.add("is-phase-fit");
+      node.title = `${energyType(task.energy_type)?.label} suits Day ${sineday}`;
+    }
+
+    const check = el("input", "planner__task-check");
+    check.type = "checkbox";
+    check.checked = !!this.taskCompletionCache.get(`${task.id}:${ymd}`);
+    check.setAttribute("aria-label", `Complete: ${title}`);
+    if (check.checked) node.classList.add("is-completed");
+    check.addEventListener("change", () => {
+      this._toggleTaskCompletion(task, ymd, check.checked, node, check);
+    });
+
+    const handle = el("button", "planner__block-handle");
+    handle.type = "button";
+    handle.setAttribute("aria-roledescription", "time block");
+    handle.setAttribute("aria-pressed", "false");
+    handle.setAttribute(
+      "aria-description",
+      "Press Space to pick up, arrow keys to move by 15 minutes, Shift and arrow keys to change the length, Space again to drop, Escape to cancel. Delete moves it back to the list."
+    );
+    const titleEl = el("span", "planner__block-title");
+    titleEl.textContent = title;
+    const timeEl = el("span", "planner__block-time");
+    handle.append(titleEl, timeEl);
+
+    const removeBtn = el("button", "planner__block-remove");
+    removeBtn.type = "button";
+    removeBtn.textContent = "×";
+    removeBtn.title = "Back to the list";
+    removeBtn.setAttribute("aria-label", `Take “${title}” off the timeline`);
+    removeBtn.addEventListener("click", () => this._setTaskTimes(task, occurrence, null, { focus: true }));
+
+    const resize = el("div", "planner__block-resize");
+    resize.setAttribute("aria-hidden", "true");
+
+    node.append(check, handle, removeBtn, resize);
+
+    let preview = block;
+    const show = (next) => {
+      preview = next;
+      node.style.top = `${next.start * TIMELINE_PX_PER_MINUTE}px`;
+      node.style.height = `${(next.end - next.start) * TIMELINE_PX_PER_MINUTE}px`;
+      node.classList.toggle("is-short", next.end - next.start < 45);
+      timeEl.textContent = formatTimeRange(next, this.locale);
+      handle.setAttribute("aria-label", `${title}, ${formatTimeRange(next, this.locale, " to ")}`);
+    };
+    const changed = () => preview.start !== block.start || preview.end !== block.end;
+    show(block);
+    let carrying = false;
+
+    const bindPointer = (target, edit) => {
+      let drag = null;
+      target.addEventListener("pointerdown", (e) => {
+        if (e.button !== 0 || drag || carrying) return;
+        drag = { pointerId: e.pointerId, startY: e.clientY, moved: false };
+        target.setPointerCapture?.(e.pointerId);
+      });
+      target.addEventListener("pointermove", (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const dy = e.clientY - drag.startY;
+        if (!drag.moved && Math.abs(dy) < DRAG_THRESHOLD_PX) return;
+        e.preventDefault();
+        drag.moved = true;
+        node.classList.add("is-dragging");
+        show(edit(dy / TIMELINE_PX_PER_MINUTE));
+      });
+      const finish = (drop) => {
+        if (!drag) return;
+        const { moved } = drag;
+        drag = null;
+        node.classList.remove("is-dragging");
+        if (!moved) return;
+        if (drop && changed()) this._setTaskTimes(task, occurrence, preview);
+        else show(block);
+      };
+      target.addEventListener("pointerup", (e) => {
+        if (drag && e.pointerId === drag.pointerId) finish(true);
+      });
+      target.addEventListener("pointercancel", (e) => {
+        if (drag && e.pointerId === drag.pointerId) finish(false);
+      });
+      target.addEventListener("lostpointercapture", () => finish(false));
+    };
+    bindPointer(handle, (minutes) => moveBlock(block, snapMinutes(block.start + minutes)));
+    bindPointer(resize, (minutes) => resizeBlock(block, snapMinutes(block.end + minutes)));
+
+    const endCarry = (drop) => {
+      if (!carrying) return;
+      carrying = false;
+      handle.setAttribute("aria-pressed", "false");
+      node.classList.remove("is-dragging");
+      if (drop && changed()) {
+        this._setTaskTimes(task, occurrence, preview, { focus: true });
+        return;
+      }
+      show(block);
+      if (!drop) this._announce(`Change cancelled. “${title}” stays at ${formatTimeRange(block, this.locale, " to ")}.`);
+    };
+
+    handle.addEventListener("keydown", (e) => {
+      if (!carrying) {
+        if (e.key === " " || e.key === "Enter") {
+          e.preventDefault();
+          carrying = true;
+          handle.setAttribute("aria-pressed", "true");
+          node.classList.add("is-dragging");
+          this._announce(
+            `Picked up “${title}”. Arrow keys move it, Shift and arrow keys change its length, Space to drop, Escape to cancel.`
+          );
+        } else if (e.key === "Delete" || e.key === "Backspace") {
+          e.preventDefault();
+          this._setTaskTimes(task, occurrence, null, { focus: true });
+        }
+        return;
+      }
+      const steps = { ArrowUp: -TIME_STEP_MINUTES, ArrowDown: TIME_STEP_MINUTES, PageUp: -60, PageDown: 60 };
+      if (e.key in steps) {
+        e.preventDefault();
+        const minutes = steps[e.key];
+        show(e.shiftKey ? resizeBlock(preview, preview.end + minutes) : moveBlock(preview, preview.start + minutes));
+        handle.scrollIntoView?.({ block: "nearest" });
+        this._announce(formatTimeRange(preview, this.locale, " to "));
+      } else if (e.key === " " || e.key === "Enter") {
+        e.preventDefault();
+        endCarry(true);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        endCarry(false);
+      }
+    });
+    handle.addEventListener("blur", () => endCarry(false));
+
+    return node;
+  }
+
+  /** The minute under a pointer over the visible timeline, or null. */
+  _timelineMinuteAt(x, y) {
+    const scroller = this._timelineEl?.querySelector(".planner__timeline-scroll");
+    const lane = this._timelineEl?.querySelector(".planner__timeline-lane");
+    if (!scroller?.isConnected || !lane) return null;
+    const view = scroller.getBoundingClientRect();
+    if (x < view.left || x > view.right || y < view.top || y > view.bottom) return null;
+    const minute = (y - lane.getBoundingClientRect().top) / TIMELINE_PX_PER_MINUTE;
+    return Math.max(0, Math.min(MINUTES_PER_DAY - DEFAULT_BLOCK_MINUTES, minute));
+  }
+
+  /** Puts a listed task on the timeline at `start`, or in the next free hour from the morning or now. */
+  _placeOnTimeline(task, occurrence, start = null) {
+    const ymd = occurrence.date;
+    const taken = this._timedTasksForDate(ymd)
+      .filter((item) => item.task.id !== task.id)
+      .map(({ block }) => block);
+    const now = new Date();
+    const from =
+      ymd === this._todayYmd()
+        ? Math.max(TIMELINE_DAY_START_MINUTES, now.getHours() * 60 + now.getMinutes())
+        : TIMELINE_DAY_START_MINUTES;
+    const at = start ?? findFreeSlot(taken, from, DEFAULT_BLOCK_MINUTES);
+    return this._setTaskTimes(task, occurrence, moveBlock({ start: 0, end: DEFAULT_BLOCK_MINUTES }, at), {
+      focus: start === null,
+    });
+  }
+
+  /**
+   * Gives a task a time, changes it, or takes it off the timeline (block
+   * null). Times belong to the series, so a repeating task changes from this
+   * occurrence on or as a whole.
+   */
+  async _setTaskTimes(task, occurrence, block, { focus = false } = {}) {
+    const title = occurrence.title;
+    const range = block ? formatTimeRange(block, this.locale, " to ") : "";
+    const scope = await this._askRepeatScope(task, occurrence, {
+      title: block ? "Change time of repeating task" : "Take repeating task off the timeline",
+      lead: block ? `Put “${title}” at ${range}:` : `Move “${title}” back to the list:`,
+      occurrence: false,
+    });
+    if (!scope) {
+      this._renderTimeline();
+      return;
+    }
+
+    const times = block ? blockTimes(block) : { start_time: null, end_time: null };
+    let saving;
+    if (scope === "following") {
+      const { head, tail } = splitSeries(task, occurrence.occurrenceDate, times);
+      saving = this._splitTask(task, head, tail);
+    } else {
+      saving = this._updateTask(task.id, times).then((ok) => (ok ? task.id : null));
+    }
+    this._refreshAllTaskLists();
+    const savedId = await saving;
+    this._refreshAllTaskLists();
+    this._announce(
+      savedId
+        ? block
+          ? `“${title}” is at ${range}.`
+          : `“${title}” is back in the list.`
+        : `Could not change the time of “${title}”.`
+    );
+    if (focus) {
+      const id = savedId || task.id;
+      this.mountEl
+        .querySelector(
+          `.planner__block[data-task-id="${id}"] .planner__block-handle, .planner__task-row[data-task-id="${id}"] .planner__task-placebtn`
+        )
+        ?.focus();
+    }
+  }
+
+  _dayCardAt(x, y) {
+    const dayEl = document.elementFromPoint(x, y)?.closest(".planner__day[data-ymd]");
+    return dayEl && this.mountEl.contains(dayEl) ? dayEl : null;
+  }
+
+  _setDropTarget(dayEl) {
+    if (this._dropTargetEl === dayEl) return;
+    this._dropTargetEl?.classList.remove("is-drop-target");
+    this._dropTargetEl = dayEl || null;
+    this._dropTargetEl?.classList.add("is-drop-target");
+  }
+
+  /** Scrolls the week while a dragged task nears the top or bottom of it. */
+  _scrollWhileDragging(clientY) {
+    const rect = this.mountEl.getBoundingClientRect();
+    if (clientY < rect.top + DRAG_SCROLL_EDGE_PX) this.mountEl.scrollTop -= DRAG_SCROLL_STEP_PX;
+    else if (clientY > rect.bottom - DRAG_SCROLL_EDGE_PX) this.mountEl.scrollTop += DRAG_SCROLL_STEP_PX;
+  }
+
+  _announce(message) {
+    if (this._liveRegion) this._liveRegion.textContent = message;
+  }
+
+  _formatMoveDate(ymd) {
+    return new Intl.DateTimeFormat(this.locale, {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+      timeZone: "UTC",
+    }).format(dateFromYmd(ymd));
+  }
+
+  _formatShortDate(ymd) {
+    return new Intl.DateTimeFormat(this.locale, {
+      month: "short",
+      day: "numeric",
+      timeZone: "UTC",
+    }).format(dateFromYmd(ymd));
+  }
+
+  /**
+   * Moves a task's occurrence to toYmd: just this one (a date override),
+   * this and following (a split series, shifted), or the whole series. The
+   * list re-renders before the write is queued and again once it settles,
+   * which puts the task back if the move could not be saved.
+   */
+  async _moveTask(task, occurrence, toYmd, { focus = false } = {}) {
+    const fromYmd = occurrence.date;
+    const title = occurrence.title;
+    if (fromYmd === toYmd || !this.outbox) return;
+
+    // Count from the date the rule gives it, not where an override already put it.
+    const days = diffDaysUTC(dateFromYmd(toYmd), dateFromYmd(occurrence.occurrenceDate));
+    // Rules tied to weekdays or dates of the month only move one occurrence.
+    const shiftable = canShiftSeries(task, days);
+    const scope = await this._askRepeatScope(task, occurrence, {
+      title: "Move repeating task",
+      lead: `Move “${title}” from ${this._formatMoveDate(fromYmd)} to ${this._formatMoveDate(toYmd)}:`,
+      following: shiftable,
+      series: shiftable,
+    });
+    if (!scope) return;
+
+    let moving;
+    if (scope === "occurrence" && isRepeatingTask(task)) {
+      moving = this._changeTask(task, occurrence, "occurrence", { date: toYmd }).then((ok) => (ok ? task.id : null));
+    } else if (scope === "following") {
+      const { head, tail } = splitSeries(task, occurrence.occurrenceDate);
+      moving = this._splitTask(task, head, { ...tail, ...shiftSeries(tail, days) });
+    } else {
+      moving = this._updateTask(task.id, shiftSeries(task, days)).then((ok) => (ok ? task.id : null));
+    }
+    this._refreshAllTaskLists();
+    const movedId = await moving;
+    this._refreshAllTaskLists();
+    this._announce(
+      movedId
+        ? `Moved “${title}” to ${this._formatMoveDate(toYmd)}.`
+        : `Could not move “${title}”. It is back on ${this._formatMoveDate(fromYmd)}.`
+    );
+    if (focus) {
+      const dayYmd = movedId ? toYmd : fromYmd;
+      this.mountEl
+        .querySelector(`.planner__day[data-ymd="${dayYmd}"] .planner__task-row[data-task-id="${movedId || task.id}"] .planner__task-handle`)
+        ?.focus();
+    }
+  }
+
+  /**
+   * Ends a series with `head` and carries it on as a new task from `tail`
+   * (see splitSeries). Resolves the new task's id, or null once both are
+   * rolled back.
+   */
+  async _splitTask(task, head, tail) {
+    const previous = Object.fromEntries(Object.keys(head).map((field) => [field, task[field] ?? null]));
+    const next = {
+      energy_type: task.energy_type ?? null,
+      start_time: task.start_time ?? null,
+      end_time: task.end_time ?? null,
+      ...tail,
+      id: crypto.randomUUID(),
+      user_id: this.userId,
+      profile_id: task.profile_id,
+    };
+    const dropNext = () => {
+      this.taskSeries = this.taskSeries.filter((t) => t.id !== next.id);
+    };
+
+    this.taskSeries.push({ ...next, is_archived: false });
+    // The outbox keeps queue order, so the head's sync sends the new task first.
+    const inserting = this._enqueueTaskInsert(next).then(
+      () => true,
+      (err) => {
+        console.error("[Planner] Split task error:", err);
+        return false;
+      }
+    );
+    const ending = this._updateTask(task.id, head);
+    const [inserted, ended] = await Promise.all([inserting, ending]);
+
+    if (!inserted) {
+      dropNext();
+      if (ended) await this._updateTask(task.id, previous);
+      return null;
+    }
+    if (!ended) {
+      await this._archiveTask(next.id);
+      return null;
+    }
+
+    const parked = this.outbox.pendingFor(`planner_tasks:${next.id}`);
+    if (parked?.status === "failed") {
+      await this.outbox.resolveConflict(parked.id, "discard");
+      dropNext();
+      await this._updateTask(task.id, previous);
+      return null;
+    }
+    return next.id;
+  }
+
+  async _toggleTaskCompletion(task, ymd, checked, rowEl, checkEl) {
+    if (!this.outbox || !this.userId) return;
+
+    const cacheKey = `${task.id}:${ymd}`;
+    const profileId = this.profile.id;
+    const mutation = {
+      key: `planner_task_completions:${cacheKey}`,
+      table: "planner_task_completions",
+      match: { task_id: task.id, occurrence_date: ymd },
+    };
+
+    if (checked) {
+      this.taskCompletionCache.set(cacheKey, true);
+      rowEl.classList.add("is-completed");
+      try {
+        await this.outbox.enqueue({
+          ...mutation,
+          op: "insert",
+          values: {
+            task_id: task.id,
+            user_id: this.userId,
+            profile_id: profileId,
+            occurrence_date: ymd,
+          },
+          ignoreDuplicate: true,
+        });
+      } catch (err) {
+        console.error("[Planner] Completion error:", err);
+        this.taskCompletionCache.delete(cacheKey);
+        checkEl.checked = false;
+        rowEl.classList.remove("is-completed");
+        return;
+      }
+    } else {
+      this.taskCompletionCache.delete(cacheKey);
+      rowEl.classList.remove("is-completed");
+      try {
+        await this.outbox.enqueue({ ...mutation, op: "delete" });
+      } catch (err) {
+        console.error("[Planner] Completion delete error:", err);
+        return;
+      }
+    }
+    this.outbox.flush().catch((err) => console.error("[Planner] Sync error:", err));
+  }
+  /** Ticks or unticks a checklist item on one occurrence; resolves false when it could not be queued. */
+  async _toggleChecklistItem(task, ymd, itemId, checked) {
+    if (!this.outbox || !this.userId) return false;
+
+    const cacheKey = `${task.id}:${ymd}`;
+    const ticked = this.checklistCheckCache.get(cacheKey) || new Set();
+    this.checklistCheckCache.set(cacheKey, ticked);
+    const mutation = {
+      key: `planner_task_checklist_checks:${cacheKey}:${itemId}`,
+      table: "planner_task_checklist_checks",
+      match: { task_id: task.id, occurrence_date: ymd, item_id: itemId },
+    };
+
+    if (checked) ticked.add(itemId);
+    else ticked.delete(itemId);
+    try {
+      await this.outbox.enqueue(
+        checked
+          ? {
+              ...mutation,
+              op: "insert",
+              values: {
+                task_id: task.id,
+                user_id: this.userId,
+                profile_id: this.profile.id,
+                occurrence_date: ymd,
+                item_id: itemId,
+              },
+              ignoreDuplicate: true,
+            }
+          : { ...mutation, op: "delete" }
+      );
+    } catch (err) {
+      console.error("[Planner] Checklist tick error:", err);
+      if (checked) ticked.delete(itemId);
+      else ticked.add(itemId);
+      return false;
+    }
+    this.outbox.flush().catch((err) => console.error("[Planner] Sync error:", err));
+    return true;
+  }
+
+  /**
+   * Applies the patch to the local task right away, then queues it. Resolves
+   * false, with the local task rolled back, when the change cannot be queued
+   * or the server rejects it.
+   */
+  async _updateTask(taskId, patch) {
+    if (!this.outbox) return false;
+
+    const key = `planner_tasks:${taskId}`;
+    const task = this.taskSeries.find((t) => t.id === taskId);
+    const previous = task ? Object.fromEntries(Object.keys(patch).map((field) => [field, task[field]])) : null;
+    const rollBack = () => {
+      const current = this.taskSeries.find((t) => t.id === taskId);
+      if (current && previous) Object.assign(current, previous);
+    };
+    if (task) Object.assign(task, patch);
+
+    try {
+      await this.outbox.enqueue({
+        key,
+        table: "planner_tasks",
+        op: "update",
+        values: { ...patch, updated_at: new Date().toISOString() },
+        match: { id: taskId },
+      });
+    } catch (err) {
+      console.error("[Planner] Task update error:", err);
+      rollBack();
+      return false;
+    }
+
+    await this._syncTasks();
+    const parked = this.outbox.pendingFor(key);
+    if (parked?.status === "failed") {
+      await this.outbox.resolveConflict(parked.id, "discard");
+      rollBack();
+      await this._syncTasks();
+      return false;
+    }
+    return true;
+  }
+
+  async _archiveTask(taskId) {
+    if (!this.outbox) return;
+
+    try {
+      await this.outbox.enqueue({
+        key: `planner_tasks:${taskId}`,
+        table: "planner_tasks",
+        op: "update",
+        values: { is_archived: true, updated_at: new Date().toISOString() },
+        match: { id: taskId },
+      });
+      this.taskSeries = this.taskSeries.filter((t) => t.id !== taskId);
+      await this._syncTasks();
+    } catch (err) {
+      console.error("[Planner] Archive task error:", err);
+    }
+  }
+
+  /** Flushes the outbox and re-reads tasks once the queue is clear of them. */
+  async _syncTasks() {
+    try {
+      await this.outbox.flush();
+    } catch (err) {
+      console.error("[Planner] Sync error:", err);
+      return;
+    }
+    if (!this.outbox.pendingForTable("planner_tasks").length && this.profile) {
+      await this._loadTaskSeries(this.profile.id);
+    }
+  }
+
+  _ensureRepeatSheet() {
     if (this.repeatSheetEls) return;
 
     const backdrop = el("div", "sheet-backdrop planner-repeat-sheet__backdrop");
@@ -656,6 +2180,7 @@ export class PlannerUI {
       ["yearly", "Yearly"],
       ["weekdays", "Weekdays"],
       ["sineday", "SineDuck days"],
+      ...RULE_MODE_LABELS,
     ];
 
     for (const [value, text] of modeLabels) {
@@ -714,6 +2239,15 @@ export class PlannerUI {
     }
     chipGroup.append(chipLabel, chipGrid);
 
+    const ruleFields = buildRepeatRuleFields({
+      idPrefix: "planner-repeat",
+      getStartDate: () => {
+        const task = this.taskSeries.find((t) => t.id === this.repeatSheetState.taskId);
+        return taskStartDate(task);
+      },
+      onRule: (fields) => fillSheet(fields),
+    });
+
     const actions = el("div", "planner-repeat-sheet__actions");
     const saveBtn = el("button", "planner-repeat-sheet__save btn btn-primary");
     saveBtn.type = "button";
@@ -729,8 +2263,13 @@ export class PlannerUI {
       title,
       modeGroup,
       intervalGroup,
+      ruleFields.weekdayGroup,
+      ruleFields.monthdayGroup,
+      ruleFields.nthGroup,
       untilGroup,
+      ruleFields.countGroup,
       chipGroup,
+      ruleFields.pasteGroup,
       actions
     );
     sheet.append(handle, content);
@@ -740,11 +2279,37 @@ export class PlannerUI {
     const syncModeUI = () => {
       const mode =
         Object.keys(modeRadios).find((k) => modeRadios[k].checked) || "none";
-      const showInterval = ["daily", "weekly", "monthly", "yearly"].includes(
-        mode
-      );
-      intervalGroup.style.display = showInterval ? "" : "none";
+      intervalGroup.style.display = INTERVAL_MODES.includes(mode) ? "" : "none";
       chipGroup.style.display = mode === "sineday" ? "" : "none";
+      ruleFields.sync(mode);
+    };
+
+    // Frequency, interval, end date and SineDay chips; ruleFields does the rest.
+    const fillSheet = (task) => {
+      const mode = task.repeat_mode || "none";
+      for (const m of REPEAT_MODES) {
+        modeRadios[m].checked = m === mode;
+      }
+
+      intervalInput.value = String(
+        Math.max(1, Math.min(365, task.repeat_interval ?? 1))
+      );
+
+      if (task.repeat_until) {
+        untilInput.value = task.repeat_until;
+      } else {
+        untilInput.value = "";
+      }
+
+      for (let d = 1; d <= 18; d++) {
+        const arr = task.repeat_sinedays || [];
+        chipToggles[d].classList.toggle(
+          "is-selected",
+          arr.some((x) => Number(x) === d)
+        );
+      }
+
+      syncModeUI();
     };
 
     for (const r of Object.values(modeRadios)) {
@@ -770,10 +2335,16 @@ export class PlannerUI {
         1,
         Math.min(365, Number(intervalInput.value) || 1)
       );
-      if (!["daily", "weekly", "monthly", "yearly"].includes(mode)) {
+      if (!INTERVAL_MODES.includes(mode)) {
         interval = 1;
       }
 
+      const ruled = ruleFields.read(mode);
+      if (ruled.error) {
+        ruleFields.showError(ruled.error);
+        return;
+      }
+
       const untilVal = untilInput.value.trim();
       const repeat_until = untilVal || null;
 
@@ -787,25 +2358,35 @@ export class PlannerUI {
         repeat_sinedays.sort((a, b) => a - b);
       }
 
-      await this._updateTask(st.taskId, {
+      const changes = {
         repeat_mode: mode,
         repeat_interval: interval,
         repeat_until,
         repeat_sinedays,
-      });
+        ...ruled.fields,
+      };
+      const task = this.taskSeries.find((t) => t.id === st.taskId);
+      const occurrence = { occurrenceDate: st.occurrenceYmd };
+      const scope = task
+        ? await this._askRepeatScope(task, occurrence, {
+            title: "Change repeating task",
+            lead: `New repeat settings for “${task.title}” apply to:`,
+            occurrence: false,
+          })
+        : "series";
+      if (!scope) return;
 
       this._closeRepeatSheet(false);
+      if (task) await this._changeTask(task, occurrence, scope, changes);
+      else await this._updateTask(st.taskId, changes);
       this._refreshAllTaskLists();
     });
 
     this.repeatSheetEls = {
       backdrop,
       sheet,
-      modeRadios,
-      intervalInput,
-      untilInput,
-      chipToggles,
-      syncModeUI,
+      fillSheet,
+      ruleFields,
     };
   }
 
@@ -819,30 +2400,8 @@ export class PlannerUI {
       occurrenceYmd,
     };
 
-    const mode = task.repeat_mode || "none";
-    for (const m of REPEAT_MODES) {
-      els.modeRadios[m].checked = m === mode;
-    }
-
-    els.intervalInput.value = String(
-      Math.max(1, Math.min(365, task.repeat_interval ?? 1))
-    );
-
-    if (task.repeat_until) {
-      els.untilInput.value = task.repeat_until;
-    } else {
-      els.untilInput.value = "";
-    }
-
-    for (let d = 1; d <= 18; d++) {
-      const arr = task.repeat_sinedays || [];
-      els.chipToggles[d].classList.toggle(
-        "is-selected",
-        arr.some((x) => Number(x) === d)
-      );
-    }
-
-    els.syncModeUI();
+    els.fillSheet(task);
+    els.ruleFields.fill(task);
 
     els.backdrop.hidden = false;
     els.sheet.hidden = false;
@@ -903,128 +2462,24 @@ export class PlannerUI {
     }, 220);
   }
 
-  _dateFromYmd(ymd) {
-    const [y, m, d] = ymd.split("-").map(Number);
-    return new Date(Date.UTC(y, m - 1, d, 12, 0, 0, 0));
-  }
-
-  _diffDaysUTC(a, b) {
-    return Math.round((a.getTime() - b.getTime()) / MS_PER_DAY);
-  }
-
-  _diffMonthsUTC(a, b) {
-    return (
-      (a.getUTCFullYear() - b.getUTCFullYear()) * 12 +
-      (a.getUTCMonth() - b.getUTCMonth())
-    );
-  }
-
-  _lastDomUtc(y, monthIndex) {
-    return new Date(Date.UTC(y, monthIndex + 1, 0)).getUTCDate();
-  }
-
-  _alignDomUtc(d, domStart) {
-    const last = this._lastDomUtc(d.getUTCFullYear(), d.getUTCMonth());
-    return Math.min(domStart, last);
-  }
-
+  /** Same occurrences as shared calendar tasks (task-recurrence.js). */
   _taskOccursOnDate(task, ymd) {
-    const D = this._dateFromYmd(ymd);
-    const S = this._dateFromYmd(task.start_date);
-
-    if (compareYmd(ymd, task.start_date) < 0) return false;
-    if (task.repeat_until && compareYmd(ymd, task.repeat_until) > 0) {
-      return false;
-    }
-
-    const mode = task.repeat_mode || "none";
-    const n = Math.max(1, Math.min(365, task.repeat_interval ?? 1));
-
-    switch (mode) {
-      case "none":
-        return ymd === task.start_date;
-      case "daily": {
-        const diff = this._diffDaysUTC(D, S);
-        return diff >= 0 && diff % n === 0;
-      }
-      case "weekly": {
-        const diff = this._diffDaysUTC(D, S);
-        return diff >= 0 && diff % (7 * n) === 0;
-      }
-      case "monthly": {
-        const months = this._diffMonthsUTC(D, S);
-        if (months < 0 || months % n !== 0) return false;
-        const domS = S.getUTCDate();
-        return D.getUTCDate() === this._alignDomUtc(D, domS);
-      }
-      case "yearly": {
-        const years = D.getUTCFullYear() - S.getUTCFullYear();
-        if (years < 0 || years % n !== 0) return false;
-        if (D.getUTCMonth() !== S.getUTCMonth()) return false;
-        const domS = S.getUTCDate();
-        return D.getUTCDate() === this._alignDomUtc(D, domS);
-      }
-      case "weekdays": {
-        if (compareYmd(ymd, task.start_date) < 0) return false;
-        const dow = D.getUTCDay();
-        const isWeekday = dow >= 1 && dow <= 5;
-        return isWeekday;
-      }
-      case "sineday": {
-        const arr = task.repeat_sinedays || [];
-        if (!arr.length) return false;
-        const result = calculateSineDayForYmd(
-          this.ownerProfile.birthdate,
-          ymd
-        );
-        if (!result) return false;
-        return arr.some((x) => Number(x) === result.day);
-      }
-      default:
-        return false;
-    }
+    return occurrenceOnDate(task, ymd, this.profile?.birthdate) !== null;
   }
 
+  /** @returns {Array<{ task: Object, occurrence: Object }>} in list order */
   _getVisibleTasksForDate(ymd) {
+    const birthdate = this.profile?.birthdate;
     return this.taskSeries
-      .filter((t) => this._taskOccursOnDate(t, ymd))
-      .sort((a, b) => {
+      .map((task) => ({ task, occurrence: occurrenceOnDate(task, ymd, birthdate) }))
+      .filter(({ occurrence }) => occurrence)
+      .sort(({ task: a }, { task: b }) => {
         const so = (a.sort_order ?? 0) - (b.sort_order ?? 0);
         if (so !== 0) return so;
         return String(a.created_at).localeCompare(String(b.created_at));
       });
   }
 
-  _formatRepeatMeta(task) {
-    const mode = task.repeat_mode || "none";
-    if (mode === "none") return "";
-
-    const n = Math.max(1, task.repeat_interval ?? 1);
-
-    switch (mode) {
-      case "daily":
-        return n === 1 ? "Repeats daily" : `Repeats every ${n} days`;
-      case "weekly":
-        return n === 1 ? "Repeats weekly" : `Repeats every ${n} weeks`;
-      case "monthly":
-        return n === 1 ? "Repeats monthly" : `Repeats every ${n} months`;
-      case "yearly":
-        return n === 1 ? "Repeats yearly" : `Repeats every ${n} years`;
-      case "weekdays":
-        return "Repeats weekdays";
-      case "sineday": {
-        const arr = [...(task.repeat_sinedays || [])]
-          .map(Number)
-          .filter((d) => d >= 1 && d <= 18)
-          .sort((a, b) => a - b);
-        if (!arr.length) return "Repeats on SineDuck days";
-        return `Repeats on ${arr.map((d) => `Day ${d}`).join(" · ")}`;
-      }
-      default:
-        return "";
-    }
-  }
-
   async _loadTaskSeries(profileId) {
     if (!this.supabaseClient) return;
 
@@ -1049,6 +2504,21 @@ export class PlannerUI {
       console.error("[Planner] Load tasks error:", err);
       this.taskSeries = [];
     }
+    this._overlayPendingTasks(profileId);
+  }
+
+  /** Shows queued task inserts and edits that have not reached the server yet. */
+  _overlayPendingTasks(profileId) {
+    for (const pending of this.outbox?.pendingForTable("planner_tasks") || []) {
+      const taskId = pending.match?.id;
+      const existing = this.taskSeries.find((t) => t.id === taskId);
+      if (pending.op === "insert" && !existing && pending.values.profile_id === profileId) {
+        this.taskSeries.push({ ...pending.values, is_archived: false });
+      } else if (pending.op === "update" && existing) {
+        Object.assign(existing, pending.values);
+      }
+    }
+    this.taskSeries = this.taskSeries.filter((t) => !t.is_archived);
   }
 
   async _loadTaskCompletions(profileId, startYmd, endYmd) {
@@ -1084,6 +2554,107 @@ export class PlannerUI {
     } catch (err) {
       console.error("[Planner] Load completions error:", err);
     }
+
+    for (const pending of this.outbox?.pendingForTable("planner_task_completions") || []) {
+      const { task_id: taskId, occurrence_date: ymd } = pending.match || {};
+      if (ymd < startYmd || ymd > endYmd) continue;
+      if (pending.op === "delete") this.taskCompletionCache.delete(`${taskId}:${ymd}`);
+      else this.taskCompletionCache.set(`${taskId}:${ymd}`, true);
+    }
+  }
+  async _loadChecklistChecks(profileId, startYmd, endYmd) {
+    if (!this.supabaseClient) return;
+
+    const inRange = (ymd) => ymd >= startYmd && ymd <= endYmd;
+    const ticked = (taskId, ymd) => {
+      const key = `${taskId}:${ymd}`;
+      if (!this.checklistCheckCache.has(key)) this.checklistCheckCache.set(key, new Set());
+      return this.checklistCheckCache.get(key);
+    };
+
+    try {
+      const { data, error } = await this.supabaseClient
+        .from("planner_task_checklist_checks")
+        .select("task_id, occurrence_date, item_id")
+        .eq("profile_id", profileId)
+        .gte("occurrence_date", startYmd)
+        .lte("occurrence_date", endYmd);
+
+      if (error) {
+        console.error("[Planner] Load checklist checks failed:", error);
+        return;
+      }
+
+      for (const key of [...this.checklistCheckCache.keys()]) {
+        if (inRange(key.slice(key.lastIndexOf(":") + 1))) this.checklistCheckCache.delete(key);
+      }
+      for (const row of data || []) ticked(row.task_id, row.occurrence_date).add(row.item_id);
+    } catch (err) {
+      console.error("[Planner] Load checklist checks error:", err);
+    }
+
+    for (const pending of this.outbox?.pendingForTable("planner_task_checklist_checks") || []) {
+      const { task_id: taskId, occurrence_date: ymd, item_id: itemId } = pending.match || {};
+      if (!inRange(ymd)) continue;
+      if (pending.op === "delete") ticked(taskId, ymd).delete(itemId);
+      else ticked(taskId, ymd).add(itemId);
+    }
+  }
+
+  async _loadTemplates({ force = false } = {}) {
+    if (!this.supabaseClient || !this.userId || (this.dayTemplatesLoaded && !force)) return;
+
+    try {
+      const { data, error } = await this.supabaseClient
+        .from("planner_day_templates")
+        .select("*")
+        .eq("user_id", this.userId)
+        .eq("is_archived", false)
+        .order("title", { ascending: true });
+
+      if (error) {
+        console.error("[Planner] Load day templates failed:", error);
+        return;
+      }
+      this.dayTemplates = data || [];
+      this.dayTemplatesLoaded = true;
+    } catch (err) {
+      console.error("[Planner] Load day templates error:", err);
+      return;
+    }
+
+    for (const pending of this.outbox?.pendingForTable("planner_day_templates") || []) {
+      const existing = this.dayTemplates.find((t) => t.id === pending.match?.id);
+      if (pending.op === "insert" && !existing) this.dayTemplates.push({ ...pending.values });
+      else if (pending.op === "update" && existing) Object.assign(existing, pending.values);
+    }
+    this.dayTemplates = this.dayTemplates.filter((t) => !t.is_archived);
+  }
+
+  async _loadTemplateApplications(profileId, startYmd, endYmd) {
+    if (!this.supabaseClient) return;
+
+    try {
+      const { data, error } = await this.supabaseClient
+        .from("planner_day_template_applications")
+        .select("template_id, day")
+        .eq("profile_id", profileId)
+        .gte("day", startYmd)
+        .lte("day", endYmd);
+
+      if (error) {
+        console.error("[Planner] Load template applications failed:", error);
+        return;
+      }
+      for (const row of data || []) this._handledTemplates(profileId, row.day).add(row.template_id);
+    } catch (err) {
+      console.error("[Planner] Load template applications error:", err);
+    }
+
+    for (const pending of this.outbox?.pendingForTable("planner_day_template_applications") || []) {
+      const { profile_id: pid, day, template_id: templateId } = pending.values || {};
+      if (pid === profileId && day >= startYmd && day <= endYmd) this._handledTemplates(pid, day).add(templateId);
+    }
   }
 
   getDateLabel(locale) {
@@ -1094,7 +2665,7 @@ export class PlannerUI {
       timeZone: "UTC",
     });
 
-    if (this.view === "day") {
+    if (this.view !== "week") {
       return dtf.format(this.dayDateUTC);
     }
 
@@ -1112,7 +2683,7 @@ export class PlannerUI {
     try {
       const { data, error } = await this.supabaseClient
         .from("planner_notes")
-        .select("note_date, content")
+        .select("note_date, content, updated_at")
         .eq("profile_id", profileId)
         .gte("note_date", startYmd)
         .lte("note_date", endYmd);
@@ -1124,38 +2695,127 @@ export class PlannerUI {
 
       for (const row of data || []) {
         this.notesCache.set(`${profileId}:${row.note_date}`, row.content);
+        this.noteVersions.set(`${profileId}:${row.note_date}`, row.updated_at);
       }
     } catch (err) {
       console.error("[Planner] Load notes error:", err);
     }
+
+    // Unsynced notes win over the server copy until they land.
+    for (const pending of this.outbox?.pendingForTable("planner_notes") || []) {
+      const { profile_id: pid, note_date: ymd, content } = pending.values || {};
+      if (pid !== profileId || ymd < startYmd || ymd > endYmd) continue;
+      this.notesCache.set(`${pid}:${ymd}`, content);
+    }
+  }
+
+  _enqueueNote(profileId, dateYmd, content, { requires = null } = {}) {
+    if (!this.outbox || !this.userId) return null;
+    const key = `${profileId}:${dateYmd}`;
+    return this.outbox.enqueue({
+      key: `planner_notes:${key}`,
+      table: "planner_notes",
+      op: "upsert",
+      values: {
+        user_id: this.userId,
+        profile_id: profileId,
+        note_date: dateYmd,
+        content: content,
+      },
+      onConflict: "profile_id,note_date",
+      match: { profile_id: profileId, note_date: dateYmd },
+      select: "note_date, content, updated_at",
+      checkUpdatedAt: true,
+      expectedUpdatedAt: this.noteVersions.get(key) || null,
+      requires,
+    });
   }
 
   async _saveNote(profileId, dateYmd, content) {
-    if (!this.supabaseClient || !this.userId) return;
+    if (!this.outbox || !this.userId) return;
 
     try {
-      const { error } = await this.supabaseClient
-        .from("planner_notes")
-        .upsert(
-          {
-            user_id: this.userId,
-            profile_id: profileId,
-            note_date: dateYmd,
-            content: content,
-          },
-          { onConflict: "profile_id,note_date" }
-        );
-
-      if (error) {
-        console.error("[Planner] Failed to save note:", error);
-      } else {
-        this.notesCache.set(`${profileId}:${dateYmd}`, content);
-      }
+      await this._enqueueNote(profileId, dateYmd, content);
+      this.notesCache.set(`${profileId}:${dateYmd}`, content);
+      await this.outbox.flush();
     } catch (err) {
       console.error("[Planner] Save note error:", err);
     }
   }
 
+  _handleOutboxEvent({ type, record, row }) {
+    if (record?.table === "planner_notes" && record.match) {
+      const key = `${record.match.profile_id}:${record.match.note_date}`;
+      if (type === "applied" && row?.updated_at) this.noteVersions.set(key, row.updated_at);
+      if (type === "discarded" && record.requires) this._reloadNote(record.match.profile_id, record.match.note_date);
+      if (type !== "queued") this._showNoteSyncState(key);
+    } else if (type === "discarded" && record?.requires && record.table === "planner_tasks") {
+      // The template was already applied elsewhere; its copies load from the server.
+      this.taskSeries = this.taskSeries.filter((t) => t.id !== record.values?.id);
+      this._refreshAllTaskLists();
+    } else if (type === "failed" && record) {
+      console.error(`[Planner] Could not sync ${record.table} change:`, record.error);
+    }
+  }
+
+  /** Replaces a day's note with the server copy. */
+  async _reloadNote(profileId, dateYmd) {
+    const key = `${profileId}:${dateYmd}`;
+    this.notesCache.delete(key);
+    await this._loadNotes(profileId, dateYmd, dateYmd);
+    const target = this._noteIndicators.get(key);
+    if (target?.textarea.isConnected) target.textarea.value = this.notesCache.get(key) ?? "";
+  }
+
+  _showNoteSyncState(key) {
+    const target = this._noteIndicators.get(key);
+    if (!target || !target.indicator.isConnected) return;
+    const { indicator, textarea } = target;
+    const pending = this.outbox?.pendingFor(`planner_notes:${key}`);
+    indicator.replaceChildren();
+    indicator.classList.toggle("is-pending", pending?.status === "pending");
+    indicator.classList.toggle("is-error", !!pending && pending.status !== "pending");
+
+    if (!pending) {
+      indicator.textContent = "Saved ✓";
+      this._flashIndicator(indicator);
+      return;
+    }
+    indicator.classList.add("is-visible");
+    if (pending.status === "pending") {
+      indicator.textContent = navigator.onLine === false ? "Offline · pending sync" : "Pending sync";
+      return;
+    }
+    if (pending.status === "failed") {
+      indicator.textContent = "Could not sync";
+      return;
+    }
+
+    indicator.textContent = "Changed on another device · ";
+    const keepMine = el("button", "planner__sync-choice");
+    keepMine.type = "button";
+    keepMine.textContent = "Keep mine";
+    keepMine.addEventListener("click", async () => {
+      await this.outbox.resolveConflict(pending.id, "local");
+      if (pending.remote) this.noteVersions.set(key, pending.remote.updated_at);
+      await this.outbox.flush();
+      this._showNoteSyncState(key);
+    });
+    const useTheirs = el("button", "planner__sync-choice");
+    useTheirs.type = "button";
+    useTheirs.textContent = "Use theirs";
+    useTheirs.addEventListener("click", async () => {
+      await this.outbox.resolveConflict(pending.id, "remote");
+      const content = pending.remote?.content ?? "";
+      this.notesCache.set(key, content);
+      if (pending.remote) this.noteVersions.set(key, pending.remote.updated_at);
+      else this.noteVersions.delete(key);
+      textarea.value = content;
+      this._showNoteSyncState(key);
+    });
+    indicator.append(keepMine, " ", useTheirs);
+  }
+
   _flashIndicator(indicatorEl) {
     indicatorEl.classList.add("is-visible");
     setTimeout(() => indicatorEl.classList.remove("is-visible"), 1500);
@@ -0,0 +1,83 @@
+/**
+ * "Journal for" profile picker shared by the journal, history, planner and
+ * wave calendar tabs. Each tab keeps its own active profile; the owner
+ * profile is the default and the picker hides itself while the account has
+ * only one profile.
+ */
+
+import { getOriginTypeForDob } from "../shared/origin-wave.js";
+import { duckUrlFromSinedayNumber } from "./sineducks.js";
+
+/**
+ * The profile a tab should show: the one with `activeId` if the account
+ * still has it, otherwise the owner profile, otherwise the first profile.
+ */
+export function pickActiveProfile(profiles, ownerProfile, activeId = null) {
+  const list = Array.isArray(profiles) ? profiles : [];
+  if (activeId) {
+    const active = list.find((profile) => profile.id === activeId);
+    if (active) return active;
+    if (ownerProfile?.id === activeId) return ownerProfile;
+  }
+  if (ownerProfile) return list.find((profile) => profile.id === ownerProfile.id) || ownerProfile;
+  return list[0] || null;
+}
+
+export class ProfileSwitcher {
+  /**
+   * @param {{ id: string, label?: string, onChange: (profileId: string) => void }} opts
+   */
+  constructor({ id, label = "Journal for", onChange }) {
+    this.profiles = [];
+    this.root = document.createElement("div");
+    this.root.className = "profile-switcher";
+    this.root.hidden = true;
+
+    const labelEl = document.createElement("label");
+    labelEl.className = "profile-switcher__label";
+    labelEl.textContent = label;
+    labelEl.setAttribute("for", id);
+
+    const field = document.createElement("div");
+    field.className = "profile-switcher__field";
+    this.avatar = document.createElement("img");
+    this.avatar.className = "profile-switcher__avatar";
+    this.avatar.alt = "";
+    this.avatar.setAttribute("aria-hidden", "true");
+    this.select = document.createElement("select");
+    this.select.className = "profile-switcher__select";
+    this.select.id = id;
+    this.select.addEventListener("change", () => {
+      this._syncAvatar();
+      onChange?.(this.select.value);
+    });
+    field.append(this.avatar, this.select);
+    this.root.append(labelEl, field);
+  }
+
+  setProfiles(profiles, activeId) {
+    this.profiles = Array.isArray(profiles) ? profiles : [];
+    this.select.innerHTML = "";
+    for (const profile of this.profiles) {
+      const option = document.createElement("option");
+      option.value = profile.id;
+      option.textContent = profile.display_name || "Unnamed";
+      this.select.append(option);
+    }
+    this.select.value = activeId || "";
+    this.root.hidden = this.profiles.length < 2;
+    this._syncAvatar();
+  }
+
+  _syncAvatar() {
+    const profile = this.profiles.find((item) => item.id === this.select.value);
+    const originDay = profile?.birthdate ? getOriginTypeForDob(profile.birthdate) : null;
+    if (!originDay) {
+      this.avatar.removeAttribute("src");
+      this.avatar.hidden = true;
+      return;
+    }
+    this.avatar.src = `/${duckUrlFromSinedayNumber(originDay)}`;
+    this.avatar.hidden = false;
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Repeat sheet fields shared by the planner and the shared calendar: the
+ * per-mode pickers (weekdays, days of the month, week of the month), the
+ * occurrence count and the "paste a rule" box (js/task-rrule.js). Each sheet
+ * keeps its own frequency radios, interval, end date and SineDay chips.
+ */
+
+import {
+  MAX_REPEAT_COUNT,
+  WEEKDAY_NAMES,
+  normalizeMonthdays,
+  normalizeNth,
+  normalizeRepeatCount,
+  normalizeWeekdays,
+} from "./task-recurrence.js";
+import { parseRRule, taskToRuleText } from "./task-rrule.js";
+
+/** Frequency radios added for RRULE-only rules, after the sheet's own. */
+export const RULE_MODE_LABELS = Object.freeze([
+  ["weekly_days", "Weekly on chosen days"],
+  ["monthly_days", "Monthly on dates"],
+  ["monthly_nth", "Monthly on a weekday"],
+]);
+
+const NTH_LABELS = [
+  [1, "First"],
+  [2, "Second"],
+  [3, "Third"],
+  [4, "Fourth"],
+  [5, "Fifth"],
+  [-1, "Last"],
+  [-2, "Second to last"],
+  [-3, "Third to last"],
+  [-4, "Fourth to last"],
+  [-5, "Fifth to last"],
+];
+
+function el(tag, className) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  return node;
+}
+
+function group(labelText, htmlFor = null) {
+  const wrap = el("div", "planner-repeat-sheet__group");
+  const label = el(htmlFor ? "label" : "div", "planner-repeat-sheet__label");
+  label.textContent = labelText;
+  if (htmlFor) label.htmlFor = htmlFor;
+  wrap.append(label);
+  return wrap;
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.idPrefix - Keeps ids unique per sheet
+ * @param {() => string | null} opts.getStartDate - Start of the task being edited
+ * @param {(fields: Object) => void} opts.onRule - Called with a pasted rule's fields
+ */
+export function buildRepeatRuleFields({ idPrefix, getStartDate, onRule }) {
+  const weekdayGroup = group("On these days");
+  const weekdayGrid = el("div", "planner-repeat-sheet__chipgrid repeat-rule-fields__weekdays");
+  const weekdayChips = WEEKDAY_NAMES.map((name, day) => {
+    const chip = el("button", "planner-repeat-sheet__chip");
+    chip.type = "button";
+    chip.textContent = name.slice(0, 3);
+    chip.setAttribute("aria-label", name);
+    chip.setAttribute("aria-pressed", "false");
+    chip.dataset.weekday = String(day);
+    chip.addEventListener("click", () => {
+      chip.setAttribute("aria-pressed", String(chip.classList.toggle("is-selected")));
+    });
+    return chip;
+  });
+  // Monday first, as the weeks are counted.
+  weekdayGrid.append(...weekdayChips.slice(1), weekdayChips[0]);
+  weekdayGroup.append(weekdayGrid);
+
+  const monthdayGroup = group("On these dates", `${idPrefix}-monthdays`);
+  const monthdayInput = el("input", "planner-repeat-sheet__until repeat-rule-fields__monthdays");
+  monthdayInput.id = `${idPrefix}-monthdays`;
+  monthdayInput.type = "text";
+  monthdayInput.inputMode = "numeric";
+  monthdayInput.placeholder = "1, 15, -1 (last day)";
+  monthdayGroup.append(monthdayInput);
+
+  const nthGroup = group("On the", `${idPrefix}-nth`);
+  const nthRow = el("div", "repeat-rule-fields__row");
+  const nthSelect = el("select", "planner-repeat-sheet__until");
+  nthSelect.id = `${idPrefix}-nth`;
+  for (const [value, text] of NTH_LABELS) {
+    const option = el("option");
+    option.value = String(value);
+    option.textContent = text;
+    nthSelect.append(option);
+  }
+  const nthWeekday = el("select", "planner-repeat-sheet__until");
+  nthWeekday.setAttribute("aria-label", "Weekday");
+  WEEKDAY_NAMES.forEach((name, day) => {
+    const option = el("option");
+    option.value = String(day);
+    option.textContent = name;
+    nthWeekday.append(option);
+  });
+  nthRow.append(nthSelect, nthWeekday);
+  nthGroup.append(nthRow);
+
+  const countGroup = group("Stop after (optional)", `${idPrefix}-count`);
+  const countInput = el("input", "planner-repeat-sheet__interval");
+  countInput.id = `${idPrefix}-count`;
+  countInput.type = "number";
+  countInput.min = "1";
+  countInput.max = String(MAX_REPEAT_COUNT);
+  countInput.placeholder = "Number of times";
+  countGroup.append(countInput);
+
+  const pasteGroup = group("Paste a rule", `${idPrefix}-rule`);
+  const pasteRow = el("div", "repeat-rule-fields__row");
+  const pasteInput = el("input", "planner-repeat-sheet__until repeat-rule-fields__rule");
+  pasteInput.id = `${idPrefix}-rule`;
+  pasteInput.type = "text";
+  pasteInput.spellcheck = false;
+  pasteInput.autocomplete = "off";
+  pasteInput.placeholder = "RRULE:FREQ=MONTHLY;BYDAY=2TU";
+  const pasteBtn = el("button", "btn btn-ghost repeat-rule-fields__apply");
+  pasteBtn.type = "button";
+  pasteBtn.textContent = "Use rule";
+  pasteRow.append(pasteInput, pasteBtn);
+  const pasteNote = el("p", "repeat-rule-fields__note");
+  pasteNote.setAttribute("aria-live", "polite");
+  pasteGroup.append(pasteRow, pasteNote);
+
+  const applyPasted = () => {
+    const result = parseRRule(pasteInput.value, { startDate: getStartDate() });
+    pasteNote.classList.toggle("is-error", !!result.error);
+    if (result.error) {
+      pasteNote.textContent = result.error;
+      return;
+    }
+    fill(result.fields);
+    onRule(result.fields);
+    pasteNote.textContent = "Rule applied. Save to keep it.";
+  };
+  pasteBtn.addEventListener("click", applyPasted);
+  pasteInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      applyPasted();
+    }
+  });
+
+  /** Shows the pickers the mode uses. */
+  function sync(mode) {
+    weekdayGroup.style.display = mode === "weekly_days" ? "" : "none";
+    monthdayGroup.style.display = mode === "monthly_days" ? "" : "none";
+    nthGroup.style.display = mode === "monthly_nth" ? "" : "none";
+    countGroup.style.display = mode === "none" || mode === "sineday" ? "none" : "";
+  }
+
+  /** Loads a task's (or a pasted rule's) fields into the pickers. */
+  function fill(task) {
+    const startDate = getStartDate();
+    const weekdays = normalizeWeekdays(task.repeat_weekdays, startDate);
+    weekdayChips.forEach((chip, day) => {
+      const on = weekdays.includes(day);
+      chip.classList.toggle("is-selected", on);
+      chip.setAttribute("aria-pressed", String(on));
+    });
+    monthdayInput.value = normalizeMonthdays(task.repeat_monthdays, startDate).join(", ");
+    nthSelect.value = String(normalizeNth(task.repeat_nth, startDate) ?? 1);
+    nthWeekday.value = String(weekdays[0] ?? 0);
+    countInput.value = normalizeRepeatCount(task.repeat_count) ? String(task.repeat_count) : "";
+    pasteInput.value = taskToRuleText({ start_date: startDate, ...task });
+    pasteNote.textContent = "";
+    pasteNote.classList.remove("is-error");
+  }
+
+  /**
+   * The pickers' fields for `mode`.
+   * @returns {{ fields: Object } | { error: string }}
+   */
+  function read(mode) {
+    const fields = { repeat_weekdays: [], repeat_monthdays: [], repeat_nth: null, repeat_count: null };
+    if (mode !== "none" && mode !== "sineday") {
+      fields.repeat_count = normalizeRepeatCount(countInput.value);
+    }
+    if (mode === "weekly_days") {
+      fields.repeat_weekdays = weekdayChips
+        .filter((chip) => chip.classList.contains("is-selected"))
+        .map((chip) => Number(chip.dataset.weekday));
+      if (!fields.repeat_weekdays.length) return { error: "Pick at least one day of the week" };
+    }
+    if (mode === "monthly_days") {
+      const raw = monthdayInput.value.split(/[\s,]+/).filter(Boolean);
+      fields.repeat_monthdays = normalizeMonthdays(raw);
+      if (!raw.length || fields.repeat_monthdays.length !== new Set(raw.map(Number)).size) {
+        return { error: "Dates must be 1 to 31, or -1 for the last day" };
+      }
+    }
+    if (mode === "monthly_nth") {
+      fields.repeat_nth = Number(nthSelect.value);
+      fields.repeat_weekdays = [Number(nthWeekday.value)];
+    }
+    return { fields };
+  }
+
+  /** Shows a save problem under the rule box. */
+  function showError(message) {
+    pasteNote.textContent = message;
+    pasteNote.classList.add("is-error");
+  }
+
+  return { weekdayGroup, monthdayGroup, nthGroup, countGroup, pasteGroup, sync, fill, read, showError };
+}
@@ -0,0 +1,107 @@
+/**
+ * Repeat scope sheet — asks which occurrences of a repeating task a change
+ * applies to ("Only this one", "This and following", "All"). Shared by the
+ * planner and the shared calendar; uses the repeat sheet's look.
+ */
+
+export const REPEAT_SCOPE_LABELS = Object.freeze({
+  occurrence: "Only this one",
+  following: "This and following",
+  series: "All in the series",
+});
+
+let openSheet = null;
+
+function el(tag, className) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  return node;
+}
+
+/** Closes an open scope sheet as if it was cancelled. */
+export function closeRepeatScopeSheet() {
+  openSheet?.close(null);
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.title
+ * @param {string} [opts.lead] - One sentence on what is changing
+ * @param {Array<"occurrence"|"following"|"series">} opts.scopes - Offered in this order
+ * @returns {Promise<"occurrence"|"following"|"series"|null>} null when cancelled
+ */
+export function chooseRepeatScope({ title, lead = "", scopes }) {
+  closeRepeatScopeSheet();
+  const returnFocus = document.activeElement;
+
+  return new Promise((resolve) => {
+    const backdrop = el("div", "sheet-backdrop repeat-scope-sheet__backdrop");
+    const sheet = el("div", "sheet planner-repeat-sheet repeat-scope-sheet");
+    sheet.setAttribute("role", "dialog");
+    sheet.setAttribute("aria-modal", "true");
+    sheet.setAttribute("aria-labelledby", "repeat-scope-sheet-title");
+
+    const content = el("div", "sheet__content planner-repeat-sheet__content");
+    const heading = el("div", "planner-repeat-sheet__title");
+    heading.id = "repeat-scope-sheet-title";
+    heading.textContent = title;
+    content.append(heading);
+    if (lead) {
+      const leadEl = el("p", "repeat-scope-sheet__lead");
+      leadEl.textContent = lead;
+      content.append(leadEl);
+    }
+
+    const actions = el("div", "planner-repeat-sheet__actions repeat-scope-sheet__actions");
+    const button = (text, className, scope) => {
+      const btn = el("button", `btn ${className}`);
+      btn.type = "button";
+      btn.textContent = text;
+      btn.addEventListener("click", () => close(scope));
+      return btn;
+    };
+    const cancelBtn = button("Cancel", "btn-ghost planner-repeat-sheet__cancel", null);
+    const scopeBtns = scopes.map((scope) =>
+      button(REPEAT_SCOPE_LABELS[scope], "btn-primary planner-repeat-sheet__save", scope)
+    );
+    actions.append(cancelBtn, ...scopeBtns);
+    content.append(actions);
+    sheet.append(el("div", "sheet__handle"), content);
+    document.body.append(backdrop, sheet);
+
+    const onKeydown = (e) => {
+      if (e.key === "Escape") {
+        // Captured first so a sheet underneath does not close with it.
+        e.preventDefault();
+        e.stopPropagation();
+        close(null);
+      } else if (e.key === "Tab") {
+        // Keep focus inside the sheet while it is open.
+        const buttons = [...actions.querySelectorAll("button")];
+        const index = buttons.indexOf(document.activeElement);
+        const next = e.shiftKey ? index - 1 : index + 1;
+        e.preventDefault();
+        buttons[(next + buttons.length) % buttons.length].focus();
+      }
+    };
+    const close = (scope) => {
+      if (openSheet?.sheet !== sheet) return;
+      openSheet = null;
+      document.removeEventListener("keydown", onKeydown, true);
+      backdrop.remove();
+      sheet.remove();
+      if (returnFocus?.isConnected) returnFocus.focus();
+      resolve(scope);
+    };
+
+    backdrop.addEventListener("click", () => close(null));
+    document.addEventListener("keydown", onKeydown, true);
+    openSheet = { sheet, close };
+
+    requestAnimationFrame(() => {
+      backdrop.classList.add("is-open");
+      sheet.classList.add("is-open");
+    });
+    (scopeBtns[0] || cancelBtn).focus();
+  });
+}
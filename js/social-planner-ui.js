@@ -1,5 +1,18 @@
+import { RULE_MODE_LABELS, buildRepeatRuleFields } from "./repeat-rule-fields.js";
+import { chooseRepeatScope, closeRepeatScopeSheet } from "./repeat-scope-sheet.js";
 import { duckUrlFromSinedayNumber } from "./sineducks.js";
 import { getAccessToken as defaultGetAccessToken } from "./supabase-client.js";
+import { describeQuickAdd, parseQuickAdd } from "./task-quick-add.js";
+import { checklistProgress } from "./task-checklist.js";
+import { checklistButtonState, createChecklist, paintChecklistButton } from "./task-checklist-ui.js";
+import { describeSinedays } from "./day-templates.js";
+import {
+  INTERVAL_MODES,
+  REPEAT_MODES,
+  compareYmd,
+  isRepeatingTask,
+  taskStartDate
+} from "./task-recurrence.js";
 
 function pad2(n) {
   return String(n).padStart(2, "0");
@@ -39,16 +52,6 @@ function escapeHtml(value) {
     .replaceAll("'", "&#039;");
 }
 
-const REPEAT_MODES = [
-  "none",
-  "daily",
-  "weekly",
-  "monthly",
-  "yearly",
-  "weekdays",
-  "sineday"
-];
-
 export class SocialPlannerUI {
   constructor(mountEl, opts = {}) {
     this.mountEl = mountEl;
@@ -79,6 +82,8 @@ export class SocialPlannerUI {
     this._draftSeq = 0;
     this._draftMeta = new Map();
     this._socialDayTaskIndex = new Map();
+    // Task ids whose checklist is expanded in the day sheet
+    this._openSocialChecklists = new Set();
     this.repeatSheetState = { open: false, taskId: null, occurrenceYmd: null };
     this.repeatSheetEls = null;
     this._repeatSheetEscape = null;
@@ -86,9 +91,11 @@ export class SocialPlannerUI {
   }
 
   destroy() {
+    closeRepeatScopeSheet();
     this._closeRepeatSheet(true);
     this._draftMeta.clear();
     this._socialDayTaskIndex.clear();
+    this._openSocialChecklists.clear();
 
     void this._flushPendingNoteSave();
 
@@ -960,6 +967,10 @@ export class SocialPlannerUI {
   _renderDaySheet(data) {
     const dayLabel = data?.label || this.activeDateYmd;
     const members = data?.members || [];
+    // Shared templates for your SineDay; days already past are left as they were.
+    const templateOffers =
+      compareYmd(this.activeDateYmd, this._todayYmd()) < 0 ? [] : data?.templateOffers || [];
+    const memberNames = new Map(members.map((m) => [m.userId, m.isCurrentUser ? "you" : m.displayName]));
 
     this._socialDayTaskIndex = new Map();
     for (const m of members) {
@@ -1007,6 +1018,28 @@ export class SocialPlannerUI {
                 <div class="social-day-card__badge">${ownCard ? "You" : "Read only"}</div>
               </div>
 
+              ${ownCard && templateOffers.length ? `
+                <div class="social-day-card__section social-day-card__templates" role="group" aria-label="Templates for Day ${member.dayNumber}">
+                  <div class="social-day-card__label">Templates for Day ${member.dayNumber}</div>
+                  ${templateOffers.map((template) => {
+                    const meta = [
+                      `Shared by ${memberNames.get(template.sharedByUserId) || "a former member"}`,
+                      template.tasks.length ? `${template.tasks.length} ${template.tasks.length === 1 ? "task" : "tasks"}` : "",
+                      template.note.trim() ? "note" : ""
+                    ].filter(Boolean).join(" · ");
+                    return `
+                      <div class="planner__template-offer-item">
+                        <div class="planner__template-offer-text">
+                          <div class="planner__tasks-title">${escapeHtml(template.title)}</div>
+                          <div class="planner__task-repeatmeta">${escapeHtml(meta)}</div>
+                        </div>
+                        <button class="planner__task-addbtn" type="button" data-social-template-apply="${escapeHtml(template.id)}" aria-label="Apply ${escapeHtml(template.title)} to your card">Apply</button>
+                      </div>
+                    `;
+                  }).join("")}
+                </div>
+              ` : ""}
+
               <div class="social-day-card__section">
                 ${ownCard ? `
                   <label class="social-day-card__label" for="social-note-${escapeHtml(member.userId)}">Notes</label>
@@ -1036,11 +1069,21 @@ export class SocialPlannerUI {
 
                   <div class="planner__task-list social-day-card__task-list" data-social-task-list data-user-id="${escapeHtml(member.userId)}">
                     ${tasks.length ? tasks.map((task) => {
-                    const repeatMeta = escapeHtml(task.repeat_meta || "");
+                    const repeatMeta = escapeHtml(
+                      [
+                        task.repeat_meta,
+                        task.is_moved ? `Moved from ${this._formatShortDate(task.occurrence_date)}` : "",
+                        !task.is_moved && task.series_title && task.title !== task.series_title ? "Renamed here" : ""
+                      ].filter(Boolean).join(" · ")
+                    );
                     const mode = task.repeat_mode || "none";
+                    const checklist = task.checklist || [];
+                    const checklistBtn = checklistButtonState(
+                      checklistProgress(checklist, checklist.filter((item) => item.checked).map((item) => item.id))
+                    );
 
                     return `
-                      <div class="planner__task-row ${task.is_completed ? "is-completed" : ""}" data-task-id="${escapeHtml(task.id)}">
+                      <div class="planner__task-row ${task.is_completed ? "is-completed" : ""}" data-task-id="${escapeHtml(task.id)}" data-occurrence-date="${escapeHtml(task.occurrence_date || this.activeDateYmd)}">
                         <input
                           class="planner__task-check"
                           type="checkbox"
@@ -1059,6 +1102,11 @@ export class SocialPlannerUI {
                           </div>
 
                           <div class="planner__task-actions">
+                            ${
+                              ownCard || checklist.length
+                                ? `<button class="planner__task-checklistbtn ${checklistBtn.className}" type="button" data-social-task-checklist aria-expanded="false" title="${escapeHtml(checklistBtn.label)}" aria-label="${escapeHtml(checklistBtn.label)}">${escapeHtml(checklistBtn.text)}</button>`
+                                : ""
+                            }
                             ${
                               ownCard
                                 ? `<button class="planner__task-repeatbtn ${mode !== "none" ? "is-active" : ""}" type="button" data-social-task-repeat>&#128339;</button>`
@@ -1081,8 +1129,36 @@ export class SocialPlannerUI {
           `;
         }).join("")}
       </div>
+
+      <details class="social-day-sheet__templates" data-social-templates>
+        <summary>Templates in this calendar</summary>
+        <div data-social-templates-body><p class="text-muted">Loading…</p></div>
+      </details>
     `;
 
+    this.els.dayContent.querySelectorAll("[data-social-template-apply]").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        btn.disabled = true;
+        try {
+          // The template's note goes below what is typed, so save that first.
+          await this._flushPendingNoteSave(this.activeDateYmd);
+          await this._applyTemplate(btn.dataset.socialTemplateApply, this.activeDateYmd);
+          this.onSuccess("Template added to your card.");
+          await this._loadAndRenderDaySheet(this.activeDateYmd);
+          await this._refresh();
+        } catch (err) {
+          console.error("Apply template failed:", err);
+          btn.disabled = false;
+          this.onError(err.message || "Failed to apply template.");
+        }
+      });
+    });
+
+    const templatesEl = this.els.dayContent.querySelector("[data-social-templates]");
+    templatesEl?.addEventListener("toggle", () => {
+      if (templatesEl.open) this._renderSharedTemplates(templatesEl.querySelector("[data-social-templates-body]"));
+    });
+
     this.els.dayContent.querySelectorAll("[data-social-note]").forEach((textarea) => {
       textarea.addEventListener("input", () => {
         this._setActiveNoteIndicator("Saving…", "is-pending");
@@ -1134,7 +1210,7 @@ export class SocialPlannerUI {
         if (!taskId) return;
 
         try {
-          await this._archiveTask(taskId);
+          if (!(await this._removeTask(taskId, row.dataset.occurrenceDate))) return;
           await this._loadAndRenderDaySheet(this.activeDateYmd);
           await this._refresh();
         } catch (err) {
@@ -1150,6 +1226,7 @@ export class SocialPlannerUI {
       const taskId = row?.dataset.taskId;
       if (!taskId) return;
 
+      const occurrenceDate = row.dataset.occurrenceDate;
       const originalTitle = input.value;
 
       input.addEventListener("keydown", (e) => {
@@ -1163,7 +1240,10 @@ export class SocialPlannerUI {
         const v = input.value.trim();
         if (!v) {
           try {
-            await this._archiveTask(taskId);
+            if (!(await this._removeTask(taskId, occurrenceDate))) {
+              input.value = originalTitle;
+              return;
+            }
             await this._loadAndRenderDaySheet(this.activeDateYmd);
             await this._refresh();
           } catch (err) {
@@ -1175,7 +1255,10 @@ export class SocialPlannerUI {
         }
         if (v === originalTitle) return;
         try {
-          await this._updateTask(taskId, { title: v });
+          if (!(await this._retitleTask(taskId, occurrenceDate, v))) {
+            input.value = originalTitle;
+            return;
+          }
           input.value = v;
           await this._loadAndRenderDaySheet(this.activeDateYmd);
           await this._refresh();
@@ -1187,6 +1270,31 @@ export class SocialPlannerUI {
       });
     });
 
+    this.els.dayContent.querySelectorAll("[data-social-task-checklist]").forEach((btn) => {
+      const row = btn.closest(".planner__task-row");
+      const taskId = row?.dataset.taskId;
+      if (!taskId) return;
+      const editable = !!btn.closest(".social-day-card.is-own");
+      const open = () => {
+        btn.setAttribute("aria-expanded", "true");
+        row.append(this._buildSocialChecklist(taskId, editable, btn));
+      };
+
+      btn.addEventListener("click", () => {
+        const panel = row.querySelector(".task-checklist");
+        if (panel) {
+          panel.remove();
+          this._openSocialChecklists.delete(taskId);
+          btn.setAttribute("aria-expanded", "false");
+          return;
+        }
+        this._openSocialChecklists.add(taskId);
+        open();
+        row.querySelector(".task-checklist__check:not(:disabled), .task-checklist__add")?.focus();
+      });
+      if (this._openSocialChecklists.has(taskId)) open();
+    });
+
     this.els.dayContent.querySelectorAll("[data-social-task-repeat]").forEach((btn) => {
       btn.addEventListener("click", () => {
         const row = btn.closest(".planner__task-row");
@@ -1194,11 +1302,142 @@ export class SocialPlannerUI {
         if (!taskId) return;
         const task = this._socialDayTaskIndex.get(taskId);
         if (!task) return;
-        this._openRepeatSheet(task, this.activeDateYmd);
+        this._openRepeatSheet(task, row.dataset.occurrenceDate || this.activeDateYmd);
       });
     });
   }
 
+  _todayYmd() {
+    const now = new Date();
+    return `${now.getFullYear()}-${pad2(now.getMonth() + 1)}-${pad2(now.getDate())}`;
+  }
+
+  /** Copies a shared template onto your own card for the day (its version as it is now). */
+  async _applyTemplate(templateId, dateYmd) {
+    const plannerId = this._currentPlannerId();
+    if (!plannerId) return;
+
+    await this._apiJson("/api/social/day-entry", {
+      method: "POST",
+      body: JSON.stringify({
+        action: "apply_template",
+        plannerId,
+        templateId,
+        date: dateYmd
+      })
+    });
+  }
+
+  /** The calendar's shared templates, and yours that could join them. */
+  async _renderSharedTemplates(container) {
+    const plannerId = this._currentPlannerId();
+    if (!container || !plannerId) return;
+
+    let data;
+    try {
+      data = await this._apiJson(
+        `/api/social/templates?planner_id=${encodeURIComponent(plannerId)}&t=${Date.now()}`
+      );
+    } catch (err) {
+      console.error("Load shared templates failed:", err);
+      container.innerHTML = `<p class="text-muted">Could not load templates.</p>`;
+      return;
+    }
+
+    const templates = data.templates || [];
+    const shareable = data.shareable || [];
+    container.innerHTML = `
+      ${templates.length ? `
+        <ul class="social-templates__list">
+          ${templates.map((template) => `
+            <li class="planner__template-offer-item">
+              <div class="planner__template-offer-text">
+                <div class="planner__tasks-title">${escapeHtml(template.title)}</div>
+                <div class="planner__task-repeatmeta">${escapeHtml(`${describeSinedays(template.sinedays)} · v${template.version} · shared by ${template.sharedBy}`)}</div>
+              </div>
+              ${template.canUnshare ? `<button class="planner__task-addbtn" type="button" data-social-template-unshare="${escapeHtml(template.id)}" aria-label="Stop sharing ${escapeHtml(template.title)}">Unshare</button>` : ""}
+            </li>
+          `).join("")}
+        </ul>
+      ` : `<p class="text-muted">No templates shared here yet.</p>`}
+      ${shareable.length ? `
+        <div class="social-templates__share">
+          <label class="social-day-card__label" for="social-template-share">Share one of yours</label>
+          <select id="social-template-share" data-social-template-choice>
+            ${shareable.map((template) => `<option value="${escapeHtml(template.id)}">${escapeHtml(`${template.title} (${describeSinedays(template.sinedays)})`)}</option>`).join("")}
+          </select>
+          <button class="planner__task-addbtn" type="button" data-social-template-share>Share</button>
+        </div>
+      ` : `<p class="text-muted">Templates you make under Day templates in your planner can be shared here.</p>`}
+    `;
+
+    const update = async (action, templateId, message) => {
+      try {
+        await this._apiJson("/api/social/templates", {
+          method: "POST",
+          body: JSON.stringify({ action, plannerId, templateId })
+        });
+        this.onSuccess(message);
+        await this._loadAndRenderDaySheet(this.activeDateYmd);
+        const details = this.els.dayContent.querySelector("[data-social-templates]");
+        if (details) details.open = true;
+      } catch (err) {
+        console.error("Update shared templates failed:", err);
+        this.onError(err.message || "Failed to update templates.");
+      }
+    };
+
+    container.querySelectorAll("[data-social-template-unshare]").forEach((btn) => {
+      btn.addEventListener("click", () => update("unshare", btn.dataset.socialTemplateUnshare, "Template no longer shared."));
+    });
+    container.querySelector("[data-social-template-share]")?.addEventListener("click", () => {
+      const choice = container.querySelector("[data-social-template-choice]")?.value;
+      if (choice) update("share", choice, "Template shared.");
+    });
+  }
+
+  /**
+   * Any member can tick a shared task's items for the open day; the author
+   * edits them for the whole series.
+   */
+  _buildSocialChecklist(taskId, editable, btn) {
+    const task = this._socialDayTaskIndex.get(taskId);
+    const items = task?.checklist || [];
+    const { root } = createChecklist({
+      items,
+      checkedIds: items.filter((item) => item.checked).map((item) => item.id),
+      editable,
+      canTick: true,
+      onToggle: async (itemId, checked) => {
+        try {
+          await this._toggleChecklistItem(taskId, itemId, this.activeDateYmd, checked);
+          return true;
+        } catch (err) {
+          console.error("Checklist tick failed:", err);
+          this.onError(err.message || "Failed to update checklist.");
+          return false;
+        }
+      },
+      onEdit: async (checklist) => {
+        try {
+          await this._updateTask(taskId, { checklist });
+          if (task) {
+            const previous = new Map(items.map((item) => [item.id, item]));
+            task.checklist = checklist.map((item) => ({ ...previous.get(item.id), ...item }));
+          }
+          return true;
+        } catch (err) {
+          console.error("Checklist update failed:", err);
+          this.onError(err.message || "Failed to update checklist.");
+          return false;
+        }
+      },
+      onProgress: (progress) => paintChecklistButton(btn, progress),
+    });
+    root.setAttribute("aria-label", `Checklist: ${task?.title || "Task"}`);
+    return root;
+  }
+
   _scheduleSaveNote(dateYmd, content) {
     const key = `${this._currentPlannerId()}:${dateYmd}`;
     const existing = this.noteTimers.get(key);
@@ -1288,7 +1527,8 @@ export class SocialPlannerUI {
     this._flashActiveNoteSaved();
   }
 
-  async _addTask(dateYmd, title) {
+  /** `repeat`: repeat fields read by quick-add, saved with the task. */
+  async _addTask(dateYmd, title, repeat = {}) {
     const plannerId = this._currentPlannerId();
     if (!plannerId || !this.ownerProfile?.id) return;
 
@@ -1298,7 +1538,8 @@ export class SocialPlannerUI {
         action: "add_task",
         plannerId,
         date: dateYmd,
-        title
+        title,
+        ...repeat
       })
     });
 
@@ -1323,6 +1564,26 @@ export class SocialPlannerUI {
     this.onChange();
   }
 
+  async _toggleChecklistItem(taskId, itemId, dateYmd, checked) {
+    const plannerId = this._currentPlannerId();
+    if (!plannerId) return;
+
+    await this._apiJson("/api/social/day-entry", {
+      method: "POST",
+      body: JSON.stringify({
+        action: "toggle_checklist_item",
+        plannerId,
+        taskId,
+        itemId,
+        date: dateYmd,
+        checked
+      })
+    });
+
+    const item = this._socialDayTaskIndex.get(taskId)?.checklist?.find((entry) => entry.id === itemId);
+    if (item) item.checked = checked;
+  }
+
   async _updateTask(taskId, patch) {
     const plannerId = this._currentPlannerId();
     if (!plannerId) return;
@@ -1340,7 +1601,7 @@ export class SocialPlannerUI {
     this.onChange();
   }
 
-  async _archiveTask(taskId) {
+  async _archiveTask(taskId, fromDate = null) {
     const plannerId = this._currentPlannerId();
     if (!plannerId) return;
 
@@ -1349,13 +1610,94 @@ export class SocialPlannerUI {
       body: JSON.stringify({
         action: "archive_task",
         plannerId,
-        taskId
+        taskId,
+        ...(fromDate ? { fromDate } : {})
       })
     });
 
     this.onChange();
   }
 
+  /** Skips (action "skip_occurrence") or reworks (action "update_occurrence") one occurrence. */
+  async _changeOccurrence(action, taskId, date, changes = {}) {
+    const plannerId = this._currentPlannerId();
+    if (!plannerId) return;
+
+    await this._apiJson("/api/social/day-entry", {
+      method: "POST",
+      body: JSON.stringify({
+        action,
+        plannerId,
+        taskId,
+        date,
+        ...changes
+      })
+    });
+
+    this.onChange();
+  }
+
+  /**
+   * Asks which occurrences a change applies to. One-off tasks resolve to
+   * "series" without asking; "following" is only offered after the first
+   * occurrence, where it would otherwise equal "series".
+   */
+  async _askRepeatScope(task, occurrenceDate, { title, lead, occurrence = true }) {
+    if (!task || !isRepeatingTask(task)) return "series";
+    const scopes = [];
+    if (occurrence) scopes.push("occurrence");
+    if (occurrenceDate && compareYmd(occurrenceDate, taskStartDate(task)) > 0) {
+      scopes.push("following");
+    }
+    scopes.push("series");
+    return chooseRepeatScope({ title, lead, scopes });
+  }
+
+  /** @returns {Promise<boolean>} false when the user cancelled */
+  async _removeTask(taskId, occurrenceDate) {
+    const task = this._socialDayTaskIndex.get(taskId);
+    const scope = await this._askRepeatScope(task, occurrenceDate, {
+      title: "Remove repeating task",
+      lead: `“${task?.series_title || task?.title || "Task"}” repeats. Which occurrences should go?`
+    });
+    if (!scope) return false;
+
+    if (scope === "occurrence") {
+      await this._changeOccurrence("skip_occurrence", taskId, occurrenceDate);
+    } else {
+      await this._archiveTask(taskId, scope === "following" ? occurrenceDate : null);
+    }
+    return true;
+  }
+
+  /** @returns {Promise<boolean>} false when the user cancelled */
+  async _retitleTask(taskId, occurrenceDate, title) {
+    const task = this._socialDayTaskIndex.get(taskId);
+    const scope = await this._askRepeatScope(task, occurrenceDate, {
+      title: "Rename repeating task",
+      lead: "Which occurrences should get the new title?"
+    });
+    if (!scope) return false;
+
+    if (scope === "occurrence") {
+      await this._changeOccurrence("update_occurrence", taskId, occurrenceDate, { title });
+    } else {
+      await this._updateTask(taskId, {
+        title,
+        ...(scope === "following" ? { fromDate: occurrenceDate } : {})
+      });
+    }
+    return true;
+  }
+
+  _formatShortDate(ymd) {
+    return new Intl.DateTimeFormat(this.locale, {
+      month: "short",
+      day: "numeric",
+      timeZone: "UTC"
+    }).format(new Date(`${ymd}T12:00:00Z`));
+  }
+
   async _submitFriendRequest() {
     const input = this.els.addForm?.querySelector("input[name='email']");
     const recipientEmail = input?.value?.trim().toLowerCase();
@@ -1423,10 +1765,14 @@ export class SocialPlannerUI {
     const mid = el("div", "planner__task-row-middle");
     const titleInput = el("input", "planner__task-title");
     titleInput.type = "text";
-    titleInput.placeholder = "Task title…";
+    titleInput.placeholder = "Task, or “call mom every Sunday”…";
     titleInput.setAttribute("aria-label", "Task title");
 
     const meta = el("div", "planner__task-repeatmeta");
+    meta.setAttribute("aria-live", "polite");
+    titleInput.addEventListener("input", () => {
+      meta.textContent = describeQuickAdd(this._parseQuickAdd(titleInput.value, ymd), { locale: this.locale });
+    });
     const titleWrap = el("div", "planner__task-title-wrap");
     titleWrap.append(titleInput, meta);
 
@@ -1457,10 +1803,14 @@ export class SocialPlannerUI {
         this._draftMeta.delete(draftId);
         return;
       }
+      const entry = this._parseQuickAdd(v, ymd);
       try {
-        await this._addTask(ymd, v);
+        await this._addTask(entry.date, entry.title, entry.fields);
         row.remove();
         this._draftMeta.delete(draftId);
+        if (entry.date !== ymd) {
+          this.onSuccess(`Added “${entry.title}” for ${this._formatShortDate(entry.date)}.`);
+        }
         await this._loadAndRenderDaySheet(this.activeDateYmd);
         await this._refresh();
       } catch (err) {
@@ -1488,6 +1838,16 @@ export class SocialPlannerUI {
     titleInput.focus();
   }
 
+  /**
+   * Reads a typed line for a new task on `dateYmd` (task-quick-add.js). A
+   * line that is only a date or rule is kept as the title instead.
+   */
+  _parseQuickAdd(text, dateYmd) {
+    const parsed = parseQuickAdd(text, { today: this._todayYmd(), defaultDate: dateYmd, locale: this.locale });
+    if (parsed.title) return parsed;
+    return { title: String(text).trim(), date: dateYmd, fields: {}, matched: [] };
+  }
+
   _ensureRepeatSheet() {
     if (this.repeatSheetEls) return;
 
@@ -1519,7 +1879,8 @@ export class SocialPlannerUI {
       ["monthly", "Monthly"],
       ["yearly", "Yearly"],
       ["weekdays", "Weekdays"],
-      ["sineday", "SineDuck days"]
+      ["sineday", "SineDuck days"],
+      ...RULE_MODE_LABELS
     ];
 
     for (const [value, text] of modeLabels) {
@@ -1578,6 +1939,12 @@ export class SocialPlannerUI {
     }
     chipGroup.append(chipLabel, chipGrid);
 
+    const ruleFields = buildRepeatRuleFields({
+      idPrefix: "social-planner-repeat",
+      getStartDate: () => taskStartDate(this._socialDayTaskIndex.get(this.repeatSheetState.taskId)),
+      onRule: (fields) => fillSheet(fields)
+    });
+
     const actions = el("div", "planner-repeat-sheet__actions");
     const saveBtn = el("button", "planner-repeat-sheet__save btn btn-primary");
     saveBtn.type = "button";
@@ -1589,7 +1956,19 @@ export class SocialPlannerUI {
 
     actions.append(cancelBtn, saveBtn);
 
-    content.append(title, modeGroup, intervalGroup, untilGroup, chipGroup, actions);
+    content.append(
+      title,
+      modeGroup,
+      intervalGroup,
+      ruleFields.weekdayGroup,
+      ruleFields.monthdayGroup,
+      ruleFields.nthGroup,
+      untilGroup,
+      ruleFields.countGroup,
+      chipGroup,
+      ruleFields.pasteGroup,
+      actions
+    );
     sheet.append(handle, content);
 
     document.body.append(backdrop, sheet);
@@ -1597,9 +1976,35 @@ export class SocialPlannerUI {
     const syncModeUI = () => {
       const mode =
         Object.keys(modeRadios).find((k) => modeRadios[k].checked) || "none";
-      const showInterval = ["daily", "weekly", "monthly", "yearly"].includes(mode);
-      intervalGroup.style.display = showInterval ? "" : "none";
+      intervalGroup.style.display = INTERVAL_MODES.includes(mode) ? "" : "none";
       chipGroup.style.display = mode === "sineday" ? "" : "none";
+      ruleFields.sync(mode);
+    };
+
+    // Frequency, interval, end date and SineDay chips; ruleFields does the rest.
+    const fillSheet = (task) => {
+      const mode = task.repeat_mode || "none";
+      for (const m of REPEAT_MODES) {
+        modeRadios[m].checked = m === mode;
+      }
+
+      intervalInput.value = String(Math.max(1, Math.min(365, task.repeat_interval ?? 1)));
+
+      if (task.repeat_until) {
+        untilInput.value = task.repeat_until;
+      } else {
+        untilInput.value = "";
+      }
+
+      for (let d = 1; d <= 18; d++) {
+        const arr = task.repeat_sinedays || [];
+        chipToggles[d].classList.toggle(
+          "is-selected",
+          arr.some((x) => Number(x) === d)
+        );
+      }
+
+      syncModeUI();
     };
 
     for (const r of Object.values(modeRadios)) {
@@ -1622,10 +2027,16 @@ export class SocialPlannerUI {
       const mode =
         Object.keys(modeRadios).find((k) => modeRadios[k].checked) || "none";
       let interval = Math.max(1, Math.min(365, Number(intervalInput.value) || 1));
-      if (!["daily", "weekly", "monthly", "yearly"].includes(mode)) {
+      if (!INTERVAL_MODES.includes(mode)) {
         interval = 1;
       }
 
+      const ruled = ruleFields.read(mode);
+      if (ruled.error) {
+        ruleFields.showError(ruled.error);
+        return;
+      }
+
       const untilVal = untilInput.value.trim();
       const repeat_until = untilVal || null;
 
@@ -1640,11 +2051,25 @@ export class SocialPlannerUI {
       }
 
       try {
+        // Rule changes apply to the whole series or split it here.
+        const scope = await this._askRepeatScope(
+          this._socialDayTaskIndex.get(st.taskId),
+          st.occurrenceYmd,
+          {
+            title: "Change repeat rule",
+            lead: "Apply the new rule to which occurrences?",
+            occurrence: false
+          }
+        );
+        if (!scope) return;
+
         await this._updateTask(st.taskId, {
           repeat_mode: mode,
           repeat_interval: interval,
           repeat_until,
-          repeat_sinedays
+          repeat_sinedays,
+          ...ruled.fields,
+          ...(scope === "following" ? { fromDate: st.occurrenceYmd } : {})
         });
         this._closeRepeatSheet(false);
         await this._loadAndRenderDaySheet(this.activeDateYmd);
@@ -1658,11 +2083,8 @@ export class SocialPlannerUI {
     this.repeatSheetEls = {
       backdrop,
       sheet,
-      modeRadios,
-      intervalInput,
-      untilInput,
-      chipToggles,
-      syncModeUI
+      fillSheet,
+      ruleFields
     };
   }
 
@@ -1676,28 +2098,8 @@ export class SocialPlannerUI {
       occurrenceYmd
     };
 
-    const mode = task.repeat_mode || "none";
-    for (const m of REPEAT_MODES) {
-      els.modeRadios[m].checked = m === mode;
-    }
-
-    els.intervalInput.value = String(Math.max(1, Math.min(365, task.repeat_interval ?? 1)));
-
-    if (task.repeat_until) {
-      els.untilInput.value = task.repeat_until;
-    } else {
-      els.untilInput.value = "";
-    }
-
-    for (let d = 1; d <= 18; d++) {
-      const arr = task.repeat_sinedays || [];
-      els.chipToggles[d].classList.toggle(
-        "is-selected",
-        arr.some((x) => Number(x) === d)
-      );
-    }
-
-    els.syncModeUI();
+    els.fillSheet(task);
+    els.ruleFields.fill(task);
 
     els.backdrop.hidden = false;
     els.sheet.hidden = false;
@@ -0,0 +1,189 @@
+/**
+ * Checklist panel shared by planner and shared calendar task rows: tick
+ * boxes for one occurrence, and — for the task's author — renaming, adding,
+ * removing and reordering items (move buttons, or Alt+↑/↓ in an item).
+ * Changes show at once and roll back when the caller's save resolves false.
+ * Items and progress come from task-checklist.js.
+ */
+
+import {
+  CHECKLIST_ITEM_MAX_LENGTH,
+  CHECKLIST_MAX_ITEMS,
+  addChecklistItem,
+  checklistProgress,
+  moveChecklistItem,
+  normalizeChecklist,
+  renameChecklistItem,
+  removeChecklistItem,
+} from "./task-checklist.js";
+
+function el(tag, className) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  return node;
+}
+
+function iconButton(className, text, label) {
+  const btn = el("button", `task-checklist__btn ${className}`);
+  btn.type = "button";
+  btn.textContent = text;
+  btn.title = label;
+  btn.setAttribute("aria-label", label);
+  return btn;
+}
+
+/**
+ * @param {Object} opts
+ * @param {Array<{ id: string, title: string, checked_by?: string|null }>} opts.items
+ * @param {Iterable<string>} opts.checkedIds - Items ticked on this occurrence
+ * @param {boolean} opts.editable - The viewer may change the items
+ * @param {boolean} opts.canTick - The viewer may tick items
+ * @param {(itemId: string, checked: boolean) => Promise<boolean>} opts.onToggle
+ * @param {(items: Array<{ id: string, title: string }>) => Promise<boolean>} opts.onEdit
+ * @param {(progress: { done: number, total: number }) => void} [opts.onProgress]
+ * @returns {{ root: HTMLElement, progress: () => { done: number, total: number } }}
+ */
+export function createChecklist({ items, checkedIds, editable, canTick, onToggle, onEdit, onProgress = () => {} }) {
+  let current = normalizeChecklist(items);
+  const checkedBy = new Map((items || []).map((item) => [item.id, item.checked_by || null]));
+  const checked = new Set(checkedIds);
+  const root = el("div", "task-checklist");
+  const list = el("ul", "task-checklist__list");
+  root.append(list);
+
+  const progress = () => checklistProgress(current, checked);
+
+  /** Re-renders and puts focus back on `focus` ({ id, part }) if given. */
+  const render = (focus = null) => {
+    list.replaceChildren(...current.map((item, index) => buildItem(item, index)));
+    onProgress(progress());
+    if (!focus) return;
+    const target =
+      focus.part === "add"
+        ? root.querySelector(".task-checklist__add")
+        : list.querySelector(`[data-item-id="${focus.id}"] .task-checklist__${focus.part}`);
+    (target && !target.disabled ? target : list.querySelector(`[data-item-id="${focus.id}"] .task-checklist__title`))?.focus();
+  };
+
+  const edit = async (next, focus) => {
+    const previous = current;
+    current = next;
+    render(focus);
+    if (await onEdit(next)) return;
+    current = previous;
+    render();
+  };
+
+  const move = (item, index, delta, part) => {
+    const to = index + delta;
+    if (to < 0 || to >= current.length) return;
+    edit(moveChecklistItem(current, item.id, to), { id: item.id, part });
+  };
+
+  function buildItem(item, index) {
+    const li = el("li", "task-checklist__item");
+    li.dataset.itemId = item.id;
+    if (checked.has(item.id)) li.classList.add("is-checked");
+
+    const box = el("input", "task-checklist__check");
+    box.type = "checkbox";
+    box.checked = checked.has(item.id);
+    box.disabled = !canTick;
+    box.setAttribute("aria-label", `Done: ${item.title}`);
+    if (box.checked && checkedBy.get(item.id)) box.title = `Ticked by ${checkedBy.get(item.id)}`;
+    box.addEventListener("change", async () => {
+      const on = box.checked;
+      if (on) checked.add(item.id);
+      else checked.delete(item.id);
+      li.classList.toggle("is-checked", on);
+      onProgress(progress());
+      if (await onToggle(item.id, on)) return;
+      if (on) checked.delete(item.id);
+      else checked.add(item.id);
+      box.checked = !on;
+      li.classList.toggle("is-checked", !on);
+      onProgress(progress());
+    });
+
+    if (!editable) {
+      const text = el("span", "task-checklist__title");
+      text.textContent = item.title;
+      li.append(box, text);
+      return li;
+    }
+
+    const title = el("input", "task-checklist__title");
+    title.type = "text";
+    title.value = item.title;
+    title.maxLength = CHECKLIST_ITEM_MAX_LENGTH;
+    title.setAttribute("aria-label", "Checklist item");
+    title.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        title.blur();
+      } else if (e.altKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+        e.preventDefault();
+        move(item, index, e.key === "ArrowUp" ? -1 : 1, "title");
+      }
+    });
+    title.addEventListener("blur", () => {
+      const v = title.value.trim();
+      if (v === item.title) return;
+      edit(renameChecklistItem(current, item.id, v));
+    });
+
+    const up = iconButton("task-checklist__up", "↑", `Move “${item.title}” up`);
+    up.disabled = index === 0;
+    up.addEventListener("click", () => move(item, index, -1, "up"));
+    const down = iconButton("task-checklist__down", "↓", `Move “${item.title}” down`);
+    down.disabled = index === current.length - 1;
+    down.addEventListener("click", () => move(item, index, 1, "down"));
+    const remove = iconButton("task-checklist__remove", "×", `Remove “${item.title}”`);
+    remove.addEventListener("click", () => edit(removeChecklistItem(current, item.id), { part: "add" }));
+
+    li.append(box, title, up, down, remove);
+    return li;
+  }
+
+  if (editable) {
+    const add = el("input", "task-checklist__add");
+    add.type = "text";
+    add.maxLength = CHECKLIST_ITEM_MAX_LENGTH;
+    add.placeholder = "Add an item…";
+    add.setAttribute("aria-label", "Add a checklist item");
+    add.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      const next = addChecklistItem(current, add.value);
+      if (!next) {
+        if (current.length >= CHECKLIST_MAX_ITEMS) add.placeholder = `Up to ${CHECKLIST_MAX_ITEMS} items`;
+        return;
+      }
+      add.value = "";
+      edit(next, { part: "add" });
+    });
+    root.append(add);
+  }
+
+  render();
+  return { root, progress };
+}
+
+/** Progress chip text and label for a task row's checklist button. */
+export function checklistButtonState({ done, total }) {
+  if (!total) return { text: "☑", label: "Add a checklist", className: "" };
+  return {
+    text: `☑ ${done}/${total}`,
+    label: `Checklist: ${done} of ${total} done`,
+    className: done === total ? "is-active is-done" : "is-active",
+  };
+}
+
+export function paintChecklistButton(btn, progress) {
+  const { text, label, className } = checklistButtonState(progress);
+  btn.textContent = text;
+  btn.title = label;
+  btn.setAttribute("aria-label", label);
+  btn.classList.toggle("is-active", className.includes("is-active"));
+  btn.classList.toggle("is-done", className.includes("is-done"));
+}
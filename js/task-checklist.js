@@ -0,0 +1,96 @@
+/**
+ * Task checklists — the items nested under a planner or shared calendar
+ * task (planner_tasks.checklist, social_day_tasks.checklist).
+ *
+ * A checklist is an ordered array of { id, title } on the task, so adding,
+ * renaming, removing and reordering items is one task update, and a
+ * repeating task's items belong to the whole series. Ticks are kept per
+ * occurrence in planner_task_checklist_checks and
+ * social_day_task_checklist_checks, keyed by task, occurrence date and
+ * item id. Shared by the planner, the shared calendar and the social APIs.
+ */
+
+export const CHECKLIST_MAX_ITEMS = 50;
+export const CHECKLIST_ITEM_MAX_LENGTH = 200;
+
+const ITEM_ID_RE = /^[A-Za-z0-9-]{6,64}$/;
+
+function cleanTitle(value) {
+  return String(value ?? "").replace(/\s+/g, " ").trim().slice(0, CHECKLIST_ITEM_MAX_LENGTH);
+}
+
+/** Valid items in order; drops malformed, untitled and repeated ids. */
+export function normalizeChecklist(value) {
+  const items = [];
+  const seen = new Set();
+  for (const item of Array.isArray(value) ? value : []) {
+    const id = String(item?.id ?? "");
+    const title = cleanTitle(item?.title);
+    if (!ITEM_ID_RE.test(id) || !title || seen.has(id)) continue;
+    seen.add(id);
+    items.push({ id, title });
+    if (items.length === CHECKLIST_MAX_ITEMS) break;
+  }
+  return items;
+}
+
+/**
+ * A checklist sent by a client, checked strictly.
+ * @returns {{ checklist: Array<{ id: string, title: string }> } | { error: string }}
+ */
+export function validateChecklist(value) {
+  if (!Array.isArray(value)) return { error: "checklist must be an array" };
+  if (value.length > CHECKLIST_MAX_ITEMS) {
+    return { error: `A checklist holds at most ${CHECKLIST_MAX_ITEMS} items` };
+  }
+  const checklist = normalizeChecklist(value);
+  if (checklist.length !== value.length) {
+    return { error: "Each checklist item needs an id and a title" };
+  }
+  return { checklist };
+}
+
+/** The checklist with a new item at the end, or null when it is full or the title is empty. */
+export function addChecklistItem(list, title, id = crypto.randomUUID()) {
+  const items = normalizeChecklist(list);
+  const clean = cleanTitle(title);
+  if (!clean || items.length >= CHECKLIST_MAX_ITEMS) return null;
+  return [...items, { id, title: clean }];
+}
+
+/** Renames an item; an empty title removes it. */
+export function renameChecklistItem(list, id, title) {
+  const clean = cleanTitle(title);
+  if (!clean) return removeChecklistItem(list, id);
+  return normalizeChecklist(list).map((item) => (item.id === id ? { ...item, title: clean } : item));
+}
+
+export function removeChecklistItem(list, id) {
+  return normalizeChecklist(list).filter((item) => item.id !== id);
+}
+
+/** Moves an item to `toIndex` (clamped to the list). */
+export function moveChecklistItem(list, id, toIndex) {
+  const items = normalizeChecklist(list);
+  const from = items.findIndex((item) => item.id === id);
+  if (from === -1) return items;
+  const [item] = items.splice(from, 1);
+  items.splice(Math.max(0, Math.min(items.length, toIndex)), 0, item);
+  return items;
+}
+
+/**
+ * Ticked and total items for one occurrence. Ticks for items that have
+ * since been removed do not count.
+ * @param {Iterable<string>} checkedIds
+ */
+export function checklistProgress(list, checkedIds) {
+  const checked = new Set(checkedIds);
+  const items = normalizeChecklist(list);
+  return { done: items.filter((item) => checked.has(item.id)).length, total: items.length };
+}
+
+/** "2/5", or "" without items. */
+export function formatChecklistProgress({ done, total }) {
+  return total ? `${done}/${total}` : "";
+}
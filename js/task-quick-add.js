@@ -0,0 +1,535 @@
+/**
+ * Quick-add: reads a typed task line like "call mom every Sunday",
+ * "invoice on the 1st monthly until December" or "stretch on Day 14 and
+ * Day 15" into a title, a start date and the repeat fields the planner and
+ * the shared calendar store (task-recurrence.js). Lines are read in English
+ * and, when QUICK_ADD_WORDS has its connecting words ("cada", "jusqu'au",
+ * "übermorgen"…), in the user's language too. Other languages read English
+ * only: their weekday names alone would turn "cada domingo" into a date.
+ *
+ * Only the words that set something are taken out of the title, so the
+ * preview (describeQuickAdd) shows exactly what was understood.
+ */
+
+import {
+  MAX_REPEAT_COUNT,
+  MAX_REPEAT_INTERVAL,
+  addDaysYmd,
+  compareYmd,
+  dateFromYmd,
+  formatRepeatMeta,
+  lastDomUtc,
+  ymdFromDate,
+} from "./task-recurrence.js";
+
+// Word edges that work for non-Latin names too ("sábado", "月曜日").
+const B = "(?<![\\p{L}\\p{N}])";
+const E = "(?![\\p{L}\\p{N}])";
+const ORD = "(?:st|nd|rd|th)?";
+const SINEDAY_NUM = "(1[0-8]|[1-9])";
+
+const UNIT_MODES = { day: "daily", week: "weekly", month: "monthly", year: "yearly" };
+
+/**
+ * Connecting words per language, as regex fragments. `monthdays` read a day
+ * of the month (group 1), `monthly` when the phrase also sets the rule;
+ * `article` may stand before a unit or weekday that `nextAfter` follows
+ * ("el viernes que viene"); `pluralDays` reads "lundis", "montags".
+ */
+const QUICK_ADD_WORDS = Object.freeze({
+  en: {
+    every: ["every", "each"],
+    other: ["other"],
+    on: ["on"],
+    this: ["this"],
+    next: ["next"],
+    nextAfter: [],
+    article: [],
+    until: ["until", "till"],
+    and: ["and", "&"],
+    of: ["of"],
+    in: ["in"],
+    a: ["a", "an"],
+    for: ["for"],
+    times: ["times"],
+    today: ["today", "tonight"],
+    tomorrow: ["tomorrow"],
+    dayAfterTomorrow: ["(?:the\\s+)?day\\s+after\\s+tomorrow"],
+    workdays: ["every\\s+weekday", "(?:on\\s+)?weekdays"],
+    monthdays: [
+      { pattern: `(?:on\\s+)?the\\s+(\\d{1,2})${ORD}\\s+of\\s+(?:every|each)\\s+month`, monthly: true },
+      { pattern: "(?:on\\s+)?the\\s+(\\d{1,2})(?:st|nd|rd|th)", monthly: false },
+    ],
+    units: { day: ["days?"], week: ["weeks?"], month: ["months?"], year: ["years?"] },
+    adverbs: { daily: ["daily"], weekly: ["weekly"], monthly: ["monthly"], yearly: ["yearly", "annually"] },
+    pluralDays: true,
+  },
+  es: {
+    every: ["cada", "todos\\s+los", "todas\\s+las"],
+    other: ["dos"],
+    on: ["el"],
+    this: ["este", "esta"],
+    next: ["(?:el\\s+|la\\s+)?próxim[oa]"],
+    nextAfter: ["que\\s+viene"],
+    article: ["el", "la"],
+    until: ["hasta(?:\\s+el)?"],
+    and: ["y", "e"],
+    of: ["de", "del"],
+    in: ["en", "dentro\\s+de"],
+    a: ["un", "una"],
+    for: [],
+    times: ["veces"],
+    today: ["hoy", "esta\\s+noche"],
+    // "por la mañana" is the morning.
+    tomorrow: ["(?<!la\\s)mañana"],
+    dayAfterTomorrow: ["pasado\\s+mañana"],
+    workdays: ["(?:todos\\s+los\\s+|cada\\s+)?días\\s+laborables", "entre\\s+semana"],
+    monthdays: [{ pattern: "(?:el\\s+)?(?:día\\s+)?(\\d{1,2})\\s+de\\s+cada\\s+mes", monthly: true }],
+    units: { day: ["días?"], week: ["semanas?"], month: ["mes", "meses"], year: ["años?"] },
+    adverbs: { daily: ["diariamente", "a\\s+diario"], weekly: ["semanalmente"], monthly: ["mensualmente"], yearly: ["anualmente"] },
+    pluralDays: true,
+  },
+  fr: {
+    every: ["chaque", "tous\\s+les", "toutes\\s+les"],
+    other: ["deux"],
+    on: ["le"],
+    this: ["ce", "cette"],
+    next: [],
+    nextAfter: ["prochaine?"],
+    article: ["le", "la"],
+    until: ["jusqu['’](?:au|à|a|en)"],
+    and: ["et"],
+    of: ["de"],
+    in: ["dans"],
+    a: ["un", "une"],
+    for: [],
+    times: ["fois"],
+    today: ["aujourd['’]hui", "ce\\s+soir"],
+    tomorrow: ["demain"],
+    dayAfterTomorrow: ["après-demain"],
+    workdays: ["(?:tous\\s+les\\s+)?jours\\s+ouvrables", "en\\s+semaine"],
+    monthdays: [{ pattern: "(?:le\\s+)?(\\d{1,2})(?:er|e)?\\s+(?:de\\s+)?chaque\\s+mois", monthly: true }],
+    units: { day: ["jours?"], week: ["semaines?"], month: ["mois"], year: ["ans?", "années?"] },
+    adverbs: { daily: ["quotidiennement"], weekly: ["hebdomadairement"], monthly: ["mensuellement"], yearly: ["annuellement"] },
+    pluralDays: true,
+  },
+  de: {
+    every: ["jeden", "jede", "jedes", "alle"],
+    other: ["zweiten", "zweite"],
+    on: ["am"],
+    this: ["diesen", "diese", "dieses"],
+    next: ["nächsten", "nächste", "kommenden", "kommende"],
+    nextAfter: [],
+    article: [],
+    until: ["bis(?:\\s+zum)?"],
+    and: ["und"],
+    of: [],
+    in: ["in"],
+    a: ["einem", "einer"],
+    for: [],
+    times: ["mal"],
+    today: ["heute(?:\\s+abend)?"],
+    tomorrow: ["morgen"],
+    dayAfterTomorrow: ["übermorgen"],
+    workdays: ["werktags", "(?:an\\s+)?Werktagen", "jeden\\s+Werktag"],
+    monthdays: [{ pattern: "(?:am\\s+)?(\\d{1,2})\\.\\s+(?:jedes|jeden)\\s+Monats?", monthly: true }],
+    units: { day: ["Tage?n?"], week: ["Wochen?"], month: ["Monate?n?"], year: ["Jahre?n?"] },
+    adverbs: { daily: ["täglich"], weekly: ["wöchentlich"], monthly: ["monatlich"], yearly: ["jährlich"] },
+    pluralDays: true,
+  },
+  pt: {
+    every: ["a\\s+cada", "cada", "todos\\s+os", "todas\\s+as"],
+    other: ["duas", "dois"],
+    on: ["no", "na", "em"],
+    this: ["este", "esta", "neste", "nesta"],
+    next: ["(?:o\\s+|a\\s+|no\\s+|na\\s+)?próxim[oa]"],
+    nextAfter: ["que\\s+vem"],
+    article: ["o", "a", "no", "na"],
+    until: ["até(?:\\s+[oa])?"],
+    and: ["e"],
+    of: ["de"],
+    in: ["em", "daqui\\s+a"],
+    a: ["um", "uma"],
+    for: [],
+    times: ["vezes"],
+    today: ["hoje(?:\\s+à\\s+noite)?"],
+    tomorrow: ["amanhã"],
+    dayAfterTomorrow: ["depois\\s+de\\s+amanhã"],
+    workdays: ["(?:todos\\s+os\\s+)?dias\\s+úteis"],
+    monthdays: [{ pattern: "(?:no\\s+)?(?:dia\\s+)?(\\d{1,2})\\s+de\\s+cada\\s+mês", monthly: true }],
+    units: { day: ["dias?"], week: ["semanas?"], month: ["mês", "meses"], year: ["anos?"] },
+    adverbs: { daily: ["diariamente"], weekly: ["semanalmente"], monthly: ["mensalmente"], yearly: ["anualmente"] },
+    pluralDays: true,
+  },
+  it: {
+    every: ["ogni", "tutti\\s+i", "tutte\\s+le"],
+    other: ["due"],
+    on: ["il"],
+    this: ["questo", "questa"],
+    next: ["(?:il\\s+|la\\s+)?prossim[oa]"],
+    nextAfter: ["prossim[oa]"],
+    article: ["il", "la"],
+    until: ["fino\\s+al?"],
+    and: ["e", "ed"],
+    of: ["di"],
+    in: ["tra", "fra"],
+    a: ["un", "una", "uno"],
+    for: [],
+    times: ["volte"],
+    today: ["oggi", "stasera"],
+    tomorrow: ["domani"],
+    dayAfterTomorrow: ["dopodomani"],
+    workdays: ["(?:tutti\\s+i\\s+)?giorni\\s+feriali"],
+    monthdays: [{ pattern: "(?:il\\s+)?(\\d{1,2})\\s+(?:di\\s+)?ogni\\s+mese", monthly: true }],
+    units: { day: ["giorno", "giorni"], week: ["settimana", "settimane"], month: ["mese", "mesi"], year: ["anno", "anni"] },
+    adverbs: { daily: ["quotidianamente"], weekly: ["settimanalmente"], monthly: ["mensilmente"], yearly: ["annualmente"] },
+    pluralDays: false,
+  },
+});
+
+const grammarCache = new Map();
+
+function escapeRe(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function alternation(names) {
+  return [...names].sort((a, b) => b.length - a.length).map(escapeRe).join("|");
+}
+
+/** Like alternation, for fragments that are already regex. */
+function fragments(list) {
+  return [...new Set(list)].sort((a, b) => b.length - a.length).join("|");
+}
+
+function intlNames(locale, options, dates) {
+  try {
+    const format = new Intl.DateTimeFormat(locale, { ...options, timeZone: "UTC" });
+    return dates.map((date) => format.format(date).toLocaleLowerCase(locale).replace(/\.$/, ""));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Weekday and month names, lower-cased, and the connecting words for
+ * English and the locale's language (when QUICK_ADD_WORDS has it).
+ * weekdays/months map every accepted form to its index; `long` holds the
+ * forms safe to read without a leading "on"/"every" (not "sun", "wed"…);
+ * `words` holds one regex alternation per QUICK_ADD_WORDS field.
+ */
+function grammarFor(locale) {
+  const lang = String(locale || "en").split("-")[0].toLowerCase();
+  const key = Object.hasOwn(QUICK_ADD_WORDS, lang) ? lang : "en";
+  if (grammarCache.has(key)) return grammarCache.get(key);
+
+  const langs = [...new Set(["en", key])];
+  const sets = langs.map((l) => QUICK_ADD_WORDS[l]);
+  // 2023-01-01 was a Sunday.
+  const days = Array.from({ length: 7 }, (_, i) => new Date(Date.UTC(2023, 0, 1 + i, 12)));
+  const months = Array.from({ length: 12 }, (_, i) => new Date(Date.UTC(2023, i, 15, 12)));
+
+  const weekdays = new Map();
+  const plural = new Map();
+  const long = new Set();
+  const addDay = (name, index, isLong) => {
+    if (!name || weekdays.has(name)) return;
+    weekdays.set(name, index);
+    if (isLong) long.add(name);
+  };
+  for (const l of langs) {
+    intlNames(l, { weekday: "long" }, days).forEach((name, i) => addDay(name, i, true));
+    intlNames(l, { weekday: "short" }, days).forEach((name, i) => addDay(name, i, false));
+  }
+  ["sun", "mon", "tues", "wed", "thur", "thurs", "fri", "sat"].forEach((name) =>
+    addDay(name, ["sun", "mon", "tue", "wed", "thu", "fri", "sat"].indexOf(name.slice(0, 3)), false)
+  );
+  for (const l of langs.filter((l) => QUICK_ADD_WORDS[l].pluralDays)) {
+    intlNames(l, { weekday: "long" }, days).forEach((name, i) => {
+      if (!name.endsWith("s")) plural.set(`${name}s`, i);
+    });
+  }
+
+  const monthNames = new Map();
+  for (const l of langs) {
+    for (const style of ["long", "short"]) {
+      intlNames(l, { month: style }, months).forEach((name, i) => {
+        if (name && !/^\d/.test(name) && !monthNames.has(name)) monthNames.set(name, i);
+      });
+    }
+  }
+  monthNames.set("sept", 8);
+
+  const words = {};
+  for (const field of Object.keys(QUICK_ADD_WORDS.en)) {
+    if (Array.isArray(QUICK_ADD_WORDS.en[field]) && field !== "monthdays") {
+      words[field] = fragments(sets.flatMap((set) => set[field]));
+    }
+  }
+  const byKind = (field) =>
+    Object.fromEntries(Object.keys(QUICK_ADD_WORDS.en[field]).map((kind) => [kind, fragments(sets.flatMap((set) => set[field][kind]))]));
+
+  const grammar = {
+    weekdays,
+    plural,
+    months: monthNames,
+    weekdayRe: alternation(weekdays.keys()),
+    longRe: alternation(long),
+    pluralRe: alternation(plural.keys()),
+    monthRe: alternation(monthNames.keys()),
+    words,
+    units: byKind("units"),
+    adverbs: byKind("adverbs"),
+    monthdays: sets.flatMap((set) => set.monthdays),
+  };
+  grammarCache.set(key, grammar);
+  return grammar;
+}
+
+function weekdayOf(ymd) {
+  return dateFromYmd(ymd).getUTCDay();
+}
+
+/** First date on or after `from` (after it when `strict`) on one of the weekdays. */
+function nextWeekday(from, weekdays, strict = false) {
+  for (let i = strict ? 1 : 0; i <= 7; i++) {
+    const ymd = addDaysYmd(from, i);
+    if (weekdays.includes(weekdayOf(ymd))) return ymd;
+  }
+  return from;
+}
+
+/** First date on or after `from` that falls on day `dom` of a month. */
+function nextMonthday(from, dom) {
+  const d = dateFromYmd(from);
+  for (let i = 0; i < 13; i++) {
+    const y = d.getUTCFullYear();
+    const m = d.getUTCMonth() + i;
+    if (dom > lastDomUtc(y, m)) continue;
+    const ymd = ymdFromDate(new Date(Date.UTC(y, m, dom, 12)));
+    if (compareYmd(ymd, from) >= 0) return ymd;
+  }
+  return null;
+}
+
+/** This year's date for month/day, or next year's once it has passed. */
+function nextMonthDate(from, month, dom) {
+  const year = dateFromYmd(from).getUTCFullYear();
+  for (const y of [year, year + 1]) {
+    if (dom > lastDomUtc(y, month)) continue;
+    const ymd = ymdFromDate(new Date(Date.UTC(y, month, dom, 12)));
+    if (compareYmd(ymd, from) >= 0) return ymd;
+  }
+  return null;
+}
+
+function addMonthsYmd(ymd, months) {
+  const d = dateFromYmd(ymd);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth() + months;
+  const dom = Math.min(d.getUTCDate(), lastDomUtc(y, m));
+  return ymdFromDate(new Date(Date.UTC(y, m, dom, 12)));
+}
+
+function listOf(text, re, map) {
+  return [...new Set(text.match(new RegExp(re, "giu")).map((name) => map.get(name.toLocaleLowerCase())))];
+}
+
+/**
+ * Parses a typed task line.
+ *
+ * Relative dates ("tomorrow", "next Friday", "in 3 days") count from
+ * `today`; "next Friday" is the first Friday after today and "Friday" may
+ * be today. Without a date the task starts on `defaultDate`; a rule then
+ * moves the start to its first occurrence (the next Sunday for "every
+ * Sunday", the next 1st for "on the 1st monthly").
+ *
+ * @param {string} text
+ * @param {Object} opts
+ * @param {string} opts.today - YYYY-MM-DD in the user's time zone
+ * @param {string} [opts.defaultDate] - Day the task is being added on
+ * @param {string} [opts.locale] - For weekday and month names
+ * @returns {{ title: string, date: string, fields: Object, matched: string[] }}
+ *   `fields` holds repeat_mode, repeat_interval, repeat_until,
+ *   repeat_sinedays, repeat_weekdays and repeat_count; `matched` lists the
+ *   phrases that were read, in the order they were found
+ */
+export function parseQuickAdd(text, { today, defaultDate = today, locale = "en" } = {}) {
+  const names = grammarFor(locale);
+  const w = names.words;
+  let rest = ` ${String(text ?? "").replace(/\s+/g, " ").trim()} `;
+  const matched = [];
+
+  const take = (pattern, onMatch) => {
+    const re = new RegExp(`${B}(?:${pattern})${E}`, "iu");
+    const m = rest.match(re);
+    if (!m) return false;
+    if (onMatch(m) === false) return false;
+    matched.push(m[0].trim());
+    rest = `${rest.slice(0, m.index)} ${rest.slice(m.index + m[0].length)}`;
+    return true;
+  };
+
+  let mode = null;
+  let interval = 1;
+  let weekdays = [];
+  let sinedays = [];
+  let monthday = null;
+  let date = null;
+  let until = null;
+  let untilMonth = null;
+  let count = null;
+
+  const AND = `\\s*(?:,|${B}(?:${w.and})${E})\\s*`;
+  // "3rd March", "3 March", "3. März", "3 de marzo".
+  const DAY_FIRST = `(\\d{1,2})(?:st|nd|rd|th|\\.)?\\s+(?:(?:${w.of})\\s+)?`;
+  const unitOf = (word) => Object.keys(UNIT_MODES).find((unit) => new RegExp(`^(?:${names.units[unit]})$`, "iu").test(word));
+  const UNIT = Object.values(names.units).join("|");
+  // "el viernes que viene", "vendredi prochain".
+  const after = (what) => (w.nextAfter ? `|(?:(?:${w.article})\\s+)?${what}\\s+(?:${w.nextAfter})` : "");
+
+  const readDate = (m, offset) => {
+    const [iso, monthA, dayA, dayB, monthB, monthOnly] = m.slice(offset, offset + 6);
+    if (iso) return { ymd: iso };
+    if (monthA) return { ymd: nextMonthDate(today, names.months.get(monthA.toLocaleLowerCase()), Number(dayA)) };
+    if (monthB) return { ymd: nextMonthDate(today, names.months.get(monthB.toLocaleLowerCase()), Number(dayB)) };
+    return { month: names.months.get(monthOnly.toLocaleLowerCase()) };
+  };
+  const DATE =
+    `(\\d{4}-\\d{2}-\\d{2})|(${names.monthRe})\\.?\\s+(\\d{1,2})${ORD}|${DAY_FIRST}(${names.monthRe})|(${names.monthRe})`;
+
+  // The end first, so its month and weekday names are not read as the start.
+  take(`(?:${w.until})\\s+(?:${DATE})`, (m) => {
+    const end = readDate(m, 1);
+    if (end.ymd) until = end.ymd;
+    else if (end.month !== undefined) untilMonth = end.month;
+    return !!(until || untilMonth !== null);
+  });
+
+  take(`(?:${w.on}|${w.every})\\s+(?:sine)?days?\\s+${SINEDAY_NUM}(?:${AND}(?:(?:sine)?days?\\s+)?${SINEDAY_NUM}${E})*`, (m) => {
+    mode = "sineday";
+    sinedays = [...new Set(m[0].match(/\d+/g).map(Number))].sort((a, b) => a - b);
+  });
+
+  take(w.workdays, () => {
+    mode = "weekdays";
+  });
+
+  const dayList = `(?:${names.weekdayRe}|${names.pluralRe})\\.?(?:${AND}(?:${names.weekdayRe}|${names.pluralRe})\\.?)*`;
+  if (
+    !mode &&
+    !take(`(?:${w.every})\\s+((?:${w.other})\\s+)?(${dayList})`, (m) => {
+      interval = m[1] ? 2 : 1;
+      weekdays = listOf(m[2], `${names.weekdayRe}|${names.pluralRe}`, new Map([...names.weekdays, ...names.plural]));
+    })
+  ) {
+    take(`(?:(?:${w.on})\\s+)?(?:${names.pluralRe})(?:${AND}(?:${names.pluralRe}))*`, (m) => {
+      weekdays = listOf(m[0], names.pluralRe, names.plural);
+    });
+  }
+  if (weekdays.length) mode = weekdays.length === 1 ? "weekly" : "weekly_days";
+
+  for (const { pattern, monthly } of names.monthdays) {
+    const found = take(pattern, (m) => {
+      const dom = Number(m[1]);
+      if (dom < 1 || dom > 31) return false;
+      monthday = dom;
+      if (!mode && monthly) mode = "monthly";
+    });
+    if (found) break;
+  }
+
+  if (!mode) {
+    take(`(?:${w.every})\\s+(?:((?:${w.other}))\\s+|(\\d{1,3})\\s+)?(${UNIT})`, (m) => {
+      mode = UNIT_MODES[unitOf(m[3])];
+      interval = m[1] ? 2 : Math.min(MAX_REPEAT_INTERVAL, Math.max(1, Number(m[2] || 1)));
+    });
+  }
+  if (!mode) {
+    take(Object.values(names.adverbs).join("|"), (m) => {
+      const word = m[0];
+      mode = Object.keys(names.adverbs).find((kind) => new RegExp(`^(?:${names.adverbs[kind]})$`, "iu").test(word));
+    });
+  }
+
+  if (mode && mode !== "sineday") {
+    take(`(?:(?:${w.for})\\s+)?(\\d{1,3})\\s*(?:${w.times})`, (m) => {
+      const n = Number(m[1]);
+      if (n < 1 || n > MAX_REPEAT_COUNT) return false;
+      count = n;
+    });
+  }
+
+  // The day itself.
+  take(`(\\d{4}-\\d{2}-\\d{2})|(?:(?:${w.on})\\s+)?(${names.monthRe})\\.?\\s+(\\d{1,2})${ORD}|(?:(?:${w.on})\\s+)?(?:the\\s+)?${DAY_FIRST}(${names.monthRe})`, (m) => {
+    date = readDate(m, 1).ymd;
+    return !!date;
+  }) ||
+    take(`(${w.dayAfterTomorrow})|(${w.tomorrow})|(?:${w.today})`, (m) => {
+      date = m[1] ? addDaysYmd(today, 2) : m[2] ? addDaysYmd(today, 1) : today;
+    }) ||
+    take(`(?:${w.in})\\s+(?:(\\d{1,3})|(?:${w.a}))\\s+(${UNIT})|(?:${w.next})\\s+(${UNIT})${after(`(${UNIT})`)}`, (m) => {
+      const n = Number(m[1] || 1);
+      const unit = unitOf(m[2] || m[3] || m[4]);
+      if (unit !== "day" && unit !== "week" && unit !== "month") return false;
+      if (!m[2] && unit === "day") return false;
+      date = unit === "month" ? addMonthsYmd(today, n) : addDaysYmd(today, unit === "week" ? 7 * n : n);
+    }) ||
+    take(`(?:${w.next})\\s+(${names.weekdayRe})\\.?${after(`(${names.weekdayRe})\\.?`)}`, (m) => {
+      date = nextWeekday(today, [names.weekdays.get((m[1] || m[2]).toLocaleLowerCase())], true);
+    }) ||
+    take(`(?:${w.on}|${w.this})\\s+(${names.weekdayRe})\\.?|(${names.longRe})`, (m) => {
+      date = nextWeekday(today, [names.weekdays.get((m[1] || m[2]).toLocaleLowerCase())]);
+    });
+
+  let start = date || defaultDate;
+  if (mode === "weekly" || mode === "weekly_days") start = nextWeekday(start, weekdays);
+  if (monthday) start = nextMonthday(start, monthday) || start;
+  if (mode === "weekdays" && [0, 6].includes(weekdayOf(start))) start = nextWeekday(start, [1]);
+
+  if (untilMonth !== null) {
+    const d = dateFromYmd(start);
+    const year = d.getUTCFullYear() + (untilMonth < d.getUTCMonth() ? 1 : 0);
+    until = ymdFromDate(new Date(Date.UTC(year, untilMonth, lastDomUtc(year, untilMonth), 12)));
+  }
+
+  const fields = {
+    repeat_mode: mode || "none",
+    repeat_interval: mode ? interval : 1,
+    repeat_until: mode && until && compareYmd(until, start) >= 0 ? until : null,
+    repeat_sinedays: sinedays,
+    repeat_weekdays: mode === "weekly_days" ? weekdays.sort((a, b) => a - b) : [],
+    repeat_count: count,
+  };
+
+  const title = rest
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(new RegExp(`^(?:${w.on}|at|by|from|,|-|–)\\s+|\\s+(?:${w.on}|at|by|from|${w.and}|,|-|–)$`, "giu"), "")
+    .replace(/[\s,]+$/, "")
+    .trim();
+
+  return { title, date: start, fields, matched };
+}
+
+/**
+ * One-line preview of a parsed line, or "" when nothing beyond the title
+ * was read: "“Call mom” · Sun, Oct 25 · Repeats weekly".
+ */
+export function describeQuickAdd(parsed, { locale = "en-US" } = {}) {
+  if (!parsed?.matched.length) return "";
+  const task = { start_date: parsed.date, ...parsed.fields };
+  const formatDate = (ymd) =>
+    new Intl.DateTimeFormat(locale, { weekday: "short", month: "short", day: "numeric", timeZone: "UTC" }).format(
+      dateFromYmd(ymd)
+    );
+  const repeat = formatRepeatMeta(task);
+  return [
+    parsed.title ? `“${parsed.title}”` : "Add a title",
+    task.repeat_mode === "none" ? formatDate(parsed.date) : `From ${formatDate(parsed.date)}`,
+    repeat,
+    task.repeat_until ? `until ${formatDate(task.repeat_until)}` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
@@ -0,0 +1,588 @@
+/**
+ * Task recurrence — when a repeating task occurs, shared by personal planner
+ * tasks (planner_tasks, PlannerUI) and shared calendar tasks (social_day_tasks,
+ * api/social) so both compute occurrences identically.
+ *
+ * A task repeats by its rule from start_date: repeat_mode, repeat_interval,
+ * repeat_until, repeat_count and the mode's own list (repeat_sinedays,
+ * repeat_weekdays, repeat_monthdays, repeat_nth). js/task-rrule.js converts
+ * rules to and from RFC 5545 RRULEs. On top of the rule:
+ * - exception_dates skips single occurrences;
+ * - occurrence_overrides changes one occurrence, keyed by the date the rule
+ *   puts it on: { "2026-03-04": { title?: string, date?: "YYYY-MM-DD" } };
+ * - splitSeries() ends a series the day before an occurrence and starts a new
+ *   one there, for "this and following" edits.
+ */
+
+import { calculateSineDayForYmd } from "./sineday-engine.js";
+
+const MS_PER_DAY = 86400000;
+const CYCLE_LENGTH = 18;
+
+export const REPEAT_MODES = Object.freeze([
+  "none",
+  "daily",
+  "weekly",
+  "monthly",
+  "yearly",
+  "weekdays",
+  "sineday",
+  "weekly_days",
+  "monthly_days",
+  "monthly_nth",
+]);
+
+/** Modes whose repeat_interval counts days, weeks, months or years. */
+export const INTERVAL_MODES = Object.freeze([
+  "daily",
+  "weekly",
+  "monthly",
+  "yearly",
+  "weekly_days",
+  "monthly_days",
+  "monthly_nth",
+]);
+
+export const MAX_REPEAT_INTERVAL = 365;
+export const MAX_REPEAT_COUNT = 999;
+
+export const WEEKDAY_NAMES = Object.freeze([
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+]);
+
+// COUNT is resolved by walking the rule; a century is plenty for any count.
+const MAX_COUNT_SCAN_DAYS = 366 * 100;
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function compareYmd(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+export function dateFromYmd(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d, 12, 0, 0, 0));
+}
+
+export function ymdFromDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function addDaysYmd(ymd, days) {
+  return ymdFromDate(new Date(dateFromYmd(ymd).getTime() + days * MS_PER_DAY));
+}
+
+export function diffDaysUTC(a, b) {
+  return Math.round((a.getTime() - b.getTime()) / MS_PER_DAY);
+}
+
+export function diffMonthsUTC(a, b) {
+  return (
+    (a.getUTCFullYear() - b.getUTCFullYear()) * 12 +
+    (a.getUTCMonth() - b.getUTCMonth())
+  );
+}
+
+export function lastDomUtc(y, monthIndex) {
+  return new Date(Date.UTC(y, monthIndex + 1, 0)).getUTCDate();
+}
+
+export function alignDomUtc(d, domStart) {
+  const last = lastDomUtc(d.getUTCFullYear(), d.getUTCMonth());
+  return Math.min(domStart, last);
+}
+
+export function isYmd(value) {
+  return YMD_RE.test(String(value || ""));
+}
+
+/** Shared tasks written before start_date existed only have task_date. */
+export function taskStartDate(task) {
+  return task?.start_date || task?.task_date || null;
+}
+
+/** Valid exception dates, sorted and de-duplicated. */
+export function normalizeExceptionDates(value) {
+  const dates = (Array.isArray(value) ? value : []).map(String).filter(isYmd);
+  return [...new Set(dates)].sort();
+}
+
+/** Drops malformed overrides and empty fields; keys and dates must be YYYY-MM-DD. */
+export function normalizeOccurrenceOverrides(value) {
+  const overrides = {};
+  if (!value || typeof value !== "object" || Array.isArray(value)) return overrides;
+  for (const key of Object.keys(value).filter(isYmd).sort()) {
+    const raw = value[key] || {};
+    const override = {};
+    const title = String(raw.title ?? "").trim();
+    if (title) override.title = title;
+    if (isYmd(raw.date) && raw.date !== key) override.date = raw.date;
+    if (Object.keys(override).length) overrides[key] = override;
+  }
+  return overrides;
+}
+
+/**
+ * Day of the month a "monthly" or "yearly" rule falls on, moved to the last
+ * day of shorter months. It is the start date's, unless the series was split
+ * on such a shortened day: the new task then keeps the old day in
+ * repeat_monthdays (see splitSeries).
+ */
+export function monthlyAnchorDay(task) {
+  const stored = Number((task.repeat_monthdays || [])[0]);
+  if (Number.isInteger(stored) && stored >= 1 && stored <= 31) return stored;
+  const startDate = taskStartDate(task);
+  return startDate ? dateFromYmd(startDate).getUTCDate() : null;
+}
+
+/** 0 (Sunday) … 6 (Saturday), sorted; falls back to the start date's weekday. */
+export function normalizeWeekdays(value, startDate = null) {
+  const days = (Array.isArray(value) ? value : [])
+    .map(Number)
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+  if (!days.length && startDate) return [dateFromYmd(startDate).getUTCDay()];
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/** 1…31 or -1…-31 (from the end of the month); falls back to the start's day. */
+export function normalizeMonthdays(value, startDate = null) {
+  const days = (Array.isArray(value) ? value : [])
+    .map(Number)
+    .filter((d) => Number.isInteger(d) && d !== 0 && d >= -31 && d <= 31);
+  if (!days.length && startDate) return [dateFromYmd(startDate).getUTCDate()];
+  // Dates from the start of the month first, then those counted from the end.
+  return [...new Set(days)].sort((a, b) => (b > 0) - (a > 0) || a - b);
+}
+
+/** Week of the month for monthly_nth: 1…5, or -1…-5 from the end. */
+export function normalizeNth(value, startDate = null) {
+  const n = Number(value);
+  if (Number.isInteger(n) && n !== 0 && n >= -5 && n <= 5) return n;
+  return startDate ? Math.ceil(dateFromYmd(startDate).getUTCDate() / 7) : null;
+}
+
+export function normalizeRepeatCount(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 ? Math.min(MAX_REPEAT_COUNT, n) : null;
+}
+
+function mondayOfWeek(date) {
+  return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * MS_PER_DAY);
+}
+
+/**
+ * Whether the task's rule alone puts an occurrence on ymd, ignoring
+ * exceptions and overrides.
+ * @param {object} task - planner_tasks or social_day_tasks row
+ * @param {string} ymd
+ * @param {string | null | undefined} birthdate - for sineday mode (the task owner's)
+ */
+export function ruleMatchesDate(task, ymd, birthdate) {
+  if (!matchesWithoutCount(task, ymd, birthdate)) return false;
+  const lastDate = countEndDate(task);
+  return !lastDate || compareYmd(ymd, lastDate) <= 0;
+}
+
+const countEndCache = new Map();
+
+/**
+ * The date of the repeat_count-th occurrence, or null when the task has no
+ * count. Counted occurrences include skipped ones, as RRULE COUNT does.
+ * SineDay rules take no count.
+ */
+export function countEndDate(task) {
+  const count = normalizeRepeatCount(task.repeat_count);
+  const startDate = taskStartDate(task);
+  if (!count || !startDate || task.repeat_mode === "sineday") return null;
+
+  const key = JSON.stringify([
+    startDate,
+    task.repeat_mode,
+    task.repeat_interval,
+    task.repeat_until,
+    task.repeat_weekdays,
+    task.repeat_monthdays,
+    task.repeat_nth,
+    count,
+  ]);
+  if (countEndCache.has(key)) return countEndCache.get(key);
+
+  let seen = 0;
+  let lastDate = null;
+  for (let i = 0, ymd = startDate; i < MAX_COUNT_SCAN_DAYS; i++, ymd = addDaysYmd(ymd, 1)) {
+    if (task.repeat_until && compareYmd(ymd, task.repeat_until) > 0) break;
+    if (matchesWithoutCount(task, ymd, null) && ++seen === count) {
+      lastDate = ymd;
+      break;
+    }
+  }
+  if (countEndCache.size > 500) countEndCache.clear();
+  countEndCache.set(key, lastDate);
+  return lastDate;
+}
+
+function matchesWithoutCount(task, ymd, birthdate) {
+  const startDate = taskStartDate(task);
+  if (!startDate) return false;
+
+  const D = dateFromYmd(ymd);
+  const S = dateFromYmd(startDate);
+
+  if (compareYmd(ymd, startDate) < 0) return false;
+  if (task.repeat_until && compareYmd(ymd, task.repeat_until) > 0) {
+    return false;
+  }
+
+  const mode = task.repeat_mode || "none";
+  const n = Math.max(1, Math.min(MAX_REPEAT_INTERVAL, task.repeat_interval ?? 1));
+
+  switch (mode) {
+    case "none":
+      return ymd === startDate;
+    case "daily": {
+      const diff = diffDaysUTC(D, S);
+      return diff >= 0 && diff % n === 0;
+    }
+    case "weekly": {
+      const diff = diffDaysUTC(D, S);
+      return diff >= 0 && diff % (7 * n) === 0;
+    }
+    case "monthly": {
+      const months = diffMonthsUTC(D, S);
+      if (months < 0 || months % n !== 0) return false;
+      return D.getUTCDate() === alignDomUtc(D, monthlyAnchorDay(task));
+    }
+    case "yearly": {
+      const years = D.getUTCFullYear() - S.getUTCFullYear();
+      if (years < 0 || years % n !== 0) return false;
+      if (D.getUTCMonth() !== S.getUTCMonth()) return false;
+      return D.getUTCDate() === alignDomUtc(D, monthlyAnchorDay(task));
+    }
+    case "weekdays": {
+      const dow = D.getUTCDay();
+      return dow >= 1 && dow <= 5;
+    }
+    case "sineday": {
+      const arr = task.repeat_sinedays || [];
+      if (!arr.length || !birthdate) return false;
+      const result = calculateSineDayForYmd(birthdate, ymd);
+      if (!result) return false;
+      return arr.some((x) => Number(x) === result.day);
+    }
+    case "weekly_days": {
+      // Weeks start on Monday, as in RRULE's default WKST.
+      const weeks = diffDaysUTC(mondayOfWeek(D), mondayOfWeek(S)) / 7;
+      if (weeks % n !== 0) return false;
+      return normalizeWeekdays(task.repeat_weekdays, startDate).includes(D.getUTCDay());
+    }
+    case "monthly_days": {
+      const months = diffMonthsUTC(D, S);
+      if (months % n !== 0) return false;
+      // Unlike "monthly", a missing day (the 31st in April) is skipped.
+      const dom = D.getUTCDate();
+      const last = lastDomUtc(D.getUTCFullYear(), D.getUTCMonth());
+      return normalizeMonthdays(task.repeat_monthdays, startDate).some((d) =>
+        d > 0 ? d === dom : last + 1 + d === dom
+      );
+    }
+    case "monthly_nth": {
+      const months = diffMonthsUTC(D, S);
+      if (months % n !== 0) return false;
+      if (!normalizeWeekdays(task.repeat_weekdays, startDate).includes(D.getUTCDay())) {
+        return false;
+      }
+      const dom = D.getUTCDate();
+      const last = lastDomUtc(D.getUTCFullYear(), D.getUTCMonth());
+      const nth = normalizeNth(task.repeat_nth, startDate);
+      return nth > 0 ? Math.ceil(dom / 7) === nth : Math.floor((last - dom) / 7) + 1 === -nth;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * The task's occurrence shown on ymd, or null. `occurrenceDate` is the date
+ * the rule put it on (the key for skipping or overriding it); it differs from
+ * `date` when the occurrence was moved.
+ * @returns {{ date: string, occurrenceDate: string, title: string, moved: boolean } | null}
+ */
+export function occurrenceOnDate(task, ymd, birthdate) {
+  const exceptions = new Set(normalizeExceptionDates(task.exception_dates));
+  const overrides = normalizeOccurrenceOverrides(task.occurrence_overrides);
+
+  if (!exceptions.has(ymd) && ruleMatchesDate(task, ymd, birthdate)) {
+    const own = overrides[ymd];
+    if (!own?.date) return { date: ymd, occurrenceDate: ymd, title: own?.title || task.title, moved: false };
+  }
+
+  for (const [occurrenceDate, override] of Object.entries(overrides)) {
+    if (override.date !== ymd || exceptions.has(occurrenceDate)) continue;
+    if (ruleMatchesDate(task, occurrenceDate, birthdate)) {
+      return { date: ymd, occurrenceDate, title: override.title || task.title, moved: true };
+    }
+  }
+  return null;
+}
+
+export function taskOccursOnDate(task, ymd, birthdate) {
+  return occurrenceOnDate(task, ymd, birthdate) !== null;
+}
+
+export function isRepeatingTask(task) {
+  return (task?.repeat_mode || "none") !== "none";
+}
+
+/**
+ * Weeks each listed weekday moves into when shifted by `days`, counted from
+ * Monday like the weekly_days rule itself.
+ */
+function weekdayWeekShifts(task, days) {
+  return normalizeWeekdays(task.repeat_weekdays, taskStartDate(task)).map((d) =>
+    Math.floor((((d + 6) % 7) + days) / 7)
+  );
+}
+
+/**
+ * Whether shiftSeries can move the whole series by `days`. Rules tied to
+ * weekdays or to days of the month cannot follow a move by an arbitrary
+ * number of days, nor can an every-other-week rule whose weekdays would land
+ * in different weeks (Thursday and Sunday moved a day: Friday stays, Monday
+ * starts the next week).
+ */
+export function canShiftSeries(task, days = 0) {
+  if (["weekdays", "monthly_days", "monthly_nth"].includes(task?.repeat_mode)) return false;
+  const n = Math.max(1, Math.min(MAX_REPEAT_INTERVAL, task?.repeat_interval ?? 1));
+  if (task?.repeat_mode === "weekly_days" && n > 1) {
+    return new Set(weekdayWeekShifts(task, days).map((weeks) => ((weeks % n) + n) % n)).size <= 1;
+  }
+  return true;
+}
+
+/** Field changes that skip one occurrence (and forget any override of it). */
+export function skipOccurrence(task, occurrenceDate) {
+  const overrides = normalizeOccurrenceOverrides(task.occurrence_overrides);
+  delete overrides[occurrenceDate];
+  return {
+    exception_dates: normalizeExceptionDates([...(task.exception_dates || []), occurrenceDate]),
+    occurrence_overrides: overrides,
+  };
+}
+
+/**
+ * Field changes that retitle and/or move one occurrence. A title equal to
+ * the series title, or a date equal to the occurrence's own, clears that part
+ * of the override.
+ * @returns {{ patch: object } | { error: string }}
+ */
+export function overrideOccurrence(task, occurrenceDate, { title, date } = {}, birthdate = null) {
+  const overrides = normalizeOccurrenceOverrides(task.occurrence_overrides);
+  const next = { ...(overrides[occurrenceDate] || {}) };
+
+  if (title !== undefined) {
+    const value = String(title ?? "").trim();
+    if (!value) return { error: "title is required" };
+    if (value === task.title) delete next.title;
+    else next.title = value;
+  }
+  if (date !== undefined) {
+    if (!isYmd(date)) return { error: "date must be YYYY-MM-DD" };
+    const current = occurrenceOnDate(task, date, birthdate);
+    if (current && current.occurrenceDate !== occurrenceDate) {
+      return { error: "The task already happens on that day" };
+    }
+    if (date === occurrenceDate) delete next.date;
+    else next.date = date;
+  }
+
+  if (Object.keys(next).length) overrides[occurrenceDate] = next;
+  else delete overrides[occurrenceDate];
+  return { patch: { occurrence_overrides: normalizeOccurrenceOverrides(overrides) } };
+}
+
+/**
+ * Field changes that move every occurrence by `days`: the start, end,
+ * exceptions and overrides shift, and SineDay lists rotate with them.
+ */
+export function shiftSeries(task, days) {
+  const shift = (ymd) => addDaysYmd(ymd, days);
+  const patch = { start_date: shift(taskStartDate(task)) };
+  if (task.repeat_until) patch.repeat_until = shift(task.repeat_until);
+  const exceptions = normalizeExceptionDates(task.exception_dates);
+  if (exceptions.length) patch.exception_dates = exceptions.map(shift);
+  const overrides = normalizeOccurrenceOverrides(task.occurrence_overrides);
+  if (Object.keys(overrides).length) {
+    patch.occurrence_overrides = Object.fromEntries(
+      Object.entries(overrides).map(([key, override]) => [
+        shift(key),
+        override.date ? { ...override, date: shift(override.date) } : override,
+      ])
+    );
+  }
+  if (task.repeat_mode === "sineday") {
+    patch.repeat_sinedays = (task.repeat_sinedays || [])
+      .map((d) => ((((Number(d) - 1 + days) % CYCLE_LENGTH) + CYCLE_LENGTH) % CYCLE_LENGTH) + 1)
+      .sort((a, b) => a - b);
+  }
+  // A moved monthly series falls on its new start's day.
+  if (["monthly", "yearly"].includes(task.repeat_mode) && (task.repeat_monthdays || []).length) {
+    patch.repeat_monthdays = [];
+  }
+  if (task.repeat_mode === "weekly_days") {
+    patch.repeat_weekdays = normalizeWeekdays(task.repeat_weekdays, taskStartDate(task))
+      .map((d) => (((d + days) % 7) + 7) % 7)
+      .sort((a, b) => a - b);
+    // Weeks count from the start's week, and a start that is not itself an
+    // occurrence can cross into another week than the occurrences do.
+    const first = firstWeeklyDaysDate(task);
+    if (first) patch.start_date = shift(first);
+  }
+  return patch;
+}
+
+function firstWeeklyDaysDate(task) {
+  const n = Math.max(1, Math.min(MAX_REPEAT_INTERVAL, task.repeat_interval ?? 1));
+  let ymd = taskStartDate(task);
+  for (let i = 0; i < 7 * n; i++, ymd = addDaysYmd(ymd, 1)) {
+    if (ruleMatchesDate(task, ymd, null)) return ymd;
+  }
+  return null;
+}
+
+/**
+ * Splits a series at an occurrence for "this and following" changes.
+ * `head` is the patch that ends the existing task the day before fromDate
+ * (null when fromDate is its first occurrence, so the whole series changes);
+ * `tail` holds the fields of the new task that carries on from fromDate with
+ * `changes` applied. Exceptions and overrides go with the half they fall in;
+ * both halves keep the checklist.
+ * @returns {{ head: object | null, tail: object }}
+ */
+export function splitSeries(task, fromDate, changes = {}) {
+  const startDate = taskStartDate(task);
+  const exceptions = normalizeExceptionDates(task.exception_dates);
+  const overrides = normalizeOccurrenceOverrides(task.occurrence_overrides);
+  const before = (ymd) => compareYmd(ymd, fromDate) < 0;
+  const pick = (keep) => Object.fromEntries(Object.entries(overrides).filter(([key]) => keep(key)));
+
+  const tail = {
+    title: task.title,
+    start_date: fromDate,
+    repeat_mode: task.repeat_mode || "none",
+    repeat_interval: task.repeat_interval ?? 1,
+    repeat_until: task.repeat_until || null,
+    repeat_sinedays: [...(task.repeat_sinedays || [])],
+    repeat_weekdays: [...(task.repeat_weekdays || [])],
+    repeat_monthdays: [...(task.repeat_monthdays || [])],
+    repeat_nth: task.repeat_nth ?? null,
+    repeat_count: task.repeat_count ?? null,
+    exception_dates: exceptions.filter((ymd) => !before(ymd)),
+    occurrence_overrides: pick((key) => !before(key)),
+    checklist: [...(task.checklist || [])],
+    sort_order: task.sort_order ?? 0,
+    ...changes,
+  };
+
+  if (!startDate || compareYmd(fromDate, startDate) <= 0) {
+    return { head: null, tail: { ...tail, start_date: startDate || fromDate } };
+  }
+  // Split on the 28th of a series on the 31st, the new task still falls on the 31st.
+  const anchor = monthlyAnchorDay(task);
+  if (
+    ["monthly", "yearly"].includes(tail.repeat_mode) &&
+    tail.repeat_mode === task.repeat_mode &&
+    !("start_date" in changes) &&
+    !(changes.repeat_monthdays || []).length &&
+    anchor !== dateFromYmd(fromDate).getUTCDate()
+  ) {
+    tail.repeat_monthdays = [anchor];
+  }
+  // The new task would count again from fromDate, so a COUNT becomes its last date.
+  if (tail.repeat_count && !("repeat_count" in changes)) {
+    const lastDate = countEndDate(task);
+    tail.repeat_count = null;
+    if (lastDate && !("repeat_until" in changes)) tail.repeat_until = lastDate;
+  }
+  return {
+    head: {
+      repeat_until: addDaysYmd(fromDate, -1),
+      exception_dates: exceptions.filter(before),
+      occurrence_overrides: pick(before),
+    },
+    tail,
+  };
+}
+
+export function formatRepeatMeta(task) {
+  const mode = task.repeat_mode || "none";
+  if (mode === "none") return "";
+
+  const n = Math.max(1, task.repeat_interval ?? 1);
+
+  switch (mode) {
+    case "daily":
+      return withCount(n === 1 ? "Repeats daily" : `Repeats every ${n} days`, task);
+    case "weekly":
+      return withCount(n === 1 ? "Repeats weekly" : `Repeats every ${n} weeks`, task);
+    case "monthly":
+      return withCount(n === 1 ? "Repeats monthly" : `Repeats every ${n} months`, task);
+    case "yearly":
+      return withCount(n === 1 ? "Repeats yearly" : `Repeats every ${n} years`, task);
+    case "weekdays":
+      return withCount("Repeats weekdays", task);
+    case "weekly_days": {
+      const names = normalizeWeekdays(task.repeat_weekdays, taskStartDate(task))
+        .map((d) => WEEKDAY_NAMES[d].slice(0, 3))
+        .join(", ");
+      return withCount(n === 1 ? `Repeats weekly on ${names}` : `Repeats every ${n} weeks on ${names}`, task);
+    }
+    case "monthly_days": {
+      const days = normalizeMonthdays(task.repeat_monthdays, taskStartDate(task))
+        .map((d) => (d === -1 ? "the last day" : d < 0 ? `${-d} days before the end` : ordinal(d)))
+        .join(", ");
+      return withCount(n === 1 ? `Repeats monthly on ${days}` : `Repeats every ${n} months on ${days}`, task);
+    }
+    case "monthly_nth": {
+      const startDate = taskStartDate(task);
+      const nth = normalizeNth(task.repeat_nth, startDate);
+      const which = nth === -1 ? "last" : nth < 0 ? `${ordinal(-nth)} to last` : ordinal(nth);
+      const names = normalizeWeekdays(task.repeat_weekdays, startDate)
+        .map((d) => WEEKDAY_NAMES[d])
+        .join(" and ");
+      return withCount(
+        n === 1 ? `Repeats monthly on the ${which} ${names}` : `Repeats every ${n} months on the ${which} ${names}`,
+        task
+      );
+    }
+    case "sineday": {
+      const arr = [...(task.repeat_sinedays || [])]
+        .map(Number)
+        .filter((d) => d >= 1 && d <= CYCLE_LENGTH)
+        .sort((a, b) => a - b);
+      if (!arr.length) return "Repeats on SineDuck days";
+      return `Repeats on ${arr.map((d) => `Day ${d}`).join(" · ")}`;
+    }
+    default:
+      return "";
+  }
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+function withCount(text, task) {
+  const count = normalizeRepeatCount(task.repeat_count);
+  if (!count || task.repeat_mode === "sineday") return text;
+  return `${text}, ${count} ${count === 1 ? "time" : "times"}`;
+}
@@ -0,0 +1,448 @@
+/**
+ * RRULE converter — planner repeat fields ⇄ RFC 5545 recurrence rules.
+ *
+ * Shared by the repeat sheets ("paste a rule") and ICS output. Rules map
+ * onto js/task-recurrence.js modes so a pasted rule produces exactly the
+ * occurrences the other calendar showed:
+ * - FREQ=DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, UNTIL and COUNT;
+ * - BYDAY weekday lists → "weekly_days" (MO–FR alone → "weekdays");
+ * - BYMONTHDAY lists → "monthly_days";
+ * - BYDAY with a week number (2TU, -1FR, or BYSETPOS) → "monthly_nth";
+ *   yearly ones (BYMONTH=11;BYDAY=4TH) become every 12 months.
+ *
+ * SineDay rules have no RRULE equivalent; they travel as an
+ * X-SINEDAY-RULE property ("BYSINEDAY=1,9;UNTIL=20261231") next to RDATEs
+ * for calendars that do not know it.
+ */
+
+import {
+  INTERVAL_MODES,
+  MAX_REPEAT_COUNT,
+  MAX_REPEAT_INTERVAL,
+  addDaysYmd,
+  compareYmd,
+  countEndDate,
+  dateFromYmd,
+  monthlyAnchorDay,
+  normalizeExceptionDates,
+  normalizeMonthdays,
+  normalizeNth,
+  normalizeRepeatCount,
+  normalizeWeekdays,
+  ruleMatchesDate,
+  taskStartDate,
+} from "./task-recurrence.js";
+
+export const SINEDAY_RULE_PROPERTY = "X-SINEDAY-RULE";
+
+const BYDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WORKWEEK = [1, 2, 3, 4, 5];
+const SUPPORTED_PARTS = new Set([
+  "FREQ",
+  "INTERVAL",
+  "UNTIL",
+  "COUNT",
+  "BYDAY",
+  "BYMONTHDAY",
+  "BYMONTH",
+  "BYSETPOS",
+  "WKST",
+]);
+
+// First occurrences are searched this far past the start (yearly nth weekdays fit).
+const FIRST_OCCURRENCE_SCAN_DAYS = 366 * 2;
+
+function icsDate(ymd) {
+  return ymd.replace(/-/g, "");
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+/** "RRULE" value for the task, e.g. "FREQ=WEEKLY;BYDAY=MO,WE", or null when it has none. */
+export function taskToRRule(task) {
+  const mode = task?.repeat_mode || "none";
+  const startDate = taskStartDate(task);
+  if (mode === "none" || mode === "sineday" || !startDate) return null;
+
+  const start = dateFromYmd(startDate);
+  const n = Math.max(1, Math.min(MAX_REPEAT_INTERVAL, task.repeat_interval ?? 1));
+  const parts = [];
+  const interval = () => {
+    if (INTERVAL_MODES.includes(mode) && n > 1) parts.push(`INTERVAL=${n}`);
+  };
+
+  switch (mode) {
+    case "daily":
+      parts.push("FREQ=DAILY");
+      interval();
+      break;
+    case "weekly":
+      parts.push("FREQ=WEEKLY");
+      interval();
+      break;
+    case "monthly": {
+      parts.push("FREQ=MONTHLY");
+      interval();
+      // The planner moves a 29th–31st to the month's last day when it is
+      // shorter; RRULE would skip those months instead.
+      const dom = monthlyAnchorDay(task);
+      if (dom > 28) {
+        const days = [];
+        for (let d = 28; d <= dom; d++) days.push(d);
+        parts.push(`BYMONTHDAY=${days.join(",")}`, "BYSETPOS=-1");
+      }
+      break;
+    }
+    case "yearly":
+      parts.push("FREQ=YEARLY");
+      interval();
+      if (start.getUTCMonth() === 1 && monthlyAnchorDay(task) === 29) {
+        parts.push("BYMONTH=2", "BYMONTHDAY=28,29", "BYSETPOS=-1");
+      }
+      break;
+    case "weekdays":
+      parts.push("FREQ=WEEKLY", `BYDAY=${WORKWEEK.map((d) => BYDAY_CODES[d]).join(",")}`);
+      break;
+    case "weekly_days":
+      parts.push("FREQ=WEEKLY");
+      interval();
+      parts.push(`BYDAY=${normalizeWeekdays(task.repeat_weekdays, startDate).map((d) => BYDAY_CODES[d]).join(",")}`);
+      break;
+    case "monthly_days":
+      parts.push("FREQ=MONTHLY");
+      interval();
+      parts.push(`BYMONTHDAY=${normalizeMonthdays(task.repeat_monthdays, startDate).join(",")}`);
+      break;
+    case "monthly_nth": {
+      const nth = normalizeNth(task.repeat_nth, startDate);
+      parts.push("FREQ=MONTHLY");
+      interval();
+      parts.push(`BYDAY=${normalizeWeekdays(task.repeat_weekdays, startDate).map((d) => `${nth}${BYDAY_CODES[d]}`).join(",")}`);
+      break;
+    }
+    default:
+      return null;
+  }
+
+  // UNTIL and COUNT must not both appear; a count that ends first wins.
+  const count = normalizeRepeatCount(task.repeat_count);
+  if (count && countEndDate(task)) parts.push(`COUNT=${count}`);
+  else if (task.repeat_until) parts.push(`UNTIL=${icsDate(task.repeat_until)}`);
+  return parts.join(";");
+}
+
+/** The task's rule as one pasteable line ("RRULE:…" or "X-SINEDAY-RULE:…"), or "". */
+export function taskToRuleText(task) {
+  if (task?.repeat_mode === "sineday") {
+    const days = [...(task.repeat_sinedays || [])].map(Number).filter((d) => d >= 1 && d <= 18);
+    if (!days.length) return "";
+    const parts = [`BYSINEDAY=${days.sort((a, b) => a - b).join(",")}`];
+    if (task.repeat_until) parts.push(`UNTIL=${icsDate(task.repeat_until)}`);
+    return `${SINEDAY_RULE_PROPERTY}:${parts.join(";")}`;
+  }
+  const rrule = taskToRRule(task);
+  return rrule ? `RRULE:${rrule}` : "";
+}
+
+/**
+ * First date on or after `from` (default: the start) that the rule puts an
+ * occurrence on, or null. ICS DTSTART must be one, or clients count it as
+ * an extra occurrence.
+ */
+export function firstOccurrenceDate(task, birthdate = null, from = null) {
+  const startDate = taskStartDate(task);
+  if (!startDate) return null;
+  let ymd = from && compareYmd(from, startDate) > 0 ? from : startDate;
+  for (let i = 0; i < FIRST_OCCURRENCE_SCAN_DAYS; i++, ymd = addDaysYmd(ymd, 1)) {
+    if (task.repeat_until && compareYmd(ymd, task.repeat_until) > 0) return null;
+    if (ruleMatchesDate(task, ymd, birthdate)) return ymd;
+  }
+  return null;
+}
+
+/**
+ * Recurrence properties for a task's VEVENT: RRULE (or X-SINEDAY-RULE plus
+ * RDATEs between `from` and `to`, which needs the owner's birthdate) and
+ * EXDATE for skipped occurrences. Moved or renamed occurrences need no
+ * line here: ICS output writes them as their own RECURRENCE-ID events.
+ * @returns {string[]} unfolded "NAME:VALUE" lines
+ */
+export function taskRecurrenceLines(task, { birthdate = null, from = null, to = null } = {}) {
+  const lines = [];
+  if (task?.repeat_mode === "sineday") {
+    const rule = taskToRuleText(task);
+    if (!rule || !birthdate || !from || !to) return lines;
+    lines.push(rule);
+    const dates = [];
+    for (let ymd = from; compareYmd(ymd, to) <= 0; ymd = addDaysYmd(ymd, 1)) {
+      if (ruleMatchesDate(task, ymd, birthdate)) dates.push(icsDate(ymd));
+    }
+    if (dates.length) lines.push(`RDATE;VALUE=DATE:${dates.join(",")}`);
+  } else {
+    const rrule = taskToRRule(task);
+    if (!rrule) return lines;
+    lines.push(`RRULE:${rrule}`);
+  }
+
+  const exdates = normalizeExceptionDates(task.exception_dates);
+  if (exdates.length) lines.push(`EXDATE;VALUE=DATE:${exdates.map(icsDate).join(",")}`);
+  return lines;
+}
+
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(String(value || ""));
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/** The rule line out of pasted text: a bare rule, one property, or a whole VEVENT. */
+function extractRuleLine(text) {
+  const lines = String(text || "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  for (const line of lines) {
+    const match = /^(RRULE|X-SINEDAY-RULE)[;:](.*)$/i.exec(line);
+    if (match) return { name: match[1].toUpperCase(), value: match[2].replace(/^[^:]*:/, "") };
+  }
+  const bare = lines.find((line) => /(^|;)\s*(FREQ|BYSINEDAY)=/i.test(line));
+  if (!bare) return null;
+  return { name: /BYSINEDAY=/i.test(bare) ? SINEDAY_RULE_PROPERTY : "RRULE", value: bare };
+}
+
+function parseParts(value) {
+  const parts = {};
+  for (const piece of value.split(";").map((p) => p.trim()).filter(Boolean)) {
+    const eq = piece.indexOf("=");
+    if (eq < 1) return { error: `Could not read “${piece}”` };
+    parts[piece.slice(0, eq).trim().toUpperCase()] = piece.slice(eq + 1).trim().toUpperCase();
+  }
+  return { parts };
+}
+
+function parseByDay(value) {
+  const days = [];
+  for (const code of value.split(",").filter(Boolean)) {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(code);
+    if (!match) return { error: `Unknown BYDAY value “${code}”` };
+    days.push({ nth: match[1] ? Number(match[1]) : null, day: BYDAY_CODES.indexOf(match[2]) });
+  }
+  return { days };
+}
+
+function parseIntList(value, min, max, name) {
+  const list = value.split(",").filter(Boolean).map(Number);
+  if (!list.length || list.some((n) => !Number.isInteger(n) || n === 0 || n < min || n > max)) {
+    return { error: `${name} must list numbers from ${min} to ${max}` };
+  }
+  return { list };
+}
+
+const EMPTY_FIELDS = Object.freeze({
+  repeat_mode: "none",
+  repeat_interval: 1,
+  repeat_until: null,
+  repeat_count: null,
+  repeat_sinedays: [],
+  repeat_weekdays: [],
+  repeat_monthdays: [],
+  repeat_nth: null,
+});
+
+function parseSinedayRule(value) {
+  const { parts, error } = parseParts(value);
+  if (error) return { error };
+  for (const key of Object.keys(parts)) {
+    if (key !== "BYSINEDAY" && key !== "UNTIL") return { error: `${SINEDAY_RULE_PROPERTY} does not support ${key}` };
+  }
+  const days = parseIntList(parts.BYSINEDAY || "", 1, 18, "BYSINEDAY");
+  if (days.error) return days;
+  const until = parts.UNTIL ? parseIcsDate(parts.UNTIL) : null;
+  if (parts.UNTIL && !until) return { error: "UNTIL must be a date like 20261231" };
+  return {
+    fields: {
+      ...EMPTY_FIELDS,
+      repeat_mode: "sineday",
+      repeat_until: until,
+      repeat_sinedays: [...new Set(days.list)].sort((a, b) => a - b),
+    },
+  };
+}
+
+/**
+ * Reads a pasted RRULE (or X-SINEDAY-RULE) into planner repeat fields.
+ * DTSTART and EXDATE lines are ignored: the task keeps its own start and
+ * skipped days. `startDate` resolves rules that lean on it (FREQ=MONTHLY on
+ * the 31st, yearly rules naming a month).
+ * @returns {{ fields: object } | { error: string }}
+ */
+export function parseRRule(text, { startDate = null } = {}) {
+  const line = extractRuleLine(text);
+  if (!line) return { error: "Paste a rule like RRULE:FREQ=WEEKLY;BYDAY=MO,WE" };
+  if (line.name === SINEDAY_RULE_PROPERTY) return parseSinedayRule(line.value);
+
+  const { parts, error } = parseParts(line.value);
+  if (error) return { error };
+  for (const key of Object.keys(parts)) {
+    if (!SUPPORTED_PARTS.has(key)) return { error: `${key} rules are not supported` };
+  }
+
+  const freq = parts.FREQ;
+  if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(freq)) {
+    return { error: freq ? `${freq} rules are not supported` : "The rule needs a FREQ" };
+  }
+
+  let interval = 1;
+  if (parts.INTERVAL !== undefined) {
+    interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_REPEAT_INTERVAL) {
+      return { error: `INTERVAL must be 1 to ${MAX_REPEAT_INTERVAL}` };
+    }
+  }
+  if (parts.UNTIL && parts.COUNT) return { error: "A rule cannot have both UNTIL and COUNT" };
+  const until = parts.UNTIL ? parseIcsDate(parts.UNTIL) : null;
+  if (parts.UNTIL && !until) return { error: "UNTIL must be a date like 20261231" };
+  let count = null;
+  if (parts.COUNT !== undefined) {
+    count = Number(parts.COUNT);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_REPEAT_COUNT) {
+      return { error: `COUNT must be 1 to ${MAX_REPEAT_COUNT}` };
+    }
+  }
+
+  let byDay = null;
+  if (parts.BYDAY) {
+    byDay = parseByDay(parts.BYDAY);
+    if (byDay.error) return byDay;
+    byDay = byDay.days;
+  }
+  let byMonthDay = null;
+  if (parts.BYMONTHDAY) {
+    const parsed = parseIntList(parts.BYMONTHDAY, -31, 31, "BYMONTHDAY");
+    if (parsed.error) return parsed;
+    byMonthDay = [...new Set(parsed.list)];
+  }
+  let setPos = null;
+  if (parts.BYSETPOS) {
+    const parsed = parseIntList(parts.BYSETPOS, -5, 5, "BYSETPOS");
+    if (parsed.error) return parsed;
+    if (parsed.list.length > 1) return { error: "Only one BYSETPOS value is supported" };
+    setPos = parsed.list[0];
+  }
+  const byMonth = parts.BYMONTH ? parts.BYMONTH.split(",").map(Number) : null;
+  if (byMonth && (byMonth.length !== 1 || !(byMonth[0] >= 1 && byMonth[0] <= 12))) {
+    return { error: "Only one BYMONTH value is supported" };
+  }
+  if (parts.WKST && parts.WKST !== "MO" && freq === "WEEKLY" && interval > 1 && byDay) {
+    return { error: "Only weeks starting on Monday are supported" };
+  }
+
+  const start = startDate ? dateFromYmd(startDate) : null;
+  const fields = { ...EMPTY_FIELDS, repeat_interval: interval, repeat_until: until, repeat_count: count };
+  const weekdays = byDay ? [...new Set(byDay.map((d) => d.day))].sort((a, b) => a - b) : [];
+  const ordinals = byDay ? [...new Set(byDay.map((d) => d.nth))] : [];
+  const plainDays = byDay && ordinals.length === 1 && ordinals[0] === null;
+  const unsupported = () => ({ error: `This ${freq.toLowerCase()} rule is not supported` });
+
+  // The planner's own exports for a 29th–31st start and for leap days.
+  const clampedDom = () => {
+    if (!byMonthDay || setPos !== -1 || !start) return false;
+    const dom = start.getUTCDate();
+    const expected = [];
+    for (let d = 28; d <= dom; d++) expected.push(d);
+    return dom > 28 && sameList([...byMonthDay].sort((a, b) => a - b), expected);
+  };
+
+  switch (freq) {
+    case "DAILY":
+      if (byMonthDay || byMonth || setPos) return unsupported();
+      if (!byDay) return { fields: { ...fields, repeat_mode: "daily" } };
+      // Every day, but only on some weekdays.
+      if (!plainDays || interval > 1) return unsupported();
+      return weekdayFields(fields, weekdays);
+
+    case "WEEKLY":
+      if (byMonthDay || byMonth || setPos) return unsupported();
+      if (!byDay) return { fields: { ...fields, repeat_mode: "weekly" } };
+      if (!plainDays) return unsupported();
+      if (interval === 1 && sameList(weekdays, WORKWEEK)) {
+        return { fields: { ...fields, repeat_mode: "weekdays" } };
+      }
+      return { fields: { ...fields, repeat_mode: "weekly_days", repeat_weekdays: weekdays } };
+
+    case "MONTHLY":
+      if (byMonth) return unsupported();
+      if (byMonthDay && byDay) return unsupported();
+      if (clampedDom()) return { fields: { ...fields, repeat_mode: "monthly" } };
+      if (byMonthDay) {
+        if (setPos) return unsupported();
+        const days = normalizeMonthdays(byMonthDay);
+        if (start && sameList(days, [start.getUTCDate()]) && days[0] <= 28) {
+          return { fields: { ...fields, repeat_mode: "monthly" } };
+        }
+        return { fields: { ...fields, repeat_mode: "monthly_days", repeat_monthdays: days } };
+      }
+      // Every Tuesday of every month is a weekly rule.
+      if (byDay && plainDays && !setPos && interval === 1) return weekdayFields(fields, weekdays);
+      if (byDay) return nthFields(fields, weekdays, ordinals, setPos, interval) || unsupported();
+      if (setPos) return unsupported();
+      // RRULE skips months without the start's day; "monthly" would not.
+      if (start && start.getUTCDate() > 28) {
+        return { fields: { ...fields, repeat_mode: "monthly_days", repeat_monthdays: [start.getUTCDate()] } };
+      }
+      return { fields: { ...fields, repeat_mode: "monthly" } };
+
+    case "YEARLY": {
+      if (!byDay && !byMonthDay && !byMonth && !setPos) {
+        return { fields: { ...fields, repeat_mode: "yearly" } };
+      }
+      if (!byMonth) return unsupported();
+      if (start && byMonth[0] !== start.getUTCMonth() + 1) {
+        return { error: "BYMONTH must be the month of the task's start date" };
+      }
+      if (interval * 12 > MAX_REPEAT_INTERVAL) return { error: "The yearly interval is too long" };
+      if (byMonthDay && !byDay) {
+        if (clampedDom()) return { fields: { ...fields, repeat_mode: "yearly" } };
+        if (setPos) return unsupported();
+        if (start && sameList(byMonthDay, [start.getUTCDate()])) {
+          return { fields: { ...fields, repeat_mode: "yearly" } };
+        }
+        return {
+          fields: {
+            ...fields,
+            repeat_mode: "monthly_days",
+            repeat_interval: interval * 12,
+            repeat_monthdays: normalizeMonthdays(byMonthDay),
+          },
+        };
+      }
+      if (byDay && !byMonthDay) {
+        // Thanksgiving and friends: the nth weekday of one month every year.
+        const result = nthFields(fields, weekdays, ordinals, setPos, interval * 12);
+        if (result) return result;
+      }
+      return unsupported();
+    }
+
+    default:
+      return unsupported();
+  }
+}
+
+function weekdayFields(fields, weekdays) {
+  if (sameList(weekdays, WORKWEEK)) return { fields: { ...fields, repeat_mode: "weekdays" } };
+  return { fields: { ...fields, repeat_mode: "weekly_days", repeat_weekdays: weekdays } };
+}
+
+/** BYDAY=2TU, or BYDAY=TU;BYSETPOS=2, as monthly_nth (one weekday); null when it is neither. */
+function nthFields(fields, weekdays, ordinals, setPos, interval) {
+  if (ordinals.length !== 1 || weekdays.length !== 1) return null;
+  const nth = ordinals[0] ?? setPos;
+  if (ordinals[0] !== null && setPos) return null;
+  if (!nth || nth < -5 || nth > 5) return null;
+  return {
+    fields: { ...fields, repeat_mode: "monthly_nth", repeat_interval: interval, repeat_weekdays: weekdays, repeat_nth: nth },
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * Energy-aware auto-placement for planner tasks.
+ *
+ * Tasks can carry an energy type (planner_tasks.energy_type). Each type has
+ * SineDays it fits best and days that still suit it, read from the phase
+ * labels: launches on the rising days, deep focus around the peak, rest and
+ * reflection on the descending days and trough. proposeSchedule() spreads
+ * unscheduled tasks (no start_date) over the owner's upcoming days by that
+ * fit, the tasks already on each day and each task's due date. It only
+ * proposes; PlannerUI lets the user accept each date.
+ */
+
+import { calculateSineDayForYmd } from "./sineday-engine.js";
+import { addDaysYmd, compareYmd, isYmd, taskStartDate } from "./task-recurrence.js";
+
+export const ENERGY_TYPES = Object.freeze([
+  Object.freeze({ id: "launch", label: "Launch", best: [1, 2, 3], good: [4, 18] }),
+  Object.freeze({ id: "deep_focus", label: "Deep focus", best: [5, 7, 8], good: [6, 17] }),
+  Object.freeze({ id: "social", label: "Social", best: [4, 6, 9], good: [2, 3] }),
+  Object.freeze({ id: "admin", label: "Admin", best: [16, 17, 18], good: [5, 11, 12] }),
+  Object.freeze({ id: "rest", label: "Rest", best: [10, 11, 12, 13, 14, 15], good: [9, 16] }),
+]);
+
+export const ENERGY_TYPE_IDS = Object.freeze(ENERGY_TYPES.map((type) => type.id));
+
+/** Two SineDay cycles. */
+export const SCHEDULE_HORIZON_DAYS = 36;
+export const SCHEDULE_MAX_PER_DAY = 4;
+
+const FIT_SCORE = { best: 3, good: 1, any: 0 };
+
+export function energyType(id) {
+  return ENERGY_TYPES.find((type) => type.id === id) || null;
+}
+
+/** A task without a start date waits in the planner's Unscheduled list. */
+export function isUnscheduledTask(task) {
+  return !taskStartDate(task);
+}
+
+/** "best", "good" or "any" for a task's energy type on a SineDay. */
+export function energyFit(energyTypeId, sineDay) {
+  const type = energyType(energyTypeId);
+  if (!type || !sineDay) return "any";
+  if (type.best.includes(sineDay)) return "best";
+  if (type.good.includes(sineDay)) return "good";
+  return "any";
+}
+
+/**
+ * Proposes a date for each unscheduled task.
+ *
+ * Tasks with the nearest due date are placed first. A task goes on the day
+ * in the horizon (up to its due date) that best fits its energy type, with
+ * every task already on that day — and every task placed earlier in the
+ * run — counting against it; days at maxPerDay are passed over. Ties go to
+ * the sooner day. An overdue task is proposed for `from`.
+ *
+ * @param {Object} opts
+ * @param {Object[]} opts.tasks - Unscheduled planner_tasks rows
+ * @param {(ymd: string) => number} opts.loadForDate - Tasks already on a day
+ * @param {string|null} opts.birthdate - Owner's birthdate (YYYY-MM-DD)
+ * @param {string} opts.from - First day to propose (YYYY-MM-DD)
+ * @param {number} [opts.days] - Days in the horizon
+ * @param {number} [opts.maxPerDay] - Tasks a day can take
+ * @returns {Array<{ task: Object, date: string|null, sineDay: number|null, fit: string, reason: string }>}
+ *   in placement order; `date` is null when no day before the due date has room
+ */
+export function proposeSchedule({
+  tasks,
+  loadForDate,
+  birthdate,
+  from,
+  days = SCHEDULE_HORIZON_DAYS,
+  maxPerDay = SCHEDULE_MAX_PER_DAY,
+}) {
+  const horizon = [];
+  for (let i = 0; i < days; i++) {
+    const ymd = addDaysYmd(from, i);
+    horizon.push({ ymd, sineDay: calculateSineDayForYmd(birthdate, ymd)?.day ?? null, load: loadForDate(ymd) });
+  }
+
+  const queue = (tasks || []).filter(isUnscheduledTask).sort((a, b) => {
+    const dueA = isYmd(a.due_date) ? a.due_date : null;
+    const dueB = isYmd(b.due_date) ? b.due_date : null;
+    if (dueA !== dueB) {
+      if (!dueA) return 1;
+      if (!dueB) return -1;
+      return compareYmd(dueA, dueB);
+    }
+    return (a.sort_order ?? 0) - (b.sort_order ?? 0);
+  });
+
+  return queue.map((task) => {
+    const due = isYmd(task.due_date) ? task.due_date : null;
+    if (due && compareYmd(due, from) < 0) {
+      const today = horizon[0];
+      if (today) today.load++;
+      return {
+        task,
+        date: from,
+        sineDay: today?.sineDay ?? null,
+        fit: energyFit(task.energy_type, today?.sineDay),
+        reason: "overdue",
+      };
+    }
+
+    let pick = null;
+    let pickScore = -Infinity;
+    for (const day of horizon) {
+      if (due && compareYmd(day.ymd, due) > 0) break;
+      if (day.load >= maxPerDay) continue;
+      const score = FIT_SCORE[energyFit(task.energy_type, day.sineDay)] * 2 - day.load;
+      if (score > pickScore) {
+        pick = day;
+        pickScore = score;
+      }
+    }
+
+    if (!pick) return { task, date: null, sineDay: null, fit: "any", reason: "full" };
+    pick.load++;
+    const fit = energyFit(task.energy_type, pick.sineDay);
+    return {
+      task,
+      date: pick.ymd,
+      sineDay: pick.sineDay,
+      fit,
+      reason: fit === "any" ? (due ? "before_due" : "lightest") : "energy",
+    };
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * Time blocks — where a planner task with a start and end time sits on the
+ * hour-by-hour day timeline (planner_tasks.start_time, end_time).
+ *
+ * Times are whole minutes from midnight inside the task's day; 1440 is the
+ * midnight that ends it. Postgres hands times back as "HH:MM:SS" and takes
+ * "HH:MM". Moves and resizes snap to TIME_STEP_MINUTES and never leave the
+ * day. Pure: PlannerUI draws the blocks and writes the times.
+ */
+
+export const MINUTES_PER_DAY = 1440;
+export const TIME_STEP_MINUTES = 15;
+export const DEFAULT_BLOCK_MINUTES = 60;
+
+const TIME_RE = /^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+
+/** "09:30", "9:30" or "09:30:00" → 570; null for anything else. "24:00" is the end of the day. */
+export function parseTime(value) {
+  const m = TIME_RE.exec(String(value ?? "").trim());
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  if (Number(m[2]) > 59 || minutes > MINUTES_PER_DAY) return null;
+  return minutes;
+}
+
+/** 570 → "09:30" */
+export function formatTime(minutes) {
+  const clamped = Math.max(0, Math.min(MINUTES_PER_DAY, Math.round(minutes)));
+  return `${String(Math.floor(clamped / 60)).padStart(2, "0")}:${String(clamped % 60).padStart(2, "0")}`;
+}
+
+/** The task's block in minutes, or null for a task without (valid) times. */
+export function taskTimeBlock(task) {
+  const start = parseTime(task?.start_time);
+  const end = parseTime(task?.end_time);
+  if (start === null || end === null || start >= end || start >= MINUTES_PER_DAY) return null;
+  return { start, end };
+}
+
+export function isTimedTask(task) {
+  return taskTimeBlock(task) !== null;
+}
+
+export function snapMinutes(minutes, step = TIME_STEP_MINUTES) {
+  return Math.round(minutes / step) * step;
+}
+
+/** The block moved to start at `to`, keeping its length, inside the day. */
+export function moveBlock({ start, end }, to) {
+  const length = end - start;
+  const next = Math.max(0, Math.min(MINUTES_PER_DAY - length, to));
+  return { start: next, end: next + length };
+}
+
+/** The block ending at `end`, at least one step long, inside the day. */
+export function resizeBlock({ start }, end) {
+  return { start, end: Math.max(start + TIME_STEP_MINUTES, Math.min(MINUTES_PER_DAY, end)) };
+}
+
+/** Column fields for planner_tasks. */
+export function blockTimes({ start, end }) {
+  return { start_time: formatTime(start), end_time: formatTime(end) };
+}
+
+/**
+ * Side-by-side columns for overlapping blocks: each block gets a column and
+ * the column count of the cluster of blocks it overlaps with, in input order.
+ * @param {Array<{ start: number, end: number }>} blocks
+ * @returns {Array<{ column: number, columns: number }>}
+ */
+export function layoutBlocks(blocks) {
+  const order = blocks
+    .map((block, index) => ({ ...block, index }))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+  const layout = new Array(blocks.length);
+  let cluster = [];
+  let columnEnds = [];
+  let clusterEnd = -1;
+
+  const closeCluster = () => {
+    for (const index of cluster) layout[index].columns = columnEnds.length;
+    cluster = [];
+    columnEnds = [];
+  };
+
+  for (const block of order) {
+    if (block.start >= clusterEnd) closeCluster();
+    let column = columnEnds.findIndex((end) => end <= block.start);
+    if (column === -1) column = columnEnds.length;
+    columnEnds[column] = block.end;
+    layout[block.index] = { column, columns: 1 };
+    cluster.push(block.index);
+    clusterEnd = Math.max(clusterEnd, block.end);
+  }
+  closeCluster();
+  return layout;
+}
+
+/**
+ * The first start at or after `from` (snapped up to a step) where `length`
+ * minutes fit between the blocks. When nothing fits it falls back to
+ * `from`, pulled in so the block still ends by midnight.
+ */
+export function findFreeSlot(blocks, from, length = DEFAULT_BLOCK_MINUTES) {
+  const first = Math.ceil(from / TIME_STEP_MINUTES) * TIME_STEP_MINUTES;
+  for (let start = first; start + length <= MINUTES_PER_DAY; start += TIME_STEP_MINUTES) {
+    const end = start + length;
+    if (!blocks.some((block) => block.start < end && block.end > start)) return start;
+  }
+  return moveBlock({ start: 0, end: length }, first).start;
+}
+
+/** "9:30 AM" in the locale; the day's closing midnight reads as midnight. */
+export function formatClockTime(minutes, locale = "en-US") {
+  return new Intl.DateTimeFormat(locale, { hour: "numeric", minute: "2-digit", timeZone: "UTC" }).format(
+    new Date(Date.UTC(2000, 0, 1) + minutes * 60000)
+  );
+}
+
+/** "9:30 AM – 10:30 AM", or "9:30 AM to 10:30 AM" for screen readers. */
+export function formatTimeRange({ start, end }, locale = "en-US", separator = " – ") {
+  return `${formatClockTime(start, locale)}${separator}${formatClockTime(end, locale)}`;
+}
@@ -1,4 +1,5 @@
 import { getSupabaseClient } from "./supabase-client.js";
+import { JOURNAL_RECALL_DEFAULT_CYCLES } from "./journal-recall.js";
 
 const LS_PREFIX = "sd:user_settings:";
 
@@ -43,7 +44,8 @@ export function getDefaultUserSettings() {
   return {
     language,
     region,
-    week_start: -1 // auto
+    week_start: -1, // auto
+    journal_recall_cycles: JOURNAL_RECALL_DEFAULT_CYCLES
   };
 }
 
@@ -77,7 +79,7 @@ export async function loadUserSettings(userId) {
     const client = await getSupabaseClient();
     const { data, error } = await client
       .from("user_settings")
-      .select("language, region, week_start")
+      .select("language, region, week_start, journal_recall_cycles")
       .eq("user_id", userId)
       .maybeSingle();
 
@@ -119,7 +121,7 @@ export async function saveUserSettings(userId, patch) {
     const { data, error } = await client
       .from("user_settings")
       .upsert({ user_id: userId, ...next }, { onConflict: "user_id" })
-      .select("language, region, week_start")
+      .select("language, region, week_start, journal_recall_cycles")
       .single();
 
     if (error) {
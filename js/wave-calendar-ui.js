@@ -1,6 +1,6 @@
 /**
  * Wave Calendar UI — Interactive color-tagged monthly calendar
- * with SineDuck per day. Owner-only, premium-gated.
+ * with SineDuck per day, for any of the account's profiles. Premium-gated.
  *
  * Tag interaction:
  *  - Click a day → popover with labeled color buttons → tap to assign
@@ -11,6 +11,8 @@
 
 import { duckUrlFromSinedayNumber } from "./sineducks.js";
 import { calculateSineDayForYmd } from "./sineday-engine.js";
+import { getOutbox } from "./outbox.js";
+import { pickActiveProfile, ProfileSwitcher } from "./profile-switcher.js";
 
 /** Default color palette */
 const DEFAULT_PALETTE = [
@@ -67,7 +69,8 @@ export class WaveCalendarUI {
    * @param {Object} opts
    * @param {string} opts.locale
    * @param {number} opts.weekStart - 0=Sunday, 1=Monday
-   * @param {Object} opts.ownerProfile
+   * @param {Object[]} opts.profiles - The account's profiles; tags belong to one at a time
+   * @param {Object} opts.ownerProfile - Default profile
    * @param {import('@supabase/supabase-js').SupabaseClient} opts.supabaseClient
    * @param {string} opts.userId
    */
@@ -75,9 +78,13 @@ export class WaveCalendarUI {
     this.mountEl = mountEl;
     this.locale = opts.locale || "en-US";
     this.weekStart = opts.weekStart ?? 0;
+    this.profiles = Array.isArray(opts.profiles) ? opts.profiles : [];
     this.ownerProfile = opts.ownerProfile || null;
+    this.profile = pickActiveProfile(this.profiles, this.ownerProfile);
     this.supabaseClient = opts.supabaseClient || null;
     this.userId = opts.userId || null;
+    this.outbox =
+      opts.outbox || (this.supabaseClient ? getOutbox(this.supabaseClient, this.userId) : null);
 
     const now = new Date();
     this.year = now.getFullYear();
@@ -104,6 +111,12 @@ export class WaveCalendarUI {
     // on the same click that opened the picker.
     this._onDocClick = (e) => this._handleDocClick(e);
     document.addEventListener("click", this._onDocClick);
+
+    this.profileSwitcher = new ProfileSwitcher({
+      id: "wcal-profile",
+      label: "Calendar for",
+      onChange: (profileId) => this.setProfile(profileId),
+    });
   }
 
   destroy() {
@@ -113,8 +126,24 @@ export class WaveCalendarUI {
     this.mountEl.innerHTML = "";
   }
 
+  setProfiles(profiles, ownerProfile = this.ownerProfile) {
+    this.profiles = Array.isArray(profiles) ? profiles : [];
+    this.ownerProfile = ownerProfile || null;
+    this._showProfile(pickActiveProfile(this.profiles, this.ownerProfile, this.profile?.id));
+  }
+
   setOwnerProfile(profile) {
-    this.ownerProfile = profile || null;
+    this.setProfiles(this.profiles, profile);
+  }
+
+  setProfile(profileId) {
+    this._showProfile(pickActiveProfile(this.profiles, this.ownerProfile, profileId));
+  }
+
+  _showProfile(profile) {
+    // The tag cache is keyed by date alone.
+    if ((profile?.id || null) !== (this.profile?.id || null)) this.tagsCache.clear();
+    this.profile = profile || null;
     this.render();
   }
 
@@ -146,14 +175,14 @@ export class WaveCalendarUI {
     this.mountEl.innerHTML = "";
     this._cellMap.clear();
 
-    if (!this.ownerProfile) {
+    if (!this.profile) {
       const empty = el("div", "wcal__empty");
-      empty.textContent = "Wave Calendar is available for your owner profile.";
+      empty.textContent = "Add a profile to start your Wave Calendar.";
       this.mountEl.append(empty);
       return;
     }
 
-    const birthYmd = this.ownerProfile.birthdate;
+    const birthYmd = this.profile.birthdate;
     const firstDay = new Date(Date.UTC(this.year, this.month, 1));
     const daysInMonth = new Date(Date.UTC(this.year, this.month + 1, 0)).getUTCDate();
 
@@ -229,12 +258,13 @@ export class WaveCalendarUI {
       grid.append(cell);
     }
 
-    this.mountEl.append(grid);
+    this.profileSwitcher.setProfiles(this.profiles, this.profile.id);
+    this.mountEl.append(this.profileSwitcher.root, grid);
 
     // Load tags from DB
     const startYmd = ymd(firstDay);
     const endYmd = ymd(new Date(Date.UTC(this.year, this.month, daysInMonth)));
-    await this._loadTags(this.ownerProfile.id, startYmd, endYmd);
+    await this._loadTags(this.profile.id, startYmd, endYmd);
     if (gen !== this._renderGen) return;
 
     // Hydrate tag displays
@@ -274,7 +304,7 @@ export class WaveCalendarUI {
         const match = this.palette.find(p => p.color === tag.color);
         if (match) {
           tag.label = match.label;
-          this._saveTag(this.ownerProfile.id, dateYmd, tag.color, tag.label);
+          this._saveTag(this.profile.id, dateYmd, tag.color, tag.label);
         }
       }
       this._applyTagToCell(dateYmd, cell);
@@ -508,13 +538,13 @@ export class WaveCalendarUI {
   _selectTag(dateYmd, cell, color, label) {
     this.tagsCache.set(dateYmd, { color, label });
     this._applyTagToCell(dateYmd, cell);
-    this._saveTag(this.ownerProfile.id, dateYmd, color, label);
+    this._saveTag(this.profile.id, dateYmd, color, label);
   }
 
   _clearTag(dateYmd, cell) {
     this.tagsCache.delete(dateYmd);
     this._applyTagToCell(dateYmd, cell);
-    this._deleteTag(this.ownerProfile.id, dateYmd);
+    this._deleteTag(this.profile.id, dateYmd);
   }
 
   // ── Supabase I/O ──────────────────────────────────────
@@ -534,6 +564,8 @@ export class WaveCalendarUI {
         console.error("[WaveCal] Failed to load tags:", error);
         return;
       }
+      // Switched to another profile while this month was loading.
+      if (profileId !== this.profile?.id) return;
 
       for (const row of data || []) {
         this.tagsCache.set(row.tag_date, { color: row.color, label: row.label });
@@ -541,39 +573,52 @@ export class WaveCalendarUI {
     } catch (err) {
       console.error("[WaveCal] Load tags error:", err);
     }
+
+    // Tags picked offline show until they sync.
+    for (const pending of this.outbox?.pendingForTable("wave_calendar_tags") || []) {
+      const { profile_id: pid, tag_date: ymd } = pending.match || {};
+      if (pid !== profileId || ymd < startYmd || ymd > endYmd) continue;
+      if (pending.op === "delete") this.tagsCache.delete(ymd);
+      else this.tagsCache.set(ymd, { color: pending.values.color, label: pending.values.label });
+    }
   }
 
+  // Tags are last-write-wins, so no updated_at check; the outbox keeps order.
   async _saveTag(profileId, dateYmd, color, label) {
-    if (!this.supabaseClient || !this.userId) return;
+    if (!this.outbox || !this.userId) return;
 
     try {
-      const { error } = await this.supabaseClient
-        .from("wave_calendar_tags")
-        .upsert({
+      await this.outbox.enqueue({
+        key: `wave_calendar_tags:${profileId}:${dateYmd}`,
+        table: "wave_calendar_tags",
+        op: "upsert",
+        values: {
           user_id: this.userId,
           profile_id: profileId,
           tag_date: dateYmd,
           color,
           label,
-        }, { onConflict: "profile_id,tag_date" });
-
-      if (error) console.error("[WaveCal] Failed to save tag:", error);
+        },
+        onConflict: "profile_id,tag_date",
+        match: { profile_id: profileId, tag_date: dateYmd },
+      });
+      await this.outbox.flush();
     } catch (err) {
       console.error("[WaveCal] Save tag error:", err);
     }
   }
 
   async _deleteTag(profileId, dateYmd) {
-    if (!this.supabaseClient || !this.userId) return;
+    if (!this.outbox || !this.userId) return;
 
     try {
-      const { error } = await this.supabaseClient
-        .from("wave_calendar_tags")
-        .delete()
-        .eq("profile_id", profileId)
-        .eq("tag_date", dateYmd);
-
-      if (error) console.error("[WaveCal] Failed to delete tag:", error);
+      await this.outbox.enqueue({
+        key: `wave_calendar_tags:${profileId}:${dateYmd}`,
+        table: "wave_calendar_tags",
+        op: "delete",
+        match: { profile_id: profileId, tag_date: dateYmd },
+      });
+      await this.outbox.flush();
     } catch (err) {
       console.error("[WaveCal] Delete tag error:", err);
     }
@@ -0,0 +1,200 @@
+/**
+ * SineDay Wave Sync
+ * Compares two or more profiles day by day over a civil-date window.
+ *
+ * Every profile runs the same 18-day cycle, so the offset between two
+ * people never changes — only where that offset lands on the wave does.
+ * Shared by the dashboard card and /api/wave-sync (social planner).
+ */
+
+import { calculateSineDayForYmd } from "./sineday-engine.js";
+
+export const WAVE_SYNC_DEFAULT_DAYS = 30;
+export const WAVE_SYNC_MAX_DAYS = 366;
+export const WAVE_SYNC_MAX_PROFILES = 10;
+export const WAVE_SYNC_NEXT_LIMIT = 5;
+
+const CYCLE_LENGTH = 18;
+const MS_PER_DAY = 86400000;
+
+// Two profiles this far apart (of a maximum 9) sit on opposite sides of the wave.
+const OPPOSITE_MIN_DISTANCE = 8;
+
+/**
+ * Phase group for a SineDay number, matching the phase labels in DAY_DATA.
+ */
+export function getPhaseGroup(day) {
+  if (day >= 1 && day <= 5) return "rising";
+  if (day >= 6 && day <= 8) return "peak";
+  if (day === 9) return "crest";
+  if (day >= 10 && day <= 13) return "descending";
+  if (day >= 14 && day <= 16) return "trough";
+  if (day === 17 || day === 18) return "emerging";
+  return null;
+}
+
+/** Rising or at peak: the upswing of the wave (Days 1–8). */
+export function isUpswingDay(day) {
+  const group = getPhaseGroup(day);
+  return group === "rising" || group === "peak";
+}
+
+/** Shortest distance around the cycle between two SineDays (0..9). */
+export function cycleDistance(a, b) {
+  const diff = Math.abs(a - b) % CYCLE_LENGTH;
+  return Math.min(diff, CYCLE_LENGTH - diff);
+}
+
+function pairRelation(a, b) {
+  if (getPhaseGroup(a) === getPhaseGroup(b)) return "same_phase";
+  if (cycleDistance(a, b) >= OPPOSITE_MIN_DISTANCE) return "opposite";
+  return "mixed";
+}
+
+function isYmd(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function addDaysYmd(ymd, days) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d, 12) + days * MS_PER_DAY);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function daysForDate(profiles, ymd) {
+  const days = [];
+  for (const profile of profiles) {
+    const result = calculateSineDayForYmd(profile.birthdate, ymd);
+    if (!result) return null;
+    days.push(result.day);
+  }
+  return days;
+}
+
+function summarizeDate(days) {
+  const pairs = [];
+  for (let i = 0; i < days.length; i++) {
+    for (let j = i + 1; j < days.length; j++) {
+      pairs.push(pairRelation(days[i], days[j]));
+    }
+  }
+
+  let alignment = "mixed";
+  if (pairs.every((relation) => relation === "same_phase")) alignment = "same_phase";
+  else if (pairs.includes("opposite")) alignment = "opposite";
+
+  return { alignment, upswing: days.every(isUpswingDay) };
+}
+
+/**
+ * Pairwise offsets are constant, so they are reported once rather than per date.
+ * score is 100 when two people share a SineDay and 0 when exactly opposite.
+ */
+function buildPairs(profiles, days) {
+  const pairs = [];
+  for (let i = 0; i < profiles.length; i++) {
+    for (let j = i + 1; j < profiles.length; j++) {
+      const offset = (((days[i] - days[j]) % CYCLE_LENGTH) + CYCLE_LENGTH) % CYCLE_LENGTH;
+      const distance = cycleDistance(days[i], days[j]);
+      let relation = "offset";
+      if (distance <= 1) relation = "in_sync";
+      else if (distance >= OPPOSITE_MIN_DISTANCE) relation = "opposite";
+
+      pairs.push({
+        profileIds: [profiles[i].id, profiles[j].id],
+        offset,
+        distance,
+        relation,
+        score: Math.round(100 * (1 - distance / (CYCLE_LENGTH / 2)))
+      });
+    }
+  }
+  return pairs;
+}
+
+function collectRanges(rows, predicate) {
+  const ranges = [];
+  let open = null;
+  for (const row of rows) {
+    if (predicate(row)) {
+      if (!open) {
+        open = { start: row.date, end: row.date };
+        ranges.push(open);
+      } else {
+        open.end = row.date;
+      }
+    } else {
+      open = null;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Compare profiles across `days` consecutive dates starting at startYmd.
+ * Returns null when fewer than two profiles, a bad birthdate, or a bad window.
+ *
+ * nextUpswing keeps looking up to one cycle past the window: the pattern
+ * repeats every 18 days, so an empty list means the group never lines up.
+ *
+ * @param {Array<{id: string, birthdate: string, displayName?: string}>} profiles
+ * @param {string} startYmd - First date (YYYY-MM-DD)
+ * @param {number} days - Window length (1..WAVE_SYNC_MAX_DAYS)
+ * @param {{ nextLimit?: number }} [opts]
+ */
+export function buildWaveSync(profiles, startYmd, days, opts = {}) {
+  if (!Array.isArray(profiles) || profiles.length < 2) return null;
+  if (profiles.length > WAVE_SYNC_MAX_PROFILES) return null;
+  if (!isYmd(startYmd)) return null;
+  if (!Number.isInteger(days) || days < 1 || days > WAVE_SYNC_MAX_DAYS) return null;
+  if (profiles.some((profile) => !isYmd(profile?.birthdate))) return null;
+
+  const nextLimit = opts.nextLimit ?? WAVE_SYNC_NEXT_LIMIT;
+  const rows = [];
+  const nextUpswing = [];
+  const scanDays = days + CYCLE_LENGTH;
+
+  for (let i = 0; i < scanDays; i++) {
+    const date = addDaysYmd(startYmd, i);
+    const sinedays = daysForDate(profiles, date);
+    if (!sinedays) return null;
+
+    const { alignment, upswing } = summarizeDate(sinedays);
+    if (upswing && nextUpswing.length < nextLimit) nextUpswing.push(date);
+    if (i >= days) {
+      if (nextUpswing.length >= nextLimit) break;
+      continue;
+    }
+
+    rows.push({
+      date,
+      alignment,
+      upswing,
+      members: profiles.map((profile, index) => ({
+        profileId: profile.id,
+        day: sinedays[index],
+        group: getPhaseGroup(sinedays[index])
+      }))
+    });
+  }
+
+  const pairs = buildPairs(profiles, rows[0].members.map((member) => member.day));
+  const score = Math.round(pairs.reduce((sum, pair) => sum + pair.score, 0) / pairs.length);
+
+  return {
+    profiles: profiles.map((profile) => ({
+      id: profile.id,
+      displayName: profile.displayName || ""
+    })),
+    start: startYmd,
+    end: rows[rows.length - 1].date,
+    days,
+    score,
+    pairs,
+    samePhase: collectRanges(rows, (row) => row.alignment === "same_phase"),
+    opposite: collectRanges(rows, (row) => row.alignment === "opposite"),
+    nextUpswing,
+    rows
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Minimal ZIP reader/writer for journal archives.
+ *
+ * Writing always uses the "stored" method: journal photos are already
+ * compressed and Markdown is tiny. Reading accepts stored and deflated
+ * entries (what Finder, Windows, Day One and `zip` produce) and inflates
+ * with DecompressionStream, so it runs unchanged in browsers and Node.
+ */
+
+const LOCAL_FILE_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const ENCRYPTED_FLAG = 0x0001;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+let crcTable = null;
+
+function getCrcTable() {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+}
+
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new TextEncoder().encode(String(data ?? ""));
+}
+
+function dosDateTime(date) {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/**
+ * @param {Array<{ name: string, data: Uint8Array|ArrayBuffer|string, date?: Date }>} files
+ * @returns {Uint8Array}
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const records = files.map((file) => {
+    const name = encoder.encode(file.name);
+    const data = toBytes(file.data);
+    return { name, data, crc: crc32(data), stamp: dosDateTime(file.date) };
+  });
+
+  const localSize = records.reduce((sum, r) => sum + 30 + r.name.length + r.data.length, 0);
+  const centralSize = records.reduce((sum, r) => sum + 46 + r.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+
+  const writeHeaderFields = (record, at) => {
+    view.setUint16(at, 20, true); // version needed
+    view.setUint16(at + 2, UTF8_FLAG, true);
+    view.setUint16(at + 4, METHOD_STORED, true);
+    view.setUint16(at + 6, record.stamp.time, true);
+    view.setUint16(at + 8, record.stamp.date, true);
+    view.setUint32(at + 10, record.crc, true);
+    view.setUint32(at + 14, record.data.length, true);
+    view.setUint32(at + 18, record.data.length, true);
+    view.setUint16(at + 22, record.name.length, true);
+    view.setUint16(at + 24, 0, true); // extra length
+  };
+
+  for (const record of records) {
+    record.offset = offset;
+    view.setUint32(offset, LOCAL_FILE_SIGNATURE, true);
+    writeHeaderFields(record, offset + 4);
+    out.set(record.name, offset + 30);
+    out.set(record.data, offset + 30 + record.name.length);
+    offset += 30 + record.name.length + record.data.length;
+  }
+
+  const centralOffset = offset;
+  for (const record of records) {
+    view.setUint32(offset, CENTRAL_DIRECTORY_SIGNATURE, true);
+    view.setUint16(offset + 4, 20, true); // version made by
+    writeHeaderFields(record, offset + 6);
+    // comment length, disk start, internal and external attributes stay 0
+    view.setUint32(offset + 42, record.offset, true);
+    out.set(record.name, offset + 46);
+    offset += 46 + record.name.length;
+  }
+
+  view.setUint32(offset, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  view.setUint16(offset + 8, records.length, true);
+  view.setUint16(offset + 10, records.length, true);
+  view.setUint32(offset + 12, offset - centralOffset, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  return out;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus a comment of at most 65535 bytes.
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= stop; i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) return i;
+  }
+  return -1;
+}
+
+/**
+ * Reads every file entry (directories are skipped).
+ * @param {Uint8Array|ArrayBuffer} input
+ * @param {{ maxTotalBytes?: number }} [options]
+ * @returns {Promise<Array<{ name: string, data: Uint8Array }>>}
+ */
+export async function readZip(input, { maxTotalBytes = Infinity } = {}) {
+  const bytes = toBytes(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEndOfCentralDirectory(view);
+  if (eocd === -1) throw new Error("Not a ZIP archive");
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const files = [];
+  let total = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    if (flags & ENCRYPTED_FLAG) throw new Error(`Encrypted ZIP entries are not supported (${name})`);
+    if (compressedSize === 0xffffffff || size === 0xffffffff) {
+      throw new Error("ZIP64 archives are not supported");
+    }
+    total += size;
+    if (total > maxTotalBytes) throw new Error("ZIP archive is too large");
+
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_SIGNATURE) {
+      throw new Error(`Corrupt ZIP entry (${name})`);
+    }
+    const dataStart =
+      localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHOD_STORED) data = raw.slice();
+    else if (method === METHOD_DEFLATE) data = await inflateRaw(raw);
+    else throw new Error(`Unsupported ZIP compression (${name})`);
+
+    if (data.length !== size) throw new Error(`Corrupt ZIP entry (${name})`);
+    files.push({ name, data });
+  }
+
+  return files;
+}
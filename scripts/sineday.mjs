@@ -0,0 +1,282 @@
+/**
+ * Offline SineDay command-line tool. No network, no Supabase credentials.
+ *
+ * Run from repo root:
+ *   node scripts/sineday.mjs today    --birthdate 1990-05-01 --tz America/Chicago
+ *   node scripts/sineday.mjs forecast --birthdate 1990-05-01 --days 14 --format csv
+ *   node scripts/sineday.mjs origin   --birthdate 1990-05-01 --format json
+ *   node scripts/sineday.mjs next     --birthdate 1990-05-01 --day 1 --count 3 --format ics
+ *
+ * "Today" is the civil date in --tz (default: this machine's timezone), so the
+ * wave flips at local midnight exactly like the dashboard.
+ */
+import { pathToFileURL } from "node:url";
+import { calculateSineDayForYmd } from "../js/sineday-engine.js";
+import { getOriginTypeForDob, ORIGIN_ANCHOR_DATE } from "../shared/origin-wave.js";
+import { parseStrictYmd, todayYmdInTimeZone } from "../api/_lib/email-rhythm.js";
+import { addDaysYmd, getCycleMarkers } from "../api/_lib/sineday-forecast.js";
+import { buildIcsCalendar, buildIcsEvent } from "../api/_lib/ics.js";
+
+export const CLI_FORMATS = Object.freeze(["text", "json", "csv", "ics"]);
+export const CLI_MAX_DAYS = 366;
+const CLI_MAX_COUNT = 100;
+
+export const CLI_USAGE = `Usage: node scripts/sineday.mjs <command> --birthdate YYYY-MM-DD [options]
+
+Commands:
+  today      SineDay for today in --tz
+  forecast   One row per date for --days dates from --start (default: today)
+  origin     Origin type (1-18) for the birthdate
+  next       Next --count dates that land on SineDay --day
+
+Options:
+  --tz <IANA zone>      Timezone for "today" (default: system timezone)
+  --start <YYYY-MM-DD>  First date for forecast / next (default: today in --tz)
+  --days <N>            Forecast length, 1-${CLI_MAX_DAYS} (default: 7)
+  --day <1-18>          Target SineDay for next
+  --count <N>           How many dates for next, 1-${CLI_MAX_COUNT} (default: 1)
+  --lang <code>         Phase text language (default: en)
+  --format <fmt>        ${CLI_FORMATS.join(" | ")} (default: text)
+  --help                Show this message
+`;
+
+class UsageError extends Error {}
+
+/**
+ * Accepts both "--key value" and "--key=value"; bare "--flag" is true.
+ */
+export function parseCliArgs(argv) {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split("=", 2);
+    if (inline !== undefined) {
+      options[key] = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      options[key] = argv[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+  return { command: positionals[0] || null, positionals, options };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readYmd(options, key, { required = false } = {}) {
+  const value = options[key];
+  if (value === undefined) {
+    if (required) throw new UsageError(`--${key} is required`);
+    return null;
+  }
+  if (!parseStrictYmd(String(value))) throw new UsageError(`--${key} must be YYYY-MM-DD`);
+  return String(value);
+}
+
+function readInt(options, key, { min, max, fallback }) {
+  const value = options[key];
+  if (value === undefined) return fallback;
+  if (!/^\d+$/.test(String(value))) throw new UsageError(`--${key} must be a whole number`);
+  const n = Number(value);
+  if (n < min || n > max) throw new UsageError(`--${key} must be between ${min} and ${max}`);
+  return n;
+}
+
+function resolveContext(options, now) {
+  const birthdate = readYmd(options, "birthdate", { required: true });
+  const timeZone = options.tz ? String(options.tz) : Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!isValidTimeZone(timeZone)) throw new UsageError(`Unknown timezone: ${timeZone}`);
+
+  const format = options.format ? String(options.format) : "text";
+  if (!CLI_FORMATS.includes(format)) {
+    throw new UsageError(`--format must be one of: ${CLI_FORMATS.join(", ")}`);
+  }
+
+  return {
+    birthdate,
+    timeZone,
+    format,
+    language: options.lang ? String(options.lang) : "en",
+    today: todayYmdInTimeZone(timeZone, now),
+    now
+  };
+}
+
+function rowForDate(ctx, date) {
+  const result = calculateSineDayForYmd(ctx.birthdate, date, ctx.language);
+  const { boundary } = getCycleMarkers(result.day);
+  return {
+    date,
+    day: result.day,
+    phase: result.phase,
+    description: result.description,
+    boundary
+  };
+}
+
+// ── Formatters ─────────────────────────────────────────────
+
+const ROW_COLUMNS = ["date", "day", "phase", "description", "boundary"];
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, records) {
+  const lines = [columns.join(",")];
+  for (const record of records) {
+    lines.push(columns.map((column) => csvCell(record[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+function toTextTable(rows) {
+  const header = ["Date", "Day", "Phase", "Description"];
+  const body = rows.map((row) => [row.date, String(row.day), row.phase, row.description]);
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...body.map((cells) => cells[i].length))
+  );
+  const line = (cells) =>
+    cells.map((cell, i) => (i === cells.length - 1 ? cell : cell.padEnd(widths[i]))).join("  ");
+  return [line(header), ...body.map(line)].join("\n") + "\n";
+}
+
+function toIcs(ctx, rows, name) {
+  const originDay = getOriginTypeForDob(ctx.birthdate, ORIGIN_ANCHOR_DATE);
+  const events = rows.map((row) =>
+    buildIcsEvent({
+      uid: `${row.date}-origin${originDay}@cli.sineday.app`,
+      date: row.date,
+      endDate: addDaysYmd(row.date, 1),
+      summary: `SineDay ${row.day} · ${row.phase}`,
+      description: row.description,
+      categories: ["SineDay", row.boundary ? row.boundary.replace(/_/g, " ") : null].filter(Boolean),
+      dtstamp: ctx.now
+    })
+  );
+  return buildIcsCalendar({ name, description: "Your personal 18-day SineDay wave", events });
+}
+
+function formatRows(ctx, rows, { payload, name }) {
+  switch (ctx.format) {
+    case "json":
+      return JSON.stringify(payload, null, 2) + "\n";
+    case "csv":
+      return toCsv(ROW_COLUMNS, rows);
+    case "ics":
+      return toIcs(ctx, rows, name);
+    default:
+      return toTextTable(rows);
+  }
+}
+
+// ── Commands ──────────────────────────────────────────────
+
+function commandToday(ctx) {
+  const row = rowForDate(ctx, ctx.today);
+  if (ctx.format !== "text") {
+    return formatRows(ctx, [row], { payload: { timeZone: ctx.timeZone, ...row }, name: "SineDay · Today" });
+  }
+  return `${row.date} (${ctx.timeZone}): SineDay ${row.day} · ${row.phase}\n${row.description}\n`;
+}
+
+function commandForecast(ctx, options) {
+  const start = readYmd(options, "start") || ctx.today;
+  const days = readInt(options, "days", { min: 1, max: CLI_MAX_DAYS, fallback: 7 });
+  const rows = Array.from({ length: days }, (_, i) => rowForDate(ctx, addDaysYmd(start, i)));
+  return formatRows(ctx, rows, {
+    payload: { timeZone: ctx.timeZone, start, days, forecast: rows },
+    name: "SineDay Forecast"
+  });
+}
+
+function commandOrigin(ctx) {
+  const originDay = getOriginTypeForDob(ctx.birthdate, ORIGIN_ANCHOR_DATE);
+  const record = { birthdate: ctx.birthdate, originDay, anchor: ORIGIN_ANCHOR_DATE };
+  switch (ctx.format) {
+    case "json":
+      return JSON.stringify(record, null, 2) + "\n";
+    case "csv":
+      return toCsv(["birthdate", "originDay", "anchor"], [record]);
+    case "ics":
+      throw new UsageError("origin has no dates to export; use text, json or csv");
+    default:
+      return `Origin Day ${originDay}\n`;
+  }
+}
+
+function commandNext(ctx, options) {
+  const target = readInt(options, "day", { min: 1, max: 18, fallback: null });
+  if (target == null) throw new UsageError("--day is required");
+  const count = readInt(options, "count", { min: 1, max: CLI_MAX_COUNT, fallback: 1 });
+  const from = readYmd(options, "start") || ctx.today;
+
+  // Every date within the next 18 hits each SineDay once; step by whole cycles after that.
+  const { day: fromDay } = rowForDate(ctx, from);
+  const first = addDaysYmd(from, (target - fromDay + 18) % 18);
+  const rows = Array.from({ length: count }, (_, i) => rowForDate(ctx, addDaysYmd(first, i * 18)));
+
+  if (ctx.format === "text") {
+    return rows.map((row) => `${row.date}: SineDay ${row.day} · ${row.phase}`).join("\n") + "\n";
+  }
+  return formatRows(ctx, rows, {
+    payload: { timeZone: ctx.timeZone, from, day: target, dates: rows },
+    name: `SineDay ${target}`
+  });
+}
+
+const COMMANDS = {
+  today: commandToday,
+  forecast: commandForecast,
+  origin: commandOrigin,
+  next: commandNext
+};
+
+/**
+ * Runs one CLI invocation without touching process state.
+ * @returns {{ code: number, stdout: string, stderr: string }}
+ */
+export function runCli(argv, { now = new Date() } = {}) {
+  const { command, options } = parseCliArgs(argv);
+  if (options.help || command === "help") {
+    return { code: 0, stdout: CLI_USAGE, stderr: "" };
+  }
+  if (!command) {
+    return { code: 1, stdout: "", stderr: CLI_USAGE };
+  }
+
+  const run = COMMANDS[command];
+  if (!run) {
+    return { code: 1, stdout: "", stderr: `Unknown command: ${command}\n\n${CLI_USAGE}` };
+  }
+
+  try {
+    const ctx = resolveContext(options, now);
+    return { code: 0, stdout: run(ctx, options), stderr: "" };
+  } catch (err) {
+    if (err instanceof UsageError) {
+      return { code: 1, stdout: "", stderr: `${err.message}\n` };
+    }
+    throw err;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { code, stdout, stderr } = runCli(process.argv.slice(2));
+  if (stdout) process.stdout.write(stdout);
+  if (stderr) process.stderr.write(stderr);
+  process.exitCode = code;
+}
@@ -3,7 +3,7 @@
  * Provides offline functionality and caching
  */
 
-const CACHE_NAME = 'sineday-v19';
+const CACHE_NAME = 'sineday-v20';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
@@ -12,6 +12,17 @@ const ASSETS_TO_CACHE = [
   '/assets/brand/sineday-wordmark.svg',
   '/assets/brand/sineday-wordmark-light.png',
   '/js/sineday-engine.js',
+  '/shared/i18n.js',
+  '/shared/content.js',
+  '/shared/content-packs/en.js',
+  '/shared/content-packs/es.js',
+  '/shared/content-packs/fr.js',
+  '/shared/content-packs/de.js',
+  '/shared/content-packs/pt.js',
+  '/shared/content-packs/it.js',
+  '/shared/content-packs/ja.js',
+  '/shared/content-packs/zh.js',
+  '/shared/content-packs/ar.js',
   '/js/wave-canvas.js',
   '/js/ui.js',
   '/js/sineduck-intro-animation.js',
@@ -212,3 +223,23 @@ self.addEventListener('message', (event) => {
     );
   }
 });
+
+/**
+ * Background Sync - replay the offline write outbox (js/outbox.js)
+ * The queue lives in the page's IndexedDB and needs the page's Supabase
+ * session, so an open window does the replay. With no window open the sync
+ * fails and the browser retries later; the next page load replays anyway.
+ */
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'sineday-outbox') return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((clients) => {
+        if (!clients.length) {
+          throw new Error('No open window to replay the outbox');
+        }
+        clients.forEach((client) => client.postMessage({ type: 'OUTBOX_SYNC' }));
+      })
+  );
+});
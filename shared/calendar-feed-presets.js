@@ -0,0 +1,13 @@
+/**
+ * SineDay calendar feed day filters.
+ * Shared by the account sheet (client) and the feed API (server).
+ * An empty list means every SineDay is published.
+ */
+export const CALENDAR_FEED_DAY_PRESETS = Object.freeze({
+  all: Object.freeze([]),
+  cycle_start: Object.freeze([1]),
+  cycle_start_and_trough: Object.freeze([1, 14, 15, 16]),
+  turning_points: Object.freeze([1, 9, 14, 15, 16])
+});
+
+export const CALENDAR_FEED_WINDOWS = Object.freeze([30, 90, 180, 366]);
@@ -0,0 +1,286 @@
+/**
+ * Arabic SineDay content pack. Missing keys fall back to English.
+ */
+export default {
+  language: "ar",
+  days: {
+    1: {
+      phase: "صعود • انطلاق",
+      title: "انطلاق",
+      description: "بدايات جديدة تدعوك إلى الأمام",
+      paragraph:
+        "هذه بداية الموجة — حافة واضحة وفصل جديد. للاختيارات الصغيرة اليوم أثر كبير لأنها تحدد الاتجاه. اختر بداية واحدة ذات معنى وامنحها خطوة أولى حقيقية.",
+      bullets: [
+        "اختر «بذرة» واحدة لتبدأ بها (لا خمس بذور)",
+        "ضع نية بسيطة يمكنك العمل بها اليوم",
+        "أزل عائقًا أو مشتتًا واحدًا من طريقك",
+        "اخطُ أصغر خطوة حقيقية لها قيمة"
+      ]
+    },
+    2: {
+      phase: "ارتفاع • زخم",
+      title: "زخم",
+      description: "تتزايد الطاقة كلما تقدمت",
+      paragraph:
+        "الموجة في صعود والمواظبة هي ميزتك. ما تكرره اليوم يكتسب سرعة وثباتًا. اجعل الأمور بسيطة، وواصل الحركة، ودع التقدم يتراكم.",
+      bullets: [
+        "كرر نجاح الأمس وابنِ عليه",
+        "اعمل على دفعات قصيرة بدل السعي إلى الكمال",
+        "حرّك جسدك لتحرّك طاقتك",
+        "قلّل الاحتكاك: بسّط الأدوات والخطوات والقرارات"
+      ]
+    },
+    3: {
+      phase: "ارتفاع • إبداع",
+      title: "إبداع",
+      description: "يتدفق الخيال وتشتعل الأفكار",
+      paragraph:
+        "تيار الإبداع قوي — تظهر زوايا جديدة وتنفتح احتمالات. إنه يوم للاستكشاف والتجريب بروح مرحة. دوّن الأفكار بسرعة، ثم حوّل واحدة منها إلى شيء ملموس.",
+      bullets: [
+        "اطرح الأفكار بحرية قبل أن تنقّحها",
+        "جرّب أسلوبًا أو شكلًا أو مكانًا جديدًا",
+        "دوّن الأفكار فورًا (الملاحظات أقوى من الذاكرة)",
+        "حوّل فكرة واحدة إلى نموذج أولي سريع"
+      ]
+    },
+    4: {
+      phase: "ارتفاع • تواصل",
+      title: "تواصل",
+      description: "طاقة اجتماعية تجذبك نحو الآخرين",
+      paragraph:
+        "التواصل أسهل الآن — قد تفتح المحادثات بابًا للوضوح والفرص. شارك ما تبنيه ودع العلاقات تصقله. التبادل المناسب اليوم قد يوفر عليك أسابيع لاحقًا.",
+      bullets: [
+        "بادر بالتواصل: رسالة أو مكالمة ذات معنى",
+        "تعاون، اطلب رأيًا، أو قدّم المساعدة",
+        "لخّص اتجاهك الحالي في جملة واحدة",
+        "عزّز الثقة: أوفِ بوعد صغير"
+      ]
+    },
+    5: {
+      phase: "ارتفاع • إنتاجية",
+      title: "إنتاجية",
+      description: "يشتد التركيز وتكتمل المهام",
+      paragraph:
+        "هذا يوم قوي للتنفيذ — الموجة تدعم العمل والإنجاز. ستشعر بأفضل حال حين تسلّم شيئًا حقيقيًا. اختر العمل ذا الأولوية، واحمِ وقتك، وأغلق الأمور المعلقة.",
+      bullets: [
+        "اختر أهم نتيجة إلى ثلاث نتائج وتجاهل الباقي",
+        "اجمع المهام المتشابهة وقلّل التنقل بينها",
+        "أنهِ وسلّم (الإكمال قبل التوسع)",
+        "رتّب الأطراف السائبة: الردود والملفات والخطوات التالية"
+      ]
+    },
+    6: {
+      phase: "قمة • توازن",
+      title: "توازن",
+      description: "يظهر الانسجام في كل ما تفعله",
+      paragraph:
+        "من القمة ترى النظام كله — ما هو منسجم وما يبعدك عن مركزك. إنه يوم للتثبيت والتحسين وإجراء تعديلات تمنحك السهولة. التوازن ليس أن تفعل أقل، بل أن تختار ما يناسب.",
+      bullets: [
+        "أعد توزيع جهدك: العمل، الصحة، العلاقات، الراحة",
+        "عدّل أولوياتك لتوافق ما يهم الآن",
+        "أنشئ إيقاعًا يمكنك الاستمرار عليه",
+        "اختر حدودًا واضحة بدل الالتزام المفرط"
+      ]
+    },
+    7: {
+      phase: "قمة • بصيرة",
+      title: "بصيرة",
+      description: "يأتي الوضوح ويقود الحدس",
+      paragraph:
+        "البصيرة تخترق الضجيج اليوم. تصبح الأنماط واضحة، ويسهل تسمية «المشكلة الحقيقية». أنصت جيدًا، واكتبها، ودع الحقيقة تبسّط خطوتك التالية.",
+      bullets: [
+        "اكتب لمدة 5 دقائق: «ما الذي يحدث فعلًا؟»",
+        "ابحث عن النمط الكامن تحت المشكلة",
+        "قرّر أمرًا واحدًا لن تتسامح معه بعد الآن",
+        "اختر أبسط خطوة تالية تحترم هذا الوضوح"
+      ]
+    },
+    8: {
+      phase: "قمة • تحدٍّ",
+      title: "تحدٍّ",
+      description: "تُختبر القوة ويترسخ العزم",
+      paragraph:
+        "هذه حافة القمة — اليوم الذي يبني الصلابة. المقاومة تكشف أين تنمو. واجه الأمر الصعب مباشرة، وستخرج أقوى وأوضح.",
+      bullets: [
+        "ابدأ بالمهمة التي تتجنبها أكثر من غيرها",
+        "تمسّك بحدّ كنت تتنازل عنه",
+        "اعتبر الاحتكاك معلومة مفيدة لا فشلًا",
+        "اختر الشجاعة في فعل واحد محدد"
+      ]
+    },
+    9: {
+      phase: "ذروة • تحوّل",
+      title: "تحوّل",
+      description: "تنعطف الموجة ويبدأ التأمل",
+      paragraph:
+        "الذروة نقطة تحوّل — تنتقل الطاقة من الاندفاع إلى الخارج إلى التهذيب في الداخل. إنه يوم مثالي للمراجعة وإعادة التصويب وتغيير المسار بنية واعية. دع الموجة تنعطف دون أن تجبرها.",
+      bullets: [
+        "راجع المكاسب والدروس وما تغيّر",
+        "قرّر ما يستمر وما ينتهي",
+        "أجرِ تعديلًا واحدًا واضحًا على اتجاهك",
+        "تمهّل بما يكفي لتشعر بما هو حقيقي"
+      ]
+    },
+    10: {
+      phase: "هبوط • تأمل",
+      title: "تأمل",
+      description: "النظر إلى الداخل يكشف النمو",
+      paragraph:
+        "يتعمق التأمل ويتسع المنظور. يمكنك الآن أن تتعلم من الدورة الماضية أكثر مما استطعت وأنت تمر بها مسرعًا. لاحظ ما نجح وما لم ينجح، ولماذا.",
+      bullets: [
+        "اسأل نفسك: «ماذا علّمتني هذه الدورة؟»",
+        "سمِّ نمطًا تعززه وآخر تتخلى عنه",
+        "اشكر على تقدم فاتك أن تلاحظه",
+        "وضّح كيف يبدو «الأفضل» في المرة القادمة"
+      ]
+    },
+    11: {
+      phase: "هبوط • استيعاب",
+      title: "استيعاب",
+      description: "الراحة تتيح للحكمة أن تستقر",
+      paragraph:
+        "الاستيعاب هو المرحلة التي يصبح فيها النمو حقيقيًا. حين تتوقف، يعالج العقل والجسد ما عشته. امنح نفسك مساحة — هنا يترسخ النظام ويقوى.",
+      bullets: [
+        "أعطِ الأولوية للنوم والتعافي والبساطة",
+        "لخّص ما تعلمته في فكرة واحدة",
+        "قلّل المدخلات: ضجيج أقل ومطالب أقل",
+        "دع خطوتك التالية تظهر بدل أن تفرضها"
+      ]
+    },
+    12: {
+      phase: "هبوط • إعادة ضبط",
+      title: "إعادة ضبط",
+      description: "عدّل مسارك بعناية",
+      paragraph:
+        "هذا اليوم يدعم الضبط الدقيق. التعديلات الصغيرة الآن تمنع تصحيحات أكبر لاحقًا. كن لطيفًا ودقيقًا — عدّل الخطة لتتوافق مع الواقع ومع طاقتك.",
+      bullets: [
+        "عدّل أهدافك لتناسب المرحلة التي تمر بها",
+        "قلّص النطاق دون أن تقلّص الالتزام",
+        "عالج عادة واحدة من جذورها (لا من أعراضها)",
+        "أعد مواءمة جدولك وأدواتك وتوقعاتك"
+      ]
+    },
+    13: {
+      phase: "هبوط • تخلٍّ",
+      title: "تخلٍّ",
+      description: "تخلَّ عمّا لم يعد يخدمك",
+      paragraph:
+        "التخلي يفسح المجال للصعود القادم. ما تحمله من أشياء قديمة يصبح أثقل الآن. التخلي ليس خسارة — بل إفساح مكان لما يناسبك.",
+      bullets: [
+        "رتّب مساحة واحدة: ذهنك، مكتبك، بريدك، تقويمك",
+        "أغلق أمرًا معلقًا تحمله منذ مدة",
+        "قل «لا» لشيء لا يتوافق معك",
+        "سامح، وبسّط، وخفّف حملك"
+      ]
+    },
+    14: {
+      phase: "قاع • عمل داخلي",
+      title: "عمل داخلي",
+      description: "تعمّق في اكتشاف ذاتك",
+      paragraph:
+        "القاع قوة هادئة — تطفو الحقائق الأعمق حين يهدأ الخارج. إنه يوم للصدق والبصيرة والانسجام الداخلي. العمل هنا يغيّر كل ما يليه.",
+      bullets: [
+        "اختر العزلة أو إيقاعًا أبطأ",
+        "اسأل نفسك: «ما الذي أتجنب الشعور به أو الاعتراف به؟»",
+        "مارس نشاطًا يثبّتك (مشي، تنفس، دعاء، كتابة)",
+        "أعد الاتصال بقيمك الأساسية واتجاهك"
+      ]
+    },
+    15: {
+      phase: "قاع • تعافٍ",
+      title: "تعافٍ",
+      description: "الرعاية اللطيفة تعيد الحيوية",
+      paragraph:
+        "التعافي ترميم فعّال. يستجيب كيانك اليوم أفضل ما يكون للّين — الغذاء والأمان والرعاية الصبورة. تعامل مع التعافي على أنه تقدّم، لأنه كذلك فعلًا.",
+      bullets: [
+        "امنح جسدك ما كان يطلبه",
+        "اختر حركة لطيفة بدل الشدة",
+        "تقبّل الدعم: اطلب، أو شارك، أو استرح",
+        "أصلح علاقة واحدة — مع نفسك أو مع غيرك"
+      ]
+    },
+    16: {
+      phase: "قاع • استعداد",
+      title: "استعداد",
+      description: "اجمع قوتك للصعود القادم",
+      paragraph:
+        "الصعود التالي يتشكل — الاستعداد يحوّل النية إلى جاهزية. البنية الهادئة الآن تصنع الزخم لاحقًا. هيّئ المسرح ليبدو اليوم الأول نقيًا وقويًا.",
+      bullets: [
+        "نظّم أدواتك ومساحتك وأولوياتك",
+        "اصنع هوامش: وقت، طعام، نوم، موارد",
+        "خطّط للخطوات الأولى من الدورة القادمة",
+        "أزل عائقًا قبل أن يتحول إلى مشكلة"
+      ]
+    },
+    17: {
+      phase: "انبثاق • أساس",
+      title: "أساس",
+      description: "ضع الأساس لعمل جديد",
+      paragraph:
+        "تبدأ الموجة في الارتفاع من جديد. هذه طاقة الأساس — عملية وثابتة ومتجهة إلى الأمام. ابنِ البنية التي ستحمل الدورة القادمة: عادات وأنظمة والتزامات تصمد.",
+      bullets: [
+        "أنشئ إيقاعًا يوميًا أو جدّده",
+        "ارسم خطوط المشروع القادم في خطوات بسيطة",
+        "أنجز «أعمال التحضير» التي تتخطاها عادة",
+        "التزم بالاستمرارية بدل الشدة"
+      ]
+    },
+    18: {
+      phase: "انبثاق • اكتمال",
+      title: "اكتمال",
+      description: "تكتمل الدورة ويترقب التجدد",
+      paragraph:
+        "الاكتمال ختام له معنى. أنت تغلق الدائرة — اجمع ما تعلمته، وأنهِ ما يهم، وضع علامة النهاية بنية واعية. ثم دع التجدد يكون حقيقيًا لا متعجلًا.",
+      bullets: [
+        "أنهِ أمرًا أساسيًا واحدًا واعتبره مكتملًا",
+        "احتفل بالتقدم (حتى لو لم يكن كاملًا)",
+        "دوّن الدرس: «في الدورة القادمة سوف…»",
+        "ابدأ من جديد: أفسح المجال ليبدو اليوم الأول جديدًا"
+      ]
+    }
+  },
+  strings: {
+    "nav.origin": "الأصل",
+    "nav.journal": "اليوميات",
+    "nav.history": "السجل",
+    "nav.print": "طباعة",
+    "today.eyebrow": "موجة اليوم",
+    "today.dayPill": "اليوم {day}",
+    "today.duckAlt": "بطة SineDuck لليوم، اليوم {day}",
+    "today.write": "اكتب اليوم",
+    "today.explore": "استكشف هذه الموجة",
+    "today.closeExplore": "إغلاق التأمل",
+    "today.emptyTitle": "موجة اليوم بانتظارك",
+    "today.emptyBody": "أضف ملفك الشخصي الأول لتبدأ.",
+    "today.errorTitle": "موجة اليوم ما زالت تتشكل",
+    "today.errorBody": "تعذّر حسابها حتى الآن. حاول مرة أخرى بعد قليل.",
+    "details.eyebrow": "أعمق قليلًا",
+    "details.heading": "استكشف موجة اليوم",
+    "details.imageAlt": "رسم موجة SineDay {day}",
+    "origin.eyebrow": "إيقاعك الشخصي",
+    "origin.title": "أصلك",
+    "origin.addPerson": "إضافة شخص",
+    "origin.manage": "إدارة",
+    "settings.languageRegion": "اللغة والمنطقة",
+    "settings.language": "اللغة",
+    "settings.region": "المنطقة",
+    "settings.weekStarts": "بداية الأسبوع",
+    "settings.weekAuto": "تلقائي",
+    "settings.sunday": "الأحد",
+    "settings.monday": "الاثنين",
+    "settings.journalRecall": "استرجاع اليوميات (دورات)",
+    "settings.off": "إيقاف",
+    "calendarFeed.title": "اشتراك التقويم",
+    "calendarFeed.profile": "الملف الشخصي",
+    "calendarFeed.lookAhead": "المدة القادمة",
+    "calendarFeed.show": "إظهار",
+    "calendarFeed.tasks": "مهام المخطط",
+    "journalEncryption.title": "تشفير اليوميات",
+    "email.subject": "يوم SineDay الخاص بك — اليوم {day}: {title}",
+    "pdf.day.moodPrompt": "كيف شعرت بموجة اليوم؟ ضع دائرة حول بطة.",
+    "pdf.day.moodHint": "اختر البطة التي تناسب اللحظة.",
+    "pdf.day.journalFor": "صفحة يوميات {name}",
+    "pdf.day.journalDefault": "صفحة يوميات SineDay",
+    "pdf.day.thoughts": "أفكار اليوم"
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * German SineDay content pack. Missing keys fall back to English.
+ */
+export default {
+  language: "de",
+  days: {
+    1: {
+      phase: "AUFSTIEG • AUFBRUCH",
+      title: "Aufbruch",
+      description: "Neue Anfänge rufen dich nach vorn",
+      paragraph:
+        "Hier beginnt die Welle – eine klare Kante, ein neues Kapitel. Kleine Entscheidungen haben heute übergroße Wirkung, weil sie die Richtung festlegen. Wähle einen bedeutsamen Anfang und gib ihm einen echten ersten Schritt.",
+      bullets: [
+        "Wähle einen einzigen „Samen“ zum Starten (nicht fünf)",
+        "Setze eine einfache Absicht, die du heute umsetzen kannst",
+        "Räume ein Hindernis oder eine Ablenkung aus dem Weg",
+        "Mach den kleinsten echten Schritt, der zählt"
+      ]
+    },
+    2: {
+      phase: "ANSTIEG • SCHWUNG",
+      title: "Schwung",
+      description: "Die Energie wächst, während du vorangehst",
+      paragraph:
+        "Die Welle steigt, und Beständigkeit wird zu deinem Vorteil. Was du heute wiederholst, gewinnt an Tempo und Halt. Halte es einfach, bleib in Bewegung und lass den Fortschritt sich aufbauen.",
+      bullets: [
+        "Wiederhole den Erfolg von gestern und bau darauf auf",
+        "Arbeite in kurzen Sprints statt nach Perfektion",
+        "Beweg deinen Körper, um deine Energie zu bewegen",
+        "Reduziere Reibung: einfachere Werkzeuge, Schritte und Entscheidungen"
+      ]
+    },
+    3: {
+      phase: "ANSTIEG • KREATIVITÄT",
+      title: "Kreativität",
+      description: "Die Fantasie fließt, Ideen zünden",
+      paragraph:
+        "Der kreative Strom ist stark – neue Blickwinkel tauchen auf, Möglichkeiten öffnen sich. Ein Tag zum Erkunden und spielerischen Ausprobieren. Halte Ideen schnell fest und forme dann eine davon zu etwas Greifbarem.",
+      bullets: [
+        "Sammle frei Ideen, bevor du aussortierst",
+        "Probiere einen neuen Ansatz, ein neues Format oder einen neuen Ort",
+        "Notiere Ideen sofort (Notizen > Gedächtnis)",
+        "Mach aus einer Idee einen schnellen Prototyp"
+      ]
+    },
+    4: {
+      phase: "ANSTIEG • VERBINDUNG",
+      title: "Verbindung",
+      description: "Soziale Energie zieht dich nach außen",
+      paragraph:
+        "Verbindung fällt jetzt leichter – Gespräche können Klarheit und Chancen eröffnen. Teile, woran du baust, und lass Beziehungen es verfeinern. Der richtige Austausch heute kann dir später Wochen sparen.",
+      bullets: [
+        "Melde dich: eine bedeutsame Nachricht oder ein Anruf",
+        "Arbeite zusammen, bitte um Feedback oder biete Hilfe an",
+        "Fasse deine aktuelle Richtung in einem Satz zusammen",
+        "Stärke Vertrauen: halte ein kleines Versprechen"
+      ]
+    },
+    5: {
+      phase: "ANSTIEG • PRODUKTIVITÄT",
+      title: "Produktivität",
+      description: "Der Fokus schärft sich, Aufgaben werden fertig",
+      paragraph:
+        "Ein starker Umsetzungstag – die Welle unterstützt Tun und Abschließen. Am besten fühlst du dich, wenn du etwas Echtes lieferst. Wähle die wichtigste Arbeit, schütze deine Zeit und schließe offene Schleifen.",
+      bullets: [
+        "Wähle die 1–3 wichtigsten Ergebnisse und ignoriere den Rest",
+        "Bündle Aufgaben und reduziere Kontextwechsel",
+        "Abschließen und liefern (Fertigstellen vor Ausweiten)",
+        "Räume Reste auf: Antworten, Dateien, nächste Schritte"
+      ]
+    },
+    6: {
+      phase: "GIPFEL • BALANCE",
+      title: "Balance",
+      description: "Harmonie zeigt sich in allem, was du tust",
+      paragraph:
+        "Auf dem Gipfel siehst du das ganze System – was im Einklang ist und was dich aus der Mitte zieht. Ein Tag zum Stabilisieren, Verfeinern und für Anpassungen, die Leichtigkeit schaffen. Balance heißt nicht weniger tun, sondern wählen, was passt.",
+      bullets: [
+        "Verteile Kraft neu: Arbeit, Gesundheit, Beziehungen, Ruhe",
+        "Richte Prioritäten an dem aus, was jetzt zählt",
+        "Schaffe einen Rhythmus, den du halten kannst",
+        "Wähle klare Grenzen statt Überlastung"
+      ]
+    },
+    7: {
+      phase: "GIPFEL • EINSICHT",
+      title: "Einsicht",
+      description: "Klarheit kommt, die Intuition führt",
+      paragraph:
+        "Einsicht schneidet heute durch das Rauschen. Muster werden offensichtlich, und das „eigentliche Problem“ lässt sich leichter benennen. Hör genau hin, schreib es auf und lass die Wahrheit deinen nächsten Schritt vereinfachen.",
+      bullets: [
+        "Schreibe 5 Minuten: „Was ist wirklich los?“",
+        "Suche das Muster unter dem Problem",
+        "Entscheide eine Sache, die du nicht mehr hinnimmst",
+        "Wähle den einfachsten nächsten Schritt, der der Klarheit gerecht wird"
+      ]
+    },
+    8: {
+      phase: "GIPFEL • HERAUSFORDERUNG",
+      title: "Herausforderung",
+      description: "Die Kraft wird geprüft, die Entschlossenheit gestärkt",
+      paragraph:
+        "Dies ist der Rand des Gipfels – der Tag, der Belastbarkeit aufbaut. Widerstand zeigt, wo du wächst. Stell dich dem Schweren direkt, und du gehst stärker und klarer daraus hervor.",
+      bullets: [
+        "Nimm dir zuerst die am meisten vermiedene Aufgabe vor",
+        "Halte eine Grenze, die du bisher nachgegeben hast",
+        "Nutze Reibung als Rückmeldung, nicht als Scheitern",
+        "Wähle Mut in einer konkreten Handlung"
+      ]
+    },
+    9: {
+      phase: "SCHEITELPUNKT • WENDE",
+      title: "Wende",
+      description: "Die Welle dreht, die Reflexion beginnt",
+      paragraph:
+        "Der Scheitelpunkt ist eine Wende – die Energie wechselt vom Drängen nach außen zum Verfeinern nach innen. Ein idealer Tag, um zu prüfen, neu auszurichten und bewusst den Kurs zu ändern. Lass die Welle drehen, ohne sie zu erzwingen.",
+      bullets: [
+        "Blicke auf Erfolge, Lektionen und Veränderungen zurück",
+        "Entscheide, was weitergeht und was endet",
+        "Nimm eine klare Richtungskorrektur vor",
+        "Werde langsam genug, um zu spüren, was wahr ist"
+      ]
+    },
+    10: {
+      phase: "ABSTIEG • REFLEXION",
+      title: "Reflexion",
+      description: "Der Blick nach innen zeigt Wachstum",
+      paragraph:
+        "Die Reflexion vertieft sich, die Perspektive weitet sich. Du kannst jetzt mehr aus dem letzten Zyklus lernen als während du hindurchgeeilt bist. Achte darauf, was funktioniert hat, was nicht – und warum.",
+      bullets: [
+        "Frag dich: „Was hat mich dieser Zyklus gelehrt?“",
+        "Benenne ein Muster zum Stärken und eines zum Ablegen",
+        "Sei dankbar für den Fortschritt, den du übersehen hast",
+        "Kläre, wie „besser“ beim nächsten Mal aussieht"
+      ]
+    },
+    11: {
+      phase: "ABSTIEG • INTEGRATION",
+      title: "Integration",
+      description: "Ruhe lässt Weisheit sich setzen",
+      paragraph:
+        "In der Integration wird Wachstum real. Wenn du innehältst, verarbeiten Geist und Körper, was du erlebt hast. Gib dir Raum – hier festigt und stärkt sich das System.",
+      bullets: [
+        "Gib Schlaf, Erholung und Einfachheit Vorrang",
+        "Fasse das Gelernte in einer Erkenntnis zusammen",
+        "Reduziere Input: weniger Lärm, weniger Anforderungen",
+        "Lass deinen nächsten Schritt entstehen, statt ihn zu erzwingen"
+      ]
+    },
+    12: {
+      phase: "ABSTIEG • NEUAUSRICHTUNG",
+      title: "Neuausrichtung",
+      description: "Justiere deinen Kurs mit Sorgfalt",
+      paragraph:
+        "Dieser Tag unterstützt Feinabstimmung. Kleine Anpassungen jetzt verhindern größere Korrekturen später. Sei sanft und präzise – passe den Plan an die Wirklichkeit und an deine Energie an.",
+      bullets: [
+        "Passe deine Ziele an die Phase an, in der du bist",
+        "Verkleinere den Umfang, ohne die Verbindlichkeit zu verringern",
+        "Behebe eine Gewohnheit an der Wurzel (nicht das Symptom)",
+        "Richte Zeitplan, Werkzeuge und Erwartungen neu aus"
+      ]
+    },
+    13: {
+      phase: "ABSTIEG • LOSLASSEN",
+      title: "Loslassen",
+      description: "Lass los, was dir nicht mehr dient",
+      paragraph:
+        "Loslassen schafft Platz für den nächsten Anstieg. Was du Überholtes festhältst, wiegt jetzt schwerer. Loslassen ist kein Verlust – es macht Raum für das, was passt.",
+      bullets: [
+        "Entrümple einen Bereich: Kopf, Schreibtisch, Posteingang, Kalender",
+        "Schließe eine offene Schleife, die du mit dir trägst",
+        "Sag „Nein“ zu etwas, das nicht stimmig ist",
+        "Vergib, vereinfache und erleichtere deine Last"
+      ]
+    },
+    14: {
+      phase: "TAL • INNERE ARBEIT",
+      title: "Innere Arbeit",
+      description: "Tauche tief in die Selbsterkenntnis ein",
+      paragraph:
+        "Das Tal ist stille Kraft – tiefere Wahrheiten steigen auf, wenn es außen ruhiger wird. Ein Tag für Ehrlichkeit, Einsicht und innere Ausrichtung. Die Arbeit hier verändert alles, was daraus folgt.",
+      bullets: [
+        "Wähle Alleinsein oder ein langsameres Tempo",
+        "Frag dich: „Was vermeide ich zu fühlen oder zuzugeben?“",
+        "Mach eine erdende Übung (Gehen, Atmen, Gebet, Tagebuch)",
+        "Verbinde dich wieder mit deinen Werten und deiner Richtung"
+      ]
+    },
+    15: {
+      phase: "TAL • HEILUNG",
+      title: "Heilung",
+      description: "Sanfte Fürsorge stellt die Vitalität wieder her",
+      paragraph:
+        "Heilung ist aktive Erneuerung. Dein System reagiert heute am besten auf Sanftheit – Nahrung, Sicherheit und geduldige Fürsorge. Behandle Erholung als Fortschritt, denn das ist sie.",
+      bullets: [
+        "Gib deinem Körper, worum er schon länger bittet",
+        "Wähle sanfte Bewegung statt Intensität",
+        "Nimm Unterstützung an: bitten, teilen oder ruhen",
+        "Heile eine Beziehung – mit dir selbst oder mit jemand anderem"
+      ]
+    },
+    16: {
+      phase: "TAL • VORBEREITUNG",
+      title: "Vorbereitung",
+      description: "Sammle Kraft für den kommenden Aufstieg",
+      paragraph:
+        "Der nächste Aufstieg formt sich – Vorbereitung verwandelt Absicht in Bereitschaft. Ruhige Struktur jetzt erzeugt später Schwung. Bereite den Boden, damit sich Tag 1 klar und kraftvoll anfühlt.",
+      bullets: [
+        "Ordne Werkzeuge, Raum und Prioritäten",
+        "Schaffe Puffer: Zeit, Essen, Schlaf, Ressourcen",
+        "Plane die ersten Schritte des nächsten Zyklus",
+        "Beseitige eine Blockade, bevor sie zum Problem wird"
+      ]
+    },
+    17: {
+      phase: "AUFTAUCHEN • FUNDAMENT",
+      title: "Fundament",
+      description: "Lege den Grundstein für neues Handeln",
+      paragraph:
+        "Die Welle beginnt sich wieder zu heben. Das ist Fundament-Energie – praktisch, stetig und nach vorn gerichtet. Baue die Struktur, die den nächsten Zyklus trägt: Routinen, Systeme und Verpflichtungen, die halten.",
+      bullets: [
+        "Schaffe oder erneuere einen täglichen Rhythmus",
+        "Skizziere das nächste Projekt in einfachen Schritten",
+        "Erledige die „Vorarbeit“, die du sonst überspringst",
+        "Setze auf Beständigkeit statt Intensität"
+      ]
+    },
+    18: {
+      phase: "AUFTAUCHEN • VOLLENDUNG",
+      title: "Vollendung",
+      description: "Der Zyklus schließt sich, Erneuerung wartet",
+      paragraph:
+        "Vollendung ist ein Abschluss mit Bedeutung. Du schließt den Kreis – sammle, was du gelernt hast, beende, was zählt, und setze bewusst einen Schlusspunkt. Dann lass die Erneuerung echt sein, nicht gehetzt.",
+      bullets: [
+        "Beende eine wichtige Sache und erkläre sie für fertig",
+        "Feiere den Fortschritt (auch wenn er unvollkommen ist)",
+        "Halte die Lektion fest: „Im nächsten Zyklus werde ich …“",
+        "Setze zurück: schaffe Raum, damit sich Tag 1 neu anfühlt"
+      ]
+    }
+  },
+  strings: {
+    "nav.origin": "Ursprung",
+    "nav.journal": "Tagebuch",
+    "nav.history": "Verlauf",
+    "nav.print": "Drucken",
+    "today.eyebrow": "Die Welle von heute",
+    "today.dayPill": "Tag {day}",
+    "today.duckAlt": "Die SineDuck von heute, Tag {day}",
+    "today.write": "Heute schreiben",
+    "today.explore": "Diese Welle erkunden",
+    "today.closeExplore": "Reflexion schließen",
+    "today.emptyTitle": "Die Welle von heute wartet",
+    "today.emptyBody": "Füge dein erstes Profil hinzu, um zu beginnen.",
+    "today.errorTitle": "Die Welle von heute formt sich noch",
+    "today.errorBody": "Sie konnte noch nicht berechnet werden. Versuche es gleich noch einmal.",
+    "details.eyebrow": "Etwas tiefer",
+    "details.heading": "Erkunde die Welle von heute",
+    "details.imageAlt": "Wellenbild für SineDay {day}",
+    "origin.eyebrow": "Persönlicher Rhythmus",
+    "origin.title": "Dein Ursprung",
+    "origin.addPerson": "Person hinzufügen",
+    "origin.manage": "Verwalten",
+    "settings.languageRegion": "Sprache & Region",
+    "settings.language": "Sprache",
+    "settings.region": "Region",
+    "settings.weekStarts": "Woche beginnt",
+    "settings.weekAuto": "Automatisch",
+    "settings.sunday": "Sonntag",
+    "settings.monday": "Montag",
+    "settings.journalRecall": "Tagebuch-Rückblick (Zyklen)",
+    "settings.off": "Aus",
+    "calendarFeed.title": "Kalender-Abo",
+    "calendarFeed.profile": "Profil",
+    "calendarFeed.lookAhead": "Vorschau",
+    "calendarFeed.show": "Anzeigen",
+    "calendarFeed.tasks": "Planer-Aufgaben",
+    "journalEncryption.title": "Tagebuch-Verschlüsselung",
+    "email.subject": "Dein SineDay – Tag {day}: {title}",
+    "pdf.day.moodPrompt": "Wie hat sich die Welle des Tages angefühlt? Kreise eine Ente ein.",
+    "pdf.day.moodHint": "Wähle die Ente, die zum Moment passt.",
+    "pdf.day.journalFor": "Tagebuchseite für {name}",
+    "pdf.day.journalDefault": "SineDay-Tagebuchseite",
+    "pdf.day.thoughts": "Gedanken von heute"
+  }
+};
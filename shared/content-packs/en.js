@@ -0,0 +1,289 @@
+/**
+ * English SineDay content pack.
+ *
+ * English is the source pack: every other language falls back to these
+ * values key by key, so a partial translation never renders a blank.
+ */
+export default {
+  language: "en",
+  days: {
+    1: {
+      phase: "RISING • INITIATION",
+      title: "Initiation",
+      description: "Fresh beginnings call you forward",
+      paragraph:
+        "This is the start of the wave — a clean edge, a new chapter. Small choices have outsized power today because they set direction. Pick one meaningful beginning and give it a real first step.",
+      bullets: [
+        "Choose one 'seed' to start (don't start five)",
+        "Set a simple intention you can act on today",
+        "Clear one obstacle or distraction from the path",
+        "Take the smallest real step that counts"
+      ]
+    },
+    2: {
+      phase: "ASCENDING • MOMENTUM",
+      title: "Momentum",
+      description: "Energy builds as you push forward",
+      paragraph:
+        "The wave is rising and consistency becomes your advantage. What you repeat today gains speed and traction. Keep it simple, keep it moving, and let progress compound.",
+      bullets: [
+        "Repeat yesterday's win and build on it",
+        "Use short sprints instead of perfection",
+        "Move your body to move your energy",
+        "Remove friction: simplify tools, steps, and decisions"
+      ]
+    },
+    3: {
+      phase: "ASCENDING • CREATIVITY",
+      title: "Creativity",
+      description: "Imagination flows and ideas spark",
+      paragraph:
+        "Creative current is strong — new angles appear and possibilities open up. It's a day for exploration and playful experimentation. Capture ideas quickly, then shape one into something tangible.",
+      bullets: [
+        "Brainstorm freely before you edit",
+        "Try a new approach, format, or environment",
+        "Capture ideas immediately (notes > memory)",
+        "Turn one idea into a quick prototype"
+      ]
+    },
+    4: {
+      phase: "ASCENDING • CONNECTION",
+      title: "Connection",
+      description: "Social energy draws you outward",
+      paragraph:
+        "Connection comes easier now — conversations can unlock clarity and opportunity. Share what you're building and let relationships refine it. The right exchange today can save you weeks later.",
+      bullets: [
+        "Reach out: one meaningful message or call",
+        "Collaborate, ask for feedback, or offer help",
+        "Share your current direction in one sentence",
+        "Strengthen trust: follow through on a small promise"
+      ]
+    },
+    5: {
+      phase: "ASCENDING • PRODUCTIVITY",
+      title: "Productivity",
+      description: "Focus sharpens, tasks find completion",
+      paragraph:
+        "This is a strong execution day — the wave supports doing and finishing. You'll feel best when you ship something real. Choose priority work, protect your time, and close loops.",
+      bullets: [
+        "Pick the top 1–3 outcomes and ignore the rest",
+        "Batch tasks and reduce context switching",
+        "Finish and deliver (completion over expansion)",
+        "Clean up loose ends: replies, files, next steps"
+      ]
+    },
+    6: {
+      phase: "PEAK • BALANCE",
+      title: "Balance",
+      description: "Harmony emerges in all you do",
+      paragraph:
+        "At the peak, you can see the whole system — what's aligned and what's pulling you off-center. It's a day to stabilize, refine, and make adjustments that create ease. Balance isn't doing less; it's choosing what fits.",
+      bullets: [
+        "Rebalance effort: work, health, relationships, rest",
+        "Adjust priorities to match what matters now",
+        "Create a rhythm you can sustain",
+        "Choose clean boundaries over overcommitment"
+      ]
+    },
+    7: {
+      phase: "PEAK • INSIGHT",
+      title: "Insight",
+      description: "Clarity arrives, intuition guides",
+      paragraph:
+        "Insight cuts through noise today. Patterns become obvious, and the 'real issue' is easier to name. Listen closely, write it down, and let truth simplify your next move.",
+      bullets: [
+        "Journal for 5 minutes: 'What's actually going on?'",
+        "Look for the pattern beneath the problem",
+        "Decide one thing you will stop tolerating",
+        "Choose the simplest next step that honors clarity"
+      ]
+    },
+    8: {
+      phase: "PEAK • CHALLENGE",
+      title: "Challenge",
+      description: "Strength tested, resolve fortified",
+      paragraph:
+        "This is the edge of the peak — the day that builds durability. Resistance shows where you're growing. Meet the hard thing directly, and you'll come out stronger and clearer.",
+      bullets: [
+        "Tackle the most avoided task first",
+        "Hold a boundary you've been bending",
+        "Use friction as feedback, not failure",
+        "Choose courage in one specific action"
+      ]
+    },
+    9: {
+      phase: "CREST • TRANSITION",
+      title: "Transition",
+      description: "The wave turns, reflection begins",
+      paragraph:
+        "The crest is a turning point — the energy shifts from outward push to inward refinement. This is a perfect day to review, re-aim, and change course with intention. Let the wave turn without forcing it.",
+      bullets: [
+        "Review wins, lessons, and what changed",
+        "Decide what continues and what ends",
+        "Make one clean adjustment to direction",
+        "Slow down enough to feel what's true"
+      ]
+    },
+    10: {
+      phase: "DESCENDING • REFLECTION",
+      title: "Reflection",
+      description: "Looking inward reveals growth",
+      paragraph:
+        "Reflection deepens and perspective expands. You can learn more from the past cycle now than you could while rushing through it. Notice what worked, what didn't, and why.",
+      bullets: [
+        "Ask: 'What did this cycle teach me?'",
+        "Name one pattern to reinforce and one to retire",
+        "Practice gratitude for the progress you missed",
+        "Clarify what 'better' looks like next time"
+      ]
+    },
+    11: {
+      phase: "DESCENDING • INTEGRATION",
+      title: "Integration",
+      description: "Rest allows wisdom to settle",
+      paragraph:
+        "Integration is where growth becomes real. When you pause, your mind and body process what you've lived. Give yourself space — the system consolidates and strengthens here.",
+      bullets: [
+        "Prioritize sleep, recovery, and simplicity",
+        "Organize what you've learned into one takeaway",
+        "Reduce inputs: less noise, fewer demands",
+        "Let your next move emerge instead of forcing it"
+      ]
+    },
+    12: {
+      phase: "DESCENDING • RECALIBRATION",
+      title: "Recalibration",
+      description: "Adjust your course with care",
+      paragraph:
+        "This day supports fine-tuning. Small adjustments now prevent bigger corrections later. Be gentle and precise — tweak the plan so it matches reality and your energy.",
+      bullets: [
+        "Edit your goals to fit the season you're in",
+        "Reduce scope without reducing commitment",
+        "Fix one habit at the root (not the symptom)",
+        "Realign schedule, tools, and expectations"
+      ]
+    },
+    13: {
+      phase: "DESCENDING • RELEASE",
+      title: "Release",
+      description: "Let go what no longer serves",
+      paragraph:
+        "Release clears space for the next rise. What you're holding that's outdated becomes heavier now. Letting go is not loss — it's making room for what fits.",
+      bullets: [
+        "Declutter one area: mind, desk, inbox, calendar",
+        "Close an open loop you've been carrying",
+        "Say 'no' to something misaligned",
+        "Forgive, simplify, and lighten your load"
+      ]
+    },
+    14: {
+      phase: "TROUGH • INNER WORK",
+      title: "Inner Work",
+      description: "Dive deep into self-discovery",
+      paragraph:
+        "The trough is quiet power — deeper truths surface when the outside gets quieter. This is a day for honesty, insight, and inner alignment. The work here changes everything upstream.",
+      bullets: [
+        "Choose solitude or a slower pace",
+        "Ask: 'What am I avoiding feeling or admitting?'",
+        "Do one grounding practice (walk, breath, prayer, journal)",
+        "Reconnect to your core values and direction"
+      ]
+    },
+    15: {
+      phase: "TROUGH • HEALING",
+      title: "Healing",
+      description: "Gentle care restores vitality",
+      paragraph:
+        "Healing is active restoration. Your system responds best to softness today — nourishment, safety, and patient care. Treat recovery like progress, because it is.",
+      bullets: [
+        "Give your body what it's been asking for",
+        "Choose gentler movement over intensity",
+        "Receive support: ask, share, or rest",
+        "Repair one relationship — with yourself or another"
+      ]
+    },
+    16: {
+      phase: "TROUGH • PREPARATION",
+      title: "Preparation",
+      description: "Gather strength for the rise ahead",
+      paragraph:
+        "The next rise is forming — preparation turns intention into readiness. Quiet structure now creates momentum later. Set the stage so Day 1 feels clean and powerful.",
+      bullets: [
+        "Organize tools, space, and priorities",
+        "Build buffers: time, food, sleep, resources",
+        "Plan the first steps of the next cycle",
+        "Remove one blocker before it becomes a problem"
+      ]
+    },
+    17: {
+      phase: "EMERGING • FOUNDATION",
+      title: "Foundation",
+      description: "Lay groundwork for new action",
+      paragraph:
+        "The wave begins to lift again. This is foundation energy — practical, steady, and forward-facing. Build the structure that will carry the next cycle: routines, systems, and commitments that hold.",
+      bullets: [
+        "Create or refresh one daily rhythm",
+        "Outline the next project in simple steps",
+        "Do the 'setup work' you usually skip",
+        "Commit to consistency over intensity"
+      ]
+    },
+    18: {
+      phase: "EMERGING • CULMINATION",
+      title: "Culmination",
+      description: "Cycle completes, renewal awaits",
+      paragraph:
+        "Culmination is completion with meaning. You're closing the loop — gather what you learned, finish what matters, and mark the end with intention. Then let renewal be real, not rushed.",
+      bullets: [
+        "Finish one key thing and call it complete",
+        "Celebrate progress (even if it's imperfect)",
+        "Capture the lesson: 'Next cycle, I will…'",
+        "Reset: clear space for Day 1 to feel new"
+      ]
+    }
+  },
+  strings: {
+    "nav.origin": "Origin",
+    "nav.journal": "Journal",
+    "nav.history": "History",
+    "nav.print": "Print",
+    "today.eyebrow": "Today’s Wave",
+    "today.dayPill": "Day {day}",
+    "today.duckAlt": "Today’s SineDuck, Day {day}",
+    "today.write": "Write today",
+    "today.explore": "Explore this wave",
+    "today.closeExplore": "Close reflection",
+    "today.emptyTitle": "Today’s Wave is waiting",
+    "today.emptyBody": "Add your first profile to begin.",
+    "today.errorTitle": "Today’s Wave is still forming",
+    "today.errorBody": "It could not be calculated yet. Try again in a moment.",
+    "details.eyebrow": "A little deeper",
+    "details.heading": "Explore today’s wave",
+    "details.imageAlt": "SineDay {day} wave artwork",
+    "origin.eyebrow": "Personal rhythm",
+    "origin.title": "Your Origin",
+    "origin.addPerson": "Add person",
+    "origin.manage": "Manage",
+    "settings.languageRegion": "Language & Region",
+    "settings.language": "Language",
+    "settings.region": "Region",
+    "settings.weekStarts": "Week starts",
+    "settings.weekAuto": "Auto",
+    "settings.sunday": "Sunday",
+    "settings.monday": "Monday",
+    "settings.journalRecall": "Journal recall (cycles)",
+    "settings.off": "Off",
+    "calendarFeed.title": "Calendar Feed",
+    "calendarFeed.profile": "Profile",
+    "calendarFeed.lookAhead": "Look ahead",
+    "calendarFeed.show": "Show",
+    "calendarFeed.tasks": "Planner tasks",
+    "journalEncryption.title": "Journal Encryption",
+    "email.subject": "Your SineDay — Day {day}: {title}",
+    "pdf.day.moodPrompt": "How did the day's wave feel? Circle a duck.",
+    "pdf.day.moodHint": "Choose the duck that matches the moment.",
+    "pdf.day.journalFor": "Journal page for {name}",
+    "pdf.day.journalDefault": "Daily SineDay journal page",
+    "pdf.day.thoughts": "Today's thoughts"
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * Spanish SineDay content pack. Missing keys fall back to English.
+ */
+export default {
+  language: "es",
+  days: {
+    1: {
+      phase: "ASCENSO • INICIO",
+      title: "Inicio",
+      description: "Los nuevos comienzos te llaman",
+      paragraph:
+        "Este es el comienzo de la ola: un borde limpio, un nuevo capítulo. Las decisiones pequeñas tienen hoy un poder enorme porque marcan la dirección. Elige un comienzo significativo y dale un primer paso real.",
+      bullets: [
+        "Elige una sola 'semilla' para empezar (no cinco)",
+        "Fija una intención sencilla que puedas poner en práctica hoy",
+        "Despeja un obstáculo o una distracción del camino",
+        "Da el paso real más pequeño que cuente"
+      ]
+    },
+    2: {
+      phase: "SUBIDA • IMPULSO",
+      title: "Impulso",
+      description: "La energía crece mientras avanzas",
+      paragraph:
+        "La ola sube y la constancia se convierte en tu ventaja. Lo que repites hoy gana velocidad y tracción. Mantenlo simple, mantenlo en movimiento y deja que el progreso se acumule.",
+      bullets: [
+        "Repite el logro de ayer y construye sobre él",
+        "Trabaja en tramos cortos en lugar de buscar la perfección",
+        "Mueve el cuerpo para mover tu energía",
+        "Elimina fricción: simplifica herramientas, pasos y decisiones"
+      ]
+    },
+    3: {
+      phase: "SUBIDA • CREATIVIDAD",
+      title: "Creatividad",
+      description: "La imaginación fluye y surgen ideas",
+      paragraph:
+        "La corriente creativa es fuerte: aparecen nuevos ángulos y se abren posibilidades. Es un día para explorar y experimentar con juego. Captura las ideas rápido y luego da forma tangible a una de ellas.",
+      bullets: [
+        "Haz una lluvia de ideas libre antes de editar",
+        "Prueba un enfoque, un formato o un entorno nuevo",
+        "Anota las ideas al instante (notas > memoria)",
+        "Convierte una idea en un prototipo rápido"
+      ]
+    },
+    4: {
+      phase: "SUBIDA • CONEXIÓN",
+      title: "Conexión",
+      description: "La energía social te lleva hacia fuera",
+      paragraph:
+        "Conectar resulta más fácil ahora: las conversaciones pueden abrir claridad y oportunidades. Comparte lo que estás construyendo y deja que las relaciones lo refinen. El intercambio adecuado hoy puede ahorrarte semanas después.",
+      bullets: [
+        "Acércate a alguien: un mensaje o una llamada con sentido",
+        "Colabora, pide opinión u ofrece ayuda",
+        "Comparte tu dirección actual en una frase",
+        "Fortalece la confianza: cumple una pequeña promesa"
+      ]
+    },
+    5: {
+      phase: "SUBIDA • PRODUCTIVIDAD",
+      title: "Productividad",
+      description: "El enfoque se afina y las tareas se completan",
+      paragraph:
+        "Es un día fuerte para ejecutar: la ola apoya hacer y terminar. Te sentirás mejor cuando entregues algo real. Elige el trabajo prioritario, protege tu tiempo y cierra ciclos.",
+      bullets: [
+        "Elige los 1–3 resultados principales e ignora el resto",
+        "Agrupa tareas y reduce los cambios de contexto",
+        "Termina y entrega (completar antes que ampliar)",
+        "Ata cabos sueltos: respuestas, archivos, próximos pasos"
+      ]
+    },
+    6: {
+      phase: "CUMBRE • EQUILIBRIO",
+      title: "Equilibrio",
+      description: "La armonía aparece en todo lo que haces",
+      paragraph:
+        "En la cumbre puedes ver todo el sistema: lo que está alineado y lo que te descentra. Es un día para estabilizar, refinar y hacer ajustes que den tranquilidad. Equilibrio no es hacer menos; es elegir lo que encaja.",
+      bullets: [
+        "Reequilibra el esfuerzo: trabajo, salud, relaciones, descanso",
+        "Ajusta prioridades a lo que importa ahora",
+        "Crea un ritmo que puedas sostener",
+        "Elige límites claros en lugar de comprometerte de más"
+      ]
+    },
+    7: {
+      phase: "CUMBRE • PERCEPCIÓN",
+      title: "Percepción",
+      description: "Llega la claridad, la intuición guía",
+      paragraph:
+        "Hoy la percepción atraviesa el ruido. Los patrones se vuelven evidentes y es más fácil nombrar 'el verdadero problema'. Escucha con atención, escríbelo y deja que la verdad simplifique tu siguiente paso.",
+      bullets: [
+        "Escribe 5 minutos: '¿Qué está pasando de verdad?'",
+        "Busca el patrón que hay debajo del problema",
+        "Decide una cosa que dejarás de tolerar",
+        "Elige el siguiente paso más simple que honre la claridad"
+      ]
+    },
+    8: {
+      phase: "CUMBRE • DESAFÍO",
+      title: "Desafío",
+      description: "La fuerza se pone a prueba, la determinación se fortalece",
+      paragraph:
+        "Este es el borde de la cumbre: el día que construye resistencia. La resistencia muestra dónde estás creciendo. Enfrenta lo difícil de frente y saldrás más fuerte y con más claridad.",
+      bullets: [
+        "Empieza por la tarea que más has evitado",
+        "Sostén un límite que has estado cediendo",
+        "Usa la fricción como información, no como fracaso",
+        "Elige el valor en una acción concreta"
+      ]
+    },
+    9: {
+      phase: "CRESTA • TRANSICIÓN",
+      title: "Transición",
+      description: "La ola gira, comienza la reflexión",
+      paragraph:
+        "La cresta es un punto de giro: la energía pasa del empuje hacia fuera al refinamiento hacia dentro. Es un día perfecto para revisar, reorientar y cambiar de rumbo con intención. Deja que la ola gire sin forzarla.",
+      bullets: [
+        "Revisa logros, aprendizajes y lo que cambió",
+        "Decide qué continúa y qué termina",
+        "Haz un ajuste limpio de dirección",
+        "Baja el ritmo lo suficiente para sentir lo que es verdad"
+      ]
+    },
+    10: {
+      phase: "DESCENSO • REFLEXIÓN",
+      title: "Reflexión",
+      description: "Mirar hacia dentro revela crecimiento",
+      paragraph:
+        "La reflexión se profundiza y la perspectiva se amplía. Ahora puedes aprender más del ciclo pasado que mientras lo atravesabas con prisa. Observa qué funcionó, qué no y por qué.",
+      bullets: [
+        "Pregúntate: '¿Qué me enseñó este ciclo?'",
+        "Nombra un patrón que reforzar y otro que retirar",
+        "Agradece el progreso que pasaste por alto",
+        "Aclara cómo se ve 'mejor' la próxima vez"
+      ]
+    },
+    11: {
+      phase: "DESCENSO • INTEGRACIÓN",
+      title: "Integración",
+      description: "El descanso deja que la sabiduría se asiente",
+      paragraph:
+        "La integración es donde el crecimiento se vuelve real. Cuando haces una pausa, mente y cuerpo procesan lo vivido. Date espacio: el sistema se consolida y se fortalece aquí.",
+      bullets: [
+        "Prioriza el sueño, la recuperación y la sencillez",
+        "Ordena lo aprendido en una sola conclusión",
+        "Reduce estímulos: menos ruido, menos exigencias",
+        "Deja que tu siguiente paso surja en lugar de forzarlo"
+      ]
+    },
+    12: {
+      phase: "DESCENSO • RECALIBRACIÓN",
+      title: "Recalibración",
+      description: "Ajusta tu rumbo con cuidado",
+      paragraph:
+        "Este día favorece el ajuste fino. Pequeños cambios ahora evitan correcciones mayores después. Sé amable y preciso: ajusta el plan para que encaje con la realidad y con tu energía.",
+      bullets: [
+        "Ajusta tus metas a la etapa en la que estás",
+        "Reduce el alcance sin reducir el compromiso",
+        "Corrige un hábito desde la raíz (no el síntoma)",
+        "Realinea agenda, herramientas y expectativas"
+      ]
+    },
+    13: {
+      phase: "DESCENSO • LIBERACIÓN",
+      title: "Liberación",
+      description: "Suelta lo que ya no te sirve",
+      paragraph:
+        "Soltar despeja espacio para la próxima subida. Lo desactualizado que cargas pesa más ahora. Soltar no es perder: es hacer sitio para lo que encaja.",
+      bullets: [
+        "Ordena un área: mente, escritorio, bandeja de entrada, agenda",
+        "Cierra un asunto pendiente que llevas cargando",
+        "Di 'no' a algo que no está alineado",
+        "Perdona, simplifica y aligera tu carga"
+      ]
+    },
+    14: {
+      phase: "VALLE • TRABAJO INTERIOR",
+      title: "Trabajo interior",
+      description: "Sumérgete en el autodescubrimiento",
+      paragraph:
+        "El valle es poder silencioso: las verdades profundas salen a la superficie cuando el exterior se calma. Es un día para la honestidad, la percepción y la alineación interior. El trabajo de hoy lo cambia todo aguas arriba.",
+      bullets: [
+        "Elige la soledad o un ritmo más lento",
+        "Pregúntate: '¿Qué evito sentir o admitir?'",
+        "Haz una práctica que te centre (caminar, respirar, orar, escribir)",
+        "Reconecta con tus valores y tu dirección"
+      ]
+    },
+    15: {
+      phase: "VALLE • SANACIÓN",
+      title: "Sanación",
+      description: "El cuidado amable restaura la vitalidad",
+      paragraph:
+        "Sanar es restauración activa. Hoy tu sistema responde mejor a la suavidad: alimento, seguridad y cuidado paciente. Trata la recuperación como progreso, porque lo es.",
+      bullets: [
+        "Dale a tu cuerpo lo que te ha estado pidiendo",
+        "Elige movimiento suave en lugar de intensidad",
+        "Recibe apoyo: pide, comparte o descansa",
+        "Repara una relación, contigo o con otra persona"
+      ]
+    },
+    16: {
+      phase: "VALLE • PREPARACIÓN",
+      title: "Preparación",
+      description: "Reúne fuerzas para la subida que viene",
+      paragraph:
+        "La próxima subida se está formando: la preparación convierte la intención en disposición. Una estructura tranquila ahora crea impulso después. Prepara el terreno para que el Día 1 se sienta limpio y poderoso.",
+      bullets: [
+        "Organiza herramientas, espacio y prioridades",
+        "Crea márgenes: tiempo, comida, sueño, recursos",
+        "Planifica los primeros pasos del próximo ciclo",
+        "Quita un bloqueo antes de que se convierta en problema"
+      ]
+    },
+    17: {
+      phase: "EMERGENCIA • CIMIENTOS",
+      title: "Cimientos",
+      description: "Sienta las bases para una nueva acción",
+      paragraph:
+        "La ola empieza a elevarse de nuevo. Es energía de cimientos: práctica, estable y mirando hacia delante. Construye la estructura que sostendrá el próximo ciclo: rutinas, sistemas y compromisos que se mantengan.",
+      bullets: [
+        "Crea o renueva un ritmo diario",
+        "Esboza el próximo proyecto en pasos simples",
+        "Haz el 'trabajo de preparación' que sueles saltarte",
+        "Comprométete con la constancia antes que con la intensidad"
+      ]
+    },
+    18: {
+      phase: "EMERGENCIA • CULMINACIÓN",
+      title: "Culminación",
+      description: "El ciclo se completa, la renovación espera",
+      paragraph:
+        "La culminación es un cierre con sentido. Estás cerrando el ciclo: reúne lo aprendido, termina lo que importa y marca el final con intención. Luego deja que la renovación sea real, sin prisas.",
+      bullets: [
+        "Termina una cosa clave y dala por completa",
+        "Celebra el progreso (aunque sea imperfecto)",
+        "Anota la lección: 'En el próximo ciclo, voy a…'",
+        "Reinicia: despeja espacio para que el Día 1 se sienta nuevo"
+      ]
+    }
+  },
+  strings: {
+    "nav.origin": "Origen",
+    "nav.journal": "Diario",
+    "nav.history": "Historial",
+    "nav.print": "Imprimir",
+    "today.eyebrow": "La ola de hoy",
+    "today.dayPill": "Día {day}",
+    "today.duckAlt": "El SineDuck de hoy, Día {day}",
+    "today.write": "Escribir hoy",
+    "today.explore": "Explorar esta ola",
+    "today.closeExplore": "Cerrar reflexión",
+    "today.emptyTitle": "La ola de hoy te espera",
+    "today.emptyBody": "Añade tu primer perfil para comenzar.",
+    "today.errorTitle": "La ola de hoy aún se está formando",
+    "today.errorBody": "Todavía no se pudo calcular. Inténtalo de nuevo en un momento.",
+    "details.eyebrow": "Un poco más a fondo",
+    "details.heading": "Explora la ola de hoy",
+    "details.imageAlt": "Ilustración de la ola del SineDay {day}",
+    "origin.eyebrow": "Ritmo personal",
+    "origin.title": "Tu Origen",
+    "origin.addPerson": "Añadir persona",
+    "origin.manage": "Gestionar",
+    "settings.languageRegion": "Idioma y región",
+    "settings.language": "Idioma",
+    "settings.region": "Región",
+    "settings.weekStarts": "La semana empieza",
+    "settings.weekAuto": "Automático",
+    "settings.sunday": "Domingo",
+    "settings.monday": "Lunes",
+    "settings.journalRecall": "Recuerdos del diario (ciclos)",
+    "settings.off": "Desactivado",
+    "calendarFeed.title": "Calendario suscrito",
+    "calendarFeed.profile": "Perfil",
+    "calendarFeed.lookAhead": "Anticipación",
+    "calendarFeed.show": "Mostrar",
+    "calendarFeed.tasks": "Tareas del planificador",
+    "journalEncryption.title": "Cifrado del diario",
+    "email.subject": "Tu SineDay — Día {day}: {title}",
+    "pdf.day.moodPrompt": "¿Cómo se sintió la ola del día? Rodea un pato.",
+    "pdf.day.moodHint": "Elige el pato que encaja con el momento.",
+    "pdf.day.journalFor": "Página de diario de {name}",
+    "pdf.day.journalDefault": "Página de diario SineDay",
+    "pdf.day.thoughts": "Pensamientos de hoy"
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * French SineDay content pack. Missing keys fall back to English.
+ */
+export default {
+  language: "fr",
+  days: {
+    1: {
+      phase: "MONTÉE • INITIATION",
+      title: "Initiation",
+      description: "De nouveaux départs vous appellent",
+      paragraph:
+        "C’est le début de la vague : un bord net, un nouveau chapitre. Les petits choix ont aujourd’hui un pouvoir démesuré parce qu’ils donnent la direction. Choisissez un commencement qui compte et faites-lui faire un vrai premier pas.",
+      bullets: [
+        "Choisissez une seule « graine » à planter (pas cinq)",
+        "Fixez une intention simple que vous pouvez appliquer aujourd’hui",
+        "Écartez un obstacle ou une distraction du chemin",
+        "Faites le plus petit pas réel qui compte"
+      ]
+    },
+    2: {
+      phase: "ASCENSION • ÉLAN",
+      title: "Élan",
+      description: "L’énergie monte à mesure que vous avancez",
+      paragraph:
+        "La vague monte et la régularité devient votre atout. Ce que vous répétez aujourd’hui gagne en vitesse et en adhérence. Restez simple, restez en mouvement et laissez les progrès s’accumuler.",
+      bullets: [
+        "Répétez la réussite d’hier et appuyez-vous dessus",
+        "Travaillez par courtes séquences plutôt que viser la perfection",
+        "Bougez votre corps pour faire circuler votre énergie",
+        "Réduisez les frictions : outils, étapes et décisions plus simples"
+      ]
+    },
+    3: {
+      phase: "ASCENSION • CRÉATIVITÉ",
+      title: "Créativité",
+      description: "L’imagination coule et les idées jaillissent",
+      paragraph:
+        "Le courant créatif est fort : de nouveaux angles apparaissent et des possibilités s’ouvrent. C’est un jour pour explorer et expérimenter avec légèreté. Notez vite vos idées, puis donnez forme à l’une d’elles.",
+      bullets: [
+        "Faites un remue-méninges libre avant de trier",
+        "Essayez une approche, un format ou un lieu nouveau",
+        "Notez les idées immédiatement (notes > mémoire)",
+        "Transformez une idée en prototype rapide"
+      ]
+    },
+    4: {
+      phase: "ASCENSION • LIEN",
+      title: "Lien",
+      description: "L’énergie sociale vous tourne vers les autres",
+      paragraph:
+        "Créer du lien est plus facile maintenant : les conversations peuvent apporter clarté et occasions. Partagez ce que vous construisez et laissez les relations l’affiner. Le bon échange aujourd’hui peut vous faire gagner des semaines.",
+      bullets: [
+        "Prenez contact : un message ou un appel qui compte",
+        "Collaborez, demandez un avis ou proposez votre aide",
+        "Résumez votre direction actuelle en une phrase",
+        "Renforcez la confiance : tenez une petite promesse"
+      ]
+    },
+    5: {
+      phase: "ASCENSION • PRODUCTIVITÉ",
+      title: "Productivité",
+      description: "La concentration s’aiguise, les tâches aboutissent",
+      paragraph:
+        "C’est un jour fort pour l’exécution : la vague soutient l’action et l’achèvement. Vous vous sentirez mieux en livrant quelque chose de concret. Choisissez le travail prioritaire, protégez votre temps et bouclez ce qui est ouvert.",
+      bullets: [
+        "Choisissez 1 à 3 résultats clés et ignorez le reste",
+        "Regroupez les tâches et limitez les changements de contexte",
+        "Terminez et livrez (finir plutôt qu’étendre)",
+        "Réglez les détails : réponses, fichiers, prochaines étapes"
+      ]
+    },
+    6: {
+      phase: "SOMMET • ÉQUILIBRE",
+      title: "Équilibre",
+      description: "L’harmonie se dessine dans tout ce que vous faites",
+      paragraph:
+        "Au sommet, vous voyez tout le système : ce qui est aligné et ce qui vous décentre. C’est un jour pour stabiliser, affiner et faire les ajustements qui apportent de l’aisance. L’équilibre, ce n’est pas faire moins ; c’est choisir ce qui convient.",
+      bullets: [
+        "Rééquilibrez vos efforts : travail, santé, relations, repos",
+        "Ajustez vos priorités à ce qui compte maintenant",
+        "Créez un rythme que vous pouvez tenir",
+        "Préférez des limites claires à la surcharge"
+      ]
+    },
+    7: {
+      phase: "SOMMET • LUCIDITÉ",
+      title: "Lucidité",
+      description: "La clarté arrive, l’intuition guide",
+      paragraph:
+        "La lucidité traverse le bruit aujourd’hui. Les schémas deviennent évidents et le « vrai problème » est plus facile à nommer. Écoutez attentivement, écrivez-le et laissez la vérité simplifier votre prochain pas.",
+      bullets: [
+        "Écrivez 5 minutes : « Que se passe-t-il vraiment ? »",
+        "Cherchez le schéma sous le problème",
+        "Décidez d’une chose que vous cesserez de tolérer",
+        "Choisissez le prochain pas le plus simple qui respecte cette clarté"
+      ]
+    },
+    8: {
+      phase: "SOMMET • DÉFI",
+      title: "Défi",
+      description: "La force est mise à l’épreuve, la détermination s’affermit",
+      paragraph:
+        "C’est le bord du sommet : le jour qui construit la solidité. La résistance montre où vous grandissez. Affrontez directement la chose difficile et vous en ressortirez plus fort et plus clair.",
+      bullets: [
+        "Commencez par la tâche la plus évitée",
+        "Tenez une limite que vous laissiez fléchir",
+        "Voyez la friction comme un retour, pas un échec",
+        "Choisissez le courage dans une action précise"
+      ]
+    },
+    9: {
+      phase: "CRÊTE • TRANSITION",
+      title: "Transition",
+      description: "La vague tourne, la réflexion commence",
+      paragraph:
+        "La crête est un tournant : l’énergie passe de la poussée vers l’extérieur à l’affinage intérieur. C’est le jour idéal pour faire le point, réajuster la visée et changer de cap avec intention. Laissez la vague tourner sans la forcer.",
+      bullets: [
+        "Passez en revue réussites, leçons et changements",
+        "Décidez ce qui continue et ce qui s’arrête",
+        "Faites un ajustement net de direction",
+        "Ralentissez assez pour sentir ce qui est vrai"
+      ]
+    },
+    10: {
+      phase: "DESCENTE • RÉFLEXION",
+      title: "Réflexion",
+      description: "Regarder en soi révèle la croissance",
+      paragraph:
+        "La réflexion s’approfondit et la perspective s’élargit. Vous pouvez maintenant tirer plus du cycle écoulé que lorsque vous le traversiez à toute vitesse. Observez ce qui a marché, ce qui n’a pas marché, et pourquoi.",
+      bullets: [
+        "Demandez-vous : « Qu’est-ce que ce cycle m’a appris ? »",
+        "Nommez un schéma à renforcer et un autre à abandonner",
+        "Remerciez pour les progrès que vous n’aviez pas vus",
+        "Précisez à quoi ressemblera « mieux » la prochaine fois"
+      ]
+    },
+    11: {
+      phase: "DESCENTE • INTÉGRATION",
+      title: "Intégration",
+      description: "Le repos laisse la sagesse se déposer",
+      paragraph:
+        "L’intégration est le moment où la croissance devient réelle. Quand vous faites une pause, l’esprit et le corps digèrent ce que vous avez vécu. Accordez-vous de l’espace : le système se consolide et se renforce ici.",
+      bullets: [
+        "Privilégiez le sommeil, la récupération et la simplicité",
+        "Résumez ce que vous avez appris en une idée",
+        "Réduisez les sollicitations : moins de bruit, moins d’exigences",
+        "Laissez votre prochain pas émerger au lieu de le forcer"
+      ]
+    },
+    12: {
+      phase: "DESCENTE • RECALIBRAGE",
+      title: "Recalibrage",
+      description: "Ajustez votre trajectoire avec soin",
+      paragraph:
+        "Ce jour favorise les réglages fins. De petits ajustements maintenant évitent de grosses corrections plus tard. Soyez doux et précis : adaptez le plan à la réalité et à votre énergie.",
+      bullets: [
+        "Adaptez vos objectifs à la saison que vous traversez",
+        "Réduisez l’ampleur sans réduire l’engagement",
+        "Corrigez une habitude à la racine (pas le symptôme)",
+        "Réalignez agenda, outils et attentes"
+      ]
+    },
+    13: {
+      phase: "DESCENTE • LÂCHER-PRISE",
+      title: "Lâcher-prise",
+      description: "Laissez partir ce qui ne vous sert plus",
+      paragraph:
+        "Lâcher prise libère de la place pour la prochaine montée. Ce que vous gardez et qui est dépassé pèse plus lourd maintenant. Lâcher n’est pas perdre : c’est faire de la place pour ce qui vous correspond.",
+      bullets: [
+        "Désencombrez un espace : esprit, bureau, messagerie, agenda",
+        "Bouclez une affaire en suspens qui vous pèse",
+        "Dites « non » à quelque chose qui n’est pas aligné",
+        "Pardonnez, simplifiez et allégez votre charge"
+      ]
+    },
+    14: {
+      phase: "CREUX • TRAVAIL INTÉRIEUR",
+      title: "Travail intérieur",
+      description: "Plongez dans la découverte de vous-même",
+      paragraph:
+        "Le creux est une force tranquille : les vérités profondes remontent quand l’extérieur se calme. C’est un jour pour l’honnêteté, la lucidité et l’alignement intérieur. Le travail fait ici change tout en amont.",
+      bullets: [
+        "Choisissez la solitude ou un rythme plus lent",
+        "Demandez-vous : « Qu’est-ce que j’évite de ressentir ou d’admettre ? »",
+        "Faites une pratique d’ancrage (marche, respiration, prière, écriture)",
+        "Reconnectez-vous à vos valeurs et à votre direction"
+      ]
+    },
+    15: {
+      phase: "CREUX • GUÉRISON",
+      title: "Guérison",
+      description: "Des soins doux restaurent la vitalité",
+      paragraph:
+        "Guérir est une restauration active. Votre système répond mieux à la douceur aujourd’hui : nourriture, sécurité et soin patient. Traitez la récupération comme un progrès, car c’en est un.",
+      bullets: [
+        "Donnez à votre corps ce qu’il réclame",
+        "Préférez un mouvement doux à l’intensité",
+        "Acceptez du soutien : demandez, partagez ou reposez-vous",
+        "Réparez une relation, avec vous-même ou avec quelqu’un"
+      ]
+    },
+    16: {
+      phase: "CREUX • PRÉPARATION",
+      title: "Préparation",
+      description: "Rassemblez vos forces pour la montée à venir",
+      paragraph:
+        "La prochaine montée se forme : la préparation transforme l’intention en disponibilité. Une structure discrète maintenant crée de l’élan plus tard. Préparez le terrain pour que le Jour 1 soit net et puissant.",
+      bullets: [
+        "Organisez outils, espace et priorités",
+        "Prévoyez des marges : temps, repas, sommeil, ressources",
+        "Planifiez les premières étapes du prochain cycle",
+        "Retirez un blocage avant qu’il ne devienne un problème"
+      ]
+    },
+    17: {
+      phase: "ÉMERGENCE • FONDATIONS",
+      title: "Fondations",
+      description: "Posez les bases d’une nouvelle action",
+      paragraph:
+        "La vague recommence à monter. C’est une énergie de fondation : pratique, stable et tournée vers l’avant. Construisez la structure qui portera le prochain cycle : routines, systèmes et engagements solides.",
+      bullets: [
+        "Créez ou rafraîchissez un rythme quotidien",
+        "Esquissez le prochain projet en étapes simples",
+        "Faites le « travail de préparation » que vous sautez d’habitude",
+        "Engagez-vous sur la régularité plutôt que l’intensité"
+      ]
+    },
+    18: {
+      phase: "ÉMERGENCE • ACCOMPLISSEMENT",
+      title: "Accomplissement",
+      description: "Le cycle s’achève, le renouveau attend",
+      paragraph:
+        "L’accomplissement est une fin qui a du sens. Vous bouclez la boucle : rassemblez ce que vous avez appris, terminez ce qui compte et marquez la fin avec intention. Puis laissez le renouveau être réel, sans précipitation.",
+      bullets: [
+        "Terminez une chose clé et déclarez-la finie",
+        "Célébrez les progrès (même imparfaits)",
+        "Notez la leçon : « Au prochain cycle, je vais… »",
+        "Remettez à zéro : faites de la place pour un Jour 1 tout neuf"
+      ]
+    }
+  },
+  strings: {
+    "nav.origin": "Origine",
+    "nav.journal": "Journal",
+    "nav.history": "Historique",
+    "nav.print": "Imprimer",
+    "today.eyebrow": "La vague du jour",
+    "today.dayPill": "Jour {day}",
+    "today.duckAlt": "Le SineDuck du jour, Jour {day}",
+    "today.write": "Écrire aujourd’hui",
+    "today.explore": "Explorer cette vague",
+    "today.closeExplore": "Fermer la réflexion",
+    "today.emptyTitle": "La vague du jour vous attend",
+    "today.emptyBody": "Ajoutez votre premier profil pour commencer.",
+    "today.errorTitle": "La vague du jour se forme encore",
+    "today.errorBody": "Elle n’a pas encore pu être calculée. Réessayez dans un instant.",
+    "details.eyebrow": "Un peu plus loin",
+    "details.heading": "Explorez la vague du jour",
+    "details.imageAlt": "Illustration de la vague du SineDay {day}",
+    "origin.eyebrow": "Rythme personnel",
+    "origin.title": "Votre Origine",
+    "origin.addPerson": "Ajouter une personne",
+    "origin.manage": "Gérer",
+    "settings.languageRegion": "Langue et région",
+    "settings.language": "Langue",
+    "settings.region": "Région",
+    "settings.weekStarts": "Début de semaine",
+    "settings.weekAuto": "Automatique",
+    "settings.sunday": "Dimanche",
+    "settings.monday": "Lundi",
+    "settings.journalRecall": "Souvenirs du journal (cycles)",
+    "settings.off": "Désactivé",
+    "calendarFeed.title": "Abonnement calendrier",
+    "calendarFeed.profile": "Profil",
+    "calendarFeed.lookAhead": "Horizon",
+    "calendarFeed.show": "Afficher",
+    "calendarFeed.tasks": "Tâches du planificateur",
+    "journalEncryption.title": "Chiffrement du journal",
+    "email.subject": "Votre SineDay — Jour {day} : {title}",
+    "pdf.day.moodPrompt": "Comment avez-vous ressenti la vague du jour ? Entourez un canard.",
+    "pdf.day.moodHint": "Choisissez le canard qui correspond au moment.",
+    "pdf.day.journalFor": "Page de journal de {name}",
+    "pdf.day.journalDefault": "Page de journal SineDay",
+    "pdf.day.thoughts": "Pensées du jour"
+  }
+};
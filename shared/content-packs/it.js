@@ -0,0 +1,286 @@
+/**
+ * Italian SineDay content pack. Missing keys fall back to English.
+ */
+export default {
+  language: "it",
+  days: {
+    1: {
+      phase: "SALITA • INIZIO",
+      title: "Inizio",
+      description: "Nuovi inizi ti chiamano in avanti",
+      paragraph:
+        "Questo è l’inizio dell’onda: un bordo netto, un nuovo capitolo. Oggi le piccole scelte hanno un potere enorme perché stabiliscono la direzione. Scegli un inizio significativo e dagli un vero primo passo.",
+      bullets: [
+        "Scegli un solo 'seme' da cui partire (non cinque)",
+        "Fissa un’intenzione semplice da mettere in pratica oggi",
+        "Togli un ostacolo o una distrazione dal percorso",
+        "Fai il passo reale più piccolo che conti"
+      ]
+    },
+    2: {
+      phase: "ASCESA • SLANCIO",
+      title: "Slancio",
+      description: "L’energia cresce mentre avanzi",
+      paragraph:
+        "L’onda sale e la costanza diventa il tuo vantaggio. Ciò che ripeti oggi acquista velocità e presa. Mantieni tutto semplice, resta in movimento e lascia che i progressi si accumulino.",
+      bullets: [
+        "Ripeti il successo di ieri e costruiscici sopra",
+        "Lavora a brevi scatti invece di inseguire la perfezione",
+        "Muovi il corpo per muovere la tua energia",
+        "Elimina attriti: semplifica strumenti, passaggi e decisioni"
+      ]
+    },
+    3: {
+      phase: "ASCESA • CREATIVITÀ",
+      title: "Creatività",
+      description: "L’immaginazione scorre e le idee si accendono",
+      paragraph:
+        "La corrente creativa è forte: compaiono nuove prospettive e si aprono possibilità. È un giorno per esplorare e sperimentare con leggerezza. Annota subito le idee, poi dai forma concreta a una di esse.",
+      bullets: [
+        "Fai un brainstorming libero prima di scegliere",
+        "Prova un approccio, un formato o un ambiente nuovo",
+        "Annota le idee subito (appunti > memoria)",
+        "Trasforma un’idea in un prototipo veloce"
+      ]
+    },
+    4: {
+      phase: "ASCESA • CONNESSIONE",
+      title: "Connessione",
+      description: "L’energia sociale ti porta verso gli altri",
+      paragraph:
+        "Entrare in contatto ora è più facile: le conversazioni possono aprire chiarezza e opportunità. Condividi ciò che stai costruendo e lascia che le relazioni lo affinino. Lo scambio giusto oggi può farti risparmiare settimane.",
+      bullets: [
+        "Fatti sentire: un messaggio o una chiamata che contano",
+        "Collabora, chiedi un parere o offri aiuto",
+        "Racconta la tua direzione attuale in una frase",
+        "Rafforza la fiducia: mantieni una piccola promessa"
+      ]
+    },
+    5: {
+      phase: "ASCESA • PRODUTTIVITÀ",
+      title: "Produttività",
+      description: "La concentrazione si affina, i compiti si completano",
+      paragraph:
+        "È un giorno forte per l’esecuzione: l’onda sostiene il fare e il concludere. Ti sentirai meglio quando consegnerai qualcosa di reale. Scegli il lavoro prioritario, proteggi il tuo tempo e chiudi i cerchi aperti.",
+      bullets: [
+        "Scegli i 1–3 risultati principali e ignora il resto",
+        "Raggruppa le attività e riduci i cambi di contesto",
+        "Completa e consegna (finire prima di ampliare)",
+        "Sistema i dettagli: risposte, file, prossimi passi"
+      ]
+    },
+    6: {
+      phase: "VETTA • EQUILIBRIO",
+      title: "Equilibrio",
+      description: "L’armonia emerge in tutto ciò che fai",
+      paragraph:
+        "Dalla vetta vedi l’intero sistema: ciò che è allineato e ciò che ti decentra. È un giorno per stabilizzare, rifinire e fare aggiustamenti che portino leggerezza. Equilibrio non è fare meno; è scegliere ciò che si adatta.",
+      bullets: [
+        "Ribilancia l’impegno: lavoro, salute, relazioni, riposo",
+        "Adatta le priorità a ciò che conta adesso",
+        "Crea un ritmo che puoi sostenere",
+        "Scegli confini chiari invece di impegnarti troppo"
+      ]
+    },
+    7: {
+      phase: "VETTA • INTUIZIONE",
+      title: "Intuizione",
+      description: "Arriva la chiarezza, l’intuito guida",
+      paragraph:
+        "Oggi l’intuizione taglia il rumore. Gli schemi diventano evidenti ed è più facile dare un nome al 'vero problema'. Ascolta con attenzione, scrivilo e lascia che la verità semplifichi il tuo prossimo passo.",
+      bullets: [
+        "Scrivi per 5 minuti: 'Che cosa sta succedendo davvero?'",
+        "Cerca lo schema sotto il problema",
+        "Decidi una cosa che smetterai di tollerare",
+        "Scegli il passo successivo più semplice che rispetti la chiarezza"
+      ]
+    },
+    8: {
+      phase: "VETTA • SFIDA",
+      title: "Sfida",
+      description: "La forza è messa alla prova, la determinazione si rafforza",
+      paragraph:
+        "Questo è il bordo della vetta: il giorno che costruisce resistenza. La fatica mostra dove stai crescendo. Affronta direttamente la cosa difficile e ne uscirai più forte e più lucido.",
+      bullets: [
+        "Inizia dal compito che hai evitato di più",
+        "Mantieni un confine che stavi piegando",
+        "Usa l’attrito come riscontro, non come fallimento",
+        "Scegli il coraggio in un’azione precisa"
+      ]
+    },
+    9: {
+      phase: "CRESTA • TRANSIZIONE",
+      title: "Transizione",
+      description: "L’onda gira, inizia la riflessione",
+      paragraph:
+        "La cresta è un punto di svolta: l’energia passa dalla spinta verso l’esterno alla rifinitura interiore. È il giorno perfetto per rivedere, rimirare e cambiare rotta con intenzione. Lascia che l’onda giri senza forzarla.",
+      bullets: [
+        "Rivedi successi, lezioni e ciò che è cambiato",
+        "Decidi cosa continua e cosa finisce",
+        "Fai una correzione di direzione netta",
+        "Rallenta abbastanza da sentire ciò che è vero"
+      ]
+    },
+    10: {
+      phase: "DISCESA • RIFLESSIONE",
+      title: "Riflessione",
+      description: "Guardarsi dentro rivela la crescita",
+      paragraph:
+        "La riflessione si fa più profonda e la prospettiva si allarga. Ora puoi imparare dal ciclo passato più di quanto potessi mentre lo attraversavi di corsa. Nota cosa ha funzionato, cosa no e perché.",
+      bullets: [
+        "Chiediti: 'Che cosa mi ha insegnato questo ciclo?'",
+        "Nomina uno schema da rafforzare e uno da abbandonare",
+        "Sii grato per i progressi che ti erano sfuggiti",
+        "Chiarisci come sarà 'meglio' la prossima volta"
+      ]
+    },
+    11: {
+      phase: "DISCESA • INTEGRAZIONE",
+      title: "Integrazione",
+      description: "Il riposo lascia sedimentare la saggezza",
+      paragraph:
+        "L’integrazione è il momento in cui la crescita diventa reale. Quando ti fermi, mente e corpo elaborano ciò che hai vissuto. Concediti spazio: qui il sistema si consolida e si rafforza.",
+      bullets: [
+        "Dai priorità a sonno, recupero e semplicità",
+        "Riassumi ciò che hai imparato in un solo concetto",
+        "Riduci gli stimoli: meno rumore, meno richieste",
+        "Lascia emergere il prossimo passo invece di forzarlo"
+      ]
+    },
+    12: {
+      phase: "DISCESA • RICALIBRAZIONE",
+      title: "Ricalibrazione",
+      description: "Correggi la rotta con cura",
+      paragraph:
+        "Questo giorno favorisce le regolazioni fini. Piccoli aggiustamenti ora evitano correzioni più grandi dopo. Sii gentile e preciso: adatta il piano alla realtà e alla tua energia.",
+      bullets: [
+        "Adatta i tuoi obiettivi alla stagione che stai vivendo",
+        "Riduci la portata senza ridurre l’impegno",
+        "Correggi un’abitudine alla radice (non il sintomo)",
+        "Riallinea agenda, strumenti e aspettative"
+      ]
+    },
+    13: {
+      phase: "DISCESA • RILASCIO",
+      title: "Rilascio",
+      description: "Lascia andare ciò che non ti serve più",
+      paragraph:
+        "Lasciare andare libera spazio per la prossima salita. Ciò che di superato ti porti dietro ora pesa di più. Lasciar andare non è perdere: è fare spazio a ciò che ti corrisponde.",
+      bullets: [
+        "Fai ordine in un’area: mente, scrivania, posta, agenda",
+        "Chiudi una questione aperta che ti porti dietro",
+        "Di’ 'no' a qualcosa che non è allineato",
+        "Perdona, semplifica e alleggerisci il tuo carico"
+      ]
+    },
+    14: {
+      phase: "VALLE • LAVORO INTERIORE",
+      title: "Lavoro interiore",
+      description: "Immergiti nella scoperta di te",
+      paragraph:
+        "La valle è forza silenziosa: le verità più profonde affiorano quando fuori si fa quiete. È un giorno per l’onestà, l’intuizione e l’allineamento interiore. Il lavoro fatto qui cambia tutto a monte.",
+      bullets: [
+        "Scegli la solitudine o un ritmo più lento",
+        "Chiediti: 'Che cosa evito di sentire o di ammettere?'",
+        "Fai una pratica che ti radichi (camminata, respiro, preghiera, diario)",
+        "Riconnettiti ai tuoi valori e alla tua direzione"
+      ]
+    },
+    15: {
+      phase: "VALLE • GUARIGIONE",
+      title: "Guarigione",
+      description: "Una cura gentile ripristina la vitalità",
+      paragraph:
+        "Guarire è un ripristino attivo. Oggi il tuo sistema risponde meglio alla dolcezza: nutrimento, sicurezza e cura paziente. Tratta il recupero come un progresso, perché lo è.",
+      bullets: [
+        "Dai al tuo corpo ciò che ti sta chiedendo",
+        "Preferisci un movimento dolce all’intensità",
+        "Accogli il sostegno: chiedi, condividi o riposa",
+        "Ripara una relazione, con te stesso o con qualcun altro"
+      ]
+    },
+    16: {
+      phase: "VALLE • PREPARAZIONE",
+      title: "Preparazione",
+      description: "Raccogli le forze per la salita che arriva",
+      paragraph:
+        "La prossima salita si sta formando: la preparazione trasforma l’intenzione in prontezza. Una struttura tranquilla ora crea slancio dopo. Prepara il terreno perché il Giorno 1 sia pulito e potente.",
+      bullets: [
+        "Organizza strumenti, spazio e priorità",
+        "Crea margini: tempo, cibo, sonno, risorse",
+        "Pianifica i primi passi del prossimo ciclo",
+        "Rimuovi un blocco prima che diventi un problema"
+      ]
+    },
+    17: {
+      phase: "RIEMERSIONE • FONDAMENTA",
+      title: "Fondamenta",
+      description: "Getta le basi per nuove azioni",
+      paragraph:
+        "L’onda ricomincia a sollevarsi. È energia di fondamenta: pratica, stabile e rivolta in avanti. Costruisci la struttura che sosterrà il prossimo ciclo: routine, sistemi e impegni che reggono.",
+      bullets: [
+        "Crea o rinnova un ritmo quotidiano",
+        "Abbozza il prossimo progetto in passi semplici",
+        "Fai il 'lavoro di preparazione' che di solito salti",
+        "Impegnati nella costanza più che nell’intensità"
+      ]
+    },
+    18: {
+      phase: "RIEMERSIONE • COMPIMENTO",
+      title: "Compimento",
+      description: "Il ciclo si completa, il rinnovamento attende",
+      paragraph:
+        "Il compimento è una conclusione che ha senso. Stai chiudendo il cerchio: raccogli ciò che hai imparato, finisci ciò che conta e segna la fine con intenzione. Poi lascia che il rinnovamento sia reale, senza fretta.",
+      bullets: [
+        "Finisci una cosa chiave e considerala completa",
+        "Festeggia i progressi (anche se imperfetti)",
+        "Annota la lezione: 'Nel prossimo ciclo, io…'",
+        "Azzera: fai spazio perché il Giorno 1 sembri nuovo"
+      ]
+    }
+  },
+  strings: {
+    "nav.origin": "Origine",
+    "nav.journal": "Diario",
+    "nav.history": "Cronologia",
+    "nav.print": "Stampa",
+    "today.eyebrow": "L’onda di oggi",
+    "today.dayPill": "Giorno {day}",
+    "today.duckAlt": "Il SineDuck di oggi, Giorno {day}",
+    "today.write": "Scrivi oggi",
+    "today.explore": "Esplora quest’onda",
+    "today.closeExplore": "Chiudi riflessione",
+    "today.emptyTitle": "L’onda di oggi ti aspetta",
+    "today.emptyBody": "Aggiungi il tuo primo profilo per iniziare.",
+    "today.errorTitle": "L’onda di oggi si sta ancora formando",
+    "today.errorBody": "Non è stato ancora possibile calcolarla. Riprova tra un momento.",
+    "details.eyebrow": "Un po’ più a fondo",
+    "details.heading": "Esplora l’onda di oggi",
+    "details.imageAlt": "Illustrazione dell’onda del SineDay {day}",
+    "origin.eyebrow": "Ritmo personale",
+    "origin.title": "La tua Origine",
+    "origin.addPerson": "Aggiungi persona",
+    "origin.manage": "Gestisci",
+    "settings.languageRegion": "Lingua e area geografica",
+    "settings.language": "Lingua",
+    "settings.region": "Area",
+    "settings.weekStarts": "La settimana inizia",
+    "settings.weekAuto": "Automatico",
+    "settings.sunday": "Domenica",
+    "settings.monday": "Lunedì",
+    "settings.journalRecall": "Ricordi del diario (cicli)",
+    "settings.off": "Disattivato",
+    "calendarFeed.title": "Calendario in abbonamento",
+    "calendarFeed.profile": "Profilo",
+    "calendarFeed.lookAhead": "Anticipo",
+    "calendarFeed.show": "Mostra",
+    "calendarFeed.tasks": "Attività del planner",
+    "journalEncryption.title": "Crittografia del diario",
+    "email.subject": "Il tuo SineDay — Giorno {day}: {title}",
+    "pdf.day.moodPrompt": "Come hai sentito l’onda di oggi? Cerchia una papera.",
+    "pdf.day.moodHint": "Scegli la papera che corrisponde al momento.",
+    "pdf.day.journalFor": "Pagina di diario di {name}",
+    "pdf.day.journalDefault": "Pagina di diario SineDay",
+    "pdf.day.thoughts": "Pensieri di oggi"
+  }
+};
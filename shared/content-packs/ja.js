@@ -0,0 +1,286 @@
+/**
+ * Japanese SineDay content pack. Missing keys fall back to English.
+ */
+export default {
+  language: "ja",
+  days: {
+    1: {
+      phase: "上昇 • はじまり",
+      title: "はじまり",
+      description: "新しい始まりがあなたを呼んでいます",
+      paragraph:
+        "ここから波が始まります。くっきりとした境目、新しい章。今日は小さな選択が方向を決めるため、大きな力を持ちます。意味のある始まりをひとつ選び、本当の一歩目を踏み出しましょう。",
+      bullets: [
+        "始める「種」をひとつだけ選ぶ（五つではなく）",
+        "今日行動に移せるシンプルな意図を決める",
+        "道の上の障害や気が散るものをひとつ取り除く",
+        "意味のあるいちばん小さな一歩を踏み出す"
+      ]
+    },
+    2: {
+      phase: "上り坂 • 勢い",
+      title: "勢い",
+      description: "前に進むほどエネルギーが高まります",
+      paragraph:
+        "波は上昇中で、続けることがあなたの強みになります。今日繰り返すことは速さと手応えを増していきます。シンプルに、動き続け、進歩を積み重ねていきましょう。",
+      bullets: [
+        "昨日うまくいったことを繰り返し、その上に積み上げる",
+        "完璧を目指すより短い集中を重ねる",
+        "体を動かしてエネルギーを巡らせる",
+        "摩擦を減らす：道具・手順・判断をシンプルに"
+      ]
+    },
+    3: {
+      phase: "上り坂 • 創造",
+      title: "創造",
+      description: "想像力が流れ、アイデアがひらめきます",
+      paragraph:
+        "創造の流れが強い日です。新しい視点が現れ、可能性が広がります。探求と遊び心のある実験に向いた一日。アイデアはすぐに書き留め、そのひとつを形にしてみましょう。",
+      bullets: [
+        "選別する前に自由にアイデアを出す",
+        "新しいやり方、形式、場所を試してみる",
+        "思いついたらすぐメモする（メモ＞記憶）",
+        "ひとつのアイデアを素早く試作する"
+      ]
+    },
+    4: {
+      phase: "上り坂 • つながり",
+      title: "つながり",
+      description: "人との交流へ心が向かいます",
+      paragraph:
+        "今はつながりが生まれやすい時期です。会話が明晰さやチャンスを開いてくれます。取り組んでいることを共有し、関係の中で磨いていきましょう。今日のよいやり取りが、後の何週間分もの手間を省いてくれます。",
+      bullets: [
+        "連絡をとる：意味のあるメッセージや電話をひとつ",
+        "協力する、意見を求める、助けを申し出る",
+        "今の方向性をひと言で伝える",
+        "小さな約束を守って信頼を深める"
+      ]
+    },
+    5: {
+      phase: "上り坂 • 生産性",
+      title: "生産性",
+      description: "集中が研ぎ澄まされ、物事が完了します",
+      paragraph:
+        "実行力の高い日です。波は「やること」と「終わらせること」を後押しします。何か形あるものを届けたとき、いちばん満たされるでしょう。優先すべき仕事を選び、時間を守り、やりかけを片づけましょう。",
+      bullets: [
+        "最重要の成果を1〜3個選び、それ以外は手放す",
+        "作業をまとめ、切り替えを減らす",
+        "仕上げて届ける（広げるより終わらせる）",
+        "返信・ファイル・次の一手など細かい残りを片づける"
+      ]
+    },
+    6: {
+      phase: "ピーク • バランス",
+      title: "バランス",
+      description: "すべての行いに調和が生まれます",
+      paragraph:
+        "ピークからは全体が見渡せます。何が整っていて、何が中心からずれているのか。安定させ、磨き、ゆとりを生む調整をする日です。バランスとは少なくすることではなく、合うものを選ぶことです。",
+      bullets: [
+        "仕事・健康・人間関係・休息への力配分を見直す",
+        "今大切なことに合わせて優先順位を調整する",
+        "続けられるリズムをつくる",
+        "抱え込みすぎるより、はっきりした境界線を選ぶ"
+      ]
+    },
+    7: {
+      phase: "ピーク • 洞察",
+      title: "洞察",
+      description: "明晰さが訪れ、直感が導きます",
+      paragraph:
+        "今日は洞察がノイズを切り裂きます。パターンがはっきり見え、「本当の問題」に名前をつけやすくなります。よく耳を傾け、書き留め、真実に次の一歩をシンプルにしてもらいましょう。",
+      bullets: [
+        "5分間書く：「本当は何が起きている？」",
+        "問題の下にあるパターンを探す",
+        "もう我慢しないことをひとつ決める",
+        "明晰さに沿った、いちばんシンプルな次の一歩を選ぶ"
+      ]
+    },
+    8: {
+      phase: "ピーク • 試練",
+      title: "試練",
+      description: "力が試され、決意が強まります",
+      paragraph:
+        "ピークの縁にあたる、しなやかな強さを育てる日です。抵抗は、あなたが成長している場所を示しています。難しいことに正面から向き合えば、より強く、よりクリアになって抜け出せます。",
+      bullets: [
+        "いちばん避けてきた作業から手をつける",
+        "ゆるめてしまっていた境界線を守る",
+        "摩擦を失敗ではなくフィードバックとして使う",
+        "具体的な行動ひとつで勇気を選ぶ"
+      ]
+    },
+    9: {
+      phase: "頂点 • 転換",
+      title: "転換",
+      description: "波が向きを変え、振り返りが始まります",
+      paragraph:
+        "頂点は転換点です。エネルギーは外へ押し出す力から、内側で磨く力へと移ります。振り返り、狙いを定め直し、意図をもって進路を変えるのにぴったりの日。無理をせず、波が向きを変えるのに任せましょう。",
+      bullets: [
+        "成果・学び・変化を振り返る",
+        "続けるものと終えるものを決める",
+        "方向をひとつ、すっきりと修正する",
+        "本当のことを感じられるくらいペースを落とす"
+      ]
+    },
+    10: {
+      phase: "下り坂 • 内省",
+      title: "内省",
+      description: "内側を見つめると成長が見えてきます",
+      paragraph:
+        "内省が深まり、視野が広がります。急いで駆け抜けていたときよりも、今のほうが前のサイクルから多くを学べます。何がうまくいき、何がいかなかったのか、そしてその理由に目を向けましょう。",
+      bullets: [
+        "問いかける：「このサイクルは何を教えてくれた？」",
+        "強めたいパターンと手放したいパターンをひとつずつ挙げる",
+        "見落としていた進歩に感謝する",
+        "次回の「より良い」がどんな姿かをはっきりさせる"
+      ]
+    },
+    11: {
+      phase: "下り坂 • 統合",
+      title: "統合",
+      description: "休むことで知恵が落ち着きます",
+      paragraph:
+        "統合は、成長が本物になる段階です。立ち止まると、心と体が経験したことを消化します。自分に余白を与えましょう。ここで全体が固まり、強くなります。",
+      bullets: [
+        "睡眠・回復・シンプルさを優先する",
+        "学んだことをひとつの気づきにまとめる",
+        "情報を減らす：雑音も要求も少なく",
+        "次の一歩を無理に決めず、自然に現れるのを待つ"
+      ]
+    },
+    12: {
+      phase: "下り坂 • 再調整",
+      title: "再調整",
+      description: "丁寧に進路を整えましょう",
+      paragraph:
+        "微調整に向いた日です。今の小さな修正が、後の大きな軌道修正を防ぎます。やさしく、そして正確に。現実と自分のエネルギーに合うよう計画を整えましょう。",
+      bullets: [
+        "今の季節に合わせて目標を見直す",
+        "コミットメントは保ったまま範囲を絞る",
+        "習慣をひとつ、症状ではなく根本から直す",
+        "予定・道具・期待を整え直す"
+      ]
+    },
+    13: {
+      phase: "下り坂 • 手放し",
+      title: "手放し",
+      description: "もう役に立たないものを手放しましょう",
+      paragraph:
+        "手放すことで、次の上昇のための余白が生まれます。抱えている古いものは、今いっそう重く感じられます。手放すことは失うことではなく、合うもののための場所をつくることです。",
+      bullets: [
+        "頭・机・受信箱・予定のどこかひとつを片づける",
+        "ずっと抱えている未完了をひとつ閉じる",
+        "合わないことに「いいえ」と言う",
+        "許し、シンプルにし、荷物を軽くする"
+      ]
+    },
+    14: {
+      phase: "谷 • 内なる作業",
+      title: "内なる作業",
+      description: "自分を深く見つめましょう",
+      paragraph:
+        "谷は静かな力です。外が静かになると、より深い真実が浮かび上がります。正直さ、洞察、内なる調和のための一日。ここでの取り組みが、この先のすべてを変えていきます。",
+      bullets: [
+        "ひとりの時間か、ゆっくりしたペースを選ぶ",
+        "問いかける：「感じたり認めたりするのを避けていることは？」",
+        "心を落ち着かせる習慣をひとつ（散歩・呼吸・祈り・日記）",
+        "自分の大切な価値観と方向につながり直す"
+      ]
+    },
+    15: {
+      phase: "谷 • 癒し",
+      title: "癒し",
+      description: "やさしいケアが活力を取り戻します",
+      paragraph:
+        "癒しは能動的な回復です。今日のあなたは、やわらかさに最もよく応えます。栄養、安心、そして辛抱強いケア。回復を進歩として扱いましょう。それは本当に進歩なのですから。",
+      bullets: [
+        "体がずっと求めていたものを与える",
+        "激しさより、やさしい運動を選ぶ",
+        "支えを受け取る：頼る、話す、休む",
+        "自分自身か誰かとの関係をひとつ修復する"
+      ]
+    },
+    16: {
+      phase: "谷 • 準備",
+      title: "準備",
+      description: "次の上昇に向けて力を蓄えましょう",
+      paragraph:
+        "次の上昇が形づくられつつあります。準備は意図を「整った状態」に変えます。今の静かな土台づくりが、後の勢いを生みます。1日目がすっきり力強く始まるよう舞台を整えましょう。",
+      bullets: [
+        "道具・空間・優先順位を整理する",
+        "時間・食事・睡眠・資源にゆとりをつくる",
+        "次のサイクルの最初の一歩を計画する",
+        "問題になる前に障害をひとつ取り除く"
+      ]
+    },
+    17: {
+      phase: "浮上 • 土台",
+      title: "土台",
+      description: "新しい行動の基盤を築きましょう",
+      paragraph:
+        "波が再び持ち上がり始めます。実際的で、着実で、前を向いた土台のエネルギーです。次のサイクルを支える構造を築きましょう。続く習慣、仕組み、約束を。",
+      bullets: [
+        "毎日のリズムをひとつつくる、または見直す",
+        "次のプロジェクトをシンプルな手順に分ける",
+        "いつも飛ばしてしまう「準備作業」をやる",
+        "強さより継続にコミットする"
+      ]
+    },
+    18: {
+      phase: "浮上 • 完成",
+      title: "完成",
+      description: "サイクルが完了し、再生が待っています",
+      paragraph:
+        "完成とは、意味のある締めくくりです。輪を閉じるときが来ました。学んだことを集め、大切なことをやり遂げ、意図をもって終わりを刻みましょう。そして再生を、急がず本物にしましょう。",
+      bullets: [
+        "大切なことをひとつやり遂げ、完了とする",
+        "進歩を祝う（不完全でも）",
+        "教訓を書き留める：「次のサイクルでは…」",
+        "リセット：1日目を新鮮に迎えるための余白をつくる"
+      ]
+    }
+  },
+  strings: {
+    "nav.origin": "オリジン",
+    "nav.journal": "ジャーナル",
+    "nav.history": "履歴",
+    "nav.print": "印刷",
+    "today.eyebrow": "今日の波",
+    "today.dayPill": "{day}日目",
+    "today.duckAlt": "今日のSineDuck、{day}日目",
+    "today.write": "今日を書く",
+    "today.explore": "この波を探る",
+    "today.closeExplore": "振り返りを閉じる",
+    "today.emptyTitle": "今日の波が待っています",
+    "today.emptyBody": "最初のプロフィールを追加して始めましょう。",
+    "today.errorTitle": "今日の波はまだ形成中です",
+    "today.errorBody": "まだ計算できませんでした。少し待ってからもう一度お試しください。",
+    "details.eyebrow": "もう少し深く",
+    "details.heading": "今日の波を探る",
+    "details.imageAlt": "SineDay {day} の波のアートワーク",
+    "origin.eyebrow": "パーソナルリズム",
+    "origin.title": "あなたのオリジン",
+    "origin.addPerson": "人を追加",
+    "origin.manage": "管理",
+    "settings.languageRegion": "言語と地域",
+    "settings.language": "言語",
+    "settings.region": "地域",
+    "settings.weekStarts": "週の始まり",
+    "settings.weekAuto": "自動",
+    "settings.sunday": "日曜日",
+    "settings.monday": "月曜日",
+    "settings.journalRecall": "日記の振り返り(周期)",
+    "settings.off": "オフ",
+    "calendarFeed.title": "カレンダー購読",
+    "calendarFeed.profile": "プロフィール",
+    "calendarFeed.lookAhead": "表示期間",
+    "calendarFeed.show": "表示",
+    "calendarFeed.tasks": "プランナーのタスク",
+    "journalEncryption.title": "日記の暗号化",
+    "email.subject": "あなたのSineDay — {day}日目：{title}",
+    "pdf.day.moodPrompt": "今日の波はどう感じましたか？ アヒルをひとつ丸で囲みましょう。",
+    "pdf.day.moodHint": "今の気分に合うアヒルを選びましょう。",
+    "pdf.day.journalFor": "{name}さんのジャーナルページ",
+    "pdf.day.journalDefault": "SineDay デイリージャーナルページ",
+    "pdf.day.thoughts": "今日の思い"
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * Portuguese SineDay content pack. Missing keys fall back to English.
+ */
+export default {
+  language: "pt",
+  days: {
+    1: {
+      phase: "SUBIDA • INÍCIO",
+      title: "Início",
+      description: "Novos começos chamam você para a frente",
+      paragraph:
+        "Este é o começo da onda — uma borda limpa, um novo capítulo. Pequenas escolhas têm hoje um poder enorme porque definem a direção. Escolha um começo significativo e dê a ele um primeiro passo real.",
+      bullets: [
+        "Escolha uma única 'semente' para começar (não cinco)",
+        "Defina uma intenção simples que você possa praticar hoje",
+        "Tire um obstáculo ou uma distração do caminho",
+        "Dê o menor passo real que conte"
+      ]
+    },
+    2: {
+      phase: "ASCENSÃO • IMPULSO",
+      title: "Impulso",
+      description: "A energia cresce enquanto você avança",
+      paragraph:
+        "A onda está subindo e a constância vira sua vantagem. O que você repete hoje ganha velocidade e tração. Mantenha simples, mantenha em movimento e deixe o progresso se acumular.",
+      bullets: [
+        "Repita a vitória de ontem e construa sobre ela",
+        "Use tiros curtos em vez de buscar perfeição",
+        "Mova o corpo para mover sua energia",
+        "Tire o atrito: simplifique ferramentas, etapas e decisões"
+      ]
+    },
+    3: {
+      phase: "ASCENSÃO • CRIATIVIDADE",
+      title: "Criatividade",
+      description: "A imaginação flui e as ideias surgem",
+      paragraph:
+        "A corrente criativa está forte — novos ângulos aparecem e possibilidades se abrem. É um dia para explorar e experimentar com leveza. Registre as ideias rápido e depois transforme uma delas em algo concreto.",
+      bullets: [
+        "Faça um brainstorm livre antes de editar",
+        "Teste uma abordagem, um formato ou um ambiente novo",
+        "Anote as ideias na hora (notas > memória)",
+        "Transforme uma ideia em um protótipo rápido"
+      ]
+    },
+    4: {
+      phase: "ASCENSÃO • CONEXÃO",
+      title: "Conexão",
+      description: "A energia social puxa você para fora",
+      paragraph:
+        "A conexão fica mais fácil agora — conversas podem abrir clareza e oportunidades. Compartilhe o que você está construindo e deixe as relações refinarem isso. A troca certa hoje pode poupar semanas depois.",
+      bullets: [
+        "Procure alguém: uma mensagem ou ligação significativa",
+        "Colabore, peça opinião ou ofereça ajuda",
+        "Compartilhe sua direção atual em uma frase",
+        "Fortaleça a confiança: cumpra uma pequena promessa"
+      ]
+    },
+    5: {
+      phase: "ASCENSÃO • PRODUTIVIDADE",
+      title: "Produtividade",
+      description: "O foco se afia e as tarefas se completam",
+      paragraph:
+        "É um dia forte de execução — a onda apoia fazer e terminar. Você vai se sentir melhor quando entregar algo real. Escolha o trabalho prioritário, proteja seu tempo e feche pendências.",
+      bullets: [
+        "Escolha os 1–3 resultados principais e ignore o resto",
+        "Agrupe tarefas e reduza as trocas de contexto",
+        "Termine e entregue (concluir antes de expandir)",
+        "Arrume as pontas soltas: respostas, arquivos, próximos passos"
+      ]
+    },
+    6: {
+      phase: "PICO • EQUILÍBRIO",
+      title: "Equilíbrio",
+      description: "A harmonia aparece em tudo o que você faz",
+      paragraph:
+        "No pico, você enxerga o sistema inteiro — o que está alinhado e o que tira você do centro. É um dia para estabilizar, refinar e fazer ajustes que tragam leveza. Equilíbrio não é fazer menos; é escolher o que cabe.",
+      bullets: [
+        "Reequilibre o esforço: trabalho, saúde, relações, descanso",
+        "Ajuste prioridades ao que importa agora",
+        "Crie um ritmo que você consiga sustentar",
+        "Prefira limites claros a compromissos demais"
+      ]
+    },
+    7: {
+      phase: "PICO • PERCEPÇÃO",
+      title: "Percepção",
+      description: "A clareza chega, a intuição guia",
+      paragraph:
+        "A percepção corta o ruído hoje. Os padrões ficam óbvios e o 'problema de verdade' é mais fácil de nomear. Escute com atenção, escreva e deixe a verdade simplificar seu próximo passo.",
+      bullets: [
+        "Escreva por 5 minutos: 'O que está realmente acontecendo?'",
+        "Procure o padrão por baixo do problema",
+        "Decida uma coisa que você vai parar de tolerar",
+        "Escolha o próximo passo mais simples que honre a clareza"
+      ]
+    },
+    8: {
+      phase: "PICO • DESAFIO",
+      title: "Desafio",
+      description: "A força é testada, a determinação se fortalece",
+      paragraph:
+        "Esta é a borda do pico — o dia que constrói resistência. A resistência mostra onde você está crescendo. Enfrente a coisa difícil de frente e você sairá mais forte e mais claro.",
+      bullets: [
+        "Comece pela tarefa mais evitada",
+        "Mantenha um limite que você vinha cedendo",
+        "Use o atrito como retorno, não como fracasso",
+        "Escolha a coragem em uma ação específica"
+      ]
+    },
+    9: {
+      phase: "CRISTA • TRANSIÇÃO",
+      title: "Transição",
+      description: "A onda vira, a reflexão começa",
+      paragraph:
+        "A crista é um ponto de virada — a energia passa do impulso para fora ao refinamento para dentro. É um dia perfeito para revisar, reorientar e mudar de rumo com intenção. Deixe a onda virar sem forçá-la.",
+      bullets: [
+        "Revise conquistas, lições e o que mudou",
+        "Decida o que continua e o que termina",
+        "Faça um ajuste claro de direção",
+        "Desacelere o bastante para sentir o que é verdadeiro"
+      ]
+    },
+    10: {
+      phase: "DESCIDA • REFLEXÃO",
+      title: "Reflexão",
+      description: "Olhar para dentro revela crescimento",
+      paragraph:
+        "A reflexão se aprofunda e a perspectiva se amplia. Agora você aprende mais com o último ciclo do que enquanto passava por ele às pressas. Observe o que funcionou, o que não funcionou e por quê.",
+      bullets: [
+        "Pergunte-se: 'O que este ciclo me ensinou?'",
+        "Nomeie um padrão para reforçar e outro para aposentar",
+        "Agradeça pelo progresso que passou despercebido",
+        "Esclareça como seria 'melhor' na próxima vez"
+      ]
+    },
+    11: {
+      phase: "DESCIDA • INTEGRAÇÃO",
+      title: "Integração",
+      description: "O descanso deixa a sabedoria assentar",
+      paragraph:
+        "A integração é onde o crescimento se torna real. Quando você pausa, mente e corpo processam o que foi vivido. Dê espaço a si mesmo — o sistema se consolida e se fortalece aqui.",
+      bullets: [
+        "Priorize sono, recuperação e simplicidade",
+        "Organize o que aprendeu em uma única conclusão",
+        "Reduza estímulos: menos ruído, menos exigências",
+        "Deixe o próximo passo surgir em vez de forçá-lo"
+      ]
+    },
+    12: {
+      phase: "DESCIDA • RECALIBRAGEM",
+      title: "Recalibragem",
+      description: "Ajuste seu rumo com cuidado",
+      paragraph:
+        "Este dia favorece o ajuste fino. Pequenas mudanças agora evitam correções maiores depois. Seja gentil e preciso — ajuste o plano para que combine com a realidade e com sua energia.",
+      bullets: [
+        "Ajuste suas metas à fase em que você está",
+        "Reduza o escopo sem reduzir o compromisso",
+        "Corrija um hábito pela raiz (não o sintoma)",
+        "Realinhe agenda, ferramentas e expectativas"
+      ]
+    },
+    13: {
+      phase: "DESCIDA • DESAPEGO",
+      title: "Desapego",
+      description: "Solte o que já não serve",
+      paragraph:
+        "Desapegar abre espaço para a próxima subida. O que você carrega de ultrapassado fica mais pesado agora. Soltar não é perder — é abrir espaço para o que combina com você.",
+      bullets: [
+        "Organize uma área: mente, mesa, caixa de entrada, agenda",
+        "Feche uma pendência que você vem carregando",
+        "Diga 'não' a algo desalinhado",
+        "Perdoe, simplifique e alivie sua carga"
+      ]
+    },
+    14: {
+      phase: "VALE • TRABALHO INTERIOR",
+      title: "Trabalho interior",
+      description: "Mergulhe fundo no autoconhecimento",
+      paragraph:
+        "O vale é poder silencioso — verdades mais profundas surgem quando o lado de fora fica quieto. É um dia para honestidade, percepção e alinhamento interior. O trabalho aqui muda tudo o que vem depois.",
+      bullets: [
+        "Escolha a solidão ou um ritmo mais lento",
+        "Pergunte-se: 'O que estou evitando sentir ou admitir?'",
+        "Faça uma prática de aterramento (caminhada, respiração, oração, diário)",
+        "Reconecte-se com seus valores e sua direção"
+      ]
+    },
+    15: {
+      phase: "VALE • CURA",
+      title: "Cura",
+      description: "O cuidado gentil restaura a vitalidade",
+      paragraph:
+        "Curar é restauração ativa. Seu sistema responde melhor à suavidade hoje — alimento, segurança e cuidado paciente. Trate a recuperação como progresso, porque ela é.",
+      bullets: [
+        "Dê ao seu corpo o que ele vem pedindo",
+        "Prefira movimentos suaves à intensidade",
+        "Aceite apoio: peça, compartilhe ou descanse",
+        "Repare uma relação — consigo ou com outra pessoa"
+      ]
+    },
+    16: {
+      phase: "VALE • PREPARAÇÃO",
+      title: "Preparação",
+      description: "Reúna forças para a subida que vem",
+      paragraph:
+        "A próxima subida está se formando — a preparação transforma intenção em prontidão. Uma estrutura tranquila agora cria impulso depois. Prepare o terreno para que o Dia 1 seja limpo e poderoso.",
+      bullets: [
+        "Organize ferramentas, espaço e prioridades",
+        "Crie folgas: tempo, comida, sono, recursos",
+        "Planeje os primeiros passos do próximo ciclo",
+        "Remova um bloqueio antes que vire problema"
+      ]
+    },
+    17: {
+      phase: "EMERGÊNCIA • ALICERCE",
+      title: "Alicerce",
+      description: "Prepare o terreno para uma nova ação",
+      paragraph:
+        "A onda começa a subir de novo. É energia de alicerce — prática, estável e voltada para a frente. Construa a estrutura que vai sustentar o próximo ciclo: rotinas, sistemas e compromissos que se mantêm.",
+      bullets: [
+        "Crie ou renove um ritmo diário",
+        "Esboce o próximo projeto em passos simples",
+        "Faça o 'trabalho de preparação' que você costuma pular",
+        "Comprometa-se com a constância em vez da intensidade"
+      ]
+    },
+    18: {
+      phase: "EMERGÊNCIA • CULMINAÇÃO",
+      title: "Culminação",
+      description: "O ciclo se completa, a renovação espera",
+      paragraph:
+        "Culminação é conclusão com sentido. Você está fechando o ciclo — reúna o que aprendeu, termine o que importa e marque o fim com intenção. Depois deixe a renovação ser real, sem pressa.",
+      bullets: [
+        "Termine uma coisa importante e dê por concluída",
+        "Celebre o progresso (mesmo que imperfeito)",
+        "Registre a lição: 'No próximo ciclo, eu vou…'",
+        "Recomece: abra espaço para o Dia 1 parecer novo"
+      ]
+    }
+  },
+  strings: {
+    "nav.origin": "Origem",
+    "nav.journal": "Diário",
+    "nav.history": "Histórico",
+    "nav.print": "Imprimir",
+    "today.eyebrow": "A onda de hoje",
+    "today.dayPill": "Dia {day}",
+    "today.duckAlt": "O SineDuck de hoje, Dia {day}",
+    "today.write": "Escrever hoje",
+    "today.explore": "Explorar esta onda",
+    "today.closeExplore": "Fechar reflexão",
+    "today.emptyTitle": "A onda de hoje está esperando",
+    "today.emptyBody": "Adicione seu primeiro perfil para começar.",
+    "today.errorTitle": "A onda de hoje ainda está se formando",
+    "today.errorBody": "Ainda não foi possível calculá-la. Tente novamente em instantes.",
+    "details.eyebrow": "Um pouco mais fundo",
+    "details.heading": "Explore a onda de hoje",
+    "details.imageAlt": "Arte da onda do SineDay {day}",
+    "origin.eyebrow": "Ritmo pessoal",
+    "origin.title": "Sua Origem",
+    "origin.addPerson": "Adicionar pessoa",
+    "origin.manage": "Gerenciar",
+    "settings.languageRegion": "Idioma e região",
+    "settings.language": "Idioma",
+    "settings.region": "Região",
+    "settings.weekStarts": "A semana começa",
+    "settings.weekAuto": "Automático",
+    "settings.sunday": "Domingo",
+    "settings.monday": "Segunda-feira",
+    "settings.journalRecall": "Memórias do diário (ciclos)",
+    "settings.off": "Desativado",
+    "calendarFeed.title": "Assinatura de calendário",
+    "calendarFeed.profile": "Perfil",
+    "calendarFeed.lookAhead": "Antecedência",
+    "calendarFeed.show": "Mostrar",
+    "calendarFeed.tasks": "Tarefas do planejador",
+    "journalEncryption.title": "Criptografia do diário",
+    "email.subject": "Seu SineDay — Dia {day}: {title}",
+    "pdf.day.moodPrompt": "Como foi sentir a onda do dia? Circule um pato.",
+    "pdf.day.moodHint": "Escolha o pato que combina com o momento.",
+    "pdf.day.journalFor": "Página de diário de {name}",
+    "pdf.day.journalDefault": "Página de diário SineDay",
+    "pdf.day.thoughts": "Pensamentos de hoje"
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * Simplified Chinese SineDay content pack. Missing keys fall back to English.
+ */
+export default {
+  language: "zh",
+  days: {
+    1: {
+      phase: "上升 • 启程",
+      title: "启程",
+      description: "新的开始在召唤你向前",
+      paragraph:
+        "这是波浪的起点——清晰的边界，新的篇章。今天的小选择拥有超乎寻常的力量，因为它们决定方向。挑选一个有意义的开始，并为它迈出真正的第一步。",
+      bullets: [
+        "只选一颗“种子”开始（不要同时开五个头）",
+        "设定一个今天就能付诸行动的简单意图",
+        "清除路上的一个障碍或干扰",
+        "迈出最小但真正算数的一步"
+      ]
+    },
+    2: {
+      phase: "攀升 • 动力",
+      title: "动力",
+      description: "随着前进，能量不断积聚",
+      paragraph:
+        "波浪正在上升，坚持成为你的优势。今天重复的事情会获得速度和抓地力。保持简单，保持前进，让进步不断累积。",
+      bullets: [
+        "重复昨天的成功，并在此基础上继续",
+        "用短时冲刺代替追求完美",
+        "活动身体，让能量流动起来",
+        "减少阻力：简化工具、步骤和决定"
+      ]
+    },
+    3: {
+      phase: "攀升 • 创造",
+      title: "创造",
+      description: "想象力流动，灵感迸发",
+      paragraph:
+        "创造的潮流很强——新的角度出现，可能性随之打开。今天适合探索和带着玩心去尝试。迅速记下想法，然后把其中一个变成具体的东西。",
+      bullets: [
+        "先自由发散，再去筛选",
+        "尝试新的方法、形式或环境",
+        "想法立即记下（笔记胜过记忆）",
+        "把一个想法做成快速原型"
+      ]
+    },
+    4: {
+      phase: "攀升 • 连结",
+      title: "连结",
+      description: "社交能量把你引向外界",
+      paragraph:
+        "现在更容易建立连结——对话能带来清晰与机会。分享你正在做的事，让关系帮助你打磨它。今天一次对的交流，可能为你省下之后几周的时间。",
+      bullets: [
+        "主动联系：一条有意义的消息或一通电话",
+        "合作、请求反馈或主动提供帮助",
+        "用一句话说清你目前的方向",
+        "增进信任：兑现一个小承诺"
+      ]
+    },
+    5: {
+      phase: "攀升 • 高效",
+      title: "高效",
+      description: "专注变得敏锐，任务得以完成",
+      paragraph:
+        "这是执行力很强的一天——波浪支持你去做、去完成。当你交付出真实的成果时会感觉最好。选择优先的工作，守护你的时间，把未完成的事收尾。",
+      bullets: [
+        "选出最重要的 1–3 个成果，其余暂时放下",
+        "集中处理同类任务，减少切换",
+        "完成并交付（先完成，再扩展）",
+        "清理零碎事项：回复、文件、下一步"
+      ]
+    },
+    6: {
+      phase: "高峰 • 平衡",
+      title: "平衡",
+      description: "和谐在你所做的一切中浮现",
+      paragraph:
+        "站在高峰，你能看清整个系统——哪些是协调的，哪些让你偏离中心。今天适合稳定、精炼，并做出让一切更轻松的调整。平衡不是做得更少，而是选择合适的。",
+      bullets: [
+        "重新分配精力：工作、健康、关系、休息",
+        "根据当下最重要的事调整优先级",
+        "建立你能持续的节奏",
+        "选择清晰的界限，而不是过度承诺"
+      ]
+    },
+    7: {
+      phase: "高峰 • 洞察",
+      title: "洞察",
+      description: "清晰到来，直觉引路",
+      paragraph:
+        "今天，洞察力能穿透杂音。模式变得明显，“真正的问题”也更容易说出口。认真倾听，把它写下来，让真相简化你的下一步。",
+      bullets: [
+        "写 5 分钟日记：“到底发生了什么？”",
+        "寻找问题背后的模式",
+        "决定一件你不再容忍的事",
+        "选择尊重这份清晰的最简单的下一步"
+      ]
+    },
+    8: {
+      phase: "高峰 • 挑战",
+      title: "挑战",
+      description: "力量经受考验，决心更加坚定",
+      paragraph:
+        "这是高峰的边缘——锻造韧性的一天。阻力显示出你正在成长的地方。直面困难的事，你会变得更强、更清晰。",
+      bullets: [
+        "先处理最想逃避的任务",
+        "守住一直在让步的界限",
+        "把摩擦当作反馈，而不是失败",
+        "在一个具体行动中选择勇气"
+      ]
+    },
+    9: {
+      phase: "波峰 • 转折",
+      title: "转折",
+      description: "波浪转向，反思开始",
+      paragraph:
+        "波峰是转折点——能量从向外推进转为向内精炼。这是回顾、重新瞄准、有意识地调整方向的绝佳日子。让波浪自然转向，不要强求。",
+      bullets: [
+        "回顾收获、教训和变化",
+        "决定哪些继续，哪些结束",
+        "对方向做一次干净利落的调整",
+        "放慢脚步，感受什么是真实的"
+      ]
+    },
+    10: {
+      phase: "下降 • 反思",
+      title: "反思",
+      description: "向内看，会发现成长",
+      paragraph:
+        "反思加深，视野开阔。与匆忙经历时相比，现在你能从上一个周期中学到更多。留意什么有效、什么无效，以及原因。",
+      bullets: [
+        "问自己：“这个周期教会了我什么？”",
+        "说出一个要强化的模式和一个要放下的模式",
+        "感恩那些被你忽略的进步",
+        "想清楚下一次“更好”是什么样子"
+      ]
+    },
+    11: {
+      phase: "下降 • 整合",
+      title: "整合",
+      description: "休息让智慧沉淀",
+      paragraph:
+        "整合是成长变为现实的阶段。当你停下来，身心会消化你所经历的一切。给自己留出空间——系统在这里巩固并变得更强。",
+      bullets: [
+        "优先保证睡眠、恢复和简单",
+        "把学到的东西归纳成一个要点",
+        "减少输入：更少噪音，更少要求",
+        "让下一步自然浮现，而不是硬推"
+      ]
+    },
+    12: {
+      phase: "下降 • 校准",
+      title: "校准",
+      description: "细心调整你的方向",
+      paragraph:
+        "今天适合微调。现在的小调整能避免以后的大修正。温柔而精准——调整计划，让它符合现实和你的能量。",
+      bullets: [
+        "根据你所处的阶段调整目标",
+        "缩小范围，但不降低投入",
+        "从根源上改正一个习惯（而不是症状）",
+        "重新对齐日程、工具和期望"
+      ]
+    },
+    13: {
+      phase: "下降 • 释放",
+      title: "释放",
+      description: "放下不再适合你的东西",
+      paragraph:
+        "释放为下一次上升腾出空间。你所背负的过时之物现在显得更重。放下不是失去——而是为适合的东西腾出位置。",
+      bullets: [
+        "整理一个区域：头脑、书桌、收件箱、日程",
+        "了结一件一直压在心上的事",
+        "对不合适的事说“不”",
+        "原谅、简化，减轻你的负担"
+      ]
+    },
+    14: {
+      phase: "低谷 • 内在功课",
+      title: "内在功课",
+      description: "深入探索自我",
+      paragraph:
+        "低谷是安静的力量——当外界安静下来，更深的真相会浮出水面。今天适合诚实、洞察和内在的校准。这里的功课会改变之后的一切。",
+      bullets: [
+        "选择独处或放慢节奏",
+        "问自己：“我在回避感受或承认什么？”",
+        "做一项让自己扎根的练习（散步、呼吸、祈祷、写日记）",
+        "重新连接你的核心价值与方向"
+      ]
+    },
+    15: {
+      phase: "低谷 • 疗愈",
+      title: "疗愈",
+      description: "温柔的照顾让活力恢复",
+      paragraph:
+        "疗愈是积极的修复。今天你的身心对柔和的方式反应最好——滋养、安全和耐心的照顾。把恢复当作进步，因为它本来就是。",
+      bullets: [
+        "给身体它一直在要求的东西",
+        "选择温和的运动，而不是高强度",
+        "接受支持：开口求助、倾诉或休息",
+        "修复一段关系——与自己或与他人"
+      ]
+    },
+    16: {
+      phase: "低谷 • 准备",
+      title: "准备",
+      description: "为即将到来的上升积蓄力量",
+      paragraph:
+        "下一次上升正在成形——准备把意图变成就绪。现在安静地打好结构，之后就会有动力。布置好舞台，让第 1 天清爽而有力。",
+      bullets: [
+        "整理工具、空间和优先级",
+        "留出余量：时间、饮食、睡眠、资源",
+        "规划下一个周期的最初几步",
+        "在问题出现之前清除一个障碍"
+      ]
+    },
+    17: {
+      phase: "浮现 • 根基",
+      title: "根基",
+      description: "为新的行动打下基础",
+      paragraph:
+        "波浪开始再次上扬。这是根基的能量——务实、稳定、面向前方。搭建能承载下一个周期的结构：能坚持的习惯、系统和承诺。",
+      bullets: [
+        "建立或更新一个日常节奏",
+        "把下一个项目拆成简单步骤",
+        "做那些你通常跳过的“准备工作”",
+        "选择持续，而不是强度"
+      ]
+    },
+    18: {
+      phase: "浮现 • 圆满",
+      title: "圆满",
+      description: "周期完成，新生在等待",
+      paragraph:
+        "圆满是有意义的完成。你正在画上句号——收集所学，完成重要的事，有意识地标记结束。然后让新生真实到来，而不是匆匆而过。",
+      bullets: [
+        "完成一件关键的事，并宣告它已完成",
+        "庆祝进步（即使并不完美）",
+        "记下教训：“下一个周期，我会……”",
+        "重置：为焕然一新的第 1 天腾出空间"
+      ]
+    }
+  },
+  strings: {
+    "nav.origin": "本源",
+    "nav.journal": "日记",
+    "nav.history": "历史",
+    "nav.print": "打印",
+    "today.eyebrow": "今日之波",
+    "today.dayPill": "第 {day} 天",
+    "today.duckAlt": "今日的 SineDuck，第 {day} 天",
+    "today.write": "写下今天",
+    "today.explore": "探索这道波",
+    "today.closeExplore": "关闭反思",
+    "today.emptyTitle": "今日之波正在等你",
+    "today.emptyBody": "添加你的第一个档案即可开始。",
+    "today.errorTitle": "今日之波仍在形成",
+    "today.errorBody": "暂时无法计算，请稍后再试。",
+    "details.eyebrow": "再深入一点",
+    "details.heading": "探索今日之波",
+    "details.imageAlt": "SineDay 第 {day} 天的波浪插图",
+    "origin.eyebrow": "个人节律",
+    "origin.title": "你的本源",
+    "origin.addPerson": "添加人员",
+    "origin.manage": "管理",
+    "settings.languageRegion": "语言与地区",
+    "settings.language": "语言",
+    "settings.region": "地区",
+    "settings.weekStarts": "每周开始于",
+    "settings.weekAuto": "自动",
+    "settings.sunday": "星期日",
+    "settings.monday": "星期一",
+    "settings.journalRecall": "日记回顾(周期)",
+    "settings.off": "关闭",
+    "calendarFeed.title": "日历订阅",
+    "calendarFeed.profile": "档案",
+    "calendarFeed.lookAhead": "预览范围",
+    "calendarFeed.show": "显示",
+    "calendarFeed.tasks": "计划任务",
+    "journalEncryption.title": "日记加密",
+    "email.subject": "你的 SineDay — 第 {day} 天：{title}",
+    "pdf.day.moodPrompt": "今天的波浪感觉如何？圈出一只鸭子。",
+    "pdf.day.moodHint": "选择最符合此刻心情的鸭子。",
+    "pdf.day.journalFor": "{name} 的日记页",
+    "pdf.day.journalDefault": "SineDay 每日日记页",
+    "pdf.day.thoughts": "今日所思"
+  }
+};
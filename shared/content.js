@@ -0,0 +1,69 @@
+/**
+ * SineDay content packs — localized day copy and UI strings.
+ * Shared by client (engine, dashboard) and server (email, PDFs).
+ *
+ * Every lookup falls back to English per key, so a pack can ship with
+ * only some strings translated and never render a blank.
+ */
+import en from "./content-packs/en.js";
+import es from "./content-packs/es.js";
+import fr from "./content-packs/fr.js";
+import de from "./content-packs/de.js";
+import pt from "./content-packs/pt.js";
+import it from "./content-packs/it.js";
+import ja from "./content-packs/ja.js";
+import zh from "./content-packs/zh.js";
+import ar from "./content-packs/ar.js";
+import { langFromLocale } from "./i18n.js";
+
+export const DEFAULT_CONTENT_LANGUAGE = "en";
+
+const PACKS = Object.freeze({ en, es, fr, de, pt, it, ja, zh, ar });
+
+export const CONTENT_LANGUAGES = Object.freeze(Object.keys(PACKS));
+
+/** "es", "es-MX", "ES_mx" → "es"; anything without a pack → "en" */
+export function resolveContentLanguage(value) {
+  const lang = langFromLocale(String(value || "").replace("_", "-"));
+  return Object.hasOwn(PACKS, lang) ? lang : DEFAULT_CONTENT_LANGUAGE;
+}
+
+function hasText(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Day copy for 1..18: { phase, title, description, paragraph, bullets }.
+ * Returns null for an unknown day.
+ */
+export function getDayContent(day, language = DEFAULT_CONTENT_LANGUAGE) {
+  const base = en.days[day];
+  if (!base) return null;
+
+  const local = PACKS[resolveContentLanguage(language)].days?.[day] || {};
+  const bullets =
+    Array.isArray(local.bullets) && local.bullets.length && local.bullets.every(hasText)
+      ? local.bullets
+      : base.bullets;
+
+  return {
+    phase: hasText(local.phase) ? local.phase : base.phase,
+    title: hasText(local.title) ? local.title : base.title,
+    description: hasText(local.description) ? local.description : base.description,
+    paragraph: hasText(local.paragraph) ? local.paragraph : base.paragraph,
+    bullets: [...bullets]
+  };
+}
+
+/**
+ * UI string by key with {name} placeholders. Unknown keys return the key
+ * itself so a missing string is visible rather than silently empty.
+ */
+export function translate(key, language = DEFAULT_CONTENT_LANGUAGE, vars = {}) {
+  const local = PACKS[resolveContentLanguage(language)].strings?.[key];
+  const template = hasText(local) ? local : en.strings[key];
+  if (!hasText(template)) return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.hasOwn(vars, name) ? String(vars[name]) : match
+  );
+}
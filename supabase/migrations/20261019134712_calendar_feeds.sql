@@ -0,0 +1,34 @@
+-- Subscribable SineDay ICS feeds: one signed feed per profile.
+-- Feed URLs carry an HMAC token over (profile_id, token_generation).
+-- Rotating or revoking bumps token_generation so every old URL stops working.
+-- Writes go through /api/calendar-feeds with the service role only.
+
+begin;
+
+create table if not exists public.calendar_feeds (
+  profile_id uuid primary key references public.profiles(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  token_generation integer not null default 1,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint calendar_feeds_token_generation_chk check (token_generation >= 1)
+);
+
+create index if not exists idx_calendar_feeds_user
+  on public.calendar_feeds(user_id);
+
+alter table public.calendar_feeds enable row level security;
+
+drop policy if exists "user can read own calendar feeds" on public.calendar_feeds;
+create policy "user can read own calendar feeds"
+  on public.calendar_feeds for select
+  using (auth.uid() = user_id);
+
+drop trigger if exists trg_calendar_feeds_updated_at on public.calendar_feeds;
+
+create trigger trg_calendar_feeds_updated_at
+  before update on public.calendar_feeds
+  for each row execute function public.touch_updated_at();
+
+commit;
@@ -0,0 +1,17 @@
+-- Daily Duck email language.
+-- Subject lines resolve from the shared content packs using this code;
+-- unknown codes fall back to English in the app, so only the shape is checked.
+
+begin;
+
+alter table public.subscriber_preferences
+  add column if not exists language text not null default 'en';
+
+alter table public.subscriber_preferences
+  drop constraint if exists subscriber_preferences_language_chk;
+
+alter table public.subscriber_preferences
+  add constraint subscriber_preferences_language_chk
+  check (language ~ '^[a-z]{2,3}$');
+
+commit;
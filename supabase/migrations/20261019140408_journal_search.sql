@@ -0,0 +1,18 @@
+-- Full-text search over journal entry content.
+-- 'simple' keeps every language searchable (no English-only stemming);
+-- /api/journal-search queries this column with websearch syntax.
+
+begin;
+
+alter table public.journal_entries
+  add column if not exists content_search tsvector
+  generated always as (to_tsvector('simple', coalesce(content, ''))) stored;
+
+create index if not exists journal_entries_content_search_idx
+  on public.journal_entries using gin (content_search);
+
+-- Filtered searches without text still walk one profile's entries newest-first.
+create index if not exists journal_entries_profile_date_desc_idx
+  on public.journal_entries (profile_id, entry_date desc);
+
+commit;
@@ -0,0 +1,15 @@
+-- Server-stamped updated_at for journal entries.
+-- The offline outbox (js/outbox.js) replays writes long after they were made
+-- and compares updated_at to detect edits from another device, so the
+-- timestamp must come from the database rather than the client clock.
+
+begin;
+
+-- Reuse the existing updated_at trigger function from 001
+drop trigger if exists trg_journal_entries_updated_at on public.journal_entries;
+
+create trigger trg_journal_entries_updated_at
+  before update on public.journal_entries
+  for each row execute function public.touch_updated_at();
+
+commit;
@@ -0,0 +1,16 @@
+-- How many earlier cycles the journal's "On this SineDay" panel looks back.
+-- 0 turns the cycle lookback off; /api/journal-recall uses this as its default.
+
+begin;
+
+alter table public.user_settings
+  add column if not exists journal_recall_cycles smallint not null default 3;
+
+alter table public.user_settings
+  drop constraint if exists user_settings_journal_recall_cycles_check;
+
+alter table public.user_settings
+  add constraint user_settings_journal_recall_cycles_check
+  check (journal_recall_cycles between 0 and 12);
+
+commit;
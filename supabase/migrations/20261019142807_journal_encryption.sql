@@ -0,0 +1,64 @@
+-- Opt-in end-to-end journal encryption.
+-- journal_keyrings holds each user's data keys, wrapped in the browser under a
+-- passphrase-derived key and a recovery-key-derived key; the server never sees
+-- either secret. Encrypted entries carry ciphertext in content and point at
+-- encrypted blobs in journal-images, so full-text search skips them.
+
+begin;
+
+create table if not exists public.journal_keyrings (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  keyring jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.journal_keyrings enable row level security;
+
+drop policy if exists "user can read own journal keyring" on public.journal_keyrings;
+create policy "user can read own journal keyring"
+  on public.journal_keyrings for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "user can insert own journal keyring" on public.journal_keyrings;
+create policy "user can insert own journal keyring"
+  on public.journal_keyrings for insert
+  with check (auth.uid() = user_id);
+
+drop policy if exists "user can update own journal keyring" on public.journal_keyrings;
+create policy "user can update own journal keyring"
+  on public.journal_keyrings for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+drop policy if exists "user can delete own journal keyring" on public.journal_keyrings;
+create policy "user can delete own journal keyring"
+  on public.journal_keyrings for delete
+  using (auth.uid() = user_id);
+
+drop trigger if exists trg_journal_keyrings_updated_at on public.journal_keyrings;
+
+create trigger trg_journal_keyrings_updated_at
+  before update on public.journal_keyrings
+  for each row execute function public.touch_updated_at();
+
+alter table public.journal_entries
+  add column if not exists is_encrypted boolean not null default false;
+
+-- Ciphertext is not words; keep it out of the search index.
+drop index if exists public.journal_entries_content_search_idx;
+
+alter table public.journal_entries
+  drop column if exists content_search;
+
+alter table public.journal_entries
+  add column content_search tsvector
+  generated always as (
+    case when is_encrypted then ''::tsvector
+    else to_tsvector('simple', coalesce(content, '')) end
+  ) stored;
+
+create index journal_entries_content_search_idx
+  on public.journal_entries using gin (content_search);
+
+commit;
@@ -0,0 +1,157 @@
+-- Photo galleries on journal entries.
+-- journal_entries.images is an ordered list of
+--   { path, mime_type, size, width, height, caption }
+-- (see js/journal-images.js). The first item is the cover and is mirrored
+-- into image_path / image_mime_type / image_size so search filters, recall
+-- and older clients keep working. Paths an entry stops pointing at (photo
+-- removed, entry deleted, profile deleted) are queued in
+-- journal_image_cleanup and removed from the journal-images bucket by
+-- /api/cron/journal-image-cleanup.
+
+begin;
+
+alter table public.journal_entries
+  add column if not exists images jsonb not null default '[]'::jsonb;
+
+alter table public.journal_entries
+  drop constraint if exists journal_entries_images_chk;
+
+alter table public.journal_entries
+  add constraint journal_entries_images_chk
+  check (jsonb_typeof(images) = 'array' and jsonb_array_length(images) <= 12);
+
+update public.journal_entries
+  set images = jsonb_build_array(jsonb_build_object(
+    'path', image_path,
+    'mime_type', image_mime_type,
+    'size', image_size,
+    'caption', ''
+  ))
+  where image_path is not null
+    and images = '[]'::jsonb;
+
+create or replace function public.journal_entries_sync_cover_image()
+returns trigger
+language plpgsql
+set search_path = ''
+as $$
+begin
+  -- A client that only knows the single-photo columns still gets a gallery.
+  if new.images = '[]'::jsonb and new.image_path is not null
+     and (tg_op = 'INSERT' or new.image_path is distinct from old.image_path) then
+    new.images := pg_catalog.jsonb_build_array(pg_catalog.jsonb_build_object(
+      'path', new.image_path,
+      'mime_type', new.image_mime_type,
+      'size', new.image_size,
+      'caption', ''
+    ));
+  end if;
+
+  new.image_path := new.images -> 0 ->> 'path';
+  new.image_mime_type := new.images -> 0 ->> 'mime_type';
+  new.image_size := (new.images -> 0 ->> 'size')::integer;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_journal_entries_sync_cover_image on public.journal_entries;
+
+create trigger trg_journal_entries_sync_cover_image
+  before insert or update on public.journal_entries
+  for each row execute function public.journal_entries_sync_cover_image();
+
+create table if not exists public.journal_image_cleanup (
+  path text primary key,
+  user_id uuid not null,
+  queued_at timestamptz not null default now()
+);
+
+create index if not exists idx_journal_image_cleanup_queued
+  on public.journal_image_cleanup(queued_at);
+
+-- Service role only.
+alter table public.journal_image_cleanup enable row level security;
+
+create or replace function public.journal_entries_queue_image_cleanup()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if tg_op = 'UPDATE' and new.images = old.images then
+    return null;
+  end if;
+
+  insert into public.journal_image_cleanup (path, user_id)
+  select old_image ->> 'path', old.user_id
+  from pg_catalog.jsonb_array_elements(old.images) as old_image
+  where old_image ->> 'path' is not null
+    and (
+      tg_op = 'DELETE'
+      or not exists (
+        select 1
+        from pg_catalog.jsonb_array_elements(new.images) as new_image
+        where new_image ->> 'path' = old_image ->> 'path'
+      )
+    )
+  on conflict (path) do update set queued_at = excluded.queued_at;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists trg_journal_entries_queue_image_cleanup on public.journal_entries;
+
+create trigger trg_journal_entries_queue_image_cleanup
+  after update or delete on public.journal_entries
+  for each row execute function public.journal_entries_queue_image_cleanup();
+
+-- Hands out queued paths that are old enough (offline edits may still put a
+-- photo back) and that no entry of the same user points at any more. Paths
+-- still in use are dropped from the queue without being returned.
+create or replace function public.claim_journal_image_cleanup(
+  p_before timestamptz,
+  p_limit integer
+)
+returns table (path text, user_id uuid)
+language plpgsql
+security invoker
+set search_path = ''
+as $$
+declare
+  v_limit integer;
+begin
+  v_limit := pg_catalog.greatest(1, pg_catalog.least(pg_catalog.coalesce(p_limit, 500), 1000));
+
+  return query
+  with due as (
+    select c.path, c.user_id
+    from public.journal_image_cleanup c
+    where c.queued_at < p_before
+    order by c.queued_at
+    limit v_limit
+    for update skip locked
+  ),
+  claimed as (
+    delete from public.journal_image_cleanup c
+    using due
+    where c.path = due.path
+    returning c.path, c.user_id
+  )
+  select claimed.path, claimed.user_id
+  from claimed
+  where not exists (
+    select 1
+    from public.journal_entries e
+    where e.user_id = claimed.user_id
+      and e.images @> pg_catalog.jsonb_build_array(pg_catalog.jsonb_build_object('path', claimed.path))
+  );
+end;
+$$;
+
+revoke all on function public.claim_journal_image_cleanup(timestamptz, integer) from public;
+revoke all on function public.claim_journal_image_cleanup(timestamptz, integer) from anon, authenticated;
+grant execute on function public.claim_journal_image_cleanup(timestamptz, integer) to service_role;
+
+commit;
@@ -0,0 +1,178 @@
+-- Journal entries, planner notes and wave calendar tags can belong to any
+-- profile the account owns, not only the is_owner profile. Every policy now
+-- checks that the row's profile belongs to auth.uid(); the owner profile
+-- stays the default in the app.
+
+begin;
+
+-- planner_notes (policies from 003_planner_notes.sql)
+drop policy if exists "user can read own planner notes" on public.planner_notes;
+drop policy if exists "user can insert own planner notes" on public.planner_notes;
+drop policy if exists "user can update own planner notes" on public.planner_notes;
+drop policy if exists "user can delete own planner notes" on public.planner_notes;
+
+create policy "user can read own planner notes"
+  on public.planner_notes for select
+  using (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create policy "user can insert own planner notes"
+  on public.planner_notes for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create policy "user can update own planner notes"
+  on public.planner_notes for update
+  using (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  )
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create policy "user can delete own planner notes"
+  on public.planner_notes for delete
+  using (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+-- wave_calendar_tags (policies from 005_wave_calendar_tags.sql)
+drop policy if exists "user can read own wave calendar tags" on public.wave_calendar_tags;
+drop policy if exists "user can insert own wave calendar tags" on public.wave_calendar_tags;
+drop policy if exists "user can update own wave calendar tags" on public.wave_calendar_tags;
+drop policy if exists "user can delete own wave calendar tags" on public.wave_calendar_tags;
+
+create policy "user can read own wave calendar tags"
+  on public.wave_calendar_tags for select
+  using (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create policy "user can insert own wave calendar tags"
+  on public.wave_calendar_tags for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create policy "user can update own wave calendar tags"
+  on public.wave_calendar_tags for update
+  using (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  )
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create policy "user can delete own wave calendar tags"
+  on public.wave_calendar_tags for delete
+  using (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+-- journal_entries was created outside these migrations, so its policy names
+-- are not known here. Replace whatever is there with ownership checks.
+do $$
+declare
+  v_policy record;
+begin
+  for v_policy in
+    select policyname from pg_policies
+    where schemaname = 'public' and tablename = 'journal_entries'
+  loop
+    execute format('drop policy %I on public.journal_entries', v_policy.policyname);
+  end loop;
+end;
+$$;
+
+alter table public.journal_entries enable row level security;
+
+create policy "user can read own journal entries"
+  on public.journal_entries for select
+  using (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create policy "user can insert own journal entries"
+  on public.journal_entries for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create policy "user can update own journal entries"
+  on public.journal_entries for update
+  using (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  )
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create policy "user can delete own journal entries"
+  on public.journal_entries for delete
+  using (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+commit;
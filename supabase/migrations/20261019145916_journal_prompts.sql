@@ -0,0 +1,50 @@
+-- Guided journaling prompts.
+-- journal_prompt_library holds each user's own prompts (archived rather than
+-- deleted, so earlier answers keep their text) and pinned prompt ids.
+-- journal_entries.prompt_ids lists the prompts an entry answered, by id
+-- ("day-3-b1" for a built-in prompt, "custom-…" for a library one), so
+-- insights and recall can group answers by prompt. Ids carry no entry text
+-- and stay readable when the entry is encrypted.
+
+begin;
+
+create table if not exists public.journal_prompt_library (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  custom jsonb not null default '[]'::jsonb,
+  pinned text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint journal_prompt_library_custom_array check (jsonb_typeof(custom) = 'array')
+);
+
+alter table public.journal_prompt_library enable row level security;
+
+drop policy if exists "user can read own journal prompts" on public.journal_prompt_library;
+create policy "user can read own journal prompts"
+  on public.journal_prompt_library for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "user can insert own journal prompts" on public.journal_prompt_library;
+create policy "user can insert own journal prompts"
+  on public.journal_prompt_library for insert
+  with check (auth.uid() = user_id);
+
+drop policy if exists "user can update own journal prompts" on public.journal_prompt_library;
+create policy "user can update own journal prompts"
+  on public.journal_prompt_library for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+drop trigger if exists trg_journal_prompt_library_updated_at on public.journal_prompt_library;
+
+create trigger trg_journal_prompt_library_updated_at
+  before update on public.journal_prompt_library
+  for each row execute function public.touch_updated_at();
+
+alter table public.journal_entries
+  add column if not exists prompt_ids text[] not null default '{}';
+
+create index if not exists journal_entries_prompt_ids_idx
+  on public.journal_entries using gin (prompt_ids);
+
+commit;
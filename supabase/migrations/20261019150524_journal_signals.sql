@@ -0,0 +1,39 @@
+-- Structured journal signals: a 1–5 energy rating, one mood and free-form tags
+-- (js/journal-signals.js). Unlike content they stay plaintext when the journal
+-- is encrypted, so /api/journal-search can filter on them and
+-- /api/journal-energy can average energy by actual SineDay.
+
+begin;
+
+alter table public.journal_entries
+  add column if not exists energy smallint,
+  add column if not exists mood text,
+  add column if not exists tags text[] not null default '{}';
+
+alter table public.journal_entries
+  drop constraint if exists journal_entries_energy_range;
+alter table public.journal_entries
+  add constraint journal_entries_energy_range check (energy is null or energy between 1 and 5);
+
+alter table public.journal_entries
+  drop constraint if exists journal_entries_mood_known;
+alter table public.journal_entries
+  add constraint journal_entries_mood_known check (
+    mood is null
+    or mood in ('joyful', 'calm', 'grateful', 'focused', 'restless', 'anxious', 'low', 'irritable')
+  );
+
+alter table public.journal_entries
+  drop constraint if exists journal_entries_tags_limit;
+alter table public.journal_entries
+  add constraint journal_entries_tags_limit check (cardinality(tags) <= 12);
+
+create index if not exists journal_entries_tags_idx
+  on public.journal_entries using gin (tags);
+
+-- The energy aggregate reads every rated day of one profile.
+create index if not exists journal_entries_profile_energy_idx
+  on public.journal_entries (profile_id, entry_date)
+  where energy is not null;
+
+commit;
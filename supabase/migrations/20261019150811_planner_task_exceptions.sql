@@ -0,0 +1,11 @@
+-- Planner tasks: dates a repeating task skips (js/task-recurrence.js).
+-- Deleting one occurrence adds its date here; moving one occurrence to
+-- another day is an occurrence override instead (see
+-- task_occurrence_overrides).
+
+begin;
+
+alter table public.planner_tasks
+  add column if not exists exception_dates date[] not null default '{}';
+
+commit;
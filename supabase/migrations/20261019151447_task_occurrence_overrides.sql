@@ -0,0 +1,30 @@
+-- Recurrence exceptions for planner and shared-calendar tasks
+-- (js/task-recurrence.js). exception_dates skips single occurrences; planner
+-- tasks already have it from planner_task_exceptions, shared-calendar tasks
+-- get it here. occurrence_overrides changes one occurrence's title or date,
+-- keyed by the date its rule puts it on: {"2026-03-04": {"title": "…", "date": "2026-03-06"}}.
+-- "This and following" edits end a series with repeat_until and insert a new
+-- task for the rest, so they need no column of their own.
+
+begin;
+
+alter table public.planner_tasks
+  add column if not exists occurrence_overrides jsonb not null default '{}'::jsonb;
+
+alter table public.planner_tasks
+  drop constraint if exists planner_tasks_occurrence_overrides_object;
+alter table public.planner_tasks
+  add constraint planner_tasks_occurrence_overrides_object
+  check (jsonb_typeof(occurrence_overrides) = 'object');
+
+alter table public.social_day_tasks
+  add column if not exists exception_dates date[] not null default '{}',
+  add column if not exists occurrence_overrides jsonb not null default '{}'::jsonb;
+
+alter table public.social_day_tasks
+  drop constraint if exists social_day_tasks_occurrence_overrides_object;
+alter table public.social_day_tasks
+  add constraint social_day_tasks_occurrence_overrides_object
+  check (jsonb_typeof(occurrence_overrides) = 'object');
+
+commit;
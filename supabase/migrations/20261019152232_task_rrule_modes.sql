@@ -0,0 +1,64 @@
+-- Repeat modes for rules imported from other calendars as RRULEs
+-- (js/task-rrule.js): weekly on chosen weekdays (BYDAY=MO,WE), monthly on
+-- dates (BYMONTHDAY=1,15,-1) and monthly on the nth weekday (BYDAY=2TU).
+-- repeat_weekdays uses 0 = Sunday … 6 = Saturday; repeat_monthdays and
+-- repeat_nth count back from the end of the month when negative.
+-- repeat_count is RRULE COUNT: the series stops after that many occurrences.
+
+begin;
+
+alter table public.planner_tasks
+  add column if not exists repeat_weekdays smallint[] not null default '{}',
+  add column if not exists repeat_monthdays smallint[] not null default '{}',
+  add column if not exists repeat_nth smallint,
+  add column if not exists repeat_count integer;
+
+alter table public.planner_tasks
+  drop constraint if exists planner_tasks_repeat_mode_check;
+alter table public.planner_tasks
+  add constraint planner_tasks_repeat_mode_check
+  check (repeat_mode in (
+    'none', 'daily', 'weekly', 'monthly', 'yearly', 'weekdays', 'sineday',
+    'weekly_days', 'monthly_days', 'monthly_nth'
+  ));
+
+alter table public.planner_tasks
+  drop constraint if exists planner_tasks_repeat_nth_check;
+alter table public.planner_tasks
+  add constraint planner_tasks_repeat_nth_check
+  check (repeat_nth is null or (repeat_nth between -5 and 5 and repeat_nth <> 0));
+
+alter table public.planner_tasks
+  drop constraint if exists planner_tasks_repeat_count_check;
+alter table public.planner_tasks
+  add constraint planner_tasks_repeat_count_check
+  check (repeat_count is null or repeat_count between 1 and 999);
+
+alter table public.social_day_tasks
+  add column if not exists repeat_weekdays smallint[] not null default '{}',
+  add column if not exists repeat_monthdays smallint[] not null default '{}',
+  add column if not exists repeat_nth smallint,
+  add column if not exists repeat_count integer;
+
+alter table public.social_day_tasks
+  drop constraint if exists social_day_tasks_repeat_mode_check;
+alter table public.social_day_tasks
+  add constraint social_day_tasks_repeat_mode_check
+  check (repeat_mode in (
+    'none', 'daily', 'weekly', 'monthly', 'yearly', 'weekdays', 'sineday',
+    'weekly_days', 'monthly_days', 'monthly_nth'
+  ));
+
+alter table public.social_day_tasks
+  drop constraint if exists social_day_tasks_repeat_nth_check;
+alter table public.social_day_tasks
+  add constraint social_day_tasks_repeat_nth_check
+  check (repeat_nth is null or (repeat_nth between -5 and 5 and repeat_nth <> 0));
+
+alter table public.social_day_tasks
+  drop constraint if exists social_day_tasks_repeat_count_check;
+alter table public.social_day_tasks
+  add constraint social_day_tasks_repeat_count_check
+  check (repeat_count is null or repeat_count between 1 and 999);
+
+commit;
@@ -0,0 +1,28 @@
+-- Planner tasks: an energy type for matching tasks to SineDays, a due date,
+-- and tasks without a day yet. A task with no start_date sits in the
+-- planner's Unscheduled list until auto-place (js/task-scheduler.js) or the
+-- user gives it one.
+
+begin;
+
+alter table public.planner_tasks
+  add column if not exists energy_type text,
+  add column if not exists due_date date;
+
+alter table public.planner_tasks
+  alter column start_date drop not null;
+
+alter table public.planner_tasks
+  drop constraint if exists planner_tasks_energy_type_check;
+alter table public.planner_tasks
+  add constraint planner_tasks_energy_type_check
+  check (energy_type is null or energy_type in ('launch', 'deep_focus', 'social', 'admin', 'rest'));
+
+-- Only one-off tasks can wait without a day: a rule needs a start.
+alter table public.planner_tasks
+  drop constraint if exists planner_tasks_unscheduled_check;
+alter table public.planner_tasks
+  add constraint planner_tasks_unscheduled_check
+  check (start_date is not null or repeat_mode = 'none');
+
+commit;
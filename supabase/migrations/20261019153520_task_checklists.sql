@@ -0,0 +1,87 @@
+-- Checklists inside planner and shared-calendar tasks (js/task-checklist.js).
+-- checklist is the ordered item list on the task: [{"id": "…", "title": "…"}].
+-- Ticks are per occurrence, like task completions, and keyed by the item id
+-- so renaming or reordering an item keeps them. Any active member of a
+-- shared calendar can tick a shared task's items; only its author edits them.
+
+begin;
+
+alter table public.planner_tasks
+  add column if not exists checklist jsonb not null default '[]'::jsonb;
+
+alter table public.planner_tasks
+  drop constraint if exists planner_tasks_checklist_array;
+alter table public.planner_tasks
+  add constraint planner_tasks_checklist_array
+  check (jsonb_typeof(checklist) = 'array');
+
+alter table public.social_day_tasks
+  add column if not exists checklist jsonb not null default '[]'::jsonb;
+
+alter table public.social_day_tasks
+  drop constraint if exists social_day_tasks_checklist_array;
+alter table public.social_day_tasks
+  add constraint social_day_tasks_checklist_array
+  check (jsonb_typeof(checklist) = 'array');
+
+create table if not exists public.planner_task_checklist_checks (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references public.planner_tasks(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  occurrence_date date not null,
+  item_id text not null,
+  created_at timestamptz not null default now(),
+  constraint planner_task_checklist_checks_unique unique (task_id, occurrence_date, item_id)
+);
+
+create index if not exists planner_task_checklist_checks_profile_date_idx
+  on public.planner_task_checklist_checks (profile_id, occurrence_date);
+
+alter table public.planner_task_checklist_checks enable row level security;
+
+drop policy if exists "user can read own checklist checks" on public.planner_task_checklist_checks;
+create policy "user can read own checklist checks"
+  on public.planner_task_checklist_checks for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "user can insert own checklist checks" on public.planner_task_checklist_checks;
+create policy "user can insert own checklist checks"
+  on public.planner_task_checklist_checks for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.planner_tasks t
+      where t.id = task_id and t.user_id = auth.uid()
+    )
+  );
+
+drop policy if exists "user can delete own checklist checks" on public.planner_task_checklist_checks;
+create policy "user can delete own checklist checks"
+  on public.planner_task_checklist_checks for delete
+  using (auth.uid() = user_id);
+
+create table if not exists public.social_day_task_checklist_checks (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references public.social_day_tasks(id) on delete cascade,
+  planner_id uuid not null references public.social_planners(id) on delete cascade,
+  checked_by_user_id uuid not null references auth.users(id) on delete cascade,
+  occurrence_date date not null,
+  item_id text not null,
+  created_at timestamptz not null default timezone('utc', now()),
+  constraint social_day_task_checklist_checks_unique unique (task_id, occurrence_date, item_id)
+);
+
+create index if not exists social_day_task_checklist_checks_planner_date_idx
+  on public.social_day_task_checklist_checks (planner_id, occurrence_date);
+
+alter table public.social_day_task_checklist_checks enable row level security;
+
+-- Written through /api/social/day-entry; members may read them directly.
+drop policy if exists social_day_task_checklist_checks_select_for_members on public.social_day_task_checklist_checks;
+create policy social_day_task_checklist_checks_select_for_members
+on public.social_day_task_checklist_checks
+for select
+using (public.is_active_social_member(planner_id));
+
+commit;
@@ -0,0 +1,20 @@
+-- Planner tasks: a start and end time for the time-blocking day view
+-- (js/task-timeblocks.js). Tasks without times stay in the day's list.
+-- end_time may be 24:00 for a block that runs to midnight.
+
+begin;
+
+alter table public.planner_tasks
+  add column if not exists start_time time,
+  add column if not exists end_time time;
+
+alter table public.planner_tasks
+  drop constraint if exists planner_tasks_times_check;
+alter table public.planner_tasks
+  add constraint planner_tasks_times_check
+  check (
+    (start_time is null and end_time is null)
+    or (start_time is not null and end_time is not null and end_time > start_time and start_date is not null)
+  );
+
+commit;
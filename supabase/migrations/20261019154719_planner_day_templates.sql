@@ -0,0 +1,162 @@
+-- SineDay day templates (js/day-templates.js): a set of tasks and a note
+-- skeleton tied to one or more SineDays, offered or applied when such a day
+-- is opened in the planner.
+-- The template row holds the current content and its version; every saved
+-- edit bumps the version and keeps a copy in planner_day_template_versions.
+-- Applying copies the content into the day and records the version applied,
+-- so editing a template never rewrites days already planned, and a day is
+-- never offered the same template twice (status 'dismissed' = "Not this day").
+-- Templates shared into a social planner can be applied there by any active
+-- member to their own card, through /api/social/day-entry.
+
+begin;
+
+create table if not exists public.planner_day_templates (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  title text not null,
+  sinedays integer[] not null,
+  auto_apply boolean not null default false,
+  version integer not null default 1,
+  tasks jsonb not null default '[]'::jsonb,
+  note text not null default '',
+  is_archived boolean not null default false,
+  created_at timestamptz not null default timezone('utc', now()),
+  updated_at timestamptz not null default timezone('utc', now()),
+  constraint planner_day_templates_sinedays_valid
+    check (cardinality(sinedays) > 0 and sinedays <@ array[1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18]),
+  constraint planner_day_templates_tasks_array check (jsonb_typeof(tasks) = 'array'),
+  constraint planner_day_templates_version_positive check (version >= 1)
+);
+
+create index if not exists planner_day_templates_user_idx
+  on public.planner_day_templates (user_id);
+
+alter table public.planner_day_templates enable row level security;
+
+drop policy if exists "user can read own day templates" on public.planner_day_templates;
+create policy "user can read own day templates"
+  on public.planner_day_templates for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "user can insert own day templates" on public.planner_day_templates;
+create policy "user can insert own day templates"
+  on public.planner_day_templates for insert
+  with check (auth.uid() = user_id);
+
+drop policy if exists "user can update own day templates" on public.planner_day_templates;
+create policy "user can update own day templates"
+  on public.planner_day_templates for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+drop trigger if exists trg_planner_day_templates_updated_at on public.planner_day_templates;
+create trigger trg_planner_day_templates_updated_at
+  before update on public.planner_day_templates
+  for each row execute function public.set_row_updated_at();
+
+create table if not exists public.planner_day_template_versions (
+  id uuid primary key default gen_random_uuid(),
+  template_id uuid not null references public.planner_day_templates(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  version integer not null,
+  title text not null,
+  sinedays integer[] not null,
+  tasks jsonb not null default '[]'::jsonb,
+  note text not null default '',
+  created_at timestamptz not null default timezone('utc', now()),
+  constraint planner_day_template_versions_unique unique (template_id, version)
+);
+
+alter table public.planner_day_template_versions enable row level security;
+
+drop policy if exists "user can read own day template versions" on public.planner_day_template_versions;
+create policy "user can read own day template versions"
+  on public.planner_day_template_versions for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "user can insert own day template versions" on public.planner_day_template_versions;
+create policy "user can insert own day template versions"
+  on public.planner_day_template_versions for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.planner_day_templates t
+      where t.id = template_id and t.user_id = auth.uid()
+    )
+  );
+
+create table if not exists public.planner_day_template_applications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  template_id uuid not null references public.planner_day_templates(id) on delete cascade,
+  version integer not null,
+  day date not null,
+  status text not null default 'applied' check (status in ('applied', 'dismissed')),
+  created_at timestamptz not null default timezone('utc', now()),
+  constraint planner_day_template_applications_unique unique (profile_id, day, template_id)
+);
+
+create index if not exists planner_day_template_applications_profile_day_idx
+  on public.planner_day_template_applications (profile_id, day);
+
+alter table public.planner_day_template_applications enable row level security;
+
+drop policy if exists "user can read own day template applications" on public.planner_day_template_applications;
+create policy "user can read own day template applications"
+  on public.planner_day_template_applications for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "user can insert own day template applications" on public.planner_day_template_applications;
+create policy "user can insert own day template applications"
+  on public.planner_day_template_applications for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.profiles
+      where id = profile_id and user_id = auth.uid()
+    )
+  );
+
+create table if not exists public.social_planner_templates (
+  id uuid primary key default gen_random_uuid(),
+  planner_id uuid not null references public.social_planners(id) on delete cascade,
+  template_id uuid not null references public.planner_day_templates(id) on delete cascade,
+  shared_by_user_id uuid not null references auth.users(id) on delete cascade,
+  created_at timestamptz not null default timezone('utc', now()),
+  constraint social_planner_templates_unique unique (planner_id, template_id)
+);
+
+alter table public.social_planner_templates enable row level security;
+
+-- Written through /api/social/templates; members may read them directly.
+drop policy if exists social_planner_templates_select_for_members on public.social_planner_templates;
+create policy social_planner_templates_select_for_members
+on public.social_planner_templates
+for select
+using (public.is_active_social_member(planner_id));
+
+create table if not exists public.social_day_template_applications (
+  id uuid primary key default gen_random_uuid(),
+  planner_id uuid not null references public.social_planners(id) on delete cascade,
+  template_id uuid not null references public.planner_day_templates(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  version integer not null,
+  day date not null,
+  created_at timestamptz not null default timezone('utc', now()),
+  constraint social_day_template_applications_unique unique (planner_id, template_id, user_id, day)
+);
+
+create index if not exists social_day_template_applications_planner_day_idx
+  on public.social_day_template_applications (planner_id, day);
+
+alter table public.social_day_template_applications enable row level security;
+
+drop policy if exists social_day_template_applications_select_for_members on public.social_day_template_applications;
+create policy social_day_template_applications_select_for_members
+on public.social_day_template_applications
+for select
+using (public.is_active_social_member(planner_id));
+
+commit;
@@ -115,7 +115,7 @@ test("Journal waiting copy and Daily Duck stay separate from owner-profile UX",
     dashboardJs,
     /title: "Journal is waiting",\s*body: "Add your first profile to begin your SineDay journal\."/,
   );
-  assert.match(dashboardJs, /journalUI\?\.setOwnerProfile\?\.\(getOwnerProfile\(\)\)/);
+  assert.match(dashboardJs, /journalUI\?\.setProfiles\?\.\(profiles, getOwnerProfile\(\)\)/);
   assert.doesNotMatch(handleAddProfileJs, /\/api\/subscribe|dailyEmail|daily-email-birthdate/);
   assert.match(html, /id="daily-email-setup-sheet"/);
   assert.match(html, /id="daily-email-birthdate"/);
@@ -0,0 +1,412 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { calculateSineDayForYmd } from "../js/sineday-engine.js";
+import { buildIcsEvent, escapeIcsText, foldIcsLine } from "../api/_lib/ics.js";
+import {
+  buildCalendarFeedUrls,
+  createCalendarFeedToken,
+  verifyCalendarFeedToken
+} from "../api/_lib/calendar-feed-token.js";
+import {
+  FEED_DEFAULT_DAYS,
+  FEED_LOOKBACK_DAYS,
+  FEED_MAX_DAYS,
+  buildSineDayFeed,
+  parseFeedOptions
+} from "../api/_lib/calendar-feed.js";
+
+const SECRET = "calendar-feed-secret-for-tests";
+const USER_ID = "user-1";
+const PROFILE = {
+  id: "11111111-1111-4111-8111-111111111111",
+  user_id: USER_ID,
+  display_name: "Stephen",
+  birthdate: "1985-04-20",
+  timezone: "America/Chicago"
+};
+
+process.env.SUPABASE_URL = "https://example.supabase.co";
+process.env.SUPABASE_ANON_KEY = "anon-test-key";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-test-key";
+process.env.CALENDAR_FEED_SECRET = SECRET;
+process.env.PUBLIC_SITE_URL = "https://sineday.app";
+
+const TASKS = [
+  {
+    id: "task-weekly",
+    profile_id: PROFILE.id,
+    is_archived: false,
+    title: "Team retro",
+    start_date: "2026-10-01",
+    repeat_mode: "weekly_days",
+    repeat_interval: 2,
+    repeat_weekdays: [2, 4],
+    exception_dates: ["2026-10-13"],
+    occurrence_overrides: { "2026-10-15": { title: "Retro (moved)", date: "2026-10-16" } }
+  },
+  {
+    id: "task-once",
+    profile_id: PROFILE.id,
+    is_archived: false,
+    title: "Dentist",
+    start_date: "2026-10-21",
+    repeat_mode: "none"
+  },
+  {
+    id: "task-old",
+    profile_id: PROFILE.id,
+    is_archived: false,
+    title: "Finished",
+    start_date: "2026-01-01",
+    repeat_mode: "daily",
+    repeat_count: 3
+  },
+  {
+    id: "task-sineday",
+    profile_id: PROFILE.id,
+    is_archived: false,
+    title: "Rest",
+    start_date: "2026-01-01",
+    repeat_mode: "sineday",
+    repeat_sinedays: [1]
+  }
+];
+
+const tables = {
+  profiles: [PROFILE],
+  calendar_feeds: [],
+  planner_tasks: TASKS
+};
+
+function matches(row, filters) {
+  return Object.entries(filters).every(([key, value]) => row[key] === value);
+}
+
+mock.module("@supabase/supabase-js", {
+  namedExports: {
+    createClient() {
+      return {
+        auth: {
+          async getUser(token) {
+            if (token !== "good") return { data: { user: null }, error: new Error("bad") };
+            return { data: { user: { id: USER_ID } }, error: null };
+          }
+        },
+        from(table) {
+          const filters = {};
+          let upserted = null;
+          const api = {
+            select() {
+              return api;
+            },
+            eq(key, value) {
+              filters[key] = value;
+              return api;
+            },
+            upsert(row) {
+              const rows = tables[table];
+              const index = rows.findIndex((existing) => existing.profile_id === row.profile_id);
+              if (index >= 0) rows[index] = { ...rows[index], ...row };
+              else rows.push({ ...row });
+              upserted = rows[index >= 0 ? index : rows.length - 1];
+              return api;
+            },
+            async single() {
+              return { data: upserted, error: null };
+            },
+            async maybeSingle() {
+              return { data: tables[table].find((row) => matches(row, filters)) || null, error: null };
+            },
+            then(resolve) {
+              resolve({ data: tables[table].filter((row) => matches(row, filters)), error: null });
+            }
+          };
+          return api;
+        }
+      };
+    }
+  }
+});
+
+const { default: feedRoute } = await import("../api/calendar-feed.js");
+const { default: feedsRoute } = await import("../api/calendar-feeds.js");
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    send(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+function tokenFromUrl(url) {
+  return new URL(url).searchParams.get("token");
+}
+
+test("ICS text is escaped and long lines are folded at 75 octets", () => {
+  assert.equal(escapeIcsText("a,b;c\\d\ne"), "a\\,b\\;c\\\\d\\ne");
+
+  const folded = foldIcsLine(`DESCRIPTION:${"ü".repeat(60)}`);
+  const lines = folded.split("\r\n");
+  assert.ok(lines.length > 1);
+  for (const line of lines) {
+    assert.ok(Buffer.byteLength(line, "utf8") <= 75);
+  }
+  assert.equal(lines.map((line, i) => (i ? line.slice(1) : line)).join(""), `DESCRIPTION:${"ü".repeat(60)}`);
+
+  const event = buildIcsEvent({
+    uid: "x@sineday.app",
+    date: "2026-10-19",
+    endDate: "2026-10-20",
+    summary: "SineDay 1",
+    dtstamp: new Date("2026-10-19T12:00:00Z")
+  });
+  assert.ok(event.includes("DTSTART;VALUE=DATE:20261019"));
+  assert.ok(event.includes("DTEND;VALUE=DATE:20261020"));
+});
+
+test("feed tokens round-trip and reject tampering or another secret", () => {
+  const token = createCalendarFeedToken(PROFILE.id, 3, SECRET);
+  assert.deepEqual(verifyCalendarFeedToken(token, SECRET), {
+    ok: true,
+    profileId: PROFILE.id,
+    generation: 3,
+    version: 2,
+    tasks: false
+  });
+  assert.equal(verifyCalendarFeedToken(createCalendarFeedToken(PROFILE.id, 3, SECRET, { tasks: true }), SECRET).tasks, true);
+
+  assert.equal(verifyCalendarFeedToken(token, "another-secret-value-here").ok, false);
+  assert.equal(verifyCalendarFeedToken(`${token}x`, SECRET).ok, false);
+  assert.equal(createCalendarFeedToken("not-a-uuid", 1, SECRET), null);
+  assert.equal(createCalendarFeedToken(PROFILE.id, 0, SECRET), null);
+  assert.equal(createCalendarFeedToken(PROFILE.id, 1, "short"), null);
+});
+
+test("feed URLs carry options as plain params and a webcal twin", () => {
+  const urls = buildCalendarFeedUrls(PROFILE.id, 1, { days: 30, only: [1, 14] });
+  assert.match(urls.url, /^https:\/\/sineday\.app\/api\/calendar-feed\?token=/);
+  assert.match(urls.url, /days=30/);
+  assert.match(urls.url, /only=1%2C14/);
+  assert.doesNotMatch(urls.url, /tasks=/);
+  assert.equal(verifyCalendarFeedToken(tokenFromUrl(urls.url)).tasks, false);
+  const withTasks = buildCalendarFeedUrls(PROFILE.id, 1, { tasks: true }).url;
+  assert.doesNotMatch(withTasks, /tasks=/);
+  assert.equal(verifyCalendarFeedToken(tokenFromUrl(withTasks)).tasks, true);
+  assert.equal(urls.webcalUrl, urls.url.replace(/^https:/, "webcal:"));
+});
+
+test("version 1 feed tokens stay valid without planner tasks", () => {
+  const payload = Buffer.from(`1.${PROFILE.id}.2`, "utf8").toString("base64url");
+  const signature = createHmac("sha256", SECRET).update(payload).digest("base64url");
+  assert.deepEqual(verifyCalendarFeedToken(`${payload}.${signature}`, SECRET), {
+    ok: true,
+    profileId: PROFILE.id,
+    generation: 2,
+    version: 1,
+    tasks: false
+  });
+
+  const forged = Buffer.from(`1.${PROFILE.id}.2.1`, "utf8").toString("base64url");
+  const forgedSignature = createHmac("sha256", SECRET).update(forged).digest("base64url");
+  assert.equal(verifyCalendarFeedToken(`${forged}.${forgedSignature}`, SECRET).ok, false);
+});
+
+test("parseFeedOptions clamps days and keeps valid SineDays", () => {
+  assert.deepEqual(parseFeedOptions({}), { days: FEED_DEFAULT_DAYS, only: [] });
+  assert.deepEqual(parseFeedOptions({ days: "9999", only: "16,1,x,1,19", tasks: "1" }), {
+    days: FEED_MAX_DAYS,
+    only: [1, 16]
+  });
+});
+
+test("buildSineDayFeed emits one all-day event per date with the profile's SineDay", () => {
+  const now = new Date("2026-10-19T15:00:00Z");
+  const ics = buildSineDayFeed({ profile: PROFILE, days: 30, now });
+
+  assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(ics, /X-WR-CALNAME:SineDay · Stephen/);
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, FEED_LOOKBACK_DAYS + 30);
+
+  const expected = calculateSineDayForYmd(PROFILE.birthdate, "2026-10-19").day;
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.ok(unfolded.includes(`UID:2026-10-19-${PROFILE.id}@sineday.app`));
+  assert.match(
+    unfolded,
+    new RegExp(`DTSTART;VALUE=DATE:20261019\\r\\nDTEND;VALUE=DATE:20261020\\r\\nSUMMARY:SineDay ${expected} `)
+  );
+
+  const filtered = buildSineDayFeed({ profile: PROFILE, days: 90, only: [1], now });
+  const summaries = filtered.replace(/\r\n /g, "").match(/SUMMARY:SineDay \d+/g);
+  assert.ok(summaries.length >= 5);
+  assert.ok(summaries.every((line) => line === "SUMMARY:SineDay 1"));
+});
+
+test("buildSineDayFeed covers the longest feed, look-back included", () => {
+  const now = new Date("2026-10-19T15:00:00Z");
+  const ics = buildSineDayFeed({ profile: PROFILE, days: FEED_MAX_DAYS, now });
+  const unfolded = ics.replace(/\r\n /g, "");
+
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, FEED_LOOKBACK_DAYS + FEED_MAX_DAYS);
+  assert.ok(unfolded.includes(`UID:2026-10-12-${PROFILE.id}@sineday.app`));
+  assert.ok(unfolded.includes(`UID:2027-10-19-${PROFILE.id}@sineday.app`));
+  assert.ok(!unfolded.includes(`UID:2027-10-20-${PROFILE.id}@sineday.app`));
+});
+
+test("buildSineDayFeed adds planner tasks as recurring events", () => {
+  const now = new Date("2026-10-19T15:00:00Z");
+  const unfolded = buildSineDayFeed({ profile: PROFILE, days: 30, only: [1], tasks: TASKS, now }).replace(
+    /\r\n /g,
+    ""
+  );
+  const events = unfolded.split("BEGIN:VEVENT").slice(1);
+  const byUid = (uid) => events.filter((event) => event.includes(`UID:${uid}@sineday.app`));
+
+  const [series, moved] = byUid("task-task-weekly");
+  assert.match(series, /DTSTART;VALUE=DATE:20261001\r\n/);
+  assert.match(series, /SUMMARY:Team retro\r\n/);
+  assert.match(series, /RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH\r\n/);
+  assert.match(series, /EXDATE;VALUE=DATE:20261013\r\n/);
+  assert.match(moved, /DTSTART;VALUE=DATE:20261016\r\n/);
+  assert.match(moved, /SUMMARY:Retro \(moved\)\r\n/);
+  assert.match(moved, /RECURRENCE-ID;VALUE=DATE:20261015\r\n/);
+
+  assert.equal(byUid("task-task-once").length, 1);
+  assert.equal(byUid("task-task-old").length, 0, "series that ended before the feed are left out");
+
+  const [rest] = byUid("task-task-sineday");
+  assert.match(rest, /X-SINEDAY-RULE:BYSINEDAY=1\r\n/);
+  const rdates = /RDATE;VALUE=DATE:([\d,]+)/.exec(rest)[1].split(",");
+  assert.ok(rdates.length >= 2);
+  for (const date of rdates) {
+    const ymd = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}`;
+    assert.equal(calculateSineDayForYmd(PROFILE.birthdate, ymd).day, 1);
+  }
+  assert.match(rest, new RegExp(`DTSTART;VALUE=DATE:${rdates[0]}\\r\\n`));
+});
+
+test("calendar-feeds enables, rotates and revokes with generation bumps", async () => {
+  let res = mockRes();
+  await feedsRoute({ method: "POST", headers: {}, body: {} }, res);
+  assert.equal(res.statusCode, 401);
+
+  res = mockRes();
+  await feedsRoute(
+    {
+      method: "POST",
+      headers: { authorization: "Bearer good" },
+      body: { profileId: "22222222-2222-4222-8222-222222222222", action: "enable" }
+    },
+    res
+  );
+  assert.equal(res.statusCode, 404);
+
+  res = mockRes();
+  await feedsRoute(
+    {
+      method: "POST",
+      headers: { authorization: "Bearer good" },
+      body: { profileId: PROFILE.id, action: "enable", days: 30 }
+    },
+    res
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.feed.enabled, true);
+  const firstToken = tokenFromUrl(res.body.feed.url);
+  assert.equal(verifyCalendarFeedToken(firstToken).generation, 1);
+
+  res = mockRes();
+  await feedsRoute(
+    { method: "POST", headers: { authorization: "Bearer good" }, body: { profileId: PROFILE.id, action: "enable" } },
+    res
+  );
+  assert.equal(tokenFromUrl(res.body.feed.url), firstToken);
+
+  res = mockRes();
+  await feedsRoute(
+    { method: "POST", headers: { authorization: "Bearer good" }, body: { profileId: PROFILE.id, action: "rotate" } },
+    res
+  );
+  const rotatedToken = tokenFromUrl(res.body.feed.url);
+  assert.equal(verifyCalendarFeedToken(rotatedToken).generation, 2);
+
+  res = mockRes();
+  await feedRoute({ method: "GET", headers: { host: "sineday.app" }, query: { token: firstToken } }, res);
+  assert.equal(res.statusCode, 404);
+
+  res = mockRes();
+  await feedRoute({ method: "GET", headers: { host: "sineday.app" }, query: { token: rotatedToken, days: "7" } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Content-Type"], "text/calendar; charset=utf-8");
+  assert.match(res.body, /BEGIN:VCALENDAR/);
+  assert.doesNotMatch(res.body, /UID:task-/);
+
+  // Adding tasks=1 to a SineDay-only URL does not reveal task titles.
+  res = mockRes();
+  await feedRoute(
+    { method: "GET", headers: { host: "sineday.app" }, query: { token: rotatedToken, days: "30", tasks: "1" } },
+    res
+  );
+  assert.equal(res.statusCode, 200);
+  assert.doesNotMatch(res.body, /UID:task-/);
+
+  res = mockRes();
+  await feedsRoute(
+    { method: "POST", headers: { authorization: "Bearer good" }, body: { profileId: PROFILE.id, action: "enable" } },
+    res
+  );
+  const tasksToken = tokenFromUrl(res.body.feed.tasksUrl);
+  assert.equal(tokenFromUrl(res.body.feed.url), rotatedToken);
+  assert.equal(res.body.feed.tasksWebcalUrl, res.body.feed.tasksUrl.replace(/^https:/, "webcal:"));
+
+  res = mockRes();
+  await feedRoute({ method: "GET", headers: { host: "sineday.app" }, query: { token: tasksToken, days: "30" } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /UID:task-task-weekly@sineday\.app/);
+
+  res = mockRes();
+  await feedsRoute({ method: "GET", headers: { authorization: "Bearer good" }, query: {} }, res);
+  assert.equal(res.body.feeds.length, 1);
+  assert.equal(res.body.feeds[0].enabled, true);
+
+  res = mockRes();
+  await feedsRoute(
+    { method: "POST", headers: { authorization: "Bearer good" }, body: { profileId: PROFILE.id, action: "revoke" } },
+    res
+  );
+  assert.equal(res.body.feed.enabled, false);
+  assert.equal(res.body.feed.url, null);
+
+  res = mockRes();
+  await feedRoute({ method: "GET", headers: {}, query: { token: rotatedToken } }, res);
+  assert.equal(res.statusCode, 404);
+});
+
+test("calendar-feed rejects unsigned tokens and wrong methods", async () => {
+  let res = mockRes();
+  await feedRoute({ method: "GET", headers: {}, query: { token: "nope" } }, res);
+  assert.equal(res.statusCode, 404);
+
+  res = mockRes();
+  await feedRoute({ method: "POST", headers: {}, query: {} }, res);
+  assert.equal(res.statusCode, 405);
+});
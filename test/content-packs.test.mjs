@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  CONTENT_LANGUAGES,
+  getDayContent,
+  resolveContentLanguage,
+  translate
+} from "../shared/content.js";
+import en from "../shared/content-packs/en.js";
+import { SUPPORTED_LANGUAGES } from "../js/user-settings.js";
+import {
+  calculateSineDayForYmd,
+  getDayData,
+  getDayDetails
+} from "../js/sineday-engine.js";
+import { DAILY_SINEDAY_TITLES, getDailyEmailSubject } from "../api/_lib/daily-email.js";
+
+test("every supported dashboard language has a content pack", () => {
+  for (const { value } of SUPPORTED_LANGUAGES) {
+    assert.ok(CONTENT_LANGUAGES.includes(value), `missing pack for ${value}`);
+  }
+});
+
+test("every pack supplies all 18 days and every English string key", async () => {
+  const stringKeys = Object.keys(en.strings);
+  for (const language of CONTENT_LANGUAGES) {
+    const { default: pack } = await import(`../shared/content-packs/${language}.js`);
+    assert.equal(pack.language, language);
+    for (let day = 1; day <= 18; day++) {
+      const entry = pack.days[day];
+      assert.ok(entry, `${language} day ${day}`);
+      for (const key of ["phase", "title", "description", "paragraph"]) {
+        assert.equal(typeof entry[key], "string", `${language} day ${day} ${key}`);
+        assert.ok(entry[key].trim(), `${language} day ${day} ${key}`);
+      }
+      assert.equal(entry.bullets.length, 4, `${language} day ${day} bullets`);
+    }
+    for (const key of stringKeys) {
+      assert.ok(pack.strings[key]?.trim(), `${language} string ${key}`);
+    }
+  }
+});
+
+test("resolveContentLanguage maps locales to packs and falls back to English", () => {
+  assert.equal(resolveContentLanguage("es"), "es");
+  assert.equal(resolveContentLanguage("es-MX"), "es");
+  assert.equal(resolveContentLanguage("pt_BR"), "pt");
+  assert.equal(resolveContentLanguage("ar-SA"), "ar");
+  assert.equal(resolveContentLanguage("nl-NL"), "en");
+  assert.equal(resolveContentLanguage(""), "en");
+  assert.equal(resolveContentLanguage(undefined), "en");
+});
+
+test("translate interpolates placeholders and falls back per key", () => {
+  assert.equal(translate("today.dayPill", "en", { day: 7 }), "Day 7");
+  assert.equal(translate("today.dayPill", "de", { day: 7 }), "Tag 7");
+  assert.equal(translate("today.dayPill", "xx", { day: 7 }), "Day 7");
+  assert.equal(translate("today.dayPill", "fr"), translate("today.dayPill", "fr-FR"));
+  assert.equal(translate("no.such.key", "es"), "no.such.key");
+});
+
+test("getDayContent returns localized copy and rejects unknown days", () => {
+  const es = getDayContent(1, "es");
+  assert.equal(es.title, "Inicio");
+  assert.notEqual(es.paragraph, en.days[1].paragraph);
+  assert.equal(es.bullets.length, 4);
+  assert.equal(getDayContent(0, "es"), null);
+  assert.equal(getDayContent(19), null);
+});
+
+test("getDayContent returns a fresh bullets array", () => {
+  const first = getDayContent(3, "en");
+  first.bullets.push("mutated");
+  assert.equal(getDayContent(3, "en").bullets.length, 4);
+});
+
+test("engine keeps English defaults and localizes on request", () => {
+  const english = getDayData(1);
+  assert.equal(english.phase, en.days[1].phase);
+  assert.equal(english.imageUrl, "Day1.jpeg");
+  assert.deepEqual(getDayDetails(1).bullets, en.days[1].bullets);
+
+  const spanish = getDayData(1, "es");
+  assert.equal(spanish.phase, "ASCENSO • INICIO");
+  assert.equal(spanish.imageUrl, "Day1.jpeg");
+  assert.equal(getDayDetails(1, "es").paragraph, getDayContent(1, "es").paragraph);
+
+  const result = calculateSineDayForYmd("1985-04-20", "1985-04-20", "es");
+  assert.equal(result.day, 1);
+  assert.equal(result.phase, spanish.phase);
+});
+
+test("daily email subject resolves from the subscriber language", () => {
+  assert.equal(DAILY_SINEDAY_TITLES[1], en.days[1].title);
+  assert.equal(getDailyEmailSubject(1), `Your SineDay — Day 1: ${en.days[1].title}`);
+  assert.equal(getDailyEmailSubject(1, "es"), translate("email.subject", "es", { day: 1, title: "Inicio" }));
+  assert.equal(getDailyEmailSubject(1, "nl"), getDailyEmailSubject(1));
+});
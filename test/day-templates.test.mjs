@@ -0,0 +1,158 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEMPLATE_MAX_TASKS,
+  dayTemplateOffer,
+  describeSinedays,
+  formatTemplateTaskLines,
+  materializeTemplate,
+  mergeTemplateNote,
+  parseTemplateTaskLines,
+  validateTemplate,
+} from "../js/day-templates.js";
+import { Outbox, createMemoryOutboxStore } from "../js/outbox.js";
+import { PlannerUI } from "../js/planner-ui.js";
+
+const PEAK = {
+  id: "tpl-peak",
+  title: "Peak sprint",
+  sinedays: [8, 9],
+  auto_apply: true,
+  version: 3,
+  tasks: [
+    { title: "Deep work", start_time: "09:00:00", end_time: "11:00:00" },
+    { title: "Inbox zero", start_time: null, end_time: null },
+  ],
+  note: "One thing to finish:",
+};
+const REST = { id: "tpl-rest", title: "Rest day", sinedays: [9, 17], auto_apply: false, version: 1, tasks: [], note: "Walk" };
+const OLD = { ...REST, id: "tpl-old", title: "Archived", is_archived: true };
+
+test("task lines read an optional time range and write it back", () => {
+  const tasks = parseTemplateTaskLines("9:00-9:30 Standup\n\n  Call the bank \n10:00–9:00 Backwards\n");
+  assert.deepEqual(tasks, [
+    { title: "Standup", start_time: "9:00", end_time: "9:30" },
+    { title: "Call the bank" },
+    { title: "Backwards", start_time: "10:00", end_time: "9:00" },
+  ]);
+  assert.equal(formatTemplateTaskLines(tasks), "09:00-09:30 Standup\nCall the bank\nBackwards");
+  assert.equal(formatTemplateTaskLines(PEAK.tasks), "09:00-11:00 Deep work\nInbox zero");
+});
+
+test("validateTemplate names what is missing", () => {
+  const { template } = validateTemplate({
+    title: "  Peak sprint ",
+    sinedays: [9, "8", 9, 19],
+    auto_apply: true,
+    tasks: parseTemplateTaskLines("9:00-11:00 Deep work"),
+  });
+  assert.deepEqual(template, {
+    title: "Peak sprint",
+    sinedays: [8, 9],
+    auto_apply: true,
+    tasks: [{ title: "Deep work", start_time: "09:00", end_time: "11:00" }],
+    note: "",
+  });
+  assert.deepEqual(validateTemplate({ sinedays: [1], note: "x" }), { error: "Give the template a name" });
+  assert.deepEqual(validateTemplate({ title: "T", sinedays: [0, 19], note: "x" }), { error: "Pick at least one SineDay" });
+  assert.deepEqual(validateTemplate({ title: "T", sinedays: [1], tasks: [], note: "  " }), { error: "Add a task or a note" });
+  const tooMany = Array.from({ length: TEMPLATE_MAX_TASKS + 1 }, (_, i) => ({ title: `#${i}` }));
+  assert.match(validateTemplate({ title: "T", sinedays: [1], tasks: tooMany }).error, /at most 30 tasks/);
+});
+
+test("opening a day applies auto templates and offers the rest, from today on", () => {
+  const templates = [REST, PEAK, OLD];
+  const today = "2026-10-19";
+  const offer = dayTemplateOffer({ templates, sineday: 9, ymd: today, today });
+  assert.deepEqual(offer.apply.map((t) => t.id), ["tpl-peak"]);
+  assert.deepEqual(offer.offer.map((t) => t.id), ["tpl-rest"]);
+
+  const handled = dayTemplateOffer({ templates, sineday: 9, ymd: "2026-10-20", today, handled: ["tpl-peak"] });
+  assert.deepEqual(handled.apply, []);
+  assert.deepEqual(handled.offer.map((t) => t.id), ["tpl-rest"]);
+
+  assert.deepEqual(dayTemplateOffer({ templates, sineday: 9, ymd: "2026-10-18", today }), { apply: [], offer: [] });
+  assert.deepEqual(dayTemplateOffer({ templates, sineday: 1, ymd: today, today }), { apply: [], offer: [] });
+  assert.deepEqual(dayTemplateOffer({ templates, sineday: null, ymd: today, today }), { apply: [], offer: [] });
+});
+
+test("applying copies one-off tasks and adds the note skeleton once", () => {
+  const { tasks, note } = materializeTemplate(PEAK, "2026-10-19");
+  assert.deepEqual(tasks, [
+    { title: "Deep work", start_time: "09:00", end_time: "11:00", start_date: "2026-10-19", repeat_mode: "none", sort_order: 0 },
+    { title: "Inbox zero", start_time: null, end_time: null, start_date: "2026-10-19", repeat_mode: "none", sort_order: 1 },
+  ]);
+  assert.equal(note, "One thing to finish:");
+
+  assert.equal(mergeTemplateNote("", note), "One thing to finish:");
+  assert.equal(mergeTemplateNote("Slept well\n\n", note), "Slept well\n\nOne thing to finish:");
+  assert.equal(mergeTemplateNote("Slept well\n\nOne thing to finish: taxes", note), "Slept well\n\nOne thing to finish: taxes");
+  assert.equal(mergeTemplateNote("Slept well", ""), "Slept well");
+});
+
+test("a template another tab already applied adds no tasks or note", async () => {
+  const calls = [];
+  const client = {
+    from(table) {
+      const call = { table };
+      const api = {
+        insert(values) {
+          Object.assign(call, { op: "insert", values });
+          return api;
+        },
+        upsert(values) {
+          Object.assign(call, { op: "upsert", values });
+          return api;
+        },
+        select() {
+          return api;
+        },
+        eq() {
+          return api;
+        },
+        async maybeSingle() {
+          return { data: null, error: null };
+        },
+        then(resolve, reject) {
+          calls.push(call);
+          const error =
+            table === "planner_day_template_applications" ? { code: "23505", message: "duplicate key" } : null;
+          return Promise.resolve({ data: error ? null : [call.values], error, status: error ? 409 : 201 }).then(
+            resolve,
+            reject
+          );
+        },
+      };
+      return api;
+    },
+  };
+
+  const planner = Object.assign(Object.create(PlannerUI.prototype), {
+    outbox: new Outbox({ store: createMemoryOutboxStore(), client, isOnline: () => true }),
+    userId: "user-1",
+    profile: { id: "profile-1" },
+    taskSeries: [],
+    notesCache: new Map(),
+    noteVersions: new Map(),
+    templateApplications: new Map(),
+    _noteIndicators: new Map(),
+    _refreshAllTaskLists() {},
+    async _loadTaskSeries() {},
+    async _loadNotes() {},
+  });
+  planner.outbox.subscribe((event) => planner._handleOutboxEvent(event));
+
+  assert.equal(await planner._applyTemplate(PEAK, "2026-10-19"), true);
+  await planner.outbox.flush();
+
+  assert.deepEqual(calls.map((call) => call.table), ["planner_day_template_applications"]);
+  assert.equal(planner.outbox.size, 0);
+  assert.deepEqual(planner.taskSeries, []);
+  assert.equal(planner.notesCache.has("profile-1:2026-10-19"), false);
+});
+
+test("describeSinedays lists the days a template is for", () => {
+  assert.equal(describeSinedays([5]), "Day 5");
+  assert.equal(describeSinedays([16, 14, 15]), "Days 14, 15 and 16");
+  assert.equal(describeSinedays([]), "");
+});
@@ -0,0 +1,132 @@
+// A minimal TrueType font for PDF tests: one blank glyph per character given,
+// so a test can embed a real font without shipping font files.
+
+function table(size, write) {
+  const view = new DataView(new ArrayBuffer(size));
+  write(view);
+  return new Uint8Array(view.buffer);
+}
+
+function checksum(bytes) {
+  const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+  padded.set(bytes);
+  const view = new DataView(padded.buffer);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+  return sum;
+}
+
+function cmapTable(codes) {
+  // Format 4, one segment per character (glyph i + 1), then the 0xFFFF end segment.
+  const segments = [...codes.map((code, i) => ({ code, delta: (i + 1 - code) & 0xffff })), { code: 0xffff, delta: 1 }];
+  const segX2 = segments.length * 2;
+  const subLength = 16 + segments.length * 8;
+  return table(12 + subLength, (v) => {
+    v.setUint16(0, 0);
+    v.setUint16(2, 1);
+    v.setUint16(4, 3);
+    v.setUint16(6, 1);
+    v.setUint32(8, 12);
+    let o = 12;
+    v.setUint16(o, 4);
+    v.setUint16(o + 2, subLength);
+    v.setUint16(o + 4, 0);
+    v.setUint16(o + 6, segX2);
+    const pow = 2 ** Math.floor(Math.log2(segments.length));
+    v.setUint16(o + 8, pow * 2);
+    v.setUint16(o + 10, Math.log2(pow));
+    v.setUint16(o + 12, segX2 - pow * 2);
+    o += 14;
+    for (const [i, s] of segments.entries()) v.setUint16(o + i * 2, s.code);
+    o += segX2 + 2;
+    for (const [i, s] of segments.entries()) v.setUint16(o + i * 2, s.code);
+    o += segX2;
+    for (const [i, s] of segments.entries()) v.setUint16(o + i * 2, s.delta);
+    // idRangeOffset stays 0.
+  });
+}
+
+function nameTable(name) {
+  const text = [...name].flatMap((ch) => [0, ch.charCodeAt(0)]);
+  return table(18 + text.length, (v) => {
+    v.setUint16(0, 0);
+    v.setUint16(2, 1);
+    v.setUint16(4, 18);
+    v.setUint16(6, 3);
+    v.setUint16(8, 1);
+    v.setUint16(10, 0x409);
+    v.setUint16(12, 6);
+    v.setUint16(14, text.length);
+    v.setUint16(16, 0);
+    text.forEach((byte, i) => v.setUint8(18 + i, byte));
+  });
+}
+
+/**
+ * @param {string} chars - characters the font maps (BMP only)
+ * @param {string} [name] - PostScript name
+ * @returns {Uint8Array}
+ */
+export function buildTestFont(chars, name = "SineDayTest") {
+  const codes = [...new Set([...chars].map((ch) => ch.codePointAt(0)))].sort((a, b) => a - b);
+  const numGlyphs = codes.length + 1;
+
+  const tables = {
+    cmap: cmapTable(codes),
+    glyf: new Uint8Array(0),
+    head: table(54, (v) => {
+      v.setUint32(0, 0x00010000);
+      v.setUint32(12, 0x5f0f3cf5);
+      v.setUint16(18, 1000);
+      v.setInt16(40, 600);
+      v.setInt16(42, 800);
+      v.setInt16(48, 2);
+    }),
+    hhea: table(36, (v) => {
+      v.setUint32(0, 0x00010000);
+      v.setInt16(4, 800);
+      v.setInt16(6, -200);
+      v.setUint16(10, 600);
+      v.setInt16(18, 1);
+      v.setUint16(34, numGlyphs);
+    }),
+    hmtx: table(numGlyphs * 4, (v) => {
+      for (let i = 0; i < numGlyphs; i++) v.setUint16(i * 4, 600);
+    }),
+    loca: new Uint8Array((numGlyphs + 1) * 2),
+    maxp: table(6, (v) => {
+      v.setUint32(0, 0x00005000);
+      v.setUint16(4, numGlyphs);
+    }),
+    name: nameTable(name),
+    post: table(32, (v) => {
+      v.setUint32(0, 0x00030000);
+    }),
+  };
+
+  const tags = Object.keys(tables).sort();
+  let offset = 12 + tags.length * 16;
+  const records = tags.map((tag) => {
+    const record = { tag, bytes: tables[tag], offset };
+    offset += Math.ceil(record.bytes.length / 4) * 4;
+    return record;
+  });
+
+  const out = new Uint8Array(offset);
+  const view = new DataView(out.buffer);
+  const pow = 2 ** Math.floor(Math.log2(tags.length));
+  view.setUint32(0, 0x00010000);
+  view.setUint16(4, tags.length);
+  view.setUint16(6, pow * 16);
+  view.setUint16(8, Math.log2(pow));
+  view.setUint16(10, tags.length * 16 - pow * 16);
+  for (const [i, record] of records.entries()) {
+    const o = 12 + i * 16;
+    [...record.tag].forEach((ch, j) => view.setUint8(o + j, ch.charCodeAt(0)));
+    view.setUint32(o + 4, checksum(record.bytes));
+    view.setUint32(o + 8, record.offset);
+    view.setUint32(o + 12, record.bytes.length);
+    out.set(record.bytes, record.offset);
+  }
+  return out;
+}
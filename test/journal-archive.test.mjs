@@ -0,0 +1,313 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync } from "node:zlib";
+import { crc32, createZip, readZip } from "../js/zip.js";
+import {
+  buildJournalArchiveFiles,
+  JOURNAL_IMPORT_MAX_IMAGE_BYTES,
+  parseJournalMarkdown,
+  planJournalImport,
+  readJournalImportFiles,
+  resolveJournalImportItem
+} from "../js/journal-archive.js";
+
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+const PHOTO = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 0xff, 0xd9]);
+
+// One deflated entry, the way Finder / `zip` write them.
+function deflatedZip(name, text) {
+  const nameBytes = encode(name);
+  const data = encode(text);
+  const packed = deflateRawSync(data);
+  const out = new Uint8Array(30 + nameBytes.length + packed.length + 46 + nameBytes.length + 22);
+  const view = new DataView(out.buffer);
+  const fields = (at) => {
+    view.setUint16(at, 20, true);
+    view.setUint16(at + 4, 8, true);
+    view.setUint32(at + 10, crc32(data), true);
+    view.setUint32(at + 14, packed.length, true);
+    view.setUint32(at + 18, data.length, true);
+    view.setUint16(at + 22, nameBytes.length, true);
+  };
+  view.setUint32(0, 0x04034b50, true);
+  fields(4);
+  out.set(nameBytes, 30);
+  out.set(packed, 30 + nameBytes.length);
+  const central = 30 + nameBytes.length + packed.length;
+  view.setUint32(central, 0x02014b50, true);
+  fields(central + 6);
+  out.set(nameBytes, central + 46);
+  const end = central + 46 + nameBytes.length;
+  view.setUint32(end, 0x06054b50, true);
+  view.setUint16(end + 8, 1, true);
+  view.setUint16(end + 10, 1, true);
+  view.setUint32(end + 12, end - central, true);
+  view.setUint32(end + 16, central, true);
+  return out;
+}
+
+function row(date, content, extra = {}) {
+  return {
+    entry_date: date,
+    actual_sineday: 4,
+    felt_sineday: null,
+    content,
+    image_path: null,
+    image_mime_type: null,
+    ...extra
+  };
+}
+
+test("createZip output round-trips through readZip", async () => {
+  const files = await readZip(
+    createZip([
+      { name: "entries/2026-03-02.md", data: "Día tranquilo ☀️" },
+      { name: "images/2026-03-02.jpg", data: PHOTO }
+    ])
+  );
+  assert.deepEqual(files.map((file) => file.name), ["entries/2026-03-02.md", "images/2026-03-02.jpg"]);
+  assert.equal(decode(files[0].data), "Día tranquilo ☀️");
+  assert.deepEqual(files[1].data, PHOTO);
+});
+
+test("readZip inflates deflated entries and rejects non-archives", async () => {
+  const [file] = await readZip(deflatedZip("notes/2026-01-01.md", "calm ".repeat(200)));
+  assert.equal(decode(file.data), "calm ".repeat(200));
+
+  await assert.rejects(readZip(encode("not a zip at all, just text")), /Not a ZIP archive/);
+  await assert.rejects(
+    readZip(createZip([{ name: "a.txt", data: "12345" }]), { maxTotalBytes: 4 }),
+    /too large/
+  );
+});
+
+test("an exported archive imports back with SineDays, signals, photos and captions", () => {
+  const entries = [
+    row("2026-03-02", "A calm day by the river", {
+      felt_sineday: 6,
+      images: [
+        { path: "u/p/2026-03-02/abc.jpg", mime_type: "image/jpeg", caption: "Herons [two]" },
+        { path: "u/p/2026-03-02/gone.webp", mime_type: "image/webp", caption: "" },
+        { path: "u/p/2026-03-02/def.webp", mime_type: "image/webp", width: 800, height: 600, caption: "" }
+      ]
+    }),
+    row("2026-03-01", "Line one\nLine two", { energy: 4, mood: "calm", tags: ["walk", "river"] })
+  ];
+  const images = new Map([
+    ["u/p/2026-03-02/abc.jpg", { data: PHOTO, mimeType: "image/jpeg" }],
+    ["u/p/2026-03-02/def.webp", { data: PHOTO, mimeType: "image/webp" }]
+  ]);
+  const files = buildJournalArchiveFiles(entries, images, {
+    profile: { id: "p", display_name: "Sam" },
+    exportedAt: new Date("2026-03-03T00:00:00Z")
+  });
+
+  assert.deepEqual(files.map((file) => file.name), [
+    "manifest.json",
+    "entries/2026-03-01.md",
+    "entries/2026-03-02.md",
+    "images/2026-03-02.jpg",
+    "images/2026-03-02-2.webp"
+  ]);
+  assert.equal(
+    files[2].data,
+    "---\ndate: 2026-03-02\nactual_sineday: 4\nfelt_sineday: 6\n---\n\nA calm day by the river\n\n" +
+      "![Herons \\[two\\]](../images/2026-03-02.jpg)\n![](../images/2026-03-02-2.webp)\n"
+  );
+  assert.equal(
+    files[1].data,
+    "---\ndate: 2026-03-01\nactual_sineday: 4\nenergy: 4\nmood: calm\ntags: [walk, river]\n---\n\nLine one\nLine two\n"
+  );
+  const manifest = JSON.parse(files[0].data);
+  assert.equal(manifest.version, 2);
+  assert.deepEqual(
+    [manifest.entries[0].energy, manifest.entries[0].mood, manifest.entries[0].tags],
+    [4, "calm", ["walk", "river"]]
+  );
+  assert.equal(manifest.entries[1].missingImages, 1);
+  assert.deepEqual(manifest.entries[1].images[1], {
+    file: "images/2026-03-02-2.webp",
+    mimeType: "image/webp",
+    size: PHOTO.length,
+    width: 800,
+    height: 600,
+    caption: ""
+  });
+
+  const archive = files.map((file) => ({
+    name: `SineDay Journal/${file.name}`,
+    data: typeof file.data === "string" ? encode(file.data) : file.data
+  }));
+  const { entries: imported, skipped, source } = readJournalImportFiles(archive);
+  assert.equal(source, "archive");
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(imported.map((entry) => [entry.entry_date, entry.felt_sineday, entry.content]), [
+    ["2026-03-01", null, "Line one\nLine two"],
+    ["2026-03-02", 6, "A calm day by the river"]
+  ]);
+  assert.deepEqual(
+    imported[1].images.map((image) => [image.mimeType, image.caption]),
+    [["image/jpeg", "Herons [two]"], ["image/webp", ""]]
+  );
+  assert.deepEqual(imported[1].images[0].data, PHOTO);
+  assert.deepEqual([imported[0].energy, imported[0].mood, imported[0].tags], [4, "calm", ["walk", "river"]]);
+
+  // The Markdown files alone carry the same gallery.
+  const folder = readJournalImportFiles(archive.filter((file) => !file.name.endsWith("manifest.json")));
+  assert.equal(folder.source, "markdown");
+  assert.equal(folder.entries[1].content, "A calm day by the river");
+  assert.deepEqual(folder.entries[1].images.map((image) => image.caption), ["Herons [two]", ""]);
+  assert.deepEqual([folder.entries[0].energy, folder.entries[0].mood, folder.entries[0].tags], [4, "calm", ["walk", "river"]]);
+});
+
+test("version 1 archives still import their single photo", () => {
+  const manifest = {
+    format: "sineday-journal",
+    version: 1,
+    entries: [
+      {
+        date: "2026-03-02",
+        feltSineday: 6,
+        content: "Old export",
+        file: "entries/2026-03-02.md",
+        image: { file: "images/2026-03-02.jpg", mimeType: "image/jpeg", size: PHOTO.length }
+      }
+    ]
+  };
+  const { entries, skipped } = readJournalImportFiles([
+    { name: "manifest.json", data: encode(JSON.stringify(manifest)) },
+    { name: "images/2026-03-02.jpg", data: PHOTO }
+  ]);
+  assert.deepEqual(skipped, []);
+  assert.equal(entries[0].images.length, 1);
+  assert.equal(entries[0].images[0].mimeType, "image/jpeg");
+
+  const markdown = parseJournalMarkdown('---\ndate: 2026-03-02\nimage: "../images/2026-03-02.jpg"\n---\n\nOld export\n');
+  assert.deepEqual(markdown.imageRefs, [{ ref: "../images/2026-03-02.jpg", caption: "" }]);
+});
+
+test("parseJournalMarkdown reads front-matter, Day One headers and file names", () => {
+  const front = parseJournalMarkdown("---\ndate: 2026-02-14\nfelt_sineday: 9\n---\n\nHearts.\n", "x.md");
+  assert.deepEqual(front, {
+    date: "2026-02-14",
+    feltSineday: 9,
+    energy: null,
+    mood: null,
+    tags: [],
+    content: "Hearts.",
+    imageRefs: []
+  });
+
+  const signals = parseJournalMarkdown("---\ndate: 2026-02-15\nenergy: 4\nmood: Calm\ntags: [walk, \"Long Run\"]\n---\nx", "x.md");
+  assert.equal(signals.energy, 4);
+  assert.equal(signals.mood, "calm");
+  assert.deepEqual(signals.tags, ["walk", "long run"]);
+
+  const dayOne = parseJournalMarkdown(
+    "\tDate:\tMarch 2, 2026 at 9:14:03 PM CST\n\tTags:\t#outdoors #winter walk\n\tWeather:\t8°C Cloudy\n\n# Walk\n\n![Frost](photos/a%20b.jpeg)\nCold but bright.",
+    "Journal/entry.md"
+  );
+  assert.equal(dayOne.date, "2026-03-02");
+  assert.equal(dayOne.content, "# Walk\n\nCold but bright.");
+  assert.deepEqual(dayOne.tags, ["outdoors", "winter walk"]);
+  assert.deepEqual(dayOne.imageRefs, [{ ref: "photos/a b.jpeg", caption: "Frost" }]);
+
+  const named = parseJournalMarkdown("Note: just text", "daily/2025-12-31.md");
+  assert.equal(named.date, "2025-12-31");
+  assert.equal(named.content, "Note: just text");
+  assert.equal(parseJournalMarkdown("no date", "notes.md").date, null);
+  assert.equal(parseJournalMarkdown("---\nfelt_sineday: 40\n---\nx", "2026-01-01.md").feltSineday, null);
+});
+
+test("a Markdown folder merges same-day notes and resolves relative photos", () => {
+  const { entries, skipped, source } = readJournalImportFiles([
+    { name: "Export/2026-01-05 morning.md", data: encode("Morning pages\n![](photos/sun.png)") },
+    { name: "Export/2026-01-05 evening.md", data: encode("Evening walk") },
+    { name: "Export/photos/sun.png", data: PHOTO },
+    { name: "Export/undated.md", data: encode("Somewhere in time") },
+    { name: "Export/2026-01-06.md", data: encode("![](photos/huge.jpg)Big photo day") },
+    { name: "Export/photos/huge.jpg", data: new Uint8Array(JOURNAL_IMPORT_MAX_IMAGE_BYTES + 1) },
+    { name: "Export/.obsidian/2026-01-07.md", data: encode("config") },
+    { name: "__MACOSX/Export/._2026-01-05 morning.md", data: encode("junk") }
+  ]);
+
+  assert.equal(source, "markdown");
+  assert.deepEqual(entries.map((entry) => entry.entry_date), ["2026-01-05", "2026-01-06"]);
+  assert.equal(entries[0].content, "Evening walk\n\nMorning pages");
+  assert.deepEqual(entries[0].images.map((image) => image.mimeType), ["image/png"]);
+  assert.deepEqual(entries[1].images, []);
+  assert.deepEqual(skipped, [
+    { name: "photos/huge.jpg", reason: "Photo is larger than 8 MB" },
+    { name: "Export/undated.md", reason: "No date found" }
+  ]);
+});
+
+test("planJournalImport separates new, unchanged and conflicting days", () => {
+  const incoming = [
+    { entry_date: "2026-03-01", content: "Fresh", felt_sineday: null, images: [] },
+    { entry_date: "2026-03-02", content: "Same words", felt_sineday: 4, images: [] },
+    { entry_date: "2026-03-03", content: "Different words", felt_sineday: null, images: [] },
+    { entry_date: "2026-03-04", content: "Empty row", felt_sineday: null, images: [] }
+  ];
+  const existing = [
+    row("2026-03-02", "Same words  ", { felt_sineday: 4 }),
+    row("2026-03-03", "Original words"),
+    row("2026-03-04", "")
+  ];
+
+  const plan = planJournalImport(incoming, existing);
+  assert.deepEqual(plan.items.map((item) => item.status), ["new", "unchanged", "conflict", "new"]);
+  assert.deepEqual(plan.counts, { new: 2, unchanged: 1, conflict: 1 });
+});
+
+test("conflicts default to keeping saved entries", () => {
+  const existing = row("2026-03-03", "Original words", {
+    felt_sineday: 5,
+    energy: 2,
+    tags: ["saved"],
+    image_path: "u/p/old.jpg"
+  });
+  const incoming = {
+    entry_date: "2026-03-03",
+    content: "Imported words",
+    felt_sineday: 7,
+    mood: "calm",
+    images: [{ data: PHOTO, mimeType: "image/jpeg", size: PHOTO.length, caption: "" }]
+  };
+  const [item] = planJournalImport([incoming], [existing]).items;
+
+  assert.equal(resolveJournalImportItem(item), null);
+  assert.equal(resolveJournalImportItem(item, "keep"), null);
+  assert.deepEqual(resolveJournalImportItem(item, "replace"), {
+    entry_date: "2026-03-03",
+    content: "Imported words",
+    felt_sineday: 7,
+    energy: 2,
+    mood: "calm",
+    tags: ["saved"],
+    images: incoming.images
+  });
+  assert.deepEqual(resolveJournalImportItem(item, "combine"), {
+    entry_date: "2026-03-03",
+    content: "Original words\n\nImported words",
+    felt_sineday: 5,
+    energy: 2,
+    mood: "calm",
+    tags: ["saved"],
+    images: []
+  });
+
+  const unchanged = planJournalImport([{ ...incoming, content: "Original words", felt_sineday: null, mood: null }], [existing]);
+  assert.equal(resolveJournalImportItem(unchanged.items[0], "replace"), null);
+  // A mood or tag the saved day lacks is something new.
+  const newTag = planJournalImport([{ ...incoming, content: "Original words", felt_sineday: null, mood: null, tags: ["walk"] }], [existing]);
+  assert.equal(newTag.items[0].status, "conflict");
+
+  // More photos than are saved is something new to bring in.
+  const morePhotos = planJournalImport(
+    [{ ...incoming, content: "Original words", felt_sineday: null, images: [...incoming.images, ...incoming.images] }],
+    [existing]
+  );
+  assert.equal(morePhotos.items[0].status, "conflict");
+});
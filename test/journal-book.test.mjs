@@ -0,0 +1,183 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { PDFDict, PDFDocument, PDFName } from "pdf-lib";
+import {
+  JOURNAL_BOOK_MAX_DAYS,
+  groupEntriesBySineDay,
+  hanFontKey,
+  isRtlText,
+  monthsInRange,
+  parseJournalBookRequest,
+  scriptsInTexts,
+  splitScriptRuns,
+  wrapText
+} from "../api/_lib/journal-book.js";
+import { renderJournalBookPdf } from "../api/_lib/journal-book-pdf.js";
+import { buildTestFont } from "./helpers/test-font.mjs";
+
+const PROFILE_ID = "6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b";
+const chars = (text) => [...text].length;
+const ORIGIN = "https://sineday.test";
+const FONT_BASE = "https://fonts.sineday.test/noto";
+
+const BOOK = {
+  profile: { id: PROFILE_ID, display_name: "Ada", birthdate: "1990-05-01" },
+  from: "2026-03-01",
+  to: "2026-03-31",
+  origin: ORIGIN
+};
+const entry = (content) => ({
+  entry_date: "2026-03-05",
+  actual_sineday: 4,
+  felt_sineday: null,
+  content,
+  images: [],
+  is_encrypted: false
+});
+
+// Serves the duck PNGs from the repo and a test font for every Noto file.
+function mockAssetFetch() {
+  const requested = [];
+  const font = buildTestFont("0123456789 ,.:Καλημέρα");
+  mock.method(globalThis, "fetch", async (url) => {
+    requested.push(String(url));
+    const { origin, pathname } = new URL(url);
+    if (origin === ORIGIN) return new Response(await readFile(new URL(`..${pathname}`, import.meta.url)));
+    if (String(url).startsWith(FONT_BASE)) return new Response(font);
+    return new Response("Not found", { status: 404 });
+  });
+  return requested;
+}
+
+async function embeddedFontNames(bytes) {
+  const pdf = await PDFDocument.load(bytes);
+  const names = [];
+  for (const [, object] of pdf.context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFDict) || object.get(PDFName.of("Type")) !== PDFName.of("FontDescriptor")) continue;
+    if (object.has(PDFName.of("FontFile2"))) names.push(object.get(PDFName.of("FontName")).decodeText());
+  }
+  return names;
+}
+
+test("parseJournalBookRequest accepts a year or a bounded range", () => {
+  assert.deepEqual(parseJournalBookRequest({ year: 2026 }), {
+    profileId: null,
+    from: "2026-01-01",
+    to: "2026-12-31",
+    locale: "en-US",
+    includePhotos: true
+  });
+
+  const range = parseJournalBookRequest({
+    from: "2026-03-01",
+    to: "2026-05-31",
+    profileId: PROFILE_ID,
+    locale: "ja-JP",
+    includePhotos: false
+  });
+  assert.equal(range.profileId, PROFILE_ID);
+  assert.equal(range.locale, "ja-JP");
+  assert.equal(range.includePhotos, false);
+
+  assert.match(parseJournalBookRequest({}).error, /year, or from and to/);
+  assert.match(parseJournalBookRequest({ year: "26" }).error, /four-digit/);
+  assert.match(parseJournalBookRequest({ year: 2026, from: "2026-01-01" }).error, /either year/);
+  assert.match(parseJournalBookRequest({ from: "2026-02-30", to: "2026-03-01" }).error, /YYYY-MM-DD/);
+  assert.match(parseJournalBookRequest({ from: "2026-03-02", to: "2026-03-01" }).error, /on or before/);
+  assert.match(parseJournalBookRequest({ from: "2024-01-01", to: "2026-01-01" }).error, new RegExp(String(JOURNAL_BOOK_MAX_DAYS)));
+  assert.match(parseJournalBookRequest({ year: 2026, profileId: "owner" }).error, /profileId/);
+  assert.equal(parseJournalBookRequest({ year: 2026, locale: "<script>" }).locale, "en-US");
+});
+
+test("text splits into single-font runs and reports its scripts", () => {
+  assert.deepEqual(splitScriptRuns("Hi 今日は、 שלום 1!"), [
+    { script: "latin", text: "Hi " },
+    { script: "han", text: "今日は、 " },
+    { script: "hebrew", text: "שלום 1!" }
+  ]);
+  assert.deepEqual(splitScriptRuns("2026 — ok"), [{ script: "latin", text: "2026 — ok" }]);
+  assert.deepEqual(splitScriptRuns("12. سلام"), [{ script: "arabic", text: "12. سلام" }]);
+  assert.deepEqual([...scriptsInTexts(["Привет", "नमस्ते", "สวัสดี", "안녕"])].sort(), [
+    "devanagari",
+    "hangul",
+    "latin",
+    "thai"
+  ]);
+  assert.equal(isRtlText("  שלום world"), true);
+  assert.equal(isRtlText("world שלום"), false);
+});
+
+test("han text uses the font that matches the book's language", () => {
+  assert.equal(hanFontKey("ja-JP"), "han-jp");
+  assert.equal(hanFontKey("zh-CN"), "han-sc");
+  assert.equal(hanFontKey("zh-TW"), "han-tc");
+  assert.equal(hanFontKey("zh-Hant-HK"), "han-tc");
+  assert.equal(hanFontKey("ko-KR"), "hangul");
+  assert.equal(hanFontKey("en-US"), "han-jp");
+});
+
+test("wrapText keeps paragraphs, breaks CJK anywhere and splits overlong words", () => {
+  assert.deepEqual(wrapText("one two  three\n\nfour", 9, chars), ["one two", "three", "", "four"]);
+  assert.deepEqual(wrapText("今日はとても良い天気でした", 5, chars), ["今日はとて", "も良い天気", "でした"]);
+  assert.deepEqual(wrapText("abcdefghij kl", 4, chars), ["abcd", "efgh", "ij", "kl"]);
+  assert.deepEqual(wrapText("Mar\u00a04\u00a0p.\u00a012; Apr", 12, chars), ["Mar\u00a04\u00a0p.\u00a012;", "Apr"]);
+  assert.deepEqual(wrapText("", 10, chars), [""]);
+});
+
+test("months and the SineDay index cover the range in order", () => {
+  assert.deepEqual(
+    monthsInRange("2025-11-20", "2026-02-01").map((month) => month.key),
+    ["2025-11", "2025-12", "2026-01", "2026-02"]
+  );
+  assert.deepEqual(
+    groupEntriesBySineDay([
+      { entry_date: "2026-03-20", actual_sineday: 4 },
+      { entry_date: "2026-03-02", actual_sineday: 4 },
+      { entry_date: "2026-03-05", actual_sineday: 1 },
+      { entry_date: "2026-03-06", actual_sineday: null }
+    ]),
+    [
+      { day: 1, dates: ["2026-03-05"] },
+      { day: 4, dates: ["2026-03-02", "2026-03-20"] }
+    ]
+  );
+});
+
+test("renderJournalBookPdf embeds the Noto font a non-Latin entry needs", async (t) => {
+  t.after(() => {
+    mock.restoreAll();
+    delete process.env.JOURNAL_BOOK_FONT_BASE_URL;
+  });
+  process.env.JOURNAL_BOOK_FONT_BASE_URL = FONT_BASE;
+  const requested = mockAssetFetch();
+
+  const { bytes, pageCount } = await renderJournalBookPdf({ ...BOOK, entries: [entry("Καλημέρα")] });
+  assert.ok(pageCount > 1);
+  assert.ok(requested.includes(`${FONT_BASE}/NotoSans-Regular.ttf`));
+  assert.ok((await embeddedFontNames(bytes)).some((name) => name.includes("SineDayTest")));
+});
+
+test("renderJournalBookPdf fails when a needed font is not configured or not found", async (t) => {
+  t.after(() => {
+    mock.restoreAll();
+    delete process.env.JOURNAL_BOOK_FONT_BASE_URL;
+  });
+  const requested = mockAssetFetch();
+
+  delete process.env.JOURNAL_BOOK_FONT_BASE_URL;
+  const latin = await renderJournalBookPdf({ ...BOOK, entries: [entry("A quiet day")] });
+  assert.deepEqual(await embeddedFontNames(latin.bytes), []);
+  assert.equal(requested.some((url) => url.includes("Noto")), false);
+
+  await assert.rejects(
+    renderJournalBookPdf({ ...BOOK, entries: [entry("Καλημέρα")] }),
+    /JOURNAL_BOOK_FONT_BASE_URL is not set/
+  );
+
+  process.env.JOURNAL_BOOK_FONT_BASE_URL = "https://missing.sineday.test/fonts";
+  await assert.rejects(
+    renderJournalBookPdf({ ...BOOK, entries: [entry("Καλημέρα")] }),
+    /Failed to fetch font: 404/
+  );
+});
@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  addJournalDataKey,
+  createJournalKeyring,
+  decryptJournalBytes,
+  decryptJournalText,
+  encryptJournalBytes,
+  encryptJournalText,
+  isEncryptedJournalText,
+  journalCipherKeyId,
+  parseRecoveryKey,
+  rewrapJournalKeyring,
+  unlockJournalKeyring
+} from "../js/journal-crypto.js";
+import { encryptedImageKeyId, JournalVault } from "../js/journal-vault.js";
+import { buildJournalRecall } from "../js/journal-recall.js";
+import { toJournalSearchResult } from "../api/_lib/journal-search.js";
+
+// Real deployments use JOURNAL_KDF_ITERATIONS; tests keep PBKDF2 cheap.
+const FAST = { iterations: 1000 };
+
+test("text round-trips and never leaks the plain text", async () => {
+  const { keyring, keys } = await createJournalKeyring("river stones at dusk", FAST);
+  const keyId = keyring.activeKeyId;
+  const sealed = await encryptJournalText(keys.get(keyId), keyId, "Walked to the river. Felt like Day 6 — ünïcödé.");
+
+  assert.ok(isEncryptedJournalText(sealed));
+  assert.equal(journalCipherKeyId(sealed), keyId);
+  assert.equal(sealed.includes("river"), false);
+  assert.equal(await decryptJournalText(keys, sealed), "Walked to the river. Felt like Day 6 — ünïcödé.");
+  assert.equal(await decryptJournalText(keys, "plain words"), "plain words");
+
+  const again = await encryptJournalText(keys.get(keyId), keyId, "Walked to the river. Felt like Day 6 — ünïcödé.");
+  assert.notEqual(again, sealed);
+  assert.equal(JSON.stringify(keyring).includes("river stones"), false);
+});
+
+test("the keyring opens with the passphrase or the recovery key only", async () => {
+  const { keyring, keys, recoveryKey } = await createJournalKeyring("correct horse battery", FAST);
+  const keyId = keyring.activeKeyId;
+  const sealed = await encryptJournalText(keys.get(keyId), keyId, "secret");
+
+  const byPassphrase = await unlockJournalKeyring(keyring, { passphrase: "correct horse battery" });
+  assert.equal(await decryptJournalText(byPassphrase, sealed), "secret");
+
+  // Lower case, spaces and O/I look-alikes are forgiven when typing the key back.
+  const typed = recoveryKey.toLowerCase().replace(/-/g, " ").replace(/0/g, "o").replace(/1/g, "i");
+  const byRecovery = await unlockJournalKeyring(keyring, { recoveryKey: typed });
+  assert.equal(await decryptJournalText(byRecovery, sealed), "secret");
+
+  await assert.rejects(unlockJournalKeyring(keyring, { passphrase: "correct horse" }), { code: "WRONG_PASSPHRASE" });
+  const other = (await createJournalKeyring("another passphrase", FAST)).recoveryKey;
+  await assert.rejects(unlockJournalKeyring(keyring, { recoveryKey: other }), { code: "WRONG_RECOVERY_KEY" });
+  await assert.rejects(unlockJournalKeyring(keyring, { recoveryKey: "not-a-key" }), { code: "INVALID_RECOVERY_KEY" });
+  assert.equal(parseRecoveryKey(recoveryKey).length, 30);
+});
+
+test("changing the passphrase rewraps old keys and issues a new recovery key", async () => {
+  const { keyring, keys, recoveryKey } = await createJournalKeyring("first passphrase", FAST);
+  const oldId = keyring.activeKeyId;
+  const oldSealed = await encryptJournalText(keys.get(oldId), oldId, "before");
+
+  const newId = await addJournalDataKey(keys);
+  const next = await rewrapJournalKeyring(keys, { passphrase: "second passphrase", activeKeyId: newId, ...FAST });
+  assert.notEqual(next.recoveryKey, recoveryKey);
+  assert.equal(next.keyring.activeKeyId, newId);
+  assert.deepEqual(next.keyring.keys.map(({ id }) => id).sort(), [newId, oldId].sort());
+
+  await assert.rejects(unlockJournalKeyring(next.keyring, { passphrase: "first passphrase" }), { code: "WRONG_PASSPHRASE" });
+  await assert.rejects(unlockJournalKeyring(next.keyring, { recoveryKey }), { code: "WRONG_RECOVERY_KEY" });
+
+  const reopened = await unlockJournalKeyring(next.keyring, { passphrase: "second passphrase" });
+  assert.equal(await decryptJournalText(reopened, oldSealed), "before");
+  const newSealed = await encryptJournalText(reopened.get(newId), newId, "after");
+  assert.equal(await decryptJournalText(reopened, newSealed), "after");
+
+  reopened.delete(oldId);
+  await assert.rejects(decryptJournalText(reopened, oldSealed), { code: "MISSING_KEY" });
+});
+
+test("photos use a binary envelope that names its key", async () => {
+  const { keyring, keys } = await createJournalKeyring("photo passphrase", FAST);
+  const keyId = keyring.activeKeyId;
+  const photo = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4]);
+  const sealed = await encryptJournalBytes(keys.get(keyId), keyId, photo);
+
+  assert.deepEqual([...sealed.subarray(0, 4)], [0x53, 0x44, 0x45, 0x31]);
+  assert.equal(journalCipherKeyId(sealed), keyId);
+  assert.deepEqual(await decryptJournalBytes(keys, sealed), photo);
+  assert.equal(await decryptJournalBytes(keys, photo), photo);
+
+  sealed[sealed.length - 1] ^= 1;
+  await assert.rejects(decryptJournalBytes(keys, sealed), { code: "DECRYPT_FAILED" });
+
+  assert.equal(encryptedImageKeyId(`u/p/2026-03-10/abc.${keyId}.enc`), keyId);
+  assert.equal(encryptedImageKeyId("u/p/2026-03-10/abc.jpg"), null);
+});
+
+test("server-side recall and search leave encrypted text alone", async () => {
+  const { keyring, keys } = await createJournalKeyring("server passphrase", FAST);
+  const keyId = keyring.activeKeyId;
+  const content = await encryptJournalText(keys.get(keyId), keyId, "private thoughts");
+
+  const recall = buildJournalRecall(
+    [{ entry_date: "2026-02-20", actual_sineday: 4, felt_sineday: 6, content, image_path: null }],
+    { sameSineDay: [{ date: "2026-02-20", cyclesAgo: 1 }], sameDate: [] }
+  );
+  assert.equal(recall.sameSineDay[0].entry.excerpt, null);
+  assert.equal(recall.sameSineDay[0].entry.encrypted, true);
+
+  const result = toJournalSearchResult(
+    { entry_date: "2026-02-20", actual_sineday: 4, felt_sineday: 6, content, image_path: null, is_encrypted: true },
+    []
+  );
+  assert.equal(result.encrypted, true);
+  assert.equal(result.snippet, null);
+  assert.equal(JSON.stringify(result).includes("sdenc"), false);
+});
+
+test("the vault seals photo captions with the entry text", async () => {
+  const { keyring, keys } = await createJournalKeyring("caption passphrase", FAST);
+  const vault = new JournalVault({ client: null, userId: "u" });
+  vault.keyring = keyring;
+  vault.keys = keys;
+
+  const images = [
+    { path: `u/p/2026-03-10/a.${keyring.activeKeyId}.enc`, mime_type: "image/webp", caption: "Sunrise over the bay" },
+    { path: `u/p/2026-03-10/b.${keyring.activeKeyId}.enc`, mime_type: "image/webp", caption: "" }
+  ];
+  const sealed = await vault.sealEntryFields("Early start.", images);
+  assert.equal(sealed.is_encrypted, true);
+  assert.ok(isEncryptedJournalText(sealed.images[0].caption));
+  assert.equal(sealed.images[1].caption, "");
+  assert.equal(JSON.stringify(sealed).includes("Sunrise"), false);
+
+  const opened = await vault.decryptRow({ entry_date: "2026-03-10", ...sealed });
+  assert.equal(opened.content, "Early start.");
+  assert.deepEqual(opened.images, images);
+  assert.equal(vault._rowNeedsRewrite({ ...sealed }, "encrypt"), false);
+  assert.equal(vault._rowNeedsRewrite({ ...sealed }, "decrypt"), true);
+});
@@ -0,0 +1,114 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildYearHeatmapDays,
+  feltMatchBucket,
+  journalEntryLevel,
+  layoutHeatmapCycles,
+  layoutHeatmapWeeks,
+  summarizeHeatmapYear,
+  waveHeight
+} from "../js/journal-heatmap.js";
+import { calculateSineDayForYmd } from "../js/sineday-engine.js";
+
+const BIRTHDATE = "1985-04-20";
+
+test("buildYearHeatmapDays covers every day with its SineDay, entry, match and tag", () => {
+  const entries = new Map([
+    ["2026-03-02", { entry_date: "2026-03-02", content: "A long walk", felt_sineday: null }],
+    ["2026-03-03", { entry_date: "2026-03-03", content: "", felt_sineday: null }],
+  ]);
+  const actual = calculateSineDayForYmd(BIRTHDATE, "2026-03-04").day;
+  entries.set("2026-03-04", {
+    entry_date: "2026-03-04",
+    content: "Felt right",
+    felt_sineday: actual,
+    images: [{ path: "u/p/a.webp" }],
+  });
+  const tags = new Map([["2026-03-02", { color: "#22c55e", label: "Build" }], ["2026-03-05", { color: "" }]]);
+
+  const days = buildYearHeatmapDays({ year: 2026, birthdate: BIRTHDATE, entries, tags, today: "2026-03-04" });
+  assert.equal(days.length, 365);
+  assert.equal(buildYearHeatmapDays({ year: 2028, birthdate: BIRTHDATE }).length, 366);
+  assert.equal(days[0].date, "2026-01-01");
+  assert.equal(days[364].date, "2026-12-31");
+
+  const byDate = new Map(days.map((day) => [day.date, day]));
+  assert.equal(byDate.get("2026-03-02").level, 1);
+  assert.deepEqual(byDate.get("2026-03-02").tag, { color: "#22c55e", label: "Build" });
+  assert.equal(byDate.get("2026-03-03").level, 0);
+  assert.equal(byDate.get("2026-03-04").level, 3);
+  assert.equal(byDate.get("2026-03-04").match, "match");
+  assert.equal(byDate.get("2026-03-04").isToday, true);
+  assert.equal(byDate.get("2026-03-05").tag, null);
+  assert.equal(byDate.get("2026-03-05").isFuture, true);
+  assert.equal(byDate.get("2026-03-04").actual, actual);
+  assert.equal(byDate.get("2026-03-04").wave, waveHeight(actual));
+
+  const noBirthdate = buildYearHeatmapDays({ year: 2026, birthdate: null });
+  assert.equal(noBirthdate[0].actual, null);
+  assert.equal(noBirthdate[0].wave, null);
+});
+
+test("entry levels and felt-vs-actual buckets", () => {
+  assert.equal(journalEntryLevel(null), 0);
+  assert.equal(journalEntryLevel({ content: "  " }), 0);
+  assert.equal(journalEntryLevel({ content: "ciphertext", felt_sineday: 4 }), 2);
+  assert.equal(journalEntryLevel({ felt_sineday: 0 }), 1);
+
+  assert.equal(feltMatchBucket(5, null), null);
+  assert.equal(feltMatchBucket(null, 5), null);
+  assert.equal(feltMatchBucket(5, 5), "match");
+  assert.equal(feltMatchBucket(18, 1), "close");
+  assert.equal(feltMatchBucket(1, 18), "close");
+  assert.equal(feltMatchBucket(3, 9), "off");
+});
+
+test("the wave starts on the midline, crests and returns over 18 days", () => {
+  assert.equal(waveHeight(1), 0);
+  assert.ok(waveHeight(5) > 0.9);
+  assert.ok(Math.abs(waveHeight(10)) < 1e-9);
+  assert.ok(waveHeight(14) < -0.9);
+});
+
+test("week layout pads to whole weeks and records where months start", () => {
+  const days = buildYearHeatmapDays({ year: 2026, birthdate: BIRTHDATE });
+  // 1 January 2026 is a Thursday.
+  const sundayFirst = layoutHeatmapWeeks(days, 0);
+  assert.deepEqual(sundayFirst.columns[0].slice(0, 4), [null, null, null, null]);
+  assert.equal(sundayFirst.columns[0][4].date, "2026-01-01");
+  assert.equal(sundayFirst.columns.length, 53);
+  assert.ok(sundayFirst.columns.every((column) => column.length === 7));
+  assert.equal(sundayFirst.columns.flat().filter(Boolean).length, 365);
+  assert.deepEqual(sundayFirst.monthStarts[0], { month: 0, column: 0 });
+  assert.deepEqual(sundayFirst.monthStarts[1], { month: 1, column: 5 });
+  assert.equal(sundayFirst.monthStarts.length, 12);
+
+  const mondayFirst = layoutHeatmapWeeks(days, 1);
+  assert.equal(mondayFirst.columns[0][3].date, "2026-01-01");
+  assert.deepEqual(layoutHeatmapWeeks([], 0), { columns: [], monthStarts: [] });
+});
+
+test("cycle layout lines every SineDay up in its own column", () => {
+  const days = buildYearHeatmapDays({ year: 2026, birthdate: BIRTHDATE });
+  const rows = layoutHeatmapCycles(days);
+  assert.ok(rows.every((row) => row.length === 18));
+  for (const row of rows) {
+    row.forEach((day, index) => {
+      if (day) assert.equal(day.actual, index + 1);
+    });
+  }
+  assert.equal(rows.flat().filter(Boolean).length, 365);
+  assert.equal(rows[0].findIndex(Boolean), days[0].actual - 1);
+  assert.deepEqual(layoutHeatmapCycles(buildYearHeatmapDays({ year: 2026, birthdate: null })), []);
+});
+
+test("summarizeHeatmapYear counts written, felt, matched and tagged days", () => {
+  const days = [
+    { level: 2, match: "match", tag: null },
+    { level: 1, match: "off", tag: { color: "#3b82f6" } },
+    { level: 0, match: null, tag: { color: "#3b82f6" } },
+  ];
+  assert.deepEqual(summarizeHeatmapYear(days), { written: 2, felt: 2, matches: 1, matchRate: 50, tagged: 2 });
+  assert.equal(summarizeHeatmapYear([]).matchRate, null);
+});
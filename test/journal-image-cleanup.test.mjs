@@ -0,0 +1,127 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+
+const CRON_SECRET = "cron-secret-test-key";
+
+process.env.SUPABASE_URL = "https://example.supabase.co";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-test-key";
+process.env.CRON_SECRET = CRON_SECRET;
+
+const state = { claims: [], rpcCalls: [], removed: [], requeued: [], failRemove: new Set() };
+
+mock.module("@supabase/supabase-js", {
+  namedExports: {
+    createClient() {
+      return {
+        rpc: async (name, args) => {
+          state.rpcCalls.push({ name, args });
+          return { data: state.claims, error: null };
+        },
+        storage: {
+          from(bucket) {
+            return {
+              async remove(paths) {
+                if (paths.some((path) => state.failRemove.has(path))) {
+                  return { data: null, error: new Error("storage unavailable") };
+                }
+                state.removed.push(...paths.map((path) => `${bucket}/${path}`));
+                return { data: [], error: null };
+              }
+            };
+          }
+        },
+        from(table) {
+          return {
+            async upsert(rows, options) {
+              state.requeued.push({ table, rows, options });
+              return { data: null, error: null };
+            }
+          };
+        }
+      };
+    }
+  }
+});
+
+const { default: cleanupCron } = await import("../api/cron/journal-image-cleanup.js");
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+function reset(claims = []) {
+  state.claims = claims;
+  state.rpcCalls = [];
+  state.removed = [];
+  state.requeued = [];
+  state.failRemove = new Set();
+}
+
+async function runCron({ method = "GET", authorization = `Bearer ${CRON_SECRET}` } = {}) {
+  const res = mockRes();
+  await cleanupCron({ method, headers: authorization ? { authorization } : {} }, res);
+  return res;
+}
+
+test("cleanup cron requires GET and the bearer secret", async () => {
+  reset([{ path: "u/p/2026-03-02/a.webp", user_id: "u" }]);
+  assert.equal((await runCron({ method: "POST" })).statusCode, 405);
+  const res = await runCron({ authorization: "Bearer wrong-secret-value" });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.headers["Cache-Control"], "no-store");
+  assert.equal(state.rpcCalls.length, 0);
+  assert.deepEqual(state.removed, []);
+});
+
+test("claimed photos are removed after the grace period", async () => {
+  reset([
+    { path: "u/p/2026-03-02/a.webp", user_id: "u" },
+    { path: "u/p/2026-03-02/b.1a2b3c4d.enc", user_id: "u" }
+  ]);
+  const before = Date.now();
+  const res = await runCron();
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { ok: true, claimed: 2, removed: 2, failed: 0 });
+  assert.equal(state.rpcCalls[0].name, "claim_journal_image_cleanup");
+  const cutoff = Date.parse(state.rpcCalls[0].args.p_before);
+  assert.ok(before - cutoff >= 24 * 60 * 60 * 1000 - 1000);
+  assert.deepEqual(state.removed, [
+    "journal-images/u/p/2026-03-02/a.webp",
+    "journal-images/u/p/2026-03-02/b.1a2b3c4d.enc"
+  ]);
+});
+
+test("paths that fail to delete go back in the queue", async () => {
+  reset([{ path: "u/p/2026-03-02/a.webp", user_id: "u" }]);
+  state.failRemove.add("u/p/2026-03-02/a.webp");
+  const res = await runCron();
+
+  assert.deepEqual(res.body, { ok: true, claimed: 1, removed: 0, failed: 1 });
+  assert.deepEqual(state.requeued, [
+    {
+      table: "journal_image_cleanup",
+      rows: [{ path: "u/p/2026-03-02/a.webp", user_id: "u" }],
+      options: { onConflict: "path" }
+    }
+  ]);
+});
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  fitImageWithin,
+  JOURNAL_CAPTION_MAX_LENGTH,
+  JOURNAL_MAX_IMAGES,
+  moveJournalImage,
+  normalizeJournalImages,
+  removedJournalImagePaths
+} from "../js/journal-images.js";
+
+const photo = (path, extra = {}) => ({ path, mime_type: "image/webp", caption: "", ...extra });
+
+test("normalizeJournalImages reads galleries and falls back to the legacy photo", () => {
+  const gallery = normalizeJournalImages({
+    images: [
+      photo("u/p/a.webp", { size: "2048", width: 800, height: 600, caption: "x".repeat(400) }),
+      photo("u/p/a.webp"),
+      null,
+      { caption: "no path" },
+      photo("u/p/b.webp", { width: -1 })
+    ],
+    image_path: "u/p/a.webp"
+  });
+  assert.deepEqual(
+    gallery.map(({ path, size, width }) => [path, size, width]),
+    [
+      ["u/p/a.webp", 2048, 800],
+      ["u/p/b.webp", null, null]
+    ]
+  );
+  assert.equal(gallery[0].caption.length, JOURNAL_CAPTION_MAX_LENGTH);
+
+  assert.deepEqual(
+    normalizeJournalImages({ images: [], image_path: "u/p/old.jpg", image_mime_type: "image/jpeg", image_size: 10 }),
+    [{ path: "u/p/old.jpg", mime_type: "image/jpeg", size: 10, width: null, height: null, caption: "" }]
+  );
+  assert.deepEqual(normalizeJournalImages({ images: [] }), []);
+  assert.deepEqual(normalizeJournalImages(null), []);
+
+  const many = Array.from({ length: JOURNAL_MAX_IMAGES + 3 }, (_, i) => photo(`u/p/${i}.webp`));
+  assert.equal(normalizeJournalImages({ images: many }).length, JOURNAL_MAX_IMAGES);
+});
+
+test("reordering and removal keep track of orphaned paths", () => {
+  const images = [photo("a"), photo("b"), photo("c")];
+  assert.deepEqual(moveJournalImage(images, 2, 0).map(({ path }) => path), ["c", "a", "b"]);
+  assert.deepEqual(moveJournalImage(images, 0, 9).map(({ path }) => path), ["b", "c", "a"]);
+  assert.deepEqual(moveJournalImage(images, 5, 0).map(({ path }) => path), ["a", "b", "c"]);
+  assert.deepEqual(images.map(({ path }) => path), ["a", "b", "c"]);
+
+  assert.deepEqual(removedJournalImagePaths(images, [photo("c"), photo("a")]), ["b"]);
+  assert.deepEqual(removedJournalImagePaths(images, []), ["a", "b", "c"]);
+  assert.deepEqual(removedJournalImagePaths([], images), []);
+});
+
+test("fitImageWithin only ever scales down, keeping the aspect ratio", () => {
+  assert.deepEqual(fitImageWithin(4032, 3024), { width: 2048, height: 1536 });
+  assert.deepEqual(fitImageWithin(3024, 4032, 1000), { width: 750, height: 1000 });
+  assert.deepEqual(fitImageWithin(640, 480), { width: 640, height: 480 });
+  assert.deepEqual(fitImageWithin(0, 0), { width: 1, height: 1 });
+});
@@ -0,0 +1,257 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildJournalInsights,
+  describeTendency,
+  signedCycleOffset
+} from "../js/journal-insights.js";
+
+const USER_ID = "user-1";
+const OWNER = { id: "profile-owner", birthdate: "1985-04-20" };
+
+process.env.SUPABASE_URL = "https://example.supabase.co";
+process.env.SUPABASE_ANON_KEY = "anon-test-key";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-test-key";
+
+const state = { premium: true, owner: OWNER, entries: [], calls: [] };
+
+mock.module("@supabase/supabase-js", {
+  namedExports: {
+    createClient() {
+      return {
+        auth: {
+          async getUser(token) {
+            if (token !== "good") return { data: { user: null }, error: new Error("bad") };
+            return { data: { user: { id: USER_ID } }, error: null };
+          }
+        },
+        from(table) {
+          const calls = [];
+          if (table === "journal_entries") state.calls = calls;
+          const record = (name) => (...args) => {
+            calls.push([name, ...args]);
+            return api;
+          };
+          const api = {
+            select: record("select"),
+            eq: record("eq"),
+            gte: record("gte"),
+            lte: record("lte"),
+            or: record("or"),
+            order: record("order"),
+            range: record("range"),
+            async maybeSingle() {
+              if (table === "subscriptions") {
+                return { data: state.premium ? { status: "active" } : null, error: null };
+              }
+              if (table === "profiles") return { data: state.owner, error: null };
+              return { data: null, error: null };
+            },
+            then(resolve, reject) {
+              return Promise.resolve({ data: state.entries, error: null }).then(resolve, reject);
+            }
+          };
+          return api;
+        }
+      };
+    }
+  }
+});
+
+const { default: journalInsightsRoute } = await import("../api/journal-insights.js");
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+function authedGet(query = {}) {
+  return { method: "GET", headers: { authorization: "Bearer good" }, query };
+}
+
+// Dates in the cycle that starts on 2026-01-03 (Day 1 for a 1985-04-20 birthdate).
+function entry(day, felt, cycleStart = "2026-01-03") {
+  const date = new Date(`${cycleStart}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + day - 1);
+  return { entry_date: date.toISOString().slice(0, 10), actual_sineday: day, felt_sineday: felt };
+}
+
+test("signed offsets wrap around the cycle", () => {
+  assert.equal(signedCycleOffset(3, 3), 0);
+  assert.equal(signedCycleOffset(3, 5), 2);
+  assert.equal(signedCycleOffset(5, 3), -2);
+  assert.equal(signedCycleOffset(18, 1), 1);
+  assert.equal(signedCycleOffset(1, 18), -1);
+  assert.equal(signedCycleOffset(1, 10), 9);
+  assert.equal(signedCycleOffset(10, 1), 9);
+  assert.equal(signedCycleOffset(1, 11), -8);
+});
+
+test("tendency reads the mean offset with a half-day dead zone", () => {
+  assert.equal(describeTendency(1.2), "early");
+  assert.equal(describeTendency(-0.5), "late");
+  assert.equal(describeTendency(0.4), "on_time");
+  assert.equal(describeTendency(null), null);
+});
+
+test("overall match, within-one and same-phase rates", () => {
+  const insights = buildJournalInsights([
+    entry(1, 1),
+    entry(2, 3),
+    entry(6, 5),
+    entry(9, 14),
+    { entry_date: "2026-01-20", actual_sineday: 16, felt_sineday: null }
+  ]);
+
+  assert.equal(insights.count, 4);
+  assert.equal(insights.matches, 1);
+  assert.equal(insights.matchRate, 25);
+  assert.equal(insights.withinOneRate, 75);
+  // 1→1 and 2→3 stay rising; 6→5 crosses into rising; 9→14 is crest→trough.
+  assert.equal(insights.samePhaseRate, 50);
+  assert.equal(insights.averageOffset, 1.3);
+  assert.equal(insights.medianOffset, 0.5);
+  assert.equal(insights.tendency, "early");
+  assert.equal(insights.first, "2026-01-03");
+  assert.equal(insights.last, "2026-01-11");
+
+  const byOffset = Object.fromEntries(insights.offsetDistribution.map((b) => [b.offset, b.count]));
+  assert.equal(insights.offsetDistribution.length, 18);
+  assert.deepEqual([byOffset[-1], byOffset[0], byOffset[1], byOffset[5]], [1, 1, 1, 1]);
+});
+
+test("per-phase accuracy groups by the actual day's phase", () => {
+  const insights = buildJournalInsights([entry(1, 1), entry(3, 2), entry(7, 7), entry(15, 15)]);
+  const phases = Object.fromEntries(insights.phases.map((phase) => [phase.phase, phase]));
+
+  assert.deepEqual(insights.phases.map((phase) => phase.phase), [
+    "rising", "peak", "crest", "descending", "trough", "emerging"
+  ]);
+  assert.equal(phases.rising.count, 2);
+  assert.equal(phases.rising.matchRate, 50);
+  assert.equal(phases.rising.averageOffset, -0.5);
+  assert.equal(phases.peak.matchRate, 100);
+  assert.equal(phases.crest.count, 0);
+  assert.equal(phases.crest.matchRate, null);
+});
+
+test("cycles group by cycle start and report a trend", () => {
+  const starts = ["2025-12-16", "2026-01-03", "2026-01-21", "2026-02-08"];
+  const rows = [
+    entry(2, 5, starts[0]), entry(4, 7, starts[0]),
+    entry(2, 4, starts[1]), entry(4, 4, starts[1]),
+    entry(2, 2, starts[2]), entry(4, 4, starts[2]),
+    entry(2, 2, starts[3]), entry(4, 4, starts[3])
+  ];
+  const insights = buildJournalInsights(rows);
+
+  assert.deepEqual(insights.cycles.map((cycle) => cycle.start), starts);
+  assert.equal(insights.cycles[0].end, "2026-01-02");
+  assert.deepEqual(insights.cycles.map((cycle) => cycle.matchRate), [0, 50, 100, 100]);
+  assert.deepEqual(insights.trend, { direction: "improving", change: 75 });
+
+  assert.deepEqual(buildJournalInsights(rows.slice(0, 4)).trend, { direction: null, change: null });
+});
+
+test("answers are grouped by prompt with the felt match on those days", () => {
+  const customId = "custom-evening-walk";
+  const insights = buildJournalInsights(
+    [
+      { ...entry(1, 1), prompt_ids: ["day-1-b0", customId] },
+      { ...entry(2, 5), prompt_ids: [customId] },
+      { ...entry(3, null), prompt_ids: [customId, "not a prompt"] },
+      { ...entry(4, 4), prompt_ids: [] }
+    ],
+    { promptLibrary: { custom: [{ id: customId, text: "Did I walk tonight?", days: [], archived: true }] } }
+  );
+
+  assert.equal(insights.count, 3);
+  assert.deepEqual(
+    insights.prompts.map(({ promptId, answers, lastDate, count, matchRate }) => ({ promptId, answers, lastDate, count, matchRate })),
+    [
+      { promptId: customId, answers: 3, lastDate: "2026-01-05", count: 2, matchRate: 50 },
+      { promptId: "day-1-b0", answers: 1, lastDate: "2026-01-03", count: 1, matchRate: 100 }
+    ]
+  );
+  assert.equal(insights.prompts[0].text, "Did I walk tonight?");
+  assert.match(insights.prompts[1].text, /seed/);
+  assert.equal(buildJournalInsights([{ ...entry(1, 1), prompt_ids: ["custom-gone-away"] }]).prompts[0].text, null);
+});
+
+test("a birthdate overrides stale stored actual days", () => {
+  const insights = buildJournalInsights(
+    [{ entry_date: "1985-04-22", actual_sineday: 9, felt_sineday: 3 }],
+    { birthdate: "1985-04-20" }
+  );
+  assert.equal(insights.matchRate, 100);
+});
+
+test("journal insights route rejects bad methods, auth and ranges", async () => {
+  const post = mockRes();
+  await journalInsightsRoute({ method: "POST", headers: {} }, post);
+  assert.equal(post.statusCode, 405);
+
+  const anon = mockRes();
+  await journalInsightsRoute({ method: "GET", headers: {}, query: {} }, anon);
+  assert.equal(anon.statusCode, 401);
+
+  const badRange = mockRes();
+  await journalInsightsRoute(authedGet({ from: "2026-03-02", to: "2026-03-01" }), badRange);
+  assert.equal(badRange.statusCode, 400);
+
+  const badProfile = mockRes();
+  await journalInsightsRoute(authedGet({ profileId: "owner" }), badProfile);
+  assert.equal(badProfile.statusCode, 400);
+
+  state.premium = false;
+  const free = mockRes();
+  await journalInsightsRoute(authedGet(), free);
+  assert.equal(free.statusCode, 402);
+  state.premium = true;
+
+  state.owner = null;
+  const noOwner = mockRes();
+  await journalInsightsRoute(authedGet(), noOwner);
+  assert.equal(noOwner.statusCode, 404);
+  state.owner = OWNER;
+});
+
+test("journal insights route scopes to the owner's felt and prompted entries", async () => {
+  state.entries = [entry(1, 1), entry(2, 4)];
+  const res = mockRes();
+  await journalInsightsRoute(authedGet({ from: "2026-01-01", to: "2026-01-31" }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Cache-Control"], "private, no-store");
+  assert.deepEqual(state.calls.filter(([name]) => name !== "select"), [
+    ["eq", "user_id", USER_ID],
+    ["eq", "profile_id", OWNER.id],
+    ["or", "felt_sineday.not.is.null,prompt_ids.neq.{}"],
+    ["gte", "entry_date", "2026-01-01"],
+    ["lte", "entry_date", "2026-01-31"],
+    ["order", "entry_date", { ascending: true }],
+    ["range", 0, 999]
+  ]);
+  assert.equal(res.body.profileId, OWNER.id);
+  assert.equal(res.body.insights.count, 2);
+  assert.equal(res.body.insights.matchRate, 50);
+  assert.equal(res.body.insights.averageOffset, 1);
+  assert.equal(JSON.stringify(res.body).includes(OWNER.birthdate), false);
+});
@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  JOURNAL_PROMPT_LIBRARY_MAX,
+  answeredPromptIds,
+  derivedPromptsForDay,
+  groupAnswersByPrompt,
+  insertPromptHeading,
+  isJournalPromptId,
+  normalizePromptLibrary,
+  pickDailyPrompts,
+  promptFromGuidance,
+  resolvePromptText
+} from "../js/journal-prompts.js";
+import { DAY_DETAILS } from "../js/sineday-engine.js";
+
+const CUSTOM = "custom-0000-aaaa";
+
+test("promptFromGuidance keeps questions and turns instructions into one", () => {
+  assert.equal(promptFromGuidance("Ask: 'What am I avoiding?'"), "What am I avoiding?");
+  assert.equal(promptFromGuidance("What needs finishing?"), "What needs finishing?");
+  assert.equal(promptFromGuidance("Take a slow walk."), "Take a slow walk — how did that go?");
+  assert.equal(promptFromGuidance("   "), "");
+});
+
+test("every SineDay has built-in prompts from its Day Details", () => {
+  for (let day = 1; day <= 18; day++) {
+    const prompts = derivedPromptsForDay(day);
+    assert.equal(prompts.length, 1 + DAY_DETAILS[day].bullets.length);
+    assert.equal(prompts[0].id, `day-${day}-p`);
+    assert.ok(prompts.every((prompt) => prompt.text && prompt.source === "day" && isJournalPromptId(prompt.id)));
+    assert.deepEqual(prompts[0].days, [day]);
+  }
+  assert.deepEqual(derivedPromptsForDay(19), []);
+});
+
+test("normalizePromptLibrary drops bad prompts and caps active and archived ones separately", () => {
+  const custom = [
+    { id: CUSTOM, text: "  What  surprised me? ", days: [3, 3, 40, "5"] },
+    { id: CUSTOM, text: "Duplicate" },
+    { id: "not-an-id", text: "Bad id" },
+    { id: "custom-0000-bbbb", text: "" },
+  ];
+  for (let i = 0; i < JOURNAL_PROMPT_LIBRARY_MAX + 5; i++) {
+    custom.push({ id: `custom-arch-${i}`, text: `Old ${i}`, archived: true });
+  }
+  const library = normalizePromptLibrary({ custom, pinned: [CUSTOM, CUSTOM, "day-2-b0", "nope"] });
+  assert.deepEqual(library.custom[0], { id: CUSTOM, text: "What surprised me?", days: [3, 5], archived: false });
+  assert.equal(library.custom.filter((prompt) => !prompt.archived).length, 1);
+  assert.equal(library.custom.filter((prompt) => prompt.archived).length, JOURNAL_PROMPT_LIBRARY_MAX);
+  assert.deepEqual(library.pinned, [CUSTOM, "day-2-b0"]);
+  assert.deepEqual(normalizePromptLibrary(null), { custom: [], pinned: [] });
+
+  assert.equal(resolvePromptText(CUSTOM, library), "What surprised me?");
+  assert.equal(resolvePromptText("custom-arch-0", library), "Old 0");
+  assert.equal(resolvePromptText("day-3-p", library), derivedPromptsForDay(3)[0].text);
+  assert.equal(resolvePromptText("custom-gone", library), null);
+});
+
+test("pickDailyPrompts puts pins first, skips skipped prompts and rotates with the cycle", () => {
+  const library = {
+    custom: [
+      { id: CUSTOM, text: "What surprised me?", days: [] },
+      { id: "custom-0000-cccc", text: "Only on day 9", days: [9] },
+    ],
+    pinned: [CUSTOM],
+  };
+  const picks = pickDailyPrompts({ day: 4, date: "2026-03-04", library });
+  assert.equal(picks.length, 3);
+  assert.equal(picks[0].id, CUSTOM);
+  assert.equal(picks[0].pinned, true);
+  assert.ok(picks.slice(1).every((prompt) => !prompt.pinned && prompt.source === "day"));
+  assert.ok(!picks.some((prompt) => prompt.id === "custom-0000-cccc"));
+
+  const skipped = pickDailyPrompts({ day: 4, date: "2026-03-04", library, skipped: [picks[1].id] });
+  assert.ok(!skipped.some((prompt) => prompt.id === picks[1].id));
+
+  const nextCycle = pickDailyPrompts({ day: 4, date: "2026-03-22", library });
+  assert.notDeepEqual(nextCycle.map((prompt) => prompt.id), picks.map((prompt) => prompt.id));
+  assert.equal(nextCycle[0].id, CUSTOM);
+});
+
+test("insertPromptHeading puts the prompt on its own line", () => {
+  assert.deepEqual(insertPromptHeading("", "Why?"), { content: "## Why?\n", cursor: 8 });
+  assert.deepEqual(insertPromptHeading("Hello", "Why?"), { content: "Hello\n\n## Why?\n", cursor: 15 });
+  assert.equal(insertPromptHeading("Hello\n", "Why?").content, "Hello\n\n## Why?\n");
+  assert.equal(insertPromptHeading("a\n\nb", "Q", 1).content, "a\n\n## Q\n\nb");
+});
+
+test("answered prompts are the ones whose heading is still in the entry", () => {
+  const library = { custom: [{ id: CUSTOM, text: "What surprised me?" }] };
+  const day3 = derivedPromptsForDay(3)[1];
+  const content = `Morning\n\n## What surprised me?\nThe quiet.`;
+  assert.deepEqual(
+    answeredPromptIds(content, [CUSTOM, day3.id, "custom-from-elsewhere", "bogus"], library),
+    [CUSTOM, "custom-from-elsewhere"]
+  );
+  assert.deepEqual(answeredPromptIds(`## ${day3.text}\n`, [day3.id, day3.id], library), [day3.id]);
+});
+
+test("groupAnswersByPrompt counts answers per prompt, most answered first", () => {
+  const groups = groupAnswersByPrompt([
+    { entry_date: "2026-03-04", prompt_ids: ["day-4-b0", CUSTOM] },
+    { entry_date: "2026-02-14", prompt_ids: ["day-4-b0"] },
+    { entry_date: "2026-02-20", prompt_ids: ["nope", CUSTOM, CUSTOM] },
+    { entry_date: "2026-01-01" },
+  ]);
+  assert.deepEqual(groups, [
+    { promptId: CUSTOM, count: 2, dates: ["2026-02-20", "2026-03-04"], lastDate: "2026-03-04" },
+    { promptId: "day-4-b0", count: 2, dates: ["2026-02-14", "2026-03-04"], lastDate: "2026-03-04" },
+  ]);
+});
@@ -0,0 +1,218 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildJournalRecall,
+  buildJournalRecallDates,
+  buildPromptRecall,
+  normalizeRecallCycles,
+  recallExcerpt
+} from "../js/journal-recall.js";
+import { calculateSineDayForYmd } from "../js/sineday-engine.js";
+
+const USER_ID = "user-1";
+const OWNER = { id: "profile-owner", birthdate: "1985-04-20", timezone: "America/Chicago" };
+
+process.env.SUPABASE_URL = "https://example.supabase.co";
+process.env.SUPABASE_ANON_KEY = "anon-test-key";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-test-key";
+
+const state = { premium: true, owner: OWNER, settings: null, entries: [], calls: [] };
+
+mock.module("@supabase/supabase-js", {
+  namedExports: {
+    createClient() {
+      return {
+        auth: {
+          async getUser(token) {
+            if (token !== "good") return { data: { user: null }, error: new Error("bad") };
+            return { data: { user: { id: USER_ID } }, error: null };
+          }
+        },
+        from(table) {
+          const calls = [];
+          if (table === "journal_entries") state.calls = calls;
+          const record = (name) => (...args) => {
+            calls.push([name, ...args]);
+            return api;
+          };
+          const api = {
+            select: record("select"),
+            eq: record("eq"),
+            in: record("in"),
+            async maybeSingle() {
+              if (table === "subscriptions") {
+                return { data: state.premium ? { status: "active" } : null, error: null };
+              }
+              if (table === "profiles") return { data: state.owner, error: null };
+              if (table === "user_settings") return { data: state.settings, error: null };
+              return { data: null, error: null };
+            },
+            then(resolve, reject) {
+              return Promise.resolve({ data: state.entries, error: null }).then(resolve, reject);
+            }
+          };
+          return api;
+        }
+      };
+    }
+  }
+});
+
+const { default: journalRecallRoute } = await import("../api/journal-recall.js");
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+function authedGet(query = {}) {
+  return { method: "GET", headers: { authorization: "Bearer good" }, query };
+}
+
+test("recall dates step back whole cycles and whole years", () => {
+  const dates = buildJournalRecallDates("2026-03-10", { cycles: 3, years: 2 });
+  assert.deepEqual(dates.sameSineDay, [
+    { date: "2026-02-20", cyclesAgo: 1 },
+    { date: "2026-02-02", cyclesAgo: 2 },
+    { date: "2026-01-15", cyclesAgo: 3 }
+  ]);
+  assert.deepEqual(dates.sameDate, [
+    { date: "2025-03-10", yearsAgo: 1 },
+    { date: "2024-03-10", yearsAgo: 2 }
+  ]);
+
+  const day = calculateSineDayForYmd(OWNER.birthdate, "2026-03-10").day;
+  for (const { date } of dates.sameSineDay) {
+    assert.equal(calculateSineDayForYmd(OWNER.birthdate, date).day, day);
+  }
+});
+
+test("leap days fall back to Feb 28 and settings clamp", () => {
+  const { sameDate } = buildJournalRecallDates("2028-02-29", { cycles: 0, years: 4 });
+  assert.deepEqual(sameDate.map(({ date }) => date), ["2027-02-28", "2026-02-28", "2025-02-28", "2024-02-29"]);
+
+  assert.equal(normalizeRecallCycles(undefined), 3);
+  assert.equal(normalizeRecallCycles(0), 0);
+  assert.equal(normalizeRecallCycles(40), 12);
+  assert.equal(normalizeRecallCycles("abc"), 3);
+});
+
+test("recall keeps written days only and trims excerpts", () => {
+  const dates = buildJournalRecallDates("2026-03-10", { cycles: 2, years: 1 });
+  const recall = buildJournalRecall(
+    [
+      { entry_date: "2026-02-20", actual_sineday: 4, felt_sineday: 6, content: "Long\n\nwalk  home", image_path: null },
+      { entry_date: "2026-02-02", actual_sineday: 4, felt_sineday: null, content: "   ", image_path: null },
+      { entry_date: "2025-03-10", actual_sineday: 9, felt_sineday: null, content: "", image_path: "u/p/a.jpg" }
+    ],
+    dates
+  );
+
+  assert.deepEqual(recall.sameSineDay, [
+    {
+      date: "2026-02-20",
+      cyclesAgo: 1,
+      entry: { entry_date: "2026-02-20", actual_sineday: 4, felt_sineday: 6, excerpt: "Long walk home", hasImage: false, encrypted: false, promptIds: [] }
+    }
+  ]);
+  assert.equal(recall.sameDate[0].entry.hasImage, true);
+
+  assert.equal(recallExcerpt("a calm day by the river bank", 20), "a calm day by the…");
+  assert.equal(recallExcerpt("short"), "short");
+});
+
+test("buildPromptRecall lists earlier answers per prompt, newest first", () => {
+  const rows = [
+    { entry_date: "2026-01-10", content: "First", prompt_ids: ["day-4-b0"] },
+    { entry_date: "2026-02-20", content: "Second", prompt_ids: ["day-4-b0", "day-4-p"] },
+    { entry_date: "2026-03-01", content: "Today", prompt_ids: ["day-4-b0"] },
+    { entry_date: "2026-02-01", content: "  ", prompt_ids: ["day-4-p"] },
+    { entry_date: "2026-01-05", content: "Older", prompt_ids: ["day-4-b0"] }
+  ];
+
+  const groups = buildPromptRecall(rows, ["day-4-p", "day-4-b0", "day-4-b1"], { before: "2026-03-01", perPrompt: 2 });
+  assert.deepEqual(
+    groups.map(({ promptId, answers }) => [promptId, answers.map(({ date }) => date)]),
+    [
+      ["day-4-p", ["2026-02-20"]],
+      ["day-4-b0", ["2026-02-20", "2026-01-10"]]
+    ]
+  );
+  assert.deepEqual(groups[0].answers[0].entry.promptIds, ["day-4-b0", "day-4-p"]);
+  assert.deepEqual(buildPromptRecall(rows, []), []);
+});
+
+test("journal recall route validates input and access", async () => {
+  const post = mockRes();
+  await journalRecallRoute({ method: "POST", headers: {} }, post);
+  assert.equal(post.statusCode, 405);
+
+  const anon = mockRes();
+  await journalRecallRoute({ method: "GET", headers: {}, query: {} }, anon);
+  assert.equal(anon.statusCode, 401);
+
+  for (const query of [{ date: "2026-02-30" }, { cycles: "13" }, { cycles: "-1" }, { years: "2.5" }, { profileId: "owner" }]) {
+    const bad = mockRes();
+    await journalRecallRoute(authedGet(query), bad);
+    assert.equal(bad.statusCode, 400, JSON.stringify(query));
+  }
+
+  state.premium = false;
+  const free = mockRes();
+  await journalRecallRoute(authedGet(), free);
+  assert.equal(free.statusCode, 402);
+  state.premium = true;
+
+  state.owner = null;
+  const noOwner = mockRes();
+  await journalRecallRoute(authedGet(), noOwner);
+  assert.equal(noOwner.statusCode, 404);
+  state.owner = OWNER;
+});
+
+test("journal recall route uses the saved cycle setting by default", async () => {
+  state.settings = { journal_recall_cycles: 2 };
+  state.entries = [
+    { entry_date: "2026-02-20", actual_sineday: 4, felt_sineday: null, content: "Last cycle", image_path: null },
+    { entry_date: "2025-03-10", actual_sineday: 9, felt_sineday: 9, content: "Last year", image_path: null }
+  ];
+
+  const res = mockRes();
+  await journalRecallRoute(authedGet({ date: "2026-03-10", years: "1" }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Cache-Control"], "private, no-store");
+  assert.deepEqual(state.calls.filter(([name]) => name !== "select"), [
+    ["eq", "user_id", USER_ID],
+    ["eq", "profile_id", OWNER.id],
+    ["in", "entry_date", ["2026-02-20", "2026-02-02", "2025-03-10"]]
+  ]);
+  assert.equal(res.body.cycles, 2);
+  assert.equal(res.body.sineday, calculateSineDayForYmd(OWNER.birthdate, "2026-03-10").day);
+  assert.deepEqual(res.body.sameSineDay.map((item) => item.entry.excerpt), ["Last cycle"]);
+  assert.deepEqual(res.body.sameDate.map((item) => item.yearsAgo), [1]);
+  assert.equal(JSON.stringify(res.body).includes(OWNER.birthdate), false);
+
+  const explicit = mockRes();
+  await journalRecallRoute(authedGet({ date: "2026-03-10", cycles: "0", years: "0" }), explicit);
+  assert.equal(explicit.body.cycles, 0);
+  assert.deepEqual(explicit.body.sameSineDay, []);
+  state.settings = null;
+});
@@ -0,0 +1,306 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildJournalSnippet,
+  extractSearchTerms,
+  parseJournalSearchQuery,
+  JOURNAL_SEARCH_DEFAULT_LIMIT
+} from "../api/_lib/journal-search.js";
+
+const USER_ID = "user-1";
+const OWNER_PROFILE_ID = "profile-owner";
+
+process.env.SUPABASE_URL = "https://example.supabase.co";
+process.env.SUPABASE_ANON_KEY = "anon-test-key";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-test-key";
+
+const state = {
+  premium: true,
+  owner: { id: OWNER_PROFILE_ID },
+  entries: [],
+  calls: [],
+  profileCalls: []
+};
+
+mock.module("@supabase/supabase-js", {
+  namedExports: {
+    createClient() {
+      return {
+        auth: {
+          async getUser(token) {
+            if (token !== "good") return { data: { user: null }, error: new Error("bad") };
+            return { data: { user: { id: USER_ID } }, error: null };
+          }
+        },
+        from(table) {
+          const calls = [];
+          if (table === "journal_entries") state.calls = calls;
+          if (table === "profiles") state.profileCalls = calls;
+          const record = (name) => (...args) => {
+            calls.push([name, ...args]);
+            return api;
+          };
+          const api = {
+            select: record("select"),
+            eq: record("eq"),
+            gte: record("gte"),
+            lte: record("lte"),
+            not: record("not"),
+            is: record("is"),
+            contains: record("contains"),
+            textSearch: record("textSearch"),
+            order: record("order"),
+            range: record("range"),
+            async maybeSingle() {
+              if (table === "subscriptions") {
+                return { data: state.premium ? { status: "active" } : null, error: null };
+              }
+              if (table === "profiles") return { data: state.owner, error: null };
+              return { data: null, error: null };
+            },
+            then(resolve, reject) {
+              const [, from, to] = calls.find(([name]) => name === "range") || [];
+              const rows = from == null ? state.entries : state.entries.slice(from, to + 1);
+              return Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+            }
+          };
+          return api;
+        }
+      };
+    }
+  }
+});
+
+const { default: journalSearchRoute } = await import("../api/journal-search.js");
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+function authedGet(query) {
+  return { method: "GET", headers: { authorization: "Bearer good" }, query };
+}
+
+function entry(date, content, extra = {}) {
+  return {
+    entry_date: date,
+    actual_sineday: 4,
+    felt_sineday: 6,
+    content,
+    image_path: null,
+    ...extra
+  };
+}
+
+function reset() {
+  state.premium = true;
+  state.owner = { id: OWNER_PROFILE_ID };
+  state.entries = [];
+  state.calls = [];
+  state.profileCalls = [];
+}
+
+test("parseJournalSearchQuery validates filters and requires something to search", () => {
+  assert.match(parseJournalSearchQuery({}).error, /at least one filter/);
+  assert.match(parseJournalSearchQuery({ actual: "19" }).error, /1 to 18/);
+  assert.match(parseJournalSearchQuery({ felt: "two" }).error, /1 to 18/);
+  assert.match(parseJournalSearchQuery({ from: "2026-02-30" }).error, /YYYY-MM-DD/);
+  assert.match(parseJournalSearchQuery({ from: "2026-03-02", to: "2026-03-01" }).error, /on or before/);
+  assert.match(parseJournalSearchQuery({ hasImage: "maybe" }).error, /true or false/);
+  assert.match(parseJournalSearchQuery({ q: "x", limit: "500" }).error, /limit/);
+  assert.match(parseJournalSearchQuery({ energy: "6" }).error, /1 to 5/);
+  assert.match(parseJournalSearchQuery({ mood: "meh" }).error, /known mood/);
+  assert.match(parseJournalSearchQuery({ tag: "x".repeat(80) }).error, /tag/);
+  assert.match(parseJournalSearchQuery({ tag: " # " }).error, /at least one filter/);
+
+  const { filters } = parseJournalSearchQuery({ q: "  calm  ", actual: "4", hasImage: "false" });
+  assert.deepEqual(filters, {
+    q: "calm",
+    actual: 4,
+    felt: null,
+    from: null,
+    to: null,
+    energy: null,
+    mood: null,
+    tag: null,
+    hasImage: false,
+    limit: JOURNAL_SEARCH_DEFAULT_LIMIT,
+    offset: 0
+  });
+});
+
+test("extractSearchTerms keeps phrases and drops exclusions and OR", () => {
+  assert.deepEqual(extractSearchTerms('Calm "long walk" -tired or calm'), ["calm", "long walk"]);
+  assert.deepEqual(extractSearchTerms('-"bad day"'), []);
+  assert.deepEqual(extractSearchTerms(""), []);
+});
+
+test("buildJournalSnippet highlights every match inside the window", () => {
+  const snippet = buildJournalSnippet("A calm morning.\n\nThen a CALM walk.", ["calm"]);
+  assert.equal(snippet.text, "A calm morning. Then a CALM walk.");
+  assert.deepEqual(
+    snippet.highlights.map(({ start, end }) => snippet.text.slice(start, end)),
+    ["calm", "CALM"]
+  );
+});
+
+test("buildJournalSnippet trims long entries at word boundaries and shifts offsets", () => {
+  const filler = "word ".repeat(60);
+  const snippet = buildJournalSnippet(`${filler}the river was bright ${filler}`, ["river"], 20);
+
+  assert.ok(snippet.text.startsWith("… "));
+  assert.ok(snippet.text.endsWith(" …"));
+  assert.ok(!/\bwor\b|\bord\b/.test(snippet.text));
+  const [range] = snippet.highlights;
+  assert.equal(snippet.text.slice(range.start, range.end), "river");
+});
+
+test("buildJournalSnippet without terms is the start of the entry", () => {
+  assert.deepEqual(buildJournalSnippet("Short note", []), { text: "Short note", highlights: [] });
+  assert.deepEqual(buildJournalSnippet(null, ["x"]), { text: "", highlights: [] });
+});
+
+test("journal search rejects other methods and missing auth", async () => {
+  reset();
+  const post = mockRes();
+  await journalSearchRoute({ method: "POST", headers: {} }, post);
+  assert.equal(post.statusCode, 405);
+
+  const anon = mockRes();
+  await journalSearchRoute({ method: "GET", headers: {}, query: { q: "calm" } }, anon);
+  assert.equal(anon.statusCode, 401);
+});
+
+test("journal search returns 400 for an empty search and 402 without premium", async () => {
+  reset();
+  const empty = mockRes();
+  await journalSearchRoute(authedGet({}), empty);
+  assert.equal(empty.statusCode, 400);
+
+  state.premium = false;
+  const free = mockRes();
+  await journalSearchRoute(authedGet({ q: "calm" }), free);
+  assert.equal(free.statusCode, 402);
+});
+
+test("journal search returns 404 when the user has no owner profile", async () => {
+  reset();
+  state.owner = null;
+  const res = mockRes();
+  await journalSearchRoute(authedGet({ q: "calm" }), res);
+  assert.equal(res.statusCode, 404);
+});
+
+test("journal search scopes to the owner profile and applies every filter", async () => {
+  reset();
+  state.entries = [entry("2026-03-02", "A calm day by the river", { image_path: "u/p/1.jpg" })];
+  const res = mockRes();
+  await journalSearchRoute(
+    authedGet({ q: "calm", actual: "4", felt: "6", from: "2026-03-01", to: "2026-03-31", hasImage: "true" }),
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Cache-Control"], "private, no-store");
+  assert.deepEqual(state.calls.filter(([name]) => name !== "select"), [
+    ["eq", "user_id", USER_ID],
+    ["eq", "profile_id", OWNER_PROFILE_ID],
+    ["textSearch", "content_search", "calm", { type: "websearch", config: "simple" }],
+    ["eq", "actual_sineday", 4],
+    ["eq", "felt_sineday", 6],
+    ["gte", "entry_date", "2026-03-01"],
+    ["lte", "entry_date", "2026-03-31"],
+    ["not", "image_path", "is", null],
+    ["order", "entry_date", { ascending: false }],
+    ["range", 0, JOURNAL_SEARCH_DEFAULT_LIMIT]
+  ]);
+
+  const [result] = res.body.results;
+  assert.equal(result.entryDate, "2026-03-02");
+  assert.equal(result.hasImage, true);
+  assert.equal(result.snippet.text.slice(result.snippet.highlights[0].start, result.snippet.highlights[0].end), "calm");
+  assert.equal(res.body.hasMore, false);
+  assert.equal(res.body.nextOffset, null);
+  assert.equal("image_path" in result, false);
+});
+
+test("journal search filters on energy, mood and tag and returns them", async () => {
+  reset();
+  state.entries = [entry("2026-03-02", "Long walk", { energy: 4, mood: "calm", tags: ["walk", "Work"] })];
+  const res = mockRes();
+  await journalSearchRoute(authedGet({ energy: "4", mood: "Calm", tag: "#Walk" }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(state.calls.filter(([name]) => ["eq", "contains"].includes(name)).slice(2), [
+    ["eq", "energy", 4],
+    ["eq", "mood", "calm"],
+    ["contains", "tags", ["walk"]]
+  ]);
+  const [result] = res.body.results;
+  assert.equal(result.energy, 4);
+  assert.equal(result.mood, "calm");
+  assert.deepEqual(result.tags, ["walk", "work"]);
+});
+
+test("journal search pages with hasMore and nextOffset", async () => {
+  reset();
+  state.entries = ["2026-03-05", "2026-03-04", "2026-03-03", "2026-03-02"].map((date) =>
+    entry(date, "Felt steady")
+  );
+
+  const first = mockRes();
+  await journalSearchRoute(authedGet({ felt: "6", limit: "2" }), first);
+  assert.deepEqual(first.body.results.map((row) => row.entryDate), ["2026-03-05", "2026-03-04"]);
+  assert.equal(first.body.hasMore, true);
+  assert.equal(first.body.nextOffset, 2);
+  assert.equal(state.calls.some(([name]) => name === "textSearch"), false);
+
+  const second = mockRes();
+  await journalSearchRoute(authedGet({ felt: "6", limit: "2", offset: "2" }), second);
+  assert.deepEqual(second.body.results.map((row) => row.entryDate), ["2026-03-03", "2026-03-02"]);
+  assert.equal(second.body.hasMore, false);
+});
+
+test("journal search reads another owned profile's journal when profileId is given", async () => {
+  reset();
+  const childId = "6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b";
+  state.owner = { id: childId };
+  const res = mockRes();
+  await journalSearchRoute(authedGet({ q: "calm", profileId: childId }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.profileId, childId);
+  assert.deepEqual(state.profileCalls.filter(([name]) => name === "eq"), [
+    ["eq", "user_id", USER_ID],
+    ["eq", "id", childId]
+  ]);
+  assert.deepEqual(state.calls[2], ["eq", "profile_id", childId]);
+
+  const bad = mockRes();
+  await journalSearchRoute(authedGet({ q: "calm", profileId: "not-a-profile" }), bad);
+  assert.equal(bad.statusCode, 400);
+
+  state.owner = null;
+  const missing = mockRes();
+  await journalSearchRoute(authedGet({ q: "calm", profileId: childId }), missing);
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.error, "Profile not found");
+});
@@ -0,0 +1,240 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  JOURNAL_TAGS_PER_ENTRY_MAX,
+  buildEnergyBySineday,
+  countJournalTags,
+  describeEnergyFollow,
+  energyLabel,
+  moodLabel,
+  normalizeEnergy,
+  normalizeMood,
+  normalizeTag,
+  normalizeTags,
+  suggestJournalTags
+} from "../js/journal-signals.js";
+import { waveHeight } from "../js/journal-heatmap.js";
+
+const USER_ID = "user-1";
+const OWNER = { id: "profile-owner", birthdate: "1985-04-20" };
+
+process.env.SUPABASE_URL = "https://example.supabase.co";
+process.env.SUPABASE_ANON_KEY = "anon-test-key";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-test-key";
+
+const state = { premium: true, owner: OWNER, entries: [], calls: [] };
+
+mock.module("@supabase/supabase-js", {
+  namedExports: {
+    createClient() {
+      return {
+        auth: {
+          async getUser(token) {
+            if (token !== "good") return { data: { user: null }, error: new Error("bad") };
+            return { data: { user: { id: USER_ID } }, error: null };
+          }
+        },
+        from(table) {
+          const calls = [];
+          if (table === "journal_entries") state.calls = calls;
+          const record = (name) => (...args) => {
+            calls.push([name, ...args]);
+            return api;
+          };
+          const api = {
+            select: record("select"),
+            eq: record("eq"),
+            not: record("not"),
+            gte: record("gte"),
+            lte: record("lte"),
+            order: record("order"),
+            range: record("range"),
+            async maybeSingle() {
+              if (table === "subscriptions") {
+                return { data: state.premium ? { status: "active" } : null, error: null };
+              }
+              if (table === "profiles") return { data: state.owner, error: null };
+              return { data: null, error: null };
+            },
+            then(resolve, reject) {
+              return Promise.resolve({ data: state.entries, error: null }).then(resolve, reject);
+            }
+          };
+          return api;
+        }
+      };
+    }
+  }
+});
+
+const { default: journalEnergyRoute } = await import("../api/journal-energy.js");
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+function authedGet(query = {}) {
+  return { method: "GET", headers: { authorization: "Bearer good" }, query };
+}
+
+// Dates in the cycle that starts on 2026-01-03 (Day 1 for a 1985-04-20 birthdate).
+function rated(day, energy, cycleStart = "2026-01-03") {
+  const date = new Date(`${cycleStart}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + day - 1);
+  return { entry_date: date.toISOString().slice(0, 10), actual_sineday: day, energy };
+}
+
+function cycleOf(energyFor) {
+  return Array.from({ length: 18 }, (_, i) => rated(i + 1, energyFor(i + 1)));
+}
+
+test("energy and mood normalize to known values", () => {
+  assert.equal(normalizeEnergy("4"), 4);
+  assert.equal(normalizeEnergy(0), null);
+  assert.equal(normalizeEnergy(2.5), null);
+  assert.equal(normalizeEnergy(""), null);
+  assert.equal(energyLabel(5), "Charged");
+  assert.equal(normalizeMood(" Calm "), "calm");
+  assert.equal(normalizeMood("ecstatic"), null);
+  assert.equal(moodLabel("low"), "Low");
+  assert.equal(moodLabel(null), null);
+});
+
+test("tags are lowercased, de-duplicated and capped per entry", () => {
+  assert.equal(normalizeTag("  #Deep   Work "), "deep work");
+  assert.equal(normalizeTag("#"), "");
+  assert.deepEqual(normalizeTags("Run, #run, sleep,, "), ["run", "sleep"]);
+  assert.deepEqual(normalizeTags(["A", "b", "a", null]), ["a", "b"]);
+  const many = Array.from({ length: JOURNAL_TAGS_PER_ENTRY_MAX + 3 }, (_, i) => `tag ${i}`);
+  assert.equal(normalizeTags(many).length, JOURNAL_TAGS_PER_ENTRY_MAX);
+});
+
+test("tag suggestions rank by use and prefer prefix matches", () => {
+  const known = countJournalTags([
+    { tags: ["running", "sleep"] },
+    { tags: ["sleep", "morning run"] },
+    { tags: ["sleep"] },
+    { tags: null },
+  ]);
+  assert.deepEqual(known, [
+    { tag: "sleep", count: 3 },
+    { tag: "morning run", count: 1 },
+    { tag: "running", count: 1 },
+  ]);
+  assert.deepEqual(suggestJournalTags(known, "run"), ["running", "morning run"]);
+  assert.deepEqual(suggestJournalTags(known, "", { exclude: ["sleep"] }), ["morning run", "running"]);
+  assert.deepEqual(suggestJournalTags(known, "", { limit: 1 }), ["sleep"]);
+});
+
+test("energy is averaged by SineDay and phase", () => {
+  const energy = buildEnergyBySineday([
+    rated(1, 2),
+    rated(1, 4),
+    rated(5, 5),
+    rated(14, 1),
+    { entry_date: "2026-01-05", actual_sineday: 3, energy: null },
+  ]);
+  assert.equal(energy.count, 4);
+  assert.equal(energy.average, 3);
+  assert.equal(energy.first, "2026-01-03");
+  assert.equal(energy.last, "2026-01-16");
+  assert.equal(energy.days.length, 18);
+  assert.deepEqual(energy.days[0], { day: 1, count: 2, average: 3, wave: 0 });
+  assert.equal(energy.days[4].wave, Math.round(waveHeight(5) * 100) / 100);
+  assert.equal(energy.highestDay, 5);
+  assert.equal(energy.lowestDay, 14);
+  assert.equal(energy.phases.reduce((sum, phase) => sum + phase.count, 0), 4);
+  assert.equal(energy.followsWave, null);
+});
+
+test("energy that rises and falls with the wave follows it", () => {
+  const follows = buildEnergyBySineday(cycleOf((day) => Math.round(3 + 2 * waveHeight(day))));
+  assert.ok(follows.waveCorrelation > 0.9);
+  assert.equal(follows.followsWave, "follows");
+
+  const opposes = buildEnergyBySineday(cycleOf((day) => Math.round(3 - 2 * waveHeight(day))));
+  assert.equal(opposes.followsWave, "opposes");
+
+  const flat = buildEnergyBySineday(cycleOf(() => 3));
+  assert.equal(flat.waveCorrelation, null);
+  assert.equal(flat.followsWave, null);
+
+  assert.equal(describeEnergyFollow(12, 0.1), "independent");
+  assert.equal(describeEnergyFollow(9, 0.9), null);
+});
+
+test("a birthdate overrides stale stored actual days for energy", () => {
+  const energy = buildEnergyBySineday(
+    [{ entry_date: "1985-04-22", actual_sineday: 9, energy: 4 }],
+    { birthdate: "1985-04-20" }
+  );
+  assert.equal(energy.days[2].count, 1);
+  assert.equal(energy.days[8].count, 0);
+});
+
+test("journal energy route rejects bad methods, auth and ranges", async () => {
+  const post = mockRes();
+  await journalEnergyRoute({ method: "POST", headers: {} }, post);
+  assert.equal(post.statusCode, 405);
+
+  const anon = mockRes();
+  await journalEnergyRoute({ method: "GET", headers: {}, query: {} }, anon);
+  assert.equal(anon.statusCode, 401);
+
+  const badRange = mockRes();
+  await journalEnergyRoute(authedGet({ from: "2026-03-02", to: "2026-03-01" }), badRange);
+  assert.equal(badRange.statusCode, 400);
+
+  state.premium = false;
+  const free = mockRes();
+  await journalEnergyRoute(authedGet(), free);
+  assert.equal(free.statusCode, 402);
+  state.premium = true;
+
+  state.owner = null;
+  const noOwner = mockRes();
+  await journalEnergyRoute(authedGet(), noOwner);
+  assert.equal(noOwner.statusCode, 404);
+  state.owner = OWNER;
+});
+
+test("journal energy route reads only the owner's rated entries", async () => {
+  state.entries = [rated(1, 2), rated(5, 5)];
+  const res = mockRes();
+  await journalEnergyRoute(authedGet({ from: "2026-01-01" }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Cache-Control"], "private, no-store");
+  assert.deepEqual(state.calls.filter(([name]) => name !== "select"), [
+    ["eq", "user_id", USER_ID],
+    ["eq", "profile_id", OWNER.id],
+    ["not", "energy", "is", null],
+    ["gte", "entry_date", "2026-01-01"],
+    ["order", "entry_date", { ascending: true }],
+    ["range", 0, 999]
+  ]);
+  assert.equal(res.body.profileId, OWNER.id);
+  assert.equal(res.body.from, "2026-01-01");
+  assert.equal(res.body.to, null);
+  assert.equal(res.body.energy.count, 2);
+  assert.equal(res.body.energy.highestDay, 5);
+  assert.equal(JSON.stringify(res.body).includes(OWNER.birthdate), false);
+});
@@ -0,0 +1,336 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createMemoryOutboxStore,
+  getOutbox,
+  isRetryableOutboxError,
+  mergeOutboxMutation,
+  Outbox
+} from "../js/outbox.js";
+
+// Supabase stand-in: records every request and answers from `rows`.
+function fakeClient({ rows = {}, fail = null } = {}) {
+  const calls = [];
+  return {
+    calls,
+    rows,
+    from(table) {
+      const call = { table, op: "select", filters: [] };
+      const answer = () => {
+        calls.push(call);
+        const failure = fail?.(call);
+        if (failure) return failure;
+        if (call.op === "select") {
+          const row = (rows[table] || []).find((candidate) =>
+            call.filters.every(([column, value]) => candidate[column] === value)
+          );
+          return { data: row || null, error: null };
+        }
+        const row = { ...call.values, updated_at: `2026-10-19T10:00:0${calls.length % 10}.000Z` };
+        return { data: call.op === "delete" ? null : [row], error: null };
+      };
+      const api = {
+        select(columns) {
+          if (call.op === "select") call.columns = columns;
+          return api;
+        },
+        insert(values) {
+          Object.assign(call, { op: "insert", values });
+          return api;
+        },
+        upsert(values, options) {
+          Object.assign(call, { op: "upsert", values, options });
+          return api;
+        },
+        update(values) {
+          Object.assign(call, { op: "update", values });
+          return api;
+        },
+        delete() {
+          call.op = "delete";
+          return api;
+        },
+        eq(column, value) {
+          call.filters.push([column, value]);
+          return api;
+        },
+        async maybeSingle() {
+          return answer();
+        },
+        then(resolve, reject) {
+          return Promise.resolve().then(answer).then(resolve, reject);
+        }
+      };
+      return api;
+    }
+  };
+}
+
+function note(date, content, extra = {}) {
+  return {
+    key: `planner_notes:p1:${date}`,
+    table: "planner_notes",
+    op: "upsert",
+    values: { profile_id: "p1", note_date: date, content },
+    match: { profile_id: "p1", note_date: date },
+    onConflict: "profile_id,note_date",
+    ...extra
+  };
+}
+
+function makeOutbox(client, options = {}) {
+  return new Outbox({ store: createMemoryOutboxStore(), client, ...options });
+}
+
+test("queued writes replay in order and coalesce per row", async () => {
+  const client = fakeClient();
+  const outbox = makeOutbox(client);
+
+  await outbox.enqueue(note("2026-10-18", "a"));
+  await outbox.enqueue(note("2026-10-19", "first"));
+  await outbox.enqueue(note("2026-10-18", "ab"));
+  await outbox.enqueue(note("2026-10-18", "abc"));
+  assert.equal(outbox.size, 2);
+  assert.equal(outbox.statusFor("planner_notes:p1:2026-10-18"), "pending");
+  assert.equal(outbox.pendingFor("planner_notes:p1:2026-10-18").values.content, "abc");
+
+  const applied = [];
+  outbox.subscribe((event) => event.type === "applied" && applied.push(event.row.content));
+  await outbox.flush();
+
+  assert.deepEqual(applied, ["abc", "first"]);
+  assert.deepEqual(client.calls.map((call) => call.values.note_date), ["2026-10-18", "2026-10-19"]);
+  assert.deepEqual(client.calls[0].options, { onConflict: "profile_id,note_date" });
+  assert.equal(outbox.size, 0);
+  assert.equal(outbox.statusFor("planner_notes:p1:2026-10-18"), null);
+});
+
+test("merge rules fold updates, drop insert-then-delete and keep deletes last", () => {
+  const insert = { op: "insert", values: { id: "t1", title: "Walk" } };
+  assert.deepEqual(mergeOutboxMutation(insert, { op: "update", values: { title: "Run" } }).values, {
+    id: "t1",
+    title: "Run"
+  });
+  assert.equal(mergeOutboxMutation(insert, { op: "delete", match: { id: "t1" } }), null);
+
+  const upsert = { op: "upsert", values: { content: "a" } };
+  assert.equal(mergeOutboxMutation(upsert, { op: "delete", match: { id: 1 } }).op, "delete");
+  assert.equal(mergeOutboxMutation({ op: "delete" }, { op: "upsert", values: {} }), undefined);
+  assert.equal(mergeOutboxMutation({ op: "update", values: {} }, { op: "upsert", values: {} }), undefined);
+});
+
+test("offline writes stay queued and replay when the connection returns", async () => {
+  let online = false;
+  let syncRequests = 0;
+  const client = fakeClient();
+  const outbox = makeOutbox(client, {
+    isOnline: () => online,
+    requestBackgroundSync: () => syncRequests++
+  });
+
+  await outbox.enqueue(note("2026-10-19", "on the subway"));
+  await outbox.flush();
+  assert.equal(client.calls.length, 0);
+  assert.equal(outbox.statusFor("planner_notes:p1:2026-10-19"), "pending");
+  assert.ok(syncRequests > 0);
+
+  online = true;
+  await outbox.flush();
+  assert.equal(client.calls.length, 1);
+  assert.equal(outbox.size, 0);
+});
+
+test("a network failure stops the replay so later writes keep their order", async () => {
+  let down = true;
+  const client = fakeClient({
+    fail: (call) => (down && call.op !== "select" ? { data: null, error: { message: "TypeError: Failed to fetch", code: "" }, status: 0 } : null)
+  });
+  const outbox = makeOutbox(client);
+
+  await outbox.enqueue(note("2026-10-18", "one"));
+  await outbox.enqueue(note("2026-10-19", "two"));
+  await outbox.flush();
+  assert.equal(client.calls.length, 1);
+  assert.equal(outbox.size, 2);
+  assert.equal(outbox.pendingFor("planner_notes:p1:2026-10-18").status, "pending");
+
+  down = false;
+  await outbox.flush();
+  assert.deepEqual(client.calls.slice(1).map((call) => call.values.content), ["one", "two"]);
+  assert.equal(outbox.size, 0);
+});
+
+test("server rejections park as failed without blocking the queue", async () => {
+  const client = fakeClient({
+    fail: (call) =>
+      call.values?.content === "bad"
+        ? { data: null, error: { message: "new row violates row-level security policy", code: "42501" }, status: 403 }
+        : null
+  });
+  const outbox = makeOutbox(client);
+  const failed = [];
+  outbox.subscribe((event) => event.type === "failed" && failed.push(event.record.error));
+
+  await outbox.enqueue(note("2026-10-18", "bad"));
+  await outbox.enqueue(note("2026-10-19", "good"));
+  await outbox.flush();
+
+  assert.deepEqual(failed, ["new row violates row-level security policy"]);
+  assert.equal(outbox.statusFor("planner_notes:p1:2026-10-18"), "failed");
+  assert.equal(outbox.statusFor("planner_notes:p1:2026-10-19"), null);
+});
+
+test("updated_at guards against overwriting a newer server row", async () => {
+  const remote = {
+    profile_id: "p1",
+    note_date: "2026-10-19",
+    content: "from my laptop",
+    updated_at: "2026-10-19T09:00:00.000Z"
+  };
+  const client = fakeClient({ rows: { planner_notes: [remote] } });
+  const outbox = makeOutbox(client);
+  const conflicts = [];
+  outbox.subscribe((event) => event.type === "conflict" && conflicts.push(event.record));
+
+  await outbox.enqueue(
+    note("2026-10-19", "from my phone", { checkUpdatedAt: true, expectedUpdatedAt: "2026-10-19T08:00:00.000Z" })
+  );
+  await outbox.flush();
+
+  assert.equal(conflicts.length, 1);
+  assert.deepEqual(conflicts[0].remote, remote);
+  assert.equal(outbox.statusFor("planner_notes:p1:2026-10-19"), "conflict");
+  assert.equal(client.calls.filter((call) => call.op !== "select").length, 0);
+
+  // Typing on while the conflict is open keeps the newest local text.
+  await outbox.enqueue(note("2026-10-19", "from my phone, edited"));
+  assert.equal(outbox.size, 1);
+
+  await outbox.resolveConflict(conflicts[0].id, "local");
+  await outbox.flush();
+  const writes = client.calls.filter((call) => call.op === "upsert");
+  assert.deepEqual(writes.map((call) => call.values.content), ["from my phone, edited"]);
+  assert.equal(outbox.size, 0);
+});
+
+test("a row created elsewhere conflicts, and resolving to remote drops the write", async () => {
+  const client = fakeClient({
+    rows: { planner_notes: [{ profile_id: "p1", note_date: "2026-10-19", updated_at: "2026-10-19T07:00:00.000Z" }] }
+  });
+  const outbox = makeOutbox(client);
+  const record = await outbox.enqueue(note("2026-10-19", "new", { checkUpdatedAt: true, expectedUpdatedAt: null }));
+  await outbox.flush();
+  assert.equal(outbox.statusFor(record.key), "conflict");
+
+  await outbox.resolveConflict(record.id, "remote");
+  assert.equal(outbox.size, 0);
+  await outbox.flush();
+  assert.equal(client.calls.filter((call) => call.op === "upsert").length, 0);
+});
+
+test("own writes advance the base so back-to-back saves do not conflict", async () => {
+  const client = fakeClient();
+  const outbox = makeOutbox(client);
+  const guarded = (content) =>
+    note("2026-10-19", content, { checkUpdatedAt: true, expectedUpdatedAt: null, select: "*" });
+
+  await outbox.enqueue(guarded("one"));
+  await outbox.flush();
+  client.rows.planner_notes = [{ profile_id: "p1", note_date: "2026-10-19", updated_at: "2026-10-19T10:00:02.000Z" }];
+
+  // The UI still holds the base it read before the first save landed.
+  await outbox.enqueue(guarded("two"));
+  await outbox.flush();
+  assert.equal(outbox.size, 0);
+  assert.deepEqual(client.calls.filter((call) => call.op === "upsert").map((call) => call.values.content), ["one", "two"]);
+});
+
+test("duplicate inserts can count as applied", async () => {
+  const client = fakeClient({
+    fail: (call) => (call.op === "insert" ? { data: null, error: { code: "23505", message: "duplicate key" }, status: 409 } : null)
+  });
+  const outbox = makeOutbox(client);
+  await outbox.enqueue({
+    key: "planner_task_completions:t1:2026-10-19",
+    table: "planner_task_completions",
+    op: "insert",
+    values: { task_id: "t1", occurrence_date: "2026-10-19" },
+    ignoreDuplicate: true
+  });
+  await outbox.flush();
+  assert.equal(outbox.size, 0);
+
+  assert.equal(isRetryableOutboxError(new TypeError("Failed to fetch")), true);
+  assert.equal(isRetryableOutboxError({ code: "", message: "TypeError: Failed to fetch" }, 0), true);
+  assert.equal(isRetryableOutboxError({ code: "42501", message: "denied" }, 403), false);
+  assert.equal(isRetryableOutboxError({ code: "PGRST301", message: "JWT expired" }, 401), true);
+});
+
+test("writes that depend on an insert already made elsewhere are dropped", async () => {
+  const applied = { key: "applications:p1:2026-10-19:t1", table: "applications", op: "insert", values: { day: "2026-10-19" }, ignoreDuplicate: true };
+  const task = (id) => ({ key: `planner_tasks:${id}`, table: "planner_tasks", op: "insert", values: { id }, requires: applied.key });
+  const duplicate = (call) =>
+    call.table === "applications" ? { data: null, error: { code: "23505", message: "duplicate key" }, status: 409 } : null;
+
+  const client = fakeClient({ fail: duplicate });
+  const outbox = makeOutbox(client);
+  const discarded = [];
+  outbox.subscribe((event) => event.type === "discarded" && discarded.push(event.record.key));
+  await outbox.enqueue(applied);
+  await outbox.enqueue(task("a"));
+  await outbox.enqueue(task("b"));
+  await outbox.enqueue(note("2026-10-19", "skeleton", { requires: applied.key }));
+  await outbox.enqueue(note("2026-10-19", "skeleton and my own words"));
+  await outbox.flush();
+
+  assert.equal(outbox.size, 0);
+  assert.deepEqual(discarded, ["planner_tasks:a", "planner_tasks:b"]);
+  assert.deepEqual(client.calls.map((call) => call.table), ["applications", "planner_notes"]);
+
+  const fresh = fakeClient();
+  const other = makeOutbox(fresh);
+  await other.enqueue(applied);
+  await other.enqueue(task("a"));
+  await other.flush();
+  assert.deepEqual(fresh.calls.map((call) => call.table), ["applications", "planner_tasks"]);
+});
+
+test("a reloaded outbox resumes the stored queue", async () => {
+  const store = createMemoryOutboxStore();
+  const offline = new Outbox({ store, client: fakeClient(), isOnline: () => false });
+  await offline.enqueue(note("2026-10-19", "survives the tab closing"));
+
+  const client = fakeClient();
+  const reopened = new Outbox({ store, client });
+  await reopened.ready;
+  assert.equal(reopened.statusFor("planner_notes:p1:2026-10-19"), "pending");
+  await reopened.flush();
+  assert.equal(client.calls[0].values.content, "survives the tab closing");
+});
+
+test("writes queue in memory when IndexedDB will not open", async (t) => {
+  const original = globalThis.indexedDB;
+  globalThis.indexedDB = {
+    open() {
+      const request = {};
+      setTimeout(() => {
+        request.error = new Error("A mutation operation was attempted on a database that did not allow mutations.");
+        request.onerror();
+      });
+      return request;
+    }
+  };
+  t.after(() => {
+    globalThis.indexedDB = original;
+  });
+  t.mock.method(console, "warn", () => {});
+
+  const client = fakeClient();
+  const outbox = getOutbox(client, "u1");
+  await outbox.enqueue(note("2026-10-19", "private window"));
+  assert.equal(outbox.statusFor("planner_notes:p1:2026-10-19"), "pending");
+  await outbox.flush();
+  assert.equal(client.calls[0].values.content, "private window");
+  assert.equal(outbox.size, 0);
+  assert.equal(console.warn.mock.calls.length, 1);
+});
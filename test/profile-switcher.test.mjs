@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { pickActiveProfile } from "../js/profile-switcher.js";
+
+const owner = { id: "owner", is_owner: true };
+const child = { id: "child", is_owner: false };
+
+test("pickActiveProfile defaults to the owner profile", () => {
+  assert.equal(pickActiveProfile([child, owner], owner), owner);
+  assert.equal(pickActiveProfile([child, owner], owner, "missing"), owner);
+  assert.equal(pickActiveProfile([child], null), child);
+  assert.equal(pickActiveProfile([], null), null);
+});
+
+test("pickActiveProfile keeps a still-owned active profile", () => {
+  assert.equal(pickActiveProfile([owner, child], owner, "child"), child);
+  // Fresh objects after a profile edit replace the stale one.
+  const renamed = { ...child, display_name: "Renamed" };
+  assert.equal(pickActiveProfile([owner, renamed], owner, "child"), renamed);
+});
@@ -0,0 +1,149 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { calculateSineDayForYmd } from "../js/sineday-engine.js";
+import { parseCliArgs, runCli } from "../scripts/sineday.mjs";
+
+const BIRTHDATE = "1985-04-20"; // Origin anchor: SineDay 1 on the anchor date
+const SCRIPT = fileURLToPath(new URL("../scripts/sineday.mjs", import.meta.url));
+
+function todayJson(tz, iso) {
+  const { code, stdout, stderr } = runCli(
+    ["today", "--birthdate", BIRTHDATE, "--tz", tz, "--format", "json"],
+    { now: new Date(iso) }
+  );
+  assert.equal(code, 0, stderr);
+  return JSON.parse(stdout);
+}
+
+function expectedDay(ymd) {
+  return calculateSineDayForYmd(BIRTHDATE, ymd).day;
+}
+
+test("parseCliArgs accepts --key value, --key=value and bare flags", () => {
+  const parsed = parseCliArgs(["forecast", "--birthdate", "1990-05-01", "--days=3", "--help"]);
+  assert.equal(parsed.command, "forecast");
+  assert.deepEqual(parsed.options, { birthdate: "1990-05-01", days: "3", help: true });
+});
+
+test("today flips at local midnight, not UTC midnight (America/Chicago)", () => {
+  const before = todayJson("America/Chicago", "2026-01-01T05:59:59Z");
+  const after = todayJson("America/Chicago", "2026-01-01T06:00:00Z");
+
+  assert.equal(before.date, "2025-12-31");
+  assert.equal(after.date, "2026-01-01");
+  assert.equal(before.day, expectedDay("2025-12-31"));
+  assert.equal(after.day, expectedDay("2026-01-01"));
+  assert.equal(after.day, (before.day % 18) + 1);
+});
+
+test("UTC+14 and UTC-11 are two civil dates apart at the same instant", () => {
+  const iso = "2026-01-01T10:30:00Z";
+  const east = todayJson("Pacific/Kiritimati", iso);
+  const west = todayJson("Pacific/Pago_Pago", iso);
+
+  assert.equal(east.date, "2026-01-02");
+  assert.equal(west.date, "2025-12-31");
+  assert.equal(east.day, expectedDay("2026-01-02"));
+  assert.equal(west.day, expectedDay("2025-12-31"));
+});
+
+test("midnight uses the daylight-saving offset after spring forward", () => {
+  // New York is UTC-4 after 2026-03-08, so midnight is 04:00Z, not 05:00Z.
+  assert.equal(todayJson("America/New_York", "2026-03-09T03:59:59Z").date, "2026-03-08");
+  assert.equal(todayJson("America/New_York", "2026-03-09T04:00:00Z").date, "2026-03-09");
+});
+
+test("midnight uses the standard offset after fall back", () => {
+  assert.equal(todayJson("America/New_York", "2026-11-02T04:59:59Z").date, "2026-11-01");
+  assert.equal(todayJson("America/New_York", "2026-11-02T05:00:00Z").date, "2026-11-02");
+});
+
+test("half-hour offsets flip on the half hour (Asia/Kolkata)", () => {
+  assert.equal(todayJson("Asia/Kolkata", "2026-06-30T18:29:59Z").date, "2026-06-30");
+  assert.equal(todayJson("Asia/Kolkata", "2026-06-30T18:30:00Z").date, "2026-07-01");
+});
+
+test("forecast defaults its start to today in --tz", () => {
+  const { code, stdout } = runCli(
+    ["forecast", "--birthdate", BIRTHDATE, "--tz", "Asia/Tokyo", "--days", "3", "--format", "json"],
+    { now: new Date("2026-01-01T15:00:00Z") }
+  );
+  assert.equal(code, 0);
+  const body = JSON.parse(stdout);
+  assert.equal(body.start, "2026-01-02");
+  assert.deepEqual(body.forecast.map((row) => row.date), ["2026-01-02", "2026-01-03", "2026-01-04"]);
+});
+
+test("forecast CSV has a header and one row per date", () => {
+  const { code, stdout } = runCli([
+    "forecast", "--birthdate", BIRTHDATE, "--start", "1985-04-20", "--days", "18", "--format", "csv"
+  ]);
+  assert.equal(code, 0);
+  const lines = stdout.trimEnd().split("\r\n");
+  assert.equal(lines[0], "date,day,phase,description,boundary");
+  assert.equal(lines.length, 19);
+  assert.match(lines[1], /^1985-04-20,1,.*,cycle_start$/);
+  assert.match(lines[9], /^1985-04-28,9,.*,crest$/);
+});
+
+test("forecast ICS is a CRLF calendar with one all-day event per date", () => {
+  const { code, stdout } = runCli([
+    "forecast", "--birthdate", BIRTHDATE, "--start", "2026-01-01", "--days", "3", "--format", "ics"
+  ]);
+  assert.equal(code, 0);
+  assert.ok(stdout.startsWith("BEGIN:VCALENDAR\r\n"));
+  assert.ok(stdout.endsWith("END:VCALENDAR\r\n"));
+  assert.equal(stdout.match(/BEGIN:VEVENT/g).length, 3);
+  assert.match(stdout, /DTSTART;VALUE=DATE:20260101\r\nDTEND;VALUE=DATE:20260102/);
+});
+
+test("next finds the following date for a SineDay, including today", () => {
+  const fromDayOne = runCli([
+    "next", "--birthdate", BIRTHDATE, "--start", "1985-04-20", "--day", "1", "--count", "2", "--format", "json"
+  ]);
+  assert.deepEqual(
+    JSON.parse(fromDayOne.stdout).dates.map((row) => row.date),
+    ["1985-04-20", "1985-05-08"]
+  );
+
+  const wrapped = runCli([
+    "next", "--birthdate", BIRTHDATE, "--start", "1985-04-21", "--day", "1", "--format", "json"
+  ]);
+  assert.equal(JSON.parse(wrapped.stdout).dates[0].date, "1985-05-08");
+});
+
+test("origin reports the Origin Day in every non-calendar format", () => {
+  assert.equal(runCli(["origin", "--birthdate", "1985-04-21"]).stdout, "Origin Day 2\n");
+  assert.equal(JSON.parse(runCli(["origin", "--birthdate", "1985-04-21", "--format", "json"]).stdout).originDay, 2);
+  assert.equal(runCli(["origin", "--birthdate", "1985-04-21", "--format", "ics"]).code, 1);
+});
+
+test("--lang localizes phase text", () => {
+  const { stdout } = runCli([
+    "forecast", "--birthdate", BIRTHDATE, "--start", "1985-04-20", "--days", "1", "--lang", "es", "--format", "json"
+  ]);
+  assert.equal(JSON.parse(stdout).forecast[0].phase, "ASCENSO • INICIO");
+});
+
+test("usage errors exit 1 with a message on stderr", () => {
+  assert.equal(runCli([]).code, 1);
+  assert.equal(runCli(["--help"]).code, 0);
+  assert.match(runCli(["today"]).stderr, /--birthdate is required/);
+  assert.match(runCli(["today", "--birthdate", "1985-02-30"]).stderr, /YYYY-MM-DD/);
+  assert.match(runCli(["today", "--birthdate", BIRTHDATE, "--tz", "Mars/Olympus"]).stderr, /Unknown timezone/);
+  assert.match(runCli(["today", "--birthdate", BIRTHDATE, "--format", "xml"]).stderr, /--format/);
+  assert.match(runCli(["next", "--birthdate", BIRTHDATE, "--day", "19"]).stderr, /between 1 and 18/);
+  assert.match(runCli(["wave"]).stderr, /Unknown command/);
+});
+
+test("runs as a standalone process without Supabase credentials", () => {
+  const result = spawnSync(
+    process.execPath,
+    [SCRIPT, "forecast", "--birthdate", BIRTHDATE, "--start", "2026-01-01", "--days", "2", "--format", "json"],
+    { env: { PATH: process.env.PATH, TZ: "UTC" }, encoding: "utf8", timeout: 30_000 }
+  );
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(JSON.parse(result.stdout).forecast.length, 2);
+});
@@ -0,0 +1,183 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import { calculateSineDayForYmd, DAY_DETAILS } from "../js/sineday-engine.js";
+import {
+  FORECAST_MAX_DAYS,
+  addDaysYmd,
+  buildSineDayForecast,
+  forecastStartForTimeZone,
+  getCycleMarkers,
+  summarizeForecastBoundaries
+} from "../api/_lib/sineday-forecast.js";
+
+const USER_ID = "user-1";
+const PROFILE = {
+  id: "11111111-1111-4111-8111-111111111111",
+  user_id: USER_ID,
+  display_name: "Stephen",
+  birthdate: "1985-04-20",
+  timezone: "America/Chicago"
+};
+
+process.env.SUPABASE_URL = "https://example.supabase.co";
+process.env.SUPABASE_ANON_KEY = "anon-test-key";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-test-key";
+
+mock.module("@supabase/supabase-js", {
+  namedExports: {
+    createClient() {
+      return {
+        auth: {
+          async getUser(token) {
+            if (token !== "good") return { data: { user: null }, error: new Error("bad") };
+            return { data: { user: { id: USER_ID } }, error: null };
+          }
+        },
+        from() {
+          const filters = {};
+          const api = {
+            select() {
+              return api;
+            },
+            eq(key, value) {
+              filters[key] = value;
+              return api;
+            },
+            async maybeSingle() {
+              const match = filters.user_id === PROFILE.user_id && filters.id === PROFILE.id;
+              return { data: match ? PROFILE : null, error: null };
+            }
+          };
+          return api;
+        }
+      };
+    }
+  }
+});
+
+const { default: forecastRoute } = await import("../api/forecast.js");
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+async function getForecast(query, token = "good") {
+  const res = mockRes();
+  await forecastRoute(
+    {
+      method: "GET",
+      headers: { authorization: `Bearer ${token}`, host: "sineday.app" },
+      query
+    },
+    res
+  );
+  return res;
+}
+
+test("forecast rows match calculateSineDayForYmd for every date", () => {
+  const rows = buildSineDayForecast(PROFILE.birthdate, "2026-10-01", 40);
+  assert.equal(rows.length, 40);
+  rows.forEach((row, index) => {
+    assert.equal(row.date, addDaysYmd("2026-10-01", index));
+    assert.equal(row.day, calculateSineDayForYmd(PROFILE.birthdate, row.date).day);
+    assert.equal(row.details.paragraph, DAY_DETAILS[row.day].paragraph);
+    assert.match(row.duckImageUrl, new RegExp(`SineDuck${row.day}@3x\\.png$`));
+  });
+});
+
+test("anchor birthdate starts on Day 1 and crosses a month and year boundary", () => {
+  const rows = buildSineDayForecast("1985-04-20", "1985-04-20", 19);
+  assert.equal(rows[0].day, 1);
+  assert.equal(rows[0].cycle, 1);
+  assert.equal(rows[18].day, 1);
+  assert.equal(rows[18].cycle, 2);
+  assert.equal(addDaysYmd("2026-12-31", 1), "2027-01-01");
+  assert.equal(addDaysYmd("2028-02-28", 1), "2028-02-29");
+});
+
+test("cycle markers flag Day 1, crest Day 9 and trough Days 14-16", () => {
+  assert.deepEqual(getCycleMarkers(1), {
+    cycleStart: true,
+    crest: false,
+    trough: false,
+    boundary: "cycle_start"
+  });
+  assert.equal(getCycleMarkers(9).boundary, "crest");
+  assert.equal(getCycleMarkers(14).boundary, "trough_start");
+  assert.equal(getCycleMarkers(15).boundary, "trough");
+  assert.equal(getCycleMarkers(16).boundary, "trough_end");
+  assert.equal(getCycleMarkers(5).boundary, null);
+});
+
+test("boundary summary groups consecutive trough days into windows", () => {
+  const rows = buildSineDayForecast("1985-04-20", "1985-04-20", 36);
+  const summary = summarizeForecastBoundaries(rows);
+  assert.deepEqual(summary.cycleStarts, ["1985-04-20", "1985-05-08"]);
+  assert.deepEqual(summary.crests, ["1985-04-28", "1985-05-16"]);
+  assert.deepEqual(summary.troughs, [
+    { start: "1985-05-03", end: "1985-05-05" },
+    { start: "1985-05-21", end: "1985-05-23" }
+  ]);
+});
+
+test("invalid inputs and oversize ranges fail closed", () => {
+  assert.equal(buildSineDayForecast("1985-04-31", "2026-01-01", 5), null);
+  assert.equal(buildSineDayForecast("1985-04-20", "01/01/2026", 5), null);
+  assert.equal(buildSineDayForecast("1985-04-20", "2026-01-01", 0), null);
+  assert.equal(buildSineDayForecast("1985-04-20", "2026-01-01", FORECAST_MAX_DAYS + 1), null);
+  assert.equal(buildSineDayForecast("1985-04-20", "2026-01-01", FORECAST_MAX_DAYS).length, FORECAST_MAX_DAYS);
+});
+
+test("default start follows the profile timezone, not UTC", () => {
+  const now = new Date("2026-10-20T03:30:00Z");
+  assert.equal(forecastStartForTimeZone("America/Chicago", now), "2026-10-19");
+  assert.equal(forecastStartForTimeZone("Asia/Tokyo", now), "2026-10-20");
+});
+
+test("route requires auth and an owned profile", async () => {
+  const unauth = await getForecast({ profileId: PROFILE.id }, "bad");
+  assert.equal(unauth.statusCode, 401);
+
+  const missing = await getForecast({});
+  assert.equal(missing.statusCode, 400);
+
+  const other = await getForecast({ profileId: "22222222-2222-4222-8222-222222222222" });
+  assert.equal(other.statusCode, 404);
+});
+
+test("route validates start and days", async () => {
+  assert.equal((await getForecast({ profileId: PROFILE.id, start: "2026-02-30" })).statusCode, 400);
+  assert.equal((await getForecast({ profileId: PROFILE.id, days: "0" })).statusCode, 400);
+  assert.equal((await getForecast({ profileId: PROFILE.id, days: "367" })).statusCode, 400);
+  assert.equal((await getForecast({ profileId: PROFILE.id, days: "1.5" })).statusCode, 400);
+});
+
+test("route returns forecast rows with absolute duck URLs and boundaries", async () => {
+  const res = await getForecast({ profileId: PROFILE.id, start: "1985-04-20", days: "18" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.start, "1985-04-20");
+  assert.equal(res.body.end, "1985-05-07");
+  assert.equal(res.body.forecast.length, 18);
+  assert.equal(res.body.forecast[0].duckImageUrl, "https://sineday.app/assets/sineducks/SineDuck1@3x.png");
+  assert.deepEqual(res.body.boundaries.crests, ["1985-04-28"]);
+  assert.equal(res.headers["Cache-Control"], "private, no-store");
+});
@@ -0,0 +1,255 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+
+const PLANNER_ID = "planner_1";
+const USER_ID = "user_1";
+
+let admin = null;
+
+function createMockResponse() {
+  const response = {
+    statusCode: null,
+    body: null,
+    headers: {},
+    setHeader(name, value) {
+      response.headers[name] = value;
+    },
+    status(code) {
+      response.statusCode = code;
+      return response;
+    },
+    json(payload) {
+      response.body = payload;
+      return response;
+    },
+    end() {
+      return response;
+    }
+  };
+  return response;
+}
+
+/**
+ * Tables as arrays of rows; eq() filters, and the writes the route makes.
+ * `unique` lists the columns of a table's unique constraint; `failInsert`
+ * and `failUpdate` make those writes to a table fail with that error.
+ */
+function createAdmin(tables, { unique = {}, failInsert = {}, failUpdate = {} } = {}) {
+  let nextId = 1;
+  return {
+    tables,
+    from(name) {
+      const rows = () => (tables[name] ||= []);
+      const state = { op: "select", payload: null, filters: [] };
+      const matches = (row) => state.filters.every(([key, value]) => row[key] === value);
+      const sameKey = (a, b) => (unique[name] || []).every((key) => a[key] === b[key]);
+
+      const run = () => {
+        if (state.op === "select") return { data: rows().filter(matches), error: null };
+        if (state.op === "delete") {
+          tables[name] = rows().filter((row) => !matches(row));
+          return { data: null, error: null };
+        }
+        if (state.op === "update") {
+          if (failUpdate[name]) return { data: null, error: failUpdate[name] };
+          rows().filter(matches).forEach((row) => Object.assign(row, state.payload));
+          return { data: null, error: null };
+        }
+        const incoming = [state.payload].flat();
+        if (state.op === "insert") {
+          if (failInsert[name]) return { data: null, error: failInsert[name] };
+          if (unique[name] && incoming.some((row) => rows().some((existing) => sameKey(existing, row)))) {
+            return { data: null, error: { code: "23505", message: "duplicate key value" } };
+          }
+        }
+        const written = incoming.map((row) => {
+          const existing = state.op === "upsert" && unique[name] && rows().find((r) => sameKey(r, row));
+          if (existing) return Object.assign(existing, row);
+          const created = { id: `${name}_${nextId++}`, ...row };
+          rows().push(created);
+          return created;
+        });
+        return { data: written, error: null };
+      };
+
+      const api = {
+        select() {
+          return api;
+        },
+        insert(payload) {
+          state.op = "insert";
+          state.payload = payload;
+          return api;
+        },
+        upsert(payload) {
+          state.op = "upsert";
+          state.payload = payload;
+          return api;
+        },
+        update(payload) {
+          state.op = "update";
+          state.payload = payload;
+          return api;
+        },
+        delete() {
+          state.op = "delete";
+          return api;
+        },
+        eq(key, value) {
+          state.filters.push([key, value]);
+          return api;
+        },
+        order() {
+          return api;
+        },
+        async maybeSingle() {
+          const { data, error } = run();
+          return { data: data?.[0] ?? null, error };
+        },
+        async single() {
+          const { data, error } = run();
+          return { data: data?.[0] ?? null, error };
+        },
+        then(resolve, reject) {
+          return Promise.resolve().then(run).then(resolve, reject);
+        }
+      };
+      return api;
+    }
+  };
+}
+
+function baseTables(extra = {}) {
+  return {
+    social_planner_members: [{ planner_id: PLANNER_ID, user_id: USER_ID, role: "member", status: "active" }],
+    profiles: [{ id: "profile_1", user_id: USER_ID, is_owner: true, display_name: "Ada", birthdate: "1990-01-01" }],
+    ...extra
+  };
+}
+
+mock.module("../api/_lib/auth.js", {
+  namedExports: {
+    authenticateUser: async () => ({ user: { id: USER_ID } }),
+    getAdminClient: () => admin
+  }
+});
+
+const { default: handler } = await import("../api/social/day-entry.js");
+
+async function post(body) {
+  const res = createMockResponse();
+  await handler({ method: "POST", headers: { authorization: "Bearer token" }, body: { plannerId: PLANNER_ID, ...body } }, res);
+  return res;
+}
+
+test("checklist items are ticked only on days the task is on", async () => {
+  // Mondays from Oct 5, 2026; Oct 12 skipped and Oct 19 moved to Oct 20.
+  admin = createAdmin(
+    baseTables({
+      social_day_tasks: [
+        {
+          id: "task_1",
+          planner_id: PLANNER_ID,
+          author_user_id: USER_ID,
+          title: "Standup",
+          is_archived: false,
+          start_date: "2026-10-05",
+          task_date: "2026-10-05",
+          repeat_mode: "weekly",
+          repeat_interval: 1,
+          exception_dates: ["2026-10-12"],
+          occurrence_overrides: { "2026-10-19": { date: "2026-10-20" } },
+          checklist: [{ id: "item-0001", title: "Notes" }]
+        }
+      ]
+    }),
+    { unique: { social_day_task_checklist_checks: ["task_id", "occurrence_date", "item_id"] } }
+  );
+  const tick = (date) => post({ action: "toggle_checklist_item", taskId: "task_1", itemId: "item-0001", date, checked: true });
+
+  for (const date of ["2026-10-26", "2026-10-20"]) {
+    assert.equal((await tick(date)).statusCode, 200, date);
+  }
+  for (const date of ["2026-10-13", "2026-10-12", "2026-10-19", "2026-09-28"]) {
+    const res = await tick(date);
+    assert.equal(res.statusCode, 400, date);
+    assert.equal(res.body.error, "The task is not on that date");
+  }
+  assert.deepEqual(
+    admin.tables.social_day_task_checklist_checks.map((row) => row.occurrence_date),
+    ["2026-10-26", "2026-10-20"]
+  );
+
+  assert.equal((await post({ action: "toggle_checklist_item", taskId: "task_1", itemId: "item-9999", date: "2026-10-26", checked: true })).statusCode, 404);
+});
+
+test("a template that cannot be added can be applied again", async () => {
+  const tables = baseTables({
+    social_planner_templates: [
+      {
+        planner_id: PLANNER_ID,
+        template_id: "template_1",
+        shared_by_user_id: USER_ID,
+        planner_day_templates: {
+          id: "template_1",
+          user_id: USER_ID,
+          title: "Rest day",
+          sinedays: [14],
+          version: 2,
+          tasks: [{ title: "Walk" }, { title: "Read" }],
+          note: "How did I rest?",
+          is_archived: false
+        }
+      }
+    ]
+  });
+  const unique = {
+    social_day_template_applications: ["planner_id", "template_id", "user_id", "day"],
+    social_day_entries: ["planner_id", "entry_date", "author_user_id"]
+  };
+  const apply = () => post({ action: "apply_template", templateId: "template_1", date: "2026-10-19" });
+
+  admin = createAdmin(tables, { unique, failInsert: { social_day_tasks: { message: "boom" } } });
+  const failed = await apply();
+  assert.equal(failed.statusCode, 500);
+  assert.deepEqual(admin.tables.social_day_template_applications, []);
+
+  admin = createAdmin(tables, { unique });
+  assert.equal((await apply()).statusCode, 200);
+  assert.equal(admin.tables.social_day_template_applications.length, 1);
+  assert.deepEqual(admin.tables.social_day_tasks.map((task) => task.title), ["Walk", "Read"]);
+  assert.equal(admin.tables.social_day_entries[0].content, "How did I rest?");
+
+  assert.equal((await apply()).statusCode, 409);
+  assert.equal(admin.tables.social_day_tasks.length, 2);
+});
+
+test("a split that cannot end the old series leaves no new task behind", async () => {
+  const series = () => ({
+    id: "task_1",
+    planner_id: PLANNER_ID,
+    author_user_id: USER_ID,
+    title: "Standup",
+    is_archived: false,
+    start_date: "2026-10-05",
+    task_date: "2026-10-05",
+    repeat_mode: "weekly",
+    repeat_interval: 1
+  });
+  const rename = () => post({ action: "update_task", taskId: "task_1", title: "Sync", fromDate: "2026-10-19" });
+
+  admin = createAdmin(baseTables({ social_day_tasks: [series()] }), { failUpdate: { social_day_tasks: { message: "boom" } } });
+  const failed = await rename();
+  assert.equal(failed.statusCode, 500);
+  assert.deepEqual(admin.tables.social_day_tasks, [series()]);
+
+  admin = createAdmin(baseTables({ social_day_tasks: [series()] }));
+  assert.equal((await rename()).statusCode, 200);
+  assert.deepEqual(
+    admin.tables.social_day_tasks.map((task) => [task.title, task.start_date, task.repeat_until ?? null]),
+    [
+      ["Standup", "2026-10-05", "2026-10-18"],
+      ["Sync", "2026-10-19", null]
+    ]
+  );
+});
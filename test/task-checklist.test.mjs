@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  CHECKLIST_MAX_ITEMS,
+  addChecklistItem,
+  checklistProgress,
+  formatChecklistProgress,
+  moveChecklistItem,
+  normalizeChecklist,
+  removeChecklistItem,
+  renameChecklistItem,
+  validateChecklist,
+} from "../js/task-checklist.js";
+import { splitSeries } from "../js/task-recurrence.js";
+
+const PACKING = [
+  { id: "item-tent", title: "Tent" },
+  { id: "item-stove", title: "Stove" },
+  { id: "item-water", title: "Water" },
+];
+
+test("normalizeChecklist keeps valid items in order", () => {
+  assert.deepEqual(
+    normalizeChecklist([
+      { id: "item-tent", title: "  Tent \n poles " },
+      { id: "bad id", title: "Stove" },
+      { id: "item-water", title: "   " },
+      { id: "item-tent", title: "Again" },
+      null,
+    ]),
+    [{ id: "item-tent", title: "Tent poles" }]
+  );
+  assert.deepEqual(normalizeChecklist(undefined), []);
+});
+
+test("validateChecklist rejects what normalizing would drop", () => {
+  assert.deepEqual(validateChecklist(PACKING), { checklist: PACKING });
+  assert.deepEqual(validateChecklist("Tent"), { error: "checklist must be an array" });
+  assert.deepEqual(validateChecklist([{ id: "item-tent", title: "" }]), {
+    error: "Each checklist item needs an id and a title",
+  });
+  const tooMany = Array.from({ length: CHECKLIST_MAX_ITEMS + 1 }, (_, i) => ({ id: `item-${i}00`, title: `#${i}` }));
+  assert.match(validateChecklist(tooMany).error, /at most 50/);
+});
+
+test("items are added, renamed, removed and reordered by id", () => {
+  const added = addChecklistItem(PACKING, " Map ", "item-map");
+  assert.deepEqual(added.at(-1), { id: "item-map", title: "Map" });
+  assert.equal(addChecklistItem(PACKING, "  "), null);
+  assert.equal(typeof addChecklistItem([], "Map")[0].id, "string");
+
+  assert.equal(renameChecklistItem(PACKING, "item-stove", "Camp stove")[1].title, "Camp stove");
+  assert.deepEqual(
+    renameChecklistItem(PACKING, "item-stove", "").map((item) => item.id),
+    ["item-tent", "item-water"]
+  );
+  assert.deepEqual(removeChecklistItem(PACKING, "item-tent").map((item) => item.id), ["item-stove", "item-water"]);
+
+  const ids = (list) => list.map((item) => item.id);
+  assert.deepEqual(ids(moveChecklistItem(PACKING, "item-water", 0)), ["item-water", "item-tent", "item-stove"]);
+  assert.deepEqual(ids(moveChecklistItem(PACKING, "item-tent", 9)), ["item-stove", "item-water", "item-tent"]);
+  assert.deepEqual(ids(moveChecklistItem(PACKING, "missing", 0)), ids(PACKING));
+});
+
+test("progress counts ticks for items that still exist", () => {
+  const progress = checklistProgress(PACKING, ["item-tent", "item-water", "item-removed"]);
+  assert.deepEqual(progress, { done: 2, total: 3 });
+  assert.equal(formatChecklistProgress(progress), "2/3");
+  assert.equal(formatChecklistProgress(checklistProgress([], [])), "");
+});
+
+test("splitting a repeating task keeps its checklist on both halves", () => {
+  const task = { title: "Pack", start_date: "2026-03-01", repeat_mode: "weekly", repeat_interval: 1, checklist: PACKING };
+  const { head, tail } = splitSeries(task, "2026-03-15", { title: "Pack light" });
+  assert.equal(head.repeat_until, "2026-03-14");
+  assert.equal("checklist" in head, false);
+  assert.deepEqual(tail.checklist, PACKING);
+  assert.notEqual(tail.checklist, PACKING);
+});
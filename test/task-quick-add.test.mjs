@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { describeQuickAdd, parseQuickAdd } from "../js/task-quick-add.js";
+import { taskOccursOnDate } from "../js/task-recurrence.js";
+
+// A Monday.
+const TODAY = "2026-10-19";
+
+function parse(text, opts = {}) {
+  return parseQuickAdd(text, { today: TODAY, locale: "en-US", ...opts });
+}
+
+test("repeating phrases map onto the repeat fields", () => {
+  const sunday = parse("call mom every Sunday");
+  assert.equal(sunday.title, "call mom");
+  assert.equal(sunday.date, "2026-10-25");
+  assert.deepEqual(
+    [sunday.fields.repeat_mode, sunday.fields.repeat_interval, sunday.fields.repeat_until],
+    ["weekly", 1, null]
+  );
+
+  const invoice = parse("invoice on the 1st monthly until December");
+  assert.equal(invoice.title, "invoice");
+  assert.equal(invoice.date, "2026-11-01");
+  assert.equal(invoice.fields.repeat_mode, "monthly");
+  assert.equal(invoice.fields.repeat_until, "2026-12-31");
+
+  const stretch = parse("stretch on Day 14 and Day 15");
+  assert.equal(stretch.title, "stretch");
+  assert.equal(stretch.date, TODAY);
+  assert.deepEqual([stretch.fields.repeat_mode, stretch.fields.repeat_sinedays], ["sineday", [14, 15]]);
+  assert.deepEqual(parse("yoga on Days 3, 9 and 18").fields.repeat_sinedays, [3, 9, 18]);
+
+  const gym = parse("gym every other Monday and Thursday for 10 times");
+  assert.equal(gym.title, "gym");
+  assert.deepEqual(
+    [gym.fields.repeat_mode, gym.fields.repeat_interval, gym.fields.repeat_weekdays, gym.fields.repeat_count],
+    ["weekly_days", 2, [1, 4], 10]
+  );
+
+  assert.deepEqual(parse("water plants on Saturdays and Sundays").fields.repeat_weekdays, [0, 6]);
+  assert.equal(parse("standup every weekday").fields.repeat_mode, "weekdays");
+  assert.deepEqual(
+    [parse("review every 3 weeks").fields.repeat_mode, parse("review every 3 weeks").fields.repeat_interval],
+    ["weekly", 3]
+  );
+  const rent = parse("pay rent the 15th of every month");
+  assert.deepEqual([rent.title, rent.date, rent.fields.repeat_mode], ["pay rent", "2026-11-15", "monthly"]);
+  assert.equal(parse("stand up daily").fields.repeat_mode, "daily");
+});
+
+test("dates: tomorrow, next Friday, month days and offsets", () => {
+  assert.deepEqual([parse("dentist tomorrow").title, parse("dentist tomorrow").date], ["dentist", "2026-10-20"]);
+  assert.equal(parse("lunch next Friday").date, "2026-10-23");
+  assert.equal(parse("lunch next Monday").date, "2026-10-26");
+  assert.equal(parse("lunch Monday").date, TODAY);
+  assert.equal(parse("report on Nov 3").date, "2026-11-03");
+  assert.equal(parse("report on 3 March").date, "2027-03-03");
+  assert.equal(parse("call in 3 days").date, "2026-10-22");
+  assert.equal(parse("taxes 2026-12-01").date, "2026-12-01");
+  assert.equal(parse("taxes").fields.repeat_mode, "none");
+
+  // Without a date the task stays on the day it was typed into.
+  const plain = parse("fold laundry", { defaultDate: "2026-11-05" });
+  assert.deepEqual([plain.title, plain.date, plain.matched], ["fold laundry", "2026-11-05", []]);
+  // A rule starts on its first occurrence after that day.
+  assert.equal(parse("call mom every Sunday", { defaultDate: "2026-11-02" }).date, "2026-11-08");
+});
+
+test("weekday and month names in the user's locale", () => {
+  assert.equal(parse("llamar a Ana domingo", { locale: "es-ES" }).date, "2026-10-25");
+  const german = parse("Sport every Mittwoch until 20. Dezember", { locale: "de-DE" });
+  assert.deepEqual(
+    [german.title, german.date, german.fields.repeat_mode, german.fields.repeat_until],
+    ["Sport", "2026-10-21", "weekly", "2026-12-20"]
+  );
+  const french = parse("courir every lundi and jeudi", { locale: "fr-FR" });
+  assert.deepEqual(french.fields.repeat_weekdays, [1, 4]);
+});
+
+test("connecting words in the user's language", () => {
+  const mom = parse("llamar a mamá cada domingo", { locale: "es-ES" });
+  assert.deepEqual([mom.title, mom.date, mom.fields.repeat_mode], ["llamar a mamá", "2026-10-25", "weekly"]);
+  const rent = parse("pagar el alquiler el 1 de cada mes hasta diciembre", { locale: "es-MX" });
+  assert.deepEqual(
+    [rent.title, rent.date, rent.fields.repeat_mode, rent.fields.repeat_until],
+    ["pagar el alquiler", "2026-11-01", "monthly", "2026-12-31"]
+  );
+  assert.equal(parse("dentista pasado mañana", { locale: "es-ES" }).date, "2026-10-21");
+  assert.equal(parse("cena el viernes que viene", { locale: "es-ES" }).date, "2026-10-23");
+  assert.deepEqual(parse("correr por la mañana", { locale: "es-ES" }).matched, []);
+
+  const french = parse("courir tous les lundis et jeudis", { locale: "fr-FR" });
+  assert.deepEqual([french.title, french.fields.repeat_mode, french.fields.repeat_weekdays], ["courir", "weekly_days", [1, 4]]);
+  assert.equal(parse("dîner vendredi prochain", { locale: "fr-FR" }).date, "2026-10-23");
+
+  const german = parse("Sport jeden zweiten Mittwoch bis 20. Dezember", { locale: "de-DE" });
+  assert.deepEqual(
+    [german.title, german.date, german.fields.repeat_mode, german.fields.repeat_interval, german.fields.repeat_until],
+    ["Sport", "2026-10-21", "weekly", 2, "2026-12-20"]
+  );
+  assert.deepEqual(parse("Yoga montags und donnerstags", { locale: "de-DE" }).fields.repeat_weekdays, [1, 4]);
+
+  const gym = parse("palestra ogni 2 settimane", { locale: "it-IT" });
+  assert.deepEqual([gym.title, gym.fields.repeat_mode, gym.fields.repeat_interval], ["palestra", "weekly", 2]);
+  assert.equal(parse("ligar para a mãe todos os domingos", { locale: "pt-BR" }).title, "ligar para a mãe");
+});
+
+test("languages without connecting words read English only", () => {
+  for (const [text, locale] of [["毎週日曜日に電話", "ja-JP"], ["اتصل بأمي كل الأحد", "ar"]]) {
+    const parsed = parse(text, { locale });
+    assert.deepEqual([parsed.title, parsed.date, parsed.matched], [text, TODAY, []]);
+  }
+  assert.equal(parse("call mom every Sunday", { locale: "ja-JP" }).fields.repeat_mode, "weekly");
+});
+
+test("ordinary words are left in the title", () => {
+  for (const text of ["Enjoy the sun", "Read chapter 3", "Day 2 recap", "May report"]) {
+    const parsed = parse(text);
+    assert.equal(parsed.title, text);
+    assert.deepEqual(parsed.matched, []);
+    assert.equal(describeQuickAdd(parsed), "");
+  }
+});
+
+test("parsed tasks land on the days the preview describes", () => {
+  const parsed = parse("invoice on the 1st monthly until December");
+  assert.equal(describeQuickAdd(parsed), "“invoice” · From Sun, Nov 1 · Repeats monthly · until Thu, Dec 31");
+  const task = { title: parsed.title, start_date: parsed.date, ...parsed.fields };
+  assert.equal(taskOccursOnDate(task, "2026-12-01", null), true);
+  assert.equal(taskOccursOnDate(task, "2027-01-01", null), false);
+
+  assert.equal(describeQuickAdd(parse("dentist tomorrow")), "“dentist” · Tue, Oct 20");
+  assert.equal(describeQuickAdd(parse("tomorrow")), "Add a title · Tue, Oct 20");
+});
@@ -0,0 +1,306 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  addDaysYmd,
+  canShiftSeries,
+  countEndDate,
+  formatRepeatMeta,
+  normalizeExceptionDates,
+  normalizeOccurrenceOverrides,
+  occurrenceOnDate,
+  overrideOccurrence,
+  shiftSeries,
+  skipOccurrence,
+  splitSeries
+} from "../js/task-recurrence.js";
+import { taskToRRule } from "../js/task-rrule.js";
+import { PlannerUI } from "../js/planner-ui.js";
+import { taskOccursOnSocialDate } from "../api/social/_socialTaskRecurrence.js";
+
+const BIRTHDATE = "1990-01-01";
+
+function days(from, count) {
+  const out = [];
+  const start = Date.UTC(...from.split("-").map((v, i) => Number(v) - (i === 1 ? 1 : 0)));
+  for (let i = 0; i < count; i++) {
+    out.push(new Date(start + i * 86400000).toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+// One table, run through both the planner and the shared calendar, so the two
+// can never disagree about when a task happens.
+const CASES = [
+  { name: "one-off", task: { title: "A", start_date: "2026-03-04", repeat_mode: "none" } },
+  {
+    name: "every 2 days until",
+    task: { title: "A", start_date: "2026-03-01", repeat_mode: "daily", repeat_interval: 2, repeat_until: "2026-03-20" }
+  },
+  { name: "weekly", task: { title: "A", start_date: "2026-03-03", repeat_mode: "weekly" } },
+  { name: "monthly on the 31st", task: { title: "A", start_date: "2026-01-31", repeat_mode: "monthly" } },
+  { name: "yearly on leap day", task: { title: "A", start_date: "2024-02-29", repeat_mode: "yearly" } },
+  { name: "weekdays", task: { title: "A", start_date: "2026-03-02", repeat_mode: "weekdays" } },
+  { name: "sinedays", task: { title: "A", start_date: "2026-03-01", repeat_mode: "sineday", repeat_sinedays: [1, 9] } },
+  { name: "legacy task_date only", task: { title: "A", task_date: "2026-03-05", repeat_mode: "daily" } },
+  {
+    name: "every other week on Mon and Thu",
+    task: { title: "A", start_date: "2026-03-04", repeat_mode: "weekly_days", repeat_interval: 2, repeat_weekdays: [1, 4] }
+  },
+  {
+    name: "monthly on the 1st and last day",
+    task: { title: "A", start_date: "2026-02-10", repeat_mode: "monthly_days", repeat_monthdays: [1, -1] }
+  },
+  {
+    name: "monthly on the last Friday, 4 times",
+    task: { title: "A", start_date: "2026-02-01", repeat_mode: "monthly_nth", repeat_weekdays: [5], repeat_nth: -1, repeat_count: 4 }
+  },
+  {
+    name: "with exceptions and overrides",
+    task: {
+      title: "A",
+      start_date: "2026-03-01",
+      repeat_mode: "daily",
+      repeat_until: "2026-03-31",
+      exception_dates: ["2026-03-03"],
+      occurrence_overrides: {
+        "2026-03-05": { date: "2026-04-10" },
+        "2026-03-06": { title: "B" },
+        "2026-03-07": { date: "2026-02-20" }
+      }
+    }
+  }
+];
+
+const DATES = [...days("2026-02-15", 60), ...days("2027-02-26", 4), ...days("2028-02-27", 4)];
+
+for (const { name, task } of CASES) {
+  test(`planner and shared calendar agree: ${name}`, () => {
+    const planner = { profile: { birthdate: BIRTHDATE } };
+    for (const ymd of DATES) {
+      assert.equal(
+        PlannerUI.prototype._taskOccursOnDate.call(planner, task, ymd),
+        taskOccursOnSocialDate(task, ymd, BIRTHDATE),
+        `${name} on ${ymd}`
+      );
+    }
+  });
+}
+
+test("occurrences follow the rule", () => {
+  const occurs = (task, ymd) => taskOccursOnSocialDate(task, ymd, BIRTHDATE);
+  const monthly = CASES[3].task;
+  assert.equal(occurs(monthly, "2026-02-28"), true);
+  assert.equal(occurs(monthly, "2026-03-31"), true);
+  assert.equal(occurs(monthly, "2026-03-28"), false);
+
+  const leap = CASES[4].task;
+  assert.equal(occurs(leap, "2027-02-28"), true);
+  assert.equal(occurs(leap, "2028-02-29"), true);
+  assert.equal(occurs(leap, "2028-02-28"), false);
+
+  const everyOther = CASES[1].task;
+  assert.equal(occurs(everyOther, "2026-03-19"), true);
+  assert.equal(occurs(everyOther, "2026-03-20"), false);
+  assert.equal(occurs(everyOther, "2026-03-21"), false);
+
+  assert.equal(occurs(CASES[6].task, "2026-03-01"), false, "SineDay 15 is not listed");
+  assert.equal(taskOccursOnSocialDate(CASES[6].task, "2026-03-01", null), false);
+});
+
+test("rules from other calendars: chosen weekdays, dates, nth weekdays and counts", () => {
+  const on = (task, from, count) => days(from, count).filter((ymd) => taskOccursOnSocialDate(task, ymd, BIRTHDATE));
+
+  // Weeks count from Monday: 2026-03-04 is a Wednesday, so that week's Monday is skipped.
+  assert.deepEqual(on(CASES[8].task, "2026-03-01", 21), ["2026-03-05", "2026-03-16", "2026-03-19"]);
+  assert.deepEqual(on(CASES[9].task, "2026-02-01", 59), ["2026-02-28", "2026-03-01", "2026-03-31"]);
+  assert.deepEqual(on(CASES[10].task, "2026-02-01", 200), ["2026-02-27", "2026-03-27", "2026-04-24", "2026-05-29"]);
+
+  const dated = { title: "A", start_date: "2026-01-31", repeat_mode: "monthly_days", repeat_monthdays: [31] };
+  assert.deepEqual(on(dated, "2026-01-01", 90), ["2026-01-31", "2026-03-31"]);
+
+  const counted = { title: "A", start_date: "2026-03-01", repeat_mode: "daily", repeat_interval: 3, repeat_count: 3 };
+  assert.equal(countEndDate(counted), "2026-03-07");
+  assert.deepEqual(on(counted, "2026-03-01", 20), ["2026-03-01", "2026-03-04", "2026-03-07"]);
+  // A skipped occurrence still counts.
+  assert.deepEqual(on({ ...counted, exception_dates: ["2026-03-04"] }, "2026-03-01", 20), ["2026-03-01", "2026-03-07"]);
+
+  assert.equal(formatRepeatMeta(CASES[8].task), "Repeats every 2 weeks on Mon, Thu");
+  assert.equal(formatRepeatMeta(CASES[9].task), "Repeats monthly on 1st, the last day");
+  assert.equal(formatRepeatMeta(CASES[10].task), "Repeats monthly on the last Friday, 4 times");
+});
+
+test("a split turns the count into an end date; weekday rules shift with the series", () => {
+  const counted = { title: "A", start_date: "2026-03-01", repeat_mode: "daily", repeat_count: 10 };
+  const { head, tail } = splitSeries(counted, "2026-03-05");
+  assert.equal(head.repeat_until, "2026-03-04");
+  assert.equal(tail.repeat_count, null);
+  assert.equal(tail.repeat_until, "2026-03-10");
+
+  assert.deepEqual(shiftSeries(CASES[8].task, 2).repeat_weekdays, [3, 6]);
+  assert.equal(canShiftSeries(CASES[8].task), true);
+  assert.equal(canShiftSeries(CASES[9].task), false);
+  assert.equal(canShiftSeries(CASES[10].task), false);
+});
+
+test("exceptions skip and overrides move or retitle one occurrence", () => {
+  const task = CASES.find((c) => c.name === "with exceptions and overrides").task;
+  assert.equal(occurrenceOnDate(task, "2026-03-03", BIRTHDATE), null);
+  assert.equal(occurrenceOnDate(task, "2026-03-05", BIRTHDATE), null);
+  assert.deepEqual(occurrenceOnDate(task, "2026-04-10", BIRTHDATE), {
+    date: "2026-04-10",
+    occurrenceDate: "2026-03-05",
+    title: "A",
+    moved: true
+  });
+  assert.deepEqual(occurrenceOnDate(task, "2026-03-06", BIRTHDATE), {
+    date: "2026-03-06",
+    occurrenceDate: "2026-03-06",
+    title: "B",
+    moved: false
+  });
+  // Moving before the start still shows the occurrence.
+  assert.equal(occurrenceOnDate(task, "2026-02-20", BIRTHDATE)?.occurrenceDate, "2026-03-07");
+});
+
+test("skipOccurrence adds an exception and forgets its override", () => {
+  const task = CASES.find((c) => c.name === "with exceptions and overrides").task;
+  assert.deepEqual(skipOccurrence(task, "2026-03-06"), {
+    exception_dates: ["2026-03-03", "2026-03-06"],
+    occurrence_overrides: {
+      "2026-03-05": { date: "2026-04-10" },
+      "2026-03-07": { date: "2026-02-20" }
+    }
+  });
+});
+
+test("overrideOccurrence validates and clears no-op fields", () => {
+  const task = { title: "Walk", start_date: "2026-03-01", repeat_mode: "daily", repeat_until: "2026-03-10" };
+
+  assert.deepEqual(overrideOccurrence(task, "2026-03-02", { title: " Run " }), {
+    patch: { occurrence_overrides: { "2026-03-02": { title: "Run" } } }
+  });
+  assert.deepEqual(overrideOccurrence(task, "2026-03-02", { date: "2026-03-20" }), {
+    patch: { occurrence_overrides: { "2026-03-02": { date: "2026-03-20" } } }
+  });
+  assert.deepEqual(overrideOccurrence(task, "2026-03-02", { date: "2026-03-03" }), {
+    error: "The task already happens on that day"
+  });
+  assert.deepEqual(overrideOccurrence(task, "2026-03-02", { title: "  " }), { error: "title is required" });
+  assert.deepEqual(overrideOccurrence(task, "2026-03-02", { date: "03/02" }), {
+    error: "date must be YYYY-MM-DD"
+  });
+
+  const renamed = { ...task, occurrence_overrides: { "2026-03-02": { title: "Run" } } };
+  assert.deepEqual(overrideOccurrence(renamed, "2026-03-02", { title: "Walk" }), {
+    patch: { occurrence_overrides: {} }
+  });
+});
+
+test("splitSeries ends the series before the split and carries the rest over", () => {
+  const task = CASES.find((c) => c.name === "with exceptions and overrides").task;
+  const { head, tail } = splitSeries(task, "2026-03-06", { title: "C" });
+  assert.deepEqual(head, {
+    repeat_until: "2026-03-05",
+    exception_dates: ["2026-03-03"],
+    occurrence_overrides: { "2026-03-05": { date: "2026-04-10" } }
+  });
+  assert.equal(tail.title, "C");
+  assert.equal(tail.start_date, "2026-03-06");
+  assert.deepEqual(tail.exception_dates, []);
+  assert.deepEqual(tail.occurrence_overrides, {
+    "2026-03-06": { title: "B" },
+    "2026-03-07": { date: "2026-02-20" }
+  });
+
+  const fromStart = splitSeries(task, "2026-03-01", { title: "C" });
+  assert.equal(fromStart.head, null);
+  assert.equal(fromStart.tail.start_date, "2026-03-01");
+});
+
+test("splitSeries keeps a monthly or yearly series on its day past a short month", () => {
+  const onDates = (task, from, count) =>
+    days(from, count).filter((ymd) => occurrenceOnDate(task, ymd, BIRTHDATE));
+
+  const monthly = { start_date: "2026-01-31", repeat_mode: "monthly", title: "Rent" };
+  const { head, tail } = splitSeries(monthly, "2026-02-28", { title: "Rent (new flat)" });
+  assert.equal(head.repeat_until, "2026-02-27");
+  assert.deepEqual(tail.repeat_monthdays, [31]);
+  assert.deepEqual(onDates(tail, "2026-02-01", 120), ["2026-02-28", "2026-03-31", "2026-04-30", "2026-05-31"]);
+  assert.equal(taskToRRule(tail), "FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1");
+
+  // Splitting again, or on a day the series falls on anyway, keeps the day.
+  assert.deepEqual(splitSeries(tail, "2026-04-30").tail.repeat_monthdays, [31]);
+  assert.deepEqual(splitSeries(monthly, "2026-03-31").tail.repeat_monthdays, []);
+  // A moved series falls on its new start's day.
+  assert.deepEqual(shiftSeries(tail, 2).repeat_monthdays, []);
+
+  const leap = { start_date: "2024-02-29", repeat_mode: "yearly", title: "Leap" };
+  const yearly = splitSeries(leap, "2027-02-28").tail;
+  assert.deepEqual(yearly.repeat_monthdays, [29]);
+  assert.equal(occurrenceOnDate(yearly, "2028-02-29", BIRTHDATE)?.occurrenceDate, "2028-02-29");
+  assert.equal(occurrenceOnDate(yearly, "2028-02-28", BIRTHDATE), null);
+});
+
+test("shiftSeries moves every date and rotates SineDays", () => {
+  assert.deepEqual(
+    shiftSeries(
+      {
+        start_date: "2026-03-01",
+        repeat_mode: "sineday",
+        repeat_sinedays: [1, 17],
+        repeat_until: "2026-04-01",
+        exception_dates: ["2026-03-10"],
+        occurrence_overrides: { "2026-03-12": { title: "X", date: "2026-03-14" } }
+      },
+      2
+    ),
+    {
+      start_date: "2026-03-03",
+      repeat_until: "2026-04-03",
+      exception_dates: ["2026-03-12"],
+      occurrence_overrides: { "2026-03-14": { title: "X", date: "2026-03-16" } },
+      repeat_sinedays: [1, 3]
+    }
+  );
+});
+
+test("an every-other-week rule keeps its weeks when moved across a Monday", () => {
+  const on = (task, from, count) => days(from, count).filter((ymd) => taskOccursOnSocialDate(task, ymd, BIRTHDATE));
+  // Starts on a Wednesday; its Sundays fall at the end of each active week.
+  const sundays = { title: "A", start_date: "2026-03-04", repeat_mode: "weekly_days", repeat_interval: 2, repeat_weekdays: [0] };
+  const moved = { ...sundays, ...shiftSeries(sundays, 1) };
+  assert.deepEqual(on(sundays, "2026-03-01", 42), ["2026-03-08", "2026-03-22", "2026-04-05"]);
+  assert.deepEqual(on(moved, "2026-03-01", 42), ["2026-03-09", "2026-03-23", "2026-04-06"]);
+
+  // Every shift allowed lands each occurrence exactly that many days later.
+  const original = on(CASES[8].task, "2026-03-01", 70);
+  for (let shift = -7; shift <= 7; shift++) {
+    if (!canShiftSeries(CASES[8].task, shift)) continue;
+    const shifted = { ...CASES[8].task, ...shiftSeries(CASES[8].task, shift) };
+    assert.deepEqual(
+      on(shifted, "2026-02-20", 90).filter((ymd) => ymd <= addDaysYmd("2026-05-09", shift)),
+      original.map((ymd) => addDaysYmd(ymd, shift)),
+      `shift ${shift}`
+    );
+  }
+  // Monday and Thursday moved four days: Friday stays in the week, Monday does not.
+  assert.equal(canShiftSeries(CASES[8].task, 4), false);
+  assert.equal(canShiftSeries({ ...CASES[8].task, repeat_interval: 1 }, 4), true);
+});
+
+test("normalizers drop malformed values", () => {
+  assert.deepEqual(normalizeExceptionDates(["2026-03-02", "bad", "2026-03-01", "2026-03-02"]), [
+    "2026-03-01",
+    "2026-03-02"
+  ]);
+  assert.deepEqual(normalizeExceptionDates(null), []);
+  assert.deepEqual(
+    normalizeOccurrenceOverrides({
+      "2026-03-01": { title: " ", date: "2026-03-01" },
+      "2026-03-02": { title: "T", date: "nope" },
+      nope: { title: "X" }
+    }),
+    { "2026-03-02": { title: "T" } }
+  );
+  assert.deepEqual(normalizeOccurrenceOverrides([]), {});
+});
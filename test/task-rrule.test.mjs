@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addDaysYmd, taskOccursOnDate } from "../js/task-recurrence.js";
+import {
+  firstOccurrenceDate,
+  parseRRule,
+  taskRecurrenceLines,
+  taskToRRule,
+  taskToRuleText
+} from "../js/task-rrule.js";
+
+const BIRTHDATE = "1990-01-01";
+
+function occurrences(task, from, count) {
+  const out = [];
+  for (let i = 0, ymd = from; i < count; i++, ymd = addDaysYmd(ymd, 1)) {
+    if (taskOccursOnDate(task, ymd, BIRTHDATE)) out.push(ymd);
+  }
+  return out;
+}
+
+const ROUND_TRIPS = [
+  { start_date: "2026-03-01", repeat_mode: "daily", repeat_interval: 3, repeat_until: "2026-05-01" },
+  { start_date: "2026-03-03", repeat_mode: "weekly", repeat_interval: 2 },
+  { start_date: "2026-01-31", repeat_mode: "monthly" },
+  { start_date: "2026-01-30", repeat_mode: "monthly", repeat_interval: 2, repeat_count: 4 },
+  { start_date: "2026-01-15", repeat_mode: "monthly" },
+  { start_date: "2024-02-29", repeat_mode: "yearly" },
+  { start_date: "2026-03-02", repeat_mode: "weekdays" },
+  { start_date: "2026-03-04", repeat_mode: "weekly_days", repeat_interval: 2, repeat_weekdays: [1, 4] },
+  { start_date: "2026-03-01", repeat_mode: "monthly_days", repeat_monthdays: [15, -1], repeat_count: 5 },
+  { start_date: "2026-03-01", repeat_mode: "monthly_nth", repeat_weekdays: [2], repeat_nth: 2 },
+  { start_date: "2026-03-01", repeat_mode: "sineday", repeat_sinedays: [1, 9], repeat_until: "2027-01-01" }
+];
+
+for (const task of ROUND_TRIPS) {
+  test(`round trip keeps every occurrence: ${taskToRuleText(task)}`, () => {
+    const parsed = parseRRule(taskToRuleText(task), { startDate: task.start_date });
+    assert.equal(parsed.error, undefined);
+    const back = { start_date: task.start_date, ...parsed.fields };
+    assert.deepEqual(occurrences(back, "2024-02-01", 1200), occurrences(task, "2024-02-01", 1200));
+  });
+}
+
+test("taskToRRule writes RFC 5545 rules", () => {
+  assert.equal(taskToRRule({ start_date: "2026-03-01", repeat_mode: "none" }), null);
+  assert.equal(
+    taskToRRule({ start_date: "2026-03-01", repeat_mode: "daily", repeat_interval: 2, repeat_until: "2026-04-01" }),
+    "FREQ=DAILY;INTERVAL=2;UNTIL=20260401"
+  );
+  assert.equal(
+    taskToRRule({ start_date: "2026-01-31", repeat_mode: "monthly" }),
+    "FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1"
+  );
+  assert.equal(
+    taskToRRule({ start_date: "2026-03-02", repeat_mode: "weekdays" }),
+    "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"
+  );
+  assert.equal(
+    taskToRRule({ start_date: "2026-03-01", repeat_mode: "monthly_nth", repeat_weekdays: [5], repeat_nth: -1, repeat_count: 6 }),
+    "FREQ=MONTHLY;BYDAY=-1FR;COUNT=6"
+  );
+  // A count that runs past the end date is cut short by UNTIL instead.
+  assert.equal(
+    taskToRRule({ start_date: "2026-03-01", repeat_mode: "daily", repeat_count: 50, repeat_until: "2026-03-10" }),
+    "FREQ=DAILY;UNTIL=20260310"
+  );
+  assert.equal(taskToRRule({ start_date: "2026-03-01", repeat_mode: "sineday", repeat_sinedays: [1] }), null);
+});
+
+test("parseRRule reads rules pasted from other calendars", () => {
+  assert.deepEqual(parseRRule("RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261231T235959Z").fields, {
+    repeat_mode: "weekly_days",
+    repeat_interval: 1,
+    repeat_until: "2026-12-31",
+    repeat_count: null,
+    repeat_sinedays: [],
+    repeat_weekdays: [2, 4],
+    repeat_monthdays: [],
+    repeat_nth: null
+  });
+
+  const vevent = [
+    "BEGIN:VEVENT",
+    "DTSTART;VALUE=DATE:20261126",
+    "RRULE:FREQ=YEARLY;BYMONTH=11;",
+    " BYDAY=4TH",
+    "END:VEVENT"
+  ].join("\r\n");
+  const thanksgiving = parseRRule(vevent, { startDate: "2026-11-01" }).fields;
+  assert.equal(thanksgiving.repeat_mode, "monthly_nth");
+  assert.equal(thanksgiving.repeat_interval, 12);
+  assert.deepEqual(occurrences({ start_date: "2026-11-01", ...thanksgiving }, "2026-11-01", 800), [
+    "2026-11-26",
+    "2027-11-25",
+    "2028-11-23"
+  ]);
+
+  assert.equal(parseRRule("FREQ=MONTHLY;BYDAY=WE;BYSETPOS=-1").fields.repeat_nth, -1);
+  assert.equal(parseRRule("FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR").fields.repeat_mode, "weekdays");
+  assert.equal(parseRRule("freq=monthly;bymonthday=1,-1;count=12").fields.repeat_count, 12);
+  assert.deepEqual(parseRRule("X-SINEDAY-RULE:BYSINEDAY=9,1").fields.repeat_sinedays, [1, 9]);
+
+  // RRULE skips months without the 31st; plain "monthly" would not.
+  assert.deepEqual(parseRRule("FREQ=MONTHLY", { startDate: "2026-01-31" }).fields.repeat_monthdays, [31]);
+});
+
+test("parseRRule explains what it cannot represent", () => {
+  assert.deepEqual(parseRRule(""), { error: "Paste a rule like RRULE:FREQ=WEEKLY;BYDAY=MO,WE" });
+  assert.deepEqual(parseRRule("FREQ=HOURLY"), { error: "HOURLY rules are not supported" });
+  assert.deepEqual(parseRRule("FREQ=DAILY;BYHOUR=9"), { error: "BYHOUR rules are not supported" });
+  assert.deepEqual(parseRRule("FREQ=DAILY;COUNT=3;UNTIL=20260101"), {
+    error: "A rule cannot have both UNTIL and COUNT"
+  });
+  assert.deepEqual(parseRRule("FREQ=MONTHLY;BYDAY=1MO,3MO"), { error: "This monthly rule is not supported" });
+  assert.deepEqual(parseRRule("FREQ=YEARLY;BYMONTH=11;BYDAY=4TH", { startDate: "2026-03-01" }), {
+    error: "BYMONTH must be the month of the task's start date"
+  });
+  assert.deepEqual(parseRRule("X-SINEDAY-RULE:BYSINEDAY=1;COUNT=3"), {
+    error: "X-SINEDAY-RULE does not support COUNT"
+  });
+  assert.deepEqual(parseRRule("FREQ=WEEKLY;BYDAY=XX"), { error: "Unknown BYDAY value “XX”" });
+});
+
+test("taskRecurrenceLines adds EXDATEs and spells out SineDay dates", () => {
+  assert.deepEqual(
+    taskRecurrenceLines({
+      start_date: "2026-03-02",
+      repeat_mode: "weekdays",
+      exception_dates: ["2026-03-04", "2026-03-03"]
+    }),
+    ["RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR", "EXDATE;VALUE=DATE:20260303,20260304"]
+  );
+
+  const sineday = { start_date: "2026-03-01", repeat_mode: "sineday", repeat_sinedays: [1] };
+  const first = firstOccurrenceDate(sineday, BIRTHDATE);
+  const lines = taskRecurrenceLines(sineday, { birthdate: BIRTHDATE, from: first, to: addDaysYmd(first, 40) });
+  assert.equal(lines[0], "X-SINEDAY-RULE:BYSINEDAY=1");
+  assert.equal(lines[1], `RDATE;VALUE=DATE:${[first, addDaysYmd(first, 18), addDaysYmd(first, 36)].map((d) => d.replace(/-/g, "")).join(",")}`);
+  assert.deepEqual(taskRecurrenceLines(sineday), []);
+});
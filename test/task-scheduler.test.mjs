@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { calculateSineDayForYmd } from "../js/sineday-engine.js";
+import { addDaysYmd } from "../js/task-recurrence.js";
+import { energyFit, isUnscheduledTask, proposeSchedule } from "../js/task-scheduler.js";
+
+const BIRTHDATE = "1990-01-01";
+const FROM = "2026-03-01";
+
+const sineDay = (ymd) => calculateSineDayForYmd(BIRTHDATE, ymd).day;
+
+function firstDateWith(days, from = FROM) {
+  for (let i = 0, ymd = from; i < 18; i++, ymd = addDaysYmd(ymd, 1)) {
+    if (days.includes(sineDay(ymd))) return ymd;
+  }
+  return null;
+}
+
+function propose(tasks, opts = {}) {
+  return proposeSchedule({ tasks, loadForDate: () => 0, birthdate: BIRTHDATE, from: FROM, ...opts });
+}
+
+test("energyFit reads the SineDay phases", () => {
+  assert.equal(energyFit("launch", 1), "best");
+  assert.equal(energyFit("launch", 18), "good");
+  assert.equal(energyFit("launch", 12), "any");
+  assert.equal(energyFit("rest", 10), "best");
+  assert.equal(energyFit(null, 1), "any");
+  assert.equal(energyFit("nap", 1), "any");
+  assert.equal(isUnscheduledTask({ start_date: null }), true);
+  assert.equal(isUnscheduledTask({ start_date: FROM }), false);
+});
+
+test("tasks go to the first day that suits their energy", () => {
+  const [launch, rest, loose] = propose([
+    { id: "a", title: "Ship", energy_type: "launch", sort_order: 1 },
+    { id: "b", title: "Journal", energy_type: "rest", sort_order: 2 },
+    { id: "c", title: "Errand", sort_order: 3 }
+  ]);
+  assert.equal(launch.date, firstDateWith([1, 2, 3]));
+  assert.equal(launch.fit, "best");
+  assert.equal(launch.reason, "energy");
+  assert.equal(launch.sineDay, sineDay(launch.date));
+  assert.equal(rest.date, firstDateWith([10, 11, 12, 13, 14, 15]));
+  // FROM (Day 15) went to the rest task, so the next day is the lightest.
+  assert.equal(rest.date, FROM);
+  assert.deepEqual([loose.date, loose.reason], [addDaysYmd(FROM, 1), "lightest"]);
+
+  // Scheduled tasks are left alone.
+  assert.deepEqual(propose([{ id: "d", title: "Done", start_date: FROM }]), []);
+});
+
+test("existing load pushes tasks to emptier days and full days are passed over", () => {
+  const launchDay = firstDateWith([1]);
+  const busy = new Set([launchDay, addDaysYmd(launchDay, 1), addDaysYmd(launchDay, 2)]);
+  const loadForDate = (ymd) => (busy.has(ymd) ? 4 : 0);
+
+  const [launch] = propose([{ id: "a", title: "Ship", energy_type: "launch" }], { loadForDate, days: 18 });
+  assert.ok(!busy.has(launch.date));
+  assert.equal(launch.fit, "good");
+
+  // Placed tasks count too: five loose tasks spread over the first days.
+  const loose = propose(
+    Array.from({ length: 5 }, (_, i) => ({ id: `t${i}`, title: `T${i}`, sort_order: i })),
+    { maxPerDay: 2 }
+  );
+  assert.deepEqual(
+    loose.map((p) => p.date),
+    [FROM, addDaysYmd(FROM, 1), addDaysYmd(FROM, 2), addDaysYmd(FROM, 3), addDaysYmd(FROM, 4)]
+  );
+
+  const full = propose([{ id: "a", title: "Ship" }], { loadForDate: () => 4, days: 5 });
+  assert.deepEqual([full[0].date, full[0].reason], [null, "full"]);
+});
+
+test("due dates come first and cap the search", () => {
+  // 2026-03-01 … 03-04 are Days 15-18; the launch days (1-3) start on 03-05.
+  const [late] = propose([{ id: "late", title: "Later", energy_type: "launch" }]);
+  assert.equal(late.date, "2026-03-05");
+
+  const [soon] = propose([{ id: "soon", title: "Soon", energy_type: "launch", due_date: "2026-03-04" }]);
+  assert.deepEqual([soon.date, soon.sineDay, soon.fit], ["2026-03-04", 18, "good"]);
+
+  const [before] = propose([{ id: "due", title: "Form", due_date: "2026-03-03" }], { loadForDate: (ymd) => (ymd === FROM ? 2 : 0) });
+  assert.deepEqual([before.date, before.reason], ["2026-03-02", "before_due"]);
+
+  const [overdue] = propose([{ id: "over", title: "Late", due_date: "2026-02-20" }]);
+  assert.deepEqual([overdue.date, overdue.reason], [FROM, "overdue"]);
+
+  const order = propose([
+    { id: "none", title: "A", sort_order: 1 },
+    { id: "far", title: "B", due_date: "2026-03-20", sort_order: 2 },
+    { id: "near", title: "C", due_date: "2026-03-05", sort_order: 3 }
+  ]).map((p) => p.task.id);
+  assert.deepEqual(order, ["near", "far", "none"]);
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  blockTimes,
+  findFreeSlot,
+  formatTime,
+  formatTimeRange,
+  isTimedTask,
+  layoutBlocks,
+  moveBlock,
+  parseTime,
+  resizeBlock,
+  taskTimeBlock,
+} from "../js/task-timeblocks.js";
+
+test("times read from Postgres and written back", () => {
+  assert.equal(parseTime("09:30:00"), 570);
+  assert.equal(parseTime("7:05"), 425);
+  assert.equal(parseTime("24:00:00"), 1440);
+  for (const bad of ["25:00", "9:60", "noon", "", null]) assert.equal(parseTime(bad), null);
+  assert.equal(formatTime(570), "09:30");
+  assert.deepEqual(blockTimes({ start: 1380, end: 1440 }), { start_time: "23:00", end_time: "24:00" });
+
+  assert.deepEqual(taskTimeBlock({ start_time: "09:00:00", end_time: "10:30:00" }), { start: 540, end: 630 });
+  assert.equal(isTimedTask({ start_time: "10:00", end_time: "09:00" }), false);
+  assert.equal(isTimedTask({ start_time: "10:00", end_time: null }), false);
+  assert.equal(isTimedTask({}), false);
+});
+
+test("moves keep the length and resizes keep a step, inside the day", () => {
+  assert.deepEqual(moveBlock({ start: 540, end: 600 }, 600), { start: 600, end: 660 });
+  assert.deepEqual(moveBlock({ start: 540, end: 600 }, -30), { start: 0, end: 60 });
+  assert.deepEqual(moveBlock({ start: 1380, end: 1425 }, 1430), { start: 1395, end: 1440 });
+  assert.deepEqual(resizeBlock({ start: 600, end: 660 }, 720), { start: 600, end: 720 });
+  assert.deepEqual(resizeBlock({ start: 600, end: 660 }, 500), { start: 600, end: 615 });
+  assert.deepEqual(resizeBlock({ start: 1400, end: 1420 }, 1500), { start: 1400, end: 1440 });
+});
+
+test("overlapping blocks share the width of their cluster", () => {
+  const layout = layoutBlocks([
+    { start: 570, end: 630 },
+    { start: 540, end: 600 },
+    { start: 600, end: 660 },
+    { start: 720, end: 780 },
+  ]);
+  assert.deepEqual(layout, [
+    { column: 1, columns: 2 },
+    { column: 0, columns: 2 },
+    { column: 0, columns: 2 },
+    { column: 0, columns: 1 },
+  ]);
+  assert.deepEqual(layoutBlocks([]), []);
+});
+
+test("new blocks go into the next free slot", () => {
+  const taken = [
+    { start: 540, end: 600 },
+    { start: 600, end: 660 },
+    { start: 690, end: 720 },
+  ];
+  assert.equal(findFreeSlot(taken, 530), 720);
+  assert.equal(findFreeSlot(taken, 480), 480);
+  assert.equal(findFreeSlot(taken, 661, 30), 720);
+  assert.equal(findFreeSlot([{ start: 0, end: 1440 }], 1430), 1380);
+
+  assert.equal(formatTimeRange({ start: 570, end: 630 }), "9:30 AM – 10:30 AM");
+  assert.equal(formatTimeRange({ start: 570, end: 630 }, "en-US", " to "), "9:30 AM to 10:30 AM");
+  assert.equal(formatTimeRange({ start: 570, end: 630 }, "de-DE"), "9:30 – 10:30");
+});
@@ -60,10 +60,21 @@ mock.module("@supabase/supabase-js", {
             select() {
               return api;
             },
+            update(values) {
+              state.action = "update";
+              state.values = values;
+              return api;
+            },
             eq(key, value) {
               state.filters[key] = value;
               return api;
             },
+            then(resolve, reject) {
+              if (tableName === "subscriber_preferences" && state.action === "update") {
+                Object.assign(store.preferences.get(state.filters.subscriber_id) || {}, state.values);
+              }
+              return Promise.resolve({ data: null, error: null }).then(resolve, reject);
+            },
             async maybeSingle() {
               if (tableName === "subscribers") {
                 if (state.filters.email) {
@@ -199,7 +210,8 @@ test("authenticated email-status PATCH uses the atomic unsubscribe RPC", async (
   resetStore();
   const req = {
     method: "PATCH",
-    headers: { authorization: "Bearer access-token" }
+    headers: { authorization: "Bearer access-token" },
+    body: { action: "unsubscribe" }
   };
   const res = mockRes();
   await emailStatus(req, res);
@@ -208,3 +220,28 @@ test("authenticated email-status PATCH uses the atomic unsubscribe RPC", async (
   assert.equal(store.rpcCalls[0].args.p_subscriber_id, SUB_ID);
   assert.equal(store.subscribers.get(SUB_ID).status, "unsubscribed");
 });
+
+test("email-status PATCH changes the language only when asked, and never unsubscribes by default", async () => {
+  resetStore();
+  const patch = async (body) => {
+    const res = mockRes();
+    await emailStatus({ method: "PATCH", headers: { authorization: "Bearer access-token" }, body }, res);
+    return res;
+  };
+
+  for (const body of [undefined, {}, { language: "" }, { language: "es" }, { action: "stop" }]) {
+    assert.equal((await patch(body)).statusCode, 400, JSON.stringify(body));
+  }
+  for (const language of ["", "xx", null]) {
+    const res = await patch({ action: "set_language", language });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, "Unsupported language");
+  }
+  assert.equal(store.rpcCalls.length, 0);
+  assert.equal(store.subscribers.get(SUB_ID).status, "active");
+
+  assert.equal((await patch({ action: "set_language", language: "es-MX" })).statusCode, 200);
+  assert.equal(store.preferences.get(SUB_ID).language, "es");
+  assert.equal(store.rpcCalls.length, 0);
+  assert.equal(store.subscribers.get(SUB_ID).status, "active");
+});
@@ -0,0 +1,274 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  WAVE_SYNC_NEXT_LIMIT,
+  buildWaveSync,
+  cycleDistance,
+  getPhaseGroup,
+  isUpswingDay
+} from "../js/wave-sync.js";
+
+const USER_ID = "user-1";
+const OTHER_USER_ID = "user-2";
+const PLANNER_ID = "planner-1";
+
+const PROFILES = [
+  { id: "profile-a", user_id: USER_ID, display_name: "Ada", birthdate: "1985-04-20", timezone: "UTC" },
+  { id: "profile-b", user_id: USER_ID, display_name: "Ben", birthdate: "1985-04-29", timezone: "UTC" },
+  { id: "profile-c", user_id: USER_ID, display_name: "Cy", birthdate: "1985-04-21", timezone: "UTC" },
+  { id: "profile-d", user_id: OTHER_USER_ID, display_name: "Dee", birthdate: "1985-04-20", timezone: "UTC" }
+];
+
+const PLANNER_MEMBERS = [
+  { planner_id: PLANNER_ID, user_id: OTHER_USER_ID, status: "active", owner_profile_id: "profile-d" },
+  { planner_id: PLANNER_ID, user_id: USER_ID, status: "active", owner_profile_id: "profile-a" }
+];
+
+process.env.SUPABASE_URL = "https://example.supabase.co";
+process.env.SUPABASE_ANON_KEY = "anon-test-key";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-test-key";
+
+function rowsFor(table, filters, inFilter) {
+  if (table === "profiles") {
+    return PROFILES.filter(
+      (profile) =>
+        profile.user_id === filters.user_id &&
+        (!inFilter || inFilter.values.includes(profile.id))
+    );
+  }
+  if (table === "social_planner_members") {
+    return PLANNER_MEMBERS.filter(
+      (member) =>
+        member.planner_id === filters.planner_id &&
+        member.status === filters.status &&
+        (!filters.user_id || member.user_id === filters.user_id)
+    ).map((member) => ({
+      ...member,
+      profiles: PROFILES.find((profile) => profile.id === member.owner_profile_id) || null
+    }));
+  }
+  return [];
+}
+
+mock.module("@supabase/supabase-js", {
+  namedExports: {
+    createClient() {
+      return {
+        auth: {
+          async getUser(token) {
+            if (token !== "good") return { data: { user: null }, error: new Error("bad") };
+            return { data: { user: { id: USER_ID } }, error: null };
+          }
+        },
+        from(table) {
+          const filters = {};
+          let inFilter = null;
+          const api = {
+            select() {
+              return api;
+            },
+            eq(key, value) {
+              filters[key] = value;
+              return api;
+            },
+            in(key, values) {
+              inFilter = { key, values };
+              return api;
+            },
+            order() {
+              return api;
+            },
+            async maybeSingle() {
+              return { data: rowsFor(table, filters, inFilter)[0] || null, error: null };
+            },
+            then(resolve, reject) {
+              return Promise.resolve({ data: rowsFor(table, filters, inFilter), error: null })
+                .then(resolve, reject);
+            }
+          };
+          return api;
+        }
+      };
+    }
+  }
+});
+
+const { default: waveSyncRoute } = await import("../api/wave-sync.js");
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+function authedGet(query) {
+  return { method: "GET", headers: { authorization: "Bearer good" }, query };
+}
+
+function person(id, birthdate) {
+  return { id, displayName: id, birthdate };
+}
+
+test("phase groups follow the DAY_DATA phase labels", () => {
+  assert.deepEqual(
+    [1, 5, 6, 8, 9, 10, 13, 14, 16, 17, 18].map(getPhaseGroup),
+    ["rising", "rising", "peak", "peak", "crest", "descending", "descending", "trough", "trough", "emerging", "emerging"]
+  );
+  assert.equal(getPhaseGroup(0), null);
+  assert.equal(isUpswingDay(8), true);
+  assert.equal(isUpswingDay(9), false);
+});
+
+test("cycleDistance wraps around the 18-day cycle", () => {
+  assert.equal(cycleDistance(1, 1), 0);
+  assert.equal(cycleDistance(1, 18), 1);
+  assert.equal(cycleDistance(1, 10), 9);
+  assert.equal(cycleDistance(3, 15), 6);
+});
+
+test("identical birthdates are in the same phase every day", () => {
+  const sync = buildWaveSync(
+    [person("a", "1985-04-20"), person("b", "1985-04-20")],
+    "1985-04-20",
+    18
+  );
+
+  assert.equal(sync.rows.length, 18);
+  assert.equal(sync.end, "1985-05-07");
+  assert.ok(sync.rows.every((row) => row.alignment === "same_phase"));
+  assert.deepEqual(sync.samePhase, [{ start: "1985-04-20", end: "1985-05-07" }]);
+  assert.deepEqual(sync.opposite, []);
+  assert.equal(sync.score, 100);
+  assert.deepEqual(sync.pairs, [
+    { profileIds: ["a", "b"], offset: 0, distance: 0, relation: "in_sync", score: 100 }
+  ]);
+  assert.equal(sync.nextUpswing.length, WAVE_SYNC_NEXT_LIMIT);
+  assert.equal(sync.nextUpswing[0], "1985-04-20");
+});
+
+test("half a cycle apart is opposite every day and never rises together", () => {
+  const sync = buildWaveSync(
+    [person("a", "1985-04-20"), person("b", "1985-04-29")],
+    "1985-04-20",
+    30
+  );
+
+  assert.deepEqual(sync.rows[0].members.map((member) => member.day), [1, 10]);
+  assert.ok(sync.rows.every((row) => row.alignment === "opposite"));
+  assert.deepEqual(sync.samePhase, []);
+  assert.deepEqual(sync.nextUpswing, []);
+  assert.equal(sync.pairs[0].relation, "opposite");
+  assert.equal(sync.score, 0);
+});
+
+test("nextUpswing looks past a short window", () => {
+  const sync = buildWaveSync(
+    [person("a", "1985-04-20"), person("b", "1985-04-20")],
+    "1985-04-28",
+    1
+  );
+
+  assert.equal(sync.rows.length, 1);
+  assert.equal(sync.rows[0].members[0].day, 9);
+  assert.equal(sync.nextUpswing[0], "1985-05-08");
+});
+
+test("three profiles: a phase is shared only when every pair shares it", () => {
+  const sync = buildWaveSync(
+    [person("a", "1985-04-20"), person("b", "1985-04-20"), person("c", "1985-04-21")],
+    "1985-04-21",
+    1
+  );
+
+  assert.deepEqual(sync.rows[0].members.map((member) => member.day), [2, 2, 1]);
+  assert.equal(sync.rows[0].alignment, "same_phase");
+  assert.equal(sync.pairs.length, 3);
+});
+
+test("buildWaveSync rejects bad input", () => {
+  assert.equal(buildWaveSync([person("a", "1985-04-20")], "2026-01-01", 30), null);
+  assert.equal(buildWaveSync([person("a", "1985-04-20"), person("b", "nope")], "2026-01-01", 30), null);
+  assert.equal(buildWaveSync([person("a", "1985-04-20"), person("b", "1985-04-20")], "2026-1-1", 30), null);
+  assert.equal(buildWaveSync([person("a", "1985-04-20"), person("b", "1985-04-20")], "2026-01-01", 0), null);
+});
+
+test("route requires auth and GET", async () => {
+  const unauthed = mockRes();
+  await waveSyncRoute({ method: "GET", headers: {}, query: {} }, unauthed);
+  assert.equal(unauthed.statusCode, 401);
+
+  const post = mockRes();
+  await waveSyncRoute({ method: "POST", headers: { authorization: "Bearer good" } }, post);
+  assert.equal(post.statusCode, 405);
+});
+
+test("route validates profileIds, start and days", async () => {
+  const single = mockRes();
+  await waveSyncRoute(authedGet({ profileIds: "profile-a" }), single);
+  assert.equal(single.statusCode, 400);
+
+  const badStart = mockRes();
+  await waveSyncRoute(authedGet({ profileIds: "profile-a,profile-b", start: "tomorrow" }), badStart);
+  assert.equal(badStart.statusCode, 400);
+
+  const badDays = mockRes();
+  await waveSyncRoute(authedGet({ profileIds: "profile-a,profile-b", days: "999" }), badDays);
+  assert.equal(badDays.statusCode, 400);
+});
+
+test("route compares owned profiles without exposing birthdates", async () => {
+  const res = mockRes();
+  await waveSyncRoute(
+    authedGet({ profileIds: "profile-b,profile-a", start: "2026-01-01", days: "10" }),
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.plannerId, null);
+  assert.deepEqual(res.body.profiles, [
+    { id: "profile-b", displayName: "Ben" },
+    { id: "profile-a", displayName: "Ada" }
+  ]);
+  assert.equal(res.body.rows.length, 10);
+  assert.equal(res.body.pairs[0].relation, "opposite");
+  const json = JSON.stringify(res.body);
+  assert.equal(json.includes("birthdate"), false);
+  assert.equal(json.includes("1985-04-29"), false);
+});
+
+test("route refuses profiles the caller does not own", async () => {
+  const res = mockRes();
+  await waveSyncRoute(authedGet({ profileIds: "profile-a,profile-d" }), res);
+  assert.equal(res.statusCode, 404);
+});
+
+test("route compares planner members for a member of the planner", async () => {
+  const res = mockRes();
+  await waveSyncRoute(authedGet({ plannerId: PLANNER_ID, start: "1985-04-20", days: "5" }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.plannerId, PLANNER_ID);
+  assert.deepEqual(res.body.profiles.map((profile) => profile.id), ["profile-a", "profile-d"]);
+  assert.equal(res.body.score, 100);
+
+  const missing = mockRes();
+  await waveSyncRoute(authedGet({ plannerId: "planner-unknown" }), missing);
+  assert.equal(missing.statusCode, 404);
+});